@@ -26,48 +26,73 @@ app.use(cors());
 // 靜態資源目錄
 app.use(express.static(path.join(__dirname, 'public')));
 
-// ==================== 伺服器啟動函式 ====================
-async function startServer() {
-    try {
-        // 1. 初始化所有服務 (由 Service Container 統一處理)
-        // ★★★ 修改：直接取得 services 物件，不再經過舊的轉換層
-        const services = await initializeServices();
-
-        // 2. 將服務注入到 app 中
-        app.set('services', services);
-        console.log('✅ 所有服務已成功注入 app');
+// 前後端共用的驗證器 (前端表單以 GET /api/schemas 的規則檢查)
+app.get('/scripts/shared/request-validator.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'utils', 'request-validator.js'));
+});
+
+// ==================== App 組裝函式 ====================
+// 與 listen 分離，讓 test.js 可以在記憶體後端模式下直接取得完整的 app
+let appReadyPromise = null;
+
+function createApp() {
+    if (!appReadyPromise) appReadyPromise = configureApp();
+    return appReadyPromise;
+}
 
-        // 3. 設定 API 路由
+async function configureApp() {
+    // 1. 初始化所有服務 (由 Service Container 統一處理)
+    // ★★★ 修改：直接取得 services 物件，不再經過舊的轉換層
+    const services = await initializeServices();
+
+    // 2. 將服務注入到 app 中
+    app.set('services', services);
+    console.log('✅ 所有服務已成功注入 app');
+
+    // 3. 設定 API 路由
+    
+    // 公開路由：健康檢查
+    app.get('/health', async (req, res) => {
+        const { authService } = req.app.get('services');
+        // 簡單保護：如果 AuthService 還沒好，回傳錯誤
+        if (!authService) return res.status(503).json({ status: 'initializing' });
         
-        // 公開路由：健康檢查
-        app.get('/health', async (req, res) => {
-            const { authService } = req.app.get('services');
-            // 簡單保護：如果 AuthService 還沒好，回傳錯誤
-            if (!authService) return res.status(503).json({ status: 'initializing' });
-            
-            const healthStatus = await authService.checkAuthStatus();
-            res.json({ status: 'ok', timestamp: new Date().toISOString(), services: healthStatus });
-        });
+        const healthStatus = await authService.checkAuthStatus();
+        res.json({ status: 'ok', timestamp: new Date().toISOString(), services: healthStatus });
+    });
 
-        // 掛載所有 API 路由
-        app.use('/api', allApiRoutes);
-        
-        console.log('✅ API 路由準備就緒...');
+    // 掛載所有 API 路由
+    app.use('/api', allApiRoutes);
+    
+    console.log('✅ API 路由準備就緒...');
 
-        // 4. 設定前端頁面路由
-        app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'public', 'login.html')));
+    // 4. 設定前端頁面路由
+    app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'public', 'login.html')));
 
-        // SPA Fallback
-        app.get('*', (req, res) => {
-            res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
-        });
+    // SPA Fallback
+    app.get('*', (req, res) => {
+        res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
+    });
 
-        // 5. 全局錯誤處理
-        app.use(globalErrorHandler);
+    // 5. 全局錯誤處理
+    app.use(globalErrorHandler);
+
+    return app;
+}
+
+// ==================== 伺服器啟動函式 ====================
+async function startServer() {
+    try {
+        await createApp();
+
+        // 定期快照 (config.BACKUP.INTERVAL_HOURS = 0 時不啟動)
+        app.get('services').backupService.startSchedule();
 
-        // ==================== 伺服器啟動 ====================
         app.listen(config.PORT, () => {
             console.log(`🚀 CRM 系統已在 http://localhost:${config.PORT} 啟動`);
+            if (config.BACKEND_MODE === 'MEMORY') {
+                console.log('🧪 目前為記憶體後端模式 (BACKEND_MODE=MEMORY)，資料不會寫回 Google / Supabase');
+            }
         });
 
     } catch (error) {
@@ -78,5 +103,9 @@ async function startServer() {
     }
 }
 
-// 啟動伺服器
-startServer();
\ No newline at end of file
+// 啟動伺服器 (被 require 時不自動啟動，例如 test.js)
+if (require.main === module) {
+    startServer();
+}
+
+module.exports = { app, createApp };
@@ -5,12 +5,43 @@
  * @date 2026-01-09
  * @description 定義全域環境變數、Sheet ID 路由表、資料源切換開關與系統常數。
  * 本次重構新增 IDS 與 DATA_SOURCES 物件以支援多資料源架構。
+ * [Phase 8] 新增 BACKEND_MODE：'MEMORY' 時改用 fakes/ 記憶體後端，未設定的 ID 自動補上佔位值。
+ * [Phase 8] 新增 SHADOW_MODE：SQL 切換期間逐實體開啟 Sheet/SQL 雙寫與讀取比對。
+ * [Phase 8] 新增 CACHE：取代 base-reader 的全域快取物件 (per-key TTL、標籤失效、可選跨行程同步)。
+ * 新增 BACKUP：快照封存目錄、排程間隔與保留份數。
+ * 新增 CUSTOM_FIELDS：自訂欄位的設定類型、適用實體、欄位型別與可指定的角色。
+ * 新增 EVENT_TEMPLATES：事件範本 (事件類型的區塊與欄位) 的設定類型、欄位型別與內建範本；
+ * EVENT_LOG_IOT_FIELDS / EVENT_LOG_DT_FIELDS 只描述既有工作表的欄位配置，畫面改依範本產生。
+ * 新增 STAGE_GATES：階段關卡的設定類型、可指定的必填欄位與檢查項目。
+ * 新增 FORECAST：營收預測的成交階段、下單機率預設權重與月份範圍。
  */
 
+// 後端模式：'LIVE' (預設，連線 Google / Supabase) 或 'MEMORY' (離線開發與自動化測試)
+const BACKEND_MODE = String(process.env.BACKEND_MODE || 'LIVE').toUpperCase();
+const IS_MEMORY = BACKEND_MODE === 'MEMORY';
+
+// 記憶體模式下，未設定的外部 ID 以佔位值代替 (Reader/Writer 的 Strict Mode 不允許空 ID)
+const memoryDefault = (value, placeholder) => value || (IS_MEMORY ? placeholder : value);
+
+// 影子模式實體清單，例如 SHADOW_MODE_ENTITIES=OPPORTUNITY,COMPANY (可用的實體見 SHADOW_MODE)
+const SHADOW_ENTITIES = String(process.env.SHADOW_MODE_ENTITIES || '')
+    .split(',')
+    .map(s => s.trim().toUpperCase())
+    .filter(Boolean);
+
 module.exports = {
     // 環境設定
     NODE_ENV: process.env.NODE_ENV || 'development',
     PORT: process.env.PORT || 3001,
+
+    // ============================================================
+    // ★★★ Phase 8: 後端模式 (Backend Mode) ★★★
+    // ============================================================
+    BACKEND_MODE,
+    MEMORY_BACKEND: {
+        // 種子資料目錄 (預設 fakes/fixtures)
+        FIXTURE_DIR: process.env.MEMORY_FIXTURE_DIR || null
+    },
     
     // ============================================================
     // ★★★ Phase 5 Refactoring: 資料源 ID 路由表 (ID Routing Map) ★★★
@@ -19,23 +50,23 @@ module.exports = {
     // 即使目前多數指向同一個 ID，邏輯上我們將其視為不同實體。
     IDS: {
         // 1. 核心業務資料 (High Value: 客戶, 機會, 互動)
-        CORE: process.env.SPREADSHEET_ID, 
+        CORE: memoryDefault(process.env.SPREADSHEET_ID, 'MEMORY_CORE'), 
 
         // 2. 原始資料/暫存區 (High Frequency: OCR, Line Leads)
         // 若環境變數未設定 RAW_DATA_ID，暫時使用 CORE ID (向下相容方便測試)
-        RAW: process.env.RAW_DATA_SPREADSHEET_ID,
+        RAW: memoryDefault(process.env.RAW_DATA_SPREADSHEET_ID, 'MEMORY_RAW'),
 
         // 3. 系統設定 (Configuration: 下拉選單, 參數)
         // 這是我們第一個要實體分離的目標
-        SYSTEM: process.env.SYSTEM_SETTING_SPREADSHEET_ID,
+        SYSTEM: memoryDefault(process.env.SYSTEM_SETTING_SPREADSHEET_ID, 'MEMORY_SYSTEM'),
 
         // 4. 權限與使用者 (Security: User, Auth)
         // 使用既有的 AUTH_SPREADSHEET_ID
-        AUTH: process.env.AUTH_SPREADSHEET_ID,
+        AUTH: memoryDefault(process.env.AUTH_SPREADSHEET_ID, 'MEMORY_AUTH'),
 
         // 5. 市場商品資料 (Domain: Products)
         // 使用既有的 MARKET_PRODUCT_SHEET_ID
-        PRODUCT: process.env.MARKET_PRODUCT_SHEET_ID
+        PRODUCT: memoryDefault(process.env.MARKET_PRODUCT_SHEET_ID, 'MEMORY_PRODUCT')
     },
 
     // ============================================================
@@ -43,28 +74,68 @@ module.exports = {
     // ============================================================
     // 決定各模組的資料來源是 'SHEET' 還是 'SQL'。
     // 目前階段全數預設為 'SHEET'。
+    // PRODUCT / AUTH / EVENT_LOG 可用環境變數 PRODUCT_DATA_SOURCE / AUTH_DATA_SOURCE / EVENT_LOG_DATA_SOURCE = SQL 切換
+    // (需先以 tools/migrate-sheet-to-sql.js 遷移對應實體)。
     DATA_SOURCES: {
         CONTACT: 'SHEET',
         OPPORTUNITY: 'SHEET',
         INTERACTION: 'SHEET',
-        EVENT_LOG: 'SHEET',
+        EVENT_LOG: String(process.env.EVENT_LOG_DATA_SOURCE || 'SHEET').toUpperCase(),
         SYSTEM: 'SHEET',
-        PRODUCT: 'SHEET',
-        AUTH: 'SHEET',
+        PRODUCT: String(process.env.PRODUCT_DATA_SOURCE || 'SHEET').toUpperCase(),
+        AUTH: String(process.env.AUTH_DATA_SOURCE || 'SHEET').toUpperCase(),
         WEEKLY: 'SHEET'
     },
 
+    // ============================================================
+    // ★★★ Phase 8: 影子模式 (Shadow Mode) ★★★
+    // ============================================================
+    // 開啟的實體：SQL 仍為主要來源，寫入同步鏡射到 Sheet，讀取時比對兩邊並記錄差異。
+    // 差異彙整見 /api/admin/shadow (services/shadow-service.js)。
+    SHADOW_MODE: {
+        OPPORTUNITY: SHADOW_ENTITIES.includes('OPPORTUNITY'),
+        WEEKLY: SHADOW_ENTITIES.includes('WEEKLY'),
+        COMPANY: SHADOW_ENTITIES.includes('COMPANY'),
+        INTERACTION: SHADOW_ENTITIES.includes('INTERACTION')
+    },
+    // 差異紀錄存於 shadow_divergences；資料庫無法寫入時，記憶體最多暫存的差異筆數
+    SHADOW_LOG_MAX_ENTRIES: parseInt(process.env.SHADOW_LOG_MAX_ENTRIES, 10) || 2000,
+
+    // ============================================================
+    // ★★★ Phase 8: 快取 (data/cache) ★★★
+    // ============================================================
+    // 各快取鍵的 TTL 與標籤定義於 data/cache/cache-policy.js，這裡只放全域預設值。
+    // BACKEND = 'LOCAL' (預設，單一行程) 或 'SUPABASE' (多個 Node 行程透過 cache_invalidations 表同步失效事件)
+    CACHE: {
+        BACKEND: String(process.env.CACHE_BACKEND || 'LOCAL').toUpperCase(),
+        DEFAULT_TTL_MS: 30 * 1000,
+        // SUPABASE 模式下最多隔多久向共享表拉一次其他行程的失效事件
+        SYNC_INTERVAL_MS: parseInt(process.env.CACHE_SYNC_INTERVAL_MS, 10) || 2000,
+        // 共享表中失效事件的保留時間 (超過即清除)
+        INVALIDATION_RETENTION_MS: 60 * 60 * 1000
+    },
+
+    // ============================================================
+    // ★★★ 備份 / 還原 (services/backup-service.js, tools/backup.js) ★★★
+    // ============================================================
+    // INTERVAL_HOURS > 0 時伺服器啟動後定期快照；KEEP 為保留份數 (含還原前的自動快照)
+    BACKUP: {
+        DIR: process.env.BACKUP_DIR || 'backups',
+        INTERVAL_HOURS: parseFloat(process.env.BACKUP_INTERVAL_HOURS) || 0,
+        KEEP: parseInt(process.env.BACKUP_KEEP, 10) || 30
+    },
+
     // --- 保留舊有設定以供尚未重構的模組讀取 (Legacy Support) ---
-    SPREADSHEET_ID: process.env.SPREADSHEET_ID,
-    AUTH_SPREADSHEET_ID: process.env.AUTH_SPREADSHEET_ID,
-    MARKET_PRODUCT_SHEET_ID: process.env.MARKET_PRODUCT_SHEET_ID,
+    SPREADSHEET_ID: memoryDefault(process.env.SPREADSHEET_ID, 'MEMORY_CORE'),
+    AUTH_SPREADSHEET_ID: memoryDefault(process.env.AUTH_SPREADSHEET_ID, 'MEMORY_AUTH'),
+    MARKET_PRODUCT_SHEET_ID: memoryDefault(process.env.MARKET_PRODUCT_SHEET_ID, 'MEMORY_PRODUCT'),
     
     // Google Drive 設定
-    DRIVE_FOLDER_ID: process.env.DRIVE_FOLDER_ID,
+    DRIVE_FOLDER_ID: memoryDefault(process.env.DRIVE_FOLDER_ID, 'MEMORY_DRIVE_FOLDER'),
     
     // Google Calendar 設定
-    CALENDAR_ID: process.env.CALENDAR_ID,
-    PERSONAL_CALENDAR_ID: process.env.PERSONAL_CALENDAR_ID,
+    CALENDAR_ID: memoryDefault(process.env.CALENDAR_ID, 'MEMORY_TEAM_CALENDAR'),
+    PERSONAL_CALENDAR_ID: memoryDefault(process.env.PERSONAL_CALENDAR_ID, 'MEMORY_PERSONAL_CALENDAR'),
 
     TEAM_CALENDAR_NAME: 'TFC CRM測試日曆',
     TIMEZONE: 'Asia/Taipei',
@@ -123,7 +194,7 @@ module.exports = {
         PARENT_ID: '母機會ID'           
     },
     
-    // --- 事件紀錄欄位結構 ---
+    // --- 事件紀錄欄位結構 (工作表欄位配置：共用 + 類型專屬 + EVENT_LOG_EXTRA_FIELDS) ---
     EVENT_LOG_COMMON_FIELDS: [
         '事件ID', '事件名稱', '關聯機會ID', '關聯公司ID', '建立者', 
         '建立時間', '最後修改時間', '我方與會人員', '客戶與會人員', 
@@ -137,6 +208,8 @@ module.exports = {
     EVENT_LOG_DT_FIELDS: [
         '設備規模', '加工類型', '加工產業別'
     ],
+    // 每張事件工作表最後兩欄：事件類型 (一般工作表存放自訂類型)、範本欄位值 (JSON，對應 SQL 的 details)
+    EVENT_LOG_EXTRA_FIELDS: ['事件類型', '詳細資料'],
 
     // 佈告欄欄位
     ANNOUNCEMENT_FIELDS: {
@@ -226,9 +299,119 @@ module.exports = {
         OPPORTUNITIES_PER_PAGE: 10,
         INTERACTIONS_PER_PAGE: 15,
         KANBAN_CARDS_PER_STAGE: 5,
-        PRODUCTS_PER_PAGE: 50
+        PRODUCTS_PER_PAGE: 50,
+        // 列表查詢語法 (filter / sort / limit / cursor) 的預設與上限筆數
+        LIST_DEFAULT_LIMIT: 50,
+        LIST_MAX_LIMIT: 200
+    },
+
+    // 伺服器端匯出 (/api/export)：每批讀取筆數；XLSX 需在記憶體組檔，超過上限請改用 CSV / JSON
+    EXPORT: {
+        PAGE_SIZE: 500,
+        XLSX_MAX_ROWS: 50000
+    },
+
+    // 自訂欄位 (services/custom-field-service.js)：定義存於系統設定工作表 (設定類型 = CONFIG_TYPE)，
+    // 值存於各實體資料表的 custom_fields (jsonb) 欄
+    CUSTOM_FIELDS: {
+        CONFIG_TYPE: '自訂欄位',
+        ENTITIES: {
+            opportunity: '機會案件',
+            company: '公司',
+            contact: '聯絡人'
+        },
+        TYPES: {
+            text: '文字',
+            textarea: '多行文字',
+            number: '數字',
+            date: '日期',
+            select: '下拉選單',
+            checkbox: '勾選'
+        },
+        ROLES: ['admin', 'sales'],
+        MAX_PER_ENTITY: 30
+    },
+
+    // 事件範本 (services/event-template-service.js)：管理員於系統設定工作表 (設定類型 = CONFIG_TYPE) 新增事件類型，
+    // 或調整內建類型的區塊與欄位。自訂類型存於一般事件表 (event_type 欄)，範本欄位值存於 details (jsonb)；
+    // BUILT_IN 中的欄位沿用既有的專屬欄 (event_logs_iot / event_logs_dt 與對應工作表)。
+    EVENT_TEMPLATES: {
+        CONFIG_TYPE: '事件範本',
+        FIELD_TYPES: {
+            text: '文字',
+            textarea: '多行文字',
+            number: '數字',
+            select: '下拉選單',
+            multiselect: '複選'
+        },
+        MAX_SECTIONS: 10,
+        MAX_FIELDS: 40,
+        BUILT_IN: {
+            general: { label: '一般紀錄', icon: '📝', color: '#6c757d', order: 1, sections: [] },
+            iot: {
+                label: 'IoT 物聯網', icon: '🏭', color: '#007bff', order: 2,
+                sections: [{
+                    title: 'IOT 專屬資訊',
+                    fields: [
+                        { key: 'iot_deviceScale', label: '設備規模', type: 'textarea', placeholder: '例：機台數量 50 台、PLC 型號...' },
+                        { key: 'iot_lineFeatures', label: '生產線特徵', type: 'multiselect', options: ['工具機', 'ROBOT', '傳產機', 'PLC'] },
+                        { key: 'iot_productionStatus', label: '生產現況', type: 'textarea', placeholder: '請描述客戶目前的生產流程、稼動率或遇到的瓶頸...' },
+                        { key: 'iot_iotStatus', label: 'IoT現況', type: 'textarea', placeholder: '客戶是否已導入 MES、ERP 或其他聯網系統？' },
+                        { key: 'iot_painPoints', label: '痛點分類', type: 'multiselect', options: ['Monitoring', 'Improve OEE', 'Reduce Man-hours', 'Others'] },
+                        { key: 'iot_painPointDetails', label: '客戶痛點說明', type: 'textarea', placeholder: '請詳細描述客戶提出的具體困難點...' },
+                        { key: 'iot_painPointAnalysis', label: '痛點分析與對策', type: 'textarea', placeholder: '針對上述痛點，我方提出的分析觀點或初步對策...' },
+                        { key: 'iot_systemArchitecture', label: '系統架構', type: 'textarea', placeholder: '請描述預計導入的架構、硬體配置或軟體模組...' }
+                    ]
+                }]
+            },
+            dt: {
+                label: 'DT 數位雙生', icon: '📊', color: '#28a745', order: 3,
+                sections: [{
+                    title: 'DT 專屬資訊',
+                    fields: [
+                        { key: 'dt_deviceScale', label: '設備規模', type: 'text', placeholder: '例：預計導入機台數、場域大小...' },
+                        { key: 'dt_processingType', label: '加工類型', type: 'text', placeholder: '例：CNC、射出成型、組裝...' },
+                        { key: 'dt_industry', label: '加工產業別', type: 'text', placeholder: '例：航太、半導體、車用...' }
+                    ]
+                }]
+            },
+            dx: { label: 'DX 開發案件', icon: '🚀', color: '#ffc107', order: 4, sections: [] }
+        }
+    },
+
+    // 階段關卡 (services/stage-gate-service.js)：管理員於系統設定工作表 (設定類型 = CONFIG_TYPE) 依「機會階段 + 機會種類」
+    // 設定推進前的必填欄位與檢查。FIELDS 的鍵為更新 API 的欄位，dto 為 OpportunitySqlReader 讀出的鍵 (未列即同名)。
+    STAGE_GATES: {
+        CONFIG_TYPE: '階段關卡',
+        FIELDS: {
+            opportunityValue: { label: '機會價值', type: 'number' },
+            expectedCloseDate: { label: '預計結案日' },
+            potentialSpecification: { label: '產品明細', dto: 'productDetails' },
+            customerCompany: { label: '終端客戶' },
+            mainContact: { label: '終端窗口' },
+            salesChannel: { label: '主要通路/下單方' },
+            assignee: { label: '負責業務', dto: 'owner' },
+            orderProbability: { label: '下單機率', dto: 'winProbability' },
+            deviceScale: { label: '設備規模', dto: 'equipmentScale' },
+            driveFolderLink: { label: 'Drive資料夾連結', dto: 'driveLink' }
+        },
+        CHECKS: {
+            contacts: '關聯聯絡人',
+            eventLogs: '事件紀錄'
+        },
+        MAX_CHECK_COUNT: 20
     },
     
+    // 營收預測 (services/forecast-service.js)：進行中機會依預計結案月份分組，機會價值 × 下單機率 = 加權金額。
+    // 下單機率選項的「值2」可填百分比覆寫權重；未設定時依 PROBABILITY_WEIGHTS，再不符合則嘗試解析數字 (70、70%、0.7)。
+    FORECAST: {
+        WON_STAGE: '受注',
+        PROBABILITY_WEIGHTS: { '高': 0.8, '中': 0.5, '低': 0.2 },
+        DEFAULT_MONTHS: 6,
+        MAX_MONTHS: 24,
+        OVERDUE_LIST_LIMIT: 50
+    },
+
     // Follow-up 設定
     FOLLOW_UP: {
         DAYS_THRESHOLD: 7,
@@ -251,7 +434,9 @@ module.exports = {
             ARCHIVED: '已封存'
         },
         CONTACT_STATUS: {
-            UPGRADED: '已升級'
+            UPGRADED: '已升級',
+            FILED: '已建檔',
+            MERGED: '已合併'
         },
         DEFAULT_VALUES: {
             OPPORTUNITY_VALUE: '',
@@ -281,7 +466,7 @@ module.exports = {
 
     // 認證相關設定
     AUTH: {
-        JWT_SECRET: process.env.JWT_SECRET,
+        JWT_SECRET: memoryDefault(process.env.JWT_SECRET, 'memory-backend-secret'),
         JWT_EXPIRES_IN: '8h'
     }
 };
\ No newline at end of file
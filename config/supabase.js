@@ -1,21 +1,31 @@
 /**
  * config/supabase.js
  * Supabase client (SQL Read enabled)
+ * - BACKEND_MODE=MEMORY 時改用 fakes/memory-supabase (不需 SUPABASE_* 環境變數)
  */
 
 const { createClient } = require('@supabase/supabase-js');
+const config = require('../config');
 
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+function createSupabaseClient() {
+  if (config.BACKEND_MODE === 'MEMORY') {
+    return require('../fakes').getMemoryBackends().supabase;
+  }
 
-if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
-  throw new Error('Supabase env vars missing: SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY');
-}
+  const SUPABASE_URL = process.env.SUPABASE_URL;
+  const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
-  auth: {
-    persistSession: false
+  if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+    throw new Error('Supabase env vars missing: SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY');
   }
-});
+
+  return createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+    auth: {
+      persistSession: false
+    }
+  });
+}
+
+const supabase = createSupabaseClient();
 
 module.exports = { supabase };
@@ -0,0 +1,39 @@
+// controllers/audit.controller.js
+/**
+ * AuditController
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 欄位層級稽核紀錄查詢 (機會 / 公司詳細頁的變更歷史)。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class AuditController {
+    /**
+     * @param {AuditService} auditService
+     */
+    constructor(auditService) {
+        this.auditService = auditService;
+    }
+
+    // GET /api/audit?entity=opportunity&id=OPP_0001&actor=&limit=
+    getHistory = async (req, res) => {
+        try {
+            const { entity, id, actor, limit } = req.query;
+            if (entity && !this.auditService.isKnownEntity(entity)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `未知的實體類型: ${entity}`,
+                    entities: this.auditService.getEntities()
+                });
+            }
+
+            const data = await this.auditService.getHistory({ entity, entityId: id, actor, limit }, { role: req.user.role });
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Audit History');
+        }
+    };
+}
+
+module.exports = AuditController;
@@ -0,0 +1,70 @@
+// controllers/company-merge.controller.js
+/**
+ * CompanyMergeController
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 疑似重複公司清單、合併與復原，僅限管理員。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class CompanyMergeController {
+    /**
+     * @param {CompanyMergeService} companyMergeService
+     */
+    constructor(companyMergeService) {
+        this.companyMergeService = companyMergeService;
+    }
+
+    // GET /api/company-merges/duplicates?minScore=&limit=&companyId=
+    getDuplicates = async (req, res) => {
+        try {
+            const { minScore, limit, companyId } = req.query;
+            const data = await this.companyMergeService.findDuplicates({
+                minScore: minScore !== undefined ? Number(minScore) : undefined,
+                limit: limit !== undefined ? Number(limit) : undefined,
+                companyId: companyId || null
+            });
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Find Duplicate Companies');
+        }
+    };
+
+    // GET /api/company-merges?companyId=
+    getMerges = async (req, res) => {
+        try {
+            const data = await this.companyMergeService.getMerges({ companyId: req.query.companyId || null });
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'List Company Merges');
+        }
+    };
+
+    // POST /api/company-merges  { survivorId, mergedId }
+    mergeCompanies = async (req, res) => {
+        try {
+            const { survivorId, mergedId } = req.body || {};
+            const data = await this.companyMergeService.merge(survivorId, mergedId, req.user ? req.user.name : 'System');
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Merge Companies');
+        }
+    };
+
+    // POST /api/company-merges/:mergeId/undo
+    undoMerge = async (req, res) => {
+        try {
+            const { mergeId } = req.params;
+            const data = await this.companyMergeService.undo(mergeId, req.user ? req.user.name : 'System');
+            if (!data) {
+                return res.status(404).json({ success: false, error: `找不到合併紀錄 ${mergeId}` });
+            }
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Undo Company Merge');
+        }
+    };
+}
+
+module.exports = CompanyMergeController;
@@ -7,9 +7,24 @@
  * * 1. [Fix] getCompanies 支援過濾參數 (q, type, stage, rating)，解決搜尋失效問題。
  * * 2. [Fix] 實作 URI Double Decoding，防止特殊字元導致後端崩潰。
  * * 3. [Architecture] 採用 Class 結構以支援 Service Container 注入。
+ * * 4. [Link] 詳細資料 / 更新 / 刪除以 companyId 定位；舊版網址的公司名稱同名多筆時回 409 與候選清單。
+ * * 5. [Custom Fields] 自訂欄位值依登入者角色過濾 (middleware/custom-field.middleware.js，所有回應一併處理)。
  */
 
 const { handleApiError } = require('../middleware/error.middleware');
+const listQuery = require('../utils/list-query');
+const companyLink = require('../utils/company-link');
+const { getExpectedVersion, stripVersionFields } = require('../utils/concurrency');
+
+/**
+ * 同名公司不只一家 (舊版網址以名稱定位) -> 409，附上候選公司讓前端改用 companyId
+ * @returns {boolean} 是否已回應
+ */
+function respondAmbiguous(res, error) {
+    if (!companyLink.isAmbiguous(error)) return false;
+    res.status(409).json({ success: false, error: error.message, code: error.code, candidates: error.candidates });
+    return true;
+}
 
 class CompanyController {
     /**
@@ -26,6 +41,11 @@ class CompanyController {
      */
     getCompanies = async (req, res) => {
         try {
+            if (req.listQuery) {
+                const result = await this.companyService.queryCompanies(req.listQuery);
+                return res.json({ success: true, data: result.items, pagination: listQuery.toPagination(req.listQuery, result) });
+            }
+
             // [Fix] 從 req.query 提取過濾條件
             // 這些參數將傳遞給 Service 進行記憶體內過濾
             const filters = {
@@ -65,56 +85,57 @@ class CompanyController {
 
     /**
      * 取得公司詳細資料 (含關聯資料)
-     * GET /api/companies/:companyName/details
+     * GET /api/companies/:companyId/details
      */
     getCompanyDetails = async (req, res) => {
         try {
             // [Security] 針對 URL 參數進行解碼，防止 % 符號或斜線造成錯誤
-            const companyName = decodeURIComponent(req.params.companyName);
+            const companyId = decodeURIComponent(req.params.companyId);
             
-            const result = await this.companyService.getCompanyDetails(companyName);
+            const result = await this.companyService.getCompanyDetails(companyId);
             res.json({ success: true, data: result });
         } catch (error) {
+            if (respondAmbiguous(res, error)) return;
             handleApiError(res, error, 'Get Company Details');
         }
     };
 
     /**
      * 更新公司資料
-     * PUT /api/companies/:companyName
+     * PUT /api/companies/:companyId
+     * 版本檢查：If-Match 或 body.expectedVersion (不符回 409 + current)
      */
     updateCompany = async (req, res) => {
         try {
-            const companyName = decodeURIComponent(req.params.companyName);
+            const companyId = decodeURIComponent(req.params.companyId);
             
             // 呼叫 Service 更新邏輯
             const result = await this.companyService.updateCompany(
-                companyName, 
-                req.body, 
-                req.user
+                companyId, 
+                stripVersionFields(req.body), 
+                req.user,
+                { expectedVersion: getExpectedVersion(req) }
             );
             
             res.json(result);
         } catch (error) {
+            if (respondAmbiguous(res, error)) return;
             handleApiError(res, error, 'Update Company');
         }
     };
 
     /**
      * 刪除公司
-     * DELETE /api/companies/:companyName
+     * DELETE /api/companies/:companyId
      */
     deleteCompany = async (req, res) => {
         try {
-            const companyName = decodeURIComponent(req.params.companyName);
+            const companyId = decodeURIComponent(req.params.companyId);
             
-            const result = await this.companyService.deleteCompany(companyName, req.user);
+            const result = await this.companyService.deleteCompany(companyId, req.user);
             res.json(result);
         } catch (error) {
-            // 特別處理「有關聯資料無法刪除」的邏輯錯誤，回傳 400 讓前端顯示 Toast
-            if (error.message && error.message.startsWith('無法刪除')) {
-                return res.status(400).json({ success: false, error: error.message });
-            }
+            if (respondAmbiguous(res, error)) return;
             handleApiError(res, error, 'Delete Company');
         }
     };
@@ -1,24 +1,30 @@
 /**
  * controllers/contact.controller.js
  * 聯絡人模組控制器
- * * @version 6.1.1
- * * @date 2026-01-15
+ * * @version 6.3.0
+ * * @date 2026-10-19
  * * @description 負責處理聯絡人相關的 HTTP 請求，驗證參數，並呼叫對應的 Service。
  * * 修復了 API 回傳格式以符合前端 contacts.js 的預期 ({ data: [] })。
+ * * 潛在客戶升級/歸檔改以 originalId 定位；:rowIndex 路由僅保留為 Deprecated 相容路徑。
+ * * 重複偵測與合併委派 ContactMergeService (正式聯絡人 + 名片)。
  */
 
 const { handleApiError } = require('../middleware/error.middleware');
+const listQuery = require('../utils/list-query');
+const { getExpectedVersion, stripVersionFields } = require('../utils/concurrency');
 
 class ContactController {
     /**
      * @param {ContactService} contactService - 核心業務服務
      * @param {WorkflowService} workflowService - 跨模組工作流服務 (用於升級、歸檔)
      * @param {ContactWriter} contactWriter - (Legacy) 部分舊邏輯可能需要的寫入器
+     * @param {ContactMergeService} [contactMergeService] - 重複偵測與合併
      */
-    constructor(contactService, workflowService, contactWriter) {
+    constructor(contactService, workflowService, contactWriter, contactMergeService = null) {
         this.contactService = contactService;
         this.workflowService = workflowService;
         this.contactWriter = contactWriter;
+        this.contactMergeService = contactMergeService;
     }
 
     /**
@@ -62,6 +68,11 @@ class ContactController {
      */
     searchContactList = async (req, res) => {
         try {
+            if (req.listQuery) {
+                const result = await this.contactService.queryOfficialContacts(req.listQuery);
+                return res.json({ success: true, data: result.items, pagination: listQuery.toPagination(req.listQuery, result) });
+            }
+
             const query = req.query.q || '';
             const page = parseInt(req.query.page || 1);
             
@@ -73,13 +84,30 @@ class ContactController {
     };
 
     /**
-     * POST /api/contacts/:rowIndex/upgrade
+     * 取得潛在客戶 originalId。
+     * 舊版 :rowIndex 路由先換算為 ID，並以 Deprecation 標頭提示改用新路徑。
+     */
+    async _resolvePotentialContactId(req, res, action) {
+        if (req.params.originalId) return req.params.originalId;
+
+        const rowIndex = parseInt(req.params.rowIndex);
+        const originalId = await this.contactService.getPotentialContactIdByRow(rowIndex);
+
+        console.warn(`[ContactController] Deprecated row-based route used: ${req.method} ${req.originalUrl}`);
+        res.set('Deprecation', 'true');
+        res.set('Link', `</api/contacts/potential/${encodeURIComponent(originalId)}/${action}>; rel="successor-version"`);
+        return originalId;
+    }
+
+    /**
+     * POST /api/contacts/potential/:originalId/upgrade
+     * (Deprecated) POST /api/contacts/:rowIndex/upgrade
      * 將潛在客戶升級為機會案件 (Opportunity)
      * 依賴: WorkflowService
      */
     upgradeContact = async (req, res) => {
         try {
-            const rowIndex = parseInt(req.params.rowIndex);
+            const originalId = await this._resolvePotentialContactId(req, res, 'upgrade');
             const user = req.user ? req.user.name : 'System';
 
             // 防呆檢查：確保 WorkflowService 已注入
@@ -88,10 +116,10 @@ class ContactController {
                 throw new Error('系統內部錯誤: WorkflowService 未初始化');
             }
 
-            console.log(`[ContactController] Upgrading contact at row ${rowIndex} by ${user}`);
+            console.log(`[ContactController] Upgrading potential contact ${originalId} by ${user}`);
 
             const result = await this.workflowService.upgradeContactToOpportunity(
-                rowIndex, 
+                originalId, 
                 req.body, 
                 user
             );
@@ -104,6 +132,7 @@ class ContactController {
     /**
      * PUT /api/contacts/:contactId
      * 更新正式聯絡人資料
+     * 版本檢查：If-Match 或 body.expectedVersion (不符回 409 + current)
      */
     updateContact = async (req, res) => {
         try {
@@ -112,8 +141,9 @@ class ContactController {
 
             const result = await this.contactService.updateContact(
                 contactId, 
-                req.body, 
-                user
+                stripVersionFields(req.body), 
+                user,
+                { expectedVersion: getExpectedVersion(req) }
             );
             res.json(result);
         } catch (error) {
@@ -121,6 +151,60 @@ class ContactController {
         }
     };
 
+    /**
+     * DELETE /api/contacts/:contactId
+     * 刪除正式聯絡人 (軟刪除，管理員可於回收桶還原)
+     */
+    deleteContact = async (req, res) => {
+        try {
+            const result = await this.contactService.deleteContact(req.params.contactId, req.user);
+            res.json(result);
+        } catch (error) {
+            handleApiError(res, error, 'Delete Contact');
+        }
+    };
+
+    /**
+     * GET /api/contacts/duplicates
+     * 正式聯絡人與名片的疑似重複群組
+     */
+    getDuplicates = async (req, res) => {
+        try {
+            const limit = req.query.limit !== undefined ? Number(req.query.limit) : undefined;
+            const data = await this.contactMergeService.findDuplicates({ limit });
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Find Duplicate Contacts');
+        }
+    };
+
+    /**
+     * GET /api/contacts/merges?survivorId=
+     */
+    getMerges = async (req, res) => {
+        try {
+            const data = await this.contactMergeService.getMerges({ survivorId: req.query.survivorId || null });
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'List Contact Merges');
+        }
+    };
+
+    /**
+     * POST /api/contacts/merge
+     * 合併聯絡人：機會關聯移轉到存續聯絡人，被合併的名片標記為「已合併」(圖檔保留)
+     */
+    mergeContacts = async (req, res) => {
+        try {
+            const { survivor, merged } = req.body || {};
+            const user = req.user ? req.user.name : 'System';
+            const data = await this.contactMergeService.merge(survivor, merged, user);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Merge Contacts');
+        }
+    };
+
     /**
      * POST /api/contacts/:contactId/link-card
      * 將潛在客戶的名片圖檔連結到正式聯絡人
@@ -147,16 +231,18 @@ class ContactController {
     };
 
     /**
-     * POST /api/contacts/:rowIndex/file
-     * 將潛在客戶歸檔 (隱藏/標記為 Dropped)
+     * POST /api/contacts/potential/:originalId/file
+     * (Deprecated) POST /api/contacts/:rowIndex/file
+     * 將潛在客戶建檔為正式聯絡人 (名片狀態改為「已建檔」)
+     * 依賴: WorkflowService
      */
     fileContact = async (req, res) => {
         try {
-            const rowIndex = parseInt(req.params.rowIndex);
+            const originalId = await this._resolvePotentialContactId(req, res, 'file');
             const user = req.user ? req.user.name : 'System';
 
             const result = await this.workflowService.fileContact(
-                rowIndex, 
+                originalId, 
                 user
             );
             res.json(result);
@@ -0,0 +1,67 @@
+// controllers/custom-field.controller.js
+/**
+ * CustomFieldController
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 自訂欄位定義的查詢 / 維護 (管理員) 與單筆資料的欄位值查詢，皆依登入者角色過濾。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class CustomFieldController {
+    /**
+     * @param {CustomFieldService} customFieldService
+     */
+    constructor(customFieldService) {
+        this.customFieldService = customFieldService;
+    }
+
+    // GET /api/custom-fields?all=1 (all：管理員含停用欄位)
+    getFields = async (req, res) => {
+        try {
+            const role = req.user ? req.user.role : undefined;
+            const includeDisabled = role === 'admin' && (req.query.all === '1' || req.query.all === 'true');
+            const data = await this.customFieldService.getAllFields({ role, includeDisabled });
+            res.json({ success: true, data, meta: this.customFieldService.getMeta() });
+        } catch (error) {
+            handleApiError(res, error, 'Get Custom Fields');
+        }
+    };
+
+    // POST /api/custom-fields (管理員：以 entity + key 新增或更新)
+    saveField = async (req, res) => {
+        try {
+            const data = await this.customFieldService.saveField(req.body, req.user ? req.user.name : 'System');
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Save Custom Field');
+        }
+    };
+
+    // DELETE /api/custom-fields/:entity/:key (管理員：停用，已儲存的值保留)
+    disableField = async (req, res) => {
+        try {
+            const { entity, key } = req.params;
+            const data = await this.customFieldService.disableField(entity, key, req.user ? req.user.name : 'System');
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Disable Custom Field');
+        }
+    };
+
+    // GET /api/custom-fields/:entity/:entityId/values
+    getValues = async (req, res) => {
+        try {
+            const { entity, entityId } = req.params;
+            const data = await this.customFieldService.getValues(entity, entityId, req.user ? req.user.role : undefined);
+            if (!data) {
+                return res.status(404).json({ success: false, error: `找不到資料 ${entity} ${entityId}` });
+            }
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Custom Field Values');
+        }
+    };
+}
+
+module.exports = CustomFieldController;
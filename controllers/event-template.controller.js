@@ -0,0 +1,50 @@
+// controllers/event-template.controller.js
+/**
+ * EventTemplateController
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 事件範本 (事件類型的區塊與欄位) 的查詢與維護 (管理員)。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class EventTemplateController {
+    /**
+     * @param {EventTemplateService} eventTemplateService
+     */
+    constructor(eventTemplateService) {
+        this.eventTemplateService = eventTemplateService;
+    }
+
+    // GET /api/event-templates (含停用的類型：既有事件仍依原範本顯示，新增時只列出 enabled 的類型)
+    getTemplates = async (req, res) => {
+        try {
+            const data = await this.eventTemplateService.getTemplates({ includeDisabled: true });
+            res.json({ success: true, data, meta: this.eventTemplateService.getMeta() });
+        } catch (error) {
+            handleApiError(res, error, 'Get Event Templates');
+        }
+    };
+
+    // POST /api/event-templates (管理員：以類型代碼新增或更新)
+    saveTemplate = async (req, res) => {
+        try {
+            const data = await this.eventTemplateService.saveTemplate(req.body, req.user ? req.user.name : 'System');
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Save Event Template');
+        }
+    };
+
+    // DELETE /api/event-templates/:type (管理員：停用自訂類型 / 內建類型恢復預設)
+    disableTemplate = async (req, res) => {
+        try {
+            const data = await this.eventTemplateService.disableTemplate(req.params.type, req.user ? req.user.name : 'System');
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Disable Event Template');
+        }
+    };
+}
+
+module.exports = EventTemplateController;
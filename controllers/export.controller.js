@@ -0,0 +1,109 @@
+// controllers/export.controller.js
+/**
+ * ExportController
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 各實體資料匯出 (GET /api/export/:entity?format=csv|xlsx|json + 列表篩選參數)。
+ * CSV / JSON 逐批寫入回應 (尊重 backpressure)；XLSX 需在記憶體組檔，筆數上限為 config.EXPORT.XLSX_MAX_ROWS。
+ * 輸出開始後才發生的錯誤無法再回應 JSON，只能中斷連線。
+ */
+
+const config = require('../config');
+const tabularFile = require('../utils/tabular-file');
+const { handleApiError } = require('../middleware/error.middleware');
+const { createBusinessError } = require('../utils/business-error');
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// 緩衝區滿時等待 drain；使用者中斷下載 (close) 時停止讀取後續批次
+function waitForDrain(res) {
+    return new Promise((resolve, reject) => {
+        const cleanup = () => {
+            res.removeListener('drain', onDrain);
+            res.removeListener('close', onClose);
+        };
+        const onDrain = () => { cleanup(); resolve(); };
+        const onClose = () => { cleanup(); reject(new Error('使用者已中斷下載')); };
+        res.on('drain', onDrain);
+        res.on('close', onClose);
+    });
+}
+
+// 試算表儲存格：物件 (例如產品明細) 轉為 JSON 文字
+function toCell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+class ExportController {
+    /**
+     * @param {ExportService} exportService
+     */
+    constructor(exportService) {
+        this.exportService = exportService;
+    }
+
+    // GET /api/export/:entity
+    exportEntity = async (req, res) => {
+        let started = false;
+        try {
+            const { format, ...query } = req.query;
+            const result = await this.exportService.prepare(req.params.entity, format, query, req.user);
+            const keys = result.columns.map(c => c.key);
+
+            if (result.format === 'xlsx') {
+                const rows = [];
+                for await (const batch of result.batches) {
+                    batch.forEach(item => rows.push(keys.map(key => toCell(item[key]))));
+                    if (rows.length > config.EXPORT.XLSX_MAX_ROWS) {
+                        throw createBusinessError(`無法匯出：XLSX 最多 ${config.EXPORT.XLSX_MAX_ROWS} 筆，請縮小篩選範圍或改用 CSV / JSON`);
+                    }
+                }
+                const buffer = tabularFile.buildXlsx(result.columns.map(c => c.label), rows, { sheetName: result.sheetName });
+                this._setHeaders(res, result);
+                return res.end(buffer);
+            }
+
+            this._setHeaders(res, result);
+            started = true;
+            const write = async (chunk) => {
+                if (!res.write(chunk)) await waitForDrain(res);
+            };
+
+            if (result.format === 'csv') {
+                // BOM：讓 Excel 以 UTF-8 開啟
+                await write(`\uFEFF${tabularFile.csvLine(result.columns.map(c => c.label))}`);
+                for await (const batch of result.batches) {
+                    await write(batch.map(item => tabularFile.csvLine(keys.map(key => toCell(item[key])))).join(''));
+                }
+            } else {
+                let first = true;
+                await write('[');
+                for await (const batch of result.batches) {
+                    const records = batch.map(item => JSON.stringify(Object.fromEntries(keys.map(key => [key, item[key] === undefined ? null : item[key]]))));
+                    await write(`${first ? '' : ','}${records.join(',')}`);
+                    first = false;
+                }
+                await write(']');
+            }
+            res.end();
+        } catch (error) {
+            if (!started) return handleApiError(res, error, 'Export');
+            console.error('⚠ Export 輸出中斷:', error.message);
+            res.destroy(error);
+        }
+    };
+
+    _setHeaders(res, result) {
+        res.setHeader('Content-Type', CONTENT_TYPES[result.format]);
+        res.setHeader('Content-Disposition', `attachment; filename="${result.fileName}"`);
+        res.setHeader('Cache-Control', 'no-store');
+    }
+}
+
+module.exports = ExportController;
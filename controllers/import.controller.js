@@ -0,0 +1,53 @@
+// controllers/import.controller.js
+/**
+ * ImportController
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 公司 / 聯絡人 / 機會批次匯入 (CSV / XLSX)：欄位清單、預覽與執行。
+ * 檔案以 JSON 傳送 { file: { name, content (base64) }, mapping }，大小受 express.json 上限 (10mb) 限制。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class ImportController {
+    /**
+     * @param {ImportService} importService
+     */
+    constructor(importService) {
+        this.importService = importService;
+    }
+
+    // GET /api/imports/:entity/fields
+    getFields = async (req, res) => {
+        try {
+            const data = this.importService.getFields(req.params.entity);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Import Fields');
+        }
+    };
+
+    // POST /api/imports/:entity/preview  { file: { name, content }, mapping }
+    preview = async (req, res) => {
+        try {
+            const { file, mapping } = req.body || {};
+            const data = await this.importService.preview(req.params.entity, file, mapping || null);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Import Preview');
+        }
+    };
+
+    // POST /api/imports/:entity/commit  { file: { name, content }, mapping }
+    commit = async (req, res) => {
+        try {
+            const { file, mapping } = req.body || {};
+            const data = await this.importService.commit(req.params.entity, file, mapping || null, req.user);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Import Commit');
+        }
+    };
+}
+
+module.exports = ImportController;
@@ -0,0 +1,44 @@
+// controllers/integrity.controller.js
+/**
+ * IntegrityController
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 資料完整性報告與安全修復，僅限管理員。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class IntegrityController {
+    /**
+     * @param {IntegrityService} integrityService
+     */
+    constructor(integrityService) {
+        this.integrityService = integrityService;
+    }
+
+    // GET /api/admin/integrity
+    getReport = async (req, res) => {
+        try {
+            const data = await this.integrityService.scan();
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Integrity Scan');
+        }
+    };
+
+    // POST /api/admin/integrity/:checkId/repair
+    repair = async (req, res) => {
+        try {
+            const { checkId } = req.params;
+            const data = await this.integrityService.repair(checkId, req.user ? req.user.name : 'System');
+            if (!data) {
+                return res.status(404).json({ success: false, error: `找不到檢查項目 ${checkId}` });
+            }
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Integrity Repair');
+        }
+    };
+}
+
+module.exports = IntegrityController;
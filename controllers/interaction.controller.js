@@ -7,6 +7,7 @@
  */
 
 const { handleApiError } = require('../middleware/error.middleware');
+const listQuery = require('../utils/list-query');
 
 class InteractionController {
     /**
@@ -20,6 +21,11 @@ class InteractionController {
     // GET /api/interactions (or /api/interactions/all)
     getInteractions = async (req, res) => {
         try {
+            if (req.listQuery) {
+                const result = await this.interactionService.queryInteractions(req.listQuery);
+                return res.json({ success: true, data: result.items, pagination: listQuery.toPagination(req.listQuery, result) });
+            }
+
             const page = parseInt(req.query.page) || 1;
             const limit = parseInt(req.query.limit) || 20;
             
@@ -1,8 +1,8 @@
 /**
  * controllers/line-leads.controller.js
  * LINE LIFF 潛在客戶控制器
- * * @version 7.1.3 (Line-Leads L1→L2)
- * @date 2026-01-26
+ * * @version 7.2.0 (Leads addressed by originalId)
+ * @date 2026-10-19
  * @description Line-Leads L1→L2：移除 Controller 內 Token 驗證實作與 Writer 直接依賴，改由 AuthService + ContactService 承擔。
  * @contract 遵守契約 v1.0：DOM/API/localStorage 不變。
  */
@@ -58,7 +58,8 @@ class LineLeadsController {
         }
     };
 
-    // PUT /api/line/leads/:rowIndex
+    // PUT /api/line/leads/by-id/:originalId
+    // (Deprecated) PUT /api/line/leads/:rowIndex
     updateLead = async (req, res) => {
         try {
             // 1. 驗證 (同上)
@@ -71,15 +72,23 @@ class LineLeadsController {
                 if (!user) return res.status(401).json({ success: false, message: 'Invalid Token' });
             }
 
-            // 2. 執行更新
-            const rowIndex = parseInt(req.params.rowIndex);
+            // 2. 定位：舊版 rowIndex 路由先換算為 originalId
+            let originalId = req.params.originalId;
+            if (!originalId) {
+                originalId = await this.contactService.getPotentialContactIdByRow(parseInt(req.params.rowIndex));
+                console.warn(`[LineLeadsController] Deprecated row-based route used: ${req.originalUrl}`);
+                res.set('Deprecation', 'true');
+                res.set('Link', `</api/line/leads/by-id/${encodeURIComponent(originalId)}>; rel="successor-version"`);
+            }
+
+            // 3. 執行更新
             const updateData = req.body;
 
             // ★ 行為等價：保持原本 modifier 規則（只看 body，否則 LineUser）
             const modifier = updateData.modifier || 'LineUser';
 
             // L2：寫入統一委派至 ContactService（移除 Writer 直接依賴）
-            await this.contactService.updatePotentialContact(rowIndex, updateData, modifier);
+            await this.contactService.updatePotentialContact(originalId, updateData, modifier);
 
             res.json({ success: true, message: '更新成功' });
 
@@ -4,9 +4,13 @@
  * * @version 6.0.0 (Phase 4 - SQL Transition - ID Based)
  * @date 2026-02-06
  * @description 機會案件控制器，已移除所有 rowIndex 依賴，全面轉向 opportunityId。
+ * 自訂欄位值依登入者角色過濾 (middleware/custom-field.middleware.js，所有回應一併處理)。
+ * 推進階段未符合階段關卡時回 422 + unmet (見 utils/stage-gate.js)。
  */
 
 const { handleApiError } = require('../middleware/error.middleware');
+const listQuery = require('../utils/list-query');
+const { getExpectedVersion, stripVersionFields } = require('../utils/concurrency');
 
 class OpportunityController {
     /**
@@ -47,6 +51,12 @@ class OpportunityController {
     // GET /api/opportunities/ (Search)
     searchOpportunities = async (req, res) => {
         try {
+            // 列表查詢語法：下推到 SQL 並以 cursor 分頁 (舊參數維持回傳完整陣列)
+            if (req.listQuery) {
+                const page = await this.opportunityService.queryOpportunities(req.listQuery);
+                return res.json({ success: true, data: page.items, pagination: listQuery.toPagination(req.listQuery, page) });
+            }
+
             const { q, page = 0, assignee, type, stage } = req.query;
             const filters = { assignee, type, stage };
             Object.keys(filters).forEach(key => (filters[key] === undefined || filters[key] === '') && delete filters[key]);
@@ -68,11 +78,21 @@ class OpportunityController {
         }
     };
 
+    // GET /api/opportunities/:opportunityId/stage-gates
+    getStageGateChecklist = async (req, res) => {
+        try {
+            const data = await this.opportunityService.getStageGateChecklist(req.params.opportunityId);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Stage Gate Checklist');
+        }
+    };
+
     // POST /api/opportunities/
     createOpportunity = async (req, res) => {
         try {
-            // 使用 WorkflowService 處理建立邏輯 (可能包含發通知等)
-            const result = await this.workflowService.createOpportunity(req.body, req.user.name);
+            // 建立時指定的階段需符合階段關卡 (不符回 422 + unmet)
+            const result = await this.opportunityService.createOpportunity(req.body, req.user);
             res.json(result);
         } catch (error) {
             handleApiError(res, error, 'Create Opp');
@@ -90,13 +110,15 @@ class OpportunityController {
     };
 
     // PUT /api/opportunities/:opportunityId
+    // 版本檢查：If-Match 或 body.expectedVersion (不符回 409 + current)
     updateOpportunity = async (req, res) => {
         try {
             // [Modified] Extract opportunityId string, no parseInt
             const result = await this.opportunityService.updateOpportunity(
                 req.params.opportunityId, 
-                req.body, 
-                req.user
+                stripVersionFields(req.body), 
+                req.user,
+                { expectedVersion: getExpectedVersion(req) }
             );
             res.json(result);
         } catch (error) {
@@ -33,7 +33,7 @@ class ProductController {
             const { q } = req.query;
             const filters = q ? { search: q } : {};
             
-            const data = await this.productService.getAllProducts(filters);
+            const data = await this.productService.getAllProducts(filters, { includeConfidential: req.user.role === 'admin' });
             res.json({ success: true, data: data, count: data.length });
         } catch (error) {
             console.error('[ProductController] getProducts Error:', error);
@@ -14,4 +14,15 @@ exports.getSalesAnalysis = async (req, res) => {
     } catch (error) { 
         handleApiError(res, error, 'Sales Analysis'); 
     }
-};
\ No newline at end of file
+};
+
+// GET /api/sales-analysis/forecast?months=6
+exports.getForecast = async (req, res) => {
+    try {
+        const { forecastService } = getServices(req);
+        const data = await forecastService.getForecast({ months: req.query.months });
+        res.json({ success: true, data });
+    } catch (error) {
+        handleApiError(res, error, 'Sales Forecast');
+    }
+};
@@ -0,0 +1,45 @@
+// controllers/search.controller.js
+/**
+ * SearchController
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 全域搜尋 (頁首搜尋框)：跨公司 / 聯絡人 / 名片 / 機會 / 互動 / 事件，依實體分組並排序。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class SearchController {
+    /**
+     * @param {SearchService} searchService
+     */
+    constructor(searchService) {
+        this.searchService = searchService;
+    }
+
+    // GET /api/search?q=...&types=opportunity,company&limit=5
+    search = async (req, res) => {
+        try {
+            const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+            if (!q) {
+                return res.status(400).json({ success: false, error: '請輸入搜尋關鍵字 (q)' });
+            }
+
+            const types = req.query.types ? String(req.query.types).split(',').map(t => t.trim()).filter(Boolean) : [];
+            const unknown = types.filter(t => !this.searchService.getEntities().includes(t));
+            if (unknown.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: `未知的實體類型: ${unknown.join(', ')}`,
+                    entities: this.searchService.getEntities()
+                });
+            }
+
+            const data = await this.searchService.search(q, { types, limit: req.query.limit });
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Global Search');
+        }
+    };
+}
+
+module.exports = SearchController;
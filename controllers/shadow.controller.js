@@ -0,0 +1,51 @@
+// controllers/shadow.controller.js
+/**
+ * ShadowController
+ * * @version 1.0.0 (Phase 8 - Data Source Cutover)
+ * @date 2026-10-19
+ * @description 影子模式 (Sheet/SQL 雙寫) 差異報表，僅限管理員。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class ShadowController {
+    /**
+     * @param {ShadowService} shadowService
+     */
+    constructor(shadowService) {
+        this.shadowService = shadowService;
+    }
+
+    // GET /api/admin/shadow/summary
+    getSummary = async (req, res) => {
+        try {
+            res.json({ success: true, data: await this.shadowService.getSummary() });
+        } catch (error) {
+            handleApiError(res, error, 'Get Shadow Summary');
+        }
+    };
+
+    // GET /api/admin/shadow/entries?entity=&field=&type=&limit=
+    getEntries = async (req, res) => {
+        try {
+            const { entity, field, type } = req.query;
+            const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+            const data = await this.shadowService.getEntries({ entity, field, type, limit });
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Shadow Entries');
+        }
+    };
+
+    // DELETE /api/admin/shadow/entries
+    clearEntries = async (req, res) => {
+        try {
+            await this.shadowService.clear();
+            res.json({ success: true });
+        } catch (error) {
+            handleApiError(res, error, 'Clear Shadow Entries');
+        }
+    };
+}
+
+module.exports = ShadowController;
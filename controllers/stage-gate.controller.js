@@ -0,0 +1,55 @@
+// controllers/stage-gate.controller.js
+/**
+ * StageGateController
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 階段關卡 (機會推進階段前的必填欄位與檢查) 的查詢與維護 (管理員)。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class StageGateController {
+    /**
+     * @param {StageGateService} stageGateService
+     */
+    constructor(stageGateService) {
+        this.stageGateService = stageGateService;
+    }
+
+    // GET /api/stage-gates (?all=1 含停用的規則)
+    getRules = async (req, res) => {
+        try {
+            const includeDisabled = req.query.all === '1' || req.query.all === 'true';
+            const data = await this.stageGateService.getRules({ includeDisabled });
+            res.json({ success: true, data, meta: this.stageGateService.getMeta() });
+        } catch (error) {
+            handleApiError(res, error, 'Get Stage Gates');
+        }
+    };
+
+    // POST /api/stage-gates (管理員：以「機會階段 + 機會種類」新增或更新)
+    saveRule = async (req, res) => {
+        try {
+            const data = await this.stageGateService.saveRule(req.body, req.user ? req.user.name : 'System');
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Save Stage Gate');
+        }
+    };
+
+    // DELETE /api/stage-gates/:stage?opportunityType= (管理員：停用規則)
+    disableRule = async (req, res) => {
+        try {
+            const data = await this.stageGateService.disableRule(
+                req.params.stage,
+                req.query.opportunityType || '',
+                req.user ? req.user.name : 'System'
+            );
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Disable Stage Gate');
+        }
+    };
+}
+
+module.exports = StageGateController;
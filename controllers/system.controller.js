@@ -2,6 +2,7 @@
 const { handleApiError } = require('../middleware/error.middleware');
 // [New] 引入 SystemService 以支援向後相容的內部實例化
 const SystemService = require('../services/system-service');
+const { REQUEST_SCHEMAS } = require('../data/request-schemas');
 
 class SystemController {
     /**
@@ -45,6 +46,16 @@ class SystemController {
         }
     };
 
+    // 處理 GET /api/cache/stats
+    getCacheStats = async (req, res) => {
+        try {
+            const result = await this.systemService.getCacheStats();
+            res.json(result);
+        } catch (error) {
+            handleApiError(res, error, 'Get Cache Stats');
+        }
+    };
+
     // 處理 GET /api/system/status
     getSystemStatus = async (req, res) => {
         try {
@@ -55,6 +66,11 @@ class SystemController {
         }
     };
 
+    // 處理 GET /api/schemas (寫入 API 的驗證規則，前端表單以相同規則先行檢查)
+    getRequestSchemas = (req, res) => {
+        res.json({ success: true, data: REQUEST_SCHEMAS });
+    };
+
     // --- Dashboard 聚合方法 (維持使用 DashboardService) ---
 
     // 處理 GET /api/dashboard
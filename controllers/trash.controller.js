@@ -0,0 +1,73 @@
+// controllers/trash.controller.js
+/**
+ * TrashController
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 回收桶：列出、還原、永久刪除軟刪除的紀錄，僅限管理員。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class TrashController {
+    /**
+     * @param {TrashService} trashService
+     */
+    constructor(trashService) {
+        this.trashService = trashService;
+    }
+
+    _rejectUnknownEntity(req, res) {
+        const entity = req.params.entity || req.query.entity;
+        if (!entity || this.trashService.isKnownEntity(entity)) return false;
+
+        res.status(400).json({
+            success: false,
+            error: `未知的實體類型: ${entity}`,
+            entities: this.trashService.getEntities()
+        });
+        return true;
+    }
+
+    // GET /api/trash?entity=
+    listItems = async (req, res) => {
+        try {
+            if (this._rejectUnknownEntity(req, res)) return;
+            const data = await this.trashService.listItems(req.query.entity);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'List Trash');
+        }
+    };
+
+    // POST /api/trash/:entity/:id/restore
+    restoreItem = async (req, res) => {
+        try {
+            if (this._rejectUnknownEntity(req, res)) return;
+            const { entity, id } = req.params;
+            const item = await this.trashService.restoreItem(entity, id, req.user ? req.user.name : 'System');
+            if (!item) {
+                return res.status(404).json({ success: false, error: `回收桶內找不到 ${entity} ${id}` });
+            }
+            res.json({ success: true, data: item });
+        } catch (error) {
+            handleApiError(res, error, 'Restore Trash Item');
+        }
+    };
+
+    // DELETE /api/trash/:entity/:id
+    purgeItem = async (req, res) => {
+        try {
+            if (this._rejectUnknownEntity(req, res)) return;
+            const { entity, id } = req.params;
+            const item = await this.trashService.purgeItem(entity, id, req.user ? req.user.name : 'System');
+            if (!item) {
+                return res.status(404).json({ success: false, error: `回收桶內找不到 ${entity} ${id}` });
+            }
+            res.json({ success: true, data: item });
+        } catch (error) {
+            handleApiError(res, error, 'Purge Trash Item');
+        }
+    };
+}
+
+module.exports = TrashController;
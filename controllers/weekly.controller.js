@@ -101,10 +101,9 @@ class WeeklyController {
     deleteEntry = async (req, res) => {
         try {
             const { recordId } = req.params;
-            const { rowIndex } = req.body; // 從前端傳入 rowIndex 以加速刪除
-            
-            // 修正：現在直接呼叫 Service 方法，不再穿透到 Writer
-            const result = await this.weeklyBusinessService.deleteWeeklyBusinessEntry(recordId, rowIndex);
+
+            // 修正：現在直接呼叫 Service 方法，不再穿透到 Writer (SQL 以 recordId 定位，不需 rowIndex)
+            const result = await this.weeklyBusinessService.deleteWeeklyBusinessEntry(recordId, req.user.name);
             res.json(result);
         } catch (error) {
             handleApiError(res, error, 'Delete Weekly Entry');
@@ -7,14 +7,32 @@
  * - Version: 1.0.0
  * - Date: 2026-02-05
  * - Description: Handles CUD operations for Announcements. STRICTLY enforces Service-generated IDs.
+ * - Audit: 注入 AuditSqlWriter 時，每次寫入逐欄寫入稽核紀錄 (audit_logs，entity = announcement)
  */
 
 const { supabase } = require('../config/supabase');
+const { invalidatesOnWrite } = require('./cache/write-hook');
+const { ENTITY_TAGS } = require('./cache/cache-policy');
 
 class AnnouncementSqlWriter {
 
-    constructor() {
+    /**
+     * @param {AuditSqlWriter} [auditSqlWriter] - Field-level audit (skipped when not injected)
+     */
+    constructor(auditSqlWriter = null) {
         this.tableName = 'announcements';
+        this.auditSqlWriter = auditSqlWriter;
+    }
+
+    async _audit(entry) {
+        if (!this.auditSqlWriter) return;
+        await this.auditSqlWriter.record({ entity: 'announcement', ...entry });
+    }
+
+    async _snapshot(id) {
+        return this.auditSqlWriter
+            ? this.auditSqlWriter.snapshot(this.tableName, 'id', id)
+            : null;
     }
 
     /**
@@ -53,6 +71,8 @@ class AnnouncementSqlWriter {
             throw new Error(`DB Insert Error: ${error.message}`);
         }
 
+        await this._audit({ entityId: data.id, action: 'create', before: null, after: row, actor: creator });
+
         return { success: true, id: data.id };
     }
 
@@ -78,45 +98,58 @@ class AnnouncementSqlWriter {
         if (data.content !== undefined) updates.content = data.content;
         if (data.status !== undefined) updates.status = data.status;
         if (data.isPinned !== undefined) updates.is_pinned = data.isPinned;
-        
-        // Note: 'modifier' is typically logged to audit logs, but simplified schema usually tracks last_update_time.
-        // If schema supported 'last_modifier', we would add it here.
 
-        const { error } = await supabase
+        // modifier 記錄於稽核紀錄 (announcements 沒有 last_modifier 欄位)
+        const before = await this._snapshot(id);
+
+        const { data: updated, error } = await supabase
             .from(this.tableName)
             .update(updates)
-            .eq('id', id);
+            .eq('id', id)
+            .select('id');
 
         if (error) {
             console.error('[AnnouncementSqlWriter] Update Failed:', error);
             throw new Error(`DB Update Error: ${error.message}`);
         }
 
+        if (updated && updated.length > 0) await this._audit({ entityId: id, action: 'update', before, after: updates, actor: modifier });
+
         return { success: true };
     }
 
     /**
      * Delete an announcement
      * @param {string} id 
+     * @param {string} [modifier] - Operator display name (audit)
      * @returns {Promise<Object>} { success: true }
      */
-    async deleteAnnouncement(id) {
+    async deleteAnnouncement(id, modifier) {
         if (!id) throw new Error('[AnnouncementSqlWriter] Delete requires ID');
 
         console.log(`📢 [AnnouncementSqlWriter] Deleting: ${id}`);
 
-        const { error } = await supabase
+        const before = await this._snapshot(id);
+
+        const { data: deleted, error } = await supabase
             .from(this.tableName)
             .delete()
-            .eq('id', id);
+            .eq('id', id)
+            .select('id');
 
         if (error) {
             console.error('[AnnouncementSqlWriter] Delete Failed:', error);
             throw new Error(`DB Delete Error: ${error.message}`);
         }
 
+        if (deleted && deleted.length > 0) await this._audit({ entityId: id, action: 'delete', before, after: null, actor: modifier });
+
         return { success: true };
     }
 }
 
-module.exports = AnnouncementSqlWriter;
\ No newline at end of file
+module.exports = invalidatesOnWrite(AnnouncementSqlWriter, {
+    createAnnouncement: [ENTITY_TAGS.ANNOUNCEMENT],
+    updateAnnouncement: [ENTITY_TAGS.ANNOUNCEMENT],
+    deleteAnnouncement: [ENTITY_TAGS.ANNOUNCEMENT]
+});
\ No newline at end of file
@@ -7,6 +7,8 @@
  */
 
 const BaseWriter = require('./base-writer');
+const { invalidatesOnWrite } = require('./cache/write-hook');
+const { ENTITY_TAGS } = require('./cache/cache-policy');
 
 class AnnouncementWriter extends BaseWriter {
     /**
@@ -104,4 +106,8 @@ class AnnouncementWriter extends BaseWriter {
     }
 }
 
-module.exports = AnnouncementWriter;
\ No newline at end of file
+module.exports = invalidatesOnWrite(AnnouncementWriter, {
+    createAnnouncement: [ENTITY_TAGS.ANNOUNCEMENT],
+    updateAnnouncement: [ENTITY_TAGS.ANNOUNCEMENT],
+    deleteAnnouncement: [ENTITY_TAGS.ANNOUNCEMENT]
+});
\ No newline at end of file
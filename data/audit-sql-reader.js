@@ -0,0 +1,70 @@
+/**
+ * data/audit-sql-reader.js
+ * [Strict Digital Forensics Mode]
+ * - Type: SQL Reader (Read-Only)
+ * - Target: PostgreSQL (Supabase)
+ * - Table: audit_logs (寫入見 data/audit-sql-writer.js)
+ * - Constraints: No update/delete
+ * - Version: 1.0.0
+ * - Date: 2026-10-19
+ */
+
+const { supabase } = require('../config/supabase');
+
+class AuditSqlReader {
+
+    constructor() {
+        this.tableName = 'audit_logs';
+    }
+
+    /**
+     * 查詢稽核紀錄 (新到舊)
+     * @param {Object} filters
+     * @param {string} [filters.entity]
+     * @param {string} [filters.entityId]
+     * @param {string} [filters.actor]
+     * @param {number} [filters.limit=200]
+     * @returns {Promise<Array<Object>>} Audit DTOs
+     */
+    async getLogs({ entity, entityId, actor, limit = 200 } = {}) {
+        try {
+            let query = supabase
+                .from(this.tableName)
+                .select('*');
+
+            if (entity) query = query.eq('entity', entity);
+            if (entityId) query = query.eq('entity_id', entityId);
+            if (actor) query = query.eq('actor', actor);
+
+            const { data, error } = await query
+                .order('created_at', { ascending: false })
+                .limit(limit);
+
+            if (error) {
+                throw new Error(`[AuditSqlReader] DB Error: ${error.message}`);
+            }
+
+            return data.map(row => this._mapRowToDto(row));
+
+        } catch (error) {
+            console.error('[AuditSqlReader] getLogs Error:', error);
+            throw error;
+        }
+    }
+
+    _mapRowToDto(row) {
+        return {
+            auditId: row.id,
+            entity: row.entity,
+            entityId: row.entity_id,
+            action: row.action,
+            field: row.field,
+            oldValue: row.old_value,
+            newValue: row.new_value,
+            actor: row.actor,
+            createdAt: row.created_at
+        };
+    }
+}
+
+module.exports = AuditSqlReader;
@@ -0,0 +1,148 @@
+/**
+ * data/audit-sql-writer.js
+ * [Strict Digital Forensics Mode]
+ * - Type: SQL Writer (Append-Only)
+ * - Target: PostgreSQL (Supabase)
+ * - Table: audit_logs (supabase/migrations/20261019001100_audit_logs.sql)
+ * - Version: 1.0.0
+ * - Date: 2026-10-19
+ * - Description: 欄位層級稽核紀錄。各實體 SQL Writer 在寫入前以 snapshot() 取得舊資料列，
+ *   寫入成功後以 record() 比對「舊列 vs 寫入的欄位」，每個有變動的欄位寫一筆。
+ *   稽核寫入失敗只記錄警告，不回滾業務寫入 (與 Shadow Mode 相同的容錯原則)。
+ */
+
+const { supabase } = require('../config/supabase');
+
+// 系統維護欄位不列入稽核 (每次寫入必然變動，或已由 action 表達)
+const IGNORED_COLUMNS = new Set([
+    'created_time', 'created_by', 'updated_time', 'updated_by',
+    'last_modified_time', 'last_modified_by', 'edit_count', 'creator', 'deleted_by'
+]);
+
+const AUDIT_ACTIONS = {
+    CREATE: 'create',
+    UPDATE: 'update',
+    DELETE: 'delete',
+    RESTORE: 'restore',
+    PURGE: 'purge',
+    LINK: 'link',
+    UNLINK: 'unlink',
+    MERGE: 'merge',
+    UNMERGE: 'unmerge'
+};
+
+function toText(value) {
+    if (value === undefined || value === null || value === '') return null;
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+class AuditSqlWriter {
+
+    constructor() {
+        this.tableName = 'audit_logs';
+        this._seq = 0;
+    }
+
+    /**
+     * 寫入前取得目前資料列 (查無資料或失敗時回傳 null，不阻擋寫入)
+     * @param {string} table
+     * @param {string} idColumn
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    async snapshot(table, idColumn, id) {
+        try {
+            const { data, error } = await supabase
+                .from(table)
+                .select('*')
+                .eq(idColumn, id)
+                .maybeSingle();
+
+            if (error) throw error;
+            return data || null;
+        } catch (error) {
+            console.warn(`[AuditSqlWriter] Snapshot Failed (${table} ${id}): ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * 比對並寫入有變動的欄位
+     * @param {Object} entry
+     * @param {string} entry.entity - opportunity / company / contact / interaction / event
+     * @param {string} entry.entityId
+     * @param {string} entry.action - AUDIT_ACTIONS
+     * @param {Object|null} entry.before - 寫入前的資料列 (create 為 null)
+     * @param {Object|null} entry.after - 寫入的欄位 (purge 為 null)
+     * @param {string} entry.actor
+     * @returns {Promise<number>} 寫入筆數
+     */
+    async record({ entity, entityId, action, before, after, actor }) {
+        const rows = this._diff(before, after).map(({ field, oldValue, newValue }) =>
+            this._buildRow({ entity, entityId, action, field, oldValue, newValue, actor })
+        );
+
+        // 沒有欄位差異的 delete / purge 仍需留下一筆動作紀錄
+        if (rows.length === 0 && action !== AUDIT_ACTIONS.UPDATE) {
+            rows.push(this._buildRow({ entity, entityId, action, field: null, oldValue: null, newValue: null, actor }));
+        }
+        return this._insert(rows);
+    }
+
+    /**
+     * 寫入單一欄位事件 (例如聯絡人關聯 / 解除關聯)
+     */
+    async recordField({ entity, entityId, action, field, oldValue, newValue, actor }) {
+        return this._insert([this._buildRow({ entity, entityId, action, field, oldValue, newValue, actor })]);
+    }
+
+    _diff(before, after) {
+        if (!after) return [];
+        const changes = [];
+
+        Object.keys(after).forEach(field => {
+            if (IGNORED_COLUMNS.has(field)) return;
+
+            const oldValue = toText(before ? before[field] : null);
+            const newValue = toText(after[field]);
+            if (oldValue === newValue) return;
+            // 數字欄位讀回可能是 number，表單送來的是 string
+            if (oldValue !== null && newValue !== null && Number(oldValue) === Number(newValue) && !isNaN(Number(oldValue))) return;
+
+            changes.push({ field, oldValue, newValue });
+        });
+        return changes;
+    }
+
+    _buildRow({ entity, entityId, action, field, oldValue, newValue, actor }) {
+        return {
+            id: `AUD${Date.now()}_${process.pid}_${++this._seq}`,
+            entity,
+            entity_id: entityId,
+            action,
+            field,
+            old_value: toText(oldValue),
+            new_value: toText(newValue),
+            actor: actor || 'System',
+            created_at: new Date().toISOString()
+        };
+    }
+
+    async _insert(rows) {
+        if (rows.length === 0) return 0;
+
+        const { error } = await supabase
+            .from(this.tableName)
+            .insert(rows);
+
+        if (error) {
+            console.warn(`[AuditSqlWriter] Insert Failed (${rows[0].entity} ${rows[0].entity_id}): ${error.message}`);
+            return 0;
+        }
+        return rows.length;
+    }
+}
+
+AuditSqlWriter.ACTIONS = AUDIT_ACTIONS;
+
+module.exports = AuditSqlWriter;
@@ -0,0 +1,121 @@
+/**
+ * data/backup-entities.js
+ * 備份 / 還原實體登錄表
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * * 每個實體列出 SQL 資料表 (含主鍵) 與 Google Sheet 工作表，快照時依「目前使用中的資料源」擷取：
+ * * - toggle：對應 config.DATA_SOURCES 的鍵。設定為 'SQL' 只備份資料表，否則只備份工作表
+ * *   (例如 PRODUCT = SHEET 時 products 表只是遷移目標，不代表現況)。
+ * * - 沒有 toggle 的實體 (SQL 為主、Sheet 為舊版 / 影子鏡射) 兩邊都備份，還原後兩邊一致。
+ * * - appendOnly：還原只補回快照中的資料列，不刪除快照之後新增的列 (稽核紀錄)。
+ * * 順序即還原順序 (被參照的實體在前)；刪除多出的資料列時反向進行。
+ */
+
+const config = require('../config');
+
+const S = config.SHEETS;
+
+const BACKUP_ENTITIES = {
+    company: {
+        label: '公司',
+        tables: [{ table: 'companies', key: ['company_id'] }],
+        sheets: [{ spreadsheet: 'CORE', sheet: S.COMPANY_LIST }]
+    },
+    contact: {
+        label: '聯絡人',
+        tables: [{ table: 'contacts', key: ['contact_id'] }],
+        sheets: [{ spreadsheet: 'CORE', sheet: S.CONTACT_LIST }]
+    },
+    businessCard: {
+        label: '原始名片 (潛在客戶)',
+        tables: [],
+        sheets: [{ spreadsheet: 'RAW', sheet: S.CONTACTS }]
+    },
+    opportunity: {
+        label: '機會案件 (含聯絡人關聯)',
+        tables: [
+            { table: 'opportunities', key: ['opportunity_id'] },
+            { table: 'opportunity_contact_links', key: ['opportunity_id', 'contact_id'] }
+        ],
+        sheets: [
+            { spreadsheet: 'CORE', sheet: S.OPPORTUNITIES },
+            { spreadsheet: 'CORE', sheet: S.OPPORTUNITY_CONTACT_LINK }
+        ]
+    },
+    interaction: {
+        label: '互動紀錄',
+        tables: [{ table: 'interactions', key: ['interaction_id'] }],
+        sheets: [{ spreadsheet: 'CORE', sheet: S.INTERACTIONS }]
+    },
+    eventLog: {
+        label: '事件紀錄',
+        tables: ['general', 'iot', 'dt', 'dx', 'summary'].map(type => ({ table: `event_logs_${type}`, key: ['event_id'] })),
+        sheets: [S.EVENT_LOGS_GENERAL, S.EVENT_LOGS_IOT, S.EVENT_LOGS_DT, S.EVENT_LOGS_DX]
+            .map(sheet => ({ spreadsheet: 'CORE', sheet }))
+    },
+    weeklyBusiness: {
+        label: '週間業務',
+        tables: [{ table: 'weekly_business_entries', key: ['record_id'] }],
+        sheets: [{ spreadsheet: 'CORE', sheet: S.WEEKLY_BUSINESS }]
+    },
+    announcement: {
+        label: '佈告欄',
+        tables: [{ table: 'announcements', key: ['id'] }],
+        sheets: [{ spreadsheet: 'CORE', sheet: S.ANNOUNCEMENTS }]
+    },
+    calendarSync: {
+        label: '日曆整合',
+        tables: [],
+        sheets: [{ spreadsheet: 'CORE', sheet: S.CALENDAR_SYNC }]
+    },
+    systemConfig: {
+        label: '系統設定',
+        tables: [],
+        sheets: [{ spreadsheet: 'SYSTEM', sheet: S.SYSTEM_CONFIG }]
+    },
+    user: {
+        label: '使用者',
+        toggle: 'AUTH',
+        tables: [{ table: 'users', key: ['username'] }],
+        sheets: [{ spreadsheet: 'AUTH', sheet: '使用者名冊' }]
+    },
+    product: {
+        label: '市場商品 (含成本 / 價格)',
+        toggle: 'PRODUCT',
+        tables: [
+            { table: 'products', key: ['product_id'] },
+            { table: 'product_prices', key: ['product_id'] }
+        ],
+        sheets: [{ spreadsheet: 'PRODUCT', sheet: S.MARKET_PRODUCTS }]
+    },
+    merge: {
+        label: '公司 / 聯絡人合併紀錄',
+        tables: [
+            { table: 'company_merges', key: ['merge_id'] },
+            { table: 'contact_merges', key: ['merge_id'] }
+        ],
+        sheets: []
+    },
+    audit: {
+        label: '稽核紀錄',
+        appendOnly: true,
+        tables: [{ table: 'audit_logs', key: ['id'] }],
+        sheets: []
+    }
+};
+
+/**
+ * 目前使用中的資料源
+ * @param {Object} entity - BACKUP_ENTITIES 的值
+ * @param {Object} dataSources - config.DATA_SOURCES
+ * @returns {Object} { tables, sheets }
+ */
+function getActiveSources(entity, dataSources) {
+    if (!entity.toggle) return { tables: entity.tables, sheets: entity.sheets };
+    return dataSources[entity.toggle] === 'SQL'
+        ? { tables: entity.tables, sheets: [] }
+        : { tables: [], sheets: entity.sheets };
+}
+
+module.exports = { BACKUP_ENTITIES, getActiveSources };
@@ -0,0 +1,80 @@
+/**
+ * data/backup-sheet-writer.js
+ * 快照 / 還原專用 Google Sheet 存取層
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * * 1. 以整張工作表為單位讀寫，跨多個 Spreadsheet (CORE / RAW / SYSTEM / AUTH / PRODUCT)，因此不繼承 BaseWriter。
+ * * 2. 讀取採 FORMULA 呈現 (公式保留原文、數字不經格式化)；寫回採 USER_ENTERED，與各 Writer 寫入時的解讀方式相同。
+ * * 3. 還原為「清空整張工作表後自第一列寫回」，標題列也一併還原。
+ */
+
+const { invalidatesOnWrite } = require('./cache/write-hook');
+const { tagsForSheet } = require('./cache/cache-policy');
+
+// 工作表名稱可能含有 - 或空白，一律加單引號
+function quoteSheet(sheetName) {
+    return `'${String(sheetName).replace(/'/g, "''")}'`;
+}
+
+function isMissingSheet(error) {
+    return (error.code === 400 || error.status === 400) && /Unable to parse range/i.test(error.message || '');
+}
+
+class BackupSheetWriter {
+    /**
+     * @param {Object} sheets - Google Sheets API Client
+     */
+    constructor(sheets) {
+        if (!sheets) throw new Error('BackupSheetWriter 初始化失敗: 需要 Sheets API 實例');
+        this.sheets = sheets;
+    }
+
+    /**
+     * 讀取整張工作表
+     * @param {string} spreadsheetId
+     * @param {string} sheetName
+     * @returns {Promise<Array<Array<any>>|null>} 工作表不存在時回傳 null
+     */
+    async readSheet(spreadsheetId, sheetName) {
+        try {
+            const response = await this.sheets.spreadsheets.values.get({
+                spreadsheetId,
+                range: quoteSheet(sheetName),
+                valueRenderOption: 'FORMULA'
+            });
+            return response.data.values || [];
+        } catch (error) {
+            if (isMissingSheet(error)) return null;
+            throw new Error(`[BackupSheetWriter] 讀取 ${sheetName} 失敗: ${error.message}`);
+        }
+    }
+
+    /**
+     * 以快照內容取代整張工作表
+     * @param {string} spreadsheetId
+     * @param {string} sheetName
+     * @param {Array<Array<any>>} values
+     * @returns {Promise<number>} 寫入列數 (含標題列)
+     */
+    async replaceSheet(spreadsheetId, sheetName, values) {
+        try {
+            await this.sheets.spreadsheets.values.clear({ spreadsheetId, range: quoteSheet(sheetName) });
+            if (values.length > 0) {
+                await this.sheets.spreadsheets.values.update({
+                    spreadsheetId,
+                    range: `${quoteSheet(sheetName)}!A1`,
+                    valueInputOption: 'USER_ENTERED',
+                    resource: { values }
+                });
+            }
+            return values.length;
+        } catch (error) {
+            throw new Error(`[BackupSheetWriter] 還原 ${sheetName} 失敗: ${error.message}`);
+        }
+    }
+}
+
+module.exports = invalidatesOnWrite(BackupSheetWriter, {
+    replaceSheet: (spreadsheetId, sheetName) => tagsForSheet(sheetName)
+});
@@ -0,0 +1,56 @@
+/**
+ * data/backup-sql-writer.js
+ * 快照還原專用 SQL 存取層
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * * 整表讀取與 Upsert 沿用 MigrationSqlWriter；本類別只負責「刪除快照中沒有的資料列」，
+ * * 讓還原後的資料表與快照完全一致 (包含快照之後才建立的資料)。
+ */
+
+const { supabase } = require('../config/supabase');
+const { invalidatesOnWrite } = require('./cache/write-hook');
+const { tagsForTable } = require('./cache/cache-policy');
+
+const DELETE_CHUNK_SIZE = 200;
+
+class BackupSqlWriter {
+
+    /**
+     * 刪除主鍵不在 keepRows 內的資料列
+     * @param {string} tableName
+     * @param {Array<string>} keyColumns - 主鍵欄位 (可為複合主鍵)
+     * @param {Array<Object>} currentRows - 目前的資料列 (MigrationSqlWriter.fetchAllRows)
+     * @param {Array<Object>} keepRows - 快照中的資料列
+     * @returns {Promise<number>} 刪除筆數
+     */
+    async deleteRowsNotIn(tableName, keyColumns, currentRows, keepRows) {
+        const keyOf = (row) => JSON.stringify(keyColumns.map(column => row[column]));
+        const keep = new Set(keepRows.map(keyOf));
+        const extras = currentRows.filter(row => !keep.has(keyOf(row)));
+        if (extras.length === 0) return 0;
+
+        if (keyColumns.length === 1) {
+            const [column] = keyColumns;
+            for (let i = 0; i < extras.length; i += DELETE_CHUNK_SIZE) {
+                const ids = extras.slice(i, i + DELETE_CHUNK_SIZE).map(row => row[column]);
+                const { error } = await supabase.from(tableName).delete().in(column, ids);
+                if (error) throw new Error(`[BackupSqlWriter] Delete Error in ${tableName}: ${error.message}`);
+            }
+        } else {
+            // 複合主鍵 (關聯表) 逐列刪除
+            for (const row of extras) {
+                const match = Object.fromEntries(keyColumns.map(column => [column, row[column]]));
+                const { error } = await supabase.from(tableName).delete().match(match);
+                if (error) throw new Error(`[BackupSqlWriter] Delete Error in ${tableName}: ${error.message}`);
+            }
+        }
+
+        console.log(`🗑️ [BackupSqlWriter] ${tableName} 刪除快照外的資料列 ${extras.length} 筆`);
+        return extras.length;
+    }
+}
+
+module.exports = invalidatesOnWrite(BackupSqlWriter, {
+    deleteRowsNotIn: (tableName) => tagsForTable(tableName)
+});
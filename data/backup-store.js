@@ -0,0 +1,107 @@
+/**
+ * data/backup-store.js
+ * 快照封存檔存取 (本機檔案系統)
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * * 1. 每份快照為一個 gzip 壓縮的 JSON 檔：<dir>/crm-backup-<快照編號>.json.gz
+ * * 2. 快照編號為 UTC 時間 (YYYYMMDD-HHmmss-SSS)，字典序即時間序。
+ * * 3. 先寫入暫存檔再改名，中斷時不會留下不完整的快照。
+ * * 4. 目錄由 config.BACKUP.DIR 指定；正式環境請掛載到會被異地備份的磁碟。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const FILE_PATTERN = /^crm-backup-(\d{8}-\d{6}-\d{3})\.json\.gz$/;
+
+class BackupStore {
+    /**
+     * @param {string} dir - 封存目錄
+     */
+    constructor(dir) {
+        if (!dir) throw new Error('BackupStore 初始化失敗: 未提供封存目錄');
+        this.dir = dir;
+    }
+
+    _filePath(snapshotId) {
+        if (!/^\d{8}-\d{6}-\d{3}$/.test(String(snapshotId))) {
+            throw new Error(`快照編號格式錯誤: ${snapshotId}`);
+        }
+        return path.join(this.dir, `crm-backup-${snapshotId}.json.gz`);
+    }
+
+    /**
+     * @param {Object} snapshot - 需包含 id
+     * @returns {Promise<Object>} { id, file, size }
+     */
+    async save(snapshot) {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        const file = this._filePath(snapshot.id);
+        const buffer = await gzip(Buffer.from(JSON.stringify(snapshot), 'utf8'));
+
+        const tempFile = `${file}.tmp`;
+        await fs.promises.writeFile(tempFile, buffer);
+        await fs.promises.rename(tempFile, file);
+        return { id: snapshot.id, file, size: buffer.length };
+    }
+
+    /**
+     * @param {string} snapshotId
+     * @returns {Promise<Object|null>} 快照不存在時回傳 null
+     */
+    async load(snapshotId) {
+        let buffer;
+        try {
+            buffer = await fs.promises.readFile(this._filePath(snapshotId));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+        return JSON.parse((await gunzip(buffer)).toString('utf8'));
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} [{ id, file, size }]，新到舊
+     */
+    async list() {
+        let names;
+        try {
+            names = await fs.promises.readdir(this.dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const snapshots = [];
+        for (const name of names) {
+            const match = name.match(FILE_PATTERN);
+            if (!match) continue;
+            const file = path.join(this.dir, name);
+            const stat = await fs.promises.stat(file);
+            snapshots.push({ id: match[1], file, size: stat.size });
+        }
+        return snapshots.sort((a, b) => (a.id < b.id ? 1 : -1));
+    }
+
+    /**
+     * 只保留最新的 keep 份
+     * @param {number} keep
+     * @returns {Promise<Array<string>>} 刪除的快照編號
+     */
+    async prune(keep) {
+        if (!(keep > 0)) return [];
+        const stale = (await this.list()).slice(keep);
+        for (const snapshot of stale) {
+            await fs.promises.unlink(snapshot.file);
+        }
+        return stale.map(s => s.id);
+    }
+}
+
+module.exports = BackupStore;
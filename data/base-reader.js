@@ -1,35 +1,17 @@
 /**
  * data/base-reader.js
  * 資料讀取基底類別
- * * @version 5.0.0 (Phase 5 Refactoring)
- * @date 2026-01-09
+ * * @version 5.1.0 (Pluggable Cache)
+ * @date 2026-10-19
  * @description 所有資料 Reader 的父類別。
  * 實作了依賴注入 (DI) 機制，強制要求子類別傳入明確的 Spreadsheet ID。
  * 包含快取機制與自動重試邏輯。
+ * 快取改由 data/cache 的 CacheManager 提供 (per-key TTL、標籤失效、統計)，不再持有模組層級物件。
  */
 
 const config = require('../config');
-
-// 集中管理所有資料的快取狀態
-const cache = {
-    opportunities: { data: null, timestamp: 0 },
-    contacts: { data: null, timestamp: 0 },
-    interactions: { data: null, timestamp: 0 },
-    eventLogs: { data: null, timestamp: 0 },
-    systemConfig: { data: null, timestamp: 0 },
-    companyList: { data: null, timestamp: 0 },
-    contactList: { data: null, timestamp: 0 },
-    users: { data: null, timestamp: 0 },
-    weeklyBusiness: { data: null, timestamp: 0 },
-    weeklyBusinessSummary: { data: null, timestamp: 0 },
-    oppContactLinks: { data: null, timestamp: 0 },
-    announcements: { data: null, timestamp: 0 },
-    products: { data: null, timestamp: 0 }, // 新增商品快取
-    
-    _globalLastWrite: { data: Date.now(), timestamp: 0 }
-};
-
-const CACHE_DURATION = 30 * 1000; 
+const { getCache } = require('./cache');
+const { getPolicy } = require('./cache/cache-policy');
 
 /**
  * 所有 Reader 的基礎類別
@@ -53,24 +35,25 @@ class BaseReader {
         this.sheets = sheets;
         this.targetSpreadsheetId = spreadsheetId; // 綁定目標 ID
         this.config = config;
-        this.cache = cache;
-        this.CACHE_DURATION = CACHE_DURATION;
-        
-        // 請求去重用的 Promise 儲存區
-        this._pendingPromises = {}; 
+        this.cache = getCache();
     }
 
+    /**
+     * 失效快取。傳入鍵名時以該鍵的實體標籤失效，依賴同一實體的聚合鍵 (例如 dashboard:main) 一併清除。
+     * @param {string|null} key - null 表示清除全部
+     */
     invalidateCache(key = null) {
-        if (key && this.cache[key]) {
-            this.cache[key].timestamp = 0;
-            console.log(`✅ [Cache] 快取已失效: ${key}`);
-        } else if (key === null) {
-            Object.keys(this.cache).forEach(k => {
-                if (this.cache[k]) this.cache[k].timestamp = 0;
-            });
-            console.log('✅ [Cache] 所有快取已失效');
+        if (key === null) {
+            this.cache.invalidateAll();
+            return;
+        }
+
+        const { tags } = getPolicy(key);
+        if (tags.length > 0) {
+            this.cache.invalidateTags(tags);
+        } else {
+            this.cache.invalidate(key);
         }
-        this.cache._globalLastWrite.data = Date.now();
     }
 
     /**
@@ -119,28 +102,9 @@ class BaseReader {
      * @param {Function} sorter - 排序函式 (選填)
      */
     async _fetchAndCache(cacheKey, range, rowParser, sorter = null) {
-        const now = Date.now();
-
-        // 1. 初始化
-        if (!this.cache[cacheKey]) {
-            this.cache[cacheKey] = { data: null, timestamp: 0 };
-        }
-
-        // 2. 讀快取
-        if (this.cache[cacheKey].data && (now - this.cache[cacheKey].timestamp < this.CACHE_DURATION)) {
-            return this.cache[cacheKey].data;
-        }
+        const loader = async () => {
+            console.log(`🔄 [API] 準備讀取: ${cacheKey} (${range}) [ID: ${this.targetSpreadsheetId.substring(0,6)}...]`);
 
-        // 3. 請求合併
-        if (this._pendingPromises[cacheKey]) {
-            console.log(`⏳ [API] 併發請求合併: ${cacheKey}`);
-            return this._pendingPromises[cacheKey];
-        }
-
-        console.log(`🔄 [API] 準備讀取: ${cacheKey} (${range}) [ID: ${this.targetSpreadsheetId.substring(0,6)}...]`);
-
-        // 4. 發起請求
-        const fetchPromise = (async () => {
             try {
                 const response = await this._executeWithRetry(() => 
                     this.sheets.spreadsheets.values.get({
@@ -165,26 +129,25 @@ class BaseReader {
 
                 if (sorter) data.sort(sorter);
 
-                this.cache[cacheKey] = { data, timestamp: Date.now() };
                 console.log(`[Cache] ${cacheKey} 更新完成 (${data.length} 筆)`);
                 return data;
 
             } catch (error) {
-                console.error(`❌ [DataReader] 讀取 ${range} 最終失敗:`, error.message);
-
+                // 工作表不存在：視為空資料並寫入快取，避免反覆打 API
                 if (error.code === 400 && error.message.includes('Unable to parse range')) {
-                     this.cache[cacheKey] = { data: [], timestamp: Date.now() };
-                     return [];
+                    console.error(`❌ [DataReader] 讀取 ${range} 最終失敗:`, error.message);
+                    return [];
                 }
-
-                return this.cache[cacheKey].data || [];
-            } finally {
-                delete this._pendingPromises[cacheKey];
+                throw error;
             }
-        })();
+        };
 
-        this._pendingPromises[cacheKey] = fetchPromise;
-        return fetchPromise;
+        return this.cache.wrap(cacheKey, loader, {
+            onError: (error, stale) => {
+                console.error(`❌ [DataReader] 讀取 ${range} 最終失敗:`, error.message);
+                return stale || [];
+            }
+        });
     }
 
     /**
@@ -0,0 +1,240 @@
+/**
+ * data/cache/cache-manager.js
+ * 快取管理器
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * * 取代 base-reader.js 的模組層級 cache 物件：
+ * * 1. per-key TTL 與標籤 (見 cache-policy.js)，wrap() 內建併發請求合併。
+ * * 2. invalidate / invalidateTags / invalidateAll 立即清除本行程項目，再交由後端廣播給其他行程。
+ * * 3. hits / misses / loads 統計 (整體與逐鍵)，供 GET /api/cache/stats 檢視。
+ * * 失效呼叫為同步語意 (本地立即生效)，廣播失敗只記 log，呼叫端不需 await。
+ */
+
+const { getPolicy } = require('./cache-policy');
+
+class CacheManager {
+    /**
+     * @param {Object} options
+     * @param {LocalCacheBackend} options.backend
+     * @param {number} [options.defaultTtlMs=30000]
+     * @param {Function} [options.policyResolver] - key -> { ttlMs, tags }
+     */
+    constructor({ backend, defaultTtlMs = 30 * 1000, policyResolver = getPolicy }) {
+        if (!backend) throw new Error('[CacheManager] 需要 backend');
+
+        this.backend = backend;
+        this.defaultTtlMs = defaultTtlMs;
+        this.policyResolver = policyResolver;
+
+        this._pending = new Map();
+        this.lastWriteAt = Date.now();
+        this.resetStats();
+    }
+
+    // ==================== 讀取 ====================
+
+    /**
+     * 取得未過期的快取值
+     * @returns {Promise<any|undefined>}
+     */
+    async get(key) {
+        await this.sync();
+
+        const entry = this.backend.get(key);
+        if (entry && entry.expiresAt > Date.now()) {
+            this._count(key, 'hits');
+            return entry.value;
+        }
+        this._count(key, 'misses');
+        return undefined;
+    }
+
+    /**
+     * 取得快取值 (忽略 TTL)，供讀取失敗時回傳舊資料
+     */
+    peek(key) {
+        const entry = this.backend.get(key);
+        return entry ? entry.value : undefined;
+    }
+
+    set(key, value, options = {}) {
+        const policy = this.policyResolver(key);
+        const ttlMs = options.ttlMs !== undefined ? options.ttlMs : (policy.ttlMs !== undefined ? policy.ttlMs : this.defaultTtlMs);
+        const now = Date.now();
+
+        this.backend.set(key, {
+            value,
+            tags: options.tags || policy.tags || [],
+            storedAt: now,
+            expiresAt: now + ttlMs
+        });
+    }
+
+    /**
+     * 讀快取，未命中時呼叫 loader 並寫入；同一鍵的併發請求共用同一個 loader Promise。
+     * @param {string} key
+     * @param {Function} loader - async () => value
+     * @param {Object} [options]
+     * @param {Function} [options.onError] - (error, staleValue) => value；回傳值不寫入快取。未提供則拋出錯誤
+     * @param {number} [options.ttlMs]
+     * @param {Array<string>} [options.tags]
+     */
+    async wrap(key, loader, options = {}) {
+        const cached = await this.get(key);
+        if (cached !== undefined) return cached;
+
+        if (this._pending.has(key)) {
+            console.log(`⏳ [Cache] 併發請求合併: ${key}`);
+            return this._pending.get(key);
+        }
+
+        const loadPromise = (async () => {
+            try {
+                const value = await loader();
+                this._count(key, 'loads');
+                this.set(key, value, options);
+                return value;
+            } catch (error) {
+                this._count(key, 'loadErrors');
+                if (options.onError) return options.onError(error, this.peek(key));
+                throw error;
+            } finally {
+                this._pending.delete(key);
+            }
+        })();
+
+        this._pending.set(key, loadPromise);
+        return loadPromise;
+    }
+
+    // ==================== 失效 ====================
+
+    /**
+     * 只移除本行程的項目：不算寫入 (lastWriteAt 不變)、不廣播，供「強制重新讀取」使用
+     */
+    evict(key) {
+        return this.backend.delete(key);
+    }
+
+    invalidate(key) {
+        this._apply({ scope: 'key', target: key });
+        return this._broadcast({ scope: 'key', target: key });
+    }
+
+    /**
+     * @param {Array<string>|string} tags
+     */
+    invalidateTags(tags) {
+        const list = (Array.isArray(tags) ? tags : [tags]).filter(Boolean);
+        list.forEach(tag => this._apply({ scope: 'tag', target: tag }));
+        return Promise.all(list.map(tag => this._broadcast({ scope: 'tag', target: tag })));
+    }
+
+    invalidateAll() {
+        this._apply({ scope: 'all' });
+        return this._broadcast({ scope: 'all' });
+    }
+
+    /**
+     * 套用其他行程發出的失效事件 (LOCAL 後端永遠沒有事件)
+     */
+    async sync() {
+        let events = [];
+        try {
+            events = await this.backend.pull();
+        } catch (error) {
+            console.warn(`⚠️ [Cache] 同步失效事件失敗 (暫以 TTL 為準): ${error.message}`);
+            return;
+        }
+        events.forEach(event => {
+            this.stats.remoteInvalidations++;
+            this._apply(event);
+        });
+    }
+
+    _apply(event) {
+        if (event.scope === 'all') {
+            this.backend.clear();
+            console.log('✅ [Cache] 所有快取已失效');
+        } else if (event.scope === 'key') {
+            if (this.backend.delete(event.target)) {
+                console.log(`✅ [Cache] 快取已失效: ${event.target}`);
+            }
+        } else if (event.scope === 'tag') {
+            this.backend.entries().forEach(([key, entry]) => {
+                if (entry.tags.includes(event.target)) {
+                    this.backend.delete(key);
+                    console.log(`✅ [Cache] 快取已失效: ${key} (tag: ${event.target})`);
+                }
+            });
+        }
+
+        this.stats.invalidations++;
+        this.lastWriteAt = Date.now();
+    }
+
+    _broadcast(event) {
+        return this.backend.publish(event).catch(error => {
+            console.warn(`⚠️ [Cache] 失效事件廣播失敗: ${error.message}`);
+        });
+    }
+
+    // ==================== 統計 ====================
+
+    _count(key, field) {
+        this.stats[field]++;
+        if (!this.stats.keys[key]) {
+            this.stats.keys[key] = { hits: 0, misses: 0, loads: 0, loadErrors: 0 };
+        }
+        this.stats.keys[key][field]++;
+    }
+
+    resetStats() {
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            loads: 0,
+            loadErrors: 0,
+            invalidations: 0,
+            remoteInvalidations: 0,
+            keys: {},
+            since: new Date().toISOString()
+        };
+    }
+
+    getStats() {
+        const now = Date.now();
+        const lookups = this.stats.hits + this.stats.misses;
+
+        const keys = {};
+        Object.entries(this.stats.keys).forEach(([key, counts]) => {
+            keys[key] = { ...counts };
+        });
+        this.backend.entries().forEach(([key, entry]) => {
+            keys[key] = {
+                ...(keys[key] || { hits: 0, misses: 0, loads: 0, loadErrors: 0 }),
+                tags: entry.tags,
+                ageMs: now - entry.storedAt,
+                expiresInMs: Math.max(0, entry.expiresAt - now)
+            };
+        });
+
+        return {
+            backend: this.backend.name,
+            size: this.backend.entries().length,
+            hits: this.stats.hits,
+            misses: this.stats.misses,
+            hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : null,
+            loads: this.stats.loads,
+            loadErrors: this.stats.loadErrors,
+            invalidations: this.stats.invalidations,
+            remoteInvalidations: this.stats.remoteInvalidations,
+            lastWriteAt: this.lastWriteAt,
+            since: this.stats.since,
+            keys
+        };
+    }
+}
+
+module.exports = CacheManager;
@@ -0,0 +1,126 @@
+/**
+ * data/cache/cache-policy.js
+ * 快取鍵政策表
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * * 每個快取鍵的 TTL 與所屬標籤 (tags)。
+ * * - Writer 寫入後以「實體標籤」失效 (例如 opportunity)，所有掛上該標籤的鍵一併清除。
+ * * - 聚合型的鍵 (例如 dashboard:main) 掛上它依賴的所有實體標籤，任一實體寫入即失效。
+ * * - 未列出的鍵使用 config.CACHE.DEFAULT_TTL_MS，且只能以鍵名直接失效。
+ * * - TABLE_TAGS / SHEET_TAGS：以資料表 / 工作表為參數的通用 Writer (遷移、還原、完整性修復) 依名稱決定失效標籤。
+ */
+
+const config = require('../../config');
+
+const ENTITY_TAGS = {
+    OPPORTUNITY: 'opportunity',
+    OPP_CONTACT_LINK: 'opportunity-contact',
+    CONTACT: 'contact',
+    RAW_CONTACT: 'raw-contact',
+    COMPANY: 'company',
+    INTERACTION: 'interaction',
+    EVENT_LOG: 'event-log',
+    WEEKLY: 'weekly',
+    ANNOUNCEMENT: 'announcement',
+    PRODUCT: 'product',
+    SYSTEM: 'system',
+    USER: 'user',
+    CALENDAR: 'calendar',
+    DASHBOARD: 'dashboard'
+};
+
+const T = ENTITY_TAGS;
+const MINUTE = 60 * 1000;
+
+const KEY_POLICIES = {
+    opportunities: { tags: [T.OPPORTUNITY] },
+    oppContactLinks: { tags: [T.OPP_CONTACT_LINK] },
+    contacts: { tags: [T.RAW_CONTACT] },
+    contactList: { tags: [T.CONTACT] },
+    companyList: { tags: [T.COMPANY] },
+    interactions: { tags: [T.INTERACTION] },
+    eventLogs: { tags: [T.EVENT_LOG] },
+    weeklyBusiness: { tags: [T.WEEKLY] },
+    announcements: { tags: [T.ANNOUNCEMENT] },
+
+    // 變動少、讀取頻繁；寫入一律經 Writer 失效，TTL 可以拉長
+    marketProducts: { ttlMs: 5 * MINUTE, tags: [T.PRODUCT] },
+    systemConfigRaw: { ttlMs: 5 * MINUTE, tags: [T.SYSTEM] },
+    users: { tags: [T.USER] },
+
+    'calendar:weekEvents': { ttlMs: 1 * MINUTE, tags: [T.CALENDAR] },
+
+    'dashboard:main': {
+        ttlMs: 30 * 1000,
+        tags: [
+            T.DASHBOARD, T.OPPORTUNITY, T.CONTACT, T.RAW_CONTACT, T.COMPANY, T.INTERACTION,
+            T.EVENT_LOG, T.WEEKLY, T.SYSTEM, T.CALENDAR
+        ]
+    }
+};
+
+const TABLE_TAGS = {
+    opportunities: [T.OPPORTUNITY],
+    opportunity_contact_links: [T.OPP_CONTACT_LINK],
+    contacts: [T.CONTACT],
+    companies: [T.COMPANY],
+    interactions: [T.INTERACTION],
+    event_logs_general: [T.EVENT_LOG],
+    event_logs_iot: [T.EVENT_LOG],
+    event_logs_dt: [T.EVENT_LOG],
+    event_logs_dx: [T.EVENT_LOG],
+    event_logs_summary: [T.EVENT_LOG],
+    weekly_business_entries: [T.WEEKLY],
+    announcements: [T.ANNOUNCEMENT],
+    products: [T.PRODUCT],
+    product_prices: [T.PRODUCT],
+    users: [T.USER],
+    system_config: [T.SYSTEM]
+};
+
+const S = config.SHEETS;
+const SHEET_TAGS = {
+    [S.CONTACTS]: [T.RAW_CONTACT],
+    [S.CONTACT_LIST]: [T.CONTACT],
+    [S.COMPANY_LIST]: [T.COMPANY],
+    [S.OPPORTUNITIES]: [T.OPPORTUNITY],
+    [S.INTERACTIONS]: [T.INTERACTION],
+    [S.SYSTEM_CONFIG]: [T.SYSTEM],
+    [S.CALENDAR_SYNC]: [T.CALENDAR],
+    [S.EVENT_LOGS_GENERAL]: [T.EVENT_LOG],
+    [S.EVENT_LOGS_IOT]: [T.EVENT_LOG],
+    [S.EVENT_LOGS_DT]: [T.EVENT_LOG],
+    [S.EVENT_LOGS_DX]: [T.EVENT_LOG],
+    [S.OPPORTUNITY_CONTACT_LINK]: [T.OPP_CONTACT_LINK],
+    [S.WEEKLY_BUSINESS]: [T.WEEKLY],
+    [S.ANNOUNCEMENTS]: [T.ANNOUNCEMENT],
+    [S.MARKET_PRODUCTS]: [T.PRODUCT],
+    '使用者名冊': [T.USER]
+};
+
+/**
+ * @param {string} tableName - Supabase 資料表
+ * @returns {string[]} 未列出的資料表 (稽核、合併紀錄…) 不影響任何快取鍵
+ */
+function tagsForTable(tableName) {
+    return TABLE_TAGS[tableName] || [];
+}
+
+/**
+ * @param {string} sheetName - 工作表名稱
+ * @returns {string[]}
+ */
+function tagsForSheet(sheetName) {
+    return SHEET_TAGS[sheetName] || [];
+}
+
+/**
+ * @param {string} key
+ * @returns {{ ttlMs?: number, tags: string[] }}
+ */
+function getPolicy(key) {
+    return KEY_POLICIES[key] || { tags: [] };
+}
+
+module.exports = { ENTITY_TAGS, KEY_POLICIES, TABLE_TAGS, SHEET_TAGS, getPolicy, tagsForTable, tagsForSheet };
@@ -0,0 +1,40 @@
+// data/cache/index.js
+// 全域共用的 CacheManager (所有 Reader / Writer / Service 共用同一份，取代 base-reader 的模組層級 cache)
+
+const config = require('../../config');
+const CacheManager = require('./cache-manager');
+const LocalCacheBackend = require('./local-cache-backend');
+const SupabaseCacheBackend = require('./supabase-cache-backend');
+const { ENTITY_TAGS } = require('./cache-policy');
+
+let instance = null;
+
+function createBackend() {
+    if (config.CACHE.BACKEND === 'SUPABASE') {
+        const { supabase } = require('../../config/supabase');
+        return new SupabaseCacheBackend(supabase, {
+            syncIntervalMs: config.CACHE.SYNC_INTERVAL_MS,
+            retentionMs: config.CACHE.INVALIDATION_RETENTION_MS
+        });
+    }
+    return new LocalCacheBackend();
+}
+
+function getCache() {
+    if (!instance) {
+        instance = new CacheManager({
+            backend: createBackend(),
+            defaultTtlMs: config.CACHE.DEFAULT_TTL_MS
+        });
+        console.log(`🗄️ [Cache] 快取後端: ${instance.backend.name}`);
+    }
+    return instance;
+}
+
+module.exports = {
+    getCache,
+    CacheManager,
+    LocalCacheBackend,
+    SupabaseCacheBackend,
+    ENTITY_TAGS
+};
@@ -0,0 +1,49 @@
+/**
+ * data/cache/local-cache-backend.js
+ * 單一行程快取後端
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * * 以 Map 保存快取項目。publish / pull 為空實作：失效事件只在本行程內生效。
+ * * 後端介面 (SupabaseCacheBackend 沿用)：
+ * *   get(key) / set(key, entry) / delete(key) / entries() / clear()
+ * *   publish(event) -> Promise   廣播失效事件 { scope: 'key'|'tag'|'all', target }
+ * *   pull()         -> Promise<Array<event>>   取回其他行程發出的失效事件
+ */
+
+class LocalCacheBackend {
+    constructor() {
+        this.name = 'LOCAL';
+        this.store = new Map();
+    }
+
+    get(key) {
+        return this.store.get(key);
+    }
+
+    set(key, entry) {
+        this.store.set(key, entry);
+    }
+
+    delete(key) {
+        return this.store.delete(key);
+    }
+
+    entries() {
+        return Array.from(this.store.entries());
+    }
+
+    clear() {
+        this.store.clear();
+    }
+
+    async publish() {
+        // 單一行程無需廣播
+    }
+
+    async pull() {
+        return [];
+    }
+}
+
+module.exports = LocalCacheBackend;
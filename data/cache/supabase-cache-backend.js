@@ -0,0 +1,121 @@
+/**
+ * data/cache/supabase-cache-backend.js
+ * [Strict Digital Forensics Mode]
+ * - Type: Cache Backend (Shared Invalidation)
+ * - Target: PostgreSQL (Supabase)
+ * - Table: cache_invalidations (supabase/migrations/20261019000800_cache_invalidations.sql)
+ * - Version: 1.0.0
+ * - Date: 2026-10-19
+ * - Description: 多個 Node 行程共用的失效事件表。快取資料本身仍存在各行程記憶體 (Sheet 資料量大，不適合搬進 DB)，
+ *   只有「誰失效了什麼」寫入共享表；各行程讀取快取前 (最多每 SYNC_INTERVAL_MS 一次) 拉取新事件並套用，
+ *   因此行程間最多落後一個同步間隔。拉取失敗時退回 TTL 保證，不影響讀取。
+ */
+
+const LocalCacheBackend = require('./local-cache-backend');
+
+// 容忍各行程時鐘差與寫入延遲：每次拉取往回多看這段時間，以事件 id 去重
+const CLOCK_SKEW_WINDOW_MS = 10 * 1000;
+
+class SupabaseCacheBackend extends LocalCacheBackend {
+    /**
+     * @param {Object} supabase - Supabase client
+     * @param {Object} [options]
+     * @param {number} [options.syncIntervalMs=2000]
+     * @param {number} [options.retentionMs=3600000]
+     */
+    constructor(supabase, options = {}) {
+        super();
+        if (!supabase) throw new Error('[SupabaseCacheBackend] 需要 Supabase client');
+
+        this.name = 'SUPABASE';
+        this.supabase = supabase;
+        this.tableName = 'cache_invalidations';
+        this.syncIntervalMs = options.syncIntervalMs !== undefined ? options.syncIntervalMs : 2000;
+        this.retentionMs = options.retentionMs || 60 * 60 * 1000;
+
+        this.origin = `${process.pid}-${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`;
+        this._seq = 0;
+        this._cursor = Date.now();
+        this._seen = new Map(); // event id -> issued_at
+        this._lastPullAt = 0;
+        this._pendingPull = null;
+        this._lastPruneAt = 0;
+    }
+
+    async publish(event) {
+        const now = Date.now();
+        const row = {
+            id: `${this.origin}-${++this._seq}`,
+            origin: this.origin,
+            scope: event.scope,
+            target: event.target || null,
+            issued_at: now
+        };
+
+        const { error } = await this.supabase.from(this.tableName).insert([row]);
+        if (error) {
+            throw new Error(`[SupabaseCacheBackend] 失效事件寫入失敗: ${error.message}`);
+        }
+
+        if (now - this._lastPruneAt > this.retentionMs / 10) {
+            this._lastPruneAt = now;
+            await this._prune(now);
+        }
+    }
+
+    async pull() {
+        if (Date.now() - this._lastPullAt < this.syncIntervalMs) return [];
+        if (this._pendingPull) return this._pendingPull;
+
+        this._pendingPull = (async () => {
+            try {
+                const { data, error } = await this.supabase
+                    .from(this.tableName)
+                    .select('*')
+                    .gte('issued_at', this._cursor - CLOCK_SKEW_WINDOW_MS)
+                    .order('issued_at', { ascending: true });
+
+                if (error) {
+                    throw new Error(`[SupabaseCacheBackend] 失效事件讀取失敗: ${error.message}`);
+                }
+                this._lastPullAt = Date.now();
+
+                const events = [];
+                (data || []).forEach(row => {
+                    if (this._seen.has(row.id)) return;
+                    this._seen.set(row.id, row.issued_at);
+                    if (row.issued_at > this._cursor) this._cursor = row.issued_at;
+                    if (row.origin !== this.origin) {
+                        events.push({ scope: row.scope, target: row.target });
+                    }
+                });
+
+                this._forgetBefore(this._cursor - CLOCK_SKEW_WINDOW_MS);
+                return events;
+            } finally {
+                this._pendingPull = null;
+            }
+        })();
+
+        return this._pendingPull;
+    }
+
+    _forgetBefore(threshold) {
+        for (const [id, issuedAt] of this._seen) {
+            if (issuedAt < threshold) this._seen.delete(id);
+        }
+    }
+
+    async _prune(now) {
+        const { error } = await this.supabase
+            .from(this.tableName)
+            .delete()
+            .lt('issued_at', now - this.retentionMs);
+
+        if (error) {
+            console.warn(`⚠️ [SupabaseCacheBackend] 清除過期失效事件失敗: ${error.message}`);
+        }
+    }
+}
+
+module.exports = SupabaseCacheBackend;
@@ -0,0 +1,39 @@
+/**
+ * data/cache/write-hook.js
+ * Writer 共用的寫入後失效掛勾
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * * 快取失效由 Writer 本身發出，而不是每個 Service 各自呼叫：
+ * * 遷移工具、完整性修復、匯入、還原等直接呼叫 Writer 的流程也會一併失效。
+ * * - 每個 Writer 檔案在 module.exports 前以 invalidatesOnWrite(Class, { method: tags }) 宣告寫入方法與標籤。
+ * * - tags 可為標籤陣列，或 (...args) => 標籤陣列 (依資料表 / 工作表名稱決定，見 cache-policy 的 tagsForTable / tagsForSheet)。
+ * * - 失效在 finally 中執行：寫入失敗也可能已部分寫入 (例如分批 upsert)，寧可多清一次。
+ */
+
+const { getCache } = require('./index');
+
+/**
+ * @param {Function} WriterClass
+ * @param {Object<string, string[]|Function>} methodTags - 方法名稱 -> 標籤
+ * @returns {Function} WriterClass (原型方法已包裝)
+ */
+function invalidatesOnWrite(WriterClass, methodTags) {
+    Object.entries(methodTags).forEach(([name, tags]) => {
+        const original = WriterClass.prototype[name];
+        if (typeof original !== 'function') {
+            throw new Error(`[WriteHook] ${WriterClass.name}.${name} 不存在`);
+        }
+        WriterClass.prototype[name] = async function (...args) {
+            try {
+                return await original.apply(this, args);
+            } finally {
+                const resolved = typeof tags === 'function' ? tags(...args) : tags;
+                if (resolved && resolved.length > 0) getCache().invalidateTags(resolved);
+            }
+        };
+    });
+    return WriterClass;
+}
+
+module.exports = { invalidatesOnWrite };
@@ -0,0 +1,100 @@
+/**
+ * data/company-merge-sql-reader.js
+ * [Strict Digital Forensics Mode]
+ * - Type: SQL Reader (Read-Only)
+ * - Target: PostgreSQL (Supabase)
+ * - Table: company_merges (寫入見 data/company-merge-sql-writer.js)
+ * - Constraints: No update/delete
+ * - Version: 1.0.0
+ * - Date: 2026-10-19
+ */
+
+const { supabase } = require('../config/supabase');
+
+class CompanyMergeSqlReader {
+
+    constructor() {
+        this.tableName = 'company_merges';
+    }
+
+    /**
+     * 合併紀錄 (新到舊)
+     * @param {Object} filters
+     * @param {string} [filters.companyId] - 存續或被合併的公司
+     * @param {number} [filters.limit=100]
+     * @returns {Promise<Array<Object>>} Merge DTOs
+     */
+    async getMerges({ companyId, limit = 100 } = {}) {
+        try {
+            let query = supabase
+                .from(this.tableName)
+                .select('*');
+
+            if (companyId) query = query.or(`survivor_id.eq.${companyId},merged_id.eq.${companyId}`);
+
+            const { data, error } = await query
+                .order('merged_at', { ascending: false })
+                .limit(limit);
+
+            if (error) {
+                throw new Error(`[CompanyMergeSqlReader] DB Error: ${error.message}`);
+            }
+
+            return data.map(row => this._mapRowToDto(row));
+
+        } catch (error) {
+            console.error('[CompanyMergeSqlReader] getMerges Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @param {string} mergeId
+     * @returns {Promise<Object|null>}
+     */
+    async getMerge(mergeId) {
+        try {
+            const { data, error } = await supabase
+                .from(this.tableName)
+                .select('*')
+                .eq('merge_id', mergeId)
+                .maybeSingle();
+
+            if (error) {
+                throw new Error(`[CompanyMergeSqlReader] DB Error: ${error.message}`);
+            }
+
+            return this._mapRowToDto(data);
+
+        } catch (error) {
+            console.error('[CompanyMergeSqlReader] getMerge Error:', error);
+            throw error;
+        }
+    }
+
+    _mapRowToDto(row) {
+        if (!row) return null;
+
+        const moved = row.moved || {};
+        const movedCounts = {};
+        Object.entries(moved).forEach(([table, items]) => { movedCounts[table] = items.length; });
+
+        return {
+            mergeId: row.merge_id,
+            survivorId: row.survivor_id,
+            survivorName: row.survivor_name,
+            mergedId: row.merged_id,
+            mergedName: row.merged_name,
+            mergedCompany: row.merged_company,
+            moved,
+            movedCounts,
+            sheetEvents: row.sheet_events || [],
+            mergedBy: row.merged_by,
+            mergedAt: row.merged_at,
+            undoneBy: row.undone_by,
+            undoneAt: row.undone_at
+        };
+    }
+}
+
+module.exports = CompanyMergeSqlReader;
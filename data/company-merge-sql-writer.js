@@ -0,0 +1,112 @@
+/**
+ * data/company-merge-sql-writer.js
+ * [Strict Digital Forensics Mode]
+ * - Type: SQL Writer
+ * - Target: PostgreSQL (Supabase)
+ * - Tables: company_merges (merge_id text PK, survivor_id text, survivor_name text, merged_id text, merged_name text,
+ *           merged_company jsonb, moved jsonb, sheet_events jsonb, merged_by text, merged_at timestamptz,
+ *           undone_by text, undone_at timestamptz)
+ *   companies.merged_into text
+ * - DDL / Functions: supabase/migrations/20261019001500_company_merge.sql (單一交易，記憶體版見 fakes/memory-rpc.js)：
+ *   merge_companies(p_merge_id text, p_survivor_id text, p_merged_id text, p_actor text) returns jsonb
+ *     將 contacts / opportunities / interactions / event_logs_{general,iot,dt,dx} 的 company_id 改為存續公司
+ *     (機會一併改寫 customer_company，並回填 company_id 為空、名稱為被合併公司的舊資料)，
+ *     被合併公司軟刪除 (merged_into = 存續公司)，moved 記錄每列原本的 company_id / customer_company。
+ *   undo_company_merge(p_merge_id text, p_actor text) returns jsonb
+ *     依 moved 還原仍指向存續公司的資料列、還原被合併公司，並寫入 undone_by / undone_at。
+ * - Version: 1.0.0
+ * - Date: 2026-10-19
+ * - Audit: 注入 AuditSqlWriter 時，存續與被合併公司各寫入一筆 merge / unmerge 紀錄。
+ */
+
+const { supabase } = require('../config/supabase');
+const { invalidatesOnWrite } = require('./cache/write-hook');
+const { ENTITY_TAGS } = require('./cache/cache-policy');
+
+// 合併 / 復原會改寫所有參照公司的資料表
+const MERGE_TAGS = [
+    ENTITY_TAGS.COMPANY,
+    ENTITY_TAGS.CONTACT,
+    ENTITY_TAGS.OPPORTUNITY,
+    ENTITY_TAGS.INTERACTION,
+    ENTITY_TAGS.EVENT_LOG
+];
+
+class CompanyMergeSqlWriter {
+
+    /**
+     * @param {AuditSqlWriter} [auditSqlWriter] - 稽核 (未注入時不記錄)
+     */
+    constructor(auditSqlWriter = null) {
+        this.auditSqlWriter = auditSqlWriter;
+    }
+
+    async _audit(record, action, actor) {
+        if (!this.auditSqlWriter) return;
+        await this.auditSqlWriter.recordField({
+            entity: 'company', entityId: record.survivor_id, action,
+            field: 'merged_company', oldValue: null, newValue: `${record.merged_id} ${record.merged_name}`, actor
+        });
+        await this.auditSqlWriter.recordField({
+            entity: 'company', entityId: record.merged_id, action,
+            field: 'merged_into', oldValue: null, newValue: `${record.survivor_id} ${record.survivor_name}`, actor
+        });
+    }
+
+    async _call(fnName, params) {
+        const { data, error } = await supabase.rpc(fnName, params);
+        if (error) {
+            console.error(`[CompanyMergeSqlWriter] ${fnName} Error:`, error);
+            throw new Error(`DB Merge Error: ${error.message}`);
+        }
+        return data;
+    }
+
+    /**
+     * 合併公司 (mergedId 併入 survivorId)
+     * @returns {Promise<Object>} company_merges 資料列
+     */
+    async merge(mergeId, survivorId, mergedId, actor) {
+        console.log(`🔀 [CompanyMergeSqlWriter] Merge: ${mergedId} -> ${survivorId} (${mergeId})`);
+        const record = await this._call('merge_companies', {
+            p_merge_id: mergeId,
+            p_survivor_id: survivorId,
+            p_merged_id: mergedId,
+            p_actor: actor
+        });
+        await this._audit(record, 'merge', actor);
+        return record;
+    }
+
+    /**
+     * 復原合併
+     * @returns {Promise<Object>} company_merges 資料列 + { restored, skipped }
+     */
+    async undo(mergeId, actor) {
+        console.log(`↩️ [CompanyMergeSqlWriter] Undo Merge: ${mergeId}`);
+        const record = await this._call('undo_company_merge', { p_merge_id: mergeId, p_actor: actor });
+        await this._audit(record, 'unmerge', actor);
+        return record;
+    }
+
+    /**
+     * 記錄 Sheet 模式下一併改寫關聯公司的事件 (Sheet 不在合併交易內，由 Service 於合併後寫入)
+     * @param {string} mergeId
+     * @param {Array<{eventId: string, eventType: string}>} events
+     */
+    async recordSheetEvents(mergeId, events) {
+        const { error } = await supabase
+            .from('company_merges')
+            .update({ sheet_events: events })
+            .eq('merge_id', mergeId);
+        if (error) {
+            console.error('[CompanyMergeSqlWriter] recordSheetEvents Error:', error);
+            throw new Error(`DB Merge Error: ${error.message}`);
+        }
+    }
+}
+
+module.exports = invalidatesOnWrite(CompanyMergeSqlWriter, {
+    merge: MERGE_TAGS,
+    undo: MERGE_TAGS
+});
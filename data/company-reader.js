@@ -7,6 +7,7 @@
  */
 
 const BaseReader = require('./base-reader');
+const { excludesTrashed } = require('./trash-read-hook');
 
 class CompanyReader extends BaseReader {
     /**
@@ -45,4 +46,6 @@ class CompanyReader extends BaseReader {
     }
 }
 
-module.exports = CompanyReader;
\ No newline at end of file
+module.exports = excludesTrashed(CompanyReader, {
+    getCompanyList: { entity: 'company', idKey: 'companyId' }
+});
\ No newline at end of file
@@ -6,11 +6,19 @@
  * - Table: companies
  * - Schema: Strict adherence to provided JSON schema
  * - Constraints: No rowIndex, No guessing, No update/delete
+ * - Soft Delete: deleted_at IS NOT NULL 的紀錄一律排除 (回收桶另由 TrashSqlReader 讀取)
+ * - List Query: queryCompanies() 將篩選 / 排序 / Cursor 分頁下推到資料庫 (data/list-specs.js)
+ * - Custom Fields: custom_fields (jsonb) -> customFields (utils/custom-field-values.js)
+ * - Page Joins: getCompanyNames() / getLastActivity() 只讀取列表本頁的公司 (last activity 由資料庫彙總，
+ *   supabase/migrations/20261019001200_list_joins.sql)
  * - Version: 1.0.0
  * - Date: 2026-01-29
  */
 
 const { supabase } = require('../config/supabase');
+const listQuery = require('../utils/list-query');
+const { LIST_SPECS } = require('./list-specs');
+const customFieldValues = require('../utils/custom-field-values');
 
 class CompanySqlReader {
 
@@ -30,6 +38,7 @@ class CompanySqlReader {
             const { data, error } = await supabase
                 .from(this.tableName)
                 .select('*')
+                .is('deleted_at', null)
                 .eq('company_id', companyId)
                 .single();
 
@@ -59,7 +68,8 @@ class CompanySqlReader {
         try {
             const { data, error } = await supabase
                 .from(this.tableName)
-                .select('*');
+                .select('*')
+                .is('deleted_at', null);
 
             if (error) {
                 throw new Error(`[CompanySqlReader] DB Error: ${error.message}`);
@@ -74,6 +84,90 @@ class CompanySqlReader {
         }
     }
 
+    /**
+     * 指定公司的名稱 (列表本頁的關聯名稱)
+     * @param {string[]} companyIds
+     * @returns {Promise<Array<{companyId: string, companyName: string}>>}
+     */
+    async getCompanyNames(companyIds) {
+        const ids = [...new Set((companyIds || []).filter(Boolean))];
+        if (ids.length === 0) return [];
+
+        try {
+            const { data, error } = await supabase
+                .from(this.tableName)
+                .select('company_id, company_name')
+                .is('deleted_at', null)
+                .in('company_id', ids);
+
+            if (error) {
+                throw new Error(`[CompanySqlReader] DB Error: ${error.message}`);
+            }
+
+            return data.map(row => ({ companyId: row.company_id, companyName: row.company_name }));
+
+        } catch (error) {
+            console.error('[CompanySqlReader] getCompanyNames Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 指定公司的最後活動時間 (互動時間 / SQL 事件建立時間取最大值，排除回收桶)，由 company_last_activity() 彙總
+     * @param {string[]} companyIds
+     * @returns {Promise<Array<{companyId: string, lastActivity: string}>>} 沒有活動的公司不會出現
+     */
+    async getLastActivity(companyIds) {
+        const ids = [...new Set((companyIds || []).filter(Boolean))];
+        if (ids.length === 0) return [];
+
+        try {
+            const { data, error } = await supabase.rpc('company_last_activity', { p_company_ids: ids });
+
+            if (error) {
+                throw new Error(`[CompanySqlReader] DB Error: ${error.message}`);
+            }
+
+            return (data || []).map(row => ({ companyId: row.company_id, lastActivity: row.last_activity }));
+
+        } catch (error) {
+            console.error('[CompanySqlReader] getLastActivity Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 列表查詢：篩選 / 排序 / Cursor 分頁全部下推到資料庫 (語法見 utils/list-query.js)
+     * @param {Object} parsed - req.listQuery
+     * @returns {Promise<Object>} { items: Company DTOs, nextCursor, hasMore }
+     */
+    async queryCompanies(parsed) {
+        const spec = LIST_SPECS.company;
+        try {
+            const query = supabase
+                .from(this.tableName)
+                .select('*')
+                .is('deleted_at', null);
+
+            const { data, error } = await listQuery.apply(query, parsed, spec);
+
+            if (error) {
+                throw new Error(`[CompanySqlReader] DB Error: ${error.message}`);
+            }
+
+            const page = listQuery.toPage(data, parsed, spec);
+            return {
+                items: page.rows.map(row => this._mapRowToDto(row)),
+                nextCursor: page.nextCursor,
+                hasMore: page.hasMore
+            };
+
+        } catch (error) {
+            console.error('[CompanySqlReader] queryCompanies Error:', error);
+            throw error;
+        }
+    }
+
     /**
      * Maps Raw SQL Row to DTO
      * Strict adherence to provided schema.
@@ -98,6 +192,9 @@ class CompanySqlReader {
             customerStage: row.customer_stage,
             interactionRating: row.interaction_rating,
 
+            // Custom Fields (services/custom-field-service.js)
+            customFields: customFieldValues.parse(row.custom_fields),
+
             // Metadata / Audit
             createdTime: row.created_time,
             updatedTime: row.updated_time,
@@ -7,14 +7,32 @@
  * * 1. [Phase 7] Write Authority Migration (SQL Only).
  * * 2. [Strict] No RowIndex, No UUID generation (ID provided by Service).
  * * 3. [Schema] Matches Supabase schema strictly.
+ * * 4. [OCC] updateCompany 支援樂觀鎖 (options.expectedVersion = 讀取時的 updated_time)。
+ * * 5. [Audit] 注入 AuditSqlWriter 時，每次寫入逐欄寫入稽核紀錄 (audit_logs)。
+ * * 6. [Link] 改名時同步已連結 (company_id) 機會的 customer_company 顯示名稱。
+ * * 7. [Custom Fields] customFields 寫入 custom_fields (jsonb)，更新時與目前的值合併
+ * *    (supabase/migrations/20261019002200_custom_fields.sql)。
  */
 
 const { supabase } = require('../config/supabase');
+const { nextVersion, createConflictError } = require('../utils/concurrency');
+const customFieldValues = require('../utils/custom-field-values');
+const { invalidatesOnWrite } = require('./cache/write-hook');
+const { ENTITY_TAGS } = require('./cache/cache-policy');
 
 class CompanySqlWriter {
 
-    constructor() {
+    /**
+     * @param {AuditSqlWriter} [auditSqlWriter] - 欄位層級稽核 (未注入時不記錄)
+     */
+    constructor(auditSqlWriter = null) {
         this.tableName = 'companies';
+        this.auditSqlWriter = auditSqlWriter;
+    }
+
+    async _audit(entry) {
+        if (!this.auditSqlWriter) return;
+        await this.auditSqlWriter.record({ entity: 'company', ...entry });
     }
 
     /**
@@ -43,6 +61,7 @@ class CompanySqlWriter {
             company_type: companyData.companyType || '',
             customer_stage: companyData.customerStage || 'New',
             interaction_rating: companyData.engagementRating || 'C', // Mapping: engagementRating -> interactionRating
+            custom_fields: customFieldValues.merge(null, companyData.customFields),
 
             // Audit
             created_by: creator,
@@ -60,6 +79,8 @@ class CompanySqlWriter {
 
             if (error) throw error;
 
+            await this._audit({ entityId: payload.company_id, action: 'create', before: null, after: payload, actor: creator });
+
             return {
                 success: true,
                 data: {
@@ -78,11 +99,14 @@ class CompanySqlWriter {
      * @param {string} companyId 公司 ID
      * @param {Object} updateData 更新資料
      * @param {string} modifier 修改者
+     * @param {Object} [options]
+     * @param {string} [options.expectedVersion] 預期的 updated_time，不符時拋出 VERSION_CONFLICT
      */
-    async updateCompany(companyId, updateData, modifier) {
+    async updateCompany(companyId, updateData, modifier, options = {}) {
         if (!companyId) throw new Error('[CompanySqlWriter] companyId is required for update.');
 
-        const now = new Date().toISOString();
+        const expectedVersion = options.expectedVersion || null;
+        const now = nextVersion(expectedVersion);
         const payload = {
             updated_by: modifier,
             updated_time: now
@@ -100,36 +124,88 @@ class CompanySqlWriter {
         if (updateData.customerStage !== undefined) payload.customer_stage = updateData.customerStage;
         if (updateData.engagementRating !== undefined) payload.interaction_rating = updateData.engagementRating;
 
+        const before = this.auditSqlWriter
+            ? await this.auditSqlWriter.snapshot(this.tableName, 'company_id', companyId)
+            : null;
+
+        if (updateData.customFields !== undefined) {
+            payload.custom_fields = customFieldValues.merge(await this._currentCustomFields(companyId, before), updateData.customFields);
+        }
+
+        let data;
         try {
-            const { error } = await supabase
+            let query = supabase
                 .from(this.tableName)
                 .update(payload)
                 .eq('company_id', companyId);
+            if (expectedVersion) query = query.eq('updated_time', expectedVersion);
 
-            if (error) throw error;
-
-            return { success: true };
+            const result = await query.select('company_id');
+            if (result.error) throw result.error;
+            data = result.data;
         } catch (error) {
             console.error('[CompanySqlWriter] Update Error:', error);
             throw error;
         }
+
+        if (expectedVersion && (!data || data.length === 0)) {
+            throw createConflictError('公司', companyId, expectedVersion);
+        }
+
+        await this._audit({ entityId: companyId, action: 'update', before, after: payload, actor: modifier });
+
+        if (payload.company_name !== undefined && (!before || before.company_name !== payload.company_name)) {
+            await this._syncOpportunityCompanyName(companyId, payload.company_name);
+        }
+
+        return { success: true, version: now };
+    }
+
+    /**
+     * 更新只帶入有修改的自訂欄位，需與目前的值合併 (已有稽核快照時直接使用)
+     */
+    async _currentCustomFields(companyId, before) {
+        if (before) return before.custom_fields;
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('custom_fields')
+            .eq('company_id', companyId)
+            .maybeSingle();
+        if (error) throw error;
+        return data ? data.custom_fields : null;
     }
 
     /**
-     * 刪除公司
+     * 機會的 customer_company 是顯示用的冗餘欄位，關聯以 company_id 為準；同步失敗不影響改名本身
+     */
+    async _syncOpportunityCompanyName(companyId, companyName) {
+        const { error } = await supabase
+            .from('opportunities')
+            .update({ customer_company: companyName })
+            .eq('company_id', companyId);
+        if (error) console.warn(`[CompanySqlWriter] 同步機會公司名稱失敗 (${companyId}): ${error.message}`);
+    }
+
+    /**
+     * 刪除公司 (軟刪除：移入回收桶)
      * @param {string} companyId 公司 ID
+     * @param {string} modifier 刪除者
      */
-    async deleteCompany(companyId) {
+    async deleteCompany(companyId, modifier) {
         if (!companyId) throw new Error('[CompanySqlWriter] companyId is required for deletion.');
 
         try {
+            const deletedAt = new Date().toISOString();
             const { error } = await supabase
                 .from(this.tableName)
-                .delete()
-                .eq('company_id', companyId);
+                .update({ deleted_at: deletedAt, deleted_by: modifier || 'System' })
+                .eq('company_id', companyId)
+                .is('deleted_at', null);
 
             if (error) throw error;
 
+            await this._audit({ entityId: companyId, action: 'delete', before: null, after: { deleted_at: deletedAt }, actor: modifier });
+
             return { success: true };
         } catch (error) {
             console.error('[CompanySqlWriter] Delete Error:', error);
@@ -138,4 +214,8 @@ class CompanySqlWriter {
     }
 }
 
-module.exports = CompanySqlWriter;
\ No newline at end of file
+module.exports = invalidatesOnWrite(CompanySqlWriter, {
+    createCompany: [ENTITY_TAGS.COMPANY],
+    deleteCompany: [ENTITY_TAGS.COMPANY],
+    updateCompany: [ENTITY_TAGS.COMPANY, ENTITY_TAGS.OPPORTUNITY]
+});
\ No newline at end of file
@@ -10,6 +10,8 @@
  */
 
 const BaseWriter = require('./base-writer');
+const { invalidatesOnWrite } = require('./cache/write-hook');
+const { ENTITY_TAGS } = require('./cache/cache-policy');
 
 class CompanyWriter extends BaseWriter {
     /**
@@ -30,8 +32,8 @@ class CompanyWriter extends BaseWriter {
         const sheetName = this.config.SHEETS.COMPANY_LIST;
         const now = new Date().toISOString();
         
-        // 1. 產生 ID
-        const companyId = `COMP_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+        // 1. 產生 ID (影子模式下沿用 SQL 端的 companyId，以便兩邊以同一主鍵比對)
+        const companyId = companyData.companyId || `COMP_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
 
         // 2. 準備資料列 (Strict Mapping: Index 0-12)
         // 必須與 0109 規格完全一致，不可省略任何一個 null
@@ -183,4 +185,8 @@ class CompanyWriter extends BaseWriter {
     }
 }
 
-module.exports = CompanyWriter;
\ No newline at end of file
+module.exports = invalidatesOnWrite(CompanyWriter, {
+    createCompany: [ENTITY_TAGS.COMPANY],
+    updateCompany: [ENTITY_TAGS.COMPANY],
+    deleteCompany: [ENTITY_TAGS.COMPANY]
+});
\ No newline at end of file
@@ -0,0 +1,93 @@
+/**
+ * data/contact-merge-sql-reader.js
+ * [Strict Digital Forensics Mode]
+ * - Type: SQL Reader (Read-Only)
+ * - Target: PostgreSQL (Supabase)
+ * - Table: contact_merges (寫入見 data/contact-merge-sql-writer.js)
+ * - Constraints: No update/delete
+ * - Version: 1.0.0
+ * - Date: 2026-10-19
+ */
+
+const { supabase } = require('../config/supabase');
+
+class ContactMergeSqlReader {
+
+    constructor() {
+        this.tableName = 'contact_merges';
+    }
+
+    /**
+     * 合併紀錄 (新到舊)
+     * @param {Object} filters
+     * @param {string} [filters.survivorId] - 存續的正式聯絡人 ID 或名片原始ID
+     * @param {number} [filters.limit=100]
+     * @returns {Promise<Array<Object>>} Merge DTOs
+     */
+    async getMerges({ survivorId, limit = 100 } = {}) {
+        try {
+            let query = supabase
+                .from(this.tableName)
+                .select('*');
+
+            if (survivorId) query = query.eq('survivor_id', survivorId);
+
+            const { data, error } = await query
+                .order('merged_at', { ascending: false })
+                .limit(limit);
+
+            if (error) {
+                throw new Error(`[ContactMergeSqlReader] DB Error: ${error.message}`);
+            }
+
+            return data.map(row => this._mapRowToDto(row));
+
+        } catch (error) {
+            console.error('[ContactMergeSqlReader] getMerges Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @param {string} mergeId
+     * @returns {Promise<Object|null>}
+     */
+    async getMerge(mergeId) {
+        try {
+            const { data, error } = await supabase
+                .from(this.tableName)
+                .select('*')
+                .eq('merge_id', mergeId)
+                .maybeSingle();
+
+            if (error) {
+                throw new Error(`[ContactMergeSqlReader] DB Error: ${error.message}`);
+            }
+
+            return this._mapRowToDto(data);
+
+        } catch (error) {
+            console.error('[ContactMergeSqlReader] getMerge Error:', error);
+            throw error;
+        }
+    }
+
+    _mapRowToDto(row) {
+        if (!row) return null;
+
+        return {
+            mergeId: row.merge_id,
+            survivorType: row.survivor_type,
+            survivorId: row.survivor_id,
+            mergedContacts: (row.merged_contacts || []).map(c => ({ contactId: c.contact_id, name: c.name })),
+            mergedCards: row.merged_cards || [],
+            cardImages: row.card_images || [],
+            linksMoved: row.links_moved,
+            linksDeduped: row.links_deduped,
+            mergedBy: row.merged_by,
+            mergedAt: row.merged_at
+        };
+    }
+}
+
+module.exports = ContactMergeSqlReader;
@@ -0,0 +1,84 @@
+/**
+ * data/contact-merge-sql-writer.js
+ * [Strict Digital Forensics Mode]
+ * - Type: SQL Writer
+ * - Target: PostgreSQL (Supabase)
+ * - Tables: contact_merges (merge_id text PK, survivor_type text, survivor_id text, merged_contacts jsonb,
+ *           merged_cards jsonb, card_images jsonb, links_moved int, links_deduped int, merged_by text, merged_at timestamptz)
+ *   contacts.merged_into text
+ * - DDL / Function: supabase/migrations/20261019001600_contact_merge.sql (單一交易，記憶體版見 fakes/memory-rpc.js)：
+ *   merge_contacts(p_merge_id text, p_survivor_type text, p_survivor_id text, p_merged_contact_ids text[],
+ *                  p_merged_cards jsonb, p_card_images jsonb, p_actor text) returns jsonb
+ *     被合併正式聯絡人的 opportunity_contact_links 改指向存續聯絡人 (同一機會已關聯時只保留一筆)，
+ *     被合併聯絡人軟刪除 (merged_into = 存續聯絡人)，並寫入 contact_merges。
+ *     名片 (RAW, Sheet) 不在此交易內，只記錄於 merged_cards / card_images。
+ * - Version: 1.0.0
+ * - Date: 2026-10-19
+ * - Audit: 注入 AuditSqlWriter 時，存續與每位被合併的正式聯絡人各寫入一筆 merge 紀錄。
+ */
+
+const { supabase } = require('../config/supabase');
+const { invalidatesOnWrite } = require('./cache/write-hook');
+const { ENTITY_TAGS } = require('./cache/cache-policy');
+
+const MERGE_TAGS = [ENTITY_TAGS.CONTACT, ENTITY_TAGS.RAW_CONTACT, ENTITY_TAGS.OPP_CONTACT_LINK];
+
+class ContactMergeSqlWriter {
+
+    /**
+     * @param {AuditSqlWriter} [auditSqlWriter] - 稽核 (未注入時不記錄)
+     */
+    constructor(auditSqlWriter = null) {
+        this.auditSqlWriter = auditSqlWriter;
+    }
+
+    async _audit(record, actor) {
+        if (!this.auditSqlWriter) return;
+        for (const contact of record.merged_contacts || []) {
+            await this.auditSqlWriter.recordField({
+                entity: 'contact', entityId: record.survivor_id, action: 'merge',
+                field: 'merged_contact', oldValue: null, newValue: `${contact.contact_id} ${contact.name || ''}`.trim(), actor
+            });
+            await this.auditSqlWriter.recordField({
+                entity: 'contact', entityId: contact.contact_id, action: 'merge',
+                field: 'merged_into', oldValue: null, newValue: record.survivor_id, actor
+            });
+        }
+    }
+
+    /**
+     * @param {Object} merge
+     * @param {string} merge.mergeId
+     * @param {Object} merge.survivor - { type: 'official' | 'potential', id }
+     * @param {Array<string>} merge.contactIds - 被合併的正式聯絡人
+     * @param {Array<Object>} merge.cards - 被合併的名片 { originalId, name, company, driveLink }
+     * @param {Array<string>} merge.cardImages - 合併後保留的所有名片圖檔
+     * @param {string} actor
+     * @returns {Promise<Object>} contact_merges 資料列
+     */
+    async merge({ mergeId, survivor, contactIds, cards, cardImages }, actor) {
+        console.log(`🔀 [ContactMergeSqlWriter] Merge: ${contactIds.length} contact(s) + ${cards.length} card(s) -> ${survivor.id} (${mergeId})`);
+
+        const { data, error } = await supabase.rpc('merge_contacts', {
+            p_merge_id: mergeId,
+            p_survivor_type: survivor.type,
+            p_survivor_id: survivor.id,
+            p_merged_contact_ids: contactIds,
+            p_merged_cards: cards,
+            p_card_images: cardImages,
+            p_actor: actor
+        });
+
+        if (error) {
+            console.error('[ContactMergeSqlWriter] merge_contacts Error:', error);
+            throw new Error(`DB Merge Error: ${error.message}`);
+        }
+
+        await this._audit(data, actor);
+        return data;
+    }
+}
+
+module.exports = invalidatesOnWrite(ContactMergeSqlWriter, {
+    merge: MERGE_TAGS
+});
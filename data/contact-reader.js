@@ -8,10 +8,12 @@
  * 1. 移除所有業務邏輯 (Filter, Sort, Pagination, Join)。
  * 2. 移除 Cross-Reader Coupling (不再 require company-reader)。
  * 3. 確保回傳 rowIndex，供 Service 傳遞給 Writer 進行 Update。
+ *    潛在客戶另回傳 originalId (原始ID 欄)，作為對外 API 的穩定識別碼。
  * 4. 僅保留 Raw Data Access 方法。
  */
 
 const BaseReader = require('./base-reader');
+const { excludesTrashed } = require('./trash-read-hook');
 
 class ContactReader extends BaseReader {
     /**
@@ -36,6 +38,8 @@ class ContactReader extends BaseReader {
             return {
                 // [Critical] 用於 Service -> Writer 的定位
                 rowIndex: index + 2,
+                // 穩定識別碼 (API 定位用；空值由 ContactService 回填)
+                originalId: row[this.config.CONTACT_FIELDS.ORIGINAL_ID] || '',
                 
                 // 基礎資料欄位
                 createdTime: row[this.config.CONTACT_FIELDS.TIME] || '',
@@ -118,4 +122,6 @@ class ContactReader extends BaseReader {
     }
 }
 
-module.exports = ContactReader;
\ No newline at end of file
+module.exports = excludesTrashed(ContactReader, {
+    getContactList: { entity: 'contact', idKey: 'contactId' }
+});
\ No newline at end of file
@@ -6,11 +6,17 @@
  * - Table: contacts
  * - Schema: Strict adherence to provided JSON schema
  * - Constraints: No rowIndex, No guessing, No update/delete
+ * - Soft Delete: deleted_at IS NOT NULL 的紀錄一律排除 (回收桶另由 TrashSqlReader 讀取)
+ * - List Query: queryContacts() 將篩選 / 排序 / Cursor 分頁下推到資料庫 (data/list-specs.js)
+ * - Custom Fields: custom_fields (jsonb) -> customFields (utils/custom-field-values.js)
  * - Version: 1.0.0
  * - Date: 2026-01-29
  */
 
 const { supabase } = require('../config/supabase');
+const listQuery = require('../utils/list-query');
+const { LIST_SPECS } = require('./list-specs');
+const customFieldValues = require('../utils/custom-field-values');
 
 class ContactSqlReader {
 
@@ -30,6 +36,7 @@ class ContactSqlReader {
             const { data, error } = await supabase
                 .from(this.tableName)
                 .select('*')
+                .is('deleted_at', null)
                 .eq('contact_id', contactId)
                 .single();
 
@@ -59,7 +66,8 @@ class ContactSqlReader {
         try {
             const { data, error } = await supabase
                 .from(this.tableName)
-                .select('*');
+                .select('*')
+                .is('deleted_at', null);
 
             if (error) {
                 throw new Error(`[ContactSqlReader] DB Error: ${error.message}`);
@@ -74,6 +82,38 @@ class ContactSqlReader {
         }
     }
 
+    /**
+     * 列表查詢：篩選 / 排序 / Cursor 分頁全部下推到資料庫 (語法見 utils/list-query.js)
+     * @param {Object} parsed - req.listQuery
+     * @returns {Promise<Object>} { items: Contact DTOs, nextCursor, hasMore }
+     */
+    async queryContacts(parsed) {
+        const spec = LIST_SPECS.contact;
+        try {
+            const query = supabase
+                .from(this.tableName)
+                .select('*')
+                .is('deleted_at', null);
+
+            const { data, error } = await listQuery.apply(query, parsed, spec);
+
+            if (error) {
+                throw new Error(`[ContactSqlReader] DB Error: ${error.message}`);
+            }
+
+            const page = listQuery.toPage(data, parsed, spec);
+            return {
+                items: page.rows.map(row => this._mapRowToDto(row)),
+                nextCursor: page.nextCursor,
+                hasMore: page.hasMore
+            };
+
+        } catch (error) {
+            console.error('[ContactSqlReader] queryContacts Error:', error);
+            throw error;
+        }
+    }
+
     /**
      * Maps Raw SQL Row to DTO
      * Strict adherence to provided schema.
@@ -98,6 +138,9 @@ class ContactSqlReader {
             phone: row.phone,
             email: row.email,
 
+            // Custom Fields (services/custom-field-service.js)
+            customFields: customFieldValues.parse(row.custom_fields),
+
             // Metadata / Audit
             createdTime: row.created_time,
             updatedTime: row.updated_time,
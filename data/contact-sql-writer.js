@@ -5,13 +5,30 @@
  * * @date 2026-02-04
  * * @description Strict SQL write operations for Official Contacts.
  * * Handles Create, Update, Delete with strict ID contracts.
+ * * Update supports optimistic concurrency via options.expectedVersion (updated_time).
+ * * Writes are field-audited when an AuditSqlWriter is injected (audit_logs).
+ * * customFields are stored in custom_fields (jsonb) and merged with the current values on update
+ * *   (supabase/migrations/20261019002200_custom_fields.sql).
  */
 
 const { supabase } = require('../config/supabase');
+const { nextVersion, createConflictError } = require('../utils/concurrency');
+const customFieldValues = require('../utils/custom-field-values');
+const { invalidatesOnWrite } = require('./cache/write-hook');
+const { ENTITY_TAGS } = require('./cache/cache-policy');
 
 class ContactSqlWriter {
-    constructor() {
+    /**
+     * @param {AuditSqlWriter} [auditSqlWriter] - Field-level audit (skipped when not injected)
+     */
+    constructor(auditSqlWriter = null) {
         this.tableName = 'contacts';
+        this.auditSqlWriter = auditSqlWriter;
+    }
+
+    async _audit(entry) {
+        if (!this.auditSqlWriter) return;
+        await this.auditSqlWriter.record({ entity: 'contact', ...entry });
     }
 
     /**
@@ -38,6 +55,7 @@ class ContactSqlWriter {
             mobile: data.mobile || '',
             phone: data.phone || data.tel || '',                  // Handle both key styles
             email: data.email || '',
+            custom_fields: customFieldValues.merge(null, data.customFields),
             created_by: user,
             updated_by: user,
             created_time: now,
@@ -53,6 +71,8 @@ class ContactSqlWriter {
             throw new Error(`[ContactSqlWriter] Create Error: ${error.message}`);
         }
 
+        await this._audit({ entityId: contactId, action: 'create', before: null, after: payload, actor: user });
+
         // [Contract] Must return { success, id } for WorkflowService compatibility
         return { success: true, id: contactId };
     }
@@ -62,11 +82,14 @@ class ContactSqlWriter {
      * @param {string} contactId 
      * @param {Object} data - Partial update DTO
      * @param {string} user - Modifier name
+     * @param {Object} [options]
+     * @param {string} [options.expectedVersion] - Expected updated_time; throws VERSION_CONFLICT on mismatch
      */
-    async updateContact(contactId, data, user) {
+    async updateContact(contactId, data, user, options = {}) {
         console.log(`👤 [ContactSqlWriter] Updating contact ${contactId} by ${user}`);
 
-        const now = new Date().toISOString();
+        const expectedVersion = options.expectedVersion || null;
+        const now = nextVersion(expectedVersion);
         const payload = {
             updated_time: now,
             updated_by: user
@@ -84,38 +107,78 @@ class ContactSqlWriter {
         if (data.tel !== undefined) payload.phone = data.tel; // Alias
         if (data.email !== undefined) payload.email = data.email;
 
-        const { error } = await supabase
+        const before = this.auditSqlWriter
+            ? await this.auditSqlWriter.snapshot(this.tableName, 'contact_id', contactId)
+            : null;
+
+        if (data.customFields !== undefined) {
+            payload.custom_fields = customFieldValues.merge(await this._currentCustomFields(contactId, before), data.customFields);
+        }
+
+        let query = supabase
             .from(this.tableName)
             .update(payload)
             .eq('contact_id', contactId);
+        if (expectedVersion) query = query.eq('updated_time', expectedVersion);
+
+        const { data: updated, error } = await query.select('contact_id');
 
         if (error) {
             console.error('[ContactSqlWriter] Update Failed:', error);
             throw new Error(`[ContactSqlWriter] Update Error: ${error.message}`);
         }
+        if (expectedVersion && (!updated || updated.length === 0)) {
+            throw createConflictError('聯絡人', contactId, expectedVersion);
+        }
 
-        return { success: true };
+        await this._audit({ entityId: contactId, action: 'update', before, after: payload, actor: user });
+
+        return { success: true, version: now };
+    }
+
+    /**
+     * Partial updates only carry the changed custom fields; merge them with the stored values
+     * (reuses the audit snapshot when there is one)
+     */
+    async _currentCustomFields(contactId, before) {
+        if (before) return before.custom_fields;
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('custom_fields')
+            .eq('contact_id', contactId)
+            .maybeSingle();
+        if (error) throw new Error(`[ContactSqlWriter] Read Custom Fields Error: ${error.message}`);
+        return data ? data.custom_fields : null;
     }
 
     /**
-     * Delete Contact (SQL Only)
+     * Delete Contact (SQL Only, soft delete -> recycle bin)
      * @param {string} contactId 
+     * @param {string} modifier 
      */
-    async deleteContact(contactId) {
+    async deleteContact(contactId, modifier) {
         console.log(`🗑️ [ContactSqlWriter] Deleting contact ${contactId}`);
 
+        const deletedAt = new Date().toISOString();
         const { error } = await supabase
             .from(this.tableName)
-            .delete()
-            .eq('contact_id', contactId);
+            .update({ deleted_at: deletedAt, deleted_by: modifier || 'System' })
+            .eq('contact_id', contactId)
+            .is('deleted_at', null);
 
         if (error) {
             console.error('[ContactSqlWriter] Delete Failed:', error);
             throw new Error(`[ContactSqlWriter] Delete Error: ${error.message}`);
         }
 
+        await this._audit({ entityId: contactId, action: 'delete', before: null, after: { deleted_at: deletedAt }, actor: modifier });
+
         return { success: true };
     }
 }
 
-module.exports = ContactSqlWriter;
\ No newline at end of file
+module.exports = invalidatesOnWrite(ContactSqlWriter, {
+    createContact: [ENTITY_TAGS.CONTACT],
+    updateContact: [ENTITY_TAGS.CONTACT],
+    deleteContact: [ENTITY_TAGS.CONTACT, ENTITY_TAGS.OPP_CONTACT_LINK]
+});
\ No newline at end of file
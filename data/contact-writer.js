@@ -10,6 +10,8 @@
  * 3. 使用 batchUpdate 實現精確的欄位更新。
  */
 const BaseWriter = require('./base-writer');
+const { invalidatesOnWrite } = require('./cache/write-hook');
+const { ENTITY_TAGS } = require('./cache/cache-policy');
 
 class ContactWriter extends BaseWriter {
     /**
@@ -63,6 +65,36 @@ class ContactWriter extends BaseWriter {
         }
     }
 
+    /**
+     * [Pure Write] 回填潛在客戶的原始ID 欄
+     * @param {Array<{rowIndex: number, originalId: string}>} assignments - 由 Service 產生
+     */
+    async writePotentialContactIds(assignments) {
+        if (!assignments || assignments.length === 0) return true;
+
+        const colLetter = String.fromCharCode(65 + this.config.CONTACT_FIELDS.ORIGINAL_ID);
+        const updates = assignments.map(({ rowIndex, originalId }) => {
+            if (isNaN(parseInt(rowIndex)) || rowIndex <= 1) {
+                throw new Error(`無效的 rowIndex: ${rowIndex}`);
+            }
+            return {
+                range: `${this.SHEET_POTENTIAL}!${colLetter}${rowIndex}`,
+                values: [[originalId]]
+            };
+        });
+
+        await this.sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId: this.targetSpreadsheetId,
+            resource: {
+                valueInputOption: 'USER_ENTERED',
+                data: updates
+            }
+        });
+
+        console.log(`✅ [ContactWriter] Assigned ${updates.length} potential contact ID(s)`);
+        return true;
+    }
+
     /**
      * [Pure Write] 更新潛在客戶
      * 接收完整/部分資料，使用 batchUpdate 寫入指定欄位。
@@ -97,6 +129,7 @@ class ContactWriter extends BaseWriter {
         if (F.NOTES !== undefined) {
             pushUpdate(F.NOTES, data.notes);
         }
+        pushUpdate(F.STATUS, data.status);
 
         if (updates.length > 0) {
              await this.sheets.spreadsheets.values.batchUpdate({
@@ -167,4 +200,9 @@ class ContactWriter extends BaseWriter {
     }
 }
 
-module.exports = ContactWriter;
\ No newline at end of file
+module.exports = invalidatesOnWrite(ContactWriter, {
+    createContact: [ENTITY_TAGS.CONTACT],
+    updateContactRow: [ENTITY_TAGS.CONTACT],
+    writePotentialContactIds: [ENTITY_TAGS.RAW_CONTACT],
+    writePotentialContactRow: [ENTITY_TAGS.RAW_CONTACT]
+});
\ No newline at end of file
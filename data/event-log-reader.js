@@ -5,9 +5,13 @@
  * @date 2026-01-29
  * @description [Standard A] 移除 Cross-Reader 依賴與業務邏輯，僅負責 Raw Data Access。
  * [Patch] 公開 HEADER_TO_KEY_MAP 供 Writer 共用，確保 Single Source of Truth。
+ * [Templates] 各事件工作表最後兩欄為 config.EVENT_LOG_EXTRA_FIELDS：
+ * 「事件類型」(一般工作表存放管理員新增的類型) 與「詳細資料」(範本欄位值 JSON -> details)。
  */
 
 const BaseReader = require('./base-reader');
+const detailValues = require('../utils/custom-field-values');
+const { excludesTrashed } = require('./trash-read-hook');
 
 // 欄位映射表 (保持不變)
 const HEADER_TO_KEY_MAP = {
@@ -110,7 +114,7 @@ class EventLogReader extends BaseReader {
 
     async _fetchEventData(eventType, sheetName, specificFields = []) {
         const commonFields = this.config.EVENT_LOG_COMMON_FIELDS;
-        const allHeaders = [...commonFields, ...specificFields];
+        const allHeaders = [...commonFields, ...specificFields, ...this.config.EVENT_LOG_EXTRA_FIELDS];
         const lastColumn = String.fromCharCode(65 + allHeaders.length - 1);
         const range = `${sheetName}!A:${lastColumn}`;
 
@@ -118,6 +122,15 @@ class EventLogReader extends BaseReader {
             const log = { rowIndex: index + 2, eventType };
 
             allHeaders.forEach((header, i) => {
+                if (header === '事件類型') {
+                    if (eventType === 'general' && row[i]) log.eventType = row[i];
+                    return;
+                }
+                if (header === '詳細資料') {
+                    log.details = detailValues.parse(row[i]);
+                    return;
+                }
+
                 let key;
                 if (header === '設備規模' && (eventType === 'iot' || eventType === 'dt')) {
                     key = `${eventType}_deviceScale`;
@@ -149,35 +162,24 @@ class EventLogReader extends BaseReader {
     }
 
     async getEventLogs() {
-        const cacheKey = 'eventLogs';
-        const now = Date.now();
-
-        if (
-            this.cache[cacheKey] &&
-            this.cache[cacheKey].data &&
-            (now - this.cache[cacheKey].timestamp < this.CACHE_DURATION)
-        ) {
-            console.log(`✅ [Cache] 從快取讀取 ${cacheKey}...`);
-            return this.cache[cacheKey].data;
-        }
-
-        console.log(`🔄 [API] 正在從所有新舊事件工作表讀取資料...`);
+        const loader = async () => {
+            console.log(`🔄 [API] 正在從所有新舊事件工作表讀取資料...`);
 
-        const S = this.config.SHEETS;
-        const F = this.config;
+            const S = this.config.SHEETS;
+            const F = this.config;
 
-        const [legacyLogs, generalLogs, iotLogs, dtLogs, dxLogs] = await Promise.all([
-            this._fetchLegacyEventData(),
-            this._fetchEventData('general', S.EVENT_LOGS_GENERAL),
-            this._fetchEventData('iot', S.EVENT_LOGS_IOT, F.EVENT_LOG_IOT_FIELDS),
-            this._fetchEventData('dt', S.EVENT_LOGS_DT, F.EVENT_LOG_DT_FIELDS),
-            this._fetchEventData('dx', S.EVENT_LOGS_DX)
-        ]);
+            const [legacyLogs, generalLogs, iotLogs, dtLogs, dxLogs] = await Promise.all([
+                this._fetchLegacyEventData(),
+                this._fetchEventData('general', S.EVENT_LOGS_GENERAL),
+                this._fetchEventData('iot', S.EVENT_LOGS_IOT, F.EVENT_LOG_IOT_FIELDS),
+                this._fetchEventData('dt', S.EVENT_LOGS_DT, F.EVENT_LOG_DT_FIELDS),
+                this._fetchEventData('dx', S.EVENT_LOGS_DX)
+            ]);
 
-        const allLogs = [...legacyLogs, ...generalLogs, ...iotLogs, ...dtLogs, ...dxLogs];
+            return [...legacyLogs, ...generalLogs, ...iotLogs, ...dtLogs, ...dxLogs];
+        };
 
-        this.cache[cacheKey] = { data: allLogs, timestamp: now };
-        return allLogs;
+        return this.cache.wrap('eventLogs', loader);
     }
 
     /**
@@ -192,4 +194,6 @@ class EventLogReader extends BaseReader {
 // [Patch] 公開映射表供 Writer 使用，確保單一真相
 EventLogReader.HEADER_TO_KEY_MAP = HEADER_TO_KEY_MAP;
 
-module.exports = EventLogReader;
\ No newline at end of file
+module.exports = excludesTrashed(EventLogReader, {
+    getEventLogs: { entity: 'event', idKey: 'eventId' }
+});
\ No newline at end of file
@@ -5,9 +5,13 @@
  * - Target: PostgreSQL (Supabase)
  * - Schema: Strict adherence to provided JSON schemas
  * - Constraints: No rowIndex, No guessing, No update/delete
+ * - Soft Delete: deleted_at IS NOT NULL 的紀錄一律排除 (回收桶另由 TrashSqlReader 讀取)
+ * - Templates: event_logs_general.event_type 為實際類型 (general 或管理員新增的類型)；
+ *   範本欄位值 details (jsonb) -> details (services/event-template-service.js)
  */
 
 const { supabase } = require('../config/supabase');
+const detailValues = require('../utils/custom-field-values');
 
 class EventLogSqlReader {
 
@@ -37,6 +41,7 @@ class EventLogSqlReader {
                 const { data, error } = await supabase
                     .from(tableName)
                     .select('*')
+                    .is('deleted_at', null)
                     .eq('event_id', eventId)
                     .single();
 
@@ -70,7 +75,8 @@ class EventLogSqlReader {
             const queries = Object.entries(this.tables).map(async ([type, tableName]) => {
                 const { data, error } = await supabase
                     .from(tableName)
-                    .select('*');
+                    .select('*')
+                    .is('deleted_at', null);
 
                 if (error) {
                     throw new Error(`[EventLogSqlReader] DB Error in ${tableName}: ${error.message}`);
@@ -102,7 +108,7 @@ class EventLogSqlReader {
         const baseDto = {
             // Hard Rules
             rowIndex: null, 
-            eventType: type,
+            eventType: type === 'general' ? (row.event_type || 'general') : type,
 
             // Identity & Metadata
             eventId: row.event_id,
@@ -121,7 +127,8 @@ class EventLogSqlReader {
             ourParticipants: row.our_participants,
             clientParticipants: row.client_participants,
             clientQuestions: row.client_questions,
-            clientIntelligence: row.client_intelligence
+            clientIntelligence: row.client_intelligence,
+            details: detailValues.parse(row.details)
         };
 
         // Type Specific Mapping (Strict Schema Adherence)
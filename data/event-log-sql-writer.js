@@ -0,0 +1,340 @@
+/**
+ * data/event-log-sql-writer.js
+ * [Strict Digital Forensics Mode]
+ * - Type: SQL Writer
+ * - Target: PostgreSQL (Supabase)
+ * - Tables: event_logs_general / event_logs_iot / event_logs_dt / event_logs_dx
+ *   (event_logs_summary 為舊版總表，僅供讀取)
+ * - Version: 1.0.0
+ * - Date: 2026-10-19
+ * - Description: 以 event_id 定位的 CUD，取代 EventLogWriter 的 rowIndex 寫入。
+ *   事件類型變更 = 跨表搬移，透過 Postgres Function `move_event_log` 在單一交易內
+ *   INSERT 目標表 + DELETE 來源表：
+ *   rpc('move_event_log', { p_event_id, p_from_table, p_to_table, p_row })
+ *   任一步失敗即 ROLLBACK，原紀錄保留在來源表 (函式定義：supabase/migrations/20261019000600_move_event_log.sql)。
+ * - Input: 與 EventLogWriter 相同的表單欄位 (iot_* / dt_* 前綴為類型專屬欄位)。
+ * - Templates: 管理員新增的事件類型 (services/event-template-service.js) 存於 event_logs_general，
+ *   以 event_type 欄區分；範本欄位值存於各表的 details (jsonb)，更新時合併 (utils/custom-field-values.js)，
+ *   類型變更時以新類型的值取代。同表內的類型變更 (一般 <-> 自訂類型) 為單純更新，不需搬移。
+ *   欄位定義：supabase/migrations/20261019000550_event_log_template_columns.sql
+ * - Audit: 注入 AuditSqlWriter 時逐欄寫入稽核紀錄 (audit_logs)；搬移記為 event_type 欄位變更。
+ */
+
+const { supabase } = require('../config/supabase');
+const detailValues = require('../utils/custom-field-values');
+const { invalidatesOnWrite } = require('./cache/write-hook');
+const { ENTITY_TAGS } = require('./cache/cache-policy');
+
+// 表單欄位 -> 共用欄位
+const BASE_COLUMNS = {
+    eventName: 'event_name',
+    opportunityId: 'opportunity_id',
+    companyId: 'company_id',
+    ourParticipants: 'our_participants',
+    clientParticipants: 'client_participants',
+    visitPlace: 'visit_place',
+    eventContent: 'event_content',
+    clientQuestions: 'client_questions',
+    clientIntelligence: 'client_intelligence',
+    eventNotes: 'event_notes'
+};
+
+// 表單欄位 -> 類型專屬欄位
+const TYPE_COLUMNS = {
+    general: {},
+    dx: {},
+    iot: {
+        iot_deviceScale: 'device_scale',
+        iot_lineFeatures: 'line_features',
+        iot_productionStatus: 'production_status',
+        iot_iotStatus: 'iot_status',
+        iot_painPoints: 'pain_category',
+        iot_painPointDetails: 'pain_description',
+        iot_painPointAnalysis: 'pain_analysis',
+        iot_systemArchitecture: 'system_architecture'
+    },
+    dt: {
+        dt_deviceScale: 'device_scale',
+        dt_processingType: 'processing_type',
+        dt_industry: 'industry'
+    }
+};
+
+// 搬移時沿用的系統欄位
+const SYSTEM_COLUMNS = ['event_id', 'creator', 'created_time', 'last_modified_time', 'edit_count'];
+
+// 關聯 ID 欄位空字串存 NULL
+const NULLABLE_COLUMNS = ['opportunity_id', 'company_id'];
+
+class EventLogSqlWriter {
+
+    /**
+     * @param {AuditSqlWriter} [auditSqlWriter] - 欄位層級稽核 (未注入時不記錄)
+     */
+    constructor(auditSqlWriter = null) {
+        this.auditSqlWriter = auditSqlWriter;
+        this.tables = {
+            general: 'event_logs_general',
+            iot: 'event_logs_iot',
+            dt: 'event_logs_dt',
+            dx: 'event_logs_dx'
+        };
+        this.moveFunction = 'move_event_log';
+    }
+
+    async _audit(entry) {
+        if (!this.auditSqlWriter) return;
+        await this.auditSqlWriter.record({ entity: 'event', ...entry });
+    }
+
+    // 內建類型各有資料表；自訂類型一律存於一般事件表
+    _tableFor(type) {
+        return this.tables[type] || this.tables.general;
+    }
+
+    // 一般事件表記錄實際類型 (general 或自訂類型)
+    _typeColumns(type, table) {
+        return table === this.tables.general ? { event_type: type } : {};
+    }
+
+    /**
+     * 將表單資料轉為指定類型的資料列 (只帶入有定義的欄位)
+     */
+    _toRow(type, data) {
+        const row = {};
+        const mapping = { ...BASE_COLUMNS, ...(TYPE_COLUMNS[type] || {}) };
+
+        Object.entries(mapping).forEach(([key, column]) => {
+            if (data[key] === undefined) return;
+            row[column] = (NULLABLE_COLUMNS.includes(column) && data[key] === '') ? null : data[key];
+        });
+        return row;
+    }
+
+    /**
+     * 找出事件目前所在的資料表
+     * @returns {Promise<Object|null>} { type, table, row }
+     */
+    async _locate(eventId) {
+        const results = await Promise.all(Object.entries(this.tables).map(async ([type, table]) => {
+            const { data, error } = await supabase
+                .from(table)
+                .select('*')
+                .eq('event_id', eventId)
+                .is('deleted_at', null)
+                .maybeSingle();
+
+            if (error) {
+                throw new Error(`[EventLogSqlWriter] DB Error in ${table}: ${error.message}`);
+            }
+            if (!data) return null;
+            return { type: table === this.tables.general ? (data.event_type || 'general') : type, table, row: data };
+        }));
+
+        return results.find(r => r !== null) || null;
+    }
+
+    /**
+     * 建立新事件紀錄
+     * @returns {Promise<Object>} { success: true, id }
+     */
+    async createEventLog(data, creator) {
+        const type = data.eventType || 'general';
+        const table = this._tableFor(type);
+        const eventId = data.eventId || `EVT${Date.now()}`;
+        const now = new Date().toISOString();
+
+        console.log(`📅 [EventLogSqlWriter] Create: ${data.eventName} (${type}) by ${creator}`);
+
+        const row = {
+            ...this._toRow(type, data),
+            ...this._typeColumns(type, table),
+            details: detailValues.merge(null, data.details),
+            event_id: eventId,
+            creator,
+            created_time: now,
+            last_modified_time: now,
+            edit_count: 1
+        };
+
+        const { error } = await supabase
+            .from(table)
+            .insert([row]);
+
+        if (error) {
+            console.error('[EventLogSqlWriter] Create Error:', error);
+            throw new Error(`DB Insert Error: ${error.message}`);
+        }
+
+        await this._audit({ entityId: eventId, action: 'create', before: null, after: { ...row, event_type: type }, actor: creator });
+
+        return { success: true, id: eventId };
+    }
+
+    /**
+     * 更新事件紀錄；data.eventType 與現有類型不同時改為交易式搬移
+     * @returns {Promise<Object>} { success: true, id, moved? }
+     */
+    async updateEventLog(eventId, data, modifier) {
+        if (!eventId) throw new Error('[EventLogSqlWriter] Update requires eventId');
+
+        const current = await this._locate(eventId);
+        if (!current) throw new Error(`Update Failed: Event ID '${eventId}' not found.`);
+
+        const now = new Date().toISOString();
+        const editCount = (parseInt(current.row.edit_count) || 1) + 1;
+
+        const typeChanged = !!data.eventType && data.eventType !== current.type;
+        if (typeChanged && this._tableFor(data.eventType) !== current.table) {
+            return this._moveEventLog(current, data, { now, editCount, modifier });
+        }
+
+        const type = typeChanged ? data.eventType : current.type;
+        console.log(`📅 [EventLogSqlWriter] Update: ${eventId} (${typeChanged ? `${current.type} -> ${type}` : type}) by ${modifier}`);
+
+        const patch = {
+            ...this._toRow(type, data),
+            ...(typeChanged ? this._typeColumns(type, current.table) : {}),
+            last_modified_time: now,
+            edit_count: editCount
+        };
+        if (typeChanged) {
+            patch.details = detailValues.merge(null, data.details);
+        } else if (data.details !== undefined) {
+            patch.details = detailValues.merge(current.row.details, data.details);
+        }
+
+        const { error } = await supabase
+            .from(current.table)
+            .update(patch)
+            .eq('event_id', eventId);
+
+        if (error) {
+            console.error('[EventLogSqlWriter] Update Error:', error);
+            throw new Error(`DB Update Error: ${error.message}`);
+        }
+
+        await this._audit({ entityId: eventId, action: 'update', before: current.row, after: patch, actor: modifier });
+
+        return { success: true, id: eventId };
+    }
+
+    async _moveEventLog(current, data, { now, editCount, modifier }) {
+        const targetType = data.eventType;
+        const targetTable = this._tableFor(targetType);
+        const eventId = current.row.event_id;
+
+        console.log(`🔀 [EventLogSqlWriter] Move: ${eventId} ${current.type} -> ${targetType} by ${modifier}`);
+
+        // 保留原紀錄的共用欄位與系統欄位，類型專屬欄位只取新表單內容
+        const carried = {};
+        [...SYSTEM_COLUMNS, ...Object.values(BASE_COLUMNS)].forEach(column => {
+            if (current.row[column] !== undefined) carried[column] = current.row[column];
+        });
+
+        const row = {
+            ...carried,
+            ...this._toRow(targetType, data),
+            ...this._typeColumns(targetType, targetTable),
+            details: detailValues.merge(null, data.details),
+            last_modified_time: now,
+            edit_count: editCount
+        };
+
+        const { error } = await supabase.rpc(this.moveFunction, {
+            p_event_id: eventId,
+            p_from_table: current.table,
+            p_to_table: targetTable,
+            p_row: row
+        });
+
+        if (error) {
+            console.error('[EventLogSqlWriter] Move Error:', error);
+            throw new Error(`DB Move Error: ${error.message}`);
+        }
+
+        await this._audit({
+            entityId: eventId,
+            action: 'update',
+            before: { ...current.row, event_type: current.type },
+            after: { ...row, event_type: targetType },
+            actor: modifier
+        });
+
+        return { success: true, id: eventId, moved: true };
+    }
+
+    /**
+     * 刪除事件紀錄 (軟刪除：移入回收桶)
+     * @returns {Promise<Object>} { success: true }
+     */
+    async deleteEventLog(eventId, modifier) {
+        if (!eventId) throw new Error('[EventLogSqlWriter] Delete requires eventId');
+
+        const current = await this._locate(eventId);
+        if (!current) throw new Error(`Delete Failed: Event ID '${eventId}' not found.`);
+
+        console.log(`🗑️ [EventLogSqlWriter] Delete: ${eventId} (${current.type}) by ${modifier}`);
+
+        const deletedAt = new Date().toISOString();
+        const { error } = await supabase
+            .from(current.table)
+            .update({ deleted_at: deletedAt, deleted_by: modifier || 'System' })
+            .eq('event_id', eventId);
+
+        if (error) {
+            console.error('[EventLogSqlWriter] Delete Error:', error);
+            throw new Error(`DB Delete Error: ${error.message}`);
+        }
+
+        await this._audit({ entityId: eventId, action: 'delete', before: null, after: { deleted_at: deletedAt }, actor: modifier });
+
+        return { success: true };
+    }
+
+    /**
+     * Sheet 模式的刪除：將 Sheet 事件以已刪除狀態寫入 (upsert) 對應的 SQL 表，讓它進入回收桶。
+     * Sheet 列保留不動，Sheet Reader 依回收桶排除 (data/trash-read-hook.js)；已遷移的事件只會補上 deleted_at。
+     * @param {Object} log - EventLogReader 的事件 DTO (eventId / eventType / 表單欄位)
+     * @param {string} modifier
+     */
+    async trashSheetEvent(log, modifier) {
+        const type = log.eventType || 'general';
+        const table = this._tableFor(type);
+        const deletedAt = new Date().toISOString();
+
+        console.log(`🗑️ [EventLogSqlWriter] Trash Sheet event: ${log.eventId} (${type}) by ${modifier}`);
+
+        const row = {
+            ...this._toRow(type, log),
+            ...this._typeColumns(type, table),
+            details: detailValues.merge(null, log.details),
+            event_id: log.eventId,
+            creator: log.creator || null,
+            created_time: log.createdTime || null,
+            last_modified_time: log.lastModifiedTime || null,
+            deleted_at: deletedAt,
+            deleted_by: modifier || 'System'
+        };
+
+        const { error } = await supabase
+            .from(table)
+            .upsert([row], { onConflict: 'event_id' });
+
+        if (error) {
+            console.error('[EventLogSqlWriter] Trash Sheet Event Error:', error);
+            throw new Error(`DB Delete Error: ${error.message}`);
+        }
+
+        await this._audit({ entityId: log.eventId, action: 'delete', before: null, after: { deleted_at: deletedAt }, actor: modifier });
+
+        return { success: true };
+    }
+}
+
+module.exports = invalidatesOnWrite(EventLogSqlWriter, {
+    createEventLog: [ENTITY_TAGS.EVENT_LOG],
+    updateEventLog: [ENTITY_TAGS.EVENT_LOG],
+    deleteEventLog: [ENTITY_TAGS.EVENT_LOG],
+    trashSheetEvent: [ENTITY_TAGS.EVENT_LOG]
+});
@@ -5,10 +5,15 @@
  * @date 2026-01-29
  * @description 負責處理各類型事件 (General, IOT, DT, DX) 的建立、更新與刪除。
  * [Patch] 移除內部 HEADER_TO_KEY_MAP，改用 EventLogReader.HEADER_TO_KEY_MAP 確保一致性。
+ * [Templates] 管理員新增的事件類型寫入一般工作表；各工作表最後兩欄寫入事件類型與範本欄位值 (details JSON，更新時合併)。
+ * [Headers] readHeaderRow() / writeHeaderCells() 供 services/event-sheet-header-migration-service.js 補上既有工作表缺少的標題欄。
  */
 
 const BaseWriter = require('./base-writer');
 const EventLogReader = require('./event-log-reader'); // [Patch] 引用 Reader 以獲取 Mapping
+const detailValues = require('../utils/custom-field-values');
+const { invalidatesOnWrite } = require('./cache/write-hook');
+const { ENTITY_TAGS } = require('./cache/cache-policy');
 
 class EventLogWriter extends BaseWriter {
     /**
@@ -45,10 +50,50 @@ class EventLogWriter extends BaseWriter {
      */
     _getFieldsByType(type) {
         const commonFields = this.config.EVENT_LOG_COMMON_FIELDS;
-        if (type === 'iot') return [...commonFields, ...this.config.EVENT_LOG_IOT_FIELDS];
-        if (type === 'dt') return [...commonFields, ...this.config.EVENT_LOG_DT_FIELDS];
-        // General 與 DX 目前只使用 Common Fields
-        return commonFields;
+        const extraFields = this.config.EVENT_LOG_EXTRA_FIELDS;
+        if (type === 'iot') return [...commonFields, ...this.config.EVENT_LOG_IOT_FIELDS, ...extraFields];
+        if (type === 'dt') return [...commonFields, ...this.config.EVENT_LOG_DT_FIELDS, ...extraFields];
+        // General、DX 與自訂類型只使用 Common Fields
+        return [...commonFields, ...extraFields];
+    }
+
+    /**
+     * 讀取工作表第一列 (標題列) 與程式預期的欄位順序
+     * @param {string} type - general / iot / dt / dx
+     * @returns {Promise<Object>} { sheetName, expected: string[], actual: string[] }
+     */
+    async readHeaderRow(type) {
+        const sheetName = this._getSheetNameByType(type);
+        const response = await this.sheets.spreadsheets.values.get({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${sheetName}!1:1`
+        });
+        const actual = ((response.data.values || [])[0] || []).map(cell => String(cell || '').trim());
+        return { sheetName, expected: this._getFieldsByType(type), actual };
+    }
+
+    /**
+     * 寫入標題列的指定儲存格 (只寫入傳入的欄位，不影響其他標題)
+     * @param {string} type - general / iot / dt / dx
+     * @param {Array<{index: number, header: string}>} cells - index 為 0-based 欄位位置
+     */
+    async writeHeaderCells(type, cells) {
+        if (!cells || cells.length === 0) return true;
+
+        const sheetName = this._getSheetNameByType(type);
+        await this.sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId: this.targetSpreadsheetId,
+            resource: {
+                valueInputOption: 'RAW',
+                data: cells.map(({ index, header }) => ({
+                    range: `${sheetName}!${String.fromCharCode(65 + index)}1`,
+                    values: [[header]]
+                }))
+            }
+        });
+
+        console.log(`✅ [EventLogWriter] ${sheetName} 標題列已補上 ${cells.map(c => c.header).join('、')}`);
+        return true;
     }
 
     /**
@@ -83,6 +128,8 @@ class EventLogWriter extends BaseWriter {
             if (header === '建立時間') return now;
             if (header === '最後修改時間') return now;
             if (header === '修訂版次') return '1';
+            if (header === '事件類型') return data.eventType || 'general';
+            if (header === '詳細資料') return JSON.stringify(detailValues.merge(null, data.details));
 
             return (key && data[key] !== undefined) ? data[key] : '';
         });
@@ -149,6 +196,10 @@ class EventLogWriter extends BaseWriter {
             } else if (header === '修訂版次') {
                 const currentVer = parseInt(currentRow[index]) || 1;
                 currentRow[index] = String(currentVer + 1);
+            } else if (header === '事件類型') {
+                if (data.eventType) currentRow[index] = data.eventType;
+            } else if (header === '詳細資料') {
+                if (data.details !== undefined) currentRow[index] = JSON.stringify(detailValues.merge(currentRow[index], data.details));
             } else if (key && data[key] !== undefined) {
                 // 一般欄位：有傳入才更新
                 currentRow[index] = data[key];
@@ -182,4 +233,8 @@ class EventLogWriter extends BaseWriter {
     }
 }
 
-module.exports = EventLogWriter;
\ No newline at end of file
+module.exports = invalidatesOnWrite(EventLogWriter, {
+    createEventLog: [ENTITY_TAGS.EVENT_LOG],
+    updateEventLog: [ENTITY_TAGS.EVENT_LOG],
+    deleteEventLog: [ENTITY_TAGS.EVENT_LOG]
+});
\ No newline at end of file
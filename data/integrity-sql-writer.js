@@ -0,0 +1,95 @@
+/**
+ * data/integrity-sql-writer.js
+ * [Strict Digital Forensics Mode]
+ * - Type: SQL Writer
+ * - Target: PostgreSQL (Supabase)
+ * - Tables: opportunity_contact_links, interactions, opportunities, event_logs_{general,iot,dt,dx}
+ * - Version: 1.0.0
+ * - Date: 2026-10-19
+ * - Description: 資料完整性檢查 (services/integrity-service.js) 的修復寫入。
+ *   只執行 Service 判定為安全的單列變更：刪除孤兒關聯列、清除 / 回填單一參照欄位；
+ *   更新時附帶「目前值」條件，資料在掃描後已被他人修改者不會被覆蓋 (回傳 false)。
+ * - Audit: 注入 AuditSqlWriter 時，每筆修復寫入一筆稽核紀錄 (actor = 執行修復的管理員)。
+ */
+
+const { supabase } = require('../config/supabase');
+const { invalidatesOnWrite } = require('./cache/write-hook');
+const { ENTITY_TAGS, tagsForTable } = require('./cache/cache-policy');
+
+class IntegritySqlWriter {
+
+    /**
+     * @param {AuditSqlWriter} [auditSqlWriter] - 稽核 (未注入時不記錄)
+     */
+    constructor(auditSqlWriter = null) {
+        this.auditSqlWriter = auditSqlWriter;
+    }
+
+    /**
+     * 刪除一筆機會-聯絡人關聯
+     * @returns {Promise<boolean>} 是否刪除
+     */
+    async deleteContactLink(opportunityId, contactId, actor) {
+        const { data, error } = await supabase
+            .from('opportunity_contact_links')
+            .delete()
+            .eq('opportunity_id', opportunityId)
+            .eq('contact_id', contactId)
+            .select('opportunity_id');
+
+        if (error) {
+            console.error('[IntegritySqlWriter] Delete Link Error:', error);
+            throw new Error(`DB Repair Error: ${error.message}`);
+        }
+        if (!data || data.length === 0) return false;
+
+        if (this.auditSqlWriter) {
+            await this.auditSqlWriter.recordField({
+                entity: 'opportunity', entityId: opportunityId, action: 'unlink',
+                field: 'contact_id', oldValue: contactId, newValue: null, actor
+            });
+        }
+        return true;
+    }
+
+    /**
+     * 更新單一參照欄位 (僅在目前值仍為 expected 時)
+     * @param {Object} target
+     * @param {string} target.table
+     * @param {string} target.idColumn
+     * @param {string} target.id
+     * @param {string} target.entity - 稽核實體 (opportunity / interaction / event)
+     * @param {string} column
+     * @param {*} expected - 掃描時的值 (null 代表空值)
+     * @param {*} value - 新值
+     * @param {string} actor
+     * @returns {Promise<boolean>} 是否更新
+     */
+    async updateReference({ table, idColumn, id, entity }, column, expected, value, actor) {
+        let query = supabase
+            .from(table)
+            .update({ [column]: value })
+            .eq(idColumn, id);
+        query = expected === null || expected === '' ? query.or(`${column}.is.null,${column}.eq.""`) : query.eq(column, expected);
+
+        const { data, error } = await query.select(idColumn);
+        if (error) {
+            console.error('[IntegritySqlWriter] Update Error:', error);
+            throw new Error(`DB Repair Error: ${error.message}`);
+        }
+        if (!data || data.length === 0) return false;
+
+        if (this.auditSqlWriter) {
+            await this.auditSqlWriter.record({
+                entity, entityId: id, action: 'update',
+                before: { [column]: expected }, after: { [column]: value }, actor
+            });
+        }
+        return true;
+    }
+}
+
+module.exports = invalidatesOnWrite(IntegritySqlWriter, {
+    deleteContactLink: [ENTITY_TAGS.OPP_CONTACT_LINK],
+    updateReference: ({ table }) => tagsForTable(table)
+});
@@ -7,6 +7,7 @@
  */
 
 const BaseReader = require('./base-reader');
+const { excludesTrashed } = require('./trash-read-hook');
 
 class InteractionReader extends BaseReader {
     /**
@@ -76,4 +77,6 @@ class InteractionReader extends BaseReader {
     // [Standard A] Removed getOpportunities/getCompanyList (Cross-Reader Coupling removed)
 }
 
-module.exports = InteractionReader;
\ No newline at end of file
+module.exports = excludesTrashed(InteractionReader, {
+    getInteractions: { entity: 'interaction', idKey: 'interactionId' }
+});
\ No newline at end of file
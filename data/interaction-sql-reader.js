@@ -6,11 +6,15 @@
  * - Table: interactions
  * - Schema: Strict adherence to provided schema list
  * - Constraints: No rowIndex, No guessing, No update/delete
+ * - Soft Delete: deleted_at IS NOT NULL 的紀錄一律排除 (回收桶另由 TrashSqlReader 讀取)
+ * - List Query: queryInteractions() 將篩選 / 排序 / Cursor 分頁下推到資料庫 (data/list-specs.js)
  * - Version: 1.0.0
  * - Date: 2026-01-29
  */
 
 const { supabase } = require('../config/supabase');
+const listQuery = require('../utils/list-query');
+const { LIST_SPECS } = require('./list-specs');
 
 class InteractionSqlReader {
 
@@ -30,6 +34,7 @@ class InteractionSqlReader {
             const { data, error } = await supabase
                 .from(this.tableName)
                 .select('*')
+                .is('deleted_at', null)
                 .eq('interaction_id', interactionId)
                 .single();
 
@@ -59,7 +64,8 @@ class InteractionSqlReader {
         try {
             const { data, error } = await supabase
                 .from(this.tableName)
-                .select('*');
+                .select('*')
+                .is('deleted_at', null);
 
             if (error) {
                 throw new Error(`[InteractionSqlReader] DB Error: ${error.message}`);
@@ -74,6 +80,38 @@ class InteractionSqlReader {
         }
     }
 
+    /**
+     * 列表查詢：篩選 / 排序 / Cursor 分頁全部下推到資料庫 (語法見 utils/list-query.js)
+     * @param {Object} parsed - req.listQuery
+     * @returns {Promise<Object>} { items: Interaction DTOs, nextCursor, hasMore }
+     */
+    async queryInteractions(parsed) {
+        const spec = LIST_SPECS.interaction;
+        try {
+            const query = supabase
+                .from(this.tableName)
+                .select('*')
+                .is('deleted_at', null);
+
+            const { data, error } = await listQuery.apply(query, parsed, spec);
+
+            if (error) {
+                throw new Error(`[InteractionSqlReader] DB Error: ${error.message}`);
+            }
+
+            const page = listQuery.toPage(data, parsed, spec);
+            return {
+                items: page.rows.map(row => this._mapRowToDto(row)),
+                nextCursor: page.nextCursor,
+                hasMore: page.hasMore
+            };
+
+        } catch (error) {
+            console.error('[InteractionSqlReader] queryInteractions Error:', error);
+            throw error;
+        }
+    }
+
     /**
      * Maps Raw SQL Row to DTO
      * Strict adherence to provided schema.
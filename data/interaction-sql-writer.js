@@ -4,12 +4,33 @@
  * DATE: 2026-02-06
  * CHANGELOG:
  * - Phase 7: Migrate Interaction Write Authority to SQL
+ * - Recycle Bin: delete 改為軟刪除 (deleted_at / deleted_by)；表單的 eventType 對應 interaction_type
+ * - Audit: 注入 AuditSqlWriter 時，每次寫入逐欄寫入稽核紀錄 (audit_logs)
+ * - Not Found: update / delete 沒有命中任何未刪除的列時丟出 404，且不寫入稽核紀錄
  */
 
-const supabase = require('../config/supabase');
-const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../config/supabase');
+const { invalidatesOnWrite } = require('./cache/write-hook');
+const { ENTITY_TAGS } = require('./cache/cache-policy');
+const { createBusinessError } = require('../utils/business-error');
 
 class InteractionSqlWriter {
+    /**
+     * @param {AuditSqlWriter} [auditSqlWriter] - Field-level audit (skipped when not injected)
+     */
+    constructor(auditSqlWriter = null) {
+        this.auditSqlWriter = auditSqlWriter;
+    }
+
+    _actorOf(user) {
+        return (user && (user.displayName || user.name || user.username)) || 'System';
+    }
+
+    async _audit(entry) {
+        if (!this.auditSqlWriter) return;
+        await this.auditSqlWriter.record({ entity: 'interaction', ...entry });
+    }
+
     /**
      * Maps JS Object to Strict DB Schema
      * @param {Object} data 
@@ -23,7 +44,7 @@ class InteractionSqlWriter {
             opportunity_id: data.opportunityId || null,
             company_id: data.companyId || null,
             interaction_time: data.interactionTime || null,
-            interaction_type: data.interactionType || null,
+            interaction_type: data.interactionType || data.eventType || null,
             event_title: data.eventTitle || null,
             content_summary: data.contentSummary || null,
             participants: data.participants || null,
@@ -42,7 +63,7 @@ class InteractionSqlWriter {
      */
     async createInteraction(data, user) {
         try {
-            const interactionId = data.interactionId || uuidv4();
+            const interactionId = data.interactionId || `INT${Date.now()}`; // 與 Sheet 版 InteractionWriter 相同格式
             const dbData = this._mapToDb({ ...data, interactionId });
             
             // Set created_time only on create
@@ -53,6 +74,8 @@ class InteractionSqlWriter {
                 .insert([dbData]);
 
             if (error) throw error;
+
+            await this._audit({ entityId: interactionId, action: 'create', before: null, after: dbData, actor: this._actorOf(user) });
             
             console.log(`[InteractionSqlWriter] Created interaction ${interactionId}`);
             return interactionId;
@@ -77,12 +100,29 @@ class InteractionSqlWriter {
             delete dbData.created_time; 
             delete dbData.interaction_id; // PK should not be in update body if used in eq()
 
-            const { error } = await supabase
+            // Partial update: 表單未送出的欄位不可被覆寫成 NULL (例如編輯時不會帶 recorder / eventTitle)
+            const provided = new Set(Object.keys(data));
+            if (provided.has('eventType')) provided.add('interactionType');
+            Object.keys(dbData).forEach(column => {
+                const field = column.replace(/_([a-z])/g, (m, c) => c.toUpperCase());
+                if (!provided.has(field)) delete dbData[column];
+            });
+
+            const before = this.auditSqlWriter
+                ? await this.auditSqlWriter.snapshot('interactions', 'interaction_id', id)
+                : null;
+
+            const { data: updated, error } = await supabase
                 .from('interactions')
                 .update(dbData)
-                .eq('interaction_id', id);
+                .eq('interaction_id', id)
+                .is('deleted_at', null)
+                .select('interaction_id');
 
             if (error) throw error;
+            if (!updated || updated.length === 0) throw createBusinessError(`找不到互動紀錄: ${id}`, 404);
+
+            await this._audit({ entityId: id, action: 'update', before, after: dbData, actor: this._actorOf(user) });
 
             console.log(`[InteractionSqlWriter] Updated interaction ${id}`);
             return { success: true };
@@ -93,18 +133,26 @@ class InteractionSqlWriter {
     }
 
     /**
-     * Delete interaction
+     * Delete interaction (soft delete -> recycle bin)
      * @param {string} id 
      * @param {Object} user 
      */
     async deleteInteraction(id, user) {
         try {
-            const { error } = await supabase
+            const modifier = this._actorOf(user);
+            const deletedAt = new Date().toISOString();
+            const { data: deleted, error } = await supabase
                 .from('interactions')
-                .delete()
-                .eq('interaction_id', id);
+                .update({ deleted_at: deletedAt, deleted_by: modifier })
+                .eq('interaction_id', id)
+                .is('deleted_at', null)
+                .select('interaction_id');
 
             if (error) throw error;
+            // 已在回收桶 (或不存在) 的紀錄不重複刪除
+            if (!deleted || deleted.length === 0) throw createBusinessError(`找不到互動紀錄: ${id}`, 404);
+
+            await this._audit({ entityId: id, action: 'delete', before: null, after: { deleted_at: deletedAt }, actor: modifier });
 
             console.log(`[InteractionSqlWriter] Deleted interaction ${id}`);
             return { success: true };
@@ -115,4 +163,8 @@ class InteractionSqlWriter {
     }
 }
 
-module.exports = InteractionSqlWriter;
\ No newline at end of file
+module.exports = invalidatesOnWrite(InteractionSqlWriter, {
+    createInteraction: [ENTITY_TAGS.INTERACTION],
+    updateInteraction: [ENTITY_TAGS.INTERACTION],
+    deleteInteraction: [ENTITY_TAGS.INTERACTION]
+});
\ No newline at end of file
@@ -8,6 +8,8 @@
  */
 
 const BaseWriter = require('./base-writer');
+const { invalidatesOnWrite } = require('./cache/write-hook');
+const { ENTITY_TAGS } = require('./cache/cache-policy');
 
 class InteractionWriter extends BaseWriter {
     /**
@@ -29,7 +31,8 @@ class InteractionWriter extends BaseWriter {
     async createInteraction(data, recorder) {
         console.log(`💬 [InteractionWriter] 建立新互動: ${data.eventTitle} by ${recorder}`);
         const now = new Date().toISOString();
-        const interactionId = `INT${Date.now()}`;
+        // 影子模式下沿用 SQL 端產生的 interactionId
+        const interactionId = data.interactionId || `INT${Date.now()}`;
         
         const newRow = [
             interactionId,
@@ -133,4 +136,8 @@ class InteractionWriter extends BaseWriter {
     }
 }
 
-module.exports = InteractionWriter;
\ No newline at end of file
+module.exports = invalidatesOnWrite(InteractionWriter, {
+    createInteraction: [ENTITY_TAGS.INTERACTION],
+    updateInteraction: [ENTITY_TAGS.INTERACTION],
+    deleteInteraction: [ENTITY_TAGS.INTERACTION]
+});
\ No newline at end of file
@@ -0,0 +1,142 @@
+/**
+ * data/list-specs.js
+ * 列表查詢 (utils/list-query.js) 的資源登錄表
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * * 每個資源宣告 API 回傳的 DTO 欄位名稱 -> 資料表欄位，只有登錄的欄位可以篩選 / 排序。
+ * * - search：q 關鍵字比對的欄位 (ilike，任一符合即可)
+ * * - defaultSort：未帶 sort 時的排序 (與舊版記憶體排序一致)
+ * * - table = null 的資源沒有單一資料表可下推，由 listQuery.filterItems() 在記憶體中篩選 DTO
+ * *   (searchFields / idField 為 DTO 欄位名稱)；目前只用於匯出 (/api/export)。
+ * * 建議索引 (依 defaultSort)：
+ * *   create index on opportunities (updated_time desc, opportunity_id) where deleted_at is null;
+ * *   create index on interactions (interaction_time desc, interaction_id) where deleted_at is null;
+ * *   create index on contacts (created_time desc, contact_id) where deleted_at is null;
+ * *   create index on companies (updated_time desc, company_id) where deleted_at is null;
+ * *   create index on opportunities (company_id) where deleted_at is null;
+ */
+
+const LIST_SPECS = {
+    opportunity: {
+        table: 'opportunities',
+        idColumn: 'opportunity_id',
+        fields: {
+            opportunityId: 'opportunity_id',
+            opportunityName: 'opportunity_name',
+            opportunityType: 'opportunity_type',
+            source: 'source',
+            owner: 'owner',
+            customerCompany: 'customer_company',
+            companyId: 'company_id',
+            mainContact: 'main_contact',
+            salesModel: 'sales_model',
+            salesChannel: 'sales_channel',
+            currentStage: 'current_stage',
+            currentStatus: 'current_status',
+            expectedCloseDate: 'expected_close_date',
+            winProbability: 'win_probability',
+            opportunityValue: 'opportunity_value',
+            equipmentScale: 'equipment_scale',
+            productDetails: 'product_details',
+            parentOpportunityId: 'parent_opportunity_id',
+            createdTime: 'created_time',
+            updatedTime: 'updated_time'
+        },
+        search: ['opportunity_name', 'customer_company'],
+        defaultSort: '-updatedTime'
+    },
+    interaction: {
+        table: 'interactions',
+        idColumn: 'interaction_id',
+        fields: {
+            interactionId: 'interaction_id',
+            opportunityId: 'opportunity_id',
+            companyId: 'company_id',
+            interactionTime: 'interaction_time',
+            interactionType: 'interaction_type',
+            eventTitle: 'event_title',
+            recorder: 'recorder',
+            createdTime: 'created_time'
+        },
+        search: ['content_summary', 'event_title', 'recorder'],
+        defaultSort: '-interactionTime'
+    },
+    contact: {
+        table: 'contacts',
+        idColumn: 'contact_id',
+        fields: {
+            contactId: 'contact_id',
+            name: 'name',
+            companyId: 'company_id',
+            department: 'department',
+            jobTitle: 'job_title',
+            email: 'email',
+            mobile: 'mobile',
+            createdTime: 'created_time',
+            updatedTime: 'updated_time'
+        },
+        search: ['name', 'email', 'job_title'],
+        defaultSort: '-createdTime'
+    },
+    company: {
+        table: 'companies',
+        idColumn: 'company_id',
+        // CompanyService 的 DTO 名稱 (county / engagementRating / lastUpdateTime)
+        fields: {
+            companyId: 'company_id',
+            companyName: 'company_name',
+            companyType: 'company_type',
+            customerStage: 'customer_stage',
+            engagementRating: 'interaction_rating',
+            county: 'city',
+            createdTime: 'created_time',
+            lastUpdateTime: 'updated_time'
+        },
+        search: ['company_name', 'phone', 'address', 'city', 'description'],
+        defaultSort: '-lastUpdateTime'
+    },
+    eventLog: {
+        // 分散在 general / iot / dt / dx / summary 五張表
+        table: null,
+        idColumn: 'event_id',
+        idField: 'eventId',
+        fields: {
+            eventId: 'event_id',
+            eventType: 'event_type',
+            eventName: 'event_name',
+            opportunityId: 'opportunity_id',
+            companyId: 'company_id',
+            creator: 'creator',
+            createdTime: 'created_time',
+            lastModifiedTime: 'last_modified_time'
+        },
+        searchFields: ['eventName', 'eventContent', 'visitPlace', 'opportunityName', 'companyName'],
+        defaultSort: '-createdTime'
+    },
+    product: {
+        // Sheet / SQL 兩種來源；機敏欄位 (成本 / 價格) 不開放篩選與排序
+        table: null,
+        idColumn: 'product_id',
+        idField: 'id',
+        fields: {
+            id: 'product_id',
+            name: 'product_name',
+            category: 'category',
+            group: 'product_group',
+            series: 'series',
+            supplier: 'supplier',
+            status: 'status',
+            createTime: 'create_time',
+            lastUpdateTime: 'last_update_time'
+        },
+        searchFields: ['name', 'id'],
+        defaultSort: 'category,name'
+    }
+};
+
+function getListSpec(resource) {
+    return LIST_SPECS[resource] || null;
+}
+
+module.exports = { LIST_SPECS, getListSpec };
@@ -0,0 +1,77 @@
+/**
+ * data/migration-sql-writer.js
+ * [Phase 8] Sheet → SQL 遷移專用 SQL 存取層
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * * 1. 僅供 MigrationService 使用，提供「整表讀取」與「批次 Upsert」兩個原子操作。
+ * * 2. 讀取採 range 分頁，避免 Supabase 預設 1000 筆上限截斷資料。
+ * * 3. 寫入一律 upsert (onConflict = 主鍵)，重複執行結果一致 (Idempotent)。
+ */
+
+const { supabase } = require('../config/supabase');
+const { invalidatesOnWrite } = require('./cache/write-hook');
+const { tagsForTable } = require('./cache/cache-policy');
+
+const PAGE_SIZE = 1000;
+const UPSERT_CHUNK_SIZE = 500;
+
+class MigrationSqlWriter {
+
+    /**
+     * 讀取整張資料表 (Raw Rows, snake_case)
+     * @param {string} tableName
+     * @returns {Promise<Array<Object>>}
+     */
+    async fetchAllRows(tableName) {
+        const rows = [];
+        let from = 0;
+
+        while (true) {
+            const { data, error } = await supabase
+                .from(tableName)
+                .select('*')
+                .range(from, from + PAGE_SIZE - 1);
+
+            if (error) {
+                throw new Error(`[MigrationSqlWriter] DB Error in ${tableName}: ${error.message}`);
+            }
+
+            rows.push(...data);
+            if (data.length < PAGE_SIZE) break;
+            from += PAGE_SIZE;
+        }
+
+        return rows;
+    }
+
+    /**
+     * 批次 Upsert
+     * @param {string} tableName
+     * @param {Array<Object>} rows - 已映射為 SQL 欄位的資料列
+     * @param {string} onConflict - 衝突鍵 (例如 'opportunity_id' 或 'opportunity_id, contact_id')
+     * @returns {Promise<Object>} { success: true, count }
+     */
+    async upsertRows(tableName, rows, onConflict) {
+        if (!rows || rows.length === 0) return { success: true, count: 0 };
+
+        for (let i = 0; i < rows.length; i += UPSERT_CHUNK_SIZE) {
+            const chunk = rows.slice(i, i + UPSERT_CHUNK_SIZE);
+            const { error } = await supabase
+                .from(tableName)
+                .upsert(chunk, { onConflict });
+
+            if (error) {
+                console.error(`[MigrationSqlWriter] Upsert Error (${tableName}):`, error);
+                throw new Error(`[MigrationSqlWriter] Upsert Error in ${tableName}: ${error.message}`);
+            }
+        }
+
+        console.log(`✅ [MigrationSqlWriter] ${tableName} upsert 完成 (${rows.length} 筆)`);
+        return { success: true, count: rows.length };
+    }
+}
+
+module.exports = invalidatesOnWrite(MigrationSqlWriter, {
+    upsertRows: (tableName) => tagsForTable(tableName)
+});
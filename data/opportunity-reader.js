@@ -7,6 +7,7 @@
  */
 
 const BaseReader = require('./base-reader');
+const { excludesTrashed } = require('./trash-read-hook');
 
 class OpportunityReader extends BaseReader {
     /**
@@ -43,9 +44,11 @@ class OpportunityReader extends BaseReader {
 
     /**
      * 取得所有機會案件 (核心函式)
+     * @param {Object} [options]
+     * @param {boolean} [options.includeArchived=false] - 是否包含已封存案件 (供資料遷移使用，不寫入快取)
      * @returns {Promise<Array<object>>} - 保證回傳陣列
      */
-    async getOpportunities() {
+    async getOpportunities(options = {}) {
         const cacheKey = 'opportunities';
         const range = `${this.config.SHEETS.OPPORTUNITIES}!A:ZZ`;
 
@@ -118,7 +121,7 @@ class OpportunityReader extends BaseReader {
                     parentOpportunityId: this._getValue(row, headerMap, FIELD_NAMES.PARENT_ID)
                 };
                 
-                if (opp.currentStatus !== this.config.CONSTANTS.OPPORTUNITY_STATUS.ARCHIVED) {
+                if (options.includeArchived || opp.currentStatus !== this.config.CONSTANTS.OPPORTUNITY_STATUS.ARCHIVED) {
                     opportunities.push(opp);
                 }
             }
@@ -131,8 +134,8 @@ class OpportunityReader extends BaseReader {
             });
 
             // 寫入快取
-            if (this.cache) {
-                this.cache[cacheKey] = opportunities;
+            if (!options.includeArchived) {
+                this.cache.set(cacheKey, opportunities);
             }
 
             return opportunities;
@@ -211,4 +214,6 @@ class OpportunityReader extends BaseReader {
     }
 }
 
-module.exports = OpportunityReader;
\ No newline at end of file
+module.exports = excludesTrashed(OpportunityReader, {
+    getOpportunities: { entity: 'opportunity', idKey: 'opportunityId' }
+});
\ No newline at end of file
@@ -6,11 +6,20 @@
  * - Table: opportunities
  * - Schema: Strict adherence to provided schema list
  * - Constraints: No rowIndex, No guessing, No update/delete
+ * - Soft Delete: deleted_at IS NOT NULL 的紀錄一律排除 (回收桶另由 TrashSqlReader 讀取)
+ * - List Query: queryOpportunities() 將篩選 / 排序 / Cursor 分頁下推到資料庫 (data/list-specs.js)
+ * - Custom Fields: custom_fields (jsonb) -> customFields (utils/custom-field-values.js)
+ * - Contact Links: getContactLinkCount() 只計數 opportunity_contact_links (階段關卡檢查)
+ * - Page Joins: getOpportunityNames() / getLastInteraction() / getCompanyOpportunityCounts() 只讀取列表本頁的 ID
+ *   (彙總由資料庫計算，supabase/migrations/20261019001200_list_joins.sql)
  * - Version: 1.0.0
  * - Date: 2026-01-29
  */
 
 const { supabase } = require('../config/supabase');
+const listQuery = require('../utils/list-query');
+const { LIST_SPECS } = require('./list-specs');
+const customFieldValues = require('../utils/custom-field-values');
 
 class OpportunitySqlReader {
 
@@ -30,6 +39,7 @@ class OpportunitySqlReader {
             const { data, error } = await supabase
                 .from(this.tableName)
                 .select('*')
+                .is('deleted_at', null)
                 .eq('opportunity_id', opportunityId)
                 .single();
 
@@ -59,7 +69,8 @@ class OpportunitySqlReader {
         try {
             const { data, error } = await supabase
                 .from(this.tableName)
-                .select('*');
+                .select('*')
+                .is('deleted_at', null);
 
             if (error) {
                 throw new Error(`[OpportunitySqlReader] DB Error: ${error.message}`);
@@ -74,6 +85,135 @@ class OpportunitySqlReader {
         }
     }
 
+    /**
+     * 指定機會的名稱 (列表本頁的關聯名稱)
+     * @param {string[]} opportunityIds
+     * @returns {Promise<Array<{opportunityId: string, opportunityName: string}>>}
+     */
+    async getOpportunityNames(opportunityIds) {
+        const ids = [...new Set((opportunityIds || []).filter(Boolean))];
+        if (ids.length === 0) return [];
+
+        try {
+            const { data, error } = await supabase
+                .from(this.tableName)
+                .select('opportunity_id, opportunity_name')
+                .is('deleted_at', null)
+                .in('opportunity_id', ids);
+
+            if (error) {
+                throw new Error(`[OpportunitySqlReader] DB Error: ${error.message}`);
+            }
+
+            return data.map(row => ({ opportunityId: row.opportunity_id, opportunityName: row.opportunity_name }));
+
+        } catch (error) {
+            console.error('[OpportunitySqlReader] getOpportunityNames Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 指定機會的最後互動時間 (排除回收桶)，由 opportunity_last_interaction() 彙總
+     * @param {string[]} opportunityIds
+     * @returns {Promise<Array<{opportunityId: string, lastInteraction: string}>>} 沒有互動的機會不會出現
+     */
+    async getLastInteraction(opportunityIds) {
+        const ids = [...new Set((opportunityIds || []).filter(Boolean))];
+        if (ids.length === 0) return [];
+
+        try {
+            const { data, error } = await supabase.rpc('opportunity_last_interaction', { p_opportunity_ids: ids });
+
+            if (error) {
+                throw new Error(`[OpportunitySqlReader] DB Error: ${error.message}`);
+            }
+
+            return (data || []).map(row => ({ opportunityId: row.opportunity_id, lastInteraction: row.last_interaction }));
+
+        } catch (error) {
+            console.error('[OpportunitySqlReader] getLastInteraction Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 指定公司的機會數 (排除回收桶)，由 company_opportunity_count() 彙總
+     * @param {string[]} companyIds
+     * @returns {Promise<Array<{companyId: string, count: number}>>} 沒有機會的公司不會出現
+     */
+    async getCompanyOpportunityCounts(companyIds) {
+        const ids = [...new Set((companyIds || []).filter(Boolean))];
+        if (ids.length === 0) return [];
+
+        try {
+            const { data, error } = await supabase.rpc('company_opportunity_count', { p_company_ids: ids });
+
+            if (error) {
+                throw new Error(`[OpportunitySqlReader] DB Error: ${error.message}`);
+            }
+
+            return (data || []).map(row => ({ companyId: row.company_id, count: Number(row.opportunity_count) || 0 }));
+
+        } catch (error) {
+            console.error('[OpportunitySqlReader] getCompanyOpportunityCounts Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 列表查詢：篩選 / 排序 / Cursor 分頁全部下推到資料庫 (語法見 utils/list-query.js)
+     * @param {Object} parsed - req.listQuery
+     * @returns {Promise<Object>} { items: Opportunity DTOs, nextCursor, hasMore }
+     */
+    async queryOpportunities(parsed) {
+        const spec = LIST_SPECS.opportunity;
+        try {
+            const query = supabase
+                .from(this.tableName)
+                .select('*')
+                .is('deleted_at', null);
+
+            const { data, error } = await listQuery.apply(query, parsed, spec);
+
+            if (error) {
+                throw new Error(`[OpportunitySqlReader] DB Error: ${error.message}`);
+            }
+
+            const page = listQuery.toPage(data, parsed, spec);
+            return {
+                items: page.rows.map(row => this._mapRowToDto(row)),
+                nextCursor: page.nextCursor,
+                hasMore: page.hasMore
+            };
+
+        } catch (error) {
+            console.error('[OpportunitySqlReader] queryOpportunities Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 有效的聯絡人關聯數 (opportunity_contact_links，階段關卡檢查用)
+     * @param {string} opportunityId
+     * @returns {Promise<number>}
+     */
+    async getContactLinkCount(opportunityId) {
+        if (!opportunityId) throw new Error('OpportunitySqlReader: opportunityId is required');
+
+        const { count, error } = await supabase
+            .from('opportunity_contact_links')
+            .select('contact_id', { count: 'exact', head: true })
+            .eq('opportunity_id', opportunityId)
+            .eq('link_status', 'active');
+
+        if (error) {
+            console.error('[OpportunitySqlReader] getContactLinkCount Error:', error);
+            throw new Error(`[OpportunitySqlReader] DB Error: ${error.message}`);
+        }
+        return count || 0;
+    }
+
     /**
      * Maps Raw SQL Row to DTO
      * Strict adherence to provided schema.
@@ -95,6 +235,7 @@ class OpportunitySqlReader {
 
             // Customer & Contacts
             customerCompany: row.customer_company,
+            companyId: row.company_id || null,
             mainContact: row.main_contact,
             endCustomerContact: row.end_customer_contact,
             channelContact: row.channel_contact,
@@ -118,6 +259,9 @@ class OpportunitySqlReader {
             driveLink: row.drive_link,
             stageHistory: row.stage_history,
 
+            // Custom Fields (services/custom-field-service.js)
+            customFields: customFieldValues.parse(row.custom_fields),
+
             // Metadata / Audit
             createdTime: row.created_time,
             updatedTime: row.updated_time,
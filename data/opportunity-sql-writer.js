@@ -7,14 +7,34 @@
  * - [PATCH] Normalize empty date strings to null for PostgreSQL compatibility.
  * - [PATCH] Added missing mapping for drive_link in updateOpportunity.
  * - [FEAT] Added linkContact and unlinkContact methods for SQL-based linking.
+ * - [FEAT] updateOpportunity 支援樂觀鎖 (options.expectedVersion = 讀取時的 updated_time)。
+ * - [FEAT] 注入 AuditSqlWriter 時，每次寫入逐欄寫入稽核紀錄 (audit_logs)。
+ * - [FEAT] company_id 為機會與公司的正式關聯 (customer_company 僅為顯示用名稱)；linkCompany() 供遷移回填。
+ *   欄位與外鍵：supabase/migrations/20261019001150_opportunity_company_id.sql
+ * - [FEAT] createOpportunity 接受呼叫端指定的 opportunityId (批次匯入時避免同一毫秒產生相同 ID)。
+ * - [FEAT] customFields 寫入 custom_fields (jsonb)，更新時與目前的值合併
+ *   (supabase/migrations/20261019002200_custom_fields.sql)。
  */
 
 const { supabase } = require('../config/supabase');
+const { nextVersion, createConflictError } = require('../utils/concurrency');
+const customFieldValues = require('../utils/custom-field-values');
+const { invalidatesOnWrite } = require('./cache/write-hook');
+const { ENTITY_TAGS } = require('./cache/cache-policy');
 
 class OpportunitySqlWriter {
     
-    constructor() {
+    /**
+     * @param {AuditSqlWriter} [auditSqlWriter] - 欄位層級稽核 (未注入時不記錄)
+     */
+    constructor(auditSqlWriter = null) {
         this.tableName = 'opportunities';
+        this.auditSqlWriter = auditSqlWriter;
+    }
+
+    async _audit(entry) {
+        if (!this.auditSqlWriter) return;
+        await this.auditSqlWriter.record({ entity: 'opportunity', ...entry });
     }
 
     /**
@@ -27,7 +47,7 @@ class OpportunitySqlWriter {
         console.log(`💼 [OpportunitySqlWriter] Create: ${data.opportunityName} by ${creator}`);
 
         const now = new Date().toISOString();
-        const newId = `OPP${Date.now()}`;
+        const newId = data.opportunityId || `OPP${Date.now()}`;
 
         // [Date Normalization]
         // PostgreSQL rejects "" for date types. Convert "" to null.
@@ -38,6 +58,7 @@ class OpportunitySqlWriter {
             opportunity_id: newId,
             opportunity_name: data.opportunityName,
             customer_company: data.customerCompany,
+            company_id: data.companyId || null,
             
             // Sales & Channel
             sales_model: data.salesModel,
@@ -67,6 +88,9 @@ class OpportunitySqlWriter {
             notes: data.notes,
             drive_link: data.driveFolderLink,
             
+            // Custom Fields
+            custom_fields: customFieldValues.merge(null, data.customFields),
+
             // History
             stage_history: data.stageHistory ? data.stageHistory : JSON.stringify([]),
             
@@ -88,6 +112,8 @@ class OpportunitySqlWriter {
             throw new Error(`DB Insert Error: ${error.message}`);
         }
 
+        await this._audit({ entityId: newId, action: 'create', before: null, after: dbPayload, actor: creator });
+
         return { success: true, id: newId };
     }
 
@@ -96,11 +122,15 @@ class OpportunitySqlWriter {
      * @param {string} opportunityId
      * @param {Object} updateData
      * @param {string} modifier
+     * @param {Object} [options]
+     * @param {string} [options.expectedVersion] - 預期的 updated_time，不符時拋出 VERSION_CONFLICT
+     * @returns {Object} { success: true, id: string, version: string }
      */
-    async updateOpportunity(opportunityId, updateData, modifier) {
+    async updateOpportunity(opportunityId, updateData, modifier, options = {}) {
         console.log(`📝 [OpportunitySqlWriter] Update: ${opportunityId} by ${modifier}`);
 
-        const now = new Date().toISOString();
+        const expectedVersion = options.expectedVersion || null;
+        const now = nextVersion(expectedVersion);
         
         // Build Dynamic Payload
         const dbPayload = {
@@ -111,6 +141,7 @@ class OpportunitySqlWriter {
         // Map fields if present
         if (updateData.opportunityName !== undefined) dbPayload.opportunity_name = updateData.opportunityName;
         if (updateData.customerCompany !== undefined) dbPayload.customer_company = updateData.customerCompany;
+        if (updateData.companyId !== undefined) dbPayload.company_id = updateData.companyId || null;
         if (updateData.salesModel !== undefined) dbPayload.sales_model = updateData.salesModel;
         
         if (updateData.salesChannel !== undefined) dbPayload.sales_channel = updateData.salesChannel;
@@ -142,38 +173,97 @@ class OpportunitySqlWriter {
         if (updateData.stageHistory !== undefined) dbPayload.stage_history = updateData.stageHistory;
         if (updateData.parentOpportunityId !== undefined) dbPayload.parent_opportunity_id = updateData.parentOpportunityId;
 
-        const { error } = await supabase
+        const before = this.auditSqlWriter
+            ? await this.auditSqlWriter.snapshot(this.tableName, 'opportunity_id', opportunityId)
+            : null;
+
+        if (updateData.customFields !== undefined) {
+            dbPayload.custom_fields = customFieldValues.merge(await this._currentCustomFields(opportunityId, before), updateData.customFields);
+        }
+
+        let query = supabase
             .from(this.tableName)
             .update(dbPayload)
             .eq('opportunity_id', opportunityId);
+        if (expectedVersion) query = query.eq('updated_time', expectedVersion);
+
+        const { data, error } = await query.select('opportunity_id');
 
         if (error) {
             console.error('[OpportunitySqlWriter] Update Error:', error);
             throw new Error(`DB Update Error: ${error.message}`);
         }
+        if (expectedVersion && (!data || data.length === 0)) {
+            throw createConflictError('機會', opportunityId, expectedVersion);
+        }
+
+        await this._audit({ entityId: opportunityId, action: 'update', before, after: dbPayload, actor: modifier });
+
+        return { success: true, id: opportunityId, version: now };
+    }
 
-        return { success: true, id: opportunityId };
+    /**
+     * 更新只帶入有修改的自訂欄位，需與目前的值合併 (已有稽核快照時直接使用)
+     */
+    async _currentCustomFields(opportunityId, before) {
+        if (before) return before.custom_fields;
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('custom_fields')
+            .eq('opportunity_id', opportunityId)
+            .maybeSingle();
+        if (error) throw new Error(`DB Read Error: ${error.message}`);
+        return data ? data.custom_fields : null;
     }
 
     /**
-     * 刪除機會案件
+     * 刪除機會案件 (軟刪除：移入回收桶，永久刪除見 TrashSqlWriter.purge)
      * @param {string} opportunityId 
      * @param {string} modifier 
      */
     async deleteOpportunity(opportunityId, modifier) {
         console.log(`🗑️ [OpportunitySqlWriter] Delete: ${opportunityId} by ${modifier}`);
 
-        // SQL Hard Delete
+        const deletedAt = new Date().toISOString();
         const { error } = await supabase
             .from(this.tableName)
-            .delete()
-            .eq('opportunity_id', opportunityId);
+            .update({ deleted_at: deletedAt, deleted_by: modifier || 'System' })
+            .eq('opportunity_id', opportunityId)
+            .is('deleted_at', null);
 
         if (error) {
             console.error('[OpportunitySqlWriter] Delete Error:', error);
             throw new Error(`DB Delete Error: ${error.message}`);
         }
 
+        await this._audit({ entityId: opportunityId, action: 'delete', before: null, after: { deleted_at: deletedAt }, actor: modifier });
+
+        return { success: true };
+    }
+
+    /**
+     * 回填機會的公司關聯 (不更動 updated_time，避免影響版本與列表排序)
+     * @param {string} opportunityId
+     * @param {string} companyId
+     * @param {string} modifier
+     */
+    async linkCompany(opportunityId, companyId, modifier) {
+        const before = this.auditSqlWriter
+            ? await this.auditSqlWriter.snapshot(this.tableName, 'opportunity_id', opportunityId)
+            : null;
+
+        const { error } = await supabase
+            .from(this.tableName)
+            .update({ company_id: companyId })
+            .eq('opportunity_id', opportunityId);
+
+        if (error) {
+            console.error('[OpportunitySqlWriter] Link Company Error:', error);
+            throw new Error(`Link Company Error: ${error.message}`);
+        }
+
+        await this._audit({ entityId: opportunityId, action: 'link', before, after: { company_id: companyId }, actor: modifier });
+
         return { success: true };
     }
 
@@ -203,6 +293,12 @@ class OpportunitySqlWriter {
             console.error('[OpportunitySqlWriter] Link Error:', error);
             throw new Error(`Link Error: ${error.message}`);
         }
+        if (this.auditSqlWriter) {
+            await this.auditSqlWriter.recordField({
+                entity: 'opportunity', entityId: opportunityId, action: 'link',
+                field: 'contact_id', oldValue: null, newValue: contactId, actor: modifier
+            });
+        }
         return { success: true };
     }
 
@@ -210,8 +306,9 @@ class OpportunitySqlWriter {
      * 解除聯絡人關聯 (SQL)
      * @param {string} opportunityId
      * @param {string} contactId
+     * @param {string} [modifier]
      */
-    async unlinkContact(opportunityId, contactId) {
+    async unlinkContact(opportunityId, contactId, modifier) {
          console.log(`🔗 [OpportunitySqlWriter] Unlink: ${opportunityId} <-> ${contactId}`);
          
          // Physical delete (Unlink)
@@ -225,8 +322,21 @@ class OpportunitySqlWriter {
              console.error('[OpportunitySqlWriter] Unlink Error:', error);
              throw new Error(`Unlink Error: ${error.message}`);
          }
+         if (this.auditSqlWriter) {
+             await this.auditSqlWriter.recordField({
+                 entity: 'opportunity', entityId: opportunityId, action: 'unlink',
+                 field: 'contact_id', oldValue: contactId, newValue: null, actor: modifier
+             });
+         }
          return { success: true };
     }
 }
 
-module.exports = OpportunitySqlWriter;
\ No newline at end of file
+module.exports = invalidatesOnWrite(OpportunitySqlWriter, {
+    createOpportunity: [ENTITY_TAGS.OPPORTUNITY],
+    updateOpportunity: [ENTITY_TAGS.OPPORTUNITY],
+    linkCompany: [ENTITY_TAGS.OPPORTUNITY],
+    deleteOpportunity: [ENTITY_TAGS.OPPORTUNITY, ENTITY_TAGS.OPP_CONTACT_LINK],
+    linkContact: [ENTITY_TAGS.OPP_CONTACT_LINK],
+    unlinkContact: [ENTITY_TAGS.OPP_CONTACT_LINK]
+});
\ No newline at end of file
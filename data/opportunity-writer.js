@@ -9,6 +9,8 @@
  */
 
 const BaseWriter = require('./base-writer');
+const { invalidatesOnWrite } = require('./cache/write-hook');
+const { ENTITY_TAGS } = require('./cache/cache-policy');
 
 class OpportunityWriter extends BaseWriter {
     /**
@@ -74,7 +76,8 @@ class OpportunityWriter extends BaseWriter {
 
         const FIELD_NAMES = this.config.OPPORTUNITY_FIELD_NAMES;
         const now = new Date().toISOString();
-        const newId = `OPP${Date.now()}`;
+        // 影子模式 (Shadow Mode) 由 SQL 端先產生 ID，此處沿用以便兩邊以同一主鍵比對
+        const newId = opportunityData.opportunityId || `OPP${Date.now()}`;
 
         // 2. 組裝資料列
         const newRow = headers.map(header => {
@@ -319,4 +322,11 @@ class OpportunityWriter extends BaseWriter {
     }
 }
 
-module.exports = OpportunityWriter;
\ No newline at end of file
+module.exports = invalidatesOnWrite(OpportunityWriter, {
+    createOpportunity: [ENTITY_TAGS.OPPORTUNITY],
+    updateOpportunity: [ENTITY_TAGS.OPPORTUNITY],
+    batchUpdateOpportunities: [ENTITY_TAGS.OPPORTUNITY],
+    deleteOpportunity: [ENTITY_TAGS.OPPORTUNITY, ENTITY_TAGS.OPP_CONTACT_LINK],
+    linkContactToOpportunity: [ENTITY_TAGS.OPP_CONTACT_LINK],
+    deleteContactLink: [ENTITY_TAGS.OPP_CONTACT_LINK]
+});
\ No newline at end of file
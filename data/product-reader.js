@@ -5,6 +5,7 @@
  * @date 2026-01-09
  * @description 實作 Strict Mode 依賴注入。
  * 注意：商品資料通常位於獨立的 Sheet，因此這裡的 super 呼叫應確保傳入的是 Product Sheet ID。
+ * 快取改走 CacheManager.wrap() (鍵 marketProducts，TTL 見 cache-policy.js)。
  */
 
 const BaseReader = require('./base-reader');
@@ -31,60 +32,37 @@ class ProductReader extends BaseReader {
         }
 
         const range = `${config.SHEETS.MARKET_PRODUCTS}!A:V`; 
-        const cacheKey = this.cacheKey;
-        const now = Date.now();
 
-        // 1. 初始化快取
-        if (!this.cache[cacheKey]) {
-            this.cache[cacheKey] = { data: null, timestamp: 0 };
-        }
-
-        // 2. 讀取快取
-        if (this.cache[cacheKey].data && (now - this.cache[cacheKey].timestamp < this.CACHE_DURATION)) {
-            return this.cache[cacheKey].data;
-        }
-
-        // 3. 請求合併
-        if (this._pendingPromises[cacheKey]) {
-            return this._pendingPromises[cacheKey];
-        }
+        const loader = async () => {
+            console.log(`🔄 [ProductReader] 正在讀取商品資料 (ID: ...${this.targetSpreadsheetId.slice(-6)})...`);
 
-        console.log(`🔄 [ProductReader] 正在讀取商品資料 (ID: ...${this.targetSpreadsheetId.slice(-6)})...`);
+            // 使用 _executeWithRetry 與 this.targetSpreadsheetId
+            const response = await this._executeWithRetry(() => 
+                this.sheets.spreadsheets.values.get({
+                    spreadsheetId: this.targetSpreadsheetId, // 使用注入的 ID
+                    range: range,
+                })
+            );
 
-        // 4. 發起請求
-        const fetchPromise = (async () => {
-            try {
-                // 使用 _executeWithRetry 與 this.targetSpreadsheetId
-                const response = await this._executeWithRetry(() => 
-                    this.sheets.spreadsheets.values.get({
-                        spreadsheetId: this.targetSpreadsheetId, // 使用注入的 ID
-                        range: range,
-                    })
-                );
+            const rows = response.data.values || [];
+            let data = [];
 
-                const rows = response.data.values || [];
-                let data = [];
-
-                if (rows.length > 1) {
-                    data = rows.slice(1).map((row, index) => {
-                        return this._parseRow(row, index);
-                    }).filter(item => item !== null);
-                }
+            if (rows.length > 1) {
+                data = rows.slice(1).map((row, index) => {
+                    return this._parseRow(row, index);
+                }).filter(item => item !== null);
+            }
 
-                this.cache[cacheKey] = { data, timestamp: Date.now() };
-                console.log(`✅ [ProductReader] 商品資料更新完成 (${data.length} 筆)`);
-                return data;
+            console.log(`✅ [ProductReader] 商品資料更新完成 (${data.length} 筆)`);
+            return data;
+        };
 
-            } catch (error) {
+        return this.cache.wrap(this.cacheKey, loader, {
+            onError: (error, stale) => {
                 console.error(`❌ [ProductReader] 讀取失敗:`, error.message);
-                return this.cache[cacheKey].data || [];
-            } finally {
-                delete this._pendingPromises[cacheKey];
+                return stale || [];
             }
-        })();
-
-        this._pendingPromises[cacheKey] = fetchPromise;
-        return fetchPromise;
+        });
     }
 
     /**
@@ -0,0 +1,150 @@
+/**
+ * data/product-sql-reader.js
+ * [Strict Digital Forensics Mode]
+ * - Type: SQL Reader (Read-Only)
+ * - Target: PostgreSQL (Supabase)
+ * - Tables: products (公開欄位), product_prices (機敏價格，1:1 by product_id)
+ * - Constraints: No rowIndex, No update/delete
+ * - Version: 1.0.0
+ * - Date: 2026-10-19
+ * - Description: DTO 與 ProductReader (MARKET_PRODUCT_FIELDS) 一致。
+ *   成本 / MTB / SI / MTU 價格存放於獨立資料表，只有 includeConfidential 時才會查詢，
+ *   未授權時 DTO 內不會出現這四個欄位 (而非空字串)。
+ */
+
+const { supabase } = require('../config/supabase');
+
+class ProductSqlReader {
+
+    constructor() {
+        this.tableName = 'products';
+        this.priceTableName = 'product_prices';
+    }
+
+    /**
+     * Get all products
+     * @param {Object} [options]
+     * @param {boolean} [options.includeConfidential=false] - 是否合併 product_prices (僅限管理員)
+     * @returns {Promise<Array<Object>>} Array of Product DTOs
+     */
+    async getAllProducts({ includeConfidential = false } = {}) {
+        try {
+            const { data, error } = await supabase
+                .from(this.tableName)
+                .select('*')
+                .order('product_id', { ascending: true });
+
+            if (error) {
+                throw new Error(`[ProductSqlReader] DB Error: ${error.message}`);
+            }
+
+            const priceMap = includeConfidential ? await this._fetchPriceMap() : null;
+
+            return data.map(row => this._mapRowToDto(row, priceMap ? (priceMap.get(row.product_id) || {}) : null));
+
+        } catch (error) {
+            console.error('[ProductSqlReader] getAllProducts Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a single product by ID
+     * @param {string} productId
+     * @param {Object} [options] - 同 getAllProducts
+     * @returns {Promise<Object|null>} Product DTO or null
+     */
+    async getProductById(productId, { includeConfidential = false } = {}) {
+        if (!productId) throw new Error('ProductSqlReader: productId is required');
+
+        try {
+            const { data, error } = await supabase
+                .from(this.tableName)
+                .select('*')
+                .eq('product_id', productId)
+                .single();
+
+            if (error) {
+                if (error.code === 'PGRST116') {
+                    return null;
+                }
+                throw new Error(`[ProductSqlReader] DB Error: ${error.message}`);
+            }
+
+            let priceRow = null;
+            if (includeConfidential) {
+                const { data: prices, error: priceError } = await supabase
+                    .from(this.priceTableName)
+                    .select('*')
+                    .eq('product_id', productId)
+                    .maybeSingle();
+
+                if (priceError) {
+                    throw new Error(`[ProductSqlReader] DB Error: ${priceError.message}`);
+                }
+                priceRow = prices || {};
+            }
+
+            return this._mapRowToDto(data, priceRow);
+
+        } catch (error) {
+            console.error('[ProductSqlReader] getProductById Error:', error);
+            throw error;
+        }
+    }
+
+    async _fetchPriceMap() {
+        const { data, error } = await supabase
+            .from(this.priceTableName)
+            .select('*');
+
+        if (error) {
+            throw new Error(`[ProductSqlReader] DB Error: ${error.message}`);
+        }
+
+        return new Map(data.map(row => [row.product_id, row]));
+    }
+
+    /**
+     * Map DB Rows to Product DTO
+     * @param {Object} row - products row
+     * @param {Object|null} priceRow - product_prices row；null 代表不輸出機敏欄位
+     */
+    _mapRowToDto(row, priceRow) {
+        const toText = (value) => (value === null || value === undefined) ? '' : value;
+
+        const dto = {
+            id: row.product_id,
+            name: toText(row.product_name),
+            category: toText(row.category),
+            group: toText(row.product_group),
+            combination: toText(row.combination),
+            unit: toText(row.unit),
+            spec: toText(row.spec),
+
+            supplier: toText(row.supplier),
+            series: toText(row.series),
+            interface: toText(row.interface),
+            property: toText(row.property),
+            aspect: toText(row.aspect),
+            description: toText(row.description),
+
+            status: row.status || '上架',
+            creator: toText(row.creator),
+            createTime: toText(row.create_time),
+            lastModifier: toText(row.last_modifier),
+            lastUpdateTime: toText(row.last_update_time)
+        };
+
+        if (priceRow) {
+            dto.cost = toText(priceRow.cost);
+            dto.priceMtb = toText(priceRow.price_mtb);
+            dto.priceSi = toText(priceRow.price_si);
+            dto.priceMtu = toText(priceRow.price_mtu);
+        }
+
+        return dto;
+    }
+}
+
+module.exports = ProductSqlReader;
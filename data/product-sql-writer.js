@@ -0,0 +1,232 @@
+/**
+ * data/product-sql-writer.js
+ * [Strict Digital Forensics Mode]
+ * - Type: SQL Writer
+ * - Target: PostgreSQL (Supabase)
+ * - Tables: products, product_prices
+ * - Version: 1.0.0
+ * - Date: 2026-10-19
+ * - Description: 商品 CUD。所有寫入經由 Postgres Function `upsert_products` 在單一交易內完成：
+ *   rpc('upsert_products', { p_products: [{ product_id, product, prices }], p_modifier })
+ *   - product / prices 只包含要寫入的欄位，未出現的欄位保留原值；prices 為 null 時不動價格表。
+ *   - 新增時補上 creator / create_time，每次寫入更新 last_modifier / last_update_time。
+ *   - 任一筆失敗 (例如價格非數字) 整批 ROLLBACK，不會留下半套資料。
+ * - Schema: supabase/migrations/20261019000350_products.sql (products)、20261019000400_product_prices.sql (product_prices + upsert_products)。
+ * - Audit: 注入 AuditSqlWriter 時，商品與價格欄位的每次變動寫入稽核紀錄 (audit_logs，entity = product)；
+ *   價格欄位的值僅管理員可查 (services/audit-service.js)。
+ */
+
+const { supabase } = require('../config/supabase');
+const { invalidatesOnWrite } = require('./cache/write-hook');
+const { ENTITY_TAGS } = require('./cache/cache-policy');
+
+const SNAPSHOT_CHUNK_SIZE = 200;
+
+// DTO -> products 欄位
+const PRODUCT_COLUMNS = {
+    name: 'product_name',
+    category: 'category',
+    group: 'product_group',
+    combination: 'combination',
+    unit: 'unit',
+    spec: 'spec',
+    supplier: 'supplier',
+    series: 'series',
+    interface: 'interface',
+    property: 'property',
+    aspect: 'aspect',
+    description: 'description',
+    status: 'status'
+};
+
+// DTO -> product_prices 欄位 (機敏)
+const PRICE_COLUMNS = {
+    cost: 'cost',
+    priceMtb: 'price_mtb',
+    priceSi: 'price_si',
+    priceMtu: 'price_mtu'
+};
+
+class ProductSqlWriter {
+
+    /**
+     * @param {AuditSqlWriter} [auditSqlWriter] - Field-level audit (skipped when not injected)
+     */
+    constructor(auditSqlWriter = null) {
+        this.tableName = 'products';
+        this.priceTableName = 'product_prices';
+        this.upsertFunction = 'upsert_products';
+        this.auditSqlWriter = auditSqlWriter;
+    }
+
+    async _audit(entry) {
+        if (!this.auditSqlWriter) return;
+        await this.auditSqlWriter.record({ entity: 'product', ...entry });
+    }
+
+    /**
+     * 寫入前的商品列 + 價格列 (product_id -> 合併後的欄位)；未注入稽核時不查詢
+     * @returns {Promise<Map<string, Object>>}
+     */
+    async _snapshot(productIds) {
+        const snapshots = new Map();
+        if (!this.auditSqlWriter || productIds.length === 0) return snapshots;
+
+        for (const table of [this.tableName, this.priceTableName]) {
+            // 分批查詢，避免大量匯入時 in() 的 URL 過長
+            for (let i = 0; i < productIds.length; i += SNAPSHOT_CHUNK_SIZE) {
+                const { data, error } = await supabase
+                    .from(table)
+                    .select('*')
+                    .in('product_id', productIds.slice(i, i + SNAPSHOT_CHUNK_SIZE));
+
+                if (error) {
+                    console.warn(`[ProductSqlWriter] Audit Snapshot Failed (${table}): ${error.message}`);
+                    continue;
+                }
+                (data || []).forEach(row => {
+                    snapshots.set(row.product_id, { ...(snapshots.get(row.product_id) || {}), ...row });
+                });
+            }
+        }
+        return snapshots;
+    }
+
+    /**
+     * 價格欄位：空值存 NULL，其餘必須是數字 (允許千分位與 $)
+     */
+    _toPrice(value, field) {
+        if (value === undefined || value === null || String(value).trim() === '') return null;
+        const num = Number(String(value).replace(/[,$\s]/g, ''));
+        if (isNaN(num)) {
+            throw new Error(`[ProductSqlWriter] 價格欄位 ${field} 必須為數字: ${value}`);
+        }
+        return num;
+    }
+
+    /**
+     * 將 DTO 轉為 rpc 參數項目 (只帶入有定義的欄位)
+     */
+    _toUpsertItem(data) {
+        if (!data.id) {
+            throw new Error('[ProductSqlWriter] Missing required "id"');
+        }
+
+        const product = {};
+        Object.entries(PRODUCT_COLUMNS).forEach(([key, column]) => {
+            if (data[key] !== undefined) product[column] = data[key];
+        });
+
+        let prices = null;
+        Object.entries(PRICE_COLUMNS).forEach(([key, column]) => {
+            if (data[key] === undefined) return;
+            prices = prices || {};
+            prices[column] = this._toPrice(data[key], key);
+        });
+
+        return { product_id: data.id, product, prices };
+    }
+
+    /**
+     * 批次 Upsert (單一交易)
+     * @param {Array<Object>} products - Product DTOs (必須包含 id)
+     * @param {string} modifier
+     * @returns {Promise<Object>} { success: true, count }
+     */
+    async upsertProducts(products, modifier) {
+        if (!products || products.length === 0) return { success: true, count: 0 };
+
+        console.log(`📦 [ProductSqlWriter] Upsert ${products.length} 筆 by ${modifier}`);
+
+        const payload = products.map(p => this._toUpsertItem(p));
+        const before = await this._snapshot(payload.map(item => item.product_id));
+
+        const { error } = await supabase.rpc(this.upsertFunction, {
+            p_products: payload,
+            p_modifier: modifier
+        });
+
+        if (error) {
+            console.error('[ProductSqlWriter] Upsert Error:', error);
+            throw new Error(`DB Upsert Error: ${error.message}`);
+        }
+
+        for (const item of payload) {
+            const existing = before.get(item.product_id) || null;
+            await this._audit({
+                entityId: item.product_id,
+                action: existing ? 'update' : 'create',
+                before: existing,
+                after: { ...item.product, ...(item.prices || {}) },
+                actor: modifier
+            });
+        }
+
+        return { success: true, count: payload.length };
+    }
+
+    /**
+     * 建立新商品
+     * @returns {Promise<Object>} { success: true, id }
+     */
+    async createProduct(data, creator) {
+        const newId = data.id || `PROD${Date.now()}`;
+        await this.upsertProducts([{ ...data, id: newId, status: data.status || '上架' }], creator);
+        return { success: true, id: newId };
+    }
+
+    /**
+     * 更新商品 (以 product_id 定位)
+     */
+    async updateProduct(productId, data, modifier) {
+        if (!productId) throw new Error('[ProductSqlWriter] Update requires productId');
+
+        const { data: existing, error } = await supabase
+            .from(this.tableName)
+            .select('product_id')
+            .eq('product_id', productId)
+            .maybeSingle();
+
+        if (error) throw new Error(`DB Select Error: ${error.message}`);
+        if (!existing) throw new Error('找不到該筆商品資料');
+
+        await this.upsertProducts([{ ...data, id: productId }], modifier);
+        return { success: true };
+    }
+
+    /**
+     * 刪除商品 (先刪價格表，再刪主表)
+     * @param {string} productId
+     * @param {string} [modifier] - 稽核紀錄的操作者
+     */
+    async deleteProduct(productId, modifier) {
+        if (!productId) throw new Error('[ProductSqlWriter] Delete requires productId');
+
+        console.log(`🗑️ [ProductSqlWriter] Delete: ${productId}`);
+
+        const before = (await this._snapshot([productId])).get(productId) || null;
+
+        for (const table of [this.priceTableName, this.tableName]) {
+            const { error } = await supabase
+                .from(table)
+                .delete()
+                .eq('product_id', productId);
+
+            if (error) {
+                console.error(`[ProductSqlWriter] Delete Error (${table}):`, error);
+                throw new Error(`DB Delete Error: ${error.message}`);
+            }
+        }
+
+        if (before) await this._audit({ entityId: productId, action: 'delete', before, after: null, actor: modifier });
+
+        return { success: true };
+    }
+}
+
+module.exports = invalidatesOnWrite(ProductSqlWriter, {
+    upsertProducts: [ENTITY_TAGS.PRODUCT],
+    createProduct: [ENTITY_TAGS.PRODUCT],
+    updateProduct: [ENTITY_TAGS.PRODUCT],
+    deleteProduct: [ENTITY_TAGS.PRODUCT]
+});
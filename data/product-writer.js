@@ -8,6 +8,8 @@
  */
 
 const BaseWriter = require('./base-writer');
+const { invalidatesOnWrite } = require('./cache/write-hook');
+const { ENTITY_TAGS } = require('./cache/cache-policy');
 
 class ProductWriter extends BaseWriter {
     /**
@@ -160,4 +162,8 @@ class ProductWriter extends BaseWriter {
     }
 }
 
-module.exports = ProductWriter;
\ No newline at end of file
+module.exports = invalidatesOnWrite(ProductWriter, {
+    createProduct: [ENTITY_TAGS.PRODUCT],
+    updateProduct: [ENTITY_TAGS.PRODUCT],
+    deleteProduct: [ENTITY_TAGS.PRODUCT]
+});
\ No newline at end of file
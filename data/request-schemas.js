@@ -0,0 +1,296 @@
+/**
+ * data/request-schemas.js
+ * 寫入 API 的請求資料規則 (utils/request-validator.js)
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * * 每份 schema 宣告 { label, fields }，欄位名稱為 API 接收的 DTO 欄位，規則語法見 utils/request-validator.js。
+ * * - strict: true 的 schema 拒絕未宣告的欄位，用於直接把 body 交給 Service 合併的端點 (LINE 名片更新等)。
+ * * - 同一份 schema 供建立 (POST，檢查必填) 與更新 (PUT，partial) 共用，見各 routes 的 validateBody()。
+ * * - 內容必須可序列化為 JSON：GET /api/schemas 原樣提供給前端表單檢查。
+ * * - 下拉選項 (機會階段、公司類型…) 由系統設定維護、可隨時調整，這裡只檢查格式；
+ * *   選項值的檢查仍在匯入 (services/import-service.js) 等需要的地方進行。
+ * * - customFields 的內容依管理員維護的欄位定義檢查 (validateCustomFields，services/custom-field-service.js)。
+ * * - eventLog 的類型與專屬欄位依事件範本檢查 (validateEventTemplate，services/event-template-service.js)。
+ */
+
+const config = require('../config');
+
+const TEXT = 200;
+const LONG_TEXT = 5000;
+
+const text = (label, extra = {}) => ({ label, type: 'string', maxLength: TEXT, ...extra });
+const longText = (label, extra = {}) => ({ label, type: 'string', maxLength: LONG_TEXT, ...extra });
+
+const REQUEST_SCHEMAS = {
+    opportunity: {
+        label: '機會案件',
+        fields: {
+            opportunityName: text('機會名稱', { required: true }),
+            customerCompany: text('終端客戶'),
+            companyId: text('公司ID'),
+            salesModel: text('銷售模式'),
+            salesChannel: text('主要通路/下單方'),
+            channelDetails: longText('通路結構詳情'),
+            channelContact: text('通路窗口'),
+            mainContact: text('終端窗口'),
+            assignee: text('負責業務'),
+            opportunityType: text('機會種類'),
+            opportunitySource: text('機會來源'),
+            currentStage: text('目前階段'),
+            currentStatus: { label: '目前狀態', type: 'string', enum: Object.values(config.CONSTANTS.OPPORTUNITY_STATUS) },
+            expectedCloseDate: { label: '預計結案日', type: 'date' },
+            opportunityValue: { label: '機會價值', type: 'number', min: 0 },
+            orderProbability: text('下單機率'),
+            deviceScale: text('設備規模'),
+            potentialSpecification: longText('產品明細'),
+            notes: longText('備註'),
+            driveFolderLink: { label: 'Drive資料夾連結', type: 'url', maxLength: 1000 },
+            parentOpportunityId: text('母機會ID'),
+            customFields: { label: '自訂欄位', type: 'object' }
+        }
+    },
+
+    // PUT /api/opportunities/batch { updates: [{ opportunityId, data, modifier }] }
+    opportunityBatch: {
+        label: '批次更新',
+        fields: {
+            updates: {
+                label: '更新清單',
+                type: 'array',
+                required: true,
+                minItems: 1,
+                maxItems: 500,
+                items: {
+                    type: 'object',
+                    fields: {
+                        opportunityId: text('機會ID', { required: true }),
+                        data: { label: '更新內容', type: 'object', required: true, schema: 'opportunity', partial: true },
+                        modifier: text('修改者')
+                    }
+                }
+            }
+        }
+    },
+
+    // POST /api/opportunities/:opportunityId/contacts (既有聯絡人帶 contactId；新聯絡人需公司名稱，由 Service 檢查)
+    // 資料多半直接取自名片辨識結果，Email 不檢查格式，避免舊名片無法關聯
+    opportunityContact: {
+        label: '關聯聯絡人',
+        fields: {
+            contactId: text('聯絡人ID'),
+            name: text('姓名'),
+            company: text('公司名稱'),
+            position: text('職稱'),
+            mobile: text('手機', { maxLength: 50 }),
+            phone: text('公司電話', { maxLength: 50 }),
+            email: text('Email')
+        }
+    },
+
+    company: {
+        label: '公司',
+        fields: {
+            companyName: text('公司名稱', { required: true }),
+            phone: text('公司電話', { maxLength: 50 }),
+            address: text('地址'),
+            county: text('縣市', { maxLength: 20 }),
+            introduction: longText('公司簡介'),
+            companyType: text('公司類型'),
+            customerStage: text('客戶階段'),
+            engagementRating: text('互動評級'),
+            customFields: { label: '自訂欄位', type: 'object' }
+        }
+    },
+
+    contact: {
+        label: '聯絡人',
+        fields: {
+            name: text('姓名', { required: true }),
+            companyId: text('公司ID'),
+            company: text('公司名稱'),
+            department: text('部門'),
+            jobTitle: text('職稱'),
+            position: text('職稱'),
+            mobile: text('手機', { maxLength: 50 }),
+            phone: text('公司電話', { maxLength: 50 }),
+            tel: text('公司電話', { maxLength: 50 }),
+            email: { label: 'Email', type: 'email', maxLength: TEXT },
+            customFields: { label: '自訂欄位', type: 'object' }
+        }
+    },
+
+    // POST /api/contacts/merge
+    contactMerge: {
+        label: '聯絡人合併',
+        fields: {
+            survivor: {
+                label: '保留的聯絡人',
+                type: 'object',
+                required: true,
+                fields: {
+                    type: { label: '保留的聯絡人類型', type: 'string', required: true, enum: ['official', 'potential'] },
+                    id: text('保留的聯絡人ID', { required: true })
+                }
+            },
+            merged: {
+                label: '被合併的聯絡人',
+                type: 'array',
+                required: true,
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    fields: {
+                        type: { label: '類型', type: 'string', required: true, enum: ['official', 'potential'] },
+                        id: text('ID', { required: true })
+                    }
+                }
+            }
+        }
+    },
+
+    // POST /api/contacts/:contactId/link-card
+    contactLinkCard: {
+        label: '連結名片',
+        strict: true,
+        fields: {
+            businessCardRowIndex: { label: '名片列號', type: 'integer', required: true, min: 2 }
+        }
+    },
+
+    // POST /api/contacts/potential/:originalId/file (歸檔不需內容)
+    potentialContactFile: {
+        label: '名片歸檔',
+        strict: true,
+        fields: {}
+    },
+
+    // PUT /api/line/leads/by-id/:originalId (LINE 端編輯名片；status 等欄位不開放)
+    // Email 不檢查格式：名片辨識結果常不符格式，需先存回再由使用者修正
+    lineLead: {
+        label: '名片',
+        strict: true,
+        fields: {
+            name: text('姓名'),
+            company: text('公司名稱'),
+            position: text('職稱'),
+            mobile: text('手機', { maxLength: 50 }),
+            email: text('Email'),
+            notes: longText('備註'),
+            modifier: text('修改者')
+        }
+    },
+
+    interaction: {
+        label: '互動紀錄',
+        fields: {
+            opportunityId: text('機會ID'),
+            companyId: text('公司ID'),
+            interactionTime: { label: '互動時間', type: 'datetime' },
+            eventType: text('事件類型'),
+            interactionType: text('事件類型'),
+            eventTitle: text('事件標題'),
+            contentSummary: longText('內容摘要'),
+            participants: longText('參與人員'),
+            nextAction: longText('下次行動'),
+            attachmentLink: { label: '附件連結', type: 'url', maxLength: 1000 },
+            calendarEventId: text('日曆事件ID'),
+            recorder: text('記錄人')
+        }
+    },
+
+    eventLog: {
+        label: '事件紀錄',
+        fields: {
+            eventName: text('事件名稱', { required: true }),
+            eventType: text('事件類型', { maxLength: 20, pattern: '^[a-z][a-z0-9_]*$', patternMessage: '只能包含小寫英數字與底線' }),
+            createdTime: { label: '事件時間', type: 'datetime' },
+            opportunityId: text('機會ID'),
+            companyId: text('公司ID'),
+            ourParticipants: longText('我方與會人員'),
+            clientParticipants: longText('客戶與會人員'),
+            visitPlace: text('會議地點'),
+            eventContent: longText('會議內容'),
+            clientQuestions: longText('客戶提問'),
+            clientIntelligence: longText('客戶情報'),
+            eventNotes: longText('備註'),
+            details: { label: '範本欄位', type: 'object' }
+        }
+    },
+
+    weeklyBusiness: {
+        label: '週間業務',
+        fields: {
+            date: { label: '日期', type: 'date', required: true },
+            category: text('分類'),
+            theme: text('主題', { required: true }),
+            participants: longText('參與人員'),
+            summary: longText('重點摘要'),
+            todo: longText('待辦事項')
+        }
+    },
+
+    announcement: {
+        label: '公告',
+        fields: {
+            title: text('公告標題', { required: true }),
+            content: longText('公告內容', { maxLength: 20000 }),
+            status: { label: '狀態', type: 'string', enum: ['已發布', '草稿'] },
+            isPinned: { label: '置頂', type: 'boolean' }
+        }
+    },
+
+    // POST /api/products/batch (id 不存在時新增)
+    productBatch: {
+        label: '商品批次更新',
+        fields: {
+            products: {
+                label: '商品清單',
+                type: 'array',
+                required: true,
+                maxItems: 2000,
+                items: {
+                    type: 'object',
+                    fields: {
+                        id: text('商品ID'),
+                        name: text('商品', { required: true }),
+                        category: text('商品種類'),
+                        group: text('群組'),
+                        combination: text('商品組合'),
+                        unit: text('單位', { maxLength: 20 }),
+                        spec: longText('規格'),
+                        cost: { label: '成本', type: 'number', min: 0 },
+                        priceMtb: { label: 'MTB價格', type: 'number', min: 0 },
+                        priceSi: { label: 'SI價格', type: 'number', min: 0 },
+                        priceMtu: { label: 'MTU售價', type: 'number', min: 0 },
+                        supplier: text('供應商'),
+                        series: text('系列'),
+                        interface: text('介面'),
+                        property: text('性質'),
+                        aspect: text('面向'),
+                        description: longText('說明資料'),
+                        status: text('狀態', { maxLength: 20 })
+                    }
+                }
+            }
+        }
+    },
+
+    // POST /api/products/category-order
+    productCategoryOrder: {
+        label: '商品分類排序',
+        fields: {
+            order: { label: '分類排序', type: 'array', required: true, items: text('分類') }
+        }
+    }
+};
+
+/**
+ * @param {string} name
+ * @returns {Object|null}
+ */
+function getRequestSchema(name) {
+    return REQUEST_SCHEMAS[name] || null;
+}
+
+module.exports = { REQUEST_SCHEMAS, getRequestSchema };
@@ -0,0 +1,101 @@
+/**
+ * data/shadow-sql-reader.js
+ * [Strict Digital Forensics Mode]
+ * - Type: SQL Reader (Read-Only)
+ * - Target: PostgreSQL (Supabase)
+ * - Table: shadow_divergences / shadow_counters (寫入見 data/shadow-sql-writer.js)
+ * - Functions: shadow_divergence_summary() / shadow_divergence_entries()
+ *   (supabase/migrations/20261019000300_shadow_divergences.sql)
+ * - Constraints: No update/delete
+ * - Version: 1.0.0
+ * - Date: 2026-10-19
+ */
+
+const { supabase } = require('../config/supabase');
+
+class ShadowSqlReader {
+
+    /**
+     * 各實體的比對 / 鏡射寫入計數
+     * @returns {Promise<Array<{entity: string, comparisons: number, shadowWrites: number, since: string}>>}
+     */
+    async getCounters() {
+        try {
+            const { data, error } = await supabase.from('shadow_counters').select('*');
+            if (error) {
+                throw new Error(`[ShadowSqlReader] DB Error: ${error.message}`);
+            }
+            return (data || []).map(row => ({
+                entity: row.entity,
+                comparisons: Number(row.comparisons) || 0,
+                shadowWrites: Number(row.shadow_writes) || 0,
+                since: row.since
+            }));
+        } catch (error) {
+            console.error('[ShadowSqlReader] getCounters Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 差異統計 (field 為 null：依類型；type 為 null：依欄位)
+     * @returns {Promise<Array<{entity: string, type: string|null, field: string|null, count: number, lastDivergenceAt: string}>>}
+     */
+    async getDivergenceSummary() {
+        try {
+            const { data, error } = await supabase.rpc('shadow_divergence_summary');
+            if (error) {
+                throw new Error(`[ShadowSqlReader] DB Error: ${error.message}`);
+            }
+            return (data || []).map(row => ({
+                entity: row.entity,
+                type: row.type,
+                field: row.field,
+                count: Number(row.divergences) || 0,
+                lastDivergenceAt: row.last_divergence_at
+            }));
+        } catch (error) {
+            console.error('[ShadowSqlReader] getDivergenceSummary Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 差異明細 (新到舊)
+     * @param {Object} [filters] - { entity, field, type, limit }
+     * @returns {Promise<Array<Object>>}
+     */
+    async getDivergences({ entity, field, type, limit = 100 } = {}) {
+        try {
+            const { data, error } = await supabase.rpc('shadow_divergence_entries', {
+                p_entity: entity || null,
+                p_type: type || null,
+                p_field: field || null,
+                p_limit: limit
+            });
+            if (error) {
+                throw new Error(`[ShadowSqlReader] DB Error: ${error.message}`);
+            }
+            return (data || []).map(row => this._mapRowToDto(row));
+        } catch (error) {
+            console.error('[ShadowSqlReader] getDivergences Error:', error);
+            throw error;
+        }
+    }
+
+    _mapRowToDto(row) {
+        const entry = {
+            id: row.id,
+            time: row.created_at,
+            entity: row.entity,
+            type: row.type,
+            key: row.record_key,
+            origin: row.origin
+        };
+        if (row.changes && row.changes.length > 0) entry.changes = row.changes;
+        if (row.error) entry.error = row.error;
+        return entry;
+    }
+}
+
+module.exports = ShadowSqlReader;
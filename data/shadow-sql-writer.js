@@ -0,0 +1,75 @@
+/**
+ * data/shadow-sql-writer.js
+ * [Strict Digital Forensics Mode]
+ * - Type: SQL Writer (Append-Only)
+ * - Target: PostgreSQL (Supabase)
+ * - Table: shadow_divergences (id text PK, entity text, type text, record_key text, origin text,
+ *          changes jsonb, error text, created_at timestamptz)
+ *          shadow_counters (entity text PK, comparisons bigint, shadow_writes bigint, since timestamptz)
+ * - Functions: shadow_bump_counters() / clear_shadow_log() (supabase/migrations/20261019000300_shadow_divergences.sql)
+ * - Version: 1.0.0
+ * - Date: 2026-10-19
+ * - Description: 影子模式 (services/shadow-service.js) 的差異紀錄。計數以 shadow_bump_counters() 累加，
+ *   多個 Node 行程同時寫入不會互相覆蓋。
+ */
+
+const { supabase } = require('../config/supabase');
+
+class ShadowSqlWriter {
+
+    constructor() {
+        this.tableName = 'shadow_divergences';
+        this._seq = 0;
+    }
+
+    /**
+     * @param {Array<Object>} entries - { time, entity, type, key, origin, changes?, error? }
+     */
+    async insertDivergences(entries) {
+        if (!entries || entries.length === 0) return;
+
+        const rows = entries.map(entry => ({
+            id: `SHD${Date.now()}_${process.pid}_${String(++this._seq).padStart(8, '0')}`,
+            entity: entry.entity,
+            type: entry.type,
+            record_key: entry.key || null,
+            origin: entry.origin || null,
+            changes: entry.changes || [],
+            error: entry.error || null,
+            created_at: entry.time
+        }));
+
+        const { error } = await supabase.from(this.tableName).insert(rows);
+        if (error) {
+            throw new Error(`[ShadowSqlWriter] DB Error: ${error.message}`);
+        }
+    }
+
+    /**
+     * @param {string} entity
+     * @param {number} comparisons - 本次累加的比對次數
+     * @param {number} shadowWrites - 本次累加的鏡射寫入次數
+     */
+    async bumpCounters(entity, comparisons, shadowWrites) {
+        const { error } = await supabase.rpc('shadow_bump_counters', {
+            p_entity: entity,
+            p_comparisons: comparisons,
+            p_shadow_writes: shadowWrites
+        });
+        if (error) {
+            throw new Error(`[ShadowSqlWriter] DB Error: ${error.message}`);
+        }
+    }
+
+    /**
+     * 清除全部差異紀錄與計數 (重新起算)
+     */
+    async clear() {
+        const { error } = await supabase.rpc('clear_shadow_log');
+        if (error) {
+            throw new Error(`[ShadowSqlWriter] DB Error: ${error.message}`);
+        }
+    }
+}
+
+module.exports = ShadowSqlWriter;
@@ -5,6 +5,7 @@
  * @date 2026-01-26
  * @reason Temporary Compatibility Adapter for Legacy Modules
  * @description 恢復 getSystemConfig 介面以支援舊模組 (Dashboard, Product)，但內部轉接至 Raw API。
+ * systemConfigRaw / users 快取改走 CacheManager.wrap()。
  */
 
 const BaseReader = require('./base-reader');
@@ -16,14 +17,15 @@ class SystemReader extends BaseReader {
      */
     constructor(sheets, spreadsheetId) {
         super(sheets, spreadsheetId);
+        this._sheetIdCache = {}; // Spreadsheet + Sheet Title -> Sheet ID (不會變動，不需 TTL)
     }
 
     /**
      * 取得全域最後寫入時間戳 (封裝 Cache 存取)
-     * @returns {string|null} ISO String
+     * @returns {number} 最後一次快取失效的時間 (ms)
      */
     getLastWriteTimestamp() {
-        return this.cache._globalLastWrite ? this.cache._globalLastWrite.data : null;
+        return this.cache.lastWriteAt;
     }
 
     /**
@@ -32,27 +34,20 @@ class SystemReader extends BaseReader {
      * @returns {Promise<Array<Array<string>>>} Raw rows
      */
     async getSystemConfigRaw() {
-        const cacheKey = 'systemConfigRaw';
-        const now = Date.now();
-        
-        if (this.cache[cacheKey] && this.cache[cacheKey].data && (now - this.cache[cacheKey].timestamp < this.CACHE_DURATION)) {
-            return this.cache[cacheKey].data;
-        }
-
-        try {
+        const loader = async () => {
             const response = await this.sheets.spreadsheets.values.get({
                 spreadsheetId: this.targetSpreadsheetId, 
                 range: `${this.config.SHEETS.SYSTEM_CONFIG}!A:I`,
             });
-            
-            const rows = response.data.values || [];
-            this.cache[cacheKey] = { data: rows, timestamp: now };
-            return rows;
+            return response.data.values || [];
+        };
 
-        } catch (error) {
-            console.error('❌ [SystemReader] 讀取系統設定失敗:', error);
-            return [];
-        }
+        return this.cache.wrap('systemConfigRaw', loader, {
+            onError: (error) => {
+                console.error('❌ [SystemReader] 讀取系統設定失敗:', error);
+                return [];
+            }
+        });
     }
 
     /**
@@ -117,20 +112,18 @@ class SystemReader extends BaseReader {
     /**
      * [Standard A] 取得使用者名冊
      * 允許 Mapping 產生 rowIndex，但不得包含業務篩選邏輯
+     * @param {Object} [options]
+     * @param {boolean} [options.forceRefresh=false] - 略過快取重新讀取 (不視為寫入，不影響 lastWriteTimestamp)
      */
-    async getUsers() {
-        const cacheKey = 'users';
+    async getUsers(options = {}) {
+        if (options.forceRefresh) this.cache.evict('users');
+
         const range = '使用者名冊!A:D';
         const targetSheetId = this.config.IDS.AUTH || this.targetSpreadsheetId;
-        const now = Date.now();
-        
-        if (this.cache[cacheKey] && this.cache[cacheKey].data && (now - this.cache[cacheKey].timestamp < this.CACHE_DURATION)) {
-            return this.cache[cacheKey].data;
-        }
 
-        console.log(`🔐 [Auth] 讀取使用者名冊 (Sheet ID: ...${targetSheetId.slice(-6)})...`);
+        const loader = async () => {
+            console.log(`🔐 [Auth] 讀取使用者名冊 (Sheet ID: ...${targetSheetId.slice(-6)})...`);
 
-        try {
             const response = await this.sheets.spreadsheets.values.get({
                 spreadsheetId: targetSheetId,
                 range: range,
@@ -153,13 +146,15 @@ class SystemReader extends BaseReader {
                 };
             }).filter(user => user.username && user.passwordHash);
 
-            this.cache[cacheKey] = { data: allUsers, timestamp: now };
             return allUsers;
+        };
 
-        } catch (error) {
-            console.error('❌ [SystemReader] 讀取使用者名冊失敗:', error.message);
-            return [];
-        }
+        return this.cache.wrap('users', loader, {
+            onError: (error) => {
+                console.error('❌ [SystemReader] 讀取使用者名冊失敗:', error.message);
+                return [];
+            }
+        });
     }
 
     /**
@@ -173,7 +168,7 @@ class SystemReader extends BaseReader {
         }
 
         const cacheKey = `sheetId_${targetSpreadsheetId}_${sheetTitle}`;
-        if (this.cache[cacheKey]) return this.cache[cacheKey];
+        if (this._sheetIdCache[cacheKey] !== undefined) return this._sheetIdCache[cacheKey];
 
         try {
             const response = await this.sheets.spreadsheets.get({
@@ -183,7 +178,7 @@ class SystemReader extends BaseReader {
 
             const sheet = response.data.sheets.find(s => s.properties.title === sheetTitle);
             if (sheet) {
-                this.cache[cacheKey] = sheet.properties.sheetId;
+                this._sheetIdCache[cacheKey] = sheet.properties.sheetId;
                 return sheet.properties.sheetId;
             }
             return null;
@@ -7,6 +7,8 @@
  */
 
 const BaseWriter = require('./base-writer');
+const { invalidatesOnWrite } = require('./cache/write-hook');
+const { ENTITY_TAGS } = require('./cache/cache-policy');
 
 class SystemWriter extends BaseWriter {
     /**
@@ -64,6 +66,35 @@ class SystemWriter extends BaseWriter {
         }
     }
 
+    /**
+     * [Standard S] 寫入整列系統設定 (A:I)
+     * 禁止自行 lookup，rowIndex 由外部傳入；未指定 rowIndex 時新增於最後一列
+     * @param {number|null} rowIndex - 1-based 列號
+     * @param {Array<string|number>} row - [類型, 項目, 順序, 啟用, 備註, 顏色, 值2, 值3, 分類]
+     */
+    async writeSystemConfigRow(rowIndex, row) {
+        const sheetName = this.config.SHEETS.SYSTEM_CONFIG;
+        console.log(`⚙️ [SystemWriter] 寫入系統設定 [${row[0]}/${row[1]}] (Row: ${rowIndex || 'append'})`);
+
+        if (!rowIndex) {
+            await this.sheets.spreadsheets.values.append({
+                spreadsheetId: this.targetSpreadsheetId,
+                range: `${sheetName}!A:I`,
+                valueInputOption: 'RAW',
+                resource: { values: [row] }
+            });
+        } else {
+            await this.sheets.spreadsheets.values.update({
+                spreadsheetId: this.targetSpreadsheetId,
+                range: `${sheetName}!A${rowIndex}:I${rowIndex}`,
+                valueInputOption: 'RAW',
+                resource: { values: [row] }
+            });
+        }
+
+        return { success: true };
+    }
+
     /**
      * 更新系統偏好設定
      */
@@ -153,4 +184,11 @@ class SystemWriter extends BaseWriter {
     }
 }
 
-module.exports = SystemWriter;
\ No newline at end of file
+module.exports = invalidatesOnWrite(SystemWriter, {
+    updateSystemConfig: [ENTITY_TAGS.SYSTEM],
+    writeSystemConfigRow: [ENTITY_TAGS.SYSTEM],
+    updateSystemPref: [ENTITY_TAGS.SYSTEM],
+    createUser: [ENTITY_TAGS.USER],
+    updateUserPasswordByRow: [ENTITY_TAGS.USER],
+    deleteUserByRow: [ENTITY_TAGS.USER]
+});
\ No newline at end of file
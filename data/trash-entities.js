@@ -0,0 +1,67 @@
+/**
+ * data/trash-entities.js
+ * 回收桶 (軟刪除) 實體登錄表
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * * 可軟刪除的實體與其 SQL 資料表。所有表皆需有 deleted_at / deleted_by (event_logs_summary 也要，Reader 會一併過濾)，
+ * * 見 supabase/migrations/20261019001000_trash.sql。
+ * * - deleted_at IS NULL：正常資料；非 NULL：位於回收桶，所有 SQL Reader 預設排除。
+ * * - links：永久刪除 (purge) 時一併清除的關聯表資料列。
+ */
+
+const { ENTITY_TAGS } = require('./cache');
+
+const TRASH_ENTITIES = {
+    opportunity: {
+        label: '機會案件',
+        tables: ['opportunities'],
+        idColumn: 'opportunity_id',
+        nameColumn: 'opportunity_name',
+        links: [{ table: 'opportunity_contact_links', column: 'opportunity_id' }],
+        tags: [ENTITY_TAGS.OPPORTUNITY, ENTITY_TAGS.OPP_CONTACT_LINK]
+    },
+    company: {
+        label: '公司',
+        tables: ['companies'],
+        idColumn: 'company_id',
+        nameColumn: 'company_name',
+        links: [],
+        tags: [ENTITY_TAGS.COMPANY]
+    },
+    contact: {
+        label: '聯絡人',
+        tables: ['contacts'],
+        idColumn: 'contact_id',
+        nameColumn: 'name',
+        links: [{ table: 'opportunity_contact_links', column: 'contact_id' }],
+        tags: [ENTITY_TAGS.CONTACT, ENTITY_TAGS.OPP_CONTACT_LINK]
+    },
+    interaction: {
+        label: '互動紀錄',
+        tables: ['interactions'],
+        idColumn: 'interaction_id',
+        nameColumn: 'event_title',
+        links: [],
+        tags: [ENTITY_TAGS.INTERACTION]
+    },
+    event: {
+        label: '事件紀錄',
+        // 與 EventLogSqlWriter 相同的四張分表 (summary 為唯讀舊表，不會被刪除)
+        tables: ['event_logs_general', 'event_logs_iot', 'event_logs_dt', 'event_logs_dx'],
+        idColumn: 'event_id',
+        nameColumn: 'event_name',
+        links: [],
+        tags: [ENTITY_TAGS.EVENT_LOG]
+    }
+};
+
+/**
+ * @param {string} entity - TRASH_ENTITIES 的鍵 (opportunity / company / contact / interaction / event)
+ * @returns {Object|null}
+ */
+function getTrashEntity(entity) {
+    return Object.prototype.hasOwnProperty.call(TRASH_ENTITIES, entity) ? TRASH_ENTITIES[entity] : null;
+}
+
+module.exports = { TRASH_ENTITIES, getTrashEntity };
@@ -0,0 +1,62 @@
+/**
+ * data/trash-read-hook.js
+ * Sheet Reader 共用的回收桶過濾掛勾
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * * 軟刪除只寫入 SQL (deleted_at)，Sheet 上的同一筆資料不會被刪除；直接讀 Sheet 的路徑
+ * * (公司 / 機會詳細頁、SQL 空表時的 fallback、Sheet 模式的事件) 若不過濾，已刪除的資料會重新出現。
+ * * - 每個 Sheet Reader 檔案在 module.exports 前以 excludesTrashed(Class, { method: { entity, idKey } }) 宣告。
+ * * - 回收桶 ID (含已永久刪除的墓碑，見 TrashSqlReader.getDeletedIds) 以 trash:<實體> 快取，
+ * *   標籤與實體相同：刪除 / 還原 / 永久刪除經 Writer 失效時一併清除。
+ * * - 原方法保留為 <method>IncludingTrashed，供永久刪除時定位 Sheet 列使用。
+ * * - 讀取回收桶失敗時不過濾 (記錄警告)，避免 SQL 故障連帶 Sheet 讀取失敗。
+ */
+
+const { getCache } = require('./cache');
+const { getTrashEntity } = require('./trash-entities');
+const TrashSqlReader = require('./trash-sql-reader');
+
+const trashSqlReader = new TrashSqlReader();
+
+async function getTrashedIds(entity) {
+    try {
+        const ids = await getCache().wrap(`trash:${entity}`, () => trashSqlReader.getDeletedIds(entity), {
+            tags: getTrashEntity(entity).tags
+        });
+        return new Set(ids);
+    } catch (error) {
+        console.warn(`[TrashReadHook] 無法讀取回收桶 (${entity})，Sheet 資料不過濾:`, error.message);
+        return new Set();
+    }
+}
+
+/**
+ * @param {Function} ReaderClass
+ * @param {Object<string, {entity: string, idKey: string}>} methodSpecs - 方法名稱 -> 實體 (data/trash-entities.js) 與 DTO 的 ID 欄位
+ * @returns {Function} ReaderClass (原型方法已包裝)
+ */
+function excludesTrashed(ReaderClass, methodSpecs) {
+    Object.entries(methodSpecs).forEach(([name, { entity, idKey }]) => {
+        const original = ReaderClass.prototype[name];
+        if (typeof original !== 'function') {
+            throw new Error(`[TrashReadHook] ${ReaderClass.name}.${name} 不存在`);
+        }
+        if (!getTrashEntity(entity)) {
+            throw new Error(`[TrashReadHook] 未登錄的回收桶實體: ${entity}`);
+        }
+
+        ReaderClass.prototype[`${name}IncludingTrashed`] = original;
+        ReaderClass.prototype[name] = async function (...args) {
+            const result = await original.apply(this, args);
+            if (!Array.isArray(result) || result.length === 0) return result;
+
+            const trashed = await getTrashedIds(entity);
+            if (trashed.size === 0) return result;
+            return result.filter(item => !item || !trashed.has(item[idKey]));
+        };
+    });
+    return ReaderClass;
+}
+
+module.exports = { excludesTrashed };
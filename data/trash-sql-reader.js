@@ -0,0 +1,113 @@
+/**
+ * data/trash-sql-reader.js
+ * [Strict Digital Forensics Mode]
+ * - Type: SQL Reader (Read-Only)
+ * - Target: PostgreSQL (Supabase)
+ * - Tables: data/trash-entities.js 登錄的所有資料表、trash_purges (永久刪除的墓碑)
+ * - Constraints: 只讀取 deleted_at IS NOT NULL 的紀錄 (一般 Reader 的反面)
+ * - DDL: supabase/migrations/20261019001000_trash.sql
+ * - Version: 1.0.0
+ * - Date: 2026-10-19
+ */
+
+const { supabase } = require('../config/supabase');
+const { TRASH_ENTITIES, getTrashEntity } = require('./trash-entities');
+
+class TrashSqlReader {
+
+    /**
+     * 列出回收桶內容 (依刪除時間新到舊)
+     * @param {string} [entity] - 指定實體；未指定時列出全部
+     * @returns {Promise<Array<Object>>} [{ entity, entityLabel, id, name, deletedAt, deletedBy }]
+     */
+    async getDeletedItems(entity) {
+        const keys = entity ? [entity] : Object.keys(TRASH_ENTITIES);
+
+        try {
+            const results = await Promise.all(keys.map(key => this._getDeletedForEntity(key)));
+
+            return results.flat().sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt)));
+
+        } catch (error) {
+            console.error('[TrashSqlReader] getDeletedItems Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 取得單筆回收桶紀錄
+     * @param {string} entity
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    async getDeletedItem(entity, id) {
+        const items = await this._getDeletedForEntity(entity, id);
+        return items[0] || null;
+    }
+
+    /**
+     * 回收桶內與已永久刪除的 ID (供 Sheet Reader 過濾，見 data/trash-read-hook.js)
+     * @param {string} entity
+     * @returns {Promise<string[]>}
+     */
+    async getDeletedIds(entity) {
+        const spec = getTrashEntity(entity);
+        if (!spec) throw new Error(`[TrashSqlReader] Unknown entity: ${entity}`);
+
+        const queries = spec.tables.map(table => supabase
+            .from(table)
+            .select(spec.idColumn)
+            .not('deleted_at', 'is', null)
+            .then(({ data, error }) => {
+                if (error) throw new Error(`[TrashSqlReader] DB Error in ${table}: ${error.message}`);
+                return data.map(row => row[spec.idColumn]);
+            }));
+
+        queries.push(supabase
+            .from('trash_purges')
+            .select('entity_id')
+            .eq('entity', entity)
+            .then(({ data, error }) => {
+                if (error) throw new Error(`[TrashSqlReader] DB Error in trash_purges: ${error.message}`);
+                return data.map(row => row.entity_id);
+            }));
+
+        const ids = (await Promise.all(queries)).flat();
+        return [...new Set(ids)];
+    }
+
+    async _getDeletedForEntity(entity, id) {
+        const spec = getTrashEntity(entity);
+        if (!spec) throw new Error(`[TrashSqlReader] Unknown entity: ${entity}`);
+
+        const results = await Promise.all(spec.tables.map(async (table) => {
+            let query = supabase
+                .from(table)
+                .select('*')
+                .not('deleted_at', 'is', null);
+
+            if (id) query = query.eq(spec.idColumn, id);
+
+            const { data, error } = await query;
+            if (error) {
+                throw new Error(`[TrashSqlReader] DB Error in ${table}: ${error.message}`);
+            }
+            return data.map(row => this._mapRowToDto(entity, spec, row));
+        }));
+
+        return results.flat();
+    }
+
+    _mapRowToDto(entity, spec, row) {
+        return {
+            entity,
+            entityLabel: spec.label,
+            id: row[spec.idColumn],
+            name: row[spec.nameColumn] || '',
+            deletedAt: row.deleted_at,
+            deletedBy: row.deleted_by || ''
+        };
+    }
+}
+
+module.exports = TrashSqlReader;
@@ -0,0 +1,157 @@
+/**
+ * data/trash-sql-writer.js
+ * [Strict Digital Forensics Mode]
+ * - Type: SQL Writer
+ * - Target: PostgreSQL (Supabase)
+ * - Tables: data/trash-entities.js 登錄的所有資料表、trash_purges
+ *   (DDL: supabase/migrations/20261019001000_trash.sql)
+ * - Version: 1.0.0
+ * - Date: 2026-10-19
+ * - Description: 回收桶的還原與永久刪除。軟刪除本身由各實體 Writer 的 delete 方法負責
+ *   (寫入 deleted_at / deleted_by)；這裡只處理 deleted_at IS NOT NULL 的紀錄，
+ *   因此不會誤刪仍在使用中的資料。
+ * - Audit: 注入 AuditSqlWriter 時，還原 / 永久刪除各寫入一筆動作紀錄。
+ */
+
+const { supabase } = require('../config/supabase');
+const { getTrashEntity } = require('./trash-entities');
+const { invalidatesOnWrite } = require('./cache/write-hook');
+
+class TrashSqlWriter {
+
+    /**
+     * @param {AuditSqlWriter} [auditSqlWriter] - 稽核 (未注入時不記錄)
+     */
+    constructor(auditSqlWriter = null) {
+        this.auditSqlWriter = auditSqlWriter;
+    }
+
+    async _audit(entity, id, action, actor) {
+        if (!this.auditSqlWriter) return;
+        await this.auditSqlWriter.record({ entity, entityId: id, action, before: null, after: null, actor });
+    }
+
+    /**
+     * 還原：清除 deleted_at / deleted_by
+     * @returns {Promise<Object>} { success, restored } restored = 0 表示回收桶內找不到
+     */
+    async restore(entity, id, actor) {
+        const spec = this._getSpec(entity);
+        console.log(`♻️ [TrashSqlWriter] Restore: ${entity} ${id}`);
+
+        let restored = 0;
+        for (const table of spec.tables) {
+            const { data, error } = await supabase
+                .from(table)
+                .update({ deleted_at: null, deleted_by: null })
+                .eq(spec.idColumn, id)
+                .not('deleted_at', 'is', null)
+                .select(spec.idColumn);
+
+            if (error) {
+                console.error('[TrashSqlWriter] Restore Error:', error);
+                throw new Error(`DB Restore Error: ${error.message}`);
+            }
+            restored += (data || []).length;
+        }
+
+        if (restored > 0) await this._audit(entity, id, 'restore', actor);
+
+        return { success: true, restored };
+    }
+
+    /**
+     * 永久刪除 (僅限已在回收桶內的紀錄)，並清除關聯表
+     * @returns {Promise<Object>} { success, purged } purged = 0 表示回收桶內找不到
+     */
+    async purge(entity, id, actor) {
+        const spec = this._getSpec(entity);
+        console.log(`🔥 [TrashSqlWriter] Purge: ${entity} ${id}`);
+
+        let purged = 0;
+        for (const table of spec.tables) {
+            const { data, error } = await supabase
+                .from(table)
+                .delete()
+                .eq(spec.idColumn, id)
+                .not('deleted_at', 'is', null)
+                .select(spec.idColumn);
+
+            if (error) {
+                console.error('[TrashSqlWriter] Purge Error:', error);
+                throw new Error(`DB Purge Error: ${error.message}`);
+            }
+            purged += (data || []).length;
+        }
+
+        if (purged === 0) return { success: true, purged };
+
+        for (const link of spec.links) {
+            const { error } = await supabase
+                .from(link.table)
+                .delete()
+                .eq(link.column, id);
+
+            if (error) {
+                console.error('[TrashSqlWriter] Purge Link Error:', error);
+                throw new Error(`DB Purge Error (${link.table}): ${error.message}`);
+            }
+        }
+
+        // 墓碑：Sheet 上的舊副本不會隨 SQL 刪除，Sheet Reader 以此持續排除 (data/trash-read-hook.js)
+        const { error: tombstoneError } = await supabase
+            .from('trash_purges')
+            .upsert([{ entity, entity_id: id, purged_by: actor, purged_at: new Date().toISOString() }], { onConflict: 'entity,entity_id' });
+
+        if (tombstoneError) {
+            console.error('[TrashSqlWriter] Purge Tombstone Error:', tombstoneError);
+            throw new Error(`DB Purge Error (trash_purges): ${tombstoneError.message}`);
+        }
+
+        await this._audit(entity, id, 'purge', actor);
+
+        return { success: true, purged };
+    }
+
+    /**
+     * 移除回收桶內的 SQL 副本 (不寫墓碑、不清關聯表)：Sheet 模式的事件以 Sheet 為準，
+     * 還原時刪除 trashSheetEvent 寫入的副本即可讓 Sheet 列重新出現 (見 services/trash-service.js)
+     * @returns {Promise<Object>} { success, restored }
+     */
+    async discard(entity, id, actor) {
+        const spec = this._getSpec(entity);
+        console.log(`♻️ [TrashSqlWriter] Discard SQL copy: ${entity} ${id}`);
+
+        let restored = 0;
+        for (const table of spec.tables) {
+            const { data, error } = await supabase
+                .from(table)
+                .delete()
+                .eq(spec.idColumn, id)
+                .not('deleted_at', 'is', null)
+                .select(spec.idColumn);
+
+            if (error) {
+                console.error('[TrashSqlWriter] Discard Error:', error);
+                throw new Error(`DB Restore Error: ${error.message}`);
+            }
+            restored += (data || []).length;
+        }
+
+        if (restored > 0) await this._audit(entity, id, 'restore', actor);
+
+        return { success: true, restored };
+    }
+
+    _getSpec(entity) {
+        const spec = getTrashEntity(entity);
+        if (!spec) throw new Error(`[TrashSqlWriter] Unknown entity: ${entity}`);
+        return spec;
+    }
+}
+
+module.exports = invalidatesOnWrite(TrashSqlWriter, {
+    restore: (entity) => getTrashEntity(entity).tags,
+    purge: (entity) => getTrashEntity(entity).tags,
+    discard: (entity) => getTrashEntity(entity).tags
+});
@@ -0,0 +1,98 @@
+/**
+ * data/user-sql-reader.js
+ * [Strict Digital Forensics Mode]
+ * - Type: SQL Reader (Read-Only)
+ * - Target: PostgreSQL (Supabase)
+ * - Table: users
+ * - Constraints: PK username, UNIQUE username_lower (帳號不分大小寫)
+ * - Version: 1.0.0
+ * - Date: 2026-10-19
+ * - Description: DTO 與 SystemReader.getUsers() 相同 (username / passwordHash / displayName / role)，但沒有 rowIndex。
+ */
+
+const { supabase } = require('../config/supabase');
+
+class UserSqlReader {
+
+    constructor() {
+        this.tableName = 'users';
+    }
+
+    /**
+     * Get a user by username (case-insensitive)
+     * @param {string} username
+     * @returns {Promise<Object|null>} User DTO or null
+     */
+    async getUserByUsername(username) {
+        if (!username) throw new Error('UserSqlReader: username is required');
+
+        try {
+            const { data, error } = await supabase
+                .from(this.tableName)
+                .select('*')
+                .eq('username_lower', String(username).trim().toLowerCase())
+                .maybeSingle();
+
+            if (error) {
+                throw new Error(`[UserSqlReader] DB Error: ${error.message}`);
+            }
+
+            return data ? this._mapRowToDto(data) : null;
+
+        } catch (error) {
+            console.error('[UserSqlReader] getUserByUsername Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all users
+     * @returns {Promise<Array<Object>>}
+     */
+    async getUsers() {
+        try {
+            const { data, error } = await supabase
+                .from(this.tableName)
+                .select('*')
+                .order('username', { ascending: true });
+
+            if (error) {
+                throw new Error(`[UserSqlReader] DB Error: ${error.message}`);
+            }
+
+            return data.map(row => this._mapRowToDto(row));
+
+        } catch (error) {
+            console.error('[UserSqlReader] getUsers Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Health check: 僅查詢筆數，不讀取密碼雜湊
+     * @returns {Promise<number>}
+     */
+    async countUsers() {
+        const { count, error } = await supabase
+            .from(this.tableName)
+            .select('username', { count: 'exact', head: true });
+
+        if (error) {
+            throw new Error(`[UserSqlReader] DB Error: ${error.message}`);
+        }
+        return count || 0;
+    }
+
+    _mapRowToDto(row) {
+        return {
+            username: row.username,
+            passwordHash: row.password_hash || '',
+            displayName: row.display_name || '',
+            role: (row.role || 'sales').toLowerCase(),
+            createdTime: row.created_time,
+            updatedTime: row.updated_time
+        };
+    }
+}
+
+module.exports = UserSqlReader;
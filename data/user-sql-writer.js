@@ -0,0 +1,145 @@
+/**
+ * data/user-sql-writer.js
+ * [Strict Digital Forensics Mode]
+ * - Type: SQL Writer
+ * - Target: PostgreSQL (Supabase)
+ * - Table: users
+ * - Version: 1.0.0
+ * - Date: 2026-10-19
+ * - Description: 使用者 CUD，一律以 username 定位 (取代 Sheet 的 rowIndex 寫入)。
+ *   重複帳號由資料庫 UNIQUE (username_lower) 擋下，回傳友善訊息 (supabase/migrations/20261019000500_users.sql)。
+ * - Audit: 注入 AuditSqlWriter 時寫入稽核紀錄 (audit_logs，entity = user)；密碼雜湊只記錄「有變更」，不寫入值。
+ */
+
+const { supabase } = require('../config/supabase');
+const { invalidatesOnWrite } = require('./cache/write-hook');
+const { ENTITY_TAGS } = require('./cache/cache-policy');
+
+class UserSqlWriter {
+
+    /**
+     * @param {AuditSqlWriter} [auditSqlWriter] - Field-level audit (skipped when not injected)
+     */
+    constructor(auditSqlWriter = null) {
+        this.tableName = 'users';
+        this.auditSqlWriter = auditSqlWriter;
+    }
+
+    _normalize(username) {
+        return String(username || '').trim().toLowerCase();
+    }
+
+    /**
+     * Create a new user
+     * @param {Object} userData - { username, passwordHash, displayName, role }
+     * @param {string} [actor] - 稽核紀錄的操作者
+     * @returns {Promise<Object>} { success: true }
+     */
+    async createUser(userData, actor) {
+        const username = String(userData.username || '').trim();
+        if (!username || !userData.passwordHash) {
+            throw new Error('[UserSqlWriter] username 與 passwordHash 為必填');
+        }
+
+        console.log(`👤 [UserSqlWriter] 建立新使用者: ${username}`);
+
+        const now = new Date().toISOString();
+        const row = {
+            username,
+            username_lower: this._normalize(username),
+            password_hash: userData.passwordHash,
+            display_name: userData.displayName || username,
+            role: (userData.role || 'sales').toLowerCase(),
+            created_time: now,
+            updated_time: now
+        };
+        const { error } = await supabase
+            .from(this.tableName)
+            .insert([row]);
+
+        if (error) {
+            if (error.code === '23505') {
+                throw new Error(`使用者帳號已存在: ${username}`);
+            }
+            console.error('[UserSqlWriter] Create Error:', error);
+            throw new Error(`DB Insert Error: ${error.message}`);
+        }
+
+        if (this.auditSqlWriter) {
+            const { password_hash, ...audited } = row;
+            await this.auditSqlWriter.record({ entity: 'user', entityId: row.username_lower, action: 'create', before: null, after: audited, actor });
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * Update password hash by username
+     * @param {string} username
+     * @param {string} newPasswordHash
+     * @param {string} [actor] - 稽核紀錄的操作者
+     * @returns {Promise<Object>} { success: true }
+     */
+    async updatePasswordHash(username, newPasswordHash, actor) {
+        console.log(`🔐 [UserSqlWriter] 更新使用者密碼: ${username}`);
+
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .update({ password_hash: newPasswordHash, updated_time: new Date().toISOString() })
+            .eq('username_lower', this._normalize(username))
+            .select('username');
+
+        if (error) {
+            console.error('[UserSqlWriter] Update Error:', error);
+            throw new Error(`DB Update Error: ${error.message}`);
+        }
+        if (!data || data.length === 0) {
+            throw new Error('找不到該使用者');
+        }
+
+        if (this.auditSqlWriter) {
+            await this.auditSqlWriter.recordField({
+                entity: 'user', entityId: this._normalize(username), action: 'update',
+                field: 'password_hash', oldValue: null, newValue: null, actor
+            });
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * Delete user by username
+     * @param {string} username
+     * @param {string} [actor] - 稽核紀錄的操作者
+     * @returns {Promise<Object>} { success: true }
+     */
+    async deleteUser(username, actor) {
+        console.log(`🗑️ [UserSqlWriter] 刪除使用者: ${username}`);
+
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .delete()
+            .eq('username_lower', this._normalize(username))
+            .select('username');
+
+        if (error) {
+            console.error('[UserSqlWriter] Delete Error:', error);
+            throw new Error(`DB Delete Error: ${error.message}`);
+        }
+        if (!data || data.length === 0) {
+            throw new Error('找不到該使用者');
+        }
+
+        if (this.auditSqlWriter) {
+            await this.auditSqlWriter.record({ entity: 'user', entityId: this._normalize(username), action: 'delete', before: null, after: null, actor });
+        }
+
+        return { success: true };
+    }
+}
+
+module.exports = invalidatesOnWrite(UserSqlWriter, {
+    createUser: [ENTITY_TAGS.USER],
+    updatePasswordHash: [ENTITY_TAGS.USER],
+    deleteUser: [ENTITY_TAGS.USER]
+});
@@ -2,13 +2,31 @@
  * data/weekly-business-sql-writer.js
  * [Phase 7-2] SQL Writer for Weekly Business
  * Purpose: Handle Create/Update/Delete operations directly to SQL.
+ * Audit: 注入 AuditSqlWriter 時，每次寫入逐欄寫入稽核紀錄 (audit_logs，entity = weekly)
  */
 
 const { supabase } = require('../config/supabase');
+const { invalidatesOnWrite } = require('./cache/write-hook');
+const { ENTITY_TAGS } = require('./cache/cache-policy');
 
 class WeeklyBusinessSqlWriter {
-    constructor() {
+    /**
+     * @param {AuditSqlWriter} [auditSqlWriter] - Field-level audit (skipped when not injected)
+     */
+    constructor(auditSqlWriter = null) {
         this.tableName = 'weekly_business_entries';
+        this.auditSqlWriter = auditSqlWriter;
+    }
+
+    async _audit(entry) {
+        if (!this.auditSqlWriter) return;
+        await this.auditSqlWriter.record({ entity: 'weekly', ...entry });
+    }
+
+    async _snapshot(recordId) {
+        return this.auditSqlWriter
+            ? this.auditSqlWriter.snapshot(this.tableName, 'record_id', recordId)
+            : null;
     }
 
     /**
@@ -43,6 +61,8 @@ class WeeklyBusinessSqlWriter {
             throw new Error(`SQL Create Error: ${error.message}`);
         }
 
+        await this._audit({ entityId: recordId, action: 'create', before: null, after: dbPayload, actor: creator });
+
         return { success: true, id: recordId };
     }
 
@@ -67,16 +87,21 @@ class WeeklyBusinessSqlWriter {
         if (data.summary !== undefined) dbPayload.summary_content = data.summary;
         if (data.todo !== undefined) dbPayload.todo_items = data.todo;
 
-        const { error } = await supabase
+        const before = await this._snapshot(recordId);
+
+        const { data: updated, error } = await supabase
             .from(this.tableName)
             .update(dbPayload)
-            .eq('record_id', recordId);
+            .eq('record_id', recordId)
+            .select('record_id');
 
         if (error) {
             console.error('[WeeklySqlWriter] Update Failed:', error);
             throw new Error(`SQL Update Error: ${error.message}`);
         }
 
+        if (updated && updated.length > 0) await this._audit({ entityId: recordId, action: 'update', before, after: dbPayload, actor: modifier });
+
         return { success: true };
     }
 
@@ -84,21 +109,30 @@ class WeeklyBusinessSqlWriter {
      * Delete an entry in SQL
      * [New] Phase 7-2
      */
-    async deleteEntry(recordId) {
+    async deleteEntry(recordId, modifier) {
         console.log(`🗑️ [WeeklySqlWriter] Deleting entry ${recordId} from SQL`);
 
-        const { error } = await supabase
+        const before = await this._snapshot(recordId);
+
+        const { data: deleted, error } = await supabase
             .from(this.tableName)
             .delete()
-            .eq('record_id', recordId);
+            .eq('record_id', recordId)
+            .select('record_id');
 
         if (error) {
             console.error('[WeeklySqlWriter] Delete Failed:', error);
             throw new Error(`SQL Delete Error: ${error.message}`);
         }
 
+        if (deleted && deleted.length > 0) await this._audit({ entityId: recordId, action: 'delete', before, after: null, actor: modifier });
+
         return { success: true };
     }
 }
 
-module.exports = WeeklyBusinessSqlWriter;
\ No newline at end of file
+module.exports = invalidatesOnWrite(WeeklyBusinessSqlWriter, {
+    createEntry: [ENTITY_TAGS.WEEKLY],
+    updateEntry: [ENTITY_TAGS.WEEKLY],
+    deleteEntry: [ENTITY_TAGS.WEEKLY]
+});
\ No newline at end of file
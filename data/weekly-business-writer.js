@@ -12,6 +12,8 @@
  */
 
 const BaseWriter = require('./base-writer');
+const { invalidatesOnWrite } = require('./cache/write-hook');
+const { ENTITY_TAGS } = require('./cache/cache-policy');
 
 class WeeklyBusinessWriter extends BaseWriter {
     /**
@@ -35,7 +37,8 @@ class WeeklyBusinessWriter extends BaseWriter {
         console.log(`📅 [WeeklyWriter] 建立新紀錄: ${data.theme} by ${creator}`);
 
         const now = new Date().toISOString();
-        const recordId = `WK${Date.now()}`;
+        // 影子模式下沿用 SQL 端產生的 recordId
+        const recordId = data.recordId || `WK${Date.now()}`;
 
         // 欄位順序: 日期, WeekID, 分類, 主題, 參與人員, 重點摘要, 待辦事項, CreateTime, LastUpdateTime, Creator, RecordID
         const newRow = [
@@ -151,4 +154,8 @@ class WeeklyBusinessWriter extends BaseWriter {
     }
 }
 
-module.exports = WeeklyBusinessWriter;
\ No newline at end of file
+module.exports = invalidatesOnWrite(WeeklyBusinessWriter, {
+    createEntry: [ENTITY_TAGS.WEEKLY],
+    updateEntryRow: [ENTITY_TAGS.WEEKLY],
+    deleteEntryRow: [ENTITY_TAGS.WEEKLY]
+});
\ No newline at end of file
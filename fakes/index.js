@@ -0,0 +1,82 @@
+/**
+ * fakes/index.js
+ * 記憶體後端 (BACKEND_MODE=MEMORY) 組裝入口
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * * 1. 讀取 fixtures/*.json 種子資料，建立 Sheets / Calendar / Drive / Supabase 四個記憶體實作。
+ * * 2. 種子檔以「邏輯名稱」描述 (Sheets: CORE/RAW/SYSTEM/AUTH/PRODUCT；Calendar: TEAM/PERSONAL)，
+ * *    載入時依 config.IDS / CALENDAR_ID 轉換為實際 ID，因此 .env 是否設定 ID 都能運作。
+ * * 3. 全程序共用同一組實例 (Singleton)，config/supabase.js 與 MemoryClientService 取得的是同一份資料；
+ * *    測試可呼叫 resetMemoryBackends() 還原為種子狀態。
+ * * 4. Supabase rpc() 對應的 Postgres Functions 定義於 memory-rpc.js。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+const { MemorySheets } = require('./memory-sheets');
+const { MemoryCalendar } = require('./memory-calendar');
+const { MemoryDrive } = require('./memory-drive');
+const { MemorySupabase } = require('./memory-supabase');
+const { registerMemoryRpcs } = require('./memory-rpc');
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, 'fixtures');
+
+let backends = null;
+
+function loadFixture(name) {
+    const dir = config.MEMORY_BACKEND.FIXTURE_DIR || DEFAULT_FIXTURE_DIR;
+    const file = path.join(dir, `${name}.json`);
+    if (!fs.existsSync(file)) return {};
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * 將 { CORE: {...}, RAW: {...} } 轉為 { [spreadsheetId]: {...} }
+ * 若多個邏輯名稱指向同一份試算表 (例如 RAW 未設定時沿用 CORE)，則合併其工作表。
+ */
+function resolveSheetSeed(raw) {
+    const seed = {};
+    Object.entries(raw).forEach(([logicalName, sheets]) => {
+        const spreadsheetId = config.IDS[logicalName] || logicalName;
+        seed[spreadsheetId] = { ...(seed[spreadsheetId] || {}), ...sheets };
+    });
+    return seed;
+}
+
+function resolveCalendarSeed(raw) {
+    const aliases = {
+        TEAM: config.CALENDAR_ID || 'primary',
+        PERSONAL: config.PERSONAL_CALENDAR_ID
+    };
+    const seed = {};
+    Object.entries(raw).forEach(([name, def]) => {
+        const calendarId = aliases[name] || name;
+        seed[calendarId] = def;
+    });
+    return seed;
+}
+
+function getMemoryBackends() {
+    if (backends) return backends;
+
+    backends = {
+        sheets: new MemorySheets(resolveSheetSeed(loadFixture('sheets'))),
+        calendar: new MemoryCalendar(resolveCalendarSeed(loadFixture('calendar'))),
+        drive: new MemoryDrive(loadFixture('drive')),
+        supabase: registerMemoryRpcs(new MemorySupabase(loadFixture('supabase')))
+    };
+
+    console.log('🧪 [MemoryBackend] 已載入記憶體後端種子資料');
+    return backends;
+}
+
+function resetMemoryBackends() {
+    const instance = getMemoryBackends();
+    Object.values(instance).forEach(backend => backend.reset());
+    return instance;
+}
+
+module.exports = { getMemoryBackends, resetMemoryBackends };
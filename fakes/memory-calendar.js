@@ -0,0 +1,151 @@
+/**
+ * fakes/memory-calendar.js
+ * Google Calendar API 記憶體實作 (In-Memory Backend)
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * * 1. 模擬 calendar.events.* (list / get / insert / patch / update / delete) 與 calendarList.list。
+ * * 2. list 依 timeMin/timeMax 過濾並依開始時間排序，回傳格式同 Google ({ data: { items } })。
+ * * 3. 未在種子資料出現的 calendarId 視為空日曆 (例如假日日曆)，不拋錯。
+ */
+
+function apiError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = code;
+    return error;
+}
+
+function eventStart(event) {
+    const start = event.start || {};
+    return new Date(start.dateTime || start.date || 0).getTime();
+}
+
+function eventEnd(event) {
+    const end = event.end || event.start || {};
+    return new Date(end.dateTime || end.date || 0).getTime();
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+class MemoryCalendar {
+    /**
+     * @param {Object} seed - { [calendarId]: { summary?: string, items: Array<Object> } }
+     */
+    constructor(seed = {}) {
+        this.seed = seed;
+        this.reset();
+
+        this.events = {
+            list: (params) => this._list(params),
+            get: (params) => this._get(params),
+            insert: (params) => this._insert(params),
+            patch: (params) => this._patch(params),
+            update: (params) => this._patch(params, true),
+            delete: (params) => this._delete(params)
+        };
+
+        this.calendarList = {
+            list: (params) => this._calendarList(params)
+        };
+    }
+
+    reset() {
+        this.calendars = new Map();
+        this._seq = 1;
+        Object.entries(this.seed).forEach(([calendarId, def]) => {
+            const calendar = this._ensure(calendarId);
+            calendar.summary = (def && def.summary) || calendarId;
+            calendar.items = ((def && def.items) || []).map(item => clone(item));
+        });
+    }
+
+    _ensure(calendarId) {
+        if (!this.calendars.has(calendarId)) {
+            this.calendars.set(calendarId, { summary: calendarId, items: [] });
+        }
+        return this.calendars.get(calendarId);
+    }
+
+    _body(params) {
+        return params.resource || params.requestBody || {};
+    }
+
+    _find(calendarId, eventId) {
+        const calendar = this._ensure(calendarId);
+        const index = calendar.items.findIndex(e => e.id === eventId);
+        if (index === -1) throw apiError(404, `Not Found (eventId: ${eventId})`);
+        return { calendar, index };
+    }
+
+    async _list({ calendarId = 'primary', timeMin, timeMax, q, maxResults }) {
+        const calendar = this._ensure(calendarId);
+        const min = timeMin ? new Date(timeMin).getTime() : -Infinity;
+        const max = timeMax ? new Date(timeMax).getTime() : Infinity;
+
+        let items = calendar.items
+            .filter(e => e.status !== 'cancelled')
+            .filter(e => eventEnd(e) > min && eventStart(e) < max);
+
+        if (q) {
+            const keyword = String(q).toLowerCase();
+            items = items.filter(e => `${e.summary || ''} ${e.description || ''}`.toLowerCase().includes(keyword));
+        }
+
+        items.sort((a, b) => eventStart(a) - eventStart(b));
+        if (maxResults) items = items.slice(0, maxResults);
+
+        return { data: { kind: 'calendar#events', summary: calendar.summary, items: items.map(clone) } };
+    }
+
+    async _get({ calendarId = 'primary', eventId }) {
+        const { calendar, index } = this._find(calendarId, eventId);
+        return { data: clone(calendar.items[index]) };
+    }
+
+    async _insert(params) {
+        const calendarId = params.calendarId || 'primary';
+        const calendar = this._ensure(calendarId);
+        const now = new Date().toISOString();
+        const event = {
+            ...clone(this._body(params)),
+            id: `mem_evt_${Date.now().toString(36)}_${this._seq++}`,
+            status: 'confirmed',
+            created: now,
+            updated: now,
+            htmlLink: `https://calendar.google.com/calendar/event?eid=memory`
+        };
+        calendar.items.push(event);
+        return { data: clone(event) };
+    }
+
+    async _patch(params, replace = false) {
+        const calendarId = params.calendarId || 'primary';
+        const { calendar, index } = this._find(calendarId, params.eventId);
+        const current = calendar.items[index];
+        const next = replace
+            ? { ...clone(this._body(params)), id: current.id, created: current.created }
+            : { ...current, ...clone(this._body(params)) };
+        next.updated = new Date().toISOString();
+        calendar.items[index] = next;
+        return { data: clone(next) };
+    }
+
+    async _delete({ calendarId = 'primary', eventId }) {
+        const { calendar, index } = this._find(calendarId, eventId);
+        calendar.items.splice(index, 1);
+        return { data: '' };
+    }
+
+    async _calendarList() {
+        return {
+            data: {
+                items: Array.from(this.calendars.entries()).map(([id, c]) => ({ id, summary: c.summary }))
+            }
+        };
+    }
+}
+
+module.exports = { MemoryCalendar };
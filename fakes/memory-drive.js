@@ -0,0 +1,117 @@
+/**
+ * fakes/memory-drive.js
+ * Google Drive API 記憶體實作 (In-Memory Backend)
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * * 1. 模擬 drive.files.* (get / list / create / delete) 與 about.get。
+ * * 2. files.get 帶 alt: 'media' + responseType: 'stream' 時回傳 Readable Stream 與 content-type 標頭，
+ * *    與 ExternalService.getDriveFileStream 期望的形狀一致。
+ * * 3. 種子檔案內容以 base64 (contentBase64) 或純文字 (content) 提供。
+ */
+
+const { Readable } = require('stream');
+
+function apiError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = code;
+    return error;
+}
+
+class MemoryDrive {
+    /**
+     * @param {Object} seed - { files: Array<{ id, name, mimeType, parents?, content?, contentBase64? }> }
+     */
+    constructor(seed = {}) {
+        this.seed = seed;
+        this.reset();
+
+        this.files = {
+            get: (params, options) => this._get(params, options),
+            list: (params) => this._list(params),
+            create: (params) => this._create(params),
+            delete: (params) => this._delete(params)
+        };
+
+        this.about = {
+            get: async () => ({ data: { user: { displayName: 'Memory Backend', emailAddress: 'memory@localhost' } } })
+        };
+    }
+
+    reset() {
+        this.store = new Map();
+        this._seq = 1;
+        (this.seed.files || []).forEach(file => {
+            const buffer = file.contentBase64
+                ? Buffer.from(file.contentBase64, 'base64')
+                : Buffer.from(file.content || '', 'utf8');
+            this.store.set(file.id, {
+                id: file.id,
+                name: file.name || file.id,
+                mimeType: file.mimeType || 'application/octet-stream',
+                parents: file.parents || [],
+                buffer
+            });
+        });
+    }
+
+    _meta(file) {
+        return { id: file.id, name: file.name, mimeType: file.mimeType, parents: file.parents, size: String(file.buffer.length) };
+    }
+
+    async _get({ fileId, alt }, options = {}) {
+        const file = this.store.get(fileId);
+        if (!file) throw apiError(404, `File not found: ${fileId}.`);
+
+        if (alt !== 'media') return { data: this._meta(file) };
+
+        const headers = {
+            'content-type': file.mimeType,
+            'content-length': String(file.buffer.length)
+        };
+        const data = options.responseType === 'stream' ? Readable.from([file.buffer]) : file.buffer;
+        return { data, headers };
+    }
+
+    async _list({ q } = {}) {
+        let files = Array.from(this.store.values());
+        // 僅支援最常用的 "'<folderId>' in parents" 查詢
+        const parentMatch = q && /'([^']+)' in parents/.exec(q);
+        if (parentMatch) files = files.filter(f => f.parents.includes(parentMatch[1]));
+        return { data: { files: files.map(f => this._meta(f)) } };
+    }
+
+    async _create(params) {
+        const resource = params.resource || params.requestBody || {};
+        const media = params.media || {};
+        let buffer = Buffer.alloc(0);
+
+        if (Buffer.isBuffer(media.body)) {
+            buffer = media.body;
+        } else if (typeof media.body === 'string') {
+            buffer = Buffer.from(media.body, 'utf8');
+        } else if (media.body && typeof media.body[Symbol.asyncIterator] === 'function') {
+            const chunks = [];
+            for await (const chunk of media.body) chunks.push(Buffer.from(chunk));
+            buffer = Buffer.concat(chunks);
+        }
+
+        const file = {
+            id: `mem_file_${Date.now().toString(36)}_${this._seq++}`,
+            name: resource.name || 'untitled',
+            mimeType: resource.mimeType || media.mimeType || 'application/octet-stream',
+            parents: resource.parents || [],
+            buffer
+        };
+        this.store.set(file.id, file);
+        return { data: { ...this._meta(file), webViewLink: `https://drive.google.com/file/d/${file.id}/view` } };
+    }
+
+    async _delete({ fileId }) {
+        if (!this.store.delete(fileId)) throw apiError(404, `File not found: ${fileId}.`);
+        return { data: '' };
+    }
+}
+
+module.exports = { MemoryDrive };
@@ -0,0 +1,369 @@
+/**
+ * fakes/memory-rpc.js
+ * 記憶體版 Postgres Functions
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * * 對應正式資料庫中由 SQL Writer 透過 supabase.rpc() 呼叫的函式 (定義見 supabase/migrations/)。
+ * * 交易語意由 MemorySupabase.rpc() 提供 (handler 拋錯即還原所有資料表)，
+ * * 這裡只需依序執行與正式函式相同的寫入步驟。
+ */
+
+async function run(builder) {
+    const { data, error } = await builder;
+    if (error) {
+        const err = new Error(error.message);
+        err.code = error.code;
+        throw err;
+    }
+    return data;
+}
+
+/**
+ * upsert_products(p_products jsonb, p_modifier text)
+ * 見 data/product-sql-writer.js；正式函式：supabase/migrations/20261019000400_product_prices.sql
+ */
+async function upsertProducts({ p_products: items = [], p_modifier: modifier }, db) {
+    const now = new Date().toISOString();
+
+    for (const item of items) {
+        if (!item.product_id) throw new Error('product_id is required');
+
+        const existing = await run(db.from('products').select('*').eq('product_id', item.product_id).maybeSingle());
+        const productRow = {
+            ...(existing || { product_id: item.product_id, creator: modifier, create_time: now }),
+            ...item.product,
+            last_modifier: modifier,
+            last_update_time: now
+        };
+        await run(db.from('products').upsert([productRow], { onConflict: 'product_id' }));
+
+        if (item.prices) {
+            Object.entries(item.prices).forEach(([column, value]) => {
+                if (value !== null && typeof value !== 'number') {
+                    throw Object.assign(new Error(`invalid input syntax for type numeric: "${value}" (${column})`), { code: '22P02' });
+                }
+            });
+
+            const existingPrice = await run(db.from('product_prices').select('*').eq('product_id', item.product_id).maybeSingle());
+            await run(db.from('product_prices').upsert([{
+                ...(existingPrice || { product_id: item.product_id }),
+                ...item.prices,
+                updated_by: modifier,
+                updated_time: now
+            }], { onConflict: 'product_id' }));
+        }
+    }
+
+    return items.length;
+}
+
+/**
+ * move_event_log(p_event_id text, p_from_table text, p_to_table text, p_row jsonb)
+ * 見 data/event-log-sql-writer.js；正式函式：supabase/migrations/20261019000600_move_event_log.sql
+ */
+async function moveEventLog({ p_event_id: eventId, p_from_table: fromTable, p_to_table: toTable, p_row: row }, db) {
+    await run(db.from(toTable).insert([{ ...row, event_id: eventId }]));
+
+    const deleted = await run(db.from(fromTable).delete().eq('event_id', eventId).select('event_id'));
+    if (!deleted || deleted.length !== 1) {
+        throw new Error(`event ${eventId} not found in ${fromTable}`);
+    }
+    return eventId;
+}
+
+/**
+ * merge_companies / undo_company_merge 會改寫 company_id 的資料表 (見 data/company-merge-sql-writer.js)
+ * opportunities 另外回填舊資料 (company_id 為空、customer_company 為被合併公司的完整名稱)
+ */
+const COMPANY_REFERENCE_TABLES = [
+    { table: 'contacts', idColumn: 'contact_id' },
+    { table: 'opportunities', idColumn: 'opportunity_id' },
+    { table: 'interactions', idColumn: 'interaction_id' },
+    { table: 'event_logs_general', idColumn: 'event_id' },
+    { table: 'event_logs_iot', idColumn: 'event_id' },
+    { table: 'event_logs_dt', idColumn: 'event_id' },
+    { table: 'event_logs_dx', idColumn: 'event_id' }
+];
+
+/**
+ * merge_companies(p_merge_id text, p_survivor_id text, p_merged_id text, p_actor text) returns jsonb
+ * 見 data/company-merge-sql-writer.js；正式函式：supabase/migrations/20261019001500_company_merge.sql
+ */
+async function mergeCompanies({ p_merge_id: mergeId, p_survivor_id: survivorId, p_merged_id: mergedId, p_actor: actor }, db) {
+    const now = new Date().toISOString();
+    const survivor = await run(db.from('companies').select('*').eq('company_id', survivorId).is('deleted_at', null).maybeSingle());
+    const merged = await run(db.from('companies').select('*').eq('company_id', mergedId).is('deleted_at', null).maybeSingle());
+    if (!survivor) throw new Error(`company ${survivorId} not found`);
+    if (!merged) throw new Error(`company ${mergedId} not found`);
+
+    const moved = {};
+    for (const { table, idColumn } of COMPANY_REFERENCE_TABLES) {
+        const isOpportunity = table === 'opportunities';
+        let rows = await run(db.from(table).select('*').eq('company_id', mergedId));
+        if (isOpportunity) {
+            const legacy = await run(db.from(table).select('*').is('company_id', null).eq('customer_company', merged.company_name));
+            rows = rows.concat(legacy);
+        }
+        if (rows.length === 0) continue;
+
+        moved[table] = rows.map(row => ({
+            id: row[idColumn],
+            company_id: row.company_id || null,
+            ...(isOpportunity ? { customer_company: row.customer_company } : {})
+        }));
+
+        const patch = isOpportunity
+            ? { company_id: survivorId, customer_company: survivor.company_name }
+            : { company_id: survivorId };
+        await run(db.from(table).update(patch).in(idColumn, moved[table].map(item => item.id)));
+    }
+
+    await run(db.from('companies')
+        .update({ deleted_at: now, deleted_by: actor, merged_into: survivorId })
+        .eq('company_id', mergedId));
+
+    const [record] = await run(db.from('company_merges').insert([{
+        merge_id: mergeId,
+        survivor_id: survivorId,
+        survivor_name: survivor.company_name,
+        merged_id: mergedId,
+        merged_name: merged.company_name,
+        merged_company: merged,
+        moved,
+        sheet_events: [],
+        merged_by: actor,
+        merged_at: now,
+        undone_by: null,
+        undone_at: null
+    }]).select('*'));
+    return record;
+}
+
+/**
+ * undo_company_merge(p_merge_id text, p_actor text) returns jsonb
+ * 只還原「仍指向存續公司」的資料列；合併後又被改到其他公司的不動，計入 skipped
+ */
+async function undoCompanyMerge({ p_merge_id: mergeId, p_actor: actor }, db) {
+    const record = await run(db.from('company_merges').select('*').eq('merge_id', mergeId).maybeSingle());
+    if (!record) throw new Error(`merge ${mergeId} not found`);
+    if (record.undone_at) throw new Error(`merge ${mergeId} already undone`);
+
+    const merged = await run(db.from('companies').select('*').eq('company_id', record.merged_id).maybeSingle());
+    if (!merged) throw new Error(`company ${record.merged_id} has been purged`);
+
+    let restored = 0;
+    let skipped = 0;
+    for (const { table, idColumn } of COMPANY_REFERENCE_TABLES) {
+        for (const item of (record.moved || {})[table] || []) {
+            const patch = { company_id: item.company_id };
+            if (table === 'opportunities') patch.customer_company = item.customer_company;
+
+            const rows = await run(db.from(table)
+                .update(patch)
+                .eq(idColumn, item.id)
+                .eq('company_id', record.survivor_id)
+                .select(idColumn));
+            if (rows.length > 0) restored++;
+            else skipped++;
+        }
+    }
+
+    await run(db.from('companies')
+        .update({ deleted_at: null, deleted_by: null, merged_into: null })
+        .eq('company_id', record.merged_id));
+
+    const [updated] = await run(db.from('company_merges')
+        .update({ undone_by: actor, undone_at: new Date().toISOString() })
+        .eq('merge_id', mergeId)
+        .select('*'));
+    return { ...updated, restored, skipped };
+}
+
+/**
+ * merge_contacts(p_merge_id text, p_survivor_type text, p_survivor_id text, p_merged_contact_ids text[],
+ *                p_merged_cards jsonb, p_card_images jsonb, p_actor text) returns jsonb
+ * 見 data/contact-merge-sql-writer.js；正式函式：supabase/migrations/20261019001600_contact_merge.sql
+ */
+async function mergeContacts({
+    p_merge_id: mergeId, p_survivor_type: survivorType, p_survivor_id: survivorId,
+    p_merged_contact_ids: contactIds = [], p_merged_cards: cards = [], p_card_images: cardImages = [], p_actor: actor
+}, db) {
+    const now = new Date().toISOString();
+    if (contactIds.length > 0 && survivorType !== 'official') {
+        throw new Error('official contacts can only be merged into an official contact');
+    }
+    if (survivorType === 'official') {
+        const survivor = await run(db.from('contacts').select('contact_id').eq('contact_id', survivorId).is('deleted_at', null).maybeSingle());
+        if (!survivor) throw new Error(`contact ${survivorId} not found`);
+    }
+
+    const mergedContacts = [];
+    let linksMoved = 0;
+    let linksDeduped = 0;
+    for (const contactId of contactIds) {
+        const contact = await run(db.from('contacts').select('*').eq('contact_id', contactId).is('deleted_at', null).maybeSingle());
+        if (!contact) throw new Error(`contact ${contactId} not found`);
+        mergedContacts.push(contact);
+
+        const links = await run(db.from('opportunity_contact_links').select('*').eq('contact_id', contactId));
+        for (const link of links) {
+            const existing = await run(db.from('opportunity_contact_links').select('*')
+                .eq('opportunity_id', link.opportunity_id).eq('contact_id', survivorId).maybeSingle());
+            if (existing) {
+                if (existing.link_status !== 'active' && link.link_status === 'active') {
+                    await run(db.from('opportunity_contact_links')
+                        .update({ link_status: 'active', updated_time: now, updated_by: actor })
+                        .eq('opportunity_id', link.opportunity_id).eq('contact_id', survivorId));
+                }
+                linksDeduped++;
+            } else {
+                await run(db.from('opportunity_contact_links').insert([{ ...link, contact_id: survivorId, updated_time: now, updated_by: actor }]));
+                linksMoved++;
+            }
+            await run(db.from('opportunity_contact_links').delete()
+                .eq('opportunity_id', link.opportunity_id).eq('contact_id', contactId));
+        }
+    }
+
+    if (contactIds.length > 0) {
+        await run(db.from('contacts')
+            .update({ deleted_at: now, deleted_by: actor, merged_into: survivorId })
+            .in('contact_id', contactIds));
+    }
+
+    const [record] = await run(db.from('contact_merges').insert([{
+        merge_id: mergeId,
+        survivor_type: survivorType,
+        survivor_id: survivorId,
+        merged_contacts: mergedContacts,
+        merged_cards: cards,
+        card_images: cardImages,
+        links_moved: linksMoved,
+        links_deduped: linksDeduped,
+        merged_by: actor,
+        merged_at: now
+    }]).select('*'));
+    return record;
+}
+
+/**
+ * company_last_activity(p_company_ids text[]) returns table (company_id text, last_activity timestamptz)
+ * 見 data/company-sql-reader.js；正式函式：supabase/migrations/20261019001200_list_joins.sql
+ */
+async function companyLastActivity({ p_company_ids: companyIds = [] }, db) {
+    const sources = [
+        { table: 'interactions', column: 'interaction_time' },
+        ...['event_logs_general', 'event_logs_iot', 'event_logs_dt', 'event_logs_dx'].map(table => ({ table, column: 'created_time' }))
+    ];
+
+    const latest = new Map();
+    for (const { table, column } of sources) {
+        const rows = await run(db.from(table).select(`company_id, ${column}`).in('company_id', companyIds).is('deleted_at', null));
+        rows.forEach(row => {
+            const ts = new Date(row[column]).getTime();
+            if (!row[column] || isNaN(ts)) return;
+            if (ts > (latest.get(row.company_id) || 0)) latest.set(row.company_id, ts);
+        });
+    }
+    return Array.from(latest, ([companyId, ts]) => ({ company_id: companyId, last_activity: new Date(ts).toISOString() }));
+}
+
+/**
+ * company_opportunity_count(p_company_ids text[]) returns table (company_id text, opportunity_count bigint)
+ * 見 data/opportunity-sql-reader.js；正式函式：supabase/migrations/20261019001200_list_joins.sql
+ */
+async function companyOpportunityCount({ p_company_ids: companyIds = [] }, db) {
+    const rows = await run(db.from('opportunities').select('company_id').in('company_id', companyIds).is('deleted_at', null));
+    const counts = new Map();
+    rows.forEach(row => counts.set(row.company_id, (counts.get(row.company_id) || 0) + 1));
+    return Array.from(counts, ([companyId, count]) => ({ company_id: companyId, opportunity_count: count }));
+}
+
+/**
+ * opportunity_last_interaction(p_opportunity_ids text[]) returns table (opportunity_id text, last_interaction timestamptz)
+ * 見 data/opportunity-sql-reader.js；正式函式：supabase/migrations/20261019001200_list_joins.sql
+ */
+async function opportunityLastInteraction({ p_opportunity_ids: opportunityIds = [] }, db) {
+    const rows = await run(db.from('interactions').select('opportunity_id, interaction_time').in('opportunity_id', opportunityIds).is('deleted_at', null));
+    const latest = new Map();
+    rows.forEach(row => {
+        const ts = new Date(row.interaction_time).getTime();
+        if (!row.interaction_time || isNaN(ts)) return;
+        if (ts > (latest.get(row.opportunity_id) || 0)) latest.set(row.opportunity_id, ts);
+    });
+    return Array.from(latest, ([opportunityId, ts]) => ({ opportunity_id: opportunityId, last_interaction: new Date(ts).toISOString() }));
+}
+
+/**
+ * shadow_bump_counters(p_entity text, p_comparisons bigint, p_shadow_writes bigint)
+ * 見 services/shadow-service.js；正式函式：supabase/migrations/20261019000300_shadow_divergences.sql
+ */
+async function shadowBumpCounters({ p_entity: entity, p_comparisons: comparisons = 0, p_shadow_writes: shadowWrites = 0 }, db) {
+    const now = new Date().toISOString();
+    const existing = await run(db.from('shadow_counters').select('*').eq('entity', entity).maybeSingle());
+    const row = existing
+        ? { ...existing, comparisons: existing.comparisons + comparisons, shadow_writes: existing.shadow_writes + shadowWrites, updated_at: now }
+        : { entity, comparisons, shadow_writes: shadowWrites, since: now, updated_at: now };
+    await run(db.from('shadow_counters').upsert([row], { onConflict: 'entity' }));
+}
+
+/**
+ * shadow_divergence_summary() returns table (entity text, type text, field text, divergences bigint, last_divergence_at timestamptz)
+ * 見 services/shadow-service.js；正式函式：supabase/migrations/20261019000300_shadow_divergences.sql
+ */
+async function shadowDivergenceSummary(params, db) {
+    const rows = await run(db.from('shadow_divergences').select('*'));
+    const groups = new Map();
+    const add = (entity, type, field, createdAt) => {
+        const key = JSON.stringify([entity, type, field]);
+        const group = groups.get(key) || { entity, type, field, divergences: 0, last_divergence_at: null };
+        group.divergences++;
+        if (!group.last_divergence_at || createdAt > group.last_divergence_at) group.last_divergence_at = createdAt;
+        groups.set(key, group);
+    };
+    rows.forEach(row => {
+        add(row.entity, row.type, null, row.created_at);
+        (row.changes || []).forEach(change => add(row.entity, null, change.field, row.created_at));
+    });
+    return Array.from(groups.values());
+}
+
+/**
+ * shadow_divergence_entries(p_entity text, p_type text, p_field text, p_limit integer) returns setof shadow_divergences
+ * 見 services/shadow-service.js；正式函式：supabase/migrations/20261019000300_shadow_divergences.sql
+ */
+async function shadowDivergenceEntries({ p_entity: entity, p_type: type, p_field: field, p_limit: limit }, db) {
+    let query = db.from('shadow_divergences').select('*');
+    if (entity) query = query.eq('entity', entity);
+    if (type) query = query.eq('type', type);
+    const rows = await run(query.order('created_at', { ascending: false }).order('id', { ascending: false }));
+    return rows.filter(row => !field || (row.changes || []).some(c => c.field === field)).slice(0, limit);
+}
+
+/**
+ * clear_shadow_log()
+ * 見 services/shadow-service.js；正式函式：supabase/migrations/20261019000300_shadow_divergences.sql
+ */
+async function clearShadowLog(params, db) {
+    await run(db.from('shadow_divergences').delete().neq('id', ''));
+    await run(db.from('shadow_counters').delete().neq('entity', ''));
+}
+
+function registerMemoryRpcs(supabase) {
+    supabase.registerRpc('upsert_products', upsertProducts);
+    supabase.registerRpc('move_event_log', moveEventLog);
+    supabase.registerRpc('merge_companies', mergeCompanies);
+    supabase.registerRpc('undo_company_merge', undoCompanyMerge);
+    supabase.registerRpc('merge_contacts', mergeContacts);
+    supabase.registerRpc('company_last_activity', companyLastActivity);
+    supabase.registerRpc('company_opportunity_count', companyOpportunityCount);
+    supabase.registerRpc('opportunity_last_interaction', opportunityLastInteraction);
+    supabase.registerRpc('shadow_bump_counters', shadowBumpCounters);
+    supabase.registerRpc('shadow_divergence_summary', shadowDivergenceSummary);
+    supabase.registerRpc('shadow_divergence_entries', shadowDivergenceEntries);
+    supabase.registerRpc('clear_shadow_log', clearShadowLog);
+    return supabase;
+}
+
+module.exports = { registerMemoryRpcs };
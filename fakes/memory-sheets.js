@@ -0,0 +1,331 @@
+/**
+ * fakes/memory-sheets.js
+ * Google Sheets API 記憶體實作 (In-Memory Backend)
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * * 1. 模擬 sheets.spreadsheets.values.* (get / batchGet / append / update / batchUpdate / clear)。
+ * * 2. 模擬 spreadsheets.get (工作表屬性) 與 spreadsheets.batchUpdate (deleteDimension / addSheet)。
+ * * 3. 行為比照 Google 回傳格式：值一律為字串、尾端空白列/欄會被裁掉、不存在的工作表回傳 400 'Unable to parse range'。
+ */
+
+// ==================== A1 範圍解析 ====================
+
+function columnToIndex(letters) {
+    let index = 0;
+    for (const ch of letters.toUpperCase()) {
+        index = index * 26 + (ch.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+function indexToColumn(index) {
+    let letters = '';
+    let n = index + 1;
+    while (n > 0) {
+        const rem = (n - 1) % 26;
+        letters = String.fromCharCode(65 + rem) + letters;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letters;
+}
+
+function parseCell(ref) {
+    const match = /^([A-Za-z]*)(\d*)$/.exec(ref);
+    if (!match) return null;
+    return {
+        col: match[1] ? columnToIndex(match[1]) : null,
+        row: match[2] ? parseInt(match[2], 10) - 1 : null
+    };
+}
+
+/**
+ * 解析 A1 表示法，例如 `'機會案件工作表'!A2:V2`、`使用者名冊!A:D`、`佈告欄`
+ * @returns {{sheetName: string, startRow: number, endRow: number|null, startCol: number, endCol: number|null}}
+ */
+function parseRange(range) {
+    const text = String(range || '');
+    const bang = text.lastIndexOf('!');
+    let sheetName = bang === -1 ? text : text.slice(0, bang);
+    const cells = bang === -1 ? '' : text.slice(bang + 1);
+
+    if (sheetName.startsWith("'") && sheetName.endsWith("'")) {
+        sheetName = sheetName.slice(1, -1).replace(/''/g, "'");
+    }
+
+    const result = { sheetName, startRow: 0, endRow: null, startCol: 0, endCol: null };
+    if (!cells) return result;
+
+    const [startRef, endRef] = cells.split(':');
+    const start = parseCell(startRef);
+    const end = endRef !== undefined ? parseCell(endRef) : start;
+    if (!start || !end) return null;
+
+    result.startRow = start.row !== null ? start.row : 0;
+    result.startCol = start.col !== null ? start.col : 0;
+    result.endRow = end.row;
+    result.endCol = end.col;
+    return result;
+}
+
+// ==================== 錯誤格式 ====================
+
+function apiError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = code;
+    return error;
+}
+
+function toCellValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    return String(value);
+}
+
+function trimRow(row) {
+    let end = row.length;
+    while (end > 0 && (row[end - 1] === '' || row[end - 1] === undefined)) end--;
+    return row.slice(0, end).map(v => (v === undefined ? '' : v));
+}
+
+// ==================== 主體 ====================
+
+class MemorySheets {
+    /**
+     * @param {Object} seed - { [spreadsheetId]: { [sheetName]: Array<Array<any>> } }
+     */
+    constructor(seed = {}) {
+        this.seed = seed;
+        this.reset();
+
+        const values = {
+            get: (params) => this._valuesGet(params),
+            batchGet: (params) => this._valuesBatchGet(params),
+            append: (params) => this._valuesAppend(params),
+            update: (params) => this._valuesUpdate(params),
+            batchUpdate: (params) => this._valuesBatchUpdate(params),
+            clear: (params) => this._valuesClear(params)
+        };
+
+        this.spreadsheets = {
+            values,
+            get: (params) => this._spreadsheetGet(params),
+            batchUpdate: (params) => this._spreadsheetBatchUpdate(params)
+        };
+    }
+
+    /**
+     * 還原為初始種子資料 (測試之間隔離用)
+     */
+    reset() {
+        this.books = new Map();
+        this._nextSheetId = 1000;
+
+        Object.entries(this.seed).forEach(([spreadsheetId, sheets]) => {
+            Object.entries(sheets || {}).forEach(([sheetName, rows]) => {
+                const sheet = this._ensureSheet(spreadsheetId, sheetName);
+                sheet.rows = (rows || []).map(row => row.map(toCellValue));
+            });
+        });
+    }
+
+    /**
+     * 取得工作表內容快照 (供測試斷言使用)
+     */
+    dump(spreadsheetId, sheetName) {
+        const sheet = this._getSheet(spreadsheetId, sheetName, false);
+        return sheet ? sheet.rows.map(row => row.slice()) : null;
+    }
+
+    _ensureSheet(spreadsheetId, sheetName) {
+        if (!this.books.has(spreadsheetId)) this.books.set(spreadsheetId, new Map());
+        const book = this.books.get(spreadsheetId);
+        if (!book.has(sheetName)) {
+            book.set(sheetName, { sheetId: this._nextSheetId++, title: sheetName, rows: [] });
+        }
+        return book.get(sheetName);
+    }
+
+    _getSheet(spreadsheetId, sheetName, strict = true) {
+        const book = this.books.get(spreadsheetId);
+        if (!book) {
+            if (!strict) return null;
+            throw apiError(404, `Requested entity was not found. (spreadsheetId: ${spreadsheetId})`);
+        }
+        const sheet = book.get(sheetName);
+        if (!sheet && strict) {
+            throw apiError(400, `Unable to parse range: ${sheetName}`);
+        }
+        return sheet || null;
+    }
+
+    _resolve(spreadsheetId, range) {
+        const parsed = parseRange(range);
+        if (!parsed) throw apiError(400, `Unable to parse range: ${range}`);
+        const sheet = this._getSheet(spreadsheetId, parsed.sheetName);
+        return { sheet, parsed };
+    }
+
+    _readRange(sheet, parsed) {
+        const lastRow = parsed.endRow !== null ? Math.min(parsed.endRow, sheet.rows.length - 1) : sheet.rows.length - 1;
+        const rows = [];
+        for (let r = parsed.startRow; r <= lastRow; r++) {
+            const source = sheet.rows[r] || [];
+            const endCol = parsed.endCol !== null ? parsed.endCol + 1 : source.length;
+            rows.push(trimRow(source.slice(parsed.startCol, endCol)));
+        }
+        while (rows.length > 0 && rows[rows.length - 1].length === 0) rows.pop();
+        return rows;
+    }
+
+    _writeRange(sheet, startRow, startCol, values) {
+        (values || []).forEach((rowValues, i) => {
+            const r = startRow + i;
+            while (sheet.rows.length <= r) sheet.rows.push([]);
+            const row = sheet.rows[r];
+            rowValues.forEach((value, j) => {
+                const c = startCol + j;
+                while (row.length < c) row.push('');
+                row[c] = toCellValue(value);
+            });
+        });
+    }
+
+    _body(params) {
+        return params.resource || params.requestBody || {};
+    }
+
+    async _valuesGet({ spreadsheetId, range }) {
+        const { sheet, parsed } = this._resolve(spreadsheetId, range);
+        const values = this._readRange(sheet, parsed);
+        const data = { range, majorDimension: 'ROWS' };
+        if (values.length > 0) data.values = values;
+        return { data };
+    }
+
+    async _valuesBatchGet({ spreadsheetId, ranges = [] }) {
+        const valueRanges = [];
+        for (const range of ranges) {
+            const { data } = await this._valuesGet({ spreadsheetId, range });
+            valueRanges.push(data);
+        }
+        return { data: { spreadsheetId, valueRanges } };
+    }
+
+    async _valuesAppend(params) {
+        const { spreadsheetId, range } = params;
+        const { sheet, parsed } = this._resolve(spreadsheetId, range);
+        const values = this._body(params).values || [];
+
+        // 與 Google 相同：尋找表格最後一列有資料的位置，接在其後
+        let lastDataRow = sheet.rows.length - 1;
+        while (lastDataRow >= 0 && trimRow(sheet.rows[lastDataRow] || []).length === 0) lastDataRow--;
+        const startRow = Math.max(lastDataRow + 1, parsed.startRow);
+
+        this._writeRange(sheet, startRow, parsed.startCol, values);
+
+        const endCol = parsed.startCol + Math.max(0, ...values.map(v => v.length)) - 1;
+        const updatedRange = `${sheet.title}!${indexToColumn(parsed.startCol)}${startRow + 1}:${indexToColumn(Math.max(endCol, parsed.startCol))}${startRow + values.length}`;
+
+        return {
+            data: {
+                spreadsheetId,
+                tableRange: `${sheet.title}!A1:${indexToColumn(Math.max(endCol, 0))}${startRow}`,
+                updates: {
+                    spreadsheetId,
+                    updatedRange,
+                    updatedRows: values.length,
+                    updatedCells: values.reduce((sum, v) => sum + v.length, 0)
+                }
+            }
+        };
+    }
+
+    async _valuesUpdate(params) {
+        const { spreadsheetId, range } = params;
+        const { sheet, parsed } = this._resolve(spreadsheetId, range);
+        const values = this._body(params).values || [];
+        this._writeRange(sheet, parsed.startRow, parsed.startCol, values);
+        return {
+            data: {
+                spreadsheetId,
+                updatedRange: range,
+                updatedRows: values.length,
+                updatedCells: values.reduce((sum, v) => sum + v.length, 0)
+            }
+        };
+    }
+
+    async _valuesBatchUpdate(params) {
+        const { spreadsheetId } = params;
+        const data = this._body(params).data || [];
+        const responses = [];
+        for (const item of data) {
+            const res = await this._valuesUpdate({ spreadsheetId, range: item.range, resource: { values: item.values } });
+            responses.push(res.data);
+        }
+        return {
+            data: {
+                spreadsheetId,
+                totalUpdatedRows: responses.reduce((sum, r) => sum + r.updatedRows, 0),
+                responses
+            }
+        };
+    }
+
+    async _valuesClear({ spreadsheetId, range }) {
+        const { sheet, parsed } = this._resolve(spreadsheetId, range);
+        const lastRow = parsed.endRow !== null ? parsed.endRow : sheet.rows.length - 1;
+        for (let r = parsed.startRow; r <= lastRow && r < sheet.rows.length; r++) {
+            const row = sheet.rows[r];
+            const endCol = parsed.endCol !== null ? parsed.endCol : row.length - 1;
+            for (let c = parsed.startCol; c <= endCol && c < row.length; c++) row[c] = '';
+        }
+        return { data: { spreadsheetId, clearedRange: range } };
+    }
+
+    async _spreadsheetGet({ spreadsheetId }) {
+        const book = this.books.get(spreadsheetId);
+        if (!book) throw apiError(404, `Requested entity was not found. (spreadsheetId: ${spreadsheetId})`);
+        return {
+            data: {
+                spreadsheetId,
+                sheets: Array.from(book.values()).map(sheet => ({
+                    properties: { sheetId: sheet.sheetId, title: sheet.title }
+                }))
+            }
+        };
+    }
+
+    async _spreadsheetBatchUpdate(params) {
+        const { spreadsheetId } = params;
+        const book = this.books.get(spreadsheetId);
+        if (!book) throw apiError(404, `Requested entity was not found. (spreadsheetId: ${spreadsheetId})`);
+
+        const replies = [];
+        (this._body(params).requests || []).forEach(request => {
+            if (request.deleteDimension) {
+                const { sheetId, dimension, startIndex, endIndex } = request.deleteDimension.range;
+                const sheet = Array.from(book.values()).find(s => s.sheetId === sheetId);
+                if (!sheet) throw apiError(400, `No grid with id: ${sheetId}`);
+                if (dimension === 'ROWS') {
+                    sheet.rows.splice(startIndex, endIndex - startIndex);
+                } else {
+                    sheet.rows.forEach(row => row.splice(startIndex, endIndex - startIndex));
+                }
+                replies.push({});
+            } else if (request.addSheet) {
+                const sheet = this._ensureSheet(spreadsheetId, request.addSheet.properties.title);
+                replies.push({ addSheet: { properties: { sheetId: sheet.sheetId, title: sheet.title } } });
+            } else {
+                // 格式設定類請求 (repeatCell 等) 對記憶體資料無影響，直接略過
+                replies.push({});
+            }
+        });
+
+        return { data: { spreadsheetId, replies } };
+    }
+}
+
+module.exports = { MemorySheets, parseRange, columnToIndex, indexToColumn };
@@ -0,0 +1,503 @@
+/**
+ * fakes/memory-supabase.js
+ * Supabase (PostgREST) Client 記憶體實作 (In-Memory Backend)
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * * 1. 模擬 supabase.from(table) 查詢建構器：select / insert / update / upsert / delete，
+ * *    篩選 eq / neq / gt / gte / lt / lte / in / is / like / ilike / match / not / or，
+ * *    以及 order / range / limit / single / maybeSingle。
+ * * 2. 回傳格式同 supabase-js v2：{ data, error, count, status }；錯誤不拋出，而是放在 error 欄位。
+ * * 3. 依種子資料的 primaryKeys / uniqueKeys 檢查重複 (23505)，single() 查無資料時回傳 PGRST116。
+ * * 4. rpc(name, params) 呼叫透過 registerRpc 註冊的記憶體函式，用於模擬 Postgres Function。
+ * * 5. or() 支援巢狀 and(...) 與雙引號包住的值；order() 支援 nullsFirst (供 keyset 分頁使用)。
+ */
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function pgError(code, message, details = null) {
+    return { code, message, details, hint: null };
+}
+
+// ==================== 值比較 ====================
+
+function isNil(value) {
+    return value === null || value === undefined;
+}
+
+function compare(a, b) {
+    if (isNil(a) && isNil(b)) return 0;
+    if (isNil(a)) return 1;
+    if (isNil(b)) return -1;
+
+    const numA = Number(a);
+    const numB = Number(b);
+    if (typeof a !== 'boolean' && typeof b !== 'boolean' && a !== '' && b !== '' && !isNaN(numA) && !isNaN(numB)) {
+        return numA - numB;
+    }
+
+    const timeA = Date.parse(a);
+    const timeB = Date.parse(b);
+    if (typeof a === 'string' && typeof b === 'string' && /^\d{4}-\d{2}-\d{2}/.test(a) && /^\d{4}-\d{2}-\d{2}/.test(b) && !isNaN(timeA) && !isNaN(timeB)) {
+        return timeA - timeB;
+    }
+
+    return String(a).localeCompare(String(b));
+}
+
+function isEqual(a, b) {
+    if (isNil(a) || isNil(b)) return isNil(a) && isNil(b);
+    if (typeof a === 'boolean' || typeof b === 'boolean') return String(a) === String(b);
+    return compare(a, b) === 0;
+}
+
+function likeToRegExp(pattern, flags) {
+    const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/%/g, '.*').replace(/_/g, '.')}$`, flags);
+}
+
+const OPERATORS = {
+    eq: (v, arg) => isEqual(v, arg),
+    neq: (v, arg) => !isEqual(v, arg),
+    gt: (v, arg) => !isNil(v) && compare(v, arg) > 0,
+    gte: (v, arg) => !isNil(v) && compare(v, arg) >= 0,
+    lt: (v, arg) => !isNil(v) && compare(v, arg) < 0,
+    lte: (v, arg) => !isNil(v) && compare(v, arg) <= 0,
+    in: (v, arg) => (arg || []).some(item => isEqual(v, item)),
+    is: (v, arg) => (arg === null ? isNil(v) : v === arg),
+    like: (v, arg) => !isNil(v) && likeToRegExp(arg, '').test(String(v)),
+    ilike: (v, arg) => !isNil(v) && likeToRegExp(arg, 'i').test(String(v))
+};
+
+/**
+ * 解析 PostgREST 字串語法的參數 (用於 or() / not())
+ */
+function unquote(raw) {
+    const text = String(raw);
+    if (text.length >= 2 && text.startsWith('"') && text.endsWith('"')) {
+        return text.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+    return text;
+}
+
+function parseFilterArg(op, raw) {
+    if (op === 'in') {
+        return String(raw).replace(/^\(|\)$/g, '').split(',').map(s => s.trim().replace(/^"|"$/g, ''));
+    }
+    if (op === 'is') {
+        if (raw === 'null') return null;
+        if (raw === 'true') return true;
+        if (raw === 'false') return false;
+    }
+    return unquote(raw);
+}
+
+function splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let quoted = false;
+    let escaped = false;
+    let current = '';
+    for (const ch of text) {
+        if (quoted) {
+            current += ch;
+            if (escaped) escaped = false;
+            else if (ch === '\\') escaped = true;
+            else if (ch === '"') quoted = false;
+            continue;
+        }
+        if (ch === '"') quoted = true;
+        if (ch === '(') depth++;
+        if (ch === ')') depth--;
+        if (ch === ',' && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    if (current) parts.push(current);
+    return parts.map(s => s.trim()).filter(Boolean);
+}
+
+function parseCondition(part) {
+    const group = part.match(/^(and|or)\((.*)\)$/);
+    if (group) {
+        const predicates = splitTopLevel(group[2]).map(parseCondition);
+        return group[1] === 'and'
+            ? row => predicates.every(p => p(row))
+            : row => predicates.some(p => p(row));
+    }
+
+    const [column, op, ...rest] = part.split('.');
+    if (!OPERATORS[op]) throw new Error(`Unsupported operator in or(): ${op}`);
+    const arg = parseFilterArg(op, rest.join('.'));
+    return row => OPERATORS[op](row[column], arg);
+}
+
+function parseOrExpression(expression) {
+    return splitTopLevel(expression).map(parseCondition);
+}
+
+// ==================== 查詢建構器 ====================
+
+class MemoryQueryBuilder {
+    constructor(client, table) {
+        this.client = client;
+        this.table = table;
+        this.action = 'select';
+        this.columns = '*';
+        this.returning = false;
+        this.payload = null;
+        this.options = {};
+        this.filters = [];
+        this.orders = [];
+        this.rangeFrom = null;
+        this.rangeTo = null;
+        this.limitCount = null;
+        this.singleMode = null;
+        this.countMode = null;
+        this.headOnly = false;
+    }
+
+    // --- 動作 ---
+
+    select(columns = '*', options = {}) {
+        if (this.action === 'select') {
+            this.columns = columns;
+            this.countMode = options.count || null;
+            this.headOnly = !!options.head;
+        } else {
+            this.returning = true;
+            this.columns = columns;
+        }
+        return this;
+    }
+
+    insert(values, options = {}) {
+        this.action = 'insert';
+        this.payload = Array.isArray(values) ? values : [values];
+        this.options = options;
+        return this;
+    }
+
+    upsert(values, options = {}) {
+        this.action = 'upsert';
+        this.payload = Array.isArray(values) ? values : [values];
+        this.options = options;
+        return this;
+    }
+
+    update(values, options = {}) {
+        this.action = 'update';
+        this.payload = values;
+        this.options = options;
+        return this;
+    }
+
+    delete(options = {}) {
+        this.action = 'delete';
+        this.options = options;
+        return this;
+    }
+
+    // --- 篩選 ---
+
+    _filter(column, op, arg) {
+        this.filters.push(row => OPERATORS[op](row[column], arg));
+        return this;
+    }
+
+    eq(column, value) { return this._filter(column, 'eq', value); }
+    neq(column, value) { return this._filter(column, 'neq', value); }
+    gt(column, value) { return this._filter(column, 'gt', value); }
+    gte(column, value) { return this._filter(column, 'gte', value); }
+    lt(column, value) { return this._filter(column, 'lt', value); }
+    lte(column, value) { return this._filter(column, 'lte', value); }
+    in(column, values) { return this._filter(column, 'in', values); }
+    is(column, value) { return this._filter(column, 'is', value); }
+    like(column, pattern) { return this._filter(column, 'like', pattern); }
+    ilike(column, pattern) { return this._filter(column, 'ilike', pattern); }
+
+    match(query) {
+        Object.entries(query || {}).forEach(([column, value]) => this.eq(column, value));
+        return this;
+    }
+
+    not(column, op, value) {
+        const arg = typeof value === 'string' ? parseFilterArg(op, value) : value;
+        this.filters.push(row => !OPERATORS[op](row[column], arg));
+        return this;
+    }
+
+    or(expression) {
+        const predicates = parseOrExpression(expression);
+        this.filters.push(row => predicates.some(p => p(row)));
+        return this;
+    }
+
+    filter(column, op, value) {
+        return this._filter(column, op, parseFilterArg(op, value));
+    }
+
+    // --- 修飾 ---
+
+    order(column, { ascending = true, nullsFirst = !ascending } = {}) {
+        this.orders.push({ column, ascending, nullsFirst });
+        return this;
+    }
+
+    range(from, to) {
+        this.rangeFrom = from;
+        this.rangeTo = to;
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = count;
+        return this;
+    }
+
+    single() {
+        this.singleMode = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.singleMode = 'maybe';
+        return this;
+    }
+
+    // --- 執行 (Thenable) ---
+
+    then(onFulfilled, onRejected) {
+        let result;
+        try {
+            result = this._execute();
+        } catch (error) {
+            result = { data: null, error: pgError('MEMORY', error.message), count: null, status: 400, statusText: 'Bad Request' };
+        }
+        return Promise.resolve(result).then(onFulfilled, onRejected);
+    }
+
+    catch(onRejected) {
+        return this.then(undefined, onRejected);
+    }
+
+    _matches(row) {
+        return this.filters.every(predicate => predicate(row));
+    }
+
+    _project(row) {
+        if (!this.columns || this.columns.trim() === '*') return clone(row);
+        const result = {};
+        splitTopLevel(this.columns).forEach(token => {
+            if (token === '*') {
+                Object.assign(result, clone(row));
+                return;
+            }
+            if (token.includes('(')) return; // 關聯嵌入 (foreign table) 不支援，略過
+            const [alias, column] = token.includes(':') ? token.split(':') : [token, token];
+            result[alias.trim()] = clone(row[column.trim()]);
+        });
+        return result;
+    }
+
+    _finish(rows, status, count = null) {
+        let data = rows.map(row => this._project(row));
+
+        if (this.singleMode) {
+            if (data.length === 1) return { data: data[0], error: null, count, status, statusText: 'OK' };
+            if (data.length === 0 && this.singleMode === 'maybe') return { data: null, error: null, count, status, statusText: 'OK' };
+            return {
+                data: null,
+                error: pgError('PGRST116', 'JSON object requested, multiple (or no) rows returned', `The result contains ${data.length} rows`),
+                count,
+                status: 406,
+                statusText: 'Not Acceptable'
+            };
+        }
+
+        if (this.headOnly) data = null;
+        return { data, error: null, count, status, statusText: 'OK' };
+    }
+
+    _execute() {
+        const rows = this.client._table(this.table);
+
+        switch (this.action) {
+            case 'select': {
+                let result = rows.filter(row => this._matches(row));
+
+                if (this.orders.length > 0) {
+                    result = result.slice().sort((a, b) => {
+                        for (const { column, ascending, nullsFirst } of this.orders) {
+                            const nilA = isNil(a[column]);
+                            const nilB = isNil(b[column]);
+                            if (nilA !== nilB) return (nilA === nullsFirst) ? -1 : 1;
+                            const diff = compare(a[column], b[column]);
+                            if (diff !== 0) return ascending ? diff : -diff;
+                        }
+                        return 0;
+                    });
+                }
+
+                const count = this.countMode ? result.length : null;
+                if (this.rangeFrom !== null) result = result.slice(this.rangeFrom, this.rangeTo + 1);
+                if (this.limitCount !== null) result = result.slice(0, this.limitCount);
+
+                return this._finish(result, 200, count);
+            }
+
+            case 'insert': {
+                const inserted = [];
+                for (const value of this.payload) {
+                    const row = clone(value);
+                    const conflict = this.client._findConflict(this.table, row);
+                    if (conflict) {
+                        return { data: null, error: conflict, count: null, status: 409, statusText: 'Conflict' };
+                    }
+                    rows.push(row);
+                    inserted.push(row);
+                }
+                return this.returning ? this._finish(inserted, 201) : { data: null, error: null, count: null, status: 201, statusText: 'Created' };
+            }
+
+            case 'upsert': {
+                const conflictColumns = this.options.onConflict
+                    ? this.options.onConflict.split(',').map(s => s.trim()).filter(Boolean)
+                    : this.client._primaryKey(this.table);
+
+                if (!conflictColumns || conflictColumns.length === 0) {
+                    return { data: null, error: pgError('42P10', `there is no unique or exclusion constraint matching the ON CONFLICT specification (${this.table})`), count: null, status: 400, statusText: 'Bad Request' };
+                }
+
+                const written = [];
+                for (const value of this.payload) {
+                    const row = clone(value);
+                    const existing = rows.find(r => conflictColumns.every(c => isEqual(r[c], row[c])));
+                    if (existing) {
+                        if (!this.options.ignoreDuplicates) Object.assign(existing, row);
+                        written.push(existing);
+                    } else {
+                        rows.push(row);
+                        written.push(row);
+                    }
+                }
+                return this.returning ? this._finish(written, 201) : { data: null, error: null, count: null, status: 201, statusText: 'Created' };
+            }
+
+            case 'update': {
+                const targets = rows.filter(row => this._matches(row));
+                const patch = clone(this.payload) || {};
+                for (const row of targets) {
+                    const next = { ...row, ...patch };
+                    const conflict = this.client._findConflict(this.table, next, row);
+                    if (conflict) {
+                        return { data: null, error: conflict, count: null, status: 409, statusText: 'Conflict' };
+                    }
+                }
+                targets.forEach(row => Object.assign(row, patch));
+                return this.returning ? this._finish(targets, 200) : { data: null, error: null, count: null, status: 204, statusText: 'No Content' };
+            }
+
+            case 'delete': {
+                const removed = [];
+                for (let i = rows.length - 1; i >= 0; i--) {
+                    if (this._matches(rows[i])) removed.unshift(...rows.splice(i, 1));
+                }
+                return this.returning ? this._finish(removed, 200) : { data: null, error: null, count: null, status: 204, statusText: 'No Content' };
+            }
+
+            default:
+                throw new Error(`Unknown action: ${this.action}`);
+        }
+    }
+}
+
+// ==================== Client ====================
+
+class MemorySupabase {
+    /**
+     * @param {Object} seed - { tables: { [name]: Array<Object> }, primaryKeys?: { [name]: string[] }, uniqueKeys?: { [name]: string[][] } }
+     */
+    constructor(seed = {}) {
+        this.seed = seed;
+        this.primaryKeys = seed.primaryKeys || {};
+        this.uniqueKeys = seed.uniqueKeys || {};
+        this.rpcHandlers = {};
+        this.reset();
+    }
+
+    reset() {
+        this.tables = new Map();
+        Object.entries(this.seed.tables || {}).forEach(([name, rows]) => {
+            this.tables.set(name, clone(rows || []));
+        });
+    }
+
+    from(table) {
+        return new MemoryQueryBuilder(this, table);
+    }
+
+    /**
+     * 註冊記憶體版 Postgres Function，handler(params, client) 可回傳值或拋錯
+     */
+    registerRpc(name, handler) {
+        this.rpcHandlers[name] = handler;
+    }
+
+    async rpc(name, params = {}) {
+        const handler = this.rpcHandlers[name];
+        if (!handler) {
+            return { data: null, error: pgError('PGRST202', `Could not find the function public.${name} in the schema cache`), status: 404 };
+        }
+
+        // 模擬交易：失敗時還原所有資料表
+        const snapshot = new Map(Array.from(this.tables.entries()).map(([k, v]) => [k, clone(v)]));
+        try {
+            const data = await handler(params, this);
+            return { data: data === undefined ? null : data, error: null, status: 200 };
+        } catch (error) {
+            this.tables = snapshot;
+            return { data: null, error: pgError(error.code || 'P0001', error.message), status: 400 };
+        }
+    }
+
+    /**
+     * 取得資料表快照 (供測試斷言使用)
+     */
+    dump(table) {
+        return clone(this._table(table));
+    }
+
+    _table(name) {
+        if (!this.tables.has(name)) this.tables.set(name, []);
+        return this.tables.get(name);
+    }
+
+    _primaryKey(table) {
+        return this.primaryKeys[table] || null;
+    }
+
+    _findConflict(table, row, self = null) {
+        const constraints = [];
+        if (this.primaryKeys[table]) constraints.push(this.primaryKeys[table]);
+        (this.uniqueKeys[table] || []).forEach(cols => constraints.push(cols));
+
+        for (const columns of constraints) {
+            if (columns.some(c => isNil(row[c]))) continue;
+            const duplicate = this._table(table).find(r => r !== self && columns.every(c => isEqual(r[c], row[c])));
+            if (duplicate) {
+                const key = columns.join(', ');
+                const value = columns.map(c => row[c]).join(', ');
+                return pgError('23505', `duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"`, `Key (${key})=(${value}) already exists.`);
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = { MemorySupabase, MemoryQueryBuilder };
@@ -0,0 +1,27 @@
+// middleware/custom-field.middleware.js
+
+/**
+ * 自訂欄位讀取過濾中間件 (規則見 services/custom-field-service.js redactPayload)
+ * - 掛在 routes/index.js 的登入保護區：所有 JSON 回應 (列表、詳細資料、搜尋、稽核紀錄) 送出前
+ *   移除登入者角色看不到的自訂欄位值，各 Controller 不需個別處理。
+ * - 過濾失敗時不送出原始資料，改回 500。
+ */
+exports.redactCustomFields = (req, res, next) => {
+    const services = req.app.get('services');
+    if (!services || !services.customFieldService) return next();
+
+    const send = res.json.bind(res);
+    res.json = (body) => {
+        const role = req.user ? req.user.role : undefined;
+        services.customFieldService.redactPayload(body, role)
+            .then(redacted => send(redacted))
+            .catch(error => {
+                console.error('[CustomField] 回應過濾失敗:', error);
+                if (res.headersSent) return;
+                res.status(500);
+                send({ success: false, error: '伺服器內部錯誤，請稍後再試或聯絡管理員。' });
+            });
+        return res;
+    };
+    next();
+};
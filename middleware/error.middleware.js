@@ -1,11 +1,38 @@
 // middleware/error.middleware.js
+const { isConflict } = require('../utils/concurrency');
+const { isBlocked } = require('../utils/stage-gate');
+const { isBusinessError } = require('../utils/business-error');
 
 // 統一的 API 錯誤處理函式
 exports.handleApiError = (res, error, context = 'API') => {
     console.error(`⚠ ${context} 執行錯誤:`, error.message);
-    // 檢查是否為我們自訂的業務邏輯錯誤
-    if (error.message.startsWith('無法刪除：') || error.message.startsWith('無法建檔：')) {
-         return res.status(400).json({ success: false, error: error.message, details: error.message });
+    // 業務邏輯錯誤 (utils/business-error.js)：依錯誤上的 status 回應，不再比對訊息開頭
+    if (isBusinessError(error)) {
+        return res.status(error.status || 400).json({ success: false, error: error.message, details: error.message });
+    }
+
+    // 樂觀鎖版本衝突：回傳伺服器端最新資料，讓前端提供合併 / 重新載入
+    if (isConflict(error)) {
+        return res.status(409).json({
+            success: false,
+            error: error.message,
+            code: error.code,
+            expectedVersion: error.expectedVersion,
+            current: error.current
+        });
+    }
+
+    // 階段關卡：回傳未符合的項目，讓前端列出待辦清單
+    if (isBlocked(error)) {
+        return res.status(422).json({
+            success: false,
+            error: error.message,
+            details: error.message,
+            code: error.code,
+            opportunityId: error.opportunityId,
+            stage: error.stage,
+            unmet: error.unmet
+        });
     }
 
     // 其他所有錯誤均回傳 500
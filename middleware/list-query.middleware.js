@@ -0,0 +1,31 @@
+// middleware/list-query.middleware.js
+const config = require('../config');
+const listQuery = require('../utils/list-query');
+const { getListSpec } = require('../data/list-specs');
+
+/**
+ * 列表查詢語法解析中間件 (語法見 utils/list-query.js)
+ * - 請求帶有 filter / sort / limit / cursor 任一參數時，解析結果放在 req.listQuery；
+ *   否則 req.listQuery = null，Controller 維持舊版的 q / page / fetchAll 行為與回應格式。
+ * - 語法錯誤直接回 400，不進入 Controller。
+ * @param {string} resource - data/list-specs.js 的鍵 (例如 'opportunity')
+ */
+exports.parseListQuery = (resource) => {
+    const spec = getListSpec(resource);
+    if (!spec) throw new Error(`[ListQuery] Unknown resource: ${resource}`);
+
+    const { LIST_DEFAULT_LIMIT, LIST_MAX_LIMIT } = config.PAGINATION;
+
+    return (req, res, next) => {
+        req.listQuery = null;
+        if (!listQuery.isRequested(req.query)) return next();
+
+        try {
+            req.listQuery = listQuery.parse(req.query, spec, { defaultLimit: LIST_DEFAULT_LIMIT, maxLimit: LIST_MAX_LIMIT });
+            next();
+        } catch (error) {
+            if (!listQuery.isListQueryError(error)) return next(error);
+            return res.status(400).json({ success: false, error: error.message, code: error.code });
+        }
+    };
+};
@@ -0,0 +1,91 @@
+// middleware/validation.middleware.js
+const requestValidator = require('../utils/request-validator');
+const { REQUEST_SCHEMAS, getRequestSchema } = require('../data/request-schemas');
+
+/**
+ * 請求資料驗證中間件 (規則見 data/request-schemas.js)
+ * - 驗證失敗直接回 400，不進入 Controller：
+ *   { success: false, error, details, code: 'VALIDATION_FAILED', fields: [{ field, label, message }] }
+ * - 建立 (POST) 檢查必填欄位；更新 (PUT) 以 { partial: true } 只檢查有帶入的欄位。
+ * @param {string} name - data/request-schemas.js 的鍵 (例如 'opportunity')
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false]
+ */
+exports.validateBody = (name, { partial = false } = {}) => {
+    const schema = getRequestSchema(name);
+    if (!schema) throw new Error(`[Validation] Unknown schema: ${name}`);
+
+    return (req, res, next) => {
+        const errors = requestValidator.validate(schema, req.body, { partial, schemas: REQUEST_SCHEMAS });
+        if (errors.length === 0) return next();
+
+        const message = `資料驗證失敗：${requestValidator.summarize(errors)}`;
+        return res.status(400).json({ success: false, error: message, details: message, code: 'VALIDATION_FAILED', fields: errors });
+    };
+};
+
+/**
+ * 自訂欄位驗證中間件 (欄位定義見 services/custom-field-service.js)
+ * - 依登入者角色檢查 req.body.customFields，通過後以正規化的值取代 (空白 -> null 表示清除)。
+ * - 失敗時回應格式與 validateBody 相同；未帶 customFields 時直接通過。
+ * @param {string} entity - opportunity / company / contact
+ */
+exports.validateCustomFields = (entity) => {
+    return async (req, res, next) => {
+        const services = req.app.get('services');
+        if (!req.body || req.body.customFields === undefined || !services || !services.customFieldService) return next();
+
+        try {
+            const role = req.user ? req.user.role : undefined;
+            const { values, errors } = await services.customFieldService.prepareValues(entity, req.body.customFields, { role });
+            if (errors.length === 0) {
+                req.body.customFields = values;
+                return next();
+            }
+
+            const message = `資料驗證失敗：${requestValidator.summarize(errors)}`;
+            return res.status(400).json({ success: false, error: message, details: message, code: 'VALIDATION_FAILED', fields: errors });
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+/**
+ * 事件範本驗證中間件 (範本定義見 services/event-template-service.js)
+ * - 事件類型取 req.body.eventType；未帶入時 (更新) 以事件目前的類型檢查。
+ * - 通過後專屬欄以正規化的值寫回 req.body，其餘範本欄位移入 req.body.details (Writer 合併寫入)。
+ * - 建立時停用或不存在的類型回 400；失敗時回應格式與 validateBody 相同。
+ * @param {Object} [options]
+ * @param {boolean} [options.creating=false]
+ */
+exports.validateEventTemplate = ({ creating = false } = {}) => {
+    return async (req, res, next) => {
+        const services = req.app.get('services');
+        if (!req.body || !services || !services.eventTemplateService) return next();
+
+        try {
+            let type = req.body.eventType;
+            if (!type && creating) type = 'general';
+            if (!type && req.params.eventId) {
+                const current = await services.eventLogService.getEventById(req.params.eventId);
+                if (!current) return next();
+                type = current.eventType;
+            }
+            if (!type || type === 'legacy' || type === 'summary') return next();
+
+            const { columns, details, errors } = await services.eventTemplateService.prepareValues(type, req.body, { creating });
+            if (errors.length === 0) {
+                Object.keys(details).forEach(key => delete req.body[key]);
+                Object.assign(req.body, columns);
+                req.body.details = details;
+                return next();
+            }
+
+            const message = `資料驗證失敗：${requestValidator.summarize(errors)}`;
+            return res.status(400).json({ success: false, error: message, details: message, code: 'VALIDATION_FAILED', fields: errors });
+        } catch (error) {
+            next(error);
+        }
+    };
+};
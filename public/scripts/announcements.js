@@ -121,6 +121,7 @@ async function handleAnnouncementFormSubmit(event) {
         status: document.getElementById('announcement-status').value,
         isPinned: document.getElementById('announcement-is-pinned').checked
     };
+    if (!(await FormValidation.check('announcement', data, { partial: isEditMode }))) return;
 
     showLoading(isEditMode ? '正在更新...' : '正在新增...');
     try {
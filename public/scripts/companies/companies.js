@@ -3,28 +3,29 @@
  * 職責：載入公司詳細資料頁的數據，並協調UI渲染與事件綁定模組
  * * @version 7.4.0 (Restored from 0109)
  * * @description 嚴格還原 0109 版本的主控制器邏輯。
+ * * [Link] 頁面參數改為 companyId；舊版書籤的 companyName (URL 編碼) 仍由後端以唯一的完整名稱解析。
  */
 
 /**
  * 載入並渲染公司詳細資料頁面的主函式
- * @param {string} encodedCompanyName - URL編碼過的公司名稱
+ * @param {string} companyRef - companyId (舊版連結為 URL 編碼過的公司名稱)
  */
-async function loadCompanyDetailsPage(encodedCompanyName) {
+async function loadCompanyDetailsPage(companyRef) {
     const container = document.getElementById('page-company-details');
-    // 解碼名稱
-    const companyName = decodeURIComponent(encodedCompanyName);
+    const companyKey = decodeURIComponent(companyRef);
     
     // 若找不到專屬容器，嘗試尋找通用容器 (v7.0 相容)
     const targetContainer = container || document.getElementById('page-content') || document.body;
 
-    targetContainer.innerHTML = `<div class="loading show" style="padding-top: 100px;"><div class="spinner"></div><p>正在載入 ${companyName} 的詳細資料...</p></div>`;
+    targetContainer.innerHTML = `<div class="loading show" style="padding-top: 100px;"><div class="spinner"></div><p>正在載入公司詳細資料...</p></div>`;
 
     try {
-        const result = await authedFetch(`/api/companies/${encodedCompanyName}/details`);
+        const result = await authedFetch(`/api/companies/${encodeURIComponent(companyKey)}/details`);
         if (!result.success) throw new Error(result.error || '無法載入公司資料');
 
         // 從解構賦值中移除 interactions (依照 0109 邏輯)
         const { companyInfo, contacts = [], opportunities = [], potentialContacts = [], eventLogs = [] } = result.data;
+        if (!companyInfo) throw new Error('找不到這家公司，可能已被刪除');
         
         // 1. 設定頁面標題
         const titleEl = document.getElementById('page-title');
@@ -53,6 +54,11 @@ async function loadCompanyDetailsPage(encodedCompanyName) {
                 <div class="widget-header"><h2 class="widget-title">潛在聯絡人 (${potentialContacts.length})</h2></div>
                 <div id="potential-contacts-container" class="widget-content"></div>
             </div>
+
+            <div class="dashboard-widget grid-col-12" style="margin-top: var(--spacing-6);">
+                <div class="widget-header"><h2 class="widget-title">變更歷史</h2></div>
+                <div id="company-audit-history" class="widget-content"></div>
+            </div>
         `;
         
         // 3. 初始化並渲染各個模組
@@ -71,6 +77,10 @@ async function loadCompanyDetailsPage(encodedCompanyName) {
             });
         }
 
+        if (window.AuditHistory) {
+            AuditHistory.render('#company-audit-history', 'company', companyInfo.companyId);
+        }
+
         // 4. 綁定所有互動事件 (0109 邏輯)
         if (typeof initializeCompanyEventListeners === 'function') {
             initializeCompanyEventListeners(companyInfo);
@@ -6,6 +6,7 @@
  * * 1. 使用 { skipRefresh: true } 接管 api.js 的自動刷新行為，還原 0109 的 SPA 操作體驗。
  * * 2. 依賴 company-details-ui.js 修復後的 Toast 容器顯示通知。
  * * 3. 處理雙重編碼與特殊字元路由問題。
+ * * 4. [Link] 更新 / 刪除以 companyId 呼叫 API，改名不影響網址與關聯。
  */
 
 let _currentCompanyInfo = null;
@@ -130,15 +131,19 @@ async function saveCompanyInfo(event) {
 
     const formData = new FormData(form);
     const updateData = Object.fromEntries(formData.entries());
+    // 自訂欄位的輸入沒有 name，另外收集有變更的值 (伺服器端合併)
+    const customFields = window.CustomFields
+        ? CustomFields.collect(document.getElementById('company-custom-fields'), _currentCompanyInfo.customFields || {})
+        : undefined;
+    if (customFields) updateData.customFields = customFields;
     const oldCompanyName = _currentCompanyInfo.companyName;
-    
-    // [Security] 雙重編碼，防止特殊字元破壞 URL
-    const encodedOldName = encodeURIComponent(encodeURIComponent(oldCompanyName));
+    const companyId = _currentCompanyInfo.companyId;
 
     if (!updateData.companyName || updateData.companyName.trim() === '') {
         if(window.showNotification) showNotification('公司名稱為必填項目', 'warning');
         return;
     }
+    if (!(await FormValidation.check('company', updateData, { partial: true }))) return;
 
     // UI Loading State
     const saveBtn = form.querySelector('.btn-save');
@@ -150,7 +155,7 @@ async function saveCompanyInfo(event) {
 
     try {
         // [Critical] skipRefresh: true -> 我們自己處理 UI 更新，不讓 api.js 刷新頁面
-        const result = await authedFetch(`/api/companies/${encodedOldName}`, {
+        const result = await authedFetch(`/api/companies/${encodeURIComponent(companyId)}`, {
             method: 'PUT',
             body: JSON.stringify(updateData),
             headers: { 'Content-Type': 'application/json' },
@@ -163,20 +168,19 @@ async function saveCompanyInfo(event) {
             else alert('公司資料已更新');
             
             // 2. 更新本地快取
-            _currentCompanyInfo = { ..._currentCompanyInfo, ...updateData };
+            const mergedCustomFields = { ...(_currentCompanyInfo.customFields || {}) };
+            Object.entries(customFields || {}).forEach(([key, value]) => {
+                if (value === null) delete mergedCustomFields[key];
+                else mergedCustomFields[key] = value;
+            });
+            _currentCompanyInfo = { ..._currentCompanyInfo, ...updateData, customFields: mergedCustomFields };
 
-            // 3. 判斷是否改名
+            // 3. 網址以 companyId 定位，改名只需更新標題，直接切換回檢視模式 (SPA 體驗)
             if (updateData.companyName !== oldCompanyName) {
-                // 如果改名，必須更新 URL
-                if (window.router) {
-                    window.router.push(`/companies/${encodeURIComponent(updateData.companyName)}/details`);
-                } else {
-                    window.location.hash = `#/companies/${encodeURIComponent(updateData.companyName)}`;
-                }
-            } else {
-                // 如果沒改名，直接切換回檢視模式 (SPA 體驗)
-                toggleCompanyEditMode(false);
+                const titleEl = document.getElementById('page-title');
+                if (titleEl) titleEl.textContent = updateData.companyName;
             }
+            toggleCompanyEditMode(false);
         } else {
             throw new Error(result.error || '儲存失敗');
         }
@@ -251,15 +255,13 @@ async function generateCompanyProfile() {
 async function confirmDeleteCompany() {
     if (!_currentCompanyInfo) return;
     const name = _currentCompanyInfo.companyName;
-    const message = `確定要刪除「${name}」嗎？此操作無法復原。`;
+    const message = `確定要刪除「${name}」嗎？刪除後可由管理員從回收桶還原。`;
     
     const performDelete = async () => {
         if(typeof showLoading === 'function') showLoading('刪除中...');
         try {
-            const safeName = encodeURIComponent(encodeURIComponent(name));
-            
             // [Critical] 刪除成功後需要手動跳轉，所以 skipRefresh
-            const result = await authedFetch(`/api/companies/${safeName}`, { 
+            const result = await authedFetch(`/api/companies/${encodeURIComponent(_currentCompanyInfo.companyId)}`, { 
                 method: 'DELETE',
                 skipRefresh: true
             });
@@ -358,6 +360,7 @@ function showEditContactModal(contact) {
                         <div class="form-group"><label class="form-label">公司電話</label><input type="tel" class="form-input" id="edit-contact-phone" value="${contact.phone || ''}"></div>
                     </div>
                     <div class="form-group"><label class="form-label">Email</label><input type="email" class="form-input" id="edit-contact-email" value="${contact.email || ''}"></div>
+                    <div id="edit-contact-custom-fields"></div>
                     <button type="submit" class="submit-btn">💾 儲存變更</button>
                 </form>
             </div>
@@ -367,6 +370,9 @@ function showEditContactModal(contact) {
 
     // 綁定關閉按鈕
     document.getElementById('btn-close-contact-modal').addEventListener('click', closeEditContactModal);
+
+    // 聯絡人清單不含自訂欄位，另外載入
+    if (window.CustomFields) CustomFields.mount(document.getElementById('edit-contact-custom-fields'), 'contact', contact.contactId);
 }
 
 function closeEditContactModal() {
@@ -383,7 +389,9 @@ async function handleSaveContact(e) {
         mobile: document.getElementById('edit-contact-mobile').value,
         phone: document.getElementById('edit-contact-phone').value,
         email: document.getElementById('edit-contact-email').value,
+        customFields: window.CustomFields ? CustomFields.collect(document.getElementById('edit-contact-custom-fields')) : undefined
     };
+    if (!(await FormValidation.check('contact', data, { partial: true }))) return;
     
     if(typeof showLoading === 'function') showLoading('更新中...');
     
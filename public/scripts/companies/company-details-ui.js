@@ -132,6 +132,7 @@ function _renderViewMode(info) {
     const county = info.county || '-';
     const address = info.address || '-';
     const intro = info.introduction || '(尚無公司簡介)';
+    const customFields = window.CustomFields ? CustomFields.renderView('company', info.customFields) : '';
 
     return `
         <div class="company-info-wrapper" id="company-info-card-container">
@@ -185,6 +186,12 @@ function _renderViewMode(info) {
                     <div class="bento-label">業務簡介</div>
                     <div class="bento-value" style="white-space: pre-wrap; font-weight: 500;">${intro}</div>
                 </div>
+
+                ${customFields ? `
+                <div class="bento-card read-mode">
+                    <div class="bento-label">其他資訊</div>
+                    ${customFields}
+                </div>` : ''}
             </div>
         </div>
     `;
@@ -200,6 +207,7 @@ function _renderEditMode(info) {
 
     const cities = ["臺北市", "新北市", "桃園市", "臺中市", "臺南市", "高雄市", "基隆市", "新竹市", "嘉義市", "新竹縣", "苗栗縣", "彰化縣", "南投縣", "雲林縣", "嘉義縣", "屏東縣", "宜蘭縣", "花蓮縣", "臺東縣"];
     const cityOptions = cities.map(c => `<option value="${c}" ${c === info.county ? 'selected' : ''}>${c}</option>`).join('');
+    const customFieldInputs = window.CustomFields ? CustomFields.renderInputs('company', info.customFields) : '';
 
     return `
         <div class="company-info-wrapper" id="company-info-card-container" style="border-color: var(--accent-orange); box-shadow: 0 0 0 2px rgba(249, 115, 22, 0.1);">
@@ -277,6 +285,12 @@ function _renderEditMode(info) {
                     </div>
                 </div>
 
+                ${customFieldInputs ? `
+                <div class="bento-card" id="company-custom-fields">
+                    <div class="bento-label">其他資訊</div>
+                    ${customFieldInputs}
+                </div>` : ''}
+
                 <div style="display: flex; justify-content: flex-end;">
                      <button type="button" class="action-btn danger small" data-action="delete-company">🗑️ 刪除此公司</button>
                 </div>
@@ -3,12 +3,16 @@
  * 職責：管理「公司總覽列表頁」
  * * @version 7.2.0 (Fix: Toast Styles & Double Encoding)
  * * @description 完整包含 CSS 注入 (含 Toast)、路由註冊、雙重編碼刪除邏輯。
+ * * 列表的搜尋 / 篩選 / 排序由伺服器處理，以 Cursor 分頁「載入更多」(fetchListPage)。
  */
 
 // ==================== 全域變數 ====================
+// 已載入的公司 (Cursor 分頁，「載入更多」時累加)；篩選 / 排序由伺服器處理 (GET /api/companies?filter[...]&sort=&cursor=)
 let allCompaniesData = [];
 let companyListFilters = { type: 'all', stage: 'all', rating: 'all' };
-let currentSort = { field: 'lastActivity', direction: 'desc' };
+// 只能依資料表欄位排序 (lastActivity / opportunityCount 是本頁才計算的衍生欄位)
+let currentSort = { field: 'lastUpdateTime', direction: 'desc' };
+let companyListRequestSeq = 0;
 
 // ==================== 1. 動態樣式注入 (含 Toast 修復) ====================
 function _injectCompanyListStyles() {
@@ -79,34 +83,31 @@ function _injectCompanyListStyles() {
 }
 
 // ==================== 2. 核心功能：刪除邏輯 ====================
-async function executeDeleteCompany(encodedName) {
-    if (!encodedName) return;
-    const name = decodeURIComponent(encodedName);
+async function executeDeleteCompany(companyId, encodedName) {
+    if (!companyId) return;
+    const name = decodeURIComponent(encodedName || '');
     
     const confirmFunc = window.showConfirmDialog || window.confirmAction || window.confirm;
     
     // 定義實際執行刪除的閉包
     const doDelete = async () => {
-        await performDeleteAPI(name);
+        await performDeleteAPI(companyId);
     };
 
     if (typeof confirmFunc === 'function' && window.showConfirmDialog) {
-        showConfirmDialog(`確定要永久刪除公司「${name}」及其所有關聯資料嗎？`, doDelete);
+        showConfirmDialog(`確定要刪除公司「${name}」嗎？刪除後可由管理員從回收桶還原。`, doDelete);
     } else {
-        if (confirm(`(系統提示) 確定要刪除「${name}」嗎？此操作無法復原。`)) {
+        if (confirm(`(系統提示) 確定要刪除「${name}」嗎？刪除後可由管理員從回收桶還原。`)) {
              doDelete();
         }
     }
 }
 
-async function performDeleteAPI(rawName) {
+async function performDeleteAPI(companyId) {
     if (typeof showLoading === 'function') showLoading('正在刪除...');
-    
-    // ★★★ Critical Fix: 雙重編碼防止 URI malformed ★★★
-    const safeName = encodeURIComponent(encodeURIComponent(rawName));
 
     try {
-        const res = await authedFetch(`/api/companies/${safeName}`, { method: 'DELETE' });
+        const res = await authedFetch(`/api/companies/${encodeURIComponent(companyId)}`, { method: 'DELETE' });
         
         const toastFunc = window.showNotification || window.showToast;
 
@@ -151,7 +152,7 @@ async function loadCompaniesListPage() {
                 <div class="widget-header">
                     <div style="display: flex; align-items: baseline; gap: 15px;">
                         <h2 class="widget-title">公司總覽</h2>
-                        <span style="font-size: 0.9rem; color: var(--text-muted);">共 <span id="companies-count-display">0</span> 筆</span>
+                        <span style="font-size: 0.9rem; color: var(--text-muted);">已載入 <span id="companies-count-display">0</span> 筆</span>
                     </div>
                 </div>
                 
@@ -161,6 +162,8 @@ async function loadCompaniesListPage() {
                     <button class="action-btn small primary" data-action="toggle-quick-create" data-show="true" id="btn-toggle-create" style="flex-shrink: 0; display: flex; align-items: center; gap: 4px;">
                         <span style="font-size: 1.2em; line-height: 1;">+</span> 快速新增
                     </button>
+                    <button class="action-btn small secondary" data-action="open-import" style="flex-shrink: 0;">📥 批次匯入</button>
+                    <button class="action-btn small secondary" data-action="export-companies" style="flex-shrink: 0;">📤 匯出 Excel</button>
 
                     <div id="company-list-filters" style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
                         <select id="company-type-filter" class="form-select-sm" data-filter="type"><option value="all">所有類型</option></select>
@@ -185,15 +188,14 @@ async function loadCompaniesListPage() {
                 <div id="companies-list-content" class="widget-content" style="padding: 0;">
                     <div class="loading show"><div class="spinner"></div><p>載入公司列表中...</p></div>
                 </div>
+                <div id="companies-list-pagination"></div>
             </div>
         </div>
     `;
 
     try {
-        const [dashboardResult, listResult, oppsResult, systemConfigResult] = await Promise.all([
+        const [dashboardResult, systemConfigResult] = await Promise.all([
             authedFetch(`/api/companies/dashboard`),
-            authedFetch(`/api/companies`), 
-            authedFetch(`/api/opportunities?page=0`), 
             authedFetch(`/api/config`) 
         ]);
 
@@ -213,24 +215,10 @@ async function loadCompaniesListPage() {
             renderCompaniesDashboardCharts(dashboardResult.data.chartData);
         }
 
-        if (listResult.success) {
-            const companies = listResult.data || [];
-            const allOpps = oppsResult || [];
-            
-            const oppCountMap = new Map();
-            allOpps.forEach(opp => {
-                const companyName = opp.customerCompany;
-                if (companyName) oppCountMap.set(companyName, (oppCountMap.get(companyName) || 0) + 1);
-            });
+        const searchInput = document.getElementById('company-list-search');
+        if (searchInput) searchInput.addEventListener('keyup', handleCompanyListSearch);
 
-            allCompaniesData = companies.map(c => ({ ...c, opportunityCount: oppCountMap.get(c.companyName) || 0 }));
-            filterAndRenderCompanyList();
-
-            const searchInput = document.getElementById('company-list-search');
-            if (searchInput) searchInput.addEventListener('keyup', handleCompanyListSearch);
-        } else {
-             throw new Error(listResult.error || '無法獲取公司列表');
-        }
+        await filterAndRenderCompanyList();
 
     } catch (error) {
         if (error.message !== 'Unauthorized') {
@@ -242,6 +230,18 @@ async function loadCompaniesListPage() {
 
 // ==================== 4. 事件處理與輔助函式 ====================
 
+/**
+ * 依目前的搜尋與篩選條件下載完整公司清單 (XLSX)
+ */
+async function exportCompanyList() {
+    showLoading('匯出中...');
+    try {
+        await downloadExport('company', buildCompanyListParams(), 'xlsx');
+    } finally {
+        hideLoading();
+    }
+}
+
 function handleCompanyListClick(e) {
     const btn = e.target.closest('[data-action]');
     if (!btn) return;
@@ -253,7 +253,9 @@ function handleCompanyListClick(e) {
         case 'sort': handleCompanySort(payload.field); break;
         case 'toggle-quick-create': toggleQuickCreateCard(payload.show === 'true'); break;
         case 'submit-quick-create': submitQuickCreateCompany(); break;
-        case 'delete-company': executeDeleteCompany(payload.name).catch(console.error); break;
+        case 'open-import': if (window.ImportWizard) ImportWizard.open('company'); break;
+        case 'export-companies': exportCompanyList().catch(console.error); break;
+        case 'delete-company': executeDeleteCompany(payload.id, payload.name).catch(console.error); break;
         case 'navigate':
             e.preventDefault();
             let params = {};
@@ -263,7 +265,7 @@ function handleCompanyListClick(e) {
             if (window.CRM_APP && window.CRM_APP.navigateTo) {
                 CRM_APP.navigateTo(payload.page, params);
             } else if (window.router) {
-                window.router.push(`/companies/${encodeURIComponent(params.companyName)}/details`);
+                window.router.push(`/companies/${encodeURIComponent(params.companyId)}/details`);
             }
             break;
     }
@@ -273,39 +275,52 @@ function handleCompanyListKeydown(e) {
     if (e.target.id === 'quick-create-name-input' && e.key === 'Enter') submitQuickCreateCompany();
 }
 
-function filterAndRenderCompanyList() {
-    const query = document.getElementById('company-list-search')?.value.toLowerCase() || '';
+/**
+ * 目前的搜尋 / 篩選 / 排序 -> 列表查詢參數 (列表與匯出共用)
+ */
+function buildCompanyListParams() {
     const { type, stage, rating } = companyListFilters;
-    const countDisplay = document.getElementById('companies-count-display');
-
-    let filtered = allCompaniesData.filter(c => {
-        const nameMatch = query ? (c.companyName || '').toLowerCase().includes(query) : true;
-        const typeMatch = type === 'all' ? true : c.companyType === type;
-        const stageMatch = stage === 'all' ? true : c.customerStage === stage;
-        const ratingMatch = rating === 'all' ? true : c.engagementRating === rating;
-        return nameMatch && typeMatch && stageMatch && ratingMatch;
-    });
+    return {
+        'filter[companyName][like]': document.getElementById('company-list-search')?.value.trim(),
+        'filter[companyType]': type,
+        'filter[customerStage]': stage,
+        'filter[engagementRating]': rating,
+        sort: `${currentSort.direction === 'desc' ? '-' : ''}${currentSort.field}`
+    };
+}
 
-    filtered.sort((a, b) => {
-        let valA = a[currentSort.field];
-        let valB = b[currentSort.field];
-        const valAStr = String(valA || '');
-        const valBStr = String(valB || '');
-        
-        if (currentSort.field === 'lastActivity') {
-             const tA = new Date(valA || 0).getTime();
-             const tB = new Date(valB || 0).getTime();
-             return currentSort.direction === 'asc' ? tA - tB : tB - tA;
-        }
-        
-        return currentSort.direction === 'asc' 
-            ? valAStr.localeCompare(valBStr, 'zh-Hant') 
-            : valBStr.localeCompare(valAStr, 'zh-Hant');
-    });
+/**
+ * 依目前條件從第一頁重新載入
+ */
+async function filterAndRenderCompanyList() {
+    allCompaniesData = [];
+    await loadMoreCompanies(null);
+}
+
+/**
+ * 讀取下一頁並附加到列表；條件在回應前已變更時丟棄舊回應
+ * @param {string|null} cursor - 上一頁回傳的 nextCursor；null 為第一頁
+ */
+async function loadMoreCompanies(cursor) {
+    const seq = ++companyListRequestSeq;
+    try {
+        const result = await fetchListPage('/api/companies', { ...buildCompanyListParams(), limit: 50, cursor });
+        if (seq !== companyListRequestSeq) return;
+
+        allCompaniesData = allCompaniesData.concat(result.data);
+
+        const countDisplay = document.getElementById('companies-count-display');
+        if (countDisplay) countDisplay.textContent = allCompaniesData.length;
+        const listContent = document.getElementById('companies-list-content');
+        if (listContent) listContent.innerHTML = renderCompaniesTable(allCompaniesData);
+        renderLoadMore('companies-list-pagination', result.pagination, loadMoreCompanies);
 
-    if (countDisplay) countDisplay.textContent = filtered.length;
-    const listContent = document.getElementById('companies-list-content');
-    if (listContent) listContent.innerHTML = renderCompaniesTable(filtered);
+    } catch (error) {
+        if (error.message !== 'Unauthorized') {
+            const contentDiv = document.getElementById('companies-list-content');
+            if (contentDiv) contentDiv.innerHTML = `<div class="alert alert-error">載入公司列表失敗: ${error.message}</div>`;
+        }
+    }
 }
 
 function renderCompaniesTable(companies) {
@@ -324,10 +339,11 @@ function renderCompaniesTable(companies) {
 
     let html = `<div class="comp-list-container"><table class="comp-list-table"><thead><tr>
                     <th style="width:60px;text-align:center;">項次</th>
-                    ${renderSortHeader('lastActivity', '最後活動')}
+                    <th>最後活動</th>
+                    ${renderSortHeader('lastUpdateTime', '更新日期')}
                     <th>公司類型</th>
                     ${renderSortHeader('companyName', '公司名稱')}
-                    ${renderSortHeader('opportunityCount', '機會數')}
+                    <th>機會數</th>
                     <th>客戶階段</th>
                     <th>互動評級</th>
                     <th style="width:80px;text-align:center;">操作</th>
@@ -338,23 +354,24 @@ function renderCompaniesTable(companies) {
         const stageColor = stageColors.get(c.customerStage) || '#6b7280';
         const ratingColor = ratingColors.get(c.engagementRating) || '#6b7280';
         const encodedName = encodeURIComponent(c.companyName || '');
-        const navParams = JSON.stringify({ companyName: c.companyName || '' }).replace(/'/g, "&apos;").replace(/"/g, '&quot;');
+        const navParams = JSON.stringify({ companyId: c.companyId || '' }).replace(/'/g, "&apos;").replace(/"/g, '&quot;');
 
         html += `
             <tr>
                 <td style="text-align:center;color:var(--text-muted);">${i + 1}</td>
                 <td style="white-space:nowrap;">${c.lastActivity ? new Date(c.lastActivity).toLocaleDateString() : '-'}</td>
+                <td style="white-space:nowrap;">${c.lastUpdateTime ? new Date(c.lastUpdateTime).toLocaleDateString() : '-'}</td>
                 <td><span class="comp-type-chip" style="background:${typeColor}">${c.companyType || '未分類'}</span></td>
                 <td>
                     <a href="#" class="text-link" data-action="navigate" data-page="company-details" data-params="${navParams}">
                         <strong>${c.companyName || '-'}</strong>
                     </a>
                 </td>
-                <td style="text-align:center;"><span class="comp-opp-count">${c.opportunityCount}</span></td>
+                <td style="text-align:center;"><span class="comp-opp-count">${c.opportunityCount || 0}</span></td>
                 <td><span class="comp-status-badge" style="background:${stageColor}">${c.customerStage || '-'}</span></td>
                 <td><span class="comp-status-badge" style="background:${ratingColor}">${c.engagementRating || '-'}</span></td>
                 <td style="text-align:center;">
-                    <button class="btn-mini-delete" title="刪除公司" data-action="delete-company" data-name="${encodedName}">
+                    <button class="btn-mini-delete" title="刪除公司" data-action="delete-company" data-id="${c.companyId || ''}" data-name="${encodedName}">
                         🗑️
                     </button>
                 </td>
@@ -389,6 +406,7 @@ async function submitQuickCreateCompany() {
         if(input) input.focus(); 
         return; 
     }
+    if (!(await FormValidation.check('company', { companyName: name }))) return;
     
     if (typeof showLoading === 'function') showLoading('建立中...');
     try {
@@ -400,15 +418,16 @@ async function submitQuickCreateCompany() {
             else alert('建立成功！');
             
             toggleQuickCreateCard(false);
+            const companyId = res.data.companyId || res.id;
             if (window.CRM_APP && window.CRM_APP.navigateTo) {
-                CRM_APP.navigateTo('company-details', { companyName: encodeURIComponent(res.data.companyName || res.data.name) });
+                CRM_APP.navigateTo('company-details', { companyId });
             } else if (window.router) {
-                window.router.push(`/companies/${encodeURIComponent(res.data.companyName || res.data.name)}/details`);
+                window.router.push(`/companies/${encodeURIComponent(companyId)}/details`);
             }
         } else if (res.reason === 'EXISTS') {
             if(confirm(`公司「${name}」已存在，是否直接前往查看？`)) {
                 if (window.CRM_APP && window.CRM_APP.navigateTo) {
-                    CRM_APP.navigateTo('company-details', { companyName: encodeURIComponent(res.data.companyName || res.data.name) });
+                    CRM_APP.navigateTo('company-details', { companyId: res.data.companyId || res.id });
                 }
             }
         } else { 
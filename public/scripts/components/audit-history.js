@@ -0,0 +1,128 @@
+// public/scripts/components/audit-history.js
+// 職責：渲染「變更歷史」表格 (資料來源：GET /api/audit?entity=&id=)，供機會 / 公司詳細頁共用
+
+const AuditHistory = (() => {
+    // 資料庫欄位 -> 顯示名稱 (未列出者直接顯示欄位名)
+    const FIELD_LABELS = {
+        // 機會
+        opportunity_name: '機會名稱',
+        customer_company: '終端客戶',
+        sales_model: '銷售模式',
+        sales_channel: '銷售管道',
+        channel_contact: '通路窗口',
+        main_contact: '主要聯絡人',
+        owner: '負責業務',
+        opportunity_type: '機會種類',
+        source: '機會來源',
+        current_stage: '目前階段',
+        current_status: '目前狀態',
+        expected_close_date: '預計結案日',
+        opportunity_value: '機會價值',
+        win_probability: '下單機率',
+        equipment_scale: '設備規模',
+        product_details: '可能規格',
+        notes: '備註',
+        drive_link: '雲端資料夾',
+        stage_history: '階段歷程',
+        parent_opportunity_id: '母機會',
+        contact_id: '關聯聯絡人',
+        deleted_at: '刪除時間',
+        // 公司
+        company_name: '公司名稱',
+        phone: '電話',
+        address: '地址',
+        city: '縣市',
+        description: '公司簡介',
+        company_type: '公司類型',
+        customer_stage: '客戶階段',
+        interaction_rating: '互動評級',
+        merged_company: '併入的公司',
+        merged_contact: '併入的聯絡人',
+        merged_into: '併入至'
+    };
+
+    const ACTION_LABELS = {
+        create: '建立',
+        update: '修改',
+        delete: '刪除',
+        restore: '還原',
+        purge: '永久刪除',
+        link: '關聯',
+        unlink: '解除關聯',
+        merge: '合併',
+        unmerge: '復原合併'
+    };
+
+    function escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    function _formatValue(value) {
+        if (value === null || value === undefined || value === '') {
+            return '<span style="color: var(--text-muted);">(空)</span>';
+        }
+        return escapeHtml(value).replace(/\n/g, '<br>');
+    }
+
+    function _renderTable(logs) {
+        if (!logs.length) {
+            return '<div class="alert alert-info" style="text-align:center;">尚無變更紀錄</div>';
+        }
+
+        const rows = logs.map(log => {
+            const timeStr = (typeof formatDateTime === 'function') ? formatDateTime(log.createdAt) : log.createdAt;
+            const fieldStr = log.field ? escapeHtml(FIELD_LABELS[log.field] || log.field) : '—';
+            return `<tr>
+                <td>${escapeHtml(timeStr)}</td>
+                <td>${escapeHtml(ACTION_LABELS[log.action] || log.action)}</td>
+                <td>${fieldStr}</td>
+                <td>${_formatValue(log.oldValue)}</td>
+                <td>${_formatValue(log.newValue)}</td>
+                <td>${escapeHtml(log.actor)}</td>
+            </tr>`;
+        }).join('');
+
+        return `<table class="data-table">
+            <thead><tr><th>時間</th><th>動作</th><th>欄位</th><th>原值</th><th>新值</th><th>操作者</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+    }
+
+    /**
+     * 載入並渲染指定實體的變更歷史
+     * @param {string} containerSelector
+     * @param {string} entity - 'opportunity' | 'company'
+     * @param {string} entityId
+     */
+    async function render(containerSelector, entity, entityId) {
+        const container = document.querySelector(containerSelector);
+        if (!container) return;
+
+        if (!entityId) {
+            container.innerHTML = '<div class="alert alert-info" style="text-align:center;">尚無變更紀錄</div>';
+            return;
+        }
+
+        container.innerHTML = '<div class="loading show"><div class="spinner"></div></div>';
+        try {
+            const result = await authedFetch(`/api/audit?entity=${encodeURIComponent(entity)}&id=${encodeURIComponent(entityId)}`);
+            if (!result.success) throw new Error(result.error || '無法載入變更歷史');
+            container.innerHTML = _renderTable(result.data || []);
+        } catch (error) {
+            if (error.message !== 'Unauthorized') {
+                console.error('[AuditHistory] 載入失敗:', error);
+                container.innerHTML = `<div class="alert alert-error">載入變更歷史失敗: ${escapeHtml(error.message)}</div>`;
+            }
+        }
+    }
+
+    return { render };
+})();
+
+window.AuditHistory = AuditHistory;
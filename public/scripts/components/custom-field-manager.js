@@ -0,0 +1,201 @@
+// public/scripts/components/custom-field-manager.js
+// 職責：管理員維護自訂欄位定義 (資料來源：/api/custom-fields；顯示與輸入見 core/custom-fields.js)
+// 以「實體 + 欄位代碼」識別：代碼相同即更新原欄位；刪除只停用，已儲存的值保留，重新儲存即恢復
+
+const CustomFieldManager = (() => {
+    let fields = {};
+    let meta = { entities: {}, types: {}, roles: [] };
+    let bound = false;
+
+    function escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    function _injectStyles() {
+        if (document.getElementById('custom-field-manager-styles')) return;
+        const style = document.createElement('style');
+        style.id = 'custom-field-manager-styles';
+        style.textContent = `
+            .custom-field-hint { color: var(--text-muted); font-size: var(--font-size-xs); }
+            .custom-field-table { width: 100%; border-collapse: collapse; font-size: var(--font-size-sm); }
+            .custom-field-table th, .custom-field-table td { padding: 6px 8px; border-bottom: 1px solid var(--border-color); text-align: left; }
+            .custom-field-table tr.disabled td { color: var(--text-muted); text-decoration: line-through; }
+            .custom-field-table td.actions { white-space: nowrap; text-align: right; }
+        `;
+        document.head.appendChild(style);
+    }
+
+    function _entity() {
+        return document.getElementById('custom-field-entity').value;
+    }
+
+    function _renderList() {
+        const list = fields[_entity()] || [];
+        const container = document.getElementById('custom-field-list');
+        if (list.length === 0) {
+            container.innerHTML = '<div class="alert alert-info" style="text-align:center;">尚未建立自訂欄位</div>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="custom-field-table">
+                <thead><tr><th>順序</th><th>代碼</th><th>名稱</th><th>型別</th><th>可見角色</th><th>必填</th><th></th></tr></thead>
+                <tbody>
+                    ${list.map(f => `
+                        <tr class="${f.enabled ? '' : 'disabled'}">
+                            <td>${f.order}</td>
+                            <td>${escapeHtml(f.key)}</td>
+                            <td>${escapeHtml(f.label)}</td>
+                            <td>${escapeHtml(meta.types[f.type] || f.type)}${f.type === 'select' ? ` (${f.options.length} 個選項)` : ''}</td>
+                            <td>${f.roles.length > 0 ? f.roles.map(escapeHtml).join('、') : '全部'}</td>
+                            <td>${f.required ? '是' : ''}</td>
+                            <td class="actions">
+                                <button type="button" class="action-btn small secondary" data-action="edit" data-key="${escapeHtml(f.key)}">${f.enabled ? '編輯' : '重新啟用'}</button>
+                                ${f.enabled ? `<button type="button" class="action-btn small danger" data-action="disable" data-key="${escapeHtml(f.key)}">停用</button>` : ''}
+                            </td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>`;
+    }
+
+    function _toggleOptions() {
+        document.getElementById('custom-field-options-group').style.display =
+            document.getElementById('custom-field-type').value === 'select' ? 'block' : 'none';
+    }
+
+    function _fillForm(field) {
+        const f = field || { key: '', label: '', type: 'text', order: 99, options: [], roles: [], required: false };
+        const keyInput = document.getElementById('custom-field-key');
+        keyInput.value = f.key;
+        keyInput.readOnly = !!field;
+        document.getElementById('custom-field-label').value = f.label;
+        document.getElementById('custom-field-type').value = f.type;
+        document.getElementById('custom-field-type').disabled = !!field;
+        document.getElementById('custom-field-order').value = f.order;
+        document.getElementById('custom-field-options').value = f.options.join('\n');
+        document.getElementById('custom-field-required').checked = f.required;
+        document.querySelectorAll('#custom-field-roles input').forEach(input => {
+            input.checked = f.roles.includes(input.value);
+        });
+        document.getElementById('custom-field-form-title').textContent = field ? `編輯欄位：${field.label}` : '新增欄位';
+        _toggleOptions();
+    }
+
+    async function _load() {
+        const result = await authedFetch('/api/custom-fields?all=1');
+        fields = result.data || {};
+        meta = result.meta || meta;
+    }
+
+    async function _refresh() {
+        await _load();
+        _renderList();
+        // 其他畫面使用的定義 (依角色過濾、不含停用) 一併更新
+        if (window.CustomFields) await CustomFields.load(true);
+    }
+
+    async function _save(event) {
+        event.preventDefault();
+        const payload = {
+            entity: _entity(),
+            key: document.getElementById('custom-field-key').value.trim(),
+            label: document.getElementById('custom-field-label').value.trim(),
+            type: document.getElementById('custom-field-type').value,
+            order: document.getElementById('custom-field-order').value,
+            options: document.getElementById('custom-field-options').value,
+            required: document.getElementById('custom-field-required').checked,
+            roles: Array.from(document.querySelectorAll('#custom-field-roles input:checked')).map(input => input.value),
+            enabled: true
+        };
+
+        try {
+            showLoading('儲存中...');
+            await authedFetch('/api/custom-fields', { method: 'POST', body: JSON.stringify(payload), skipRefresh: true });
+            showNotification(`自訂欄位「${payload.label}」已儲存`, 'success');
+            _fillForm(null);
+            await _refresh();
+        } catch (error) {
+            console.error('[CustomFieldManager] Save Error:', error);
+        } finally {
+            hideLoading();
+        }
+    }
+
+    function _disable(key) {
+        const entity = _entity();
+        const field = (fields[entity] || []).find(f => f.key === key);
+        if (!field) return;
+
+        confirmAction(`確定要停用欄位「${field.label}」嗎？已儲存的值會保留，重新啟用即恢復顯示。`, async () => {
+            try {
+                showLoading('停用中...');
+                await authedFetch(`/api/custom-fields/${entity}/${encodeURIComponent(key)}`, { method: 'DELETE', skipRefresh: true });
+                showNotification(`已停用欄位「${field.label}」`, 'success');
+                await _refresh();
+            } catch (error) {
+                console.error('[CustomFieldManager] Disable Error:', error);
+            } finally {
+                hideLoading();
+            }
+        });
+    }
+
+    function _bind() {
+        if (bound) return;
+        bound = true;
+
+        document.getElementById('custom-field-entity').innerHTML = Object.entries(meta.entities)
+            .map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`).join('');
+        document.getElementById('custom-field-type').innerHTML = Object.entries(meta.types)
+            .map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`).join('');
+        document.getElementById('custom-field-roles').innerHTML = meta.roles
+            .map(role => `<label style="display: flex; align-items: center; gap: 6px;"><input type="checkbox" value="${escapeHtml(role)}"> ${escapeHtml(role)}</label>`).join('');
+
+        document.getElementById('custom-field-entity').addEventListener('change', () => {
+            _fillForm(null);
+            _renderList();
+        });
+        document.getElementById('custom-field-type').addEventListener('change', _toggleOptions);
+        document.getElementById('custom-field-reset-btn').addEventListener('click', () => _fillForm(null));
+        document.getElementById('custom-field-form').addEventListener('submit', _save);
+        document.getElementById('custom-field-list').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (!btn) return;
+            if (btn.dataset.action === 'disable') return _disable(btn.dataset.key);
+            _fillForm((fields[_entity()] || []).find(f => f.key === btn.dataset.key));
+        });
+    }
+
+    /**
+     * 開啟自訂欄位管理視窗 (僅管理員)
+     * @param {string} [entity='opportunity'] - opportunity / company / contact
+     */
+    async function open(entity = 'opportunity') {
+        if (!document.getElementById('custom-field-modal')) return;
+        _injectStyles();
+        try {
+            showLoading('載入自訂欄位...');
+            await _load();
+        } catch (error) {
+            console.error('[CustomFieldManager] Load Error:', error);
+            return;
+        } finally {
+            hideLoading();
+        }
+        _bind();
+        document.getElementById('custom-field-entity').value = entity;
+        _fillForm(null);
+        _renderList();
+        showModal('custom-field-modal');
+    }
+
+    return { open };
+})();
+
+window.CustomFieldManager = CustomFieldManager;
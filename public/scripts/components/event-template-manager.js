@@ -0,0 +1,258 @@
+// public/scripts/components/event-template-manager.js
+// 職責：管理員維護事件範本 (資料來源：/api/event-templates；顯示與輸入見 core/event-templates.js)
+// 以類型代碼識別：代碼相同即更新原範本 (內建類型為覆寫)；停用自訂類型只隱藏於新增畫面，既有事件與欄位值保留
+
+const EventTemplateManager = (() => {
+    let templates = [];
+    let meta = { fieldTypes: {}, builtIn: [] };
+    let bound = false;
+
+    function escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    function _injectStyles() {
+        if (document.getElementById('event-template-manager-styles')) return;
+        const style = document.createElement('style');
+        style.id = 'event-template-manager-styles';
+        style.textContent = `
+            .event-template-hint { color: var(--text-muted); font-size: var(--font-size-xs); }
+            .event-template-table { width: 100%; border-collapse: collapse; font-size: var(--font-size-sm); }
+            .event-template-table th, .event-template-table td { padding: 6px 8px; border-bottom: 1px solid var(--border-color); text-align: left; vertical-align: middle; }
+            .event-template-table tr.disabled td { color: var(--text-muted); text-decoration: line-through; }
+            .event-template-table td.actions { white-space: nowrap; text-align: right; }
+            .event-template-section { border: 1px solid var(--border-color); border-radius: 8px; padding: 10px; margin-top: 10px; }
+            .event-template-section-header { display: flex; gap: 8px; align-items: center; margin-bottom: 8px; }
+            .event-template-field { display: grid; grid-template-columns: 1fr 1fr 120px 1.5fr 1fr auto; gap: 6px; margin-bottom: 6px; align-items: center; }
+        `;
+        document.head.appendChild(style);
+    }
+
+    function _optionSources() {
+        return Object.keys(window.CRM_APP?.systemConfig || {}).filter(key => Array.isArray(window.CRM_APP.systemConfig[key]));
+    }
+
+    function _renderList() {
+        const container = document.getElementById('event-template-list');
+        container.innerHTML = `
+            <table class="event-template-table">
+                <thead><tr><th>順序</th><th>類型</th><th>名稱</th><th>區塊 / 欄位</th><th>來源</th><th></th></tr></thead>
+                <tbody>
+                    ${templates.map(t => {
+                        const fieldCount = t.sections.reduce((sum, s) => sum + s.fields.length, 0);
+                        const source = t.builtIn ? (t.overridden ? '內建 (已調整)' : '內建') : '自訂';
+                        const canDisable = t.enabled && (!t.builtIn || t.overridden);
+                        return `
+                        <tr class="${t.enabled ? '' : 'disabled'}">
+                            <td>${t.order}</td>
+                            <td><span style="color: ${escapeHtml(t.color)};">${escapeHtml(t.icon)}</span> ${escapeHtml(t.type)}</td>
+                            <td>${escapeHtml(t.label)}</td>
+                            <td>${t.sections.length} / ${fieldCount}</td>
+                            <td>${source}</td>
+                            <td class="actions">
+                                <button type="button" class="action-btn small secondary" data-action="edit" data-type="${escapeHtml(t.type)}">${t.enabled ? '編輯' : '重新啟用'}</button>
+                                ${canDisable ? `<button type="button" class="action-btn small danger" data-action="disable" data-type="${escapeHtml(t.type)}">${t.builtIn ? '恢復預設' : '停用'}</button>` : ''}
+                            </td>
+                        </tr>`;
+                    }).join('')}
+                </tbody>
+            </table>`;
+    }
+
+    function _fieldHTML(field = {}) {
+        const type = field.type || 'text';
+        const hasOptions = type === 'select' || type === 'multiselect';
+        return `
+            <div class="event-template-field">
+                <input type="text" class="form-input" data-prop="key" placeholder="欄位代碼" value="${escapeHtml(field.key || '')}">
+                <input type="text" class="form-input" data-prop="label" placeholder="顯示名稱" value="${escapeHtml(field.label || '')}">
+                <select class="form-select" data-prop="type">
+                    ${Object.entries(meta.fieldTypes).map(([value, label]) => `<option value="${value}" ${value === type ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('')}
+                </select>
+                <div style="display: ${hasOptions ? 'flex' : 'none'}; gap: 6px;" data-role="options">
+                    <select class="form-select" data-prop="optionsFrom" style="max-width: 45%;">
+                        <option value="">自填選項</option>
+                        ${_optionSources().map(key => `<option value="${escapeHtml(key)}" ${key === field.optionsFrom ? 'selected' : ''}>${escapeHtml(key)}</option>`).join('')}
+                    </select>
+                    <input type="text" class="form-input" data-prop="options" placeholder="選項 (逗號分隔)" value="${escapeHtml(field.optionsFrom ? '' : (field.options || []).join(', '))}" ${field.optionsFrom ? 'disabled' : ''}>
+                </div>
+                <input type="text" class="form-input" data-prop="placeholder" placeholder="提示文字" value="${escapeHtml(field.placeholder || '')}" style="display: ${hasOptions ? 'none' : 'block'};">
+                <button type="button" class="action-btn small danger" data-action="remove-field" title="移除欄位">✕</button>
+            </div>`;
+    }
+
+    function _sectionHTML(section = { title: '', fields: [] }) {
+        return `
+            <div class="event-template-section">
+                <div class="event-template-section-header">
+                    <input type="text" class="form-input" data-prop="title" placeholder="區塊標題" value="${escapeHtml(section.title)}">
+                    <button type="button" class="action-btn small secondary" data-action="add-field">＋ 欄位</button>
+                    <button type="button" class="action-btn small danger" data-action="remove-section">移除區塊</button>
+                </div>
+                <div data-role="fields">${section.fields.map(f => _fieldHTML(f)).join('')}</div>
+            </div>`;
+    }
+
+    function _fillForm(template) {
+        const t = template || { type: '', label: '', icon: '', color: '#6c757d', order: 99, sections: [] };
+        const typeInput = document.getElementById('event-template-type');
+        typeInput.value = t.type;
+        typeInput.readOnly = !!template;
+        document.getElementById('event-template-label').value = t.label;
+        document.getElementById('event-template-icon').value = t.icon;
+        document.getElementById('event-template-color').value = t.color || '#6c757d';
+        document.getElementById('event-template-order').value = t.order;
+        document.getElementById('event-template-sections').innerHTML = t.sections.map(s => _sectionHTML(s)).join('');
+        document.getElementById('event-template-form-title').textContent = template ? `編輯範本：${template.label}` : '新增事件類型';
+    }
+
+    function _collectSections() {
+        return Array.from(document.querySelectorAll('#event-template-sections .event-template-section')).map(sectionEl => ({
+            title: sectionEl.querySelector('[data-prop="title"]').value.trim(),
+            fields: Array.from(sectionEl.querySelectorAll('.event-template-field')).map(fieldEl => {
+                const get = (prop) => fieldEl.querySelector(`[data-prop="${prop}"]`).value.trim();
+                const field = { key: get('key'), label: get('label'), type: get('type') };
+                if (field.type === 'select' || field.type === 'multiselect') {
+                    if (get('optionsFrom')) field.optionsFrom = get('optionsFrom');
+                    else field.options = get('options');
+                } else if (get('placeholder')) {
+                    field.placeholder = get('placeholder');
+                }
+                return field;
+            })
+        }));
+    }
+
+    async function _load() {
+        const result = await authedFetch('/api/event-templates');
+        templates = result.data || [];
+        meta = result.meta || meta;
+    }
+
+    async function _refresh() {
+        await _load();
+        _renderList();
+        // 精靈、編輯器與報告使用的範本一併更新；事件類型名稱與顏色來自系統設定
+        if (window.EventTemplates) await EventTemplates.load(true);
+        if (window.CRM_APP && typeof CRM_APP.loadConfig === 'function') await CRM_APP.loadConfig();
+    }
+
+    async function _save(event) {
+        event.preventDefault();
+        const payload = {
+            type: document.getElementById('event-template-type').value.trim(),
+            label: document.getElementById('event-template-label').value.trim(),
+            icon: document.getElementById('event-template-icon').value.trim(),
+            color: document.getElementById('event-template-color').value,
+            order: document.getElementById('event-template-order').value,
+            sections: _collectSections(),
+            enabled: true
+        };
+
+        try {
+            showLoading('儲存中...');
+            await authedFetch('/api/event-templates', { method: 'POST', body: JSON.stringify(payload), skipRefresh: true });
+            showNotification(`事件範本「${payload.label}」已儲存`, 'success');
+            _fillForm(null);
+            await _refresh();
+        } catch (error) {
+            console.error('[EventTemplateManager] Save Error:', error);
+        } finally {
+            hideLoading();
+        }
+    }
+
+    function _disable(type) {
+        const template = templates.find(t => t.type === type);
+        if (!template) return;
+        const message = template.builtIn
+            ? `確定要將「${template.label}」恢復為預設範本嗎？調整過的區塊與欄位設定會移除，已儲存的值保留。`
+            : `確定要停用「${template.label}」嗎？新增事件時不再出現此類型，既有事件仍可查看與編輯。`;
+
+        confirmAction(message, async () => {
+            try {
+                showLoading('處理中...');
+                await authedFetch(`/api/event-templates/${encodeURIComponent(type)}`, { method: 'DELETE', skipRefresh: true });
+                showNotification(template.builtIn ? `已恢復「${template.label}」的預設範本` : `已停用「${template.label}」`, 'success');
+                await _refresh();
+            } catch (error) {
+                console.error('[EventTemplateManager] Disable Error:', error);
+            } finally {
+                hideLoading();
+            }
+        });
+    }
+
+    function _bind() {
+        if (bound) return;
+        bound = true;
+
+        document.getElementById('event-template-form').addEventListener('submit', _save);
+        document.getElementById('event-template-reset-btn').addEventListener('click', () => _fillForm(null));
+        document.getElementById('event-template-add-section-btn').addEventListener('click', () => {
+            document.getElementById('event-template-sections').insertAdjacentHTML('beforeend', _sectionHTML());
+        });
+        document.getElementById('event-template-list').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (!btn) return;
+            if (btn.dataset.action === 'disable') return _disable(btn.dataset.type);
+            _fillForm(templates.find(t => t.type === btn.dataset.type));
+        });
+
+        const sections = document.getElementById('event-template-sections');
+        sections.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (!btn) return;
+            if (btn.dataset.action === 'add-field') {
+                btn.closest('.event-template-section').querySelector('[data-role="fields"]').insertAdjacentHTML('beforeend', _fieldHTML());
+            } else if (btn.dataset.action === 'remove-field') {
+                btn.closest('.event-template-field').remove();
+            } else if (btn.dataset.action === 'remove-section') {
+                btn.closest('.event-template-section').remove();
+            }
+        });
+        sections.addEventListener('change', (e) => {
+            const fieldEl = e.target.closest('.event-template-field');
+            if (!fieldEl) return;
+            if (e.target.dataset.prop === 'type') {
+                const hasOptions = e.target.value === 'select' || e.target.value === 'multiselect';
+                fieldEl.querySelector('[data-role="options"]').style.display = hasOptions ? 'flex' : 'none';
+                fieldEl.querySelector('[data-prop="placeholder"]').style.display = hasOptions ? 'none' : 'block';
+            } else if (e.target.dataset.prop === 'optionsFrom') {
+                fieldEl.querySelector('[data-prop="options"]').disabled = !!e.target.value;
+            }
+        });
+    }
+
+    /**
+     * 開啟事件範本管理視窗 (僅管理員)
+     * @param {string} [type] - 直接編輯的類型
+     */
+    async function open(type) {
+        if (!document.getElementById('event-template-modal')) return;
+        _injectStyles();
+        try {
+            showLoading('載入事件範本...');
+            await _load();
+        } catch (error) {
+            console.error('[EventTemplateManager] Load Error:', error);
+            return;
+        } finally {
+            hideLoading();
+        }
+        _bind();
+        _fillForm(type ? templates.find(t => t.type === type) : null);
+        _renderList();
+        showModal('event-template-modal');
+    }
+
+    return { open };
+})();
+
+window.EventTemplateManager = EventTemplateManager;
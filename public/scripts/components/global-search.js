@@ -0,0 +1,192 @@
+// public/scripts/components/global-search.js
+// 職責：頁首全域搜尋框 (資料來源：GET /api/search?q=)，結果依實體分組，點選後直接以 Router 導向詳細頁
+
+const GlobalSearch = (() => {
+    const DEBOUNCE_MS = 250;
+    const MIN_QUERY_LENGTH = 1;
+
+    let input = null;
+    let panel = null;
+    let debounceTimer = null;
+    let requestSeq = 0;
+    let flatItems = [];
+    let activeIndex = -1;
+
+    function escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    function _injectStyles() {
+        if (document.getElementById('global-search-styles')) return;
+        const style = document.createElement('style');
+        style.id = 'global-search-styles';
+        style.textContent = `
+            .global-search { position: relative; width: 280px; }
+            .global-search-input {
+                width: 100%; padding: 8px 12px; border-radius: var(--rounded-md);
+                border: 1px solid var(--border-color); background: var(--secondary-bg);
+                color: var(--text-primary); font-size: var(--font-size-sm);
+            }
+            .global-search-input:focus { outline: none; border-color: var(--accent-blue); }
+            .global-search-panel {
+                display: none; position: absolute; top: calc(100% + 6px); right: 0; z-index: 1000;
+                width: 420px; max-height: 70vh; overflow-y: auto;
+                background: var(--card-bg); border: 1px solid var(--border-color);
+                border-radius: var(--rounded-lg); box-shadow: var(--shadow-xl);
+            }
+            .global-search-panel.show { display: block; }
+            .global-search-group-title {
+                padding: 8px 12px 4px; font-size: var(--font-size-xs); color: var(--text-muted);
+                display: flex; justify-content: space-between;
+            }
+            .global-search-item { padding: 8px 12px; cursor: pointer; border-left: 3px solid transparent; }
+            .global-search-item.active, .global-search-item:hover {
+                background: var(--secondary-bg); border-left-color: var(--accent-blue);
+            }
+            .global-search-item.disabled { cursor: default; opacity: 0.6; }
+            .global-search-title { color: var(--text-primary); font-size: var(--font-size-sm); font-weight: 600; }
+            .global-search-subtitle { color: var(--text-muted); font-size: var(--font-size-xs); }
+            .global-search-snippet { color: var(--text-secondary); font-size: var(--font-size-xs); margin-top: 2px; }
+            .global-search-snippet mark { background: rgba(251, 146, 60, 0.35); color: inherit; border-radius: 2px; }
+            .global-search-empty { padding: 16px; text-align: center; color: var(--text-muted); font-size: var(--font-size-sm); }
+            @media (max-width: 768px) {
+                .global-search { width: 100%; }
+                .global-search-panel { width: 100%; }
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    function _open() { panel.classList.add('show'); }
+
+    function _close() {
+        panel.classList.remove('show');
+        activeIndex = -1;
+    }
+
+    function _renderResults(data) {
+        flatItems = [];
+        activeIndex = -1;
+
+        if (!data.groups || data.groups.length === 0) {
+            panel.innerHTML = `<div class="global-search-empty">找不到「${escapeHtml(data.query)}」的相關資料</div>`;
+            return;
+        }
+
+        panel.innerHTML = data.groups.map(group => {
+            const items = group.items.map(item => {
+                const index = flatItems.push(item) - 1;
+                const snippet = item.snippet
+                    ? `<div class="global-search-snippet">${escapeHtml(item.snippetField)}：${item.snippet}</div>`
+                    : '';
+                return `<div class="global-search-item${item.target ? '' : ' disabled'}" data-index="${index}">
+                    <div class="global-search-title">${escapeHtml(item.title)}</div>
+                    ${item.subtitle ? `<div class="global-search-subtitle">${escapeHtml(item.subtitle)}</div>` : ''}
+                    ${snippet}
+                </div>`;
+            }).join('');
+            return `<div class="global-search-group">
+                <div class="global-search-group-title"><span>${escapeHtml(group.label)}</span><span>${group.count} 筆</span></div>
+                ${items}
+            </div>`;
+        }).join('');
+    }
+
+    function _setActive(index) {
+        const nodes = panel.querySelectorAll('.global-search-item');
+        if (nodes.length === 0) return;
+        activeIndex = (index + nodes.length) % nodes.length;
+        nodes.forEach((node, i) => node.classList.toggle('active', i === activeIndex));
+        nodes[activeIndex].scrollIntoView({ block: 'nearest' });
+    }
+
+    function _select(index) {
+        const item = flatItems[index];
+        if (!item || !item.target) return;
+
+        _close();
+        input.value = '';
+        input.blur();
+        Router.navigateTo(item.target.page, { ...item.target.params });
+    }
+
+    async function _search(query) {
+        const seq = ++requestSeq;
+        panel.innerHTML = '<div class="global-search-empty">搜尋中...</div>';
+        _open();
+        try {
+            const result = await authedFetch(`/api/search?q=${encodeURIComponent(query)}`);
+            if (seq !== requestSeq) return; // 已有較新的查詢
+            if (!result.success) throw new Error(result.error || '搜尋失敗');
+            _renderResults(result.data);
+        } catch (error) {
+            if (seq !== requestSeq || error.message === 'Unauthorized') return;
+            console.error('[GlobalSearch] 搜尋失敗:', error);
+            panel.innerHTML = `<div class="global-search-empty">搜尋失敗: ${escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    function _onInput() {
+        clearTimeout(debounceTimer);
+        const query = input.value.trim();
+        if (query.length < MIN_QUERY_LENGTH) {
+            requestSeq++;
+            _close();
+            return;
+        }
+        debounceTimer = setTimeout(() => _search(query), DEBOUNCE_MS);
+    }
+
+    function _onKeydown(e) {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            _setActive(activeIndex + 1);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            _setActive(activeIndex - 1);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            _select(activeIndex >= 0 ? activeIndex : 0);
+        } else if (e.key === 'Escape') {
+            _close();
+            input.blur();
+        }
+    }
+
+    /**
+     * 綁定搜尋框
+     * @param {string} containerSelector - 包含 .global-search-input 的容器
+     */
+    function init(containerSelector) {
+        const container = document.querySelector(containerSelector);
+        if (!container || container.dataset.bound) return;
+        container.dataset.bound = 'true';
+
+        _injectStyles();
+        input = container.querySelector('.global-search-input');
+        panel = container.querySelector('.global-search-panel');
+
+        input.addEventListener('input', _onInput);
+        input.addEventListener('keydown', _onKeydown);
+        input.addEventListener('focus', () => { if (flatItems.length > 0 && input.value.trim()) _open(); });
+        panel.addEventListener('mousedown', (e) => {
+            const node = e.target.closest('.global-search-item');
+            if (!node) return;
+            e.preventDefault();
+            _select(Number(node.dataset.index));
+        });
+        document.addEventListener('click', (e) => {
+            if (!container.contains(e.target)) _close();
+        });
+    }
+
+    return { init };
+})();
+
+window.GlobalSearch = GlobalSearch;
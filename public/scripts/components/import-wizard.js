@@ -0,0 +1,218 @@
+// public/scripts/components/import-wizard.js
+// 職責：公司 / 聯絡人 / 機會批次匯入 (資料來源：/api/imports/:entity/*)
+// 流程：選擇類型與檔案 -> 預覽 (自動對應欄位，可調整) -> 確認匯入；只有「新增 / 更新」列會寫入
+
+const ImportWizard = (() => {
+    const ACTION_LABELS = {
+        create: { text: '新增', color: 'var(--accent-green)' },
+        update: { text: '更新', color: 'var(--accent-blue)' },
+        unchanged: { text: '無變更', color: 'var(--text-muted)' },
+        duplicate: { text: '檔案內重複', color: 'var(--accent-orange)' },
+        error: { text: '錯誤', color: 'var(--accent-red)' }
+    };
+
+    let file = null;
+    let fields = [];
+    let mapping = null;
+    let bound = false;
+
+    function escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    function _injectStyles() {
+        if (document.getElementById('import-wizard-styles')) return;
+        const style = document.createElement('style');
+        style.id = 'import-wizard-styles';
+        style.textContent = `
+            .import-step { margin-top: 1rem; }
+            .import-hint { color: var(--text-muted); font-size: var(--font-size-xs); margin-top: 0.5rem; }
+            .import-mapping-grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(260px, 1fr)); gap: 0.5rem; }
+            .import-mapping-grid label { display: flex; align-items: center; gap: 0.5rem; font-size: var(--font-size-sm); }
+            .import-mapping-grid label span { flex: 0 0 45%; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+            .import-summary { display: flex; gap: 1rem; flex-wrap: wrap; margin-bottom: 0.5rem; font-size: var(--font-size-sm); }
+            .import-table-wrap { max-height: 45vh; overflow: auto; border: 1px solid var(--border-color); border-radius: var(--rounded-md); }
+            .import-table { width: 100%; border-collapse: collapse; font-size: var(--font-size-xs); }
+            .import-table th, .import-table td { padding: 6px 8px; border-bottom: 1px solid var(--border-color); text-align: left; vertical-align: top; }
+            .import-table th { position: sticky; top: 0; background: var(--secondary-bg); }
+            .import-messages { color: var(--accent-red); }
+            .import-messages.warning { color: var(--accent-orange); }
+        `;
+        document.head.appendChild(style);
+    }
+
+    function _readFile(input) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve({ name: input.name, content: String(reader.result).split(',')[1] || '' });
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(input);
+        });
+    }
+
+    function _entity() {
+        return document.getElementById('import-entity').value;
+    }
+
+    function _reset() {
+        mapping = null;
+        document.getElementById('import-mapping').style.display = 'none';
+        document.getElementById('import-preview').style.display = 'none';
+        document.getElementById('import-commit-btn').disabled = true;
+        document.getElementById('import-preview-btn').disabled = !file;
+    }
+
+    function _renderMapping(headers) {
+        const container = document.getElementById('import-mapping');
+        const options = (selected) => ['<option value="">(不匯入)</option>']
+            .concat(fields.map(f => `<option value="${escapeHtml(f.label)}" ${f.label === selected ? 'selected' : ''}>${escapeHtml(f.label)}${f.required ? ' *' : ''}</option>`))
+            .join('');
+
+        container.innerHTML = `
+            <h4 style="margin-bottom: 0.5rem;">欄位對應</h4>
+            <div class="import-mapping-grid">
+                ${headers.map((header, i) => `
+                    <label><span title="${escapeHtml(header)}">${escapeHtml(header)}</span>
+                        <select class="form-select-sm" data-header-index="${i}">${options(mapping[header])}</select>
+                    </label>`).join('')}
+            </div>`;
+        container.style.display = 'block';
+
+        container.querySelectorAll('select').forEach(select => {
+            select.addEventListener('change', () => {
+                const header = headers[Number(select.dataset.headerIndex)];
+                if (select.value) mapping[header] = select.value;
+                else delete mapping[header];
+                document.getElementById('import-commit-btn').disabled = true;
+            });
+        });
+    }
+
+    function _renderPreview(data) {
+        const container = document.getElementById('import-preview');
+        const summary = Object.entries(ACTION_LABELS)
+            .map(([action, meta]) => `<span style="color: ${meta.color};">${meta.text} ${data.summary[action] || 0}</span>`)
+            .join('');
+
+        const rows = data.rows.map(row => {
+            const meta = ACTION_LABELS[row.action];
+            const values = row.action === 'update'
+                ? row.changes.map(c => `${escapeHtml(c.field)}：${escapeHtml(c.from)} → <b>${escapeHtml(c.to)}</b>`).join('<br>')
+                : Object.values(row.data).map(escapeHtml).join(' / ');
+            const messages = [
+                ...row.errors.map(m => `<div class="import-messages">${escapeHtml(m)}</div>`),
+                ...row.warnings.map(m => `<div class="import-messages warning">${escapeHtml(m)}</div>`)
+            ].join('');
+            return `<tr>
+                <td>${row.rowNumber}</td>
+                <td style="color: ${meta.color}; white-space: nowrap;">${meta.text}</td>
+                <td>${values}${messages}</td>
+            </tr>`;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="import-summary"><b>共 ${data.summary.total} 列</b>${summary}</div>
+            <div class="import-table-wrap">
+                <table class="import-table">
+                    <thead><tr><th>列</th><th>處理</th><th>內容 / 訊息</th></tr></thead>
+                    <tbody>${rows || '<tr><td colspan="3">檔案沒有資料列</td></tr>'}</tbody>
+                </table>
+            </div>`;
+        container.style.display = 'block';
+
+        const writable = (data.summary.create || 0) + (data.summary.update || 0);
+        const commitBtn = document.getElementById('import-commit-btn');
+        commitBtn.disabled = writable === 0;
+        commitBtn.textContent = writable > 0 ? `確認匯入 (${writable} 筆)` : '確認匯入';
+    }
+
+    async function _preview() {
+        if (!file) return;
+        const entity = _entity();
+        try {
+            showLoading('解析檔案中...');
+            fields = await authedFetch(`/api/imports/${entity}/fields`).then(r => r.data);
+            const result = await authedFetch(`/api/imports/${entity}/preview`, {
+                method: 'POST',
+                body: JSON.stringify({ file, mapping }),
+                skipRefresh: true
+            });
+            mapping = result.data.mapping;
+            _renderMapping(result.data.headers);
+            _renderPreview(result.data);
+        } catch (error) {
+            console.error('[ImportWizard] Preview Error:', error);
+        } finally {
+            hideLoading();
+        }
+    }
+
+    async function _commit() {
+        const entity = _entity();
+        try {
+            showLoading('匯入中...');
+            const result = await authedFetch(`/api/imports/${entity}/commit`, {
+                method: 'POST',
+                body: JSON.stringify({ file, mapping }),
+                skipRefresh: true
+            });
+            const { created, updated, failed } = result.data;
+            showNotification(`匯入完成：新增 ${created} 筆、更新 ${updated} 筆${failed ? `、失敗 ${failed} 筆` : ''}`, failed ? 'warning' : 'success', 4000);
+            if (failed) {
+                _renderPreview({
+                    summary: result.data.summary,
+                    rows: result.data.rows.filter(r => r.error).map(r => ({
+                        rowNumber: r.rowNumber, action: 'error', data: {}, changes: [], errors: [r.error], warnings: []
+                    }))
+                });
+                return;
+            }
+            closeModal('import-modal');
+            if (window.CRM_APP && typeof window.CRM_APP.refreshCurrentView === 'function') {
+                window.CRM_APP.refreshCurrentView('匯入完成');
+            }
+        } catch (error) {
+            console.error('[ImportWizard] Commit Error:', error);
+        } finally {
+            hideLoading();
+        }
+    }
+
+    function _bind() {
+        if (bound) return;
+        bound = true;
+        document.getElementById('import-entity').addEventListener('change', _reset);
+        document.getElementById('import-file').addEventListener('change', async (e) => {
+            const input = e.target.files[0];
+            file = input ? await _readFile(input) : null;
+            _reset();
+        });
+        document.getElementById('import-preview-btn').addEventListener('click', _preview);
+        document.getElementById('import-commit-btn').addEventListener('click', _commit);
+    }
+
+    /**
+     * 開啟匯入視窗
+     * @param {string} [entity='company'] - company / contact / opportunity
+     */
+    function open(entity = 'company') {
+        if (!document.getElementById('import-modal')) return;
+        _injectStyles();
+        _bind();
+        file = null;
+        document.getElementById('import-file').value = '';
+        document.getElementById('import-entity').value = entity;
+        _reset();
+        showModal('import-modal');
+    }
+
+    return { open };
+})();
+
+window.ImportWizard = ImportWizard;
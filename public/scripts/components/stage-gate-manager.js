@@ -0,0 +1,190 @@
+// public/scripts/components/stage-gate-manager.js
+// 職責：管理員維護階段關卡 (資料來源：/api/stage-gates；機會進程的待辦清單見 opportunities/details/opportunity-stepper.js)
+// 以「機會階段 + 機會種類」識別：相同即更新原規則；停用只是不再檢查，重新儲存即恢復
+
+const StageGateManager = (() => {
+    let rules = [];
+    let meta = { fields: {}, checks: {}, maxCheckCount: 20 };
+    let bound = false;
+
+    function escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    function _injectStyles() {
+        if (document.getElementById('stage-gate-manager-styles')) return;
+        const style = document.createElement('style');
+        style.id = 'stage-gate-manager-styles';
+        style.textContent = `
+            .stage-gate-hint { color: var(--text-muted); font-size: var(--font-size-xs); }
+            .stage-gate-table { width: 100%; border-collapse: collapse; font-size: var(--font-size-sm); }
+            .stage-gate-table th, .stage-gate-table td { padding: 6px 8px; border-bottom: 1px solid var(--border-color); text-align: left; }
+            .stage-gate-table tr.disabled td { color: var(--text-muted); text-decoration: line-through; }
+            .stage-gate-table td.actions { white-space: nowrap; text-align: right; }
+        `;
+        document.head.appendChild(style);
+    }
+
+    function _describe(rule) {
+        const fields = rule.fields.map(key => meta.fields[key] || key);
+        const checks = Object.entries(rule.checks).map(([key, count]) => `${meta.checks[key] || key} ≥ ${count}`);
+        return [...fields, ...checks].map(escapeHtml).join('、');
+    }
+
+    function _renderList() {
+        const container = document.getElementById('stage-gate-list');
+        if (rules.length === 0) {
+            container.innerHTML = '<div class="alert alert-info" style="text-align:center;">尚未設定階段關卡，機會可自由推進</div>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="stage-gate-table">
+                <thead><tr><th>機會階段</th><th>機會種類</th><th>條件</th><th>說明</th><th></th></tr></thead>
+                <tbody>
+                    ${rules.map((r, index) => `
+                        <tr class="${r.enabled ? '' : 'disabled'}">
+                            <td>${escapeHtml(r.stageLabel)}</td>
+                            <td>${r.opportunityType ? escapeHtml(r.opportunityType) : '全部'}</td>
+                            <td>${_describe(r)}</td>
+                            <td>${escapeHtml(r.note)}</td>
+                            <td class="actions">
+                                <button type="button" class="action-btn small secondary" data-action="edit" data-index="${index}">${r.enabled ? '編輯' : '重新啟用'}</button>
+                                ${r.enabled ? `<button type="button" class="action-btn small danger" data-action="disable" data-index="${index}">停用</button>` : ''}
+                            </td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>`;
+    }
+
+    function _fillForm(rule) {
+        const r = rule || { stage: '', opportunityType: '', fields: [], checks: {}, note: '' };
+        const stageSelect = document.getElementById('stage-gate-stage');
+        const typeSelect = document.getElementById('stage-gate-type');
+        stageSelect.value = r.stage || stageSelect.options[0]?.value || '';
+        typeSelect.value = r.opportunityType;
+        stageSelect.disabled = !!rule;
+        typeSelect.disabled = !!rule;
+        document.querySelectorAll('#stage-gate-fields input').forEach(input => {
+            input.checked = r.fields.includes(input.value);
+        });
+        document.querySelectorAll('#stage-gate-checks input').forEach(input => {
+            input.value = r.checks[input.dataset.check] || 0;
+        });
+        document.getElementById('stage-gate-note').value = r.note;
+        document.getElementById('stage-gate-form-title').textContent = rule ? `編輯規則：${rule.stageLabel}` : '新增規則';
+    }
+
+    async function _load() {
+        const result = await authedFetch('/api/stage-gates?all=1');
+        rules = result.data || [];
+        meta = result.meta || meta;
+    }
+
+    async function _refresh() {
+        await _load();
+        _renderList();
+    }
+
+    async function _save(event) {
+        event.preventDefault();
+        const checks = {};
+        document.querySelectorAll('#stage-gate-checks input').forEach(input => {
+            checks[input.dataset.check] = input.value;
+        });
+        const payload = {
+            stage: document.getElementById('stage-gate-stage').value,
+            opportunityType: document.getElementById('stage-gate-type').value,
+            fields: Array.from(document.querySelectorAll('#stage-gate-fields input:checked')).map(input => input.value),
+            checks,
+            note: document.getElementById('stage-gate-note').value.trim(),
+            enabled: true
+        };
+
+        try {
+            showLoading('儲存中...');
+            const result = await authedFetch('/api/stage-gates', { method: 'POST', body: JSON.stringify(payload), skipRefresh: true });
+            showNotification(`「${result.data.stageLabel}」的階段關卡已儲存`, 'success');
+            _fillForm(null);
+            await _refresh();
+        } catch (error) {
+            console.error('[StageGateManager] Save Error:', error);
+        } finally {
+            hideLoading();
+        }
+    }
+
+    function _disable(rule) {
+        const scope = rule.opportunityType ? `(${rule.opportunityType})` : '(全部種類)';
+        confirmAction(`確定要停用「${rule.stageLabel}」${scope}的階段關卡嗎？停用後推進到此階段不再檢查這些條件。`, async () => {
+            try {
+                showLoading('停用中...');
+                const query = rule.opportunityType ? `?opportunityType=${encodeURIComponent(rule.opportunityType)}` : '';
+                await authedFetch(`/api/stage-gates/${encodeURIComponent(rule.stage)}${query}`, { method: 'DELETE', skipRefresh: true });
+                showNotification(`已停用「${rule.stageLabel}」${scope}的階段關卡`, 'success');
+                await _refresh();
+            } catch (error) {
+                console.error('[StageGateManager] Disable Error:', error);
+            } finally {
+                hideLoading();
+            }
+        });
+    }
+
+    function _bind() {
+        if (bound) return;
+        bound = true;
+
+        const systemConfig = window.CRM_APP?.systemConfig || {};
+        document.getElementById('stage-gate-stage').innerHTML = (systemConfig['機會階段'] || [])
+            .map(item => `<option value="${escapeHtml(item.value)}">${escapeHtml(item.note || item.value)}</option>`).join('');
+        document.getElementById('stage-gate-type').innerHTML = '<option value="">全部種類</option>' + (systemConfig['機會種類'] || [])
+            .map(item => `<option value="${escapeHtml(item.value)}">${escapeHtml(item.note || item.value)}</option>`).join('');
+        document.getElementById('stage-gate-fields').innerHTML = Object.entries(meta.fields)
+            .map(([key, label]) => `<label style="display: flex; align-items: center; gap: 6px;"><input type="checkbox" value="${escapeHtml(key)}"> ${escapeHtml(label)}</label>`).join('');
+        document.getElementById('stage-gate-checks').innerHTML = Object.entries(meta.checks)
+            .map(([key, label]) => `<div class="form-group"><label class="form-label">最少${escapeHtml(label)}筆數</label><input type="number" class="form-input" min="0" max="${meta.maxCheckCount}" value="0" data-check="${escapeHtml(key)}"></div>`).join('');
+
+        document.getElementById('stage-gate-reset-btn').addEventListener('click', () => _fillForm(null));
+        document.getElementById('stage-gate-form').addEventListener('submit', _save);
+        document.getElementById('stage-gate-list').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (!btn) return;
+            const rule = rules[Number(btn.dataset.index)];
+            if (!rule) return;
+            if (btn.dataset.action === 'disable') return _disable(rule);
+            _fillForm(rule);
+        });
+    }
+
+    /**
+     * 開啟階段關卡管理視窗 (僅管理員)
+     */
+    async function open() {
+        if (!document.getElementById('stage-gate-modal')) return;
+        _injectStyles();
+        try {
+            showLoading('載入階段關卡...');
+            await _load();
+        } catch (error) {
+            console.error('[StageGateManager] Load Error:', error);
+            return;
+        } finally {
+            hideLoading();
+        }
+        _bind();
+        _fillForm(null);
+        _renderList();
+        showModal('stage-gate-modal');
+    }
+
+    return { open };
+})();
+
+window.StageGateManager = StageGateManager;
@@ -106,15 +106,18 @@ const PotentialContactsManager = (() => {
         showConfirmDialog(confirmMsg, async () => {
             showLoading('正在建立聯絡人檔案...');
             try {
-                const result = await authedFetch(`/api/contacts/${contactData.rowIndex}/file`, {
+                const result = await authedFetch(`/api/contacts/potential/${encodeURIComponent(contactData.originalId)}/file`, {
                     method: 'POST'
                 });
                 
                 if (result.success) {
                     showNotification('聯絡人建檔成功！', 'success');
-                    // 重新載入當前頁面以刷新狀態
+                    // 重新載入當前頁面以刷新狀態 (公司詳細頁以網址上的 companyId 定位)
+                    const companyId = new URLSearchParams(window.location.hash.split('?')[1] || '').get('companyId');
                     const companyName = document.querySelector('#page-title').textContent;
-                    if (companyName) {
+                    if (companyId) {
+                       await CRM_APP.navigateTo('company-details', { companyId });
+                    } else if (companyName) {
                        await CRM_APP.navigateTo('company-details', { companyName: encodeURIComponent(companyName) });
                     }
                 } else {
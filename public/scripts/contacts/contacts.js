@@ -186,7 +186,8 @@ function renderContactsTable(data) {
         const isUpgraded = contact.status === '已升級';
         const isArchived = contact.status === '已歸檔';
         const isFiled = contact.status === '已建檔';
-        const isPending = !isUpgraded && !isArchived && !isFiled;
+        const isMerged = contact.status === '已合併';
+        const isPending = !isUpgraded && !isArchived && !isFiled && !isMerged;
 
         // 安全序列化
         const contactJsonString = JSON.stringify(contact).replace(/'/g, "&apos;").replace(/"/g, '&quot;');
@@ -209,6 +210,8 @@ function renderContactsTable(data) {
             statusBadge = `<span class="contact-card-status archived">已歸檔</span>`;
         } else if (isFiled) {
             statusBadge = `<span class="contact-card-status filed">已建檔</span>`;
+        } else if (isMerged) {
+            statusBadge = `<span class="contact-card-status merged">已合併</span>`;
         } else { 
             statusBadge = `<span class="contact-card-status pending">待處理</span>`;
         }
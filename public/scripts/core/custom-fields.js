@@ -0,0 +1,210 @@
+// public/scripts/core/custom-fields.js
+// 職責：自訂欄位的顯示、輸入與收集 (定義：GET /api/custom-fields，依登入者角色過濾；維護：components/custom-field-manager.js)
+// 定義於系統啟動時載入一次 (CRM_APP.init)，各詳細頁同步呼叫 renderView / renderInputs；
+// 送出時 collect() 只回傳有變更的欄位，伺服器端合併寫入，因此不會覆蓋其他欄位或看不到的欄位。
+
+const CustomFields = (() => {
+    let definitions = {};
+    let meta = null;
+    let loadPromise = null;
+
+    function escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    function _injectStyles() {
+        if (document.getElementById('custom-fields-styles')) return;
+        const style = document.createElement('style');
+        style.id = 'custom-fields-styles';
+        style.textContent = `
+            .custom-fields-grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 12px 20px; }
+            .custom-field-item { display: flex; flex-direction: column; gap: 4px; min-width: 0; }
+            .custom-field-label { font-size: 0.85rem; color: var(--text-muted); font-weight: 500; }
+            .custom-field-value { font-size: 0.95rem; color: var(--text-primary); white-space: pre-wrap; word-break: break-word; }
+            .custom-field-value.empty { color: var(--text-muted); }
+            .custom-fields-section { margin-top: var(--spacing-6, 24px); padding-top: var(--spacing-4, 16px); border-top: 1px solid var(--border-color); }
+            .custom-fields-section-title { font-weight: 600; margin-bottom: 12px; }
+        `;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * 載入欄位定義 (失敗時視為沒有自訂欄位，不影響既有畫面)
+     * @param {boolean} [force=false] - 管理員修改定義後重新載入
+     */
+    function load(force = false) {
+        if (!loadPromise || force) {
+            loadPromise = authedFetch('/api/custom-fields')
+                .then(result => {
+                    definitions = result.data || {};
+                    meta = result.meta || null;
+                    return definitions;
+                })
+                .catch(error => {
+                    console.warn('[CustomFields] 無法載入自訂欄位定義:', error.message);
+                    loadPromise = null;
+                    definitions = {};
+                    return definitions;
+                });
+        }
+        return loadPromise;
+    }
+
+    /**
+     * @param {string} entity - opportunity / company / contact
+     * @returns {Array<Object>} 目前角色可見的啟用欄位
+     */
+    function getFields(entity) {
+        return definitions[entity] || [];
+    }
+
+    function getMeta() {
+        return meta;
+    }
+
+    function _displayValue(field, value) {
+        if (value === null || value === undefined || value === '') return null;
+        if (field.type === 'checkbox') return value === true || value === 'true' ? '是' : '否';
+        if (field.type === 'number') {
+            const num = Number(value);
+            return isNaN(num) ? String(value) : num.toLocaleString();
+        }
+        return String(value);
+    }
+
+    /**
+     * 唯讀顯示
+     * @param {string} entity
+     * @param {Object} [values] - 資料的 customFields
+     * @returns {string} HTML；沒有可見欄位時回傳空字串
+     */
+    function renderView(entity, values = {}) {
+        const fields = getFields(entity);
+        if (fields.length === 0) return '';
+        _injectStyles();
+
+        return `<div class="custom-fields-grid">
+            ${fields.map(field => {
+                const display = _displayValue(field, (values || {})[field.key]);
+                return `<div class="custom-field-item">
+                    <span class="custom-field-label">${escapeHtml(field.label)}</span>
+                    <span class="custom-field-value ${display === null ? 'empty' : ''}">${display === null ? '-' : escapeHtml(display)}</span>
+                </div>`;
+            }).join('')}
+        </div>`;
+    }
+
+    function _renderInput(field, value) {
+        const attrs = `data-custom-field="${escapeHtml(field.key)}" data-field-type="${field.type}"`;
+        const current = value === null || value === undefined ? '' : value;
+        switch (field.type) {
+            case 'textarea':
+                return `<textarea class="form-textarea" rows="3" ${attrs}>${escapeHtml(current)}</textarea>`;
+            case 'number':
+                return `<input type="number" step="any" class="form-input" ${attrs} value="${escapeHtml(current)}">`;
+            case 'date':
+                return `<input type="date" class="form-input" ${attrs} value="${escapeHtml(String(current).slice(0, 10))}">`;
+            case 'select':
+                return `<select class="form-select" ${attrs}>
+                    <option value="">請選擇...</option>
+                    ${field.options.map(o => `<option value="${escapeHtml(o)}" ${o === current ? 'selected' : ''}>${escapeHtml(o)}</option>`).join('')}
+                    ${current && !field.options.includes(current) ? `<option value="${escapeHtml(current)}" selected>${escapeHtml(current)} (已停用選項)</option>` : ''}
+                </select>`;
+            case 'checkbox':
+                return `<label style="display: flex; align-items: center; gap: 6px;"><input type="checkbox" ${attrs} ${current === true || current === 'true' ? 'checked' : ''}> 是</label>`;
+            default:
+                return `<input type="text" class="form-input" ${attrs} value="${escapeHtml(current)}">`;
+        }
+    }
+
+    /**
+     * 編輯表單輸入欄位 (不設定 name，避免被 FormData 收進主要欄位)
+     * @param {string} entity
+     * @param {Object} [values]
+     * @param {Object} [options]
+     * @param {string} [options.title] - 區塊標題；不帶時不加區塊外框
+     * @returns {string} HTML；沒有可見欄位時回傳空字串
+     */
+    function renderInputs(entity, values = {}, { title } = {}) {
+        const fields = getFields(entity);
+        if (fields.length === 0) return '';
+        _injectStyles();
+
+        const grid = `<div class="custom-fields-grid">
+            ${fields.map(field => `
+                <div class="form-group custom-field-item">
+                    <label class="form-label">${escapeHtml(field.label)}${field.required ? ' *' : ''}</label>
+                    ${_renderInput(field, (values || {})[field.key])}
+                </div>`).join('')}
+        </div>`;
+
+        return title
+            ? `<div class="custom-fields-section"><div class="custom-fields-section-title">${escapeHtml(title)}</div>${grid}</div>`
+            : grid;
+    }
+
+    function _sameValue(type, a, b) {
+        if (type === 'checkbox') return (a === true || a === 'true') === (b === true || b === 'true');
+        const normalize = (v) => (v === null || v === undefined ? '' : String(v));
+        return normalize(a) === normalize(b);
+    }
+
+    /**
+     * 收集輸入值
+     * @param {Element} container - 含 renderInputs() 輸出的元素
+     * @param {Object} [original] - 編輯前的值 (預設取 mount() 記錄的值)；有值時只回傳有變更的欄位
+     * @returns {Object|undefined} { key: value }，空白為 null (清除)；沒有欄位或沒有變更時回傳 undefined
+     */
+    function collect(container, original) {
+        if (!container) return undefined;
+        if (!original && container.dataset.originalValues) original = JSON.parse(container.dataset.originalValues);
+        const result = {};
+        container.querySelectorAll('[data-custom-field]').forEach(el => {
+            const key = el.dataset.customField;
+            const value = el.dataset.fieldType === 'checkbox' ? el.checked : (el.value.trim() || null);
+            if (original && _sameValue(el.dataset.fieldType, value, original[key])) return;
+            result[key] = value;
+        });
+        return Object.keys(result).length > 0 ? result : undefined;
+    }
+
+    /**
+     * 取得單筆資料的欄位與值 (清單資料不含自訂欄位時使用，例如聯絡人編輯)
+     * @returns {Promise<Object>} customFields
+     */
+    async function fetchValues(entity, entityId) {
+        if (getFields(entity).length === 0 || !entityId) return {};
+        try {
+            const result = await authedFetch(`/api/custom-fields/${entity}/${encodeURIComponent(entityId)}/values`);
+            return (result.data && result.data.values) || {};
+        } catch (error) {
+            console.warn('[CustomFields] 無法載入自訂欄位值:', error.message);
+            return {};
+        }
+    }
+
+    /**
+     * 在既有表單中載入並顯示某筆資料的自訂欄位輸入 (聯絡人編輯視窗等)
+     * 編輯前的值記錄在 container 上，collect(container) 即只回傳有變更的欄位
+     * @param {Element} container
+     * @param {string} entity
+     * @param {string} entityId
+     */
+    async function mount(container, entity, entityId) {
+        if (!container || getFields(entity).length === 0) return;
+        const values = await fetchValues(entity, entityId);
+        if (!container.isConnected) return;
+        container.dataset.originalValues = JSON.stringify(values);
+        container.innerHTML = renderInputs(entity, values);
+    }
+
+    return { load, getFields, getMeta, renderView, renderInputs, collect, fetchValues, mount };
+})();
+
+window.CustomFields = CustomFields;
@@ -0,0 +1,159 @@
+// public/scripts/core/event-templates.js
+// 職責：事件範本 (事件類型的區塊與欄位) 的讀取、輸入欄位與報告顯示 (定義：GET /api/event-templates；維護：components/event-template-manager.js)
+// 範本於系統啟動時載入一次 (CRM_APP.init)；新增精靈、獨立編輯器與事件報告皆依範本產生類型卡片與專屬欄位。
+// 欄位值：內建類型的既有欄位在事件本體 (工作表為 iot_* / dt_*，SQL 為 alias)，其餘範本欄位在 event.details。
+
+const EventTemplates = (() => {
+    let templates = [];
+    let meta = null;
+    let loadPromise = null;
+
+    function escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    /**
+     * 載入範本 (失敗時沿用上次載入的範本，不影響既有畫面)
+     * @param {boolean} [force=false] - 管理員修改範本後重新載入
+     */
+    function load(force = false) {
+        if (!loadPromise || force) {
+            loadPromise = authedFetch('/api/event-templates')
+                .then(result => {
+                    templates = result.data || [];
+                    meta = result.meta || null;
+                    return templates;
+                })
+                .catch(error => {
+                    console.warn('[EventTemplates] 無法載入事件範本:', error.message);
+                    loadPromise = null;
+                    return templates;
+                });
+        }
+        return loadPromise;
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.includeDisabled=false] - 含停用的類型 (既有事件仍需顯示)
+     * @returns {Array<Object>} 依顯示順序排列的範本
+     */
+    function list({ includeDisabled = false } = {}) {
+        return includeDisabled ? templates : templates.filter(t => t.enabled);
+    }
+
+    function get(type) {
+        return templates.find(t => t.type === type) || null;
+    }
+
+    function getMeta() {
+        return meta;
+    }
+
+    function getLabel(type) {
+        const template = get(type);
+        return template ? template.label : (type || '').toUpperCase();
+    }
+
+    /**
+     * 類型卡片清單：啟用的類型，加上目前事件所屬但已停用的類型
+     * @param {string} [currentType]
+     */
+    function selectableTypes(currentType) {
+        return templates.filter(t => t.enabled || t.type === currentType);
+    }
+
+    function _fields(type) {
+        const template = get(type);
+        return template ? template.sections.flatMap(section => section.fields) : [];
+    }
+
+    /**
+     * 讀取事件的範本欄位值
+     * @param {Object} event
+     * @param {Object} field - 範本欄位
+     */
+    function getValue(event, field) {
+        if (!event) return '';
+        const details = event.details || {};
+        if (details[field.key] !== undefined && details[field.key] !== null) return details[field.key];
+        if (event[field.key] !== undefined && event[field.key] !== null && event[field.key] !== '') return event[field.key];
+        if (field.alias && event[field.alias] !== undefined && event[field.alias] !== null) return event[field.alias];
+        return '';
+    }
+
+    function _renderInput(field, value) {
+        const name = escapeHtml(field.key);
+        const placeholder = escapeHtml(field.placeholder || '');
+        const current = value === null || value === undefined ? '' : String(value);
+        switch (field.type) {
+            case 'textarea':
+                return `<textarea class="form-textarea" name="${name}" rows="1" placeholder="${placeholder}">${escapeHtml(current)}</textarea>`;
+            case 'number':
+                return `<input type="number" step="any" class="iso-input" name="${name}" value="${escapeHtml(current)}" placeholder="${placeholder}">`;
+            case 'select':
+                return `<select class="iso-input" name="${name}">
+                    <option value="">請選擇...</option>
+                    ${field.options.map(o => `<option value="${escapeHtml(o)}" ${o === current ? 'selected' : ''}>${escapeHtml(o)}</option>`).join('')}
+                    ${current && !field.options.includes(current) ? `<option value="${escapeHtml(current)}" selected>${escapeHtml(current)} (已停用選項)</option>` : ''}
+                </select>`;
+            case 'multiselect': {
+                const selected = current.split(',').map(s => s.trim()).filter(Boolean);
+                const options = [...field.options, ...selected.filter(s => !field.options.includes(s))];
+                return `<div class="checkbox-group">${options.map(o => `<label><input type="checkbox" name="${name}" value="${escapeHtml(o)}" ${selected.includes(o) ? 'checked' : ''}> ${escapeHtml(o)}</label>`).join('')}</div>`;
+            }
+            default:
+                return `<input type="text" class="iso-input" name="${name}" value="${escapeHtml(current)}" placeholder="${placeholder}">`;
+        }
+    }
+
+    /**
+     * 編輯表單的專屬欄位 (以 name 送出，與事件共用欄位一起由 FormData 收集；複選為同名 checkbox)
+     * @param {string} type
+     * @param {Object} [event] - 目前的事件資料
+     * @returns {string} HTML；範本沒有欄位時回傳空字串
+     */
+    function renderInputs(type, event = {}) {
+        const template = get(type);
+        if (!template || _fields(type).length === 0) return '';
+
+        const showTitles = template.sections.length > 1;
+        return template.sections.map(section => `
+            ${showTitles ? `<h4 class="iso-label" style="margin: 8px 0 12px; font-size: 0.95rem;">${escapeHtml(section.title)}</h4>` : ''}
+            ${section.fields.map(field => `
+                <div class="form-group">
+                    <label class="iso-label">${escapeHtml(field.label)}${field.type === 'multiselect' ? '(可多選)' : ''}</label>
+                    ${_renderInput(field, getValue(event, field))}
+                </div>`).join('')}
+        `).join('');
+    }
+
+    /**
+     * 報告用的區塊與值 (只含有值的欄位；沒有值的區塊不列出)
+     * @param {Object} event
+     * @returns {Array<{ title: string, items: Array<{ label: string, value: string }> }>}
+     */
+    function getReportSections(event) {
+        const template = get(event.eventType);
+        if (!template) return [];
+        return template.sections
+            .map(section => ({
+                title: section.title,
+                items: section.fields
+                    .map(field => ({ label: field.label, value: getValue(event, field) }))
+                    .filter(item => item.value !== '' && item.value !== null && item.value !== undefined)
+                    .map(item => ({ label: item.label, value: String(item.value) }))
+            }))
+            .filter(section => section.items.length > 0);
+    }
+
+    return { load, list, get, getMeta, getLabel, selectableTypes, getValue, renderInputs, getReportSections };
+})();
+
+window.EventTemplates = EventTemplates;
@@ -0,0 +1,44 @@
+// public/scripts/core/form-validation.js
+// 職責：送出表單前以伺服器端相同的規則檢查資料 (規則：GET /api/schemas；驗證器：/scripts/shared/request-validator.js)
+// 伺服器端仍會再驗證一次 (middleware/validation.middleware.js)；規則載入失敗時直接交由伺服器端檢查。
+
+const FormValidation = (() => {
+    let schemasPromise = null;
+
+    function loadSchemas() {
+        if (!schemasPromise) {
+            schemasPromise = authedFetch('/api/schemas')
+                .then(result => result.data || null)
+                .catch(error => {
+                    console.warn('[FormValidation] 無法載入驗證規則，改由伺服器端檢查:', error.message);
+                    schemasPromise = null;
+                    return null;
+                });
+        }
+        return schemasPromise;
+    }
+
+    /**
+     * 檢查資料；有錯誤時顯示逐欄訊息
+     * @param {string} schemaName - data/request-schemas.js 的鍵 (例如 'opportunity')
+     * @param {object} payload - 即將送出的資料
+     * @param {object} [options]
+     * @param {boolean} [options.partial=false] - 更新模式：只檢查有帶入的欄位
+     * @returns {Promise<boolean>} 是否通過
+     */
+    async function check(schemaName, payload, { partial = false } = {}) {
+        if (typeof RequestValidator === 'undefined') return true;
+        const schemas = await loadSchemas();
+        if (!schemas || !schemas[schemaName]) return true;
+
+        const errors = RequestValidator.validate(schemas[schemaName], payload, { partial, schemas });
+        if (errors.length === 0) return true;
+
+        showNotification(`請修正以下欄位：${RequestValidator.summarize(errors)}`, 'warning', 5000);
+        return false;
+    }
+
+    return { loadSchemas, check };
+})();
+
+window.FormValidation = FormValidation;
@@ -150,12 +150,59 @@ const LayoutManager = {
             </a>
         `;
 
+        // 自訂欄位管理 (彈出視窗，見 components/custom-field-manager.js)
+        const customFieldItem = document.createElement('li');
+        customFieldItem.id = 'nav-custom-fields';
+        customFieldItem.className = 'nav-item admin-restricted';
+        customFieldItem.innerHTML = `
+            <a href="#" class="nav-link" onclick="event.preventDefault(); if (window.CustomFieldManager) CustomFieldManager.open();">
+                <svg class="nav-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect>
+                    <line x1="12" y1="8" x2="12" y2="16"></line>
+                    <line x1="8" y1="12" x2="16" y2="12"></line>
+                </svg>
+                <span class="nav-text">自訂欄位</span>
+            </a>
+        `;
+
+        // 事件範本管理 (彈出視窗，見 components/event-template-manager.js)
+        const eventTemplateItem = document.createElement('li');
+        eventTemplateItem.id = 'nav-event-templates';
+        eventTemplateItem.className = 'nav-item admin-restricted';
+        eventTemplateItem.innerHTML = `
+            <a href="#" class="nav-link" onclick="event.preventDefault(); if (window.EventTemplateManager) EventTemplateManager.open();">
+                <svg class="nav-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path>
+                    <polyline points="14 2 14 8 20 8"></polyline>
+                    <line x1="8" y1="13" x2="16" y2="13"></line>
+                    <line x1="8" y1="17" x2="16" y2="17"></line>
+                </svg>
+                <span class="nav-text">事件範本</span>
+            </a>
+        `;
+
+        // 階段關卡管理 (彈出視窗，見 components/stage-gate-manager.js)
+        const stageGateItem = document.createElement('li');
+        stageGateItem.id = 'nav-stage-gates';
+        stageGateItem.className = 'nav-item admin-restricted';
+        stageGateItem.innerHTML = `
+            <a href="#" class="nav-link" onclick="event.preventDefault(); if (window.StageGateManager) StageGateManager.open();">
+                <svg class="nav-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <path d="M9 11l3 3L22 4"></path>
+                    <path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"></path>
+                </svg>
+                <span class="nav-text">階段關卡</span>
+            </a>
+        `;
+
         const systemConfigItem = Array.from(sidebarNav.children).find(li => li.textContent.includes('系統設定'));
-        if (systemConfigItem) {
-            sidebarNav.insertBefore(adminItem, systemConfigItem);
-        } else {
-            sidebarNav.appendChild(adminItem);
-        }
+        [adminItem, customFieldItem, eventTemplateItem, stageGateItem].forEach(item => {
+            if (systemConfigItem) {
+                sidebarNav.insertBefore(item, systemConfigItem);
+            } else {
+                sidebarNav.appendChild(item);
+            }
+        });
     },
 
     refreshRoleDisplay() {
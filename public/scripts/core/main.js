@@ -123,6 +123,8 @@ CRM_APP.init = async function() {
     try {
         await this.loadResources();
         await this.loadConfig();
+        if (window.CustomFields) await CustomFields.load();
+        if (window.EventTemplates) await EventTemplates.load();
         LayoutManager.init();
         
         // Use SmartPolling instead of legacy startDataPolling
@@ -130,6 +132,8 @@ CRM_APP.init = async function() {
 
         Router.init();
 
+        if (window.GlobalSearch) GlobalSearch.init('#global-search');
+
         if (window.kanbanBoardManager?.initialize) {
             window.kanbanBoardManager.initialize();
         }
@@ -176,7 +180,8 @@ CRM_APP.loadResources = async function() {
     const components = [
         'contact-modals', 'opportunity-modals', 'meeting-modals', 
         'system-modals', 'event-log-modal', 'link-contact-modal', 
-        'link-opportunity-modal', 'announcement-modals'
+        'link-opportunity-modal', 'announcement-modals', 'import-modals',
+        'custom-field-modals', 'event-template-modals', 'stage-gate-modals'
     ];
     
     const container = document.getElementById('modal-container');
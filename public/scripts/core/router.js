@@ -150,7 +150,7 @@ const Router = {
                 try {
                     if (isDetailPage) {
                         // 自動推斷參數 Key
-                        let paramValue = params.weekId || params.opportunityId || params.companyName || Object.values(params)[0];
+                        let paramValue = params.weekId || params.opportunityId || params.companyId || params.companyName || Object.values(params)[0];
                         if (!paramValue) throw new Error(`缺少頁面所需參數: ${pageName}`);
                         await loadFn(paramValue);
                     } else {
@@ -184,8 +184,7 @@ const DashboardWidgets = {
                 if (i.opportunityId) {
                     contextLink = `<a href="#" class="text-link" onclick="event.preventDefault(); CRM_APP.navigateTo('opportunity-details', { opportunityId: '${i.opportunityId}' })">${i.contextName}</a>`;
                 } else if (i.companyId && i.contextName !== '系統活動' && i.contextName !== '未知公司' && i.contextName !== '未指定') {
-                    const encodedCompanyName = encodeURIComponent(i.contextName);
-                    contextLink = `<a href="#" class="text-link" onclick="event.preventDefault(); CRM_APP.navigateTo('company-details', { companyName: '${encodedCompanyName}' })">${i.contextName}</a>`;
+                    contextLink = `<a href="#" class="text-link" onclick="event.preventDefault(); CRM_APP.navigateTo('company-details', { companyId: '${i.companyId}' })">${i.contextName}</a>`;
                 }
                 
                 // 處理連結內容的 markdown 格式
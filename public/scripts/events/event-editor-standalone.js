@@ -5,7 +5,7 @@
  */
 
 // public/scripts/events/event-editor-standalone.js
-// 職責：獨立的事件編輯器控制器 (含 DT Placeholders)
+// 職責：獨立的事件編輯器控制器 (類型卡片與專屬欄位依事件範本產生，見 core/event-templates.js)
 // (Refactored: Fix Zero-Dimension Trap via ResizeObserver - Loop Safe)
 
 // [Forensics Probe] Debug Counter
@@ -26,11 +26,6 @@ const EventEditorStandalone = (() => {
     let _isOpening = false;
     let _originalOverflow = { body: '', html: '' };
 
-    const DEFAULT_OPTIONS = {
-        lineFeatures: ['工具機', 'ROBOT', '傳產機', 'PLC'],
-        painPoints: ['Monitoring', 'Improve OEE', 'Reduce Man-hours', 'Others']
-    };
-
     // 【新增】確保模板已載入
     async function _ensureTemplateLoaded() {
         if (document.getElementById('standalone-event-modal')) return;
@@ -278,7 +273,7 @@ const EventEditorStandalone = (() => {
         let mergedData = '';
 
         if (container) {
-            container.querySelectorAll('input[type="text"], textarea').forEach(el => {
+            container.querySelectorAll('input[type="text"], input[type="number"], select, textarea').forEach(el => {
                 if (el.value && el.value.trim()) {
                     hasData = true;
                     const label = el.closest('.form-group')?.querySelector('label')?.textContent || el.name;
@@ -310,34 +305,38 @@ const EventEditorStandalone = (() => {
         }
     }
 
-    async function _applyTypeSwitch(newType, eventData) {
+    // 類型卡片：啟用的範本，加上目前事件所屬但已停用的類型
+    function _renderTypeCards(selectedType) {
         const grid = document.querySelector('#standalone-event-modal .type-select-grid');
-        if (grid) {
-            grid.querySelectorAll('.type-select-card').forEach(el => el.classList.remove('selected'));
-            const target = grid.querySelector(`.type-select-card[data-type="${newType}"]`);
-            if(target) target.classList.add('selected');
-        }
+        if (!grid) return;
+        grid.innerHTML = EventTemplates.selectableTypes(selectedType).map(t => `
+            <div class="type-select-card ${t.type === selectedType ? 'selected' : ''}" data-type="${t.type}" onclick="EventEditorStandalone.selectType('${t.type}', this)">
+                <div class="type-icon">${_escapeHtml(t.icon)}</div>
+                <div class="type-text">${_escapeHtml(t.label)}</div>
+            </div>`).join('');
+    }
+
+    function _escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    async function _applyTypeSwitch(newType, eventData) {
+        _renderTypeCards(newType);
         _inputs.type.value = newType;
 
         _updateSpecificCardColor(newType);
-        _inputs.specificContainer.innerHTML = '';
+        const fieldsHTML = EventTemplates.renderInputs(newType, eventData);
+        _inputs.specificContainer.innerHTML = fieldsHTML;
         
-        if (newType === 'general') {
+        if (newType === 'general' && !fieldsHTML) {
             _inputs.specificWrapper.style.display = 'none';
             _inputs.workspaceGrid.classList.remove('has-sidebar');
         } else {
             _inputs.specificWrapper.style.display = 'block';
             _inputs.workspaceGrid.classList.add('has-sidebar');
             
-            if (newType === 'iot') {
-                _renderIoTFields(eventData);
-            } else if (newType === 'dt') {
-                _renderSimpleFields(eventData, 
-                    ['dt_deviceScale', 'dt_processingType', 'dt_industry'], 
-                    ['設備規模', '加工類型', '加工產業別'],
-                    ['例：預計導入機台數、場域大小...', '例：CNC、射出成型、組裝...', '例：航太、半導體、車用...']
-                );
-            } else {
+            if (!fieldsHTML) {
                 _inputs.specificContainer.innerHTML = '<p style="color:var(--text-muted); text-align:center; padding:20px;">無專屬欄位設定</p>';
             }
             
@@ -359,51 +358,6 @@ const EventEditorStandalone = (() => {
         _inputs.specificTitle.style.borderBottomColor = `color-mix(in srgb, ${baseColor} 20%, white)`;
     }
 
-    function _renderIoTFields(data) {
-        const container = _inputs.specificContainer;
-
-        // ✅ v1.0.6：避免 UX 退化 — 設備規模改回 textarea（承襲你 v1.0.3 的修正）
-        container.innerHTML += _createTextareaHTML('iot_deviceScale', '設備規模', data.iot_deviceScale, '例：機台數量 50 台、PLC 型號...');
-
-        const lineFeaturesVal = (data.iot_lineFeatures || '').split(',').map(s=>s.trim());
-        container.innerHTML += _createCheckboxGroupHTML('iot_lineFeatures', '生產線特徵(可多選)', DEFAULT_OPTIONS.lineFeatures, lineFeaturesVal);
-
-        container.innerHTML += _createTextareaHTML('iot_productionStatus', '生產現況', data.iot_productionStatus, '請描述客戶目前的生產流程、稼動率或遇到的瓶頸...');
-        container.innerHTML += _createTextareaHTML('iot_iotStatus', 'IoT現況', data.iot_iotStatus, '客戶是否已導入 MES、ERP 或其他聯網系統？');
-        
-        const painPointsVal = (data.iot_painPoints || '').split(',').map(s=>s.trim());
-        container.innerHTML += _createCheckboxGroupHTML('iot_painPoints', '痛點分類(可多選)', DEFAULT_OPTIONS.painPoints, painPointsVal);
-
-        container.innerHTML += _createTextareaHTML('iot_painPointDetails', '客戶痛點說明', data.iot_painPointDetails, '請詳細描述客戶提出的具體困難點...');
-        container.innerHTML += _createTextareaHTML('iot_painPointAnalysis', '痛點分析與對策', data.iot_painPointAnalysis, '針對上述痛點，我方提出的分析觀點或初步對策...');
-        container.innerHTML += _createTextareaHTML('iot_systemArchitecture', '系統架構', data.iot_systemArchitecture, '請描述預計導入的架構、硬體配置或軟體模組...');
-    }
-
-    function _renderSimpleFields(data, keys, labels, placeholders = []) {
-        let html = '';
-        keys.forEach((key, idx) => {
-            html += _createInputHTML(key, labels[idx], data[key], placeholders[idx] || '');
-        });
-        _inputs.specificContainer.innerHTML = html;
-    }
-
-    function _createInputHTML(name, label, value = '', placeholder = '') {
-        return `<div class="form-group"><label class="iso-label">${label}</label><input type="text" class="iso-input" name="${name}" value="${value}" placeholder="${placeholder}"></div>`;
-    }
-    
-    // 這裡會產生 <textarea class="form-textarea">，搭配 CSS 的 resize: vertical 即可調整
-    function _createTextareaHTML(name, label, value = '', placeholder = '') {
-        return `<div class="form-group"><label class="iso-label">${label}</label><textarea class="form-textarea" name="${name}" rows="1" placeholder="${placeholder}">${value}</textarea></div>`;
-    }
-    
-    function _createCheckboxGroupHTML(name, label, options, selectedValues) {
-        let checks = options.map(opt => {
-            const checked = selectedValues.includes(opt) ? 'checked' : '';
-            return `<label><input type="checkbox" name="${name}" value="${opt}" ${checked}> ${opt}</label>`;
-        }).join('');
-        return `<div class="form-group"><label class="iso-label">${label}</label><div class="checkbox-group">${checks}</div></div>`;
-    }
-
     function _renderPillSelector(type, container, optionsList, selectedSet) {
         if (!container) return;
         const allItems = new Map();
@@ -442,7 +396,7 @@ const EventEditorStandalone = (() => {
                 const all = await authedFetch(`/api/companies`).then(r => r.data || []);
                 const comp = all.find(c => c.companyId === compId);
                 if (comp) {
-                    const res = await authedFetch(`/api/companies/${encodeURIComponent(comp.companyName)}/details`);
+                    const res = await authedFetch(`/api/companies/${encodeURIComponent(comp.companyId)}/details`);
                     if (res.success) contacts = res.data.contacts || [];
                 }
             }
@@ -484,6 +438,12 @@ const EventEditorStandalone = (() => {
             multi[cb.name].push(cb.value);
         });
         for (let k in multi) data[k] = multi[k].join(', ');
+        // 複選欄位全部取消勾選時 FormData 不含該欄位，明確送出空值以清除
+        const template = EventTemplates.get(data.eventType);
+        (template ? template.sections.flatMap(s => s.fields) : [])
+            .filter(f => f.type === 'multiselect' && !multi[f.key])
+            .forEach(f => { data[f.key] = ''; });
+        if (!(await FormValidation.check('eventLog', data, { partial: true }))) return;
 
         _setLoading(true, '儲存中...');
         try {
@@ -281,7 +281,7 @@ async function _fetchAndPopulateClientParticipantsForEdit(opportunityId, company
             const allCompanies = await authedFetch(`/api/companies`).then(res => res.data || []);
             const company = allCompanies.find(c => c.companyId === companyId);
             if (company) {
-                 const result = await authedFetch(`/api/companies/${encodeURIComponent(company.companyName)}/details`);
+                 const result = await authedFetch(`/api/companies/${encodeURIComponent(company.companyId)}/details`);
                  contacts = result.success ? result.data.contacts : [];
             }
         }
@@ -383,6 +383,7 @@ async function handleEventFormSubmit(e) {
         for (let k in multiVal) {
             eventData[k] = multiVal[k].join(', ');
         }
+        if (!(await FormValidation.check('eventLog', eventData, { partial: true }))) return;
         
         const result = await authedFetch(`/api/events/${eventId}`, {
             method: 'PUT',
@@ -56,8 +56,8 @@ async function showEventLogReport(eventId) {
                 if (oppResult.success && oppResult.data) {
                     contextContacts = oppResult.data.linkedContacts || [];
                 }
-            } else if (eventData.companyName) { // 如果沒有機會ID但有公司名，嘗試抓公司聯絡人
-                const compResult = await authedFetch(`/api/companies/${encodeURIComponent(eventData.companyName)}/details`);
+            } else if (eventData.companyId || eventData.companyName) { // 如果沒有機會ID但有公司，嘗試抓公司聯絡人
+                const compResult = await authedFetch(`/api/companies/${encodeURIComponent(eventData.companyId || eventData.companyName)}/details`);
                 if (compResult.success && compResult.data) {
                     contextContacts = compResult.data.contacts || [];
                 }
@@ -178,31 +178,6 @@ function renderEventLogReportHTML(event, contextContacts = []) {
                 { key: 'clientIntelligence', label: '客戶情報', type: 'text' },
                 { key: 'eventNotes', label: '備註', type: 'text' }
             ]
-        },
-        iot: {
-            title: "IOT 專屬資訊",
-            fields: [
-                { key: 'iot_deviceScale', label: '設備規模', type: 'text' },
-                { key: 'iot_lineFeatures', label: '生產線特徵', type: 'text' },
-                { key: 'iot_productionStatus', label: '生產現況', type: 'text' },
-                { key: 'iot_iotStatus', label: 'IoT現況', type: 'text' },
-                { key: 'iot_painPoints', label: '痛點分類', type: 'text' },
-                { key: 'iot_painPointDetails', label: '客戶痛點說明', type: 'text' },
-                { key: 'iot_painPointAnalysis', label: '痛點分析與對策', type: 'text' },
-                { key: 'iot_systemArchitecture', label: '系統架構', type: 'text' }
-            ]
-        },
-        dt: {
-            title: "DT 專屬資訊",
-            fields: [
-                { key: 'dt_deviceScale', label: '設備規模', type: 'text' },
-                { key: 'dt_processingType', label: '加工類型', type: 'text' },
-                { key: 'dt_industry', label: '加工產業別', type: 'text' }
-            ]
-        },
-        dx: {
-            title: "DX 專屬資訊",
-            fields: [] 
         }
     };
     
@@ -232,22 +207,11 @@ function renderEventLogReportHTML(event, contextContacts = []) {
         sectionsHTML += `<div class="report-section"><h3 class="section-title">${commonSection.title}</h3>${commonContent}</div>`;
     }
 
-    // (B) 專屬區塊
-    const typeKey = event.eventType;
-    if (fieldMapping[typeKey]) {
-        const typeSection = fieldMapping[typeKey];
-        let typeContent = '';
-        typeSection.fields.forEach(field => {
-            const rawValue = event[field.key] || event[field.key.replace(/^(iot|dt)_/, '')];
-            if (rawValue) {
-                typeContent += createItemHTML(field.label, formatTextValue(rawValue));
-            }
-        });
-        
-        if (typeContent) {
-            sectionsHTML += `<div class="report-section"><h3 class="section-title">${typeSection.title}</h3>${typeContent}</div>`;
-        }
-    }
+    // (B) 專屬區塊 (依事件範本，core/event-templates.js)
+    EventTemplates.getReportSections(event).forEach(section => {
+        const typeContent = section.items.map(item => createItemHTML(formatTextValue(item.label), formatTextValue(item.value))).join('');
+        sectionsHTML += `<div class="report-section"><h3 class="section-title">${formatTextValue(section.title)}</h3>${typeContent}</div>`;
+    });
 
     return `<div class="report-view" id="pdf-content-${event.eventId || ''}">
         <div class="report-header" style="--header-color: ${headerColor};">
@@ -1,6 +1,7 @@
 // public/scripts/event-wizard.js
 // 職責：管理「新增事件精靈」的完整流程 (Step 1 -> 2 -> 3 -> Create)
 // 修改歷程：加入機會自動跳轉、公司防呆、完成後連結至獨立編輯器、新增我方人員手動輸入
+// 事件類型卡片依事件範本產生 (core/event-templates.js)，管理員新增的類型不需修改畫面
 
 const EventWizard = (() => {
     // 狀態儲存
@@ -24,6 +25,16 @@ const EventWizard = (() => {
 
     let searchTimeout;
 
+    function escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
     // --- 初始化與顯示 ---
     function show(defaults = {}) {
         // 1. 強制重置狀態 (Clean Slate)
@@ -96,11 +107,8 @@ const EventWizard = (() => {
         const locInput = document.getElementById('wiz-event-location');
         if(locInput) locInput.value = '';
         
-        // 重置 Step 2 類型卡片
-        document.querySelectorAll('.type-card').forEach(el => el.classList.remove('selected'));
-        // 預設選中 General
-        const generalCard = document.querySelector('.type-card[onclick*="general"]');
-        if(generalCard) generalCard.classList.add('selected');
+        // 重置 Step 2 類型卡片 (預設選中 General)
+        _renderTypeCards();
         
         // 重置手動輸入框
         const manualClient = document.getElementById('wiz-manual-participants');
@@ -306,6 +314,16 @@ const EventWizard = (() => {
     window.EventWizard_setTarget = _setTarget; 
 
     // --- Step 2: 定義事件 ---
+    function _renderTypeCards() {
+        const grid = document.getElementById('wiz-type-grid');
+        if (!grid) return;
+        grid.innerHTML = EventTemplates.list().map(t => `
+            <div class="type-card ${t.type === state.eventType ? 'selected' : ''}" data-type="${escapeHtml(t.type)}" onclick="EventWizard.selectEventType('${escapeHtml(t.type)}', this)">
+                <div class="type-icon">${escapeHtml(t.icon)}</div>
+                <div class="type-info"><div class="type-title">${escapeHtml(t.label)}</div><div class="type-desc"></div></div>
+            </div>`).join('');
+    }
+
     function selectEventType(type, cardElement) {
         state.eventType = type;
         document.querySelectorAll('.type-card').forEach(el => el.classList.remove('selected'));
@@ -426,6 +444,7 @@ const EventWizard = (() => {
                 
                 creator: getCurrentUser()
             };
+            if (!(await FormValidation.check('eventLog', payload))) return;
 
             const result = await authedFetch('/api/events', { 
                 method: 'POST', 
@@ -440,13 +459,7 @@ const EventWizard = (() => {
                 closeModal('new-event-wizard-modal');
                 
                 // 2. 準備通知內容
-                const typeMap = {
-                    'general': '一般',
-                    'iot': 'IoT',
-                    'dt': 'DT',
-                    'dx': 'DX'
-                };
-                const typeCN = typeMap[state.eventType] || state.eventType;
+                const typeCN = escapeHtml(EventTemplates.getLabel(state.eventType));
                 
                 // 3. 組合訊息，連結指向新的獨立編輯器
                 const messageHtml = ` 已為 <strong>${state.targetName}</strong> 建立 <strong>${typeCN}</strong> 紀錄：<strong>${state.eventName}</strong>。<br>` +
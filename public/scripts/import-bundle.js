@@ -6,6 +6,10 @@ const scripts = [
     // "https://cdnjs.cloudflare.com/ajax/libs/html2pdf.js/0.10.1/html2pdf.bundle.min.js", // 已移至 HTML head 避免阻塞
     "scripts/core/utils.js",
     "scripts/services/api.js",
+    "scripts/shared/request-validator.js",
+    "scripts/core/form-validation.js",
+    "scripts/core/custom-fields.js",
+    "scripts/core/event-templates.js",
     "scripts/services/ui.js",
     "scripts/services/charting.js",
     "scripts/core/constants.js",
@@ -14,6 +18,12 @@ const scripts = [
     "scripts/core/router.js",
     "scripts/core/main.js",
     "scripts/components/chip-wall.js",
+    "scripts/components/audit-history.js",
+    "scripts/components/global-search.js",
+    "scripts/components/import-wizard.js",
+    "scripts/components/custom-field-manager.js",
+    "scripts/components/event-template-manager.js",
+    "scripts/components/stage-gate-manager.js",
     "scripts/meetings.js",
     "scripts/interactions.js",
     "scripts/announcements.js",
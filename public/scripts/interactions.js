@@ -1,13 +1,16 @@
 // views/scripts/interactions.js
 
+// 已載入的互動紀錄 (Cursor 分頁，「載入更多」時累加)
+let allInteractionsData = [];
+
 /**
  * 載入並渲染所有互動紀錄頁面的主函式
- * @param {number} [page=1] - 要載入的頁碼
- * @param {string} [query=''] - 搜尋關鍵字
+ * @param {string} [query=''] - 搜尋關鍵字 (比對內容摘要、事件標題、記錄人)
  */
-async function loadAllInteractionsPage(page = 1, query = '') {
+async function loadAllInteractionsPage(query = '') {
     const container = document.getElementById('page-interactions');
     if (!container) return;
+    if (typeof query !== 'string') query = '';
 
     // 步驟 1: 渲染頁面基本骨架
     container.innerHTML = `
@@ -16,29 +19,39 @@ async function loadAllInteractionsPage(page = 1, query = '') {
                 <h2 class="widget-title">所有互動紀錄</h2>
             </div>
             <div class="search-pagination" style="padding: 0 1.5rem 1rem;">
-                <input type="text" class="search-box" id="all-interactions-search" placeholder="搜尋內容、機會名稱、記錄人..." value="${query}">
-                <div class="pagination" id="all-interactions-pagination"></div>
+                <input type="text" class="search-box" id="all-interactions-search" placeholder="搜尋內容、事件標題、記錄人..." value="${query}">
             </div>
             <div id="all-interactions-content" class="widget-content">
                 <div class="loading show"><div class="spinner"></div><p>載入互動總覽中...</p></div>
             </div>
+            <div id="all-interactions-pagination"></div>
         </div>
     `;
 
     // 綁定搜尋事件
     document.getElementById('all-interactions-search').addEventListener('keyup', (event) => {
         if (event.key === 'Enter') {
-            const newQuery = event.target.value;
-            loadAllInteractionsPage(1, newQuery);
+            loadAllInteractionsPage(event.target.value);
         }
     });
 
-    // 步驟 2: 獲取數據並渲染
+    // 步驟 2: 獲取第一頁並渲染
+    allInteractionsData = [];
+    await loadMoreInteractions(query, null);
+}
+
+/**
+ * 讀取下一頁互動紀錄並附加到列表 (伺服器端排序 / 分頁，見 fetchListPage)
+ * @param {string} query - 搜尋關鍵字
+ * @param {string|null} cursor - 上一頁回傳的 nextCursor；null 為第一頁
+ */
+async function loadMoreInteractions(query, cursor) {
     try {
-        const result = await authedFetch(`/api/interactions/all?page=${page}&q=${encodeURIComponent(query)}`);
-        
-        document.getElementById('all-interactions-content').innerHTML = renderAllInteractionsTable(result.data || []);
-        renderPagination('all-interactions-pagination', result.pagination, 'loadAllInteractionsPage');
+        const result = await fetchListPage('/api/interactions/all', { q: query, limit: 50, cursor });
+        allInteractionsData = allInteractionsData.concat(result.data);
+
+        document.getElementById('all-interactions-content').innerHTML = renderAllInteractionsTable(allInteractionsData);
+        renderLoadMore('all-interactions-pagination', result.pagination, (nextCursor) => loadMoreInteractions(query, nextCursor));
 
     } catch (error) {
         if (error.message !== 'Unauthorized') {
@@ -90,8 +103,7 @@ function renderAllInteractionsTable(interactions) {
                                </a>`;
         } else if (item.companyId && item.opportunityName !== '未指定' && item.opportunityName !== '未知機會' && item.opportunityName !== '未知公司') {
             // 連結至公司 (item.opportunityName 此時是公司名稱)
-            const encodedCompanyName = encodeURIComponent(item.opportunityName);
-            opportunityLink = `<a href="#" class="text-link" onclick="event.preventDefault(); CRM_APP.navigateTo('company-details', { companyName: '${encodedCompanyName}' })">
+            opportunityLink = `<a href="#" class="text-link" onclick="event.preventDefault(); CRM_APP.navigateTo('company-details', { companyId: '${item.companyId}' })">
                                    ${item.opportunityName} (公司)
                                </a>`;
         }
@@ -1,5 +1,6 @@
 // views/scripts/kanban-board.js
 // (V2 - 修正 stageHistory 儲存格式 與 刷新函式呼叫)
+// 拖曳推進階段同樣經伺服器端階段關卡檢查 (422 時還原並列出未符合的項目)
 
 const kanbanBoardManager = {
     initialize() {
@@ -97,7 +98,11 @@ const kanbanBoardManager = {
                 throw new Error(updateResult.details || '更新失敗');
             }
         } catch (error) {
-            if (error.message !== 'Unauthorized') {
+            if (error.body && error.body.code === 'STAGE_GATE_BLOCKED') {
+                // 階段關卡：列出未符合的項目 (完整清單見機會詳細頁的機會進程)
+                showNotification(`尚未符合階段條件，已還原：${error.body.unmet.map(item => item.message).join('、')}`, 'warning', 6000);
+                window.dashboardManager.renderKanbanView();
+            } else if (error.message !== 'Unauthorized') {
                 showNotification('更新階段失敗，將還原操作', 'error');
                 // 失敗時也重新渲染以還原外觀
                 window.dashboardManager.renderKanbanView();
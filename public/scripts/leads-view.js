@@ -1,7 +1,8 @@
 // public/scripts/leads-view.js
-// v7.0.2 (Fixed: Unlock Edit Permission for Local Dev)
-// Date: 2026-01-15
+// v7.1.0 (Leads addressed by originalId)
+// Date: 2026-10-19
 // Description: 
+// 0. 編輯名片改呼叫 PUT /api/line/leads/by-id/:originalId，不再以 rowIndex 定位。
 // 1. [Fix] createCardHTML: 為本地測試帳號 (TEST_LOCAL_USER) 解鎖編輯按鈕權限，
 //    允許在任何視圖編輯任何人的名片。
 // 2. 包含 v7.0.1 的 Stream 圖片預覽修復。
@@ -363,7 +364,7 @@ function openPreview(driveLink) {
 
 function openEdit(lead) {
     const modal = document.getElementById('edit-modal');
-    document.getElementById('edit-rowIndex').value = lead.rowIndex;
+    document.getElementById('edit-originalId').value = lead.originalId;
     document.getElementById('edit-name').value = lead.name || '';
     document.getElementById('edit-position').value = lead.position || '';
     document.getElementById('edit-company').value = lead.company || '';
@@ -380,7 +381,7 @@ async function handleEditSubmit(e) {
     btn.disabled = true;
     btn.textContent = '儲存中...';
 
-    const rowIndex = document.getElementById('edit-rowIndex').value;
+    const originalId = document.getElementById('edit-originalId').value;
     const data = {
         name: document.getElementById('edit-name').value,
         position: document.getElementById('edit-position').value,
@@ -407,7 +408,7 @@ async function handleEditSubmit(e) {
             }
         }
 
-        const res = await fetch(`/api/line/leads/${rowIndex}`, {
+        const res = await fetch(`/api/line/leads/by-id/${encodeURIComponent(originalId)}`, {
             method: 'PUT',
             headers: headers,
             body: JSON.stringify(data)
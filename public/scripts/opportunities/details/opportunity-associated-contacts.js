@@ -16,7 +16,9 @@ const OpportunityContacts = (() => {
             mobile: document.getElementById('edit-contact-mobile').value,
             phone: document.getElementById('edit-contact-phone').value,
             email: document.getElementById('edit-contact-email').value,
+            customFields: window.CustomFields ? CustomFields.collect(document.getElementById('edit-contact-custom-fields')) : undefined
         };
+        if (!(await FormValidation.check('contact', updateData, { partial: true }))) return;
 
         showLoading('正在儲存聯絡人資料...');
         try {
@@ -213,6 +215,7 @@ const OpportunityContacts = (() => {
                             <div class="form-group"><label class="form-label">公司電話</label><input type="tel" class="form-input" id="edit-contact-phone" value="${contact.phone || ''}"></div>
                         </div>
                         <div class="form-group"><label class="form-label">Email</label><input type="email" class="form-input" id="edit-contact-email" value="${contact.email || ''}"></div>
+                        <div id="edit-contact-custom-fields"></div>
                         <div class="form-actions">
                             <button type="button" class="action-btn secondary" onclick="document.getElementById('edit-contact-modal-container').remove()">取消</button>
                             <button type="submit" class="action-btn primary">💾 儲存變更</button>
@@ -224,6 +227,9 @@ const OpportunityContacts = (() => {
         
         document.body.appendChild(modalContainer);
         document.getElementById('edit-opp-contact-form').addEventListener('submit', _handleSaveContact);
+
+        // 聯絡人清單不含自訂欄位，另外載入
+        if (window.CustomFields) CustomFields.mount(document.getElementById('edit-contact-custom-fields'), 'contact', contact.contactId);
     }
 
     // 設定為主要聯絡人
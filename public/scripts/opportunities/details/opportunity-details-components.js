@@ -346,6 +346,10 @@ const OpportunityInfoCard = (() => {
                     <textarea id="edit-notes" class="form-textarea" rows="3">${opp.notes || ''}</textarea>
                 </div>
             </div>
+
+            <div id="edit-custom-fields">
+                ${window.CustomFields ? CustomFields.renderInputs('opportunity', opp.customFields, { title: '其他資訊' }) : ''}
+            </div>
         `;
     }
 
@@ -482,6 +482,9 @@ const OpportunityInfoView = (() => {
         
         const notesContent = opp.notes || '<span style="color:var(--text-muted);">(無備註內容)</span>';
 
+        // 4. 自訂欄位 (管理員定義，依角色過濾)
+        const customFieldsContent = window.CustomFields ? CustomFields.renderView('opportunity', opp.customFields) : '';
+
         // [PATCH] Support multiple field names for Probability (SQL vs Sheet)
         const displayProbability = opp.orderProbability || opp.winProbability || opp.win_probability || '-';
 
@@ -586,6 +589,12 @@ const OpportunityInfoView = (() => {
                     <div class="notes-text-clean">${notesContent}</div>
                 </div>
 
+                ${customFieldsContent ? `
+                <div class="layer-card">
+                    <div class="inner-card-title">其他資訊</div>
+                    ${customFieldsContent}
+                </div>` : ''}
+
             </div>
         `;
     }
@@ -42,7 +42,7 @@ const OpportunityInteractions = (() => {
     /**
      * 【鑑識修補】渲染單一互動項目
      * 使用已被 dashboard_widgets.js 證實使用的 class: .activity-feed-item/.feed-content/.feed-text/.feed-time
-     * 並維持 Strategy A：rowIndex 非有效數字則不渲染刪除按鈕
+     * 編輯 / 刪除一律以 interactionId 定位 (SQL 資料沒有 rowIndex)
      */
     function renderSingleInteractionItem(interaction) {
         if (!interaction) return '';
@@ -59,7 +59,6 @@ const OpportunityInteractions = (() => {
         const summaryHtml = escapeHtml(rawSummary).replace(/\n/g, '<br>');
 
         const rowId = interaction.interactionId;
-        const rowIndex = interaction.rowIndex;
 
         // 鎖定邏輯（必須與 showForEditing 證據一致）
         const isLocked = ['系統事件', '事件報告'].includes(interaction.eventType);
@@ -72,12 +71,10 @@ const OpportunityInteractions = (() => {
                 </button>
             `;
 
-            // Strategy A: 僅當非鎖定且 rowIndex 可被安全轉為數字才渲染刪除
-            const rowIndexNum = Number(rowIndex);
-            if (!isLocked && Number.isFinite(rowIndexNum)) {
+            if (!isLocked) {
                 buttonsHtml += `
                     &nbsp;
-                    <button type="button" class="action-btn small secondary" onclick="OpportunityInteractions.confirmDelete('${rowId}', ${rowIndexNum})">
+                    <button type="button" class="action-btn small secondary" onclick="OpportunityInteractions.confirmDelete('${rowId}')">
                         刪除
                     </button>
                 `;
@@ -192,8 +189,8 @@ const OpportunityInteractions = (() => {
         if (!_container) return;
 
         const form = _container.querySelector('#new-interaction-form');
-        const rowIndex = form.querySelector('#interaction-edit-rowIndex').value;
-        const isEditMode = !!rowIndex;
+        const editId = form.querySelector('#interaction-edit-rowIndex').value;
+        const isEditMode = !!editId;
 
         showLoading(isEditMode ? '正在更新互動紀錄...' : '正在新增互動紀錄...');
         try {
@@ -213,10 +210,11 @@ const OpportunityInteractions = (() => {
             if (_context.opportunityId) interactionData.opportunityId = _context.opportunityId;
             if (_context.companyId) interactionData.companyId = _context.companyId;
 
-            const url = isEditMode ? `/api/interactions/${rowIndex}` : '/api/interactions';
+            const url = isEditMode ? `/api/interactions/${encodeURIComponent(editId)}` : '/api/interactions';
             const method = isEditMode ? 'PUT' : 'POST';
 
             if (!isEditMode) interactionData.recorder = getCurrentUser();
+            if (!(await FormValidation.check('interaction', interactionData, { partial: isEditMode }))) return;
 
             const result = await authedFetch(url, { method, body: JSON.stringify(interactionData) });
 
@@ -266,7 +264,7 @@ const OpportunityInteractions = (() => {
         const form = _container.querySelector('#new-interaction-form');
         if (!form) return;
 
-        form.querySelector('#interaction-edit-rowIndex').value = item.rowIndex;
+        form.querySelector('#interaction-edit-rowIndex').value = item.interactionId;
 
         const interactionTime = new Date(item.interactionTime || item.createdTime || new Date().toISOString());
         interactionTime.setMinutes(interactionTime.getMinutes() - interactionTime.getTimezoneOffset());
@@ -302,18 +300,18 @@ const OpportunityInteractions = (() => {
     /**
      * 公開：刪除確認
      */
-    function confirmDelete(interactionId, rowIndex) {
+    function confirmDelete(interactionId) {
         if (!_container) return;
 
         const item = _interactions.find(i => i.interactionId === interactionId);
         const summary = item ? (item.contentSummary || '此紀錄').substring(0, 30) + '...' : '此筆紀錄';
 
-        const message = `您確定要永久刪除這筆互動紀錄嗎？\n\n"${summary}"\n\n此操作無法復原。`;
+        const message = `您確定要刪除這筆互動紀錄嗎？\n\n"${summary}"\n\n刪除後可由管理員從回收桶還原。`;
 
         showConfirmDialog(message, async () => {
             showLoading('正在刪除紀錄...');
             try {
-                await authedFetch(`/api/interactions/${rowIndex}`, { method: 'DELETE' });
+                await authedFetch(`/api/interactions/${encodeURIComponent(interactionId)}`, { method: 'DELETE' });
             } catch (error) {
                 if (error.message !== 'Unauthorized') {
                     console.error('刪除互動紀錄失敗:', error);
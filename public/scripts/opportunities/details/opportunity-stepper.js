@@ -3,10 +3,70 @@
 // * @version 2.1.0 (Phase 7 SQL Type Compatibility Fix)
 // * @date 2026-02-04
 // (V2 - 修正：相容新舊兩種 stageHistory 格式)
+// 階段關卡：顯示推進到下一階段前的待辦清單 (GET /api/opportunities/:id/stage-gates)，伺服器端不符時回 422 + unmet
 
 const OpportunityStepper = (() => {
     // 模組內的私有變數
     let _opportunityInfo = null;
+    let _gateStages = [];
+
+    function _escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    // 載入各階段的待辦清單 (沒有設定階段關卡時為空)
+    async function _loadGates() {
+        try {
+            const result = await authedFetch(`/api/opportunities/${encodeURIComponent(_opportunityInfo.opportunityId)}/stage-gates`);
+            _gateStages = (result.data && result.data.stages) || [];
+        } catch (error) {
+            console.warn('[OpportunityStepper] 無法載入階段關卡:', error.message);
+            _gateStages = [];
+        }
+    }
+
+    /**
+     * 渲染某階段的待辦清單
+     * @param {string} stageId
+     * @param {Array<Object>} [unmet] - 伺服器回傳的未符合項目 (儲存失敗時)
+     */
+    function _renderChecklist(stageId, unmet) {
+        const box = document.getElementById('stage-gate-checklist');
+        if (!box) return;
+
+        const gate = _gateStages.find(s => s.stage === stageId);
+        const items = unmet
+            ? unmet.map(item => ({ ...item, met: false }))
+            : (gate ? gate.items : []);
+        if (!stageId || items.length === 0) {
+            box.style.display = 'none';
+            box.innerHTML = '';
+            return;
+        }
+
+        const label = gate ? gate.label : stageId;
+        const ready = items.every(item => item.met);
+        box.className = `stage-gate-checklist ${ready ? 'ready' : 'blocked'}`;
+        box.innerHTML = `
+            <div class="stage-gate-title">${ready ? '✅' : '🚧'} 推進至「${_escapeHtml(label)}」${ready ? '的條件皆已符合' : '前需完成'}</div>
+            <ul>
+                ${items.map(item => `<li class="${item.met ? 'met' : 'unmet'}">${item.met ? '✓' : '✕'} ${_escapeHtml(item.met ? item.label : item.message)}</li>`).join('')}
+            </ul>`;
+        box.style.display = 'block';
+    }
+
+    // 下一個階段 (目前階段之後的第一個) 的待辦清單
+    function _renderNextChecklist() {
+        const index = _gateStages.findIndex(s => s.stage === _opportunityInfo.currentStage);
+        const next = index === -1 ? null : _gateStages[index + 1];
+        _renderChecklist(next ? next.stage : null);
+    }
 
     // 處理圓圈點擊（三態循環）
     function _handleCircleClick(step) {
@@ -41,6 +101,11 @@ const OpportunityStepper = (() => {
         // Remove direct reliance on event target, pass step element
         document.querySelectorAll('.stage-stepper-container .stage-step').forEach(s => s.classList.remove('current'));
         step.classList.add('current');
+
+        // 往後推進時預先列出該階段的條件 (伺服器端儲存時仍會檢查)
+        const stageIds = _gateStages.map(s => s.stage);
+        const isForward = stageIds.indexOf(step.dataset.stageId) > stageIds.indexOf(_opportunityInfo.currentStage);
+        _renderChecklist(isForward ? step.dataset.stageId : null);
     }
 
     // 儲存變更
@@ -95,7 +160,9 @@ const OpportunityStepper = (() => {
             }
 
         } catch (error) {
-            if (error.message !== 'Unauthorized') {
+            if (error.body && error.body.code === 'STAGE_GATE_BLOCKED') {
+                _renderChecklist(error.body.stage, error.body.unmet);
+            } else if (error.message !== 'Unauthorized') {
                 showNotification(`儲存失敗: ${error.message}`, 'error');
             }
         } finally {
@@ -181,7 +248,8 @@ const OpportunityStepper = (() => {
             `;
         }).join('');
 
-        container.innerHTML = `<div class="stage-stepper-container">${stepsHtml}</div>`;
+        container.innerHTML = `<div class="stage-stepper-container">${stepsHtml}</div><div id="stage-gate-checklist" class="stage-gate-checklist" style="display: none;"></div>`;
+        _renderNextChecklist();
     }
 
     // 渲染編輯模式
@@ -297,6 +365,18 @@ const OpportunityStepper = (() => {
             .stage-step.current .step-circle {
                 box-shadow: 0 0 0 4px var(--accent-blue);
             }
+            .stage-gate-checklist {
+                margin-top: var(--spacing-4); padding: var(--spacing-3) var(--spacing-4);
+                border-radius: var(--rounded-lg); font-size: var(--font-size-sm);
+                border: 1px solid var(--border-color); color: var(--text-secondary);
+            }
+            .stage-gate-checklist.blocked { border-color: var(--accent-orange, #fd7e14); }
+            .stage-gate-checklist.ready { border-color: var(--accent-green, #28a745); }
+            .stage-gate-checklist .stage-gate-title { font-weight: 600; margin-bottom: var(--spacing-2); }
+            .stage-gate-checklist ul { list-style: none; margin: 0; padding: 0; }
+            .stage-gate-checklist li { padding: 2px 0; }
+            .stage-gate-checklist li.unmet { color: var(--accent-red); }
+            .stage-gate-checklist li.met { color: var(--accent-green, #28a745); }
         `;
         document.head.appendChild(style);
     }
@@ -304,11 +384,16 @@ const OpportunityStepper = (() => {
     // 公開的初始化方法
     function init(opportunityInfo) {
         _opportunityInfo = opportunityInfo;
+        _gateStages = [];
         const container = document.getElementById('opportunity-stage-stepper-container');
         if (!container) return;
         
         _injectStyles();
         _renderViewMode();
+        _loadGates().then(() => {
+            // 載入期間若已切換到其他機會或進入編輯模式則不覆蓋
+            if (_opportunityInfo === opportunityInfo && !document.querySelector('.stage-stepper-container.edit-mode')) _renderNextChecklist();
+        });
     }
 
     // 返回公開的 API
@@ -1,10 +1,13 @@
 // public/scripts/opportunities/opportunities.js
 // 職責：管理「機會案件列表頁」的圖表、篩選、列表渲染與操作
 // (V-Layout-Optimized & Event Delegation: 篩選器右上角、搜尋欄獨立行、屏蔽晶片牆、精簡日期與欄位、移除 onclick)
+// 列表的搜尋 / 篩選 / 排序由伺服器處理 (GET /api/opportunities?filter[...]&sort=&cursor=)，以 Cursor 分頁「載入更多」
 
 // ==================== 全域變數 (此頁面專用) ====================
+// 已載入的機會 (「載入更多」時累加)
 let opportunitiesData = [];
 let reverseNameMaps = {};
+let opportunitiesRequestSeq = 0;
 
 // 篩選與排序狀態
 let opportunitiesListFilters = { 
@@ -17,7 +20,21 @@ let opportunitiesListFilters = {
     channel: 'all', 
     scale: 'all' 
 };
-let currentOppSort = { field: 'effectiveLastActivity', direction: 'desc' };
+// 只能依資料表欄位排序 (lastActivity 是本頁才計算的衍生欄位)
+let currentOppSort = { field: 'updatedTime', direction: 'desc' };
+
+// 篩選鍵 (下拉選單 / 圖表) -> 列表查詢欄位 (data/list-specs.js)
+const OPP_FILTER_FIELDS = {
+    type: 'opportunityType',
+    opportunityType: 'opportunityType',
+    source: 'source',
+    opportunitySource: 'source',
+    stage: 'currentStage',
+    currentStage: 'currentStage',
+    orderProbability: 'winProbability',
+    salesChannel: 'salesChannel',
+    deviceScale: 'equipmentScale'
+};
 
 // ==================== 主要功能函式 ====================
 
@@ -35,18 +52,11 @@ async function loadOpportunities(query = '') {
             <div class="loading show" style="grid-column: span 12;"><div class="spinner"></div><p>載入分析圖表中...</p></div>
         </div>
 
-        <div id="opportunity-chip-wall-container" class="dashboard-widget" style="margin-bottom: 24px; display: none;">
-            <div class="widget-header"><h2 class="widget-title">機會階段總覽 (晶片牆)</h2></div>
-            <div class="widget-content">
-                <div class="loading show"><div class="spinner"></div><p>載入晶片牆資料中...</p></div>
-            </div>
-        </div>
-
         <div class="dashboard-widget">
             <div class="widget-header" style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 15px; padding-bottom: 15px;">
                 <div style="display: flex; align-items: baseline; gap: 15px;">
                     <h2 class="widget-title">機會案件列表</h2>
-                    <span style="font-size: 0.9rem; color: var(--text-muted);">共 <span id="opportunities-count-display">0</span> 筆</span>
+                    <span style="font-size: 0.9rem; color: var(--text-muted);">已載入 <span id="opportunities-count-display">0</span> 筆</span>
                 </div>
                 
                 <div style="display: flex; align-items: center; gap: 12px;">
@@ -60,7 +70,7 @@ async function loadOpportunities(query = '') {
                         <select id="opp-type-filter" class="form-select-sm" data-filter="type"><option value="all">所有種類</option></select>
                         <select id="opp-source-filter" class="form-select-sm" data-filter="source"><option value="all">所有來源</option></select>
                         <select id="opp-time-filter" class="form-select-sm" data-filter="time">
-                            <option value="all">活動日期 (全部)</option>
+                            <option value="all">更新日期 (全部)</option>
                             <option value="7">近 7 天</option>
                             <option value="30">近 30 天</option>
                             <option value="90">近 90 天</option>
@@ -77,6 +87,7 @@ async function loadOpportunities(query = '') {
             <div id="opportunities-page-content" class="widget-content" style="padding: 0;">
                 <div class="loading show"><div class="spinner"></div><p>載入機會資料中...</p></div>
             </div>
+            <div id="opportunities-page-pagination"></div>
         </div>
     `;
 
@@ -92,10 +103,9 @@ async function loadOpportunities(query = '') {
     }
 
     try {
-        const [dashboardResult, opportunitiesResult, interactionsResult, systemConfigResult] = await Promise.all([
+        const [dashboardResult, oldestResult, systemConfigResult] = await Promise.all([
             authedFetch(`/api/opportunities/dashboard`),
-            authedFetch(`/api/opportunities?page=0`), 
-            authedFetch(`/api/interactions/all?fetchAll=true`), 
+            fetchListPage('/api/opportunities', { sort: 'createdTime', limit: 1 }),
             authedFetch(`/api/config`)
         ]);
 
@@ -129,73 +139,20 @@ async function loadOpportunities(query = '') {
             renderOpportunityCharts(dashboardResult.data.chartData);
         }
 
-        let opportunities = opportunitiesResult || [];
-        const interactions = interactionsResult.data || [];
-
-        const latestInteractionMap = new Map();
-        interactions.forEach(interaction => {
-            const id = interaction.opportunityId;
-            const existing = latestInteractionMap.get(id) || 0;
-            const current = new Date(interaction.interactionTime || interaction.createdTime).getTime();
-            if (current > existing) latestInteractionMap.set(id, current);
-        });
-
-        const yearSet = new Set();
-        opportunities.forEach(opp => {
-             const selfUpdate = new Date(opp.lastUpdateTime || opp.createdTime).getTime();
-             const lastInteraction = latestInteractionMap.get(opp.opportunityId) || 0;
-             opp.effectiveLastActivity = Math.max(selfUpdate, lastInteraction);
-             if (isNaN(opp.effectiveLastActivity)) {
-                 opp.effectiveLastActivity = new Date(opp.createdTime || 0).getTime();
-             }
-             const createdDate = new Date(opp.createdTime);
-             opp.creationYear = isNaN(createdDate.getTime()) ? null : createdDate.getFullYear();
-             if (opp.creationYear) yearSet.add(opp.creationYear);
-        });
-
-        // 動態生成年份選項
+        // 年份選項：最早建立的機會 ~ 今年
         const yearFilter = document.getElementById('opp-year-filter');
-        if (yearFilter) {
-            const sortedYears = Array.from(yearSet).sort((a, b) => b - a);
-            sortedYears.forEach(y => {
+        const oldestYear = new Date(oldestResult.data[0]?.createdTime).getFullYear();
+        if (yearFilter && !isNaN(oldestYear)) {
+            for (let y = new Date().getFullYear(); y >= oldestYear; y--) {
                 const opt = document.createElement('option');
                 opt.value = y;
                 opt.textContent = `${y} 年`;
                 yearFilter.appendChild(opt);
-            });
-        }
-
-        opportunitiesData = opportunities;
-
-        // 保留晶片牆邏輯 (隱藏狀態下仍會運算，確保隨時開啟正常)
-        const chipWallContainer = document.getElementById('opportunity-chip-wall-container');
-        if (typeof ChipWall !== 'undefined' && chipWallContainer) {
-            const ongoingOpportunities = opportunitiesData.filter(opp => opp.currentStatus === '進行中');
-            const chipWall = new ChipWall('#opportunity-chip-wall-container', {
-                stages: window.CRM_APP?.systemConfig?.['機會階段'] || [], 
-                items: ongoingOpportunities,
-                interactions: interactions, 
-                colorConfigKey: '機會種類',
-                useDynamicSize: true,
-                isCollapsible: true,
-                isDraggable: true,
-                showControls: true, 
-                onItemUpdate: () => {
-                    if(window.CRM_APP?.pageConfig) window.CRM_APP.pageConfig.dashboard.loaded = false; 
-                },
-                onFilterChange: (filters) => {
-                    opportunitiesListFilters.year = filters.year;
-                    opportunitiesListFilters.type = filters.type; 
-                    opportunitiesListFilters.source = filters.source;
-                    opportunitiesListFilters.time = filters.time;
-                    filterAndRenderOpportunities();
-                }
-            });
-            chipWall.render();
+            }
         }
 
         // 執行初始渲染
-        filterAndRenderOpportunities();
+        await filterAndRenderOpportunities();
 
     } catch (error) {
         if (error.message !== 'Unauthorized') {
@@ -291,14 +248,39 @@ function clearAllOppFilters() {
 }
 
 /**
- * 篩選並重新渲染機會列表的核心函式
+ * 目前的搜尋 / 篩選 / 排序 -> 列表查詢參數
+ */
+function buildOpportunityListParams() {
+    const params = {
+        q: document.getElementById('opportunities-list-search')?.value.trim(),
+        sort: `${currentOppSort.direction === 'desc' ? '-' : ''}${currentOppSort.field}`
+    };
+
+    for (const [key, value] of Object.entries(opportunitiesListFilters)) {
+        if (value === 'all' || value === undefined) continue;
+
+        if (key === 'year') {
+            params['filter[createdTime][gte]'] = `${value}-01-01`;
+            params['filter[createdTime][lt]'] = `${Number(value) + 1}-01-01`;
+        } else if (key === 'time') {
+            params['filter[updatedTime][gte]'] = new Date(Date.now() - Number(value) * 24 * 60 * 60 * 1000).toISOString();
+        } else if (key === 'potentialSpecification') {
+            // 規格存成 JSON 文字 ({ "規格": 數量 })，以包含比對
+            params['filter[productDetails][like]'] = value;
+        } else if (OPP_FILTER_FIELDS[key]) {
+            params[`filter[${OPP_FILTER_FIELDS[key]}]`] = value;
+        }
+    }
+    return params;
+}
+
+/**
+ * 篩選並重新渲染機會列表的核心函式 (從第一頁重新向伺服器查詢)
  */
-function filterAndRenderOpportunities(filterKey, filterDisplayValue) {
+async function filterAndRenderOpportunities(filterKey, filterDisplayValue) {
     const listContent = document.getElementById('opportunities-page-content');
     const filterStatus = document.getElementById('opportunities-filter-status');
     const filterText = document.getElementById('opportunities-filter-text');
-    const countDisplay = document.getElementById('opportunities-count-display');
-    const query = document.getElementById('opportunities-list-search')?.value.toLowerCase() || '';
 
     if (!listContent) return;
 
@@ -326,72 +308,35 @@ function filterAndRenderOpportunities(filterKey, filterDisplayValue) {
         if (filterStatus) filterStatus.style.display = 'none';
     }
 
-    // 執行資料篩選
-    let filteredData = [...opportunitiesData];
-    const now = Date.now();
-    const timeThresholds = { '7': 7, '30': 30, '90': 90 };
+    opportunitiesData = [];
+    await loadMoreOpportunities(null);
+}
 
-    // 1. 特殊屬性篩選 (年份與時間)
-    if (opportunitiesListFilters.year !== 'all') {
-        filteredData = filteredData.filter(opp => String(opp.creationYear) === String(opportunitiesListFilters.year));
-    }
-    if (opportunitiesListFilters.time !== 'all') {
-        const days = timeThresholds[opportunitiesListFilters.time];
-        const threshold = days ? now - days * 24 * 60 * 60 * 1000 : 0;
-        filteredData = filteredData.filter(opp => opp.effectiveLastActivity >= threshold);
-    }
+/**
+ * 讀取下一頁並附加到列表；條件在回應前已變更時丟棄舊回應
+ * @param {string|null} cursor - 上一頁回傳的 nextCursor；null 為第一頁
+ */
+async function loadMoreOpportunities(cursor) {
+    const seq = ++opportunitiesRequestSeq;
+    try {
+        const result = await fetchListPage('/api/opportunities', { ...buildOpportunityListParams(), limit: 50, cursor });
+        if (seq !== opportunitiesRequestSeq) return;
 
-    // 2. 通用物件屬性篩選
-    const keyMapping = { 
-        'type': 'opportunityType', 
-        'source': 'opportunitySource',
-        'stage': 'currentStage'
-    };
+        opportunitiesData = opportunitiesData.concat(result.data);
 
-    for (const [key, value] of Object.entries(opportunitiesListFilters)) {
-        if (value === 'all' || value === undefined) continue;
-        if (key === 'year' || key === 'time') continue; 
-        
-        const dataKey = keyMapping[key] || key;
-        
-        if (dataKey === 'potentialSpecification') {
-            filteredData = filteredData.filter(opp => {
-                const specData = opp.potentialSpecification;
-                if (!specData) return false;
-                try {
-                    const parsedJson = JSON.parse(specData);
-                    return typeof parsedJson === 'object' && parsedJson[value] > 0;
-                } catch (e) { return typeof specData === 'string' && specData.includes(value); }
-            });
-        } else {
-            filteredData = filteredData.filter(opp => opp[dataKey] === value);
-        }
-    }
+        const countDisplay = document.getElementById('opportunities-count-display');
+        if (countDisplay) countDisplay.textContent = opportunitiesData.length;
+        const listContent = document.getElementById('opportunities-page-content');
+        if (listContent) listContent.innerHTML = renderOpportunitiesTable(opportunitiesData);
+        renderLoadMore('opportunities-page-pagination', result.pagination, loadMoreOpportunities);
 
-    // 3. 搜尋框過濾
-    if (query) {
-        filteredData = filteredData.filter(o =>
-            (o.opportunityName && o.opportunityName.toLowerCase().includes(query)) ||
-            (o.customerCompany && o.customerCompany.toLowerCase().includes(query))
-        );
-    }
-
-    // 4. 資料排序
-    filteredData.sort((a, b) => {
-        let valA = a[currentOppSort.field];
-        let valB = b[currentOppSort.field];
-        if (valA === undefined || valA === null) valA = '';
-        if (valB === undefined || valB === null) valB = '';
-        if (typeof valA === 'number' && typeof valB === 'number') {
-            return currentOppSort.direction === 'asc' ? valA - valB : valB - valA;
+    } catch (error) {
+        if (error.message !== 'Unauthorized') {
+            console.error('❌ 載入機會列表失敗:', error);
+            const contentEl = document.getElementById('opportunities-page-content');
+            if (contentEl) contentEl.innerHTML = `<div class="alert alert-error">載入資料失敗: ${error.message}</div>`;
         }
-        return currentOppSort.direction === 'asc' 
-            ? String(valA).localeCompare(String(valB), 'zh-Hant') 
-            : String(valB).localeCompare(String(valA), 'zh-Hant');
-    });
-
-    if (countDisplay) countDisplay.textContent = filteredData.length;
-    listContent.innerHTML = renderOpportunitiesTable(filteredData);
+    }
 }
 
 /**
@@ -462,7 +407,8 @@ function renderOpportunitiesTable(opportunities) {
 
     let html = `<div class="opp-list-container"><table class="opp-list-table"><thead><tr>
                     <th class="col-idx">項次</th>
-                    ${renderSortHeader('effectiveLastActivity', '最後活動')}
+                    <th>最後活動</th>
+                    ${renderSortHeader('updatedTime', '更新日期')}
                     <th>機會種類</th>
                     ${renderSortHeader('opportunityName', '機會名稱')}
                     ${renderSortHeader('customerCompany', '客戶公司')}
@@ -482,7 +428,11 @@ function renderOpportunitiesTable(opportunities) {
         const typeColor = typeColors.get(opp.opportunityType) || '#9ca3af';
         const modelColor = modelColors.get(opp.salesModel) || '#6b7280';
         const channelText = opp.channelDetails || opp.salesChannel || '-';
-        const lastActivityDate = opp.effectiveLastActivity ? new Date(opp.effectiveLastActivity).toLocaleDateString('zh-TW') : '-';
+        // 列表：lastActivity (伺服器彙總)；待追蹤頁：effectiveLastActivity (儀表板計算)
+        const lastActivity = opp.lastActivity || opp.effectiveLastActivity;
+        const lastActivityDate = lastActivity ? new Date(lastActivity).toLocaleDateString('zh-TW') : '-';
+        const updatedTime = opp.updatedTime || opp.lastUpdateTime;
+        const updatedDate = updatedTime ? new Date(updatedTime).toLocaleDateString('zh-TW') : '-';
 
         // 建構安全的 data params
         const oppParams = JSON.stringify({ opportunityId: opp.opportunityId }).replace(/"/g, '&quot;');
@@ -493,6 +443,7 @@ function renderOpportunitiesTable(opportunities) {
             <tr>
                 <td class="col-idx">${index + 1}</td>
                 <td style="white-space:nowrap;">${lastActivityDate}</td>
+                <td style="white-space:nowrap;">${updatedDate}</td>
                 <td><span class="opp-type-chip" style="background:${typeColor}">${opp.opportunityType || '未分類'}</span></td>
                 <td style="min-width:180px;">
                     <a href="#" class="text-link" 
@@ -604,7 +555,7 @@ function renderOppStageChart(data) {
 
 async function confirmDeleteOpportunity(oppId, opportunityName) {
     if (!oppId) { showNotification('無法刪除：缺少必要的紀錄 ID。', 'error'); return; }
-    const message = `您確定要"永久刪除"\n機會案件 "${opportunityName || '(未命名)'}" 嗎？\n此操作無法復原！`;
+    const message = `您確定要刪除\n機會案件 "${opportunityName || '(未命名)'}" 嗎？\n刪除後可由管理員從回收桶還原。`;
     showConfirmDialog(message, async () => {
         showLoading('正在刪除...');
         try {
@@ -1,11 +1,34 @@
 // public/scripts/opportunity-details-events.js
 // 職責：處理「機會資訊卡」的使用者互動事件 (編輯切換、資料驗證、儲存)
 // (V-Layout: 包含建立日期儲存)
+// (樂觀鎖: 儲存時帶 If-Match，409 版本衝突時提供合併 / 重新載入)
 
 const OpportunityInfoCardEvents = (() => {
     let _currentOppForEditing = null;
     let _specQuantities = new Map(); 
 
+    // 衝突合併用：表單欄位 -> 顯示名稱與伺服器資料的對應欄位 (SQL DTO 與舊欄位名並存)
+    const MERGE_FIELDS = {
+        opportunityName: { label: '機會名稱', keys: ['opportunityName'] },
+        customerCompany: { label: '終端客戶', keys: ['customerCompany'] },
+        channelDetails: { label: '通路', keys: ['channelDetails', 'salesChannel'] },
+        mainContact: { label: '主要窗口', keys: ['mainContact'] },
+        channelContact: { label: '通路窗口', keys: ['channelContact'] },
+        expectedCloseDate: { label: '預計結案日', keys: ['expectedCloseDate'] },
+        createdTime: { label: '建立日期', keys: ['createdTime'] },
+        salesModel: { label: '販售模式', keys: ['salesModel'] },
+        assignee: { label: '負責業務', keys: ['assignee', 'owner'] },
+        opportunityType: { label: '機會種類', keys: ['opportunityType'] },
+        opportunitySource: { label: '機會來源', keys: ['opportunitySource', 'source'] },
+        currentStage: { label: '目前階段', keys: ['currentStage'] },
+        orderProbability: { label: '下單機率', keys: ['orderProbability', 'winProbability'] },
+        salesChannel: { label: '通路', keys: ['salesChannel'] },
+        deviceScale: { label: '設備規模', keys: ['deviceScale', 'equipmentScale'] },
+        opportunityValue: { label: '機會價值', keys: ['opportunityValue'] },
+        potentialSpecification: { label: '可能下單規格', keys: ['potentialSpecification', 'productDetails'] },
+        notes: { label: '備註', keys: ['notes'] }
+    };
+
     function init(opportunityData) {
         _currentOppForEditing = opportunityData;
         _initSpecQuantities();
@@ -287,32 +310,108 @@ const OpportunityInfoCardEvents = (() => {
             opportunityValueType: isManual ? 'manual' : 'auto',
             potentialSpecification: JSON.stringify(specData),
             driveFolderLink: '', 
-            notes: getValue('edit-notes')
+            notes: getValue('edit-notes'),
+            // 自訂欄位只送出有變更的值 (伺服器端合併)
+            customFields: window.CustomFields
+                ? CustomFields.collect(document.getElementById('edit-custom-fields'), _currentOppForEditing.customFields || {})
+                : undefined
         };
 
+        await _submit(updateData, _currentOppForEditing.updatedTime);
+    }
+
+    async function _submit(updateData, expectedVersion) {
+        const opportunityId = _currentOppForEditing.opportunityId;
+        let conflict = null;
+
         showLoading('正在儲存...');
         try {
-            const result = await authedFetch(`/api/opportunities/${_currentOppForEditing.opportunityId}`, {
+            const result = await authedFetch(`/api/opportunities/${opportunityId}`, {
                 method: 'PUT',
+                headers: expectedVersion ? { 'If-Match': `"${expectedVersion}"` } : {},
+                handleConflict: true,
                 body: JSON.stringify({ ...updateData, modifier: getCurrentUser() })
             });
 
             if (result.success) {
                 showNotification('儲存成功', 'success');
                 toggleEditMode(false);
-                if (window.CRM_APP && window.CRM_APP.loadPage) {
-                    window.CRM_APP.loadPage('opportunity-details', { opportunityId: _currentOppForEditing.opportunityId });
-                } else {
-                    location.reload();
-                }
+                _reloadDetails();
             } else {
                 throw new Error(result.error || '儲存失敗');
             }
         } catch (e) {
-            showNotification(e.message, 'error');
+            if (e.status === 409 && e.body && e.body.current) {
+                conflict = e.body.current;
+            } else {
+                showNotification(e.message, 'error');
+            }
         } finally {
             hideLoading();
         }
+
+        if (conflict) _resolveConflict(updateData, conflict);
+    }
+
+    function _reloadDetails() {
+        if (window.CRM_APP && window.CRM_APP.loadPage) {
+            window.CRM_APP.loadPage('opportunity-details', { opportunityId: _currentOppForEditing.opportunityId });
+        } else {
+            location.reload();
+        }
+    }
+
+    function _pickValue(obj, field) {
+        const keys = MERGE_FIELDS[field] ? MERGE_FIELDS[field].keys : [field];
+        const key = keys.find(k => obj[k] !== undefined && obj[k] !== null);
+        let value = key ? obj[key] : '';
+        if (value && typeof value === 'object') value = JSON.stringify(value);
+        value = String(value).trim();
+        // ISO 時間只比對日期 (表單日期欄位僅有 YYYY-MM-DD)
+        return /^\d{4}-\d{2}-\d{2}T/.test(value) ? value.slice(0, 10) : value;
+    }
+
+    /**
+     * 409 版本衝突：以「編輯前資料」為基準做三方比對
+     * - 合併：只送出本人改過的欄位 (以新版本號重送)，其餘保留對方的修改
+     * - 重新載入：放棄本次編輯
+     */
+    function _resolveConflict(updateData, current) {
+        const base = _currentOppForEditing;
+
+        const mine = {};
+        Object.keys(MERGE_FIELDS).forEach(field => {
+            if (updateData[field] === undefined) return;
+            if (_pickValue(updateData, field) !== _pickValue(base, field)) mine[field] = updateData[field];
+        });
+        if (mine.opportunityValue !== undefined) mine.opportunityValueType = updateData.opportunityValueType;
+        if (updateData.customFields) mine.customFields = updateData.customFields;
+
+        const overlapping = Object.keys(mine)
+            .filter(field => MERGE_FIELDS[field] && _pickValue(current, field) !== _pickValue(base, field))
+            .map(field => MERGE_FIELDS[field].label);
+
+        const who = current.updatedBy || '其他使用者';
+        const when = current.updatedTime ? new Date(current.updatedTime).toLocaleString() : '';
+        let message = `此機會已於您編輯期間被 ${who} 修改 (${when})。\n\n`;
+        if (Object.keys(mine).length === 0) {
+            showNotification(message + '您沒有修改任何欄位，將載入最新資料。', 'warning');
+            toggleEditMode(false);
+            return _reloadDetails();
+        }
+        if (overlapping.length > 0) {
+            message += `雙方都修改了：${[...new Set(overlapping)].join('、')} (合併時以您的內容為準)\n\n`;
+        }
+        message += '按「確定」合併：只送出您修改的欄位，其餘保留對方的內容。\n按「取消」放棄您的編輯並重新載入最新資料。';
+
+        // 需要區分「確定 / 取消」兩種動作，confirmAction 只回呼確定，因此使用原生 confirm
+        if (confirm(message)) {
+            _currentOppForEditing = { ...base, ...current };
+            _submit(mine, current.updatedTime);
+        } else {
+            toggleEditMode(false);
+            _reloadDetails();
+        }
     }
 
     return {
@@ -86,6 +86,11 @@ async function loadOpportunityDetailPage(opportunityId) {
             );
         }
 
+        // 欄位變更歷史 (audit_logs)
+        if (window.AuditHistory) {
+            AuditHistory.render('#opportunity-audit-history', 'opportunity', opportunityInfo.opportunityId);
+        }
+
         OpportunityContacts.init(opportunityInfo, linkedContacts || []);
         OpportunityAssociatedOpps.render({
             opportunityInfo,
@@ -16,7 +16,7 @@ const NewOppWizard = {
             mainContact: '',
             contactPhone: '',
             county: '',
-            sourceId: null // 用於名片轉入 (Contact rowIndex)
+            sourceId: null // 用於名片轉入 (潛在客戶 originalId)
         }
     },
 
@@ -217,7 +217,7 @@ const NewOppWizard = {
         this.state.data.companyName = card.company;
         this.state.data.mainContact = card.name;
         this.state.data.contactPhone = card.mobile || card.phone;
-        this.state.data.sourceId = card.rowIndex;
+        this.state.data.sourceId = card.originalId;
         
         if(card.address && typeof detectCountyFromAddress === 'function') {
             const detected = detectCountyFromAddress(card.address);
@@ -289,7 +289,7 @@ const NewOppWizard = {
         select.innerHTML = '<option>載入中...</option>';
         
         try {
-            const detail = await authedFetch(`/api/companies/${encodeURIComponent(company.companyName)}/details`);
+            const detail = await authedFetch(`/api/companies/${encodeURIComponent(company.companyId || company.companyName)}/details`);
             const contacts = detail.data.contacts || [];
             
             let opts = '<option value="">請選擇聯絡人...</option>';
@@ -492,6 +492,7 @@ async function editOpportunity(opportunityId) {
         // [Modified] Use opportunityId (hidden input or dataset) instead of rowIndex
         const form = document.getElementById('edit-opportunity-form');
         form.dataset.currentOppId = opportunity.opportunityId;
+        form.dataset.companyId = opportunity.companyId || '';
         
         // Also try to set hidden input if it exists, for robustness
         const idInput = document.getElementById('edit-opportunity-id');
@@ -513,9 +514,12 @@ async function editOpportunity(opportunityId) {
         if (typeof populateCountyDropdown === 'function') {
             populateCountyDropdown('edit-company-county');
         }
-        const companyResult = await authedFetch(`/api/companies/${encodeURIComponent(opportunity.customerCompany)}/details`);
-        if (companyResult.success && companyResult.data.companyInfo && companyResult.data.companyInfo.county) {
-            document.getElementById('edit-company-county').value = companyResult.data.companyInfo.county;
+        const companyResult = await authedFetch(`/api/companies/${encodeURIComponent(opportunity.companyId || opportunity.customerCompany)}/details`);
+        if (companyResult.success && companyResult.data.companyInfo) {
+            form.dataset.companyId = companyResult.data.companyInfo.companyId;
+            if (companyResult.data.companyInfo.county) {
+                document.getElementById('edit-company-county').value = companyResult.data.companyInfo.county;
+            }
         }
     } catch (error) {
         if (error.message !== 'Unauthorized') showNotification('找不到該筆機會的資料', 'error');
@@ -734,16 +738,18 @@ document.addEventListener('submit', async function(e) {
             currentStage: document.getElementById('wiz-stage').value,
             notes: document.getElementById('wiz-notes').value,
             
-            // sourceId from wizard is usually Contact rowIndex for "upgrade".
-            rowIndex: stateData.sourceId 
+            // sourceId from wizard is the potential contact's originalId for "upgrade".
+            originalId: stateData.sourceId 
         };
 
+        if (!(await FormValidation.check('opportunity', payload))) return;
+
         showLoading('正在建立機會案件...');
         try {
             let url = '/api/opportunities';
-            if (payload.rowIndex) {
-                // Keep this path if it's for contact upgrade (Legacy RAW)
-                url = `/api/contacts/${payload.rowIndex}/upgrade`;
+            if (payload.originalId) {
+                // Contact upgrade (RAW business card)
+                url = `/api/contacts/potential/${encodeURIComponent(payload.originalId)}/upgrade`;
             }
             const result = await authedFetch(url, { method: 'POST', body: JSON.stringify(payload) });
 
@@ -785,14 +791,16 @@ document.addEventListener('submit', async function(e) {
                 notes: document.getElementById('edit-opportunity-notes').value,
                 modifier: modifier
             };
+            if (!(await FormValidation.check('opportunity', updateOpportunityData, { partial: true }))) return;
             
             const promises = [
                 // [Modified] PUT by ID
                 authedFetch(`/api/opportunities/${opportunityId}`, { method: 'PUT', body: JSON.stringify(updateOpportunityData) })
             ];
             if (newCounty) {
-                const encodedCompanyName = encodeURIComponent(companyName);
-                promises.push(authedFetch(`/api/companies/${encodedCompanyName}`, { method: 'PUT', body: JSON.stringify({ county: newCounty }) }));
+                // 以載入時解析的 companyId 更新；沒有 ID 的舊資料才以完整名稱定位
+                const companyRef = form.dataset.companyId || companyName;
+                promises.push(authedFetch(`/api/companies/${encodeURIComponent(companyRef)}`, { method: 'PUT', body: JSON.stringify({ county: newCounty }) }));
             }
             await Promise.all(promises);
             closeModal('edit-opportunity-modal');
@@ -381,6 +381,7 @@ window.ProductManager = {
     },
 
     async handleSingleProductSave(updatedData) {
+        if (!(await FormValidation.check('productBatch', { products: [updatedData] }))) return;
         try {
             const res = await authedFetch('/api/products/batch', {
                 method: 'POST',
@@ -489,6 +490,7 @@ window.ProductManager = {
             return;
         }
 
+        if (!(await FormValidation.check('productBatch', { products: payload }))) return;
         if(!confirm(`偵測到 ${payload.length} 筆資料變更，確定儲存?`)) return;
 
         const overlay = document.getElementById('global-loading-overlay');
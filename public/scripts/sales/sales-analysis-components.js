@@ -37,6 +37,9 @@ const SalesAnalysisComponents = {
             #page-sales-analysis .solid-blue { background-color: #3b82f6 !important; }
             #page-sales-analysis .solid-purple { background-color: #8b5cf6 !important; }
             #page-sales-analysis .stat-card.orange { border-left-color: #f97316; }
+            #page-sales-analysis .stat-card.red { border-left-color: #ef4444; }
+            .forecast-overdue-row td { color: #b91c1c; }
+            .forecast-hint { color: var(--text-muted); font-size: 0.85rem; }
             .sales-chip { display: inline-block; padding: 3px 10px; border-radius: 12px; font-size: 0.85rem; color: white; white-space: nowrap; }
             .type-chip { display: inline-block; padding: 3px 10px; border-radius: 4px; font-size: 0.85rem; color: white; white-space: nowrap; }
             .channel-chip { display: inline-block; padding: 2px 8px; border-radius: 4px; font-size: 0.85rem; border: 1px solid #e5e7eb; background-color: #f9fafb; color: #374151; }
@@ -72,6 +75,26 @@ const SalesAnalysisComponents = {
                 <div id="sales-overview-content" class="widget-content"><div class="loading show"><div class="spinner"></div></div></div>
                 <div id="sales-kpi-content" class="widget-content" style="margin-top: 16px;"></div>
             </div>
+            <div class="dashboard-widget" style="margin-top: 24px;">
+                <div class="widget-header" style="align-items: flex-start; flex-wrap: wrap; gap: 15px;">
+                    <div><h2 class="widget-title">營收預測</h2><p id="forecast-as-of" class="forecast-hint" style="margin-top: 5px;">進行中機會依預計結案月份，加權金額 = 機會價值 × 下單機率</p></div>
+                    <div style="display: flex; gap: 15px; align-items: center;">
+                        <select id="forecast-dimension-select" class="custom-select-control" onchange="handleForecastDimensionChange()">
+                            <option value="assignee">依負責業務</option>
+                            <option value="salesModel">依銷售模式</option>
+                            <option value="opportunityType">依機會種類</option>
+                        </select>
+                        <select id="forecast-months-select" class="custom-select-control" onchange="handleForecastMonthsChange()">
+                            <option value="3">未來 3 個月</option>
+                            <option value="6" selected>未來 6 個月</option>
+                            <option value="12">未來 12 個月</option>
+                        </select>
+                    </div>
+                </div>
+                <div id="forecast-summary" class="widget-content"><div class="loading show"><div class="spinner"></div></div></div>
+                <div id="chart-forecast" style="height: 360px;"></div>
+                <div id="forecast-overdue-list" class="widget-content"></div>
+            </div>
             <div id="sales-charts-container" class="dashboard-grid-flexible four-charts-row" style="margin-top: 24px; display:block;"></div>
             <div class="dashboard-widget" style="margin-top: 24px;">
                 <div class="widget-header" style="display: flex; align-items: center; justify-content: space-between; flex-wrap: wrap; padding-bottom: 15px; border-bottom: 1px solid var(--border-color); gap: 15px;">
@@ -144,6 +167,75 @@ const SalesAnalysisComponents = {
         }, 50);
     },
 
+    _forecastBucketLabel: function(key) {
+        return { overdue: '逾期', later: '更晚', unscheduled: '未排定' }[key] || key;
+    },
+
+    _escape: function(text) {
+        if (text === null || text === undefined) return '';
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#039;');
+    },
+
+    /**
+     * 營收預測：摘要卡片、各期間依維度堆疊的加權金額 (折線為未加權合計) 與逾期清單
+     * @param {Object} data - /api/sales-analysis/forecast 的 data
+     * @param {string} dimension - assignee / salesModel / opportunityType
+     * @param {Object} colors - 維度值 -> 顏色 (銷售模式、機會種類)
+     */
+    renderForecast: function(data, dimension, colors) {
+        const summary = document.getElementById('forecast-summary');
+        const list = document.getElementById('forecast-overdue-list');
+        if (!summary || !list) return;
+
+        const fmtM = v => (v||0).toLocaleString('zh-TW', {style:'currency', currency:'TWD', minimumFractionDigits:0});
+        const asOf = document.getElementById('forecast-as-of');
+        if (asOf) asOf.textContent = `進行中機會依預計結案月份 (基準日 ${data.asOf})，加權金額 = 機會價值 × 下單機率`;
+
+        const missing = data.missingProbability ? `<p class="forecast-hint" style="margin-top: 8px;">${data.missingProbability} 件機會未填或無法判斷下單機率，加權金額以 0 計算。</p>` : '';
+        summary.innerHTML = `
+            <div class="stats-grid" style="grid-template-columns: repeat(4, 1fr);">
+                <div class="stat-card blue"><div class="stat-header"><div class="stat-label">進行中金額 (${data.totals.count} 件)</div></div><div class="stat-number">${fmtM(data.totals.raw)}</div></div>
+                <div class="stat-card purple"><div class="stat-header"><div class="stat-label">加權預測金額</div></div><div class="stat-number">${fmtM(data.totals.weighted)}</div></div>
+                <div class="stat-card red"><div class="stat-header"><div class="stat-label">逾期未結案 (${data.overdue.count} 件)</div></div><div class="stat-number">${fmtM(data.overdue.raw)}</div></div>
+                <div class="stat-card orange"><div class="stat-header"><div class="stat-label">未排定結案日</div></div><div class="stat-number">${data.buckets.unscheduled.count} 件</div></div>
+            </div>${missing}`;
+
+        const bucketKeys = ['overdue', ...data.months, 'later', 'unscheduled'];
+        const rows = data.dimensions[dimension] || [];
+        setTimeout(() => {
+            if (typeof createThemedChart !== 'function') return;
+            createThemedChart('chart-forecast', {
+                chart: { type: 'column' }, title: { text: '' },
+                xAxis: { categories: bucketKeys.map(k => this._forecastBucketLabel(k)) },
+                yAxis: { title: { text: '金額' }, stackLabels: { enabled: false } },
+                tooltip: { shared: true, valueDecimals: 0 },
+                plotOptions: { column: { stacking: 'normal' } },
+                series: [
+                    ...rows.map(row => ({
+                        name: row.key, type: 'column', color: colors[row.key] || undefined,
+                        data: bucketKeys.map(k => row.buckets[k].weighted)
+                    })),
+                    { name: '未加權合計', type: 'spline', color: '#6b7280', dashStyle: 'ShortDash', data: bucketKeys.map(k => data.buckets[k].raw) }
+                ]
+            });
+        }, 50);
+
+        if (!data.overdue.items.length) {
+            list.innerHTML = '<div class="alert alert-info" style="text-align:center;">沒有逾期的進行中機會</div>';
+            return;
+        }
+        const more = data.overdue.count > data.overdue.items.length ? `<p class="forecast-hint">僅列出逾期最久的 ${data.overdue.items.length} 件 (共 ${data.overdue.count} 件)</p>` : '';
+        list.innerHTML = `<h3 style="margin-bottom: 8px;">逾期結案日 (請更新預計結案日或結案)</h3>${more}
+            <div class="table-container" style="overflow-x:auto;"><table class="data-table"><thead><tr style="white-space:nowrap;">
+                <th>預計結案日</th><th>逾期天數</th><th>機會名稱</th><th>終端客戶</th><th>階段</th><th>負責業務</th><th style="text-align:right;">機會價值</th><th style="text-align:right;">加權金額</th>
+            </tr></thead><tbody>
+            ${data.overdue.items.map(d => `<tr class="forecast-overdue-row"><td>${d.expectedCloseDate}</td><td>${d.daysOverdue} 天</td>
+                <td><a href="#" class="text-link" onclick="event.preventDefault();CRM_APP.navigateTo('opportunity-details',{opportunityId:'${this._escape(d.opportunityId)}'})"><strong>${this._escape(d.opportunityName)}</strong></a></td>
+                <td>${this._escape(d.customerCompany) || '-'}</td><td>${this._escape(d.currentStage) || '-'}</td><td>${this._escape(d.owner) || '-'}</td>
+                <td style="text-align:right;">$${(d.raw||0).toLocaleString()}</td><td style="text-align:right;font-weight:600;">$${(d.weighted||0).toLocaleString()}</td></tr>`).join('')}
+            </tbody></table></div>`;
+    },
+
     renderWonDealsTable: function(deals, page, perPage, sortState, modelColors, typeColors) {
         const container = document.getElementById('won-deals-content');
         if (!container) return;
@@ -8,6 +8,11 @@ let allWonDeals = [];         // 所有的成交案件
 let displayedDeals = [];      // 篩選與排序後的案件
 let currentSalesModelFilter = 'all';
 
+// 營收預測狀態 (不受上方成交日期區間影響)
+let salesForecastData = null;
+let forecastDimension = 'assignee';
+let forecastMonths = 6;
+
 // 列表狀態
 let currentSortState = { field: 'wonDate', direction: 'desc' };
 let currentPage = 1;
@@ -48,7 +53,10 @@ async function loadSalesAnalysisPage(startDateISO, endDateISO) {
     }
 
     // 3. 獲取數據
-    await fetchAndRenderSalesData(salesStartDate, salesEndDate);
+    await Promise.all([
+        fetchAndRenderSalesData(salesStartDate, salesEndDate),
+        fetchAndRenderForecast()
+    ]);
 }
 
 function refreshSalesAnalysis() {
@@ -118,6 +126,34 @@ async function fetchAndRenderSalesData(startDate, endDate) {
     }
 }
 
+async function fetchAndRenderForecast() {
+    const dimensionSelect = document.getElementById('forecast-dimension-select');
+    const monthsSelect = document.getElementById('forecast-months-select');
+    if (dimensionSelect) dimensionSelect.value = forecastDimension;
+    if (monthsSelect) monthsSelect.value = String(forecastMonths);
+
+    try {
+        const result = await authedFetch(`/api/sales-analysis/forecast?months=${forecastMonths}`);
+        if (!result.success || !result.data) throw new Error(result.error || '無法獲取預測數據');
+        salesForecastData = result.data;
+        renderForecast();
+    } catch (error) {
+        console.error('預測載入失敗:', error);
+        const summary = document.getElementById('forecast-summary');
+        if (summary) summary.innerHTML = `<div class="alert alert-error">載入失敗: ${error.message}</div>`;
+    }
+}
+
+function renderForecast() {
+    if (!salesForecastData) return;
+    // 銷售模式 / 機會種類沿用系統設定的顏色；負責業務使用圖表預設色
+    const colors = {};
+    const configKey = { salesModel: '銷售模式', opportunityType: '機會種類' }[forecastDimension];
+    const options = (configKey && window.CRM_APP?.systemConfig?.[configKey]) || [];
+    options.forEach(item => { if (item.color) colors[item.value] = item.color; });
+    SalesAnalysisComponents.renderForecast(salesForecastData, forecastDimension, colors);
+}
+
 function sortDeals(field, direction, sortDisplayedOnly = false) {
     const targetArray = sortDisplayedOnly ? displayedDeals : allWonDeals;
     targetArray.sort((a, b) => {
@@ -175,6 +211,18 @@ window.handleSalesModelFilterChange = function() {
     updateDashboard(displayedDeals);
 };
 
+window.handleForecastDimensionChange = function() {
+    const select = document.getElementById('forecast-dimension-select');
+    forecastDimension = select ? select.value : 'assignee';
+    renderForecast();
+};
+
+window.handleForecastMonthsChange = function() {
+    const select = document.getElementById('forecast-months-select');
+    forecastMonths = select ? parseInt(select.value) : 6;
+    fetchAndRenderForecast();
+};
+
 window.handleSortTable = function(field) {
     if (currentSortState.field === field) {
         currentSortState.direction = currentSortState.direction === 'asc' ? 'desc' : 'asc';
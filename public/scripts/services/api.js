@@ -115,7 +115,10 @@ async function executeFetch(url, options, attempts) {
 
         if (!response.ok) {
             const errorDetails = result?.details || result?.message || result?.error || response.statusText || `HTTP error ${response.status}`;
-            throw new Error(errorDetails);
+            const httpError = new Error(errorDetails);
+            httpError.status = response.status;
+            httpError.body = result; // 例如 409 版本衝突時附帶伺服器端最新資料 (current)
+            throw httpError;
         }
 
         // --- Smart Refresh on Write ---
@@ -132,10 +135,76 @@ async function executeFetch(url, options, attempts) {
         return result;
 
     } catch (error) {
-        if (error.message !== 'Unauthorized' && !isRedirectingToLogin) {
+        // options.handleConflict: 呼叫端自行處理 409 (合併 / 重新載入)，不顯示通用錯誤訊息
+        const conflictHandled = options.handleConflict && error.status === 409;
+        if (error.message !== 'Unauthorized' && !isRedirectingToLogin && !conflictHandled) {
             const displayError = error.message.length > 100 ? error.message.substring(0, 97) + '...' : error.message;
             showNotification(`操作失敗: ${displayError}`, 'error');
         }
         throw error;
     }
-}
\ No newline at end of file
+}
+/**
+ * 列表查詢參數 -> URLSearchParams (語法見 utils/list-query.js)；空值與 'all' 略過
+ * @param {URLSearchParams} query
+ * @param {object} params - q、filter[欄位]、sort、limit、cursor
+ * @returns {URLSearchParams}
+ */
+function appendListParams(query, params = {}) {
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '' && value !== 'all') query.append(key, value);
+    });
+    return query;
+}
+
+/**
+ * 讀取一頁列表 (Cursor 分頁)：下一頁以回傳的 pagination.nextCursor 作為 cursor 再呼叫一次
+ * @param {string} path - 例如 /api/companies、/api/opportunities、/api/interactions/all
+ * @param {object} [params={}] - 列表查詢參數 (q、filter[欄位]、sort、limit、cursor)
+ * @returns {Promise<{data: Array, pagination: {limit: number, nextCursor: string|null, hasMore: boolean}}>}
+ */
+async function fetchListPage(path, params = {}) {
+    const result = await authedFetch(`${path}?${appendListParams(new URLSearchParams(), params)}`);
+    return {
+        data: result.data || [],
+        pagination: result.pagination || { nextCursor: null, hasMore: false }
+    };
+}
+
+/**
+ * 下載伺服器端匯出檔 (/api/export/:entity)
+ * @param {string} entity - opportunity / company / contact / interaction / eventLog / product
+ * @param {object} [params={}] - 列表查詢參數 (q、filter[欄位]、sort)；空值與 'all' 略過
+ * @param {string} [format='csv'] - csv / xlsx / json
+ * @returns {Promise<void>}
+ */
+async function downloadExport(entity, params = {}, format = 'csv') {
+    const query = appendListParams(new URLSearchParams({ format }), params);
+
+    const token = localStorage.getItem('crm-token');
+    const response = await fetch(`/api/export/${entity}?${query}`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
+    });
+    if (!response.ok) {
+        let message = `HTTP error ${response.status}`;
+        try {
+            const body = await response.json();
+            message = body.details || body.error || message;
+        } catch (e) {
+            // 非 JSON 回應
+        }
+        showNotification(`匯出失敗: ${message}`, 'error');
+        throw new Error(message);
+    }
+
+    const disposition = response.headers.get('content-disposition') || '';
+    const fileName = (disposition.match(/filename="([^"]+)"/) || [])[1] || `${entity}.${format}`;
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
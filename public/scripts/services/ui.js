@@ -268,6 +268,35 @@ function closeBusinessCardPreview() {
     closeModal('business-card-preview-modal');
 }
 
+/**
+ * 渲染「載入更多」按鈕 (Cursor 分頁列表，見 fetchListPage)
+ * @param {string} containerId - 容器 ID
+ * @param {object} pagination - 分頁物件 { nextCursor, hasMore }
+ * @param {Function} onLoadMore - 點擊時呼叫，參數為 nextCursor
+ */
+function renderLoadMore(containerId, pagination, onLoadMore) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    if (!pagination || !pagination.hasMore || !pagination.nextCursor) {
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="pagination-wrap" style="display:flex; justify-content:center; padding:1rem;">
+            <button type="button" class="pagination-btn" id="${containerId}-more">載入更多</button>
+        </div>
+    `;
+
+    const moreBtn = document.getElementById(`${containerId}-more`);
+    moreBtn.addEventListener('click', () => {
+        moreBtn.disabled = true;
+        moreBtn.textContent = '載入中...';
+        onLoadMore(pagination.nextCursor);
+    });
+}
+
 /**
  * 渲染分頁元件 (Adapter for legacy calls)
  * - 目的：補回 interactions.js 等頁面腳本依賴的全域 renderPagination
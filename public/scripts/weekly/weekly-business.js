@@ -432,6 +432,7 @@ async function handleSaveWeeklyEntry(event) {
         showNotification('主題為必填項目', 'warning');
         return;
     }
+    if (!(await FormValidation.check('weeklyBusiness', entryData, { partial: !isNew }))) return;
 
     showLoading('正在儲存...');
     try {
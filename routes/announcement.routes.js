@@ -10,6 +10,7 @@ const express = require('express');
 const router = express.Router();
 // ★ 引入驗證中介軟體
 const { verifyToken } = require('../middleware/auth.middleware');
+const { validateBody } = require('../middleware/validation.middleware');
 
 // 輔助函式：動態獲取 Controller
 const getController = (req) => {
@@ -35,12 +36,12 @@ router.get('/', (req, res, next) => {
 // ==========================================
 
 // POST /api/announcements/
-router.post('/', verifyToken, (req, res, next) => {
+router.post('/', verifyToken, validateBody('announcement'), (req, res, next) => {
     getController(req).createAnnouncement(req, res, next);
 });
 
 // PUT /api/announcements/:id
-router.put('/:id', verifyToken, (req, res, next) => {
+router.put('/:id', verifyToken, validateBody('announcement', { partial: true }), (req, res, next) => {
     getController(req).updateAnnouncement(req, res, next);
 });
 
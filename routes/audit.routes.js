@@ -0,0 +1,26 @@
+// routes/audit.routes.js
+/**
+ * Audit Trail Routes
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 掛載於 /api/audit，verifyToken 由 routes/index.js 統一處理。
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// 輔助函式：動態獲取 Controller
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.auditController) {
+        throw new Error('AuditController 尚未初始化');
+    }
+    return services.auditController;
+};
+
+// GET /api/audit?entity=opportunity&id=... - 欄位變更歷史 (新到舊)
+router.get('/', (req, res, next) => {
+    getController(req).getHistory(req, res, next);
+});
+
+module.exports = router;
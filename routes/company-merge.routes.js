@@ -0,0 +1,44 @@
+// routes/company-merge.routes.js
+/**
+ * Company Merge Routes (Admin Only)
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 掛載於 /api/company-merges，verifyToken 由 routes/index.js 統一處理。
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/role.middleware');
+
+// 輔助函式：動態獲取 Controller
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.companyMergeController) {
+        throw new Error('CompanyMergeController 尚未初始化');
+    }
+    return services.companyMergeController;
+};
+
+router.use(requireRole('admin'));
+
+// GET /api/company-merges/duplicates?minScore=&limit=&companyId= - 疑似重複的公司對
+router.get('/duplicates', (req, res, next) => {
+    getController(req).getDuplicates(req, res, next);
+});
+
+// GET /api/company-merges?companyId= - 合併紀錄
+router.get('/', (req, res, next) => {
+    getController(req).getMerges(req, res, next);
+});
+
+// POST /api/company-merges - 合併 { survivorId, mergedId }
+router.post('/', (req, res, next) => {
+    getController(req).mergeCompanies(req, res, next);
+});
+
+// POST /api/company-merges/:mergeId/undo - 復原合併
+router.post('/:mergeId/undo', (req, res, next) => {
+    getController(req).undoMerge(req, res, next);
+});
+
+module.exports = router;
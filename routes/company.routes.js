@@ -7,6 +7,8 @@
 
 const express = require('express');
 const router = express.Router();
+const { parseListQuery } = require('../middleware/list-query.middleware');
+const { validateBody, validateCustomFields } = require('../middleware/validation.middleware');
 
 // 輔助函式
 const getController = (req) => {
@@ -21,35 +23,35 @@ const getController = (req) => {
 // 這裡保留 require 以確保 Phase 5 之前的相容性
 const externalController = require('../controllers/external.controller');
 
-// GET /api/companies/
-router.get('/', (req, res, next) => {
+// GET /api/companies/ (支援 filter / sort / limit / cursor，見 utils/list-query.js)
+router.get('/', parseListQuery('company'), (req, res, next) => {
     getController(req).getCompanies(req, res, next);
 });
 
 // POST /api/companies/
-router.post('/', (req, res, next) => {
+router.post('/', validateBody('company'), validateCustomFields('company'), (req, res, next) => {
     getController(req).createCompany(req, res, next);
 });
 
 // --- AI 路由 (External Controller) ---
-// POST /api/companies/:companyName/generate-profile
+// POST /api/companies/:companyName/generate-profile (名稱只作為 AI 查詢關鍵字，不定位資料)
 // 如果 ExternalController 還沒重構，直接用舊的
 router.post('/:companyName/generate-profile', externalController.generateCompanyProfile);
 
-// --- 公司路由 ---
+// --- 公司路由 (以 companyId 定位；舊版網址的完整公司名稱仍可解析，同名多筆時回 409) ---
 
-// GET /api/companies/:companyName/details
-router.get('/:companyName/details', (req, res, next) => {
+// GET /api/companies/:companyId/details
+router.get('/:companyId/details', (req, res, next) => {
     getController(req).getCompanyDetails(req, res, next);
 });
 
-// PUT /api/companies/:companyName
-router.put('/:companyName', (req, res, next) => {
+// PUT /api/companies/:companyId
+router.put('/:companyId', validateBody('company', { partial: true }), validateCustomFields('company'), (req, res, next) => {
     getController(req).updateCompany(req, res, next);
 });
 
-// DELETE /api/companies/:companyName
-router.delete('/:companyName', (req, res, next) => {
+// DELETE /api/companies/:companyId
+router.delete('/:companyId', (req, res, next) => {
     getController(req).deleteCompany(req, res, next);
 });
 
@@ -1,12 +1,14 @@
 /**
  * routes/contact.routes.js
  * 聯絡人/潛在客戶模組路由
- * * @version 6.1.1 (Fixed: Dashboard Route & Data Shape)
- * @date 2026-01-15
+ * * @version 6.3.0 (Contact de-duplication & merge)
+ * @date 2026-10-19
  */
 const express = require('express');
 const router = express.Router();
 const ContactController = require('../controllers/contact.controller');
+const { parseListQuery } = require('../middleware/list-query.middleware');
+const { validateBody, validateCustomFields } = require('../middleware/validation.middleware');
 
 // =======================================================
 // 🏭 Controller Factory
@@ -19,7 +21,8 @@ const getController = (req) => {
     return new ContactController(
         services.contactService,
         services.workflowService,
-        services.contactWriter
+        services.contactWriter,
+        services.contactMergeService
     );
 };
 
@@ -35,6 +38,27 @@ router.get('/dashboard', async (req, res, next) => {
     } catch (e) { next(e); }
 });
 
+// GET /api/contacts/duplicates (正式聯絡人 + 名片的疑似重複群組)
+router.get('/duplicates', async (req, res, next) => {
+    try {
+        await getController(req).getDuplicates(req, res);
+    } catch (e) { next(e); }
+});
+
+// GET /api/contacts/merges?survivorId= (合併紀錄，含保留的名片圖檔)
+router.get('/merges', async (req, res, next) => {
+    try {
+        await getController(req).getMerges(req, res);
+    } catch (e) { next(e); }
+});
+
+// POST /api/contacts/merge { survivor: { type, id }, merged: [{ type, id }] }
+router.post('/merge', validateBody('contactMerge'), async (req, res, next) => {
+    try {
+        await getController(req).mergeContacts(req, res);
+    } catch (e) { next(e); }
+});
+
 // GET /api/contacts (列表搜尋)
 router.get('/', async (req, res, next) => {
     try {
@@ -42,36 +66,57 @@ router.get('/', async (req, res, next) => {
     } catch (e) { next(e); }
 });
 
-// GET /api/contacts/list (正式名單)
-router.get('/list', async (req, res, next) => {
+// GET /api/contacts/list (正式名單，支援 filter / sort / limit / cursor)
+router.get('/list', parseListQuery('contact'), async (req, res, next) => {
     try {
         await getController(req).searchContactList(req, res);
     } catch (e) { next(e); }
 });
 
-// POST /api/contacts/:rowIndex/upgrade (升級)
-router.post('/:rowIndex/upgrade', async (req, res, next) => {
+// POST /api/contacts/potential/:originalId/upgrade (升級)
+router.post('/potential/:originalId/upgrade', validateBody('opportunity'), async (req, res, next) => {
+    try {
+        await getController(req).upgradeContact(req, res);
+    } catch (e) { next(e); }
+});
+
+// POST /api/contacts/potential/:originalId/file (歸檔)
+router.post('/potential/:originalId/file', validateBody('potentialContactFile'), async (req, res, next) => {
+    try {
+        await getController(req).fileContact(req, res);
+    } catch (e) { next(e); }
+});
+
+// @deprecated 以實體列號定位，列被插入/刪除後會指到別人；請改用 /potential/:originalId/upgrade
+router.post('/:rowIndex/upgrade', validateBody('opportunity'), async (req, res, next) => {
     try {
         await getController(req).upgradeContact(req, res);
     } catch (e) { next(e); }
 });
 
 // PUT /api/contacts/:contactId (更新)
-router.put('/:contactId', async (req, res, next) => {
+router.put('/:contactId', validateBody('contact', { partial: true }), validateCustomFields('contact'), async (req, res, next) => {
     try {
         await getController(req).updateContact(req, res);
     } catch (e) { next(e); }
 });
 
+// DELETE /api/contacts/:contactId (刪除，移入回收桶)
+router.delete('/:contactId', async (req, res, next) => {
+    try {
+        await getController(req).deleteContact(req, res);
+    } catch (e) { next(e); }
+});
+
 // POST /api/contacts/:contactId/link-card (連結名片)
-router.post('/:contactId/link-card', async (req, res, next) => {
+router.post('/:contactId/link-card', validateBody('contactLinkCard'), async (req, res, next) => {
     try {
         await getController(req).linkCardToContact(req, res);
     } catch (e) { next(e); }
 });
 
-// POST /api/contacts/:rowIndex/file (歸檔)
-router.post('/:rowIndex/file', async (req, res, next) => {
+// @deprecated 請改用 /potential/:originalId/file
+router.post('/:rowIndex/file', validateBody('potentialContactFile'), async (req, res, next) => {
     try {
         await getController(req).fileContact(req, res);
     } catch (e) { next(e); }
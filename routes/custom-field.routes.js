@@ -0,0 +1,42 @@
+// routes/custom-field.routes.js
+/**
+ * Custom Field Routes
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 掛載於 /api/custom-fields，verifyToken 由 routes/index.js 統一處理；欄位定義的維護僅限管理員。
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/role.middleware');
+
+// 輔助函式：動態獲取 Controller
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.customFieldController) {
+        throw new Error('CustomFieldController 尚未初始化');
+    }
+    return services.customFieldController;
+};
+
+// GET /api/custom-fields - 各實體的欄位定義 (依角色過濾；管理員 ?all=1 含停用欄位)
+router.get('/', (req, res, next) => {
+    getController(req).getFields(req, res, next);
+});
+
+// POST /api/custom-fields - 新增或更新欄位定義
+router.post('/', requireRole('admin'), (req, res, next) => {
+    getController(req).saveField(req, res, next);
+});
+
+// GET /api/custom-fields/:entity/:entityId/values - 單筆資料的欄位定義與值
+router.get('/:entity/:entityId/values', (req, res, next) => {
+    getController(req).getValues(req, res, next);
+});
+
+// DELETE /api/custom-fields/:entity/:key - 停用欄位
+router.delete('/:entity/:key', requireRole('admin'), (req, res, next) => {
+    getController(req).disableField(req, res, next);
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+// routes/event-template.routes.js
+/**
+ * Event Template Routes
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 掛載於 /api/event-templates，verifyToken 由 routes/index.js 統一處理；範本的維護僅限管理員。
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/role.middleware');
+
+// 輔助函式：動態獲取 Controller
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.eventTemplateController) {
+        throw new Error('EventTemplateController 尚未初始化');
+    }
+    return services.eventTemplateController;
+};
+
+// GET /api/event-templates - 事件範本 (含停用的類型，以 enabled 區分)
+router.get('/', (req, res, next) => {
+    getController(req).getTemplates(req, res, next);
+});
+
+// POST /api/event-templates - 新增或更新範本
+router.post('/', requireRole('admin'), (req, res, next) => {
+    getController(req).saveTemplate(req, res, next);
+});
+
+// DELETE /api/event-templates/:type - 停用自訂類型 / 內建類型恢復預設範本
+router.delete('/:type', requireRole('admin'), (req, res, next) => {
+    getController(req).disableTemplate(req, res, next);
+});
+
+module.exports = router;
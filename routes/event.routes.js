@@ -2,13 +2,14 @@
 const express = require('express');
 const router = express.Router();
 const controller = require('../controllers/event.controller');
+const { validateBody, validateEventTemplate } = require('../middleware/validation.middleware');
 
 // --- Event Log Routes ---
 // ( /api/events/* )
 
-router.post('/', controller.createEventLog);
+router.post('/', validateBody('eventLog'), validateEventTemplate({ creating: true }), controller.createEventLog);
 router.get('/:eventId', controller.getEventLogById);
-router.put('/:eventId', controller.updateEventLog);
+router.put('/:eventId', validateBody('eventLog', { partial: true }), validateEventTemplate(), controller.updateEventLog);
 router.delete('/:eventId', controller.deleteEventLog);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,28 @@
+// routes/export.routes.js
+/**
+ * Data Export Routes
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 掛載於 /api/export，verifyToken 由 routes/index.js 統一處理。
+ * :entity = opportunity / company / contact / interaction / eventLog / product
+ * 查詢參數：format=csv|xlsx|json (預設 csv)，其餘與列表 API 相同 (q / filter / sort)。
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// 輔助函式：動態獲取 Controller
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.exportController) {
+        throw new Error('ExportController 尚未初始化');
+    }
+    return services.exportController;
+};
+
+// GET /api/export/:entity - 下載匯出檔
+router.get('/:entity', (req, res, next) => {
+    getController(req).exportEntity(req, res, next);
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+// routes/import.routes.js
+/**
+ * Bulk Import Routes
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 掛載於 /api/imports，verifyToken 由 routes/index.js 統一處理。
+ * :entity = company / contact / opportunity
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// 輔助函式：動態獲取 Controller
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.importController) {
+        throw new Error('ImportController 尚未初始化');
+    }
+    return services.importController;
+};
+
+// GET /api/imports/:entity/fields - 可對應的系統欄位
+router.get('/:entity/fields', (req, res, next) => {
+    getController(req).getFields(req, res, next);
+});
+
+// POST /api/imports/:entity/preview - 預覽 (新增 / 更新 / 重複 / 錯誤)
+router.post('/:entity/preview', (req, res, next) => {
+    getController(req).preview(req, res, next);
+});
+
+// POST /api/imports/:entity/commit - 執行匯入
+router.post('/:entity/commit', (req, res, next) => {
+    getController(req).commit(req, res, next);
+});
+
+module.exports = router;
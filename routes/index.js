@@ -7,6 +7,7 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth.middleware');
+const { redactCustomFields } = require('../middleware/custom-field.middleware');
 
 // --- Controllers ---
 const externalController = require('../controllers/external.controller');
@@ -26,6 +27,17 @@ const eventRoutes = require('./event.routes');
 const lineLeadsRoutes = require('./line-leads.routes');
 const externalRoutes = require('./external.routes');
 const calendarRoutes = require('./calendar.routes');
+const shadowRoutes = require('./shadow.routes');
+const trashRoutes = require('./trash.routes');
+const auditRoutes = require('./audit.routes');
+const searchRoutes = require('./search.routes');
+const companyMergeRoutes = require('./company-merge.routes');
+const integrityRoutes = require('./integrity.routes');
+const importRoutes = require('./import.routes');
+const exportRoutes = require('./export.routes');
+const customFieldRoutes = require('./custom-field.routes');
+const eventTemplateRoutes = require('./event-template.routes');
+const stageGateRoutes = require('./stage-gate.routes');
 
 // ==========================================
 // 1. 公開/特殊驗證路由 (Public / Custom Auth)
@@ -42,6 +54,8 @@ router.get('/drive/thumbnail', externalController.getDriveThumbnail);
 // 2. 系統標準保護區域 (System Protected)
 // ==========================================
 router.use(authMiddleware.verifyToken);
+// 所有回應依登入者角色移除看不到的自訂欄位值
+router.use(redactCustomFields);
 
 router.use('/', systemRoutes);
 router.use('/external', externalRoutes);
@@ -62,6 +76,39 @@ router.use('/interactions', interactionRoutes);
 router.use('/events', eventRoutes);
 router.use('/calendar', calendarRoutes);
 
+// 管理員專用：SQL 切換期影子模式差異報表
+router.use('/admin/shadow', shadowRoutes);
+
+// 管理員專用：回收桶 (軟刪除的還原 / 永久刪除)
+router.use('/trash', trashRoutes);
+
+// 欄位層級稽核紀錄 (機會 / 公司詳細頁的變更歷史)
+router.use('/audit', auditRoutes);
+
+// 全域搜尋 (頁首搜尋框)
+router.use('/search', searchRoutes);
+
+// 管理員專用：重複公司偵測與合併 / 復原
+router.use('/company-merges', companyMergeRoutes);
+
+// 管理員專用：資料完整性報告與安全修復
+router.use('/admin/integrity', integrityRoutes);
+
+// 公司 / 聯絡人 / 機會批次匯入 (CSV / XLSX)
+router.use('/imports', importRoutes);
+
+// 各實體資料匯出 (CSV / XLSX / JSON，篩選參數與列表 API 相同)
+router.use('/export', exportRoutes);
+
+// 自訂欄位 (定義由管理員維護；值存於各實體的 custom_fields)
+router.use('/custom-fields', customFieldRoutes);
+
+// 事件範本 (事件類型的區塊與欄位，由管理員維護)
+router.use('/event-templates', eventTemplateRoutes);
+
+// 階段關卡 (機會推進階段前的必填欄位與檢查，由管理員維護)
+router.use('/stage-gates', stageGateRoutes);
+
 // ==========================================
 // 3. 404 與 根路徑
 // ==========================================
@@ -0,0 +1,34 @@
+// routes/integrity.routes.js
+/**
+ * Data Integrity Routes (Admin Only)
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 掛載於 /api/admin/integrity，verifyToken 由 routes/index.js 統一處理。
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/role.middleware');
+
+// 輔助函式：動態獲取 Controller
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.integrityController) {
+        throw new Error('IntegrityController 尚未初始化');
+    }
+    return services.integrityController;
+};
+
+router.use(requireRole('admin'));
+
+// GET /api/admin/integrity - 完整性報告 (各類違規的筆數與範例)
+router.get('/', (req, res, next) => {
+    getController(req).getReport(req, res, next);
+});
+
+// POST /api/admin/integrity/:checkId/repair - 執行該類別的安全修復
+router.post('/:checkId/repair', (req, res, next) => {
+    getController(req).repair(req, res, next);
+});
+
+module.exports = router;
@@ -9,6 +9,8 @@
 const express = require('express');
 const router = express.Router();
 const { verifyToken } = require('../middleware/auth.middleware');
+const { parseListQuery } = require('../middleware/list-query.middleware');
+const { validateBody } = require('../middleware/validation.middleware');
 
 // 輔助函式：取得 Controller
 const getController = (req) => {
@@ -24,12 +26,12 @@ const getController = (req) => {
 // ==========================================
 
 // GET /api/interactions (標準列表)
-router.get('/', (req, res, next) => {
+router.get('/', parseListQuery('interaction'), (req, res, next) => {
     getController(req).getInteractions(req, res, next);
 });
 
 // ★ 新增：GET /api/interactions/all (前端 Dashboard 與列表頁面使用此路徑)
-router.get('/all', (req, res, next) => {
+router.get('/all', parseListQuery('interaction'), (req, res, next) => {
     getController(req).getInteractions(req, res, next);
 });
 
@@ -48,12 +50,12 @@ router.get('/company/:id', (req, res, next) => {
 // ==========================================
 
 // POST /api/interactions
-router.post('/', verifyToken, (req, res, next) => {
+router.post('/', verifyToken, validateBody('interaction'), (req, res, next) => {
     getController(req).createInteraction(req, res, next);
 });
 
 // PUT /api/interactions/:id
-router.put('/:id', verifyToken, (req, res, next) => {
+router.put('/:id', verifyToken, validateBody('interaction', { partial: true }), (req, res, next) => {
     getController(req).updateInteraction(req, res, next);
 });
 
@@ -1,13 +1,16 @@
 /**
  * routes/line-leads.routes.js
- * @version 1.1.0
- * @date 2026-01-26
+ * @version 1.2.0
+ * @date 2026-10-19
  * @description Line-Leads L1→L2：改由 services 容器注入 authService（移除 contactWriter 直接注入）。
+ * 名片更新改以 originalId 定位，:rowIndex 路由保留為 Deprecated 相容路徑。
+ * 名片更新只接受 lineLead schema 列出的欄位 (data/request-schemas.js)。
  */
 
 const express = require('express');
 const router = express.Router();
 const LineLeadsController = require('../controllers/line-leads.controller');
+const { validateBody } = require('../middleware/validation.middleware');
 
 // 依賴注入：從 app 中獲取 services
 const getController = (req) => {
@@ -26,7 +29,10 @@ const getController = (req) => {
 // GET /api/line/leads - 取得所有名片資料
 router.get('/leads', (req, res) => getController(req).getAllLeads(req, res));
 
-// PUT /api/line/leads/:rowIndex - 更新特定名片狀態/資料
-router.put('/leads/:rowIndex', (req, res) => getController(req).updateLead(req, res));
+// PUT /api/line/leads/by-id/:originalId - 更新特定名片狀態/資料
+router.put('/leads/by-id/:originalId', validateBody('lineLead', { partial: true }), (req, res) => getController(req).updateLead(req, res));
+
+// @deprecated PUT /api/line/leads/:rowIndex - 請改用 /leads/by-id/:originalId
+router.put('/leads/:rowIndex', validateBody('lineLead', { partial: true }), (req, res) => getController(req).updateLead(req, res));
 
 module.exports = router;
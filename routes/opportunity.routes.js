@@ -7,6 +7,8 @@
 
 const express = require('express');
 const router = express.Router();
+const { parseListQuery } = require('../middleware/list-query.middleware');
+const { validateBody, validateCustomFields } = require('../middleware/validation.middleware');
 
 // 輔助函式
 const getController = (req) => {
@@ -27,8 +29,8 @@ router.get('/by-county', (req, res, next) => {
     getController(req).getOpportunitiesByCounty(req, res, next);
 });
 
-// GET /api/opportunities/
-router.get('/', (req, res, next) => {
+// GET /api/opportunities/ (支援 filter / sort / limit / cursor，見 utils/list-query.js)
+router.get('/', parseListQuery('opportunity'), (req, res, next) => {
     getController(req).searchOpportunities(req, res, next);
 });
 
@@ -38,17 +40,22 @@ router.get('/:opportunityId/details', (req, res, next) => {
 });
 
 // POST /api/opportunities/
-router.post('/', (req, res, next) => {
+router.post('/', validateBody('opportunity'), validateCustomFields('opportunity'), (req, res, next) => {
     getController(req).createOpportunity(req, res, next);
 });
 
+// GET /api/opportunities/:opportunityId/stage-gates (推進各階段的待辦清單)
+router.get('/:opportunityId/stage-gates', (req, res, next) => {
+    getController(req).getStageGateChecklist(req, res, next);
+});
+
 // PUT /api/opportunities/batch
-router.put('/batch', (req, res, next) => {
+router.put('/batch', validateBody('opportunityBatch'), (req, res, next) => {
     getController(req).batchUpdateOpportunities(req, res, next);
 });
 
 // PUT /api/opportunities/:opportunityId
-router.put('/:opportunityId', (req, res, next) => {
+router.put('/:opportunityId', validateBody('opportunity', { partial: true }), validateCustomFields('opportunity'), (req, res, next) => {
     getController(req).updateOpportunity(req, res, next);
 });
 
@@ -58,7 +65,7 @@ router.delete('/:opportunityId', (req, res, next) => {
 });
 
 // POST /api/opportunities/:opportunityId/contacts
-router.post('/:opportunityId/contacts', (req, res, next) => {
+router.post('/:opportunityId/contacts', validateBody('opportunityContact'), (req, res, next) => {
     getController(req).addContactToOpportunity(req, res, next);
 });
 
@@ -9,6 +9,7 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth.middleware');
+const { validateBody } = require('../middleware/validation.middleware');
 
 // Helper: 取得 Controller 實例
 const getController = (req) => req.app.get('services').productController;
@@ -23,12 +24,12 @@ router.get('/', (req, res) => getController(req).getProducts(req, res));
 router.post('/refresh', (req, res) => getController(req).refresh(req, res));
 
 // POST /api/products/batch
-router.post('/batch', (req, res) => getController(req).batchUpdate(req, res));
+router.post('/batch', validateBody('productBatch'), (req, res) => getController(req).batchUpdate(req, res));
 
 // GET /api/products/category-order
 router.get('/category-order', (req, res) => getController(req).getCategoryOrder(req, res));
 
 // POST /api/products/category-order
-router.post('/category-order', (req, res) => getController(req).saveCategoryOrder(req, res));
+router.post('/category-order', validateBody('productCategoryOrder'), (req, res) => getController(req).saveCategoryOrder(req, res));
 
 module.exports = router;
\ No newline at end of file
@@ -6,4 +6,7 @@ const controller = require('../controllers/sales.controller');
 // GET /api/sales-analysis
 router.get('/', controller.getSalesAnalysis);
 
+// GET /api/sales-analysis/forecast (進行中機會的加權預測)
+router.get('/forecast', controller.getForecast);
+
 module.exports = router;
\ No newline at end of file
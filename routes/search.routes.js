@@ -0,0 +1,26 @@
+// routes/search.routes.js
+/**
+ * Global Search Routes
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 掛載於 /api/search，verifyToken 由 routes/index.js 統一處理。
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// 輔助函式：動態獲取 Controller
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.searchController) {
+        throw new Error('SearchController 尚未初始化');
+    }
+    return services.searchController;
+};
+
+// GET /api/search?q=... - 跨實體搜尋 (分組、排序、摘要標示)
+router.get('/', (req, res, next) => {
+    getController(req).search(req, res, next);
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+// routes/shadow.routes.js
+/**
+ * Shadow Mode Routes (Admin Only)
+ * * @version 1.0.0 (Phase 8 - Data Source Cutover)
+ * @date 2026-10-19
+ * @description 掛載於 /api/admin/shadow，verifyToken 由 routes/index.js 統一處理。
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/role.middleware');
+
+// 輔助函式：動態獲取 Controller
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.shadowController) {
+        throw new Error('ShadowController 尚未初始化');
+    }
+    return services.shadowController;
+};
+
+router.use(requireRole('admin'));
+
+// GET /api/admin/shadow/summary - 每個實體 / 每個欄位的差異統計
+router.get('/summary', (req, res, next) => {
+    getController(req).getSummary(req, res, next);
+});
+
+// GET /api/admin/shadow/entries - 差異明細
+router.get('/entries', (req, res, next) => {
+    getController(req).getEntries(req, res, next);
+});
+
+// DELETE /api/admin/shadow/entries - 清除差異紀錄 (重新起算)
+router.delete('/entries', (req, res, next) => {
+    getController(req).clearEntries(req, res, next);
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+// routes/stage-gate.routes.js
+/**
+ * Stage Gate Routes
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 掛載於 /api/stage-gates，verifyToken 由 routes/index.js 統一處理；規則的維護僅限管理員。
+ * 單一機會的待辦清單見 GET /api/opportunities/:opportunityId/stage-gates。
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/role.middleware');
+
+// 輔助函式：動態獲取 Controller
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.stageGateController) {
+        throw new Error('StageGateController 尚未初始化');
+    }
+    return services.stageGateController;
+};
+
+// GET /api/stage-gates - 階段關卡規則 (?all=1 含停用)
+router.get('/', (req, res, next) => {
+    getController(req).getRules(req, res, next);
+});
+
+// POST /api/stage-gates - 新增或更新規則
+router.post('/', requireRole('admin'), (req, res, next) => {
+    getController(req).saveRule(req, res, next);
+});
+
+// DELETE /api/stage-gates/:stage?opportunityType= - 停用規則
+router.delete('/:stage', requireRole('admin'), (req, res, next) => {
+    getController(req).disableRule(req, res, next);
+});
+
+module.exports = router;
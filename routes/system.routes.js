@@ -8,6 +8,7 @@
 
 const express = require('express');
 const router = express.Router();
+const { requireRole } = require('../middleware/role.middleware');
 
 // 輔助函式：動態獲取 Controller
 const getController = (req) => {
@@ -24,12 +25,24 @@ router.get('/config', (req, res, next) => {
     getController(req).getSystemConfig(req, res, next);
 });
 
+// 寫入 API 的驗證規則 (data/request-schemas.js)
+// GET /api/schemas
+router.get('/schemas', (req, res, next) => {
+    getController(req).getRequestSchemas(req, res, next);
+});
+
 // 清除快取
 // POST /api/cache/invalidate
 router.post('/cache/invalidate', (req, res, next) => {
     getController(req).invalidateCache(req, res, next);
 });
 
+// 快取命中率與各鍵狀態 (管理員)
+// GET /api/cache/stats
+router.get('/cache/stats', requireRole('admin'), (req, res, next) => {
+    getController(req).getCacheStats(req, res, next);
+});
+
 // 系統狀態輪詢
 // GET /api/system/status
 router.get('/system/status', (req, res, next) => {
@@ -0,0 +1,39 @@
+// routes/trash.routes.js
+/**
+ * Recycle Bin Routes (Admin Only)
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 掛載於 /api/trash，verifyToken 由 routes/index.js 統一處理。
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/role.middleware');
+
+// 輔助函式：動態獲取 Controller
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.trashController) {
+        throw new Error('TrashController 尚未初始化');
+    }
+    return services.trashController;
+};
+
+router.use(requireRole('admin'));
+
+// GET /api/trash?entity= - 回收桶列表 (entity: opportunity / company / contact / interaction / event)
+router.get('/', (req, res, next) => {
+    getController(req).listItems(req, res, next);
+});
+
+// POST /api/trash/:entity/:id/restore - 還原
+router.post('/:entity/:id/restore', (req, res, next) => {
+    getController(req).restoreItem(req, res, next);
+});
+
+// DELETE /api/trash/:entity/:id - 永久刪除
+router.delete('/:entity/:id', (req, res, next) => {
+    getController(req).purgeItem(req, res, next);
+});
+
+module.exports = router;
@@ -9,6 +9,7 @@ const express = require('express');
 const router = express.Router();
 // 修正：Middleware 匯出名稱為 verifyToken
 const { verifyToken } = require('../middleware/auth.middleware');
+const { validateBody } = require('../middleware/validation.middleware');
 
 // 輔助函式：從 Container 獲取 Controller 實例
 const getController = (req) => req.app.get('services').weeklyController;
@@ -32,12 +33,12 @@ router.get('/details/:weekId', (req, res, next) =>
 );
 
 // 建立週報
-router.post('/', (req, res, next) => 
+router.post('/', validateBody('weeklyBusiness'), (req, res, next) => 
     getController(req).createEntry(req, res, next)
 );
 
 // 更新週報
-router.put('/:recordId', (req, res, next) => 
+router.put('/:recordId', validateBody('weeklyBusiness', { partial: true }), (req, res, next) => 
     getController(req).updateEntry(req, res, next)
 );
 
@@ -112,13 +112,16 @@ class AnnouncementService {
     /**
      * 刪除公告
      * @param {string} id - 公告 ID
+     * @param {Object} [user] - 操作者
      */
-    async deleteAnnouncement(id) {
+    async deleteAnnouncement(id, user = {}) {
         try {
+            const modifierName = user.displayName || user.username || user.name || 'System';
+
             if (!id) throw new Error('公告 ID 為必填');
 
             // [SQL Write] Direct Delete by ID
-            const result = await this.announcementSqlWriter.deleteAnnouncement(id);
+            const result = await this.announcementSqlWriter.deleteAnnouncement(id, modifierName);
             return result;
         } catch (error) {
             console.error('[AnnouncementService] deleteAnnouncement Error:', error);
@@ -0,0 +1,61 @@
+/**
+ * services/audit-service.js
+ * 欄位層級稽核紀錄查詢
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * - 寫入端：Opportunity / Company / Contact / Interaction / EventLog / Trash / Weekly / Announcement /
+ *   Product / User 的 SQL Writer 注入同一個 AuditSqlWriter，每次寫入逐欄記錄
+ *   (entity, entityId, field, oldValue, newValue, actor, createdAt)。
+ * - 讀取端：本服務提供 /api/audit 查詢，供機會 / 公司詳細頁的「變更歷史」分頁使用。
+ * - 商品的成本與通路價格為機敏欄位 (同 services/product-service.js)，非管理員查詢時隱藏新舊值。
+ */
+
+const AUDIT_ENTITIES = ['opportunity', 'company', 'contact', 'interaction', 'event', 'weekly', 'announcement', 'product', 'user'];
+const MAX_LIMIT = 500;
+
+// 僅管理員可讀的欄位值 (entity -> audit_logs.field)
+const CONFIDENTIAL_FIELDS = {
+    product: new Set(['cost', 'price_mtb', 'price_si', 'price_mtu'])
+};
+
+class AuditService {
+    /**
+     * @param {AuditSqlReader} auditSqlReader
+     */
+    constructor(auditSqlReader) {
+        this.auditSqlReader = auditSqlReader;
+    }
+
+    getEntities() {
+        return AUDIT_ENTITIES.slice();
+    }
+
+    isKnownEntity(entity) {
+        return AUDIT_ENTITIES.includes(entity);
+    }
+
+    /**
+     * @param {Object} filters
+     * @param {string} [filters.entity]
+     * @param {string} [filters.entityId]
+     * @param {string} [filters.actor]
+     * @param {number} [filters.limit]
+     * @param {Object} [options]
+     * @param {string} [options.role] - 非 admin 時隱藏機敏欄位的新舊值
+     * @returns {Promise<Array<Object>>} 新到舊
+     */
+    async getHistory({ entity, entityId, actor, limit } = {}, { role } = {}) {
+        const safeLimit = Math.min(parseInt(limit, 10) || 200, MAX_LIMIT);
+        const logs = await this.auditSqlReader.getLogs({ entity, entityId, actor, limit: safeLimit });
+        return role === 'admin' ? logs : logs.map(log => this._withholdConfidential(log));
+    }
+
+    _withholdConfidential(log) {
+        const fields = CONFIDENTIAL_FIELDS[log.entity];
+        if (!fields || !fields.has(log.field)) return log;
+        return { ...log, oldValue: null, newValue: null };
+    }
+}
+
+module.exports = AuditService;
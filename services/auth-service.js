@@ -1,9 +1,11 @@
 /**
  * services/auth-service.js
  * 使用者認證服務 (User Domain Layer)
- * * @version 5.2.3
- * @date 2026-01-26
+ * * @version 5.3.0
+ * @date 2026-10-19
  * @description Line-Leads L1→L2：新增 verifyLineIdToken，其餘既有登入/密碼流程保持不變。
+ * [Phase 8] config.DATA_SOURCES.AUTH = 'SQL' 時，使用者改由 users 資料表 (UserSqlReader/Writer) 讀寫，
+ * 以 username 定位，不再依賴 Sheet rowIndex。
  * @contract 遵守契約 v1.0：DOM/API/localStorage 不變。
  */
 
@@ -15,12 +17,20 @@ class AuthService {
     /**
      * @param {SystemReader} systemReader - 負責讀取使用者資料
      * @param {SystemWriter} systemWriter - 負責寫入使用者資料 (修改密碼用)
+     * @param {UserSqlReader} [userSqlReader] - DATA_SOURCES.AUTH = 'SQL' 時使用
+     * @param {UserSqlWriter} [userSqlWriter] - DATA_SOURCES.AUTH = 'SQL' 時使用
      */
-    constructor(systemReader, systemWriter) {
+    constructor(systemReader, systemWriter, userSqlReader, userSqlWriter) {
         if (!systemReader) throw new Error('AuthService 需要 SystemReader 實例');
         // systemWriter 是選擇性的，但為了修改密碼功能，建議注入
         this.systemReader = systemReader;
         this.systemWriter = systemWriter;
+        this.userSqlReader = userSqlReader || null;
+        this.userSqlWriter = userSqlWriter || null;
+
+        if (this._useSql() && (!this.userSqlReader || !this.userSqlWriter)) {
+            throw new Error('DATA_SOURCES.AUTH = SQL 需要 UserSqlReader / UserSqlWriter 實例');
+        }
 
         // [Line-Leads L2] 使用與原 line-leads.controller.js 相同的環境變數邏輯
         this.LINE_CHANNEL_ID = process.env.LINE_CHANNEL_ID || '2006367469';
@@ -63,18 +73,22 @@ class AuthService {
         }
     }
 
+    _useSql() {
+        return config.DATA_SOURCES.AUTH === 'SQL';
+    }
+
     /**
      * 內部輔助：取得並驗證使用者
      * @param {string} username
      * @returns {Promise<Object>} user object
      */
     async _findUser(username) {
-        // 強制刷新快取以確保資料最新 (特別是修改密碼後)
-        if (this.systemReader.cache && this.systemReader.cache['users']) {
-            delete this.systemReader.cache['users'];
+        if (this._useSql()) {
+            return this.userSqlReader.getUserByUsername(username);
         }
 
-        const users = await this.systemReader.getUsers();
+        // 強制重新讀取以確保資料最新 (特別是修改密碼後)
+        const users = await this.systemReader.getUsers({ forceRefresh: true });
         // 不區分大小寫
         return users.find(u => u.username.toLowerCase() === username.toLowerCase());
     }
@@ -158,7 +172,7 @@ class AuthService {
      * @returns {Promise<boolean>}
      */
     async changePassword(username, oldPassword, newPassword) {
-        if (!this.systemWriter) {
+        if (!this._useSql() && !this.systemWriter) {
             throw new Error('AuthService 未配置 SystemWriter，無法修改密碼');
         }
 
@@ -180,18 +194,19 @@ class AuthService {
         const salt = bcrypt.genSaltSync(10);
         const newHash = bcrypt.hashSync(newPassword, salt);
 
-        // 3. 檢查是否有 rowIndex
+        // 3. 寫入 (SQL 以帳號定位；Sheet 仍需 rowIndex)
+        if (this._useSql()) {
+            await this.userSqlWriter.updatePasswordHash(user.username, newHash, user.displayName || user.username);
+            console.log(`✅ [Auth] 使用者 ${username} 密碼修改成功`);
+            return true;
+        }
+
         if (!user.rowIndex) {
             throw new Error('無法取得使用者資料行號 (RowIndex)，請聯繫管理員');
         }
 
         // 4. 寫入
-        await this.systemWriter.updatePassword(user.rowIndex, newHash);
-
-        // 5. 清除快取
-        if (this.systemReader.cache && this.systemReader.cache['users']) {
-            delete this.systemReader.cache['users'];
-        }
+        await this.systemWriter.updateUserPasswordByRow(user.rowIndex, newHash);
 
         console.log(`✅ [Auth] 使用者 ${username} 密碼修改成功`);
         return true;
@@ -202,6 +217,11 @@ class AuthService {
      */
     async checkAuthStatus() {
         try {
+            if (this._useSql()) {
+                const userCount = await this.userSqlReader.countUsers();
+                return { status: 'healthy', source: 'SQL:users', userCount };
+            }
+
             // 嘗試讀取一次 Users 來確認連線
             await this.systemReader.getUsers();
             return { status: 'healthy', source: config.IDS.SYSTEM };
@@ -0,0 +1,267 @@
+/**
+ * services/backup-service.js
+ * 全系統時間點快照 (備份) 與還原
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * - 快照：依 data/backup-entities.js 逐一擷取各實體「目前使用中」的 SQL 資料表與 Sheet 工作表，
+ *   寫成一份封存檔 (data/backup-store.js)，並依 config.BACKUP.KEEP 清除舊快照。
+ *   各來源依序讀取，期間仍有寫入時快照不保證跨表一致；建議排在離峰時段。
+ * - 還原：可指定單一 / 多個實體或全部。呼叫端必須傳入 confirm = 快照編號 (確認步驟)，
+ *   還原前會先自動建立一份 pre-restore 快照，誤還原時可再以該快照回復。
+ *   SQL 先依序 Upsert 快照資料列，再反向刪除快照中沒有的資料列；Sheet 整張取代。
+ *   快取由各 Writer 依資料表 / 工作表失效 (data/cache/write-hook.js)，中斷時已寫入的部分也會失效。
+ * - 排程：startSchedule() 以 setInterval 定期快照 (config.BACKUP.INTERVAL_HOURS)，由 app.js 啟動伺服器時呼叫。
+ */
+
+const { BACKUP_ENTITIES, getActiveSources } = require('../data/backup-entities');
+const { createBusinessError } = require('../utils/business-error');
+
+const SNAPSHOT_FORMAT = 'tfc-crm-backup';
+const SNAPSHOT_VERSION = 1;
+
+// UTC YYYYMMDD-HHmmss-SSS
+function toSnapshotId(date) {
+    const iso = date.toISOString();
+    return `${iso.slice(0, 10).replace(/-/g, '')}-${iso.slice(11, 19).replace(/:/g, '')}-${iso.slice(20, 23)}`;
+}
+
+function findTableKey(entityKey, table) {
+    const entity = BACKUP_ENTITIES[entityKey];
+    const definition = entity && entity.tables.find(t => t.table === table);
+    return definition ? definition.key : null;
+}
+
+class BackupService {
+    /**
+     * @param {Object} deps
+     * @param {MigrationSqlWriter} deps.migrationSqlWriter - 整表讀取 / 批次 Upsert
+     * @param {BackupSqlWriter} deps.backupSqlWriter
+     * @param {BackupSheetWriter} deps.backupSheetWriter
+     * @param {BackupStore} deps.backupStore
+     * @param {AuditSqlWriter} [deps.auditSqlWriter] - 記錄還原動作
+     * @param {Object} deps.config
+     */
+    constructor({ migrationSqlWriter, backupSqlWriter, backupSheetWriter, backupStore, auditSqlWriter, config }) {
+        this.migrationSqlWriter = migrationSqlWriter;
+        this.backupSqlWriter = backupSqlWriter;
+        this.backupSheetWriter = backupSheetWriter;
+        this.backupStore = backupStore;
+        this.auditSqlWriter = auditSqlWriter || null;
+        this.config = config;
+        this._timer = null;
+        this._scheduledRunning = false;
+    }
+
+    /**
+     * @returns {Array<Object>} [{ key, label }]
+     */
+    getEntities() {
+        return Object.entries(BACKUP_ENTITIES).map(([key, entity]) => ({ key, label: entity.label }));
+    }
+
+    /**
+     * 建立快照
+     * @param {Object} [options]
+     * @param {string} [options.trigger='manual'] - manual / scheduled / pre-restore
+     * @param {string} [options.actor='system']
+     * @param {boolean} [options.prune=true] - 是否清除超過保留份數的舊快照 (還原前快照不清除，避免刪掉正要還原的那份)
+     * @returns {Promise<Object>} 快照摘要 (summarize) + { file, size, pruned }
+     */
+    async createSnapshot({ trigger = 'manual', actor = 'system', prune = true } = {}) {
+        const createdAt = new Date();
+        const entities = {};
+
+        for (const [key, entity] of Object.entries(BACKUP_ENTITIES)) {
+            const { tables, sheets } = getActiveSources(entity, this.config.DATA_SOURCES);
+            const tableData = [];
+            for (const { table } of tables) {
+                tableData.push({ table, rows: await this.migrationSqlWriter.fetchAllRows(table) });
+            }
+
+            const sheetData = [];
+            for (const { spreadsheet, sheet } of sheets) {
+                const values = await this.backupSheetWriter.readSheet(this.config.IDS[spreadsheet], sheet);
+                if (values === null) {
+                    console.warn(`[BackupService] 找不到工作表 ${spreadsheet}/${sheet}，略過`);
+                    continue;
+                }
+                sheetData.push({ spreadsheet, sheet, values });
+            }
+            entities[key] = { tables: tableData, sheets: sheetData };
+        }
+
+        const snapshot = {
+            format: SNAPSHOT_FORMAT,
+            version: SNAPSHOT_VERSION,
+            id: toSnapshotId(createdAt),
+            createdAt: createdAt.toISOString(),
+            trigger,
+            actor,
+            backendMode: this.config.BACKEND_MODE,
+            dataSources: { ...this.config.DATA_SOURCES },
+            entities
+        };
+
+        const saved = await this.backupStore.save(snapshot);
+        const pruned = prune ? await this.backupStore.prune(this.config.BACKUP.KEEP) : [];
+        console.log(`💾 [BackupService] 快照 ${snapshot.id} 已建立 (${trigger}, ${saved.size} bytes)`);
+        return { ...this.summarize(snapshot), file: saved.file, size: saved.size, pruned };
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} [{ id, file, size }]，新到舊
+     */
+    async listSnapshots() {
+        return this.backupStore.list();
+    }
+
+    /**
+     * @param {string} snapshotId
+     * @returns {Promise<Object|null>} 快照摘要；不存在時回傳 null
+     */
+    async describeSnapshot(snapshotId) {
+        const snapshot = await this.backupStore.load(snapshotId);
+        return snapshot ? this.summarize(snapshot) : null;
+    }
+
+    /**
+     * 快照摘要 (各實體的資料列數，不含資料本身)
+     */
+    summarize(snapshot) {
+        return {
+            id: snapshot.id,
+            createdAt: snapshot.createdAt,
+            trigger: snapshot.trigger,
+            actor: snapshot.actor,
+            entities: Object.entries(snapshot.entities).map(([key, data]) => ({
+                key,
+                label: BACKUP_ENTITIES[key] ? BACKUP_ENTITIES[key].label : key,
+                tables: data.tables.map(t => ({ table: t.table, rows: t.rows.length })),
+                // 扣除標題列
+                sheets: data.sheets.map(s => ({ spreadsheet: s.spreadsheet, sheet: s.sheet, rows: Math.max(0, s.values.length - 1) }))
+            }))
+        };
+    }
+
+    /**
+     * 還原快照
+     * @param {string} snapshotId
+     * @param {Object} options
+     * @param {string} options.confirm - 必須等於 snapshotId
+     * @param {Array<string>} [options.entities] - 未指定時還原快照中的全部實體
+     * @param {string} [options.actor='system']
+     * @returns {Promise<Object|null>} { snapshotId, safetySnapshotId, entities: [...] }；快照不存在時回傳 null
+     * @throws {Error} code = BUSINESS_ERROR (確認 / 參數錯誤，訊息以「無法復原：」開頭)
+     */
+    async restore(snapshotId, { confirm, entities = null, actor = 'system' } = {}) {
+        const snapshot = await this.backupStore.load(snapshotId);
+        if (!snapshot) return null;
+
+        if (snapshot.format !== SNAPSHOT_FORMAT || !(snapshot.version <= SNAPSHOT_VERSION)) {
+            throw createBusinessError(`無法復原：不支援的快照格式 (${snapshot.format} v${snapshot.version})`);
+        }
+        if (confirm !== snapshotId) {
+            throw createBusinessError('無法復原：請輸入快照編號以確認還原');
+        }
+
+        const requested = entities && entities.length > 0 ? entities : Object.keys(snapshot.entities);
+        const missing = requested.filter(key => !snapshot.entities[key]);
+        if (missing.length > 0) {
+            throw createBusinessError(`無法復原：快照中沒有 ${missing.join(', ')}，可用：${Object.keys(snapshot.entities).join(', ')}`);
+        }
+        // 依登錄表順序 (被參照的實體在前)
+        const keys = Object.keys(BACKUP_ENTITIES).filter(key => requested.includes(key));
+
+        const safety = await this.createSnapshot({ trigger: 'pre-restore', actor, prune: false });
+        const results = new Map(keys.map(key => [key, {
+            key,
+            label: BACKUP_ENTITIES[key].label,
+            tables: [],
+            sheets: []
+        }]));
+
+        try {
+            // 1. Upsert 快照資料列 + 取代工作表
+            for (const key of keys) {
+                const data = snapshot.entities[key];
+                for (const { table, rows } of data.tables) {
+                    const keyColumns = findTableKey(key, table);
+                    if (!keyColumns) {
+                        console.warn(`[BackupService] 登錄表已無 ${table}，略過`);
+                        continue;
+                    }
+                    await this.migrationSqlWriter.upsertRows(table, rows, keyColumns.join(','));
+                    results.get(key).tables.push({ table, restored: rows.length, deleted: 0 });
+                }
+                for (const { spreadsheet, sheet, values } of data.sheets) {
+                    const written = await this.backupSheetWriter.replaceSheet(this.config.IDS[spreadsheet], sheet, values);
+                    results.get(key).sheets.push({ spreadsheet, sheet, rows: Math.max(0, written - 1) });
+                }
+            }
+
+            // 2. 反向刪除快照之後才出現的資料列 (關聯表先於主表)
+            for (const key of [...keys].reverse()) {
+                if (BACKUP_ENTITIES[key].appendOnly) continue;
+                for (const result of [...results.get(key).tables].reverse()) {
+                    const keyColumns = findTableKey(key, result.table);
+                    const snapshotRows = snapshot.entities[key].tables.find(t => t.table === result.table).rows;
+                    const currentRows = await this.migrationSqlWriter.fetchAllRows(result.table);
+                    result.deleted = await this.backupSqlWriter.deleteRowsNotIn(result.table, keyColumns, currentRows, snapshotRows);
+                }
+            }
+        } catch (error) {
+            throw new Error(`還原中斷，可用還原前快照 ${safety.id} 回復：${error.message}`);
+        }
+
+        if (this.auditSqlWriter) {
+            await this.auditSqlWriter.recordField({
+                entity: 'backup',
+                entityId: snapshotId,
+                action: 'restore',
+                field: keys.join(','),
+                oldValue: safety.id,
+                newValue: null,
+                actor
+            });
+        }
+
+        console.log(`♻️ [BackupService] 已還原快照 ${snapshotId} (${keys.join(', ')})，還原前快照 ${safety.id}`);
+        return { snapshotId, safetySnapshotId: safety.id, entities: Array.from(results.values()) };
+    }
+
+    /**
+     * 啟動定期快照
+     * @param {number} [intervalHours=config.BACKUP.INTERVAL_HOURS]
+     * @returns {boolean} 是否已啟動
+     */
+    startSchedule(intervalHours = this.config.BACKUP.INTERVAL_HOURS) {
+        if (!(intervalHours > 0) || this._timer) return false;
+
+        this._timer = setInterval(() => this._runScheduled(), intervalHours * 60 * 60 * 1000);
+        // 排程不應阻止行程結束
+        if (typeof this._timer.unref === 'function') this._timer.unref();
+        console.log(`⏰ [BackupService] 每 ${intervalHours} 小時自動快照 (保留 ${this.config.BACKUP.KEEP} 份)`);
+        return true;
+    }
+
+    stopSchedule() {
+        if (this._timer) clearInterval(this._timer);
+        this._timer = null;
+    }
+
+    async _runScheduled() {
+        // 上一次尚未完成 (資料量大或 API 緩慢) 時略過本次
+        if (this._scheduledRunning) return;
+        this._scheduledRunning = true;
+        try {
+            await this.createSnapshot({ trigger: 'scheduled' });
+        } catch (error) {
+            console.error('[BackupService] 定期快照失敗:', error.message);
+        } finally {
+            this._scheduledRunning = false;
+        }
+    }
+}
+
+module.exports = BackupService;
@@ -5,9 +5,13 @@
  * @date 2026-01-14
  * @description 負責處理與 Google Calendar 的互動，包含通用活動查詢、建立與假日判斷。
  * 修正：補上 WeeklyBusinessService 所需的 getEventsForPeriod 方法。
+ * 本週活動快取改走共用 CacheManager (鍵 calendar:weekEvents)，建立活動時以 calendar 標籤失效 (連帶 dashboard)。
  */
 
 const config = require('../config');
+const { getCache, ENTITY_TAGS } = require('../data/cache');
+
+const WEEK_EVENTS_CACHE_KEY = 'calendar:weekEvents';
 
 class CalendarService {
     /**
@@ -20,11 +24,7 @@ class CalendarService {
         this.config = config;
         this.holidayCalendarId = 'zh-TW.taiwan#holiday@group.v.calendar.google.com';
 
-        // 內部快取機制
-        this._cache = {
-            weekEvents: { data: null, timestamp: 0 }
-        };
-        this.CACHE_DURATION = 60 * 1000; // 60 秒
+        this.cache = getCache();
     }
 
     /**
@@ -83,11 +83,18 @@ class CalendarService {
      * 取得本週行事曆活動 (包含快取 - 保留自 v5.0.0)
      */
     async getThisWeekEvents() {
-        const now = Date.now();
-        if (this._cache.weekEvents.data && (now - this._cache.weekEvents.timestamp < this.CACHE_DURATION)) {
-            return this._cache.weekEvents.data;
-        }
+        return this.cache.wrap(WEEK_EVENTS_CACHE_KEY, () => this._loadThisWeekEvents(), {
+            onError: (error) => {
+                console.error('❌ [CalendarService] 讀取本週行事曆失敗:', error.message);
+                return { todayEvents: [], todayCount: 0, weekCount: 0 };
+            }
+        });
+    }
 
+    /**
+     * 實際向 Google Calendar 讀取本週活動 (不經快取)
+     */
+    async _loadThisWeekEvents() {
         const today = new Date();
         const startOfWeek = new Date(today);
         startOfWeek.setDate(today.getDate() - today.getDay());
@@ -96,31 +103,23 @@ class CalendarService {
         const endOfWeek = new Date(startOfWeek);
         endOfWeek.setDate(startOfWeek.getDate() + 7);
 
-        try {
-            const targetCalendarId = this.config.CALENDAR_ID || 'primary';
-            
-            // 使用內部的 getEventsForPeriod 實作，保持邏輯一致
-            const events = await this.getEventsForPeriod(startOfWeek, endOfWeek, targetCalendarId);
-            
-            const todayStr = today.toISOString().split('T')[0];
-            const result = {
-                todayEvents: events.filter(e => {
-                    const eventDate = e.start.dateTime || e.start.date;
-                    return eventDate && eventDate.startsWith(todayStr);
-                }),
-                todayCount: 0,
-                weekCount: events.length
-            };
-            
-            result.todayCount = result.todayEvents.length;
-
-            this._cache.weekEvents = { data: result, timestamp: now };
-            return result;
+        const targetCalendarId = this.config.CALENDAR_ID || 'primary';
 
-        } catch (error) {
-            console.error('❌ [CalendarService] 讀取本週行事曆失敗:', error.message);
-            return { todayEvents: [], todayCount: 0, weekCount: 0 };
-        }
+        // 使用內部的 getEventsForPeriod 實作，保持邏輯一致
+        const events = await this.getEventsForPeriod(startOfWeek, endOfWeek, targetCalendarId);
+        
+        const todayStr = today.toISOString().split('T')[0];
+        const result = {
+            todayEvents: events.filter(e => {
+                const eventDate = e.start.dateTime || e.start.date;
+                return eventDate && eventDate.startsWith(todayStr);
+            }),
+            todayCount: 0,
+            weekCount: events.length
+        };
+        
+        result.todayCount = result.todayEvents.length;
+        return result;
     }
 
     /**
@@ -136,7 +135,7 @@ class CalendarService {
                 })
             );
             // 清除快取以確保即時性
-            this._cache.weekEvents = { data: null, timestamp: 0 };
+            this.cache.invalidateTags(ENTITY_TAGS.CALENDAR);
             return response.data;
         } catch (error) {
             console.error('❌ [CalendarService] 建立事件失敗:', error.message);
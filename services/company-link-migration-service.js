@@ -0,0 +1,95 @@
+/**
+ * services/company-link-migration-service.js
+ * 機會 -> 公司關聯遷移服務 (customer_company 名稱 -> company_id)
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * - 舊資料以「去除股份有限公司 / 有限公司 / 括號」後的名稱比對歸屬公司，本服務將其一次性轉為 company_id。
+ * - 解析順序：完整名稱唯一 -> 寬鬆名稱唯一；兩者皆多筆列為 ambiguous，找不到列為 unresolved，皆不寫入。
+ * - plan() 不寫入任何資料；apply() 只回填 company_id 為空的機會，重複執行不會產生新的變更 (Idempotent)。
+ * - 已刪除 (回收桶) 的機會一併回填，還原後才能正確歸屬；已刪除的公司不作為候選。
+ */
+
+const companyLink = require('../utils/company-link');
+
+class CompanyLinkMigrationService {
+    /**
+     * @param {Object} dependencies
+     * @param {MigrationSqlWriter} dependencies.migrationSqlWriter - 整表讀取 (含已刪除的列)
+     * @param {OpportunitySqlWriter} dependencies.opportunitySqlWriter - linkCompany() 回填並寫入稽核紀錄
+     */
+    constructor({ migrationSqlWriter, opportunitySqlWriter }) {
+        this.migrationSqlWriter = migrationSqlWriter;
+        this.opportunitySqlWriter = opportunitySqlWriter;
+    }
+
+    /**
+     * 分析所有機會的公司關聯
+     * @returns {Promise<Object>} { links, ambiguous, unresolved, alreadyLinked, noCustomer }
+     */
+    async plan() {
+        const [companyRows, opportunityRows] = await Promise.all([
+            this.migrationSqlWriter.fetchAllRows('companies'),
+            this.migrationSqlWriter.fetchAllRows('opportunities')
+        ]);
+
+        const companies = companyRows
+            .filter(row => !row.deleted_at)
+            .map(row => ({ companyId: row.company_id, companyName: row.company_name }));
+
+        const plan = { links: [], ambiguous: [], unresolved: [], alreadyLinked: 0, noCustomer: 0 };
+
+        opportunityRows.forEach(row => {
+            if (row.company_id) {
+                plan.alreadyLinked++;
+                return;
+            }
+            if (!row.customer_company) {
+                plan.noCustomer++;
+                return;
+            }
+
+            const item = {
+                opportunityId: row.opportunity_id,
+                opportunityName: row.opportunity_name,
+                customerCompany: row.customer_company
+            };
+            const { companyId, match, candidates } = companyLink.resolve(companies, row.customer_company, { loose: true });
+
+            if (companyId) {
+                plan.links.push({ ...item, companyId, companyName: candidates[0].companyName, match });
+            } else if (match === 'ambiguous') {
+                plan.ambiguous.push({ ...item, candidates });
+            } else {
+                plan.unresolved.push(item);
+            }
+        });
+
+        return plan;
+    }
+
+    /**
+     * 套用 plan() 的 links
+     * @param {Object} plan
+     * @param {Object} [options]
+     * @param {string} [options.modifier='系統遷移']
+     * @returns {Promise<Object>} { linked, failed: [{ opportunityId, error }] }
+     */
+    async apply(plan, { modifier = '系統遷移' } = {}) {
+        let linked = 0;
+        const failed = [];
+
+        for (const link of plan.links) {
+            try {
+                await this.opportunitySqlWriter.linkCompany(link.opportunityId, link.companyId, modifier);
+                linked++;
+            } catch (error) {
+                failed.push({ opportunityId: link.opportunityId, error: error.message });
+            }
+        }
+
+        return { linked, failed };
+    }
+}
+
+module.exports = CompanyLinkMigrationService;
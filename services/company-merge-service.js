@@ -0,0 +1,206 @@
+/**
+ * services/company-merge-service.js
+ * 重複公司偵測與合併服務
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * - findDuplicates()：以名稱、電話、地址、縣市與共同聯絡人為疑似重複的公司對計分 (見 utils/company-similarity.js)，
+ *   只供管理員檢視，不會自動合併。
+ * - merge() / undo()：以單一 Postgres Function 交易改寫各表的 company_id，並在 company_merges 留下可復原的紀錄
+ *   (見 data/company-merge-sql-writer.js)。被合併公司進入回收桶，請以 undo() 復原而非回收桶「還原」，
+ *   後者不會搬回聯絡人與機會。
+ * - 事件紀錄在 Sheet 模式 (DATA_SOURCES.EVENT_LOG 非 SQL) 時，合併後逐筆把「關聯公司ID」改為存續公司，
+ *   改寫的事件記錄在 company_merges.sheet_events，復原時只還原仍指向存續公司的事件。
+ *   Sheet 無法加入 SQL 交易：個別寫入失敗不會還原合併，失敗的事件列在回應的 sheetEventsFailed。
+ *   舊版事件總表 (eventType = legacy) 為唯讀，不改寫。
+ * - 週間業務 (weekly_business_entries) 沒有公司欄位 (主題為自由文字)，合併時不需也無法改寫。
+ * - 名片 (Raw Contacts, Sheet) 以公司名稱字串記錄，不隨合併改寫；已建檔的聯絡人以 company_id 移轉。
+ */
+
+const companySimilarity = require('../utils/company-similarity');
+const { createBusinessError } = require('../utils/business-error');
+
+class CompanyMergeService {
+    /**
+     * @param {Object} dependencies
+     * @param {CompanySqlReader} dependencies.companySqlReader
+     * @param {ContactSqlReader} dependencies.contactSqlReader
+     * @param {CompanyMergeSqlReader} dependencies.companyMergeSqlReader
+     * @param {CompanyMergeSqlWriter} dependencies.companyMergeSqlWriter
+     * @param {EventLogReader} [dependencies.eventLogReader] - Sheet 事件紀錄 (未注入時不改寫)
+     * @param {EventLogWriter} [dependencies.eventLogWriter]
+     * @param {Object} [dependencies.config]
+     */
+    constructor({ companySqlReader, contactSqlReader, companyMergeSqlReader, companyMergeSqlWriter, eventLogReader = null, eventLogWriter = null, config = null }) {
+        this.companySqlReader = companySqlReader;
+        this.contactSqlReader = contactSqlReader;
+        this.companyMergeSqlReader = companyMergeSqlReader;
+        this.companyMergeSqlWriter = companyMergeSqlWriter;
+        this.eventLogReader = eventLogReader;
+        this.eventLogWriter = eventLogWriter;
+        this.config = config;
+    }
+
+    /**
+     * 疑似重複的公司對 (分數高到低)
+     * @param {Object} [options]
+     * @param {number} [options.minScore=0.6]
+     * @param {number} [options.limit=50]
+     * @param {string} [options.companyId] - 只列出包含此公司的配對
+     * @returns {Promise<Array<Object>>} [{ score, signals, reasons, suggestedSurvivorId, companies: [a, b] }]
+     */
+    async findDuplicates({ minScore = 0.6, limit = 50, companyId = null } = {}) {
+        const [companies, contacts] = await Promise.all([
+            this.companySqlReader.getCompanies(),
+            this.contactSqlReader.getContacts()
+        ]);
+
+        const contactsByCompany = new Map();
+        contacts.forEach(contact => {
+            if (!contact.companyId) return;
+            if (!contactsByCompany.has(contact.companyId)) contactsByCompany.set(contact.companyId, []);
+            contactsByCompany.get(contact.companyId).push(contact);
+        });
+
+        const profiles = companies.map(company =>
+            companySimilarity.buildProfile(company, contactsByCompany.get(company.companyId) || [])
+        );
+
+        const results = [];
+        companySimilarity.candidatePairs(profiles).forEach(([i, j]) => {
+            const a = profiles[i];
+            const b = profiles[j];
+            if (companyId && a.company.companyId !== companyId && b.company.companyId !== companyId) return;
+
+            const { score, signals, reasons } = companySimilarity.scorePair(a, b);
+            if (score < minScore) return;
+
+            results.push({
+                score,
+                signals,
+                reasons,
+                suggestedSurvivorId: this._suggestSurvivor(a, b).company.companyId,
+                companies: [a, b].map(p => this._summarize(p))
+            });
+        });
+
+        return results
+            .sort((x, y) => y.score - x.score)
+            .slice(0, limit);
+    }
+
+    /**
+     * 聯絡人較多者存續；相同時保留較早建立的公司
+     */
+    _suggestSurvivor(a, b) {
+        if (a.contacts.length !== b.contacts.length) return a.contacts.length > b.contacts.length ? a : b;
+        return String(a.company.createdTime || '') <= String(b.company.createdTime || '') ? a : b;
+    }
+
+    _summarize(profile) {
+        const { company } = profile;
+        return {
+            companyId: company.companyId,
+            companyName: company.companyName,
+            phone: company.phone || '',
+            address: company.address || '',
+            county: company.city || '',
+            contactCount: profile.contacts.length,
+            createdTime: company.createdTime
+        };
+    }
+
+    /**
+     * 將 mergedId 併入 survivorId
+     * @returns {Promise<Object>} 合併紀錄 (Merge DTO)
+     */
+    async merge(survivorId, mergedId, actor) {
+        if (!survivorId || !mergedId) throw createBusinessError('無法合併：請指定存續公司 (survivorId) 與被合併公司 (mergedId)');
+        if (survivorId === mergedId) throw createBusinessError('無法合併：存續公司與被合併公司不可相同');
+
+        const [survivor, merged] = await Promise.all([
+            this.companySqlReader.getCompanyById(survivorId),
+            this.companySqlReader.getCompanyById(mergedId)
+        ]);
+        if (!survivor) throw createBusinessError(`無法合併：找不到公司 ${survivorId}`);
+        if (!merged) throw createBusinessError(`無法合併：找不到公司 ${mergedId}`);
+
+        const mergeId = `MERGE_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+        await this.companyMergeSqlWriter.merge(mergeId, survivorId, mergedId, actor);
+
+        const sheet = await this._repointSheetEvents(mergedId, survivorId, actor);
+        if (sheet.events.length > 0) {
+            await this.companyMergeSqlWriter.recordSheetEvents(mergeId, sheet.events);
+        }
+
+        return {
+            ...(await this.companyMergeSqlReader.getMerge(mergeId)),
+            sheetEventsFailed: sheet.failed
+        };
+    }
+
+    /**
+     * 復原合併
+     * @returns {Promise<Object|null>} 合併紀錄 + { restored, skipped }；找不到時回傳 null
+     */
+    async undo(mergeId, actor) {
+        const record = await this.companyMergeSqlReader.getMerge(mergeId);
+        if (!record) return null;
+        if (record.undoneAt) throw createBusinessError(`無法復原：此合併已於 ${record.undoneAt} 由 ${record.undoneBy} 復原`);
+
+        const result = await this.companyMergeSqlWriter.undo(mergeId, actor);
+
+        const sheetEventIds = record.sheetEvents.map(event => event.eventId);
+        const sheet = sheetEventIds.length > 0
+            ? await this._repointSheetEvents(record.survivorId, record.mergedId, actor, sheetEventIds)
+            : { events: [], failed: [] };
+
+        return {
+            ...(await this.companyMergeSqlReader.getMerge(mergeId)),
+            restored: result.restored,
+            skipped: result.skipped,
+            sheetEventsRestored: sheet.events.length,
+            sheetEventsSkipped: sheetEventIds.length - sheet.events.length - sheet.failed.length,
+            sheetEventsFailed: sheet.failed
+        };
+    }
+
+    /**
+     * 將 Sheet 事件紀錄的關聯公司由 fromId 改為 toId (SQL 模式不需處理，已在合併交易內)
+     * @param {string[]} [onlyEventIds] - 只處理這些事件 (復原時使用)
+     * @returns {Promise<{events: Array<{eventId, eventType}>, failed: Array<{eventId, error}>}>}
+     */
+    async _repointSheetEvents(fromId, toId, actor, onlyEventIds = null) {
+        const events = [];
+        const failed = [];
+        if (!this.eventLogReader || !this.eventLogWriter || !this.config) return { events, failed };
+        if (this.config.DATA_SOURCES.EVENT_LOG === 'SQL') return { events, failed };
+
+        const logs = await this.eventLogReader.getEventLogs();
+        const targets = logs.filter(log =>
+            log.companyId === fromId
+            && log.eventType !== 'legacy'
+            && (!onlyEventIds || onlyEventIds.includes(log.eventId))
+        );
+
+        for (const log of targets) {
+            try {
+                await this.eventLogWriter.updateEventLog(log.rowIndex, { eventType: log.eventType, companyId: toId }, actor);
+                events.push({ eventId: log.eventId, eventType: log.eventType });
+            } catch (error) {
+                console.error(`[CompanyMergeService] 事件 ${log.eventId} 關聯公司改寫失敗:`, error.message);
+                failed.push({ eventId: log.eventId, error: error.message });
+            }
+        }
+        return { events, failed };
+    }
+
+    /**
+     * @param {Object} [filters] - { companyId, limit }
+     */
+    async getMerges(filters = {}) {
+        return this.companyMergeSqlReader.getMerges(filters);
+    }
+}
+
+module.exports = CompanyMergeService;
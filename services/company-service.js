@@ -8,17 +8,31 @@
  * * 2. [Refactor] ID Generation moved to Service (COM format).
  * * 3. [Refactor] Update/Delete uses companyId instead of rowIndex.
  * * 4. [Strict] Removed _findCompanyRowIndex dependency for Writes.
+ * * 5. [Phase 8] updateCompany 支援樂觀鎖 (expectedVersion = updatedTime)，衝突時回傳最新資料。
+ * * 6. [Audit] 移除「資料更新」系統事件互動；欄位變更改由 audit_logs 記錄。
+ * * 7. [List Query] queryCompanies 將篩選 / 排序 / Cursor 分頁下推到 SQL，最後活動時間與機會數只為本頁的公司向資料庫彙總。
+ * * 8. [Link] 詳細資料 / 更新 / 刪除改以 companyId 定位 (舊版網址的名稱只接受唯一的完整名稱)，
+ * *    機會以 companyId 歸屬公司，不再以去除「股份有限公司」等字樣的名稱比對；找不到公司時回應 404。
+ * * 9. [Phase 8] Shadow Mode：config.SHADOW_MODE.COMPANY 開啟時，寫入在背景鏡射到 CompanyWriter (Sheet)，
+ * *    全表讀取時在背景比對 Sheet 與 SQL 的差異 (ShadowService)。
  */
 
+const config = require('../config');
+const { assertVersion, isConflict } = require('../utils/concurrency');
+const companyLink = require('../utils/company-link');
+const { createBusinessError } = require('../utils/business-error');
+
 class CompanyService {
     constructor(
         companyReader, companyWriter, contactReader, contactWriter,
         opportunityReader, opportunityWriter, interactionReader, interactionWriter,
         eventLogReader, systemReader, companySqlReader, contactService,
-        companySqlWriter // Inject SQL Writer
+        companySqlWriter, // Inject SQL Writer
+        opportunitySqlReader,
+        shadowService
     ) {
         this.companyReader = companyReader;
-        this.companyWriter = companyWriter; // Keep for legacy reference if needed, but unused for writes
+        this.companyWriter = companyWriter; // [Phase 8] Shadow Mode only
         this.contactReader = contactReader;
         this.contactWriter = contactWriter;
         this.opportunityReader = opportunityReader;
@@ -30,6 +44,8 @@ class CompanyService {
         this.companySqlReader = companySqlReader;
         this.contactService = contactService;
         this.companySqlWriter = companySqlWriter; // Assign
+        this.opportunitySqlReader = opportunitySqlReader || null;
+        this.shadowService = shadowService || null;
     }
 
     // --- DTO Mapping (SQL-ready) ---
@@ -57,6 +73,9 @@ class CompanyService {
             companyType: raw.companyType || raw.company_type || '',
             customerStage: raw.customerStage || raw.customer_stage || '',
             engagementRating: raw.engagementRating || raw.interactionRating || '', // SQL use 'interactionRating'
+
+            // Custom Fields (SQL only; services/custom-field-service.js)
+            customFields: raw.customFields || {},
             
             // Audit
             createdTime: raw.createdTime || raw.created_time || '',
@@ -85,6 +104,16 @@ class CompanyService {
                 if (sqlRaw && Array.isArray(sqlRaw) && sqlRaw.length > 0) {
                     // console.log('[CompanyService] Read Source: SQL');
                     companies = sqlRaw.map(item => this._toServiceDTO(item));
+
+                    if (this._isShadowing()) {
+                        // 背景比對，不等待 Sheet 讀取
+                        this.shadowService.shadowRead(
+                            'COMPANY',
+                            companies,
+                            async () => (await this.companyReader.getCompanyList()).map(item => this._toServiceDTO(item)),
+                            'CompanyService._getAllCompanies'
+                        );
+                    }
                 }
             } catch (error) {
                 console.warn(`[CompanyService] SQL Read Failed, falling back: ${error.message}`);
@@ -106,18 +135,66 @@ class CompanyService {
         return companies;
     }
 
+    // --- Shadow Mode (SQL 為主，Sheet 為影子) ---
+
+    _isShadowing() {
+        return !!(this.shadowService && this.companyWriter && this.shadowService.isEnabled('COMPANY'));
+    }
+
+    async _findSheetCompany(companyId) {
+        const rows = await this.companyReader.getCompanyList();
+        return rows.find(c => c.companyId === companyId) || null;
+    }
+
+    async _requireSheetRowIndex(companyId) {
+        const row = await this._findSheetCompany(companyId);
+        if (!row) throw new Error(`Sheet 中找不到公司 (ID: ${companyId})`);
+        return row.rowIndex;
+    }
+
     /**
-     * 依名稱取得單一公司 (已轉 DTO)
+     * 排入背景鏡射 (ShadowService.scheduleWrite)；兩邊都轉為 Service DTO 後比對
      */
-    async _getCompanyByName(companyName) {
-        if (!companyName) return null;
-        
-        const companies = await this._getAllCompanies();
-        const normalizedTarget = this._normalizeCompanyName(companyName);
-        
-        return companies.find(c => 
-            this._normalizeCompanyName(c.companyName) === normalizedTarget
-        ) || null;
+    _shadowWrite(operation, companyId, writeFn) {
+        if (!this._isShadowing()) return;
+        this.shadowService.scheduleWrite('COMPANY', `CompanyService.${operation}`, companyId, {
+            write: writeFn,
+            loadSqlRecord: async () => this._toServiceDTO(await this.companySqlReader.getCompanyById(companyId)),
+            loadSheetRecord: async () => this._toServiceDTO(await this._findSheetCompany(companyId))
+        });
+    }
+
+    /**
+     * 以 companyId 定位公司；找不到時視為舊版網址的公司名稱 (僅接受唯一的完整名稱)
+     * @param {string} companyRef - companyId 或完整公司名稱
+     * @param {Array<Object>} [companies] - 已讀取的公司列表
+     * @returns {Promise<Object|null>} 公司 DTO
+     * @throws {Error} code = AMBIGUOUS_COMPANY (同名公司不只一家)
+     */
+    async _resolveCompany(companyRef, companies = null) {
+        if (!companyRef) return null;
+        const all = companies || await this._getAllCompanies();
+
+        const byId = all.find(c => c.companyId === companyRef);
+        if (byId) return byId;
+
+        const byName = companyLink.findByName(all, companyRef);
+        if (byName.length > 1) throw companyLink.createAmbiguousError(companyRef, byName);
+        return byName[0] || null;
+    }
+
+    /**
+     * 取得所有機會 (SQL 含 companyId，Sheet 備援的舊資料只能以名稱比對)
+     */
+    async _getAllOpportunities() {
+        if (this.opportunitySqlReader) {
+            try {
+                return await this.opportunitySqlReader.getOpportunities();
+            } catch (error) {
+                console.warn(`[CompanyService] Opportunity SQL Read Failed, falling back: ${error.message}`);
+            }
+        }
+        return this.opportunityReader.getOpportunities();
     }
 
     // --- Helpers ---
@@ -130,25 +207,6 @@ class CompanyService {
             .trim();
     }
 
-    async _logCompanyInteraction(companyId, title, summary, modifier) {
-        try {
-            if (this.interactionWriter && this.interactionWriter.createInteraction) {
-                // Interaction write logic might still be on Sheet or migrating separately
-                // Ensure interactionWriter is capable
-                await this.interactionWriter.createInteraction({
-                    companyId: companyId,
-                    eventType: '系統事件',
-                    eventTitle: title,
-                    contentSummary: summary,
-                    recorder: modifier,
-                    interactionTime: new Date().toISOString()
-                });
-            }
-        } catch (logError) {
-            console.warn(`[CompanyService] Log Interaction Error: ${logError.message}`);
-        }
-    }
-
     // --- Public Methods ---
 
     // 1. 建立公司
@@ -156,8 +214,8 @@ class CompanyService {
         try {
             const modifier = user.displayName || user.username || user || 'System';
             
-            // 檢查重複
-            const existing = await this._getCompanyByName(companyName);
+            // 檢查重複 (完整名稱；「某某有限公司」與「某某股份有限公司」是不同法人)
+            const [existing] = companyLink.findByName(await this._getAllCompanies(), companyName);
             if (existing) {
                 return { 
                     success: true, 
@@ -185,12 +243,7 @@ class CompanyService {
             if (!this.companySqlWriter) throw new Error('CompanySqlWriter not injected');
             
             const result = await this.companySqlWriter.createCompany(dataToWrite, modifier);
-            
-            // 清除快取 (Read might be cached)
-            if (this.companyReader.invalidateCache) {
-                this.companyReader.invalidateCache('companyList');
-            }
-            
+            this._shadowWrite('createCompany', companyId, () => this.companyWriter.createCompany(dataToWrite, modifier));
             return result;
         } catch (error) {
             console.error('[CompanyService] Create Error:', error);
@@ -227,33 +280,11 @@ class CompanyService {
             }
 
             // --- Step 2: 計算最後活動時間 ---
-            const [interactions, eventLogs] = await Promise.all([
-                this.interactionReader.getInteractions(),
-                this.eventLogReader.getEventLogs()
-            ]);
-
-            const lastActivityMap = new Map();
-            
-            const updateActivity = (companyId, dateStr) => {
-                if (!companyId || !dateStr) return;
-                const ts = new Date(dateStr).getTime();
-                if (isNaN(ts)) return;
-                const current = lastActivityMap.get(companyId) || 0;
-                if (ts > current) lastActivityMap.set(companyId, ts);
-            };
-
-            interactions.forEach(item => updateActivity(item.companyId, item.interactionTime || item.date));
-            eventLogs.forEach(item => updateActivity(item.companyId, item.createdTime));
+            const lastActivityMap = await this._getLastActivityMap();
 
             // --- Step 3: 組合與排序 ---
             const result = companies.map(comp => {
-                let lastTs = lastActivityMap.get(comp.companyId);
-                
-                if (!lastTs && comp.createdTime) {
-                    const createdTs = new Date(comp.createdTime).getTime();
-                    if (!isNaN(createdTs)) lastTs = createdTs;
-                }
-
+                const lastTs = this._lastActivityTs(comp, lastActivityMap);
                 return {
                     ...comp,
                     lastActivity: lastTs ? new Date(lastTs).toISOString() : null,
@@ -276,39 +307,124 @@ class CompanyService {
         }
     }
 
+    /**
+     * 列表查詢 (篩選 / 排序 / Cursor 分頁下推到 SQL，不退回 Sheet)
+     * lastActivity / opportunityCount 是衍生欄位，不能排序；只對本頁的公司計算
+     * @param {Object} parsed - req.listQuery (utils/list-query.js)
+     * @returns {Promise<Object>} { items, nextCursor, hasMore }
+     */
+    async queryCompanies(parsed) {
+        if (!this.companySqlReader) throw new Error('[CompanyService] companySqlReader is required for list queries');
+
+        const page = await this.companySqlReader.queryCompanies(parsed);
+        const ids = page.items.map(item => item.companyId);
+        const [lastActivityMap, opportunityCounts] = await Promise.all([
+            this._getPageLastActivityMap(ids),
+            this.opportunitySqlReader ? this.opportunitySqlReader.getCompanyOpportunityCounts(ids) : []
+        ]);
+        const countMap = new Map(opportunityCounts.map(c => [c.companyId, c.count]));
+
+        return {
+            ...page,
+            items: page.items.map(item => {
+                const comp = this._toServiceDTO(item);
+                const lastTs = this._lastActivityTs(comp, lastActivityMap);
+                return {
+                    ...comp,
+                    lastActivity: lastTs ? new Date(lastTs).toISOString() : null,
+                    opportunityCount: countMap.get(comp.companyId) || 0
+                };
+            })
+        };
+    }
+
+    /**
+     * 本頁公司的最後活動時間戳：由資料庫彙總 (CompanySqlReader.getLastActivity)；
+     * 事件在 Sheet 模式 (DATA_SOURCES.EVENT_LOG 非 SQL) 不在資料庫，改以 Sheet 事件 (Reader 快取) 補上本頁公司
+     * @param {string[]} companyIds
+     * @returns {Promise<Map<string, number>>}
+     */
+    async _getPageLastActivityMap(companyIds) {
+        const ids = new Set(companyIds);
+        const [activity, sheetEvents] = await Promise.all([
+            this.companySqlReader.getLastActivity(companyIds),
+            config.DATA_SOURCES.EVENT_LOG === 'SQL' ? [] : this.eventLogReader.getEventLogs()
+        ]);
+
+        const lastActivityMap = new Map();
+        const updateActivity = (companyId, dateStr) => {
+            if (!ids.has(companyId) || !dateStr) return;
+            const ts = new Date(dateStr).getTime();
+            if (isNaN(ts)) return;
+            if (ts > (lastActivityMap.get(companyId) || 0)) lastActivityMap.set(companyId, ts);
+        };
+
+        activity.forEach(item => updateActivity(item.companyId, item.lastActivity));
+        sheetEvents.forEach(item => updateActivity(item.companyId, item.createdTime));
+        return lastActivityMap;
+    }
+
+    /**
+     * 公司 ID -> 最後活動時間戳 (互動時間 / 事件建立時間取最大值)
+     * @returns {Promise<Map<string, number>>}
+     */
+    async _getLastActivityMap() {
+        const [interactions, eventLogs] = await Promise.all([
+            this.interactionReader.getInteractions(),
+            this.eventLogReader.getEventLogs()
+        ]);
+
+        const lastActivityMap = new Map();
+        
+        const updateActivity = (companyId, dateStr) => {
+            if (!companyId || !dateStr) return;
+            const ts = new Date(dateStr).getTime();
+            if (isNaN(ts)) return;
+            const current = lastActivityMap.get(companyId) || 0;
+            if (ts > current) lastActivityMap.set(companyId, ts);
+        };
+
+        interactions.forEach(item => updateActivity(item.companyId, item.interactionTime || item.date));
+        eventLogs.forEach(item => updateActivity(item.companyId, item.createdTime));
+
+        return lastActivityMap;
+    }
+
+    /**
+     * 沒有任何活動時以建立時間代替
+     * @returns {number|undefined}
+     */
+    _lastActivityTs(comp, lastActivityMap) {
+        let lastTs = lastActivityMap.get(comp.companyId);
+        
+        if (!lastTs && comp.createdTime) {
+            const createdTs = new Date(comp.createdTime).getTime();
+            if (!isNaN(createdTs)) lastTs = createdTs;
+        }
+        return lastTs;
+    }
+
     // 3. 取得詳細資料
-    async getCompanyDetails(companyName) {
-        // ... (Logic unchanged)
+    // companyRef: companyId (舊版網址可為完整公司名稱)
+    async getCompanyDetails(companyRef) {
         try {
             const [allCompanies, allContacts, allOpportunities, allInteractions, allEventLogs, allPotentialContacts] = await Promise.all([
                 this._getAllCompanies(),
                 this.contactReader.getContactList(),
-                this.opportunityReader.getOpportunities(),
+                this._getAllOpportunities(),
                 this.interactionReader.getInteractions(),
                 this.eventLogReader.getEventLogs(),
                 this.contactReader.getContacts(3000)
             ]);
 
-            const normalizedTarget = this._normalizeCompanyName(companyName);
-            const companyInfo = allCompanies.find(c => this._normalizeCompanyName(c.companyName) === normalizedTarget);
+            const companyInfo = await this._resolveCompany(companyRef, allCompanies);
 
-            if (!companyInfo) {
-                return { 
-                    companyInfo: null, 
-                    contacts: [], 
-                    opportunities: [], 
-                    potentialContacts: [],
-                    interactions: [], 
-                    eventLogs: [] 
-                };
-            }
+            if (!companyInfo) throw createBusinessError(`找不到公司: ${companyRef}`, 404);
 
             const companyId = companyInfo.companyId;
 
             const contacts = allContacts.filter(c => c.companyId === companyId);
-            const opportunities = allOpportunities.filter(o => 
-                this._normalizeCompanyName(o.customerCompany) === normalizedTarget
-            );
+            const opportunities = allOpportunities.filter(o => companyLink.isLinked(o, companyInfo));
             const relatedOppIds = new Set(opportunities.map(o => o.opportunityId));
             
             const interactions = allInteractions.filter(i => 
@@ -319,6 +435,8 @@ class CompanyService {
                 e.companyId === companyId || (e.opportunityId && relatedOppIds.has(e.opportunityId))
             ).sort((a, b) => new Date(b.createdTime || 0) - new Date(a.createdTime || 0));
 
+            // 名片只有手寫的公司名稱，沒有 ID 可比對，維持寬鬆比對作為「可能相關」的建議
+            const normalizedTarget = this._normalizeCompanyName(companyInfo.companyName);
             const potentialContacts = allPotentialContacts.filter(pc => 
                 this._normalizeCompanyName(pc.company) === normalizedTarget
             );
@@ -326,33 +444,53 @@ class CompanyService {
             return { companyInfo, contacts, opportunities, potentialContacts, interactions, eventLogs };
 
         } catch (error) {
-            console.error(`[CompanyService] Details Error (${companyName}):`, error);
+            console.error(`[CompanyService] Details Error (${companyRef}):`, error);
             throw error;
         }
     }
 
     // 4. 更新公司
-    async updateCompany(companyName, updateData, user) {
+    // options.expectedVersion: 讀取時的 updatedTime；不符時拋出 VERSION_CONFLICT (error.current 為最新資料)
+    async updateCompany(companyRef, updateData, user, options = {}) {
         try {
             const modifier = user.displayName || user.username || 'System';
+            const expectedVersion = options.expectedVersion || null;
             
             // 檢查公司是否存在 & 取得 ID
-            const companyInfo = await this._getCompanyByName(companyName);
-            if (!companyInfo) throw new Error(`找不到公司: ${companyName}`);
-            if (!companyInfo.companyId) throw new Error(`公司資料異常: 無 companyId (${companyName})`);
+            const allCompanies = await this._getAllCompanies();
+            const companyInfo = await this._resolveCompany(companyRef, allCompanies);
+            if (!companyInfo) throw createBusinessError(`找不到公司: ${companyRef}`, 404);
+            if (!companyInfo.companyId) throw new Error(`公司資料異常: 無 companyId (${companyRef})`);
+
+            // 改名不可與其他公司的完整名稱重複，否則舊資料的名稱比對與新建重複檢查都會失準
+            if (updateData.companyName !== undefined) {
+                const duplicate = companyLink.findByName(allCompanies, updateData.companyName)
+                    .find(c => c.companyId !== companyInfo.companyId);
+                if (duplicate) throw createBusinessError(`無法更新：已有其他公司使用名稱「${duplicate.companyName}」(${duplicate.companyId})`);
+            }
+
+            if (expectedVersion && this.companySqlReader) {
+                const current = await this.companySqlReader.getCompanyById(companyInfo.companyId);
+                assertVersion('公司', companyInfo.companyId, expectedVersion, current);
+            }
 
             // [Phase 7] SQL Update (by companyId)
             // No longer uses _findCompanyRowIndex
-            const result = await this.companySqlWriter.updateCompany(companyInfo.companyId, updateData, modifier);
-            
-            // 紀錄 Log
-            await this._logCompanyInteraction(companyInfo.companyId, '資料更新', `公司資料已更新。`, modifier);
-            
-            // 清除快取
-            if (this.companyReader.invalidateCache) {
-                this.companyReader.invalidateCache('companyList');
+            let result;
+            try {
+                result = await this.companySqlWriter.updateCompany(companyInfo.companyId, updateData, modifier, { expectedVersion });
+            } catch (error) {
+                if (isConflict(error) && this.companySqlReader) {
+                    error.current = await this.companySqlReader.getCompanyById(companyInfo.companyId);
+                }
+                throw error;
             }
 
+            this._shadowWrite('updateCompany', companyInfo.companyId, async () =>
+                this.companyWriter.updateCompany(await this._requireSheetRowIndex(companyInfo.companyId), updateData, modifier)
+            );
+
+            // 欄位變更由 CompanySqlWriter 寫入 audit_logs (見 /api/audit)，不再產生「系統事件」互動
             return result;
         } catch (error) {
             console.error('[CompanyService] Update Error:', error);
@@ -361,30 +499,24 @@ class CompanyService {
     }
 
     // 5. 刪除公司
-    async deleteCompany(companyName, user) {
+    async deleteCompany(companyRef, user) {
         try {
             // 取得 ID
-            const companyInfo = await this._getCompanyByName(companyName);
-            if (!companyInfo) throw new Error(`找不到公司: ${companyName}`);
+            const companyInfo = await this._resolveCompany(companyRef);
+            if (!companyInfo) throw createBusinessError(`找不到公司: ${companyRef}`, 404);
 
             // 檢查關聯商機
-            const opps = await this.opportunityReader.getOpportunities();
-            const relatedOpps = opps.filter(o => 
-                this._normalizeCompanyName(o.customerCompany) === this._normalizeCompanyName(companyName)
-            );
+            const opps = await this._getAllOpportunities();
+            const relatedOpps = opps.filter(o => companyLink.isLinked(o, companyInfo));
             
             if (relatedOpps.length > 0) {
-                throw new Error(`無法刪除：尚有 ${relatedOpps.length} 個關聯機會案件 (例如: ${relatedOpps[0].opportunityName})。請先移除關聯案件。`);
-            }
-
-            // [Phase 7] SQL Delete (by companyId)
-            const result = await this.companySqlWriter.deleteCompany(companyInfo.companyId);
-            
-            // 清除快取
-            if (this.companyReader.invalidateCache) {
-                this.companyReader.invalidateCache('companyList');
+                throw createBusinessError(`無法刪除：尚有 ${relatedOpps.length} 個關聯機會案件 (例如: ${relatedOpps[0].opportunityName})。請先移除關聯案件。`);
             }
 
+            // [Phase 7] SQL Delete (by companyId)，軟刪除後可由管理員於回收桶還原
+            const modifier = (user && (user.displayName || user.name || user.username)) || 'System';
+            const result = await this.companySqlWriter.deleteCompany(companyInfo.companyId, modifier);
+            this._shadowWrite('deleteCompany', companyInfo.companyId, null);
             return result;
         } catch (error) {
             console.error('[CompanyService] Delete Error:', error);
@@ -0,0 +1,276 @@
+/**
+ * services/contact-merge-service.js
+ * 聯絡人重複偵測與合併服務 (正式聯絡人 + 名片)
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * - 同一人常同時存在多張名片 (重複掃描、LINE 傳入) 與升級後的正式聯絡人。
+ *   兩筆資料「姓名相同且手機 / Email / 公司任一相同」，或「手機與 Email 皆相同」時歸為同一組。
+ * - 名片若是組內正式聯絡人的來源 (sourceId = 原始ID) 不算重複；狀態為「已合併」的名片不再列出。
+ * - merge()：正式聯絡人的機會關聯 (opportunity_contact_links) 與軟刪除在單一交易內完成
+ *   (見 data/contact-merge-sql-writer.js)；之後將被合併名片的狀態改為「已合併」。
+ *   名片列與圖檔一律保留，所有圖檔連結記錄於 contact_merges.card_images。
+ */
+
+const companySimilarity = require('../utils/company-similarity');
+const { fold } = require('../utils/search-text');
+const { createBusinessError } = require('../utils/business-error');
+
+const CONTACT_TYPES = { OFFICIAL: 'official', POTENTIAL: 'potential' };
+
+function nameKey(name) {
+    return fold(name).replace(/[\s.,·・()（）]/g, '');
+}
+
+function mobileKey(mobile) {
+    const digits = mobile ? String(mobile).replace(/\D/g, '') : '';
+    return digits.length >= 9 ? digits.slice(-9) : '';
+}
+
+function emailKey(email) {
+    return fold(email).trim();
+}
+
+/**
+ * 兩筆資料相符的欄位；不構成重複時回傳 null
+ */
+function matchFields(a, b) {
+    const fields = ['mobile', 'email', 'company'].filter(field => a.keys[field] && a.keys[field] === b.keys[field]);
+    const sameName = !!a.keys.name && a.keys.name === b.keys.name;
+
+    if (sameName && fields.length > 0) return ['name', ...fields];
+    if (fields.includes('mobile') && fields.includes('email')) return fields;
+    return null;
+}
+
+class ContactMergeService {
+    /**
+     * @param {Object} dependencies
+     * @param {ContactService} dependencies.contactService
+     * @param {ContactWriter} dependencies.contactWriter - RAW 名片狀態
+     * @param {ContactMergeSqlReader} dependencies.contactMergeSqlReader
+     * @param {ContactMergeSqlWriter} dependencies.contactMergeSqlWriter
+     * @param {Object} dependencies.config
+     */
+    constructor({ contactService, contactWriter, contactMergeSqlReader, contactMergeSqlWriter, config }) {
+        this.contactService = contactService;
+        this.contactWriter = contactWriter;
+        this.contactMergeSqlReader = contactMergeSqlReader;
+        this.contactMergeSqlWriter = contactMergeSqlWriter;
+        this.mergedStatus = config.CONSTANTS.CONTACT_STATUS.MERGED;
+    }
+
+    _toMember(type, record) {
+        const companyName = type === CONTACT_TYPES.OFFICIAL ? record.companyName : record.company;
+        return {
+            type,
+            id: type === CONTACT_TYPES.OFFICIAL ? record.contactId : record.originalId,
+            name: record.name || '',
+            companyName: companyName || '',
+            mobile: record.mobile || '',
+            email: record.email || '',
+            sourceId: record.sourceId,
+            status: record.status,
+            driveLink: record.driveLink || '',
+            createdTime: record.createdTime,
+            keys: {
+                name: nameKey(record.name),
+                mobile: mobileKey(record.mobile),
+                email: emailKey(record.email),
+                company: companySimilarity.nameKey(companyName)
+            }
+        };
+    }
+
+    async _loadMembers() {
+        const [officials, cards] = await Promise.all([
+            this.contactService.getAllOfficialContacts(),
+            this.contactService.getPotentialContacts(0)
+        ]);
+
+        return [
+            ...officials.map(c => this._toMember(CONTACT_TYPES.OFFICIAL, c)),
+            ...cards
+                .filter(c => c.originalId && c.status !== this.mergedStatus)
+                .map(c => this._toMember(CONTACT_TYPES.POTENTIAL, c))
+        ];
+    }
+
+    /**
+     * 疑似重複的聯絡人群組
+     * @param {Object} [options]
+     * @param {number} [options.limit=100]
+     * @returns {Promise<Array<Object>>} [{ matchedOn, suggestedSurvivor: { type, id }, members }]
+     */
+    async findDuplicates({ limit = 100 } = {}) {
+        const members = await this._loadMembers();
+
+        // 以姓名 / 手機 / Email 分組後只比對同組成員，再以 Union-Find 合併成群組
+        const parent = members.map((_, i) => i);
+        const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+        const matched = new Map();
+
+        const blocks = new Map();
+        members.forEach((member, index) => {
+            ['name', 'mobile', 'email'].forEach(field => {
+                const value = member.keys[field];
+                if (!value) return;
+                const key = `${field}:${value}`;
+                if (!blocks.has(key)) blocks.set(key, []);
+                blocks.get(key).push(index);
+            });
+        });
+
+        blocks.forEach(indexes => {
+            for (let x = 0; x < indexes.length; x++) {
+                for (let y = x + 1; y < indexes.length; y++) {
+                    const fields = matchFields(members[indexes[x]], members[indexes[y]]);
+                    if (!fields) continue;
+                    const root = find(indexes[x]);
+                    const other = find(indexes[y]);
+                    parent[other] = root;
+                    const set = new Set([...(matched.get(root) || []), ...(matched.get(other) || []), ...fields]);
+                    matched.set(root, set);
+                }
+            }
+        });
+
+        const groups = new Map();
+        members.forEach((member, index) => {
+            const root = find(index);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(member);
+        });
+
+        const results = [];
+        groups.forEach((group, root) => {
+            if (group.length < 2) return;
+
+            const sourceIds = new Set(group.filter(m => m.type === CONTACT_TYPES.OFFICIAL).map(m => m.sourceId));
+            const entries = group.map(({ keys, ...member }) => ({
+                ...member,
+                isSourceCard: member.type === CONTACT_TYPES.POTENTIAL && sourceIds.has(member.id)
+            }));
+            if (entries.filter(m => !m.isSourceCard).length < 2) return;
+
+            results.push({
+                matchedOn: Array.from(matched.get(root) || []),
+                suggestedSurvivor: this._suggestSurvivor(entries),
+                members: entries
+            });
+        });
+
+        return results.slice(0, limit);
+    }
+
+    /**
+     * 最早建立的正式聯絡人存續；組內沒有正式聯絡人時保留最早的名片
+     */
+    _suggestSurvivor(members) {
+        const byTime = (a, b) => String(a.createdTime || '').localeCompare(String(b.createdTime || ''));
+        const officials = members.filter(m => m.type === CONTACT_TYPES.OFFICIAL).sort(byTime);
+        const [survivor] = officials.length > 0 ? officials : members.slice().sort(byTime);
+        return { type: survivor.type, id: survivor.id };
+    }
+
+    async _getRecord(ref) {
+        if (!ref || !ref.id || !Object.values(CONTACT_TYPES).includes(ref.type)) {
+            throw createBusinessError('無法合併：聯絡人需指定 type (official / potential) 與 id');
+        }
+        if (ref.type === CONTACT_TYPES.OFFICIAL) {
+            const contact = await this.contactService.getContactById(ref.id);
+            if (!contact) throw createBusinessError(`無法合併：找不到聯絡人 ${ref.id}`);
+            return contact;
+        }
+        try {
+            return await this.contactService.getPotentialContactById(ref.id);
+        } catch (error) {
+            throw createBusinessError(`無法合併：找不到名片 ${ref.id}`);
+        }
+    }
+
+    /**
+     * 合併聯絡人
+     * @param {Object} survivor - { type: 'official' | 'potential', id }
+     * @param {Array<Object>} merged - [{ type, id }]
+     * @param {string} actor
+     * @returns {Promise<Object>} 合併紀錄 (Merge DTO) + { cardsMarked, failedCards }
+     */
+    async merge(survivor, merged, actor) {
+        if (!Array.isArray(merged) || merged.length === 0) throw createBusinessError('無法合併：請指定要合併的聯絡人');
+        const refs = [survivor, ...merged];
+        if (new Set(refs.map(r => r && `${r.type}:${r.id}`)).size !== refs.length) {
+            throw createBusinessError('無法合併：同一筆資料不可重複指定');
+        }
+
+        const [survivorRecord, ...mergedRecords] = await Promise.all(refs.map(ref => this._getRecord(ref)));
+        const contactIds = merged.filter(r => r.type === CONTACT_TYPES.OFFICIAL).map(r => r.id);
+        if (contactIds.length > 0 && survivor.type !== CONTACT_TYPES.OFFICIAL) {
+            throw createBusinessError('無法合併：含正式聯絡人時，存續對象必須是正式聯絡人');
+        }
+
+        const cards = merged
+            .map((ref, i) => ({ ref, record: mergedRecords[i] }))
+            .filter(({ ref }) => ref.type === CONTACT_TYPES.POTENTIAL)
+            .map(({ record }) => record);
+        if (cards.some(card => card.status === this.mergedStatus)) {
+            throw createBusinessError('無法合併：名片已合併過');
+        }
+
+        const cardImages = await this._collectCardImages([survivorRecord, ...mergedRecords]);
+        const mergeId = `CMERGE_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+        await this.contactMergeSqlWriter.merge({
+            mergeId,
+            survivor,
+            contactIds,
+            cards: cards.map(card => ({
+                originalId: card.originalId, name: card.name, company: card.company, driveLink: card.driveLink || ''
+            })),
+            cardImages
+        }, actor);
+
+        // 名片在 Sheet，無法與 SQL 同一交易；失敗者回報給呼叫端，可重新執行標記
+        let cardsMarked = 0;
+        const failedCards = [];
+        for (const card of cards) {
+            try {
+                await this.contactWriter.writePotentialContactRow(card.rowIndex, { status: this.mergedStatus });
+                cardsMarked++;
+            } catch (error) {
+                failedCards.push({ originalId: card.originalId, error: error.message });
+            }
+        }
+
+        const record = await this.contactMergeSqlReader.getMerge(mergeId);
+        return { ...record, cardsMarked, failedCards };
+    }
+
+    /**
+     * 所有相關名片圖檔：名片本身，以及與正式聯絡人「姓名 + 公司」相符的名片 (與機會詳細頁的名片比對方式相同)
+     */
+    async _collectCardImages(records) {
+        const cards = await this.contactService.getPotentialContacts(0);
+        const keyOf = (name, company) => `${nameKey(name)}|${companySimilarity.nameKey(company)}`;
+        const officialKeys = new Set(records
+            .filter(r => r.contactId)
+            .map(r => keyOf(r.name, r.companyName)));
+
+        const images = [];
+        records.forEach(r => { if (r.originalId && r.driveLink) images.push(r.driveLink); });
+        cards.forEach(card => {
+            if (card.driveLink && officialKeys.has(keyOf(card.name, card.company))) images.push(card.driveLink);
+        });
+        return Array.from(new Set(images));
+    }
+
+    /**
+     * @param {Object} [filters] - { survivorId, limit }
+     */
+    async getMerges(filters = {}) {
+        return this.contactMergeSqlReader.getMerges(filters);
+    }
+}
+
+ContactMergeService.TYPES = CONTACT_TYPES;
+
+module.exports = ContactMergeService;
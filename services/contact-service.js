@@ -1,14 +1,21 @@
 /**
  * services/contact-service.js
  * 聯絡人業務邏輯服務層
- * * @version 7.3.1 (Phase 7: Dashboard Interface Support)
- * @date 2026-02-04
+ * * @version 7.4.0 (Stable Potential Contact IDs)
+ * @date 2026-10-19
  * @description
  * - Official Contacts: SQL primary read, Sheet fallback via CORE reader only.
  * - Official Contacts write: SQL only via contactSqlWriter.
  * - Potential Contacts (RAW): stays on Sheet via RAW reader/writer.
+ *   Addressed by originalId (原始ID 欄)；rowIndex 僅供 Writer 使用。讀取不寫入：缺少 ID 的列
+ *   以 tools/backfill-raw-contact-ids.js 回填 (services/raw-contact-id-migration-service.js)，回填前無法以 ID 操作。
+ * - Official Contacts update: optimistic concurrency via options.expectedVersion (updatedTime).
+ * - Official Contacts list query: queryOfficialContacts pushes filter / sort / cursor paging down to SQL.
  */
 
+const { assertVersion, isConflict } = require('../utils/concurrency');
+const { createBusinessError } = require('../utils/business-error');
+
 class ContactService {
     /**
      * @param {ContactReader} contactRawReader  - bound to IDS.RAW (Potential contacts)
@@ -18,8 +25,9 @@ class ContactService {
      * @param {Object} config
      * @param {ContactSqlReader} [contactSqlReader]
      * @param {ContactSqlWriter} [contactSqlWriter]
+     * @param {CompanySqlReader} [companySqlReader] - 列表本頁的公司名稱
      */
-    constructor(contactRawReader, contactCoreReader, contactWriter, companyReader, config, contactSqlReader, contactSqlWriter) {
+    constructor(contactRawReader, contactCoreReader, contactWriter, companyReader, config, contactSqlReader, contactSqlWriter, companySqlReader = null) {
         this.contactRawReader = contactRawReader;
         this.contactCoreReader = contactCoreReader;
         this.contactWriter = contactWriter;
@@ -27,6 +35,7 @@ class ContactService {
         this.config = config || { PAGINATION: { CONTACTS_PER_PAGE: 20 } };
         this.contactSqlReader = contactSqlReader;
         this.contactSqlWriter = contactSqlWriter;
+        this.companySqlReader = companySqlReader;
     }
 
     _normalizeKey(str = '') {
@@ -125,9 +134,36 @@ class ContactService {
         }
     }
 
-    async getPotentialContacts(limit = 2000) {
+    async _getRawContacts() {
         if (!this.contactRawReader) throw new Error('[ContactService] contactRawReader not configured');
-        let contacts = await this.contactRawReader.getContacts();
+        return this.contactRawReader.getContacts();
+    }
+
+    /**
+     * 以 originalId 取得潛在客戶
+     * @param {string} originalId
+     * @returns {Promise<Object>} 含 rowIndex (寫入定位用)
+     */
+    async getPotentialContactById(originalId) {
+        const contacts = await this._getRawContacts();
+        const target = contacts.find(c => c.originalId === String(originalId));
+        if (!target) throw createBusinessError(`找不到潛在客戶 ID: ${originalId}`, 404);
+        return target;
+    }
+
+    /**
+     * @deprecated 僅供舊版 rowIndex 路由轉換為 originalId
+     */
+    async getPotentialContactIdByRow(rowIndex) {
+        const contacts = await this._getRawContacts();
+        const target = contacts.find(c => c.rowIndex === parseInt(rowIndex));
+        if (!target) throw createBusinessError(`找不到潛在客戶 Row: ${rowIndex}`, 404);
+        if (!target.originalId) throw createBusinessError(`無法操作：潛在客戶 Row ${rowIndex} 尚未回填原始ID，請執行 tools/backfill-raw-contact-ids.js`);
+        return target.originalId;
+    }
+
+    async getPotentialContacts(limit = 2000) {
+        let contacts = await this._getRawContacts();
 
         contacts = contacts.filter(c => c.name || c.company);
 
@@ -192,6 +228,27 @@ class ContactService {
         }
     }
 
+    /**
+     * 正式聯絡人列表查詢 (篩選 / 排序 / Cursor 分頁下推到 SQL，不退回 Sheet)
+     * @param {Object} parsed - req.listQuery (utils/list-query.js)
+     * @returns {Promise<Object>} { items, nextCursor, hasMore }
+     */
+    async queryOfficialContacts(parsed) {
+        if (!this.contactSqlReader || !this.companySqlReader) {
+            throw new Error('[ContactService] contactSqlReader / companySqlReader are required for list queries');
+        }
+
+        // 公司名稱只查詢本頁聯絡人所屬的公司
+        const page = await this.contactSqlReader.queryContacts(parsed);
+        const companies = await this.companySqlReader.getCompanyNames(page.items.map(c => c.companyId));
+        const companyNameMap = new Map(companies.map(c => [c.companyId, c.companyName]));
+
+        return {
+            ...page,
+            items: page.items.map(c => this._mapOfficialContact(this._mapSqlContact(c), companyNameMap))
+        };
+    }
+
     async getContactById(contactId) {
         // SQL primary
         if (this.contactSqlReader) {
@@ -284,34 +341,37 @@ class ContactService {
 
         const result = await this.contactSqlWriter.createContact(contactData, user);
 
-        // invalidate official cache (CORE reader)
-        if (this.contactCoreReader && this.contactCoreReader.invalidateCache) {
-            this.contactCoreReader.invalidateCache('contactList');
-        }
-
         return result; // { success: true, id }
     }
 
-    async updateContact(contactId, updateData, user) {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.expectedVersion] - updatedTime seen by the client; mismatch throws VERSION_CONFLICT with error.current
+     */
+    async updateContact(contactId, updateData, user, options = {}) {
         if (!this.contactSqlWriter) throw new Error('[ContactService] ContactSqlWriter not configured. Update failed.');
 
-        await this.contactSqlWriter.updateContact(contactId, updateData, user);
+        const expectedVersion = options.expectedVersion || null;
+        if (expectedVersion) {
+            assertVersion('聯絡人', contactId, expectedVersion, await this.getContactById(contactId));
+        }
 
-        if (this.contactCoreReader && this.contactCoreReader.invalidateCache) {
-            this.contactCoreReader.invalidateCache('contactList');
+        let result;
+        try {
+            result = await this.contactSqlWriter.updateContact(contactId, updateData, user, { expectedVersion });
+        } catch (error) {
+            if (isConflict(error)) error.current = await this.getContactById(contactId);
+            throw error;
         }
 
-        return { success: true };
+        return { success: true, version: result.version };
     }
 
     async deleteContact(contactId, user) {
         if (!this.contactSqlWriter) throw new Error('[ContactService] ContactSqlWriter not configured. Delete failed.');
 
-        await this.contactSqlWriter.deleteContact(contactId);
-
-        if (this.contactCoreReader && this.contactCoreReader.invalidateCache) {
-            this.contactCoreReader.invalidateCache('contactList');
-        }
+        const modifier = (user && (user.displayName || user.name || user.username)) || 'System';
+        await this.contactSqlWriter.deleteContact(contactId, modifier);
 
         return { success: true };
     }
@@ -319,13 +379,10 @@ class ContactService {
     // ----------------------------
     // RAW (Potential) stays Sheet
     // ----------------------------
-    async updatePotentialContact(rowIndex, updateData, modifier) {
+    async updatePotentialContact(originalId, updateData, modifier) {
         try {
-            if (!this.contactRawReader) throw new Error('[ContactService] contactRawReader not configured');
-
-            const allContacts = await this.contactRawReader.getContacts();
-            const target = allContacts.find(c => c.rowIndex === parseInt(rowIndex));
-            if (!target) throw new Error(`找不到潛在客戶 Row: ${rowIndex}`);
+            const target = await this.getPotentialContactById(originalId);
+            const rowIndex = target.rowIndex;
 
             const mergedData = { ...target, ...updateData };
 
@@ -337,10 +394,6 @@ class ContactService {
 
             await this.contactWriter.writePotentialContactRow(rowIndex, mergedData);
 
-            if (this.contactRawReader.invalidateCache) {
-                this.contactRawReader.invalidateCache('contacts');
-            }
-
             return { success: true };
         } catch (error) {
             console.error('[ContactService] updatePotentialContact Error:', error);
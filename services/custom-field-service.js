@@ -0,0 +1,403 @@
+/**
+ * services/custom-field-service.js
+ * 自訂欄位服務 (機會案件 / 公司 / 聯絡人)
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * * 管理員於系統設定維護欄位定義，新增欄位不需修改 config 的欄位清單、Writer / Reader 與畫面。
+ * * - 定義：系統設定工作表，設定類型 = config.CUSTOM_FIELDS.CONFIG_TYPE，一列一個欄位：
+ * *   [類型, 欄位代碼, 顯示順序, 啟用狀態, 顯示名稱, (顏色), 欄位型別, 選項 JSON { options, required, roles }, 適用實體]
+ * *   以「適用實體 + 欄位代碼」識別；停用只將啟用狀態改為 FALSE，已儲存的值保留，重新啟用即恢復顯示。
+ * * - 值：各實體資料表的 custom_fields (jsonb)，由各 SQL Writer 合併寫入 (utils/custom-field-values.js)。
+ * * - 驗證：以 utils/request-validator.js 檢查型別、選項與必填；建立時不強制必填
+ * *   (快速建立、匯入等流程沒有自訂欄位輸入)，編輯表單送出時必填欄位不可空白。
+ * * - 角色：roles 為空表示所有角色可見；管理員一律可見。看不到的欄位不出現在定義清單與詳細資料中，也不可寫入。
+ * * - 讀取：所有 JSON 回應經 middleware/custom-field.middleware.js 呼叫 redactPayload() (列表、詳細資料、搜尋、
+ * *   稽核紀錄的 custom_fields 變更)；匯出的自訂欄位欄位同樣只列出角色可見的欄位 (services/export-service.js)。
+ */
+
+const requestValidator = require('../utils/request-validator');
+const customFieldValues = require('../utils/custom-field-values');
+const { createBusinessError } = require('../utils/business-error');
+
+const KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,39}$/;
+const MAX_LABEL_LENGTH = 50;
+const MAX_OPTIONS = 50;
+const AUDIT_FIELD = 'custom_fields';
+
+function isPlainObject(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * 含 customFields 的 DTO 屬於哪個實體 (聯絡人 / 公司的 DTO 沒有 opportunityId；機會的 DTO 沒有 contactId)
+ */
+function entityOf(record) {
+    if (record.contactId) return 'contact';
+    if (record.opportunityId) return 'opportunity';
+    if (record.companyId) return 'company';
+    return null;
+}
+
+function isAuditEntry(value) {
+    return value.field === AUDIT_FIELD && typeof value.entity === 'string' && 'oldValue' in value && 'newValue' in value;
+}
+
+class CustomFieldService {
+    /**
+     * @param {Object} deps
+     * @param {SystemReader} deps.systemReader
+     * @param {SystemWriter} deps.systemWriter
+     * @param {OpportunitySqlReader} deps.opportunitySqlReader
+     * @param {CompanySqlReader} deps.companySqlReader
+     * @param {ContactSqlReader} deps.contactSqlReader
+     * @param {Object} deps.config
+     */
+    constructor({ systemReader, systemWriter, opportunitySqlReader, companySqlReader, contactSqlReader, config }) {
+        this.systemReader = systemReader;
+        this.systemWriter = systemWriter;
+        this.settings = config.CUSTOM_FIELDS;
+        this.recordLoaders = {
+            opportunity: id => opportunitySqlReader.getOpportunityById(id),
+            company: id => companySqlReader.getCompanyById(id),
+            contact: id => contactSqlReader.getContactById(id)
+        };
+    }
+
+    /**
+     * 欄位設定的選項 (管理介面使用)
+     */
+    getMeta() {
+        return {
+            entities: this.settings.ENTITIES,
+            types: this.settings.TYPES,
+            roles: this.settings.ROLES
+        };
+    }
+
+    _assertEntity(entity, prefix = '無法設定') {
+        if (!this.settings.ENTITIES[entity]) {
+            throw new Error(`${prefix}：不支援的實體 ${entity} (可用：${Object.keys(this.settings.ENTITIES).join(' / ')})`);
+        }
+    }
+
+    _parseRow(row, rowIndex) {
+        const [, key, order, enabled, label, , type, extra, entity] = row;
+        let options = {};
+        try {
+            options = extra ? JSON.parse(extra) : {};
+        } catch (error) {
+            console.warn(`[CustomFieldService] 第 ${rowIndex} 列的選項不是有效的 JSON，已忽略: ${error.message}`);
+        }
+        return {
+            entity,
+            key,
+            label: label || key,
+            type: this.settings.TYPES[type] ? type : 'text',
+            options: Array.isArray(options.options) ? options.options.map(String) : [],
+            required: options.required === true,
+            roles: Array.isArray(options.roles) ? options.roles.map(String) : [],
+            order: parseInt(order, 10) || 99,
+            enabled: enabled === 'TRUE',
+            rowIndex
+        };
+    }
+
+    /**
+     * 讀取全部定義 (含停用)，rowIndex 僅供內部寫回使用
+     */
+    async _readDefinitions() {
+        const rows = await this.systemReader.getSystemConfigRaw();
+        const definitions = [];
+        rows.forEach((row, index) => {
+            if (index === 0 || row[0] !== this.settings.CONFIG_TYPE || !row[1] || !this.settings.ENTITIES[row[8]]) return;
+            definitions.push(this._parseRow(row, index + 1));
+        });
+        return definitions.sort((a, b) => a.order - b.order);
+    }
+
+    _isVisible(field, role) {
+        return role === 'admin' || field.roles.length === 0 || field.roles.includes(role);
+    }
+
+    _toPublic(field) {
+        const { rowIndex, ...rest } = field;
+        return rest;
+    }
+
+    /**
+     * 取得某實體的欄位定義
+     * @param {string} entity - opportunity / company / contact
+     * @param {Object} [options]
+     * @param {string} [options.role] - 依角色過濾
+     * @param {boolean} [options.includeDisabled=false] - 含停用欄位 (管理介面)
+     */
+    async getFields(entity, { role, includeDisabled = false } = {}) {
+        this._assertEntity(entity, '無法讀取');
+        const definitions = await this._readDefinitions();
+        return definitions
+            .filter(f => f.entity === entity && (includeDisabled || f.enabled) && this._isVisible(f, role))
+            .map(f => this._toPublic(f));
+    }
+
+    /**
+     * 取得全部實體的欄位定義 { opportunity: [...], company: [...], contact: [...] }
+     */
+    async getAllFields({ role, includeDisabled = false } = {}) {
+        const definitions = await this._readDefinitions();
+        const result = {};
+        Object.keys(this.settings.ENTITIES).forEach(entity => {
+            result[entity] = definitions
+                .filter(f => f.entity === entity && (includeDisabled || f.enabled) && this._isVisible(f, role))
+                .map(f => this._toPublic(f));
+        });
+        return result;
+    }
+
+    _normalizeDefinition(input) {
+        const data = input || {};
+        const entity = String(data.entity || '').trim();
+        this._assertEntity(entity);
+
+        const key = String(data.key || '').trim();
+        if (!KEY_PATTERN.test(key)) {
+            throw createBusinessError('無法設定：欄位代碼須以英文字母開頭，只能包含英數字與底線 (最多 40 字)');
+        }
+
+        const label = String(data.label || '').trim();
+        if (!label) throw createBusinessError('無法設定：顯示名稱為必填');
+        if (label.length > MAX_LABEL_LENGTH) throw createBusinessError(`無法設定：顯示名稱不可超過 ${MAX_LABEL_LENGTH} 個字`);
+
+        const type = String(data.type || 'text').trim();
+        if (!this.settings.TYPES[type]) {
+            throw createBusinessError(`無法設定：不支援的欄位型別 ${type} (可用：${Object.keys(this.settings.TYPES).join(' / ')})`);
+        }
+
+        let options = [];
+        if (type === 'select') {
+            options = [...new Set((Array.isArray(data.options) ? data.options : String(data.options || '').split(/[,，\n]/))
+                .map(o => String(o).trim())
+                .filter(Boolean))];
+            if (options.length === 0) throw createBusinessError('無法設定：下拉選單至少需要一個選項');
+            if (options.length > MAX_OPTIONS) throw createBusinessError(`無法設定：下拉選單最多 ${MAX_OPTIONS} 個選項`);
+        }
+
+        const roles = [...new Set((Array.isArray(data.roles) ? data.roles : []).map(r => String(r).trim()).filter(Boolean))];
+        const unknownRoles = roles.filter(r => !this.settings.ROLES.includes(r));
+        if (unknownRoles.length > 0) {
+            throw createBusinessError(`無法設定：不明的角色 ${unknownRoles.join('、')} (可用：${this.settings.ROLES.join(' / ')})`);
+        }
+
+        const order = parseInt(data.order, 10);
+        return {
+            entity,
+            key,
+            label,
+            type,
+            options,
+            required: data.required === true || data.required === 'true',
+            roles,
+            order: Number.isFinite(order) ? order : 99,
+            enabled: data.enabled !== false && data.enabled !== 'false'
+        };
+    }
+
+    _toRow(field) {
+        return [
+            this.settings.CONFIG_TYPE,
+            field.key,
+            field.order,
+            field.enabled ? 'TRUE' : 'FALSE',
+            field.label,
+            '',
+            field.type,
+            JSON.stringify({ options: field.options, required: field.required, roles: field.roles }),
+            field.entity
+        ];
+    }
+
+    /**
+     * 新增或更新欄位定義 (以「實體 + 欄位代碼」判斷)
+     * @param {Object} input - { entity, key, label, type, options, required, roles, order, enabled }
+     * @param {string} actor
+     * @returns {Promise<Object>} 儲存後的定義
+     */
+    async saveField(input, actor) {
+        const field = this._normalizeDefinition(input);
+        const definitions = await this._readDefinitions();
+        const existing = definitions.find(f => f.entity === field.entity && f.key === field.key);
+
+        if (existing && existing.type !== field.type) {
+            throw createBusinessError(`無法設定：欄位「${existing.label}」已建立為${this.settings.TYPES[existing.type]}，不可變更型別 (已儲存的值可能不符新型別，請另建欄位)`);
+        }
+        if (!existing || !existing.enabled) {
+            const enabledCount = definitions.filter(f => f.entity === field.entity && f.enabled).length;
+            if (field.enabled && enabledCount >= this.settings.MAX_PER_ENTITY) {
+                throw createBusinessError(`無法設定：每個實體最多 ${this.settings.MAX_PER_ENTITY} 個啟用中的自訂欄位`);
+            }
+        }
+
+        console.log(`🧩 [CustomFieldService] ${existing ? '更新' : '新增'}自訂欄位 ${field.entity}.${field.key} by ${actor}`);
+        await this.systemWriter.writeSystemConfigRow(existing ? existing.rowIndex : null, this._toRow(field));
+        return field;
+    }
+
+    /**
+     * 停用欄位 (已儲存的值保留)
+     */
+    async disableField(entity, key, actor) {
+        this._assertEntity(entity);
+        const definitions = await this._readDefinitions();
+        const existing = definitions.find(f => f.entity === entity && f.key === key);
+        if (!existing) throw createBusinessError(`無法設定：找不到自訂欄位 ${entity}.${key}`);
+
+        console.log(`🧩 [CustomFieldService] 停用自訂欄位 ${entity}.${key} by ${actor}`);
+        await this.systemWriter.writeSystemConfigRow(existing.rowIndex, this._toRow({ ...existing, enabled: false }));
+        return this._toPublic({ ...existing, enabled: false });
+    }
+
+    _toRule(field) {
+        const rule = { label: field.label, required: field.required };
+        switch (field.type) {
+            case 'textarea': return { ...rule, type: 'string', maxLength: 5000 };
+            case 'number': return { ...rule, type: 'number' };
+            case 'date': return { ...rule, type: 'date' };
+            case 'select': return { ...rule, type: 'string', enum: field.options };
+            case 'checkbox': return { ...rule, type: 'boolean' };
+            default: return { ...rule, type: 'string', maxLength: 200 };
+        }
+    }
+
+    _normalizeValue(field, value) {
+        if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) return null;
+        switch (field.type) {
+            case 'number': return typeof value === 'number' ? value : Number(String(value).replace(/,/g, '').trim());
+            case 'checkbox': return value === true || String(value).toLowerCase() === 'true';
+            default: return String(value).trim();
+        }
+    }
+
+    /**
+     * 檢查並正規化寫入的自訂欄位值 (middleware/validation.middleware.js 的 validateCustomFields)
+     * - 只接受該角色可見的啟用欄位；空白值正規化為 null (清除)
+     * @param {string} entity
+     * @param {Object|undefined} values - req.body.customFields
+     * @param {Object} [options]
+     * @param {string} [options.role]
+     * @returns {Promise<{ values: Object|undefined, errors: Array<Object> }>}
+     */
+    async prepareValues(entity, values, { role } = {}) {
+        if (values === undefined) return { values: undefined, errors: [] };
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+            return { values: undefined, errors: [{ field: 'customFields', label: '自訂欄位', message: '自訂欄位資料格式不正確' }] };
+        }
+
+        const fields = await this.getFields(entity, { role });
+        const byKey = new Map(fields.map(f => [f.key, f]));
+        const errors = Object.keys(values)
+            .filter(key => !byKey.has(key))
+            .map(key => ({ field: `customFields.${key}`, label: key, message: `自訂欄位 ${key} 不存在或無權限編輯` }));
+
+        const schema = { label: '自訂欄位', fields: {} };
+        fields.forEach(f => { schema.fields[f.key] = this._toRule(f); });
+        requestValidator.validate(schema, values, { partial: true }).forEach(error => {
+            errors.push({ ...error, field: `customFields.${error.field}` });
+        });
+        if (errors.length > 0) return { values: undefined, errors };
+
+        const normalized = {};
+        Object.keys(values).forEach(key => {
+            normalized[key] = this._normalizeValue(byKey.get(key), values[key]);
+        });
+        return { values: normalized, errors: [] };
+    }
+
+    /**
+     * 移除角色看不到 (或已停用) 的欄位值
+     * @param {string} entity
+     * @param {Array<Object>} records - 含 customFields 的 DTO (回傳新物件，不修改原物件)
+     * @param {string} role
+     */
+    async redactRecords(entity, records, role) {
+        const visible = new Set((await this.getFields(entity, { role })).map(f => f.key));
+        return records.map(record => {
+            if (!record || !record.customFields) return record;
+            const customFields = {};
+            Object.keys(record.customFields).forEach(key => {
+                if (visible.has(key)) customFields[key] = record.customFields[key];
+            });
+            return { ...record, customFields };
+        });
+    }
+
+    /**
+     * 移除回應資料中角色看不到 (或已停用) 的自訂欄位值
+     * - 含 customFields 的 DTO：依 ID 欄判斷實體，判斷不出時全部移除。
+     * - 稽核紀錄 (field = custom_fields)：old / new 值只保留可見欄位。
+     * - 不含自訂欄位時不讀取欄位定義，直接回傳原物件。
+     * @param {*} payload - res.json() 的內容 (回傳新物件，不修改原物件)
+     * @param {string} role
+     */
+    async redactPayload(payload, role) {
+        if (!this._containsCustomFields(payload)) return payload;
+
+        const fields = await this.getAllFields({ role });
+        const visible = {};
+        Object.keys(fields).forEach(entity => { visible[entity] = new Set(fields[entity].map(f => f.key)); });
+        return this._redactValue(payload, visible);
+    }
+
+    _containsCustomFields(value) {
+        if (Array.isArray(value)) return value.some(item => this._containsCustomFields(item));
+        if (!isPlainObject(value)) return false;
+        if (isPlainObject(value.customFields) || isAuditEntry(value)) return true;
+        return Object.keys(value).some(key => this._containsCustomFields(value[key]));
+    }
+
+    _redactValue(value, visible) {
+        if (Array.isArray(value)) return value.map(item => this._redactValue(item, visible));
+        if (!isPlainObject(value)) return value;
+
+        const result = {};
+        Object.keys(value).forEach(key => { result[key] = this._redactValue(value[key], visible); });
+
+        if (isPlainObject(value.customFields)) {
+            result.customFields = this._pickVisible(value.customFields, visible[entityOf(value)]);
+        }
+        if (isAuditEntry(value)) {
+            const keys = visible[value.entity];
+            ['oldValue', 'newValue'].forEach(key => {
+                if (value[key] === null || value[key] === undefined) return;
+                result[key] = JSON.stringify(this._pickVisible(customFieldValues.parse(value[key]), keys));
+            });
+        }
+        return result;
+    }
+
+    _pickVisible(values, keys) {
+        const picked = {};
+        if (!keys) return picked;
+        Object.keys(values).forEach(key => {
+            if (keys.has(key)) picked[key] = values[key];
+        });
+        return picked;
+    }
+
+    /**
+     * 取得單筆資料的自訂欄位 (依角色過濾)
+     * @returns {Promise<{ fields: Array<Object>, values: Object }|null>} 資料不存在時回傳 null
+     */
+    async getValues(entity, entityId, role) {
+        this._assertEntity(entity, '無法讀取');
+        const record = await this.recordLoaders[entity](entityId);
+        if (!record) return null;
+
+        const fields = await this.getFields(entity, { role });
+        const [redacted] = await this.redactRecords(entity, [record], role);
+        return { fields, values: redacted.customFields || {} };
+    }
+}
+
+module.exports = CustomFieldService;
@@ -9,8 +9,12 @@
  * 2. [Phase 7 Fix] Contact 資料讀取已由 Reader 改為透過 ContactService 取得，以支援 SQL/Sheet 混合模式。
  * 3. [Shadow Logic] 內含 MTU/SI 活躍定義邏輯，未來應遷移至 CompanyService。
  * 4. [Logic Duplication] _getWeekId 為暫時性重複邏輯，Phase 6 應統一注入 DateHelpers。
+ * 5. [Phase 8 Cache] 主儀表板結果存於共用 CacheManager (dashboard:main)，標籤見 data/cache/cache-policy.js。
+ * 6. [Recycle Bin] Direct Read 的 Sheet Reader 不認得 SQL 軟刪除，依回收桶 ID 排除已刪除的機會 / 互動 / 事件 / 公司。
  */
 
+const { getCache } = require('../data/cache');
+
 class DashboardService {
     /**
      * 建構子：接收所有必要的資料讀取器與服務
@@ -23,6 +27,7 @@ class DashboardService {
      * @param {WeeklyBusinessService} weeklyBusinessService - [Service Integration]
      * @param {CompanyReader} companyReader - [Direct Read]
      * @param {CalendarService} calendarService
+     * @param {TrashService} [trashService] - 回收桶 ID 清單 (排除軟刪除紀錄)
      */
     constructor(
         config,
@@ -33,7 +38,8 @@ class DashboardService {
         systemReader,
         weeklyBusinessService,
         companyReader,
-        calendarService
+        calendarService,
+        trashService
     ) {
         // 嚴格檢查依賴
         if (!opportunityReader || !contactService || !interactionReader || !config) {
@@ -49,6 +55,8 @@ class DashboardService {
         this.weeklyBusinessService = weeklyBusinessService;
         this.companyReader = companyReader;
         this.calendarService = calendarService;
+        this.trashService = trashService || null;
+        this.cache = getCache();
     }
 
     /**
@@ -66,11 +74,36 @@ class DashboardService {
         return `${d.getUTCFullYear()}-W${String(weekNo).padStart(2, '0')}`;
     }
 
+    /**
+     * 【內部輔助】回收桶 ID ({ opportunity: Set, ... })；未注入 TrashService 時為空物件
+     */
+    _getTrashedIds() {
+        return this.trashService ? this.trashService.getDeletedIdSets() : Promise.resolve({});
+    }
+
+    /**
+     * 【內部輔助】排除回收桶內的紀錄
+     * @param {Array} rows
+     * @param {Set<string>} [deletedIds]
+     * @param {string} idField
+     */
+    _excludeTrashed(rows, deletedIds, idField) {
+        if (!deletedIds || deletedIds.size === 0 || !Array.isArray(rows)) return rows;
+        return rows.filter(row => !deletedIds.has(row[idField]));
+    }
+
     /**
      * 取得主儀表板所需的所有整合資料
-     * 採用分批請求 (Batching) 以優化效能
+     * 採用分批請求 (Batching) 以優化效能；結果以 dashboard:main 快取，任一相依實體寫入即失效
      */
     async getDashboardData() {
+        return this.cache.wrap('dashboard:main', () => this._buildDashboardData());
+    }
+
+    /**
+     * 實際整合主儀表板資料 (不經快取)
+     */
+    async _buildDashboardData() {
         console.log('📊 [DashboardService] 執行主儀表板資料整合 (分批優化模式)...');
 
         const today = new Date();
@@ -85,9 +118,9 @@ class DashboardService {
         // 預期併發數: 3
         console.log('   ↳ 正在載入核心資料 (Batch 1)...');
         const [
-            opportunitiesRaw,
+            opportunitiesAll,
             contacts,
-            interactions
+            interactionsAll
         ] = await Promise.all([
             this.opportunityReader.getOpportunities(),
             this.contactService.getAllOfficialContacts(), // [Phase 7 Fix] 改呼叫 Service 介面
@@ -104,19 +137,27 @@ class DashboardService {
         const companyPromise = this.companyReader ? this.companyReader.getCompanyList() : Promise.resolve([]);
         const eventLogPromise = this.eventLogReader ? this.eventLogReader.getEventLogs() : Promise.resolve([]);
         const systemPromise = this.systemReader ? this.systemReader.getSystemConfig() : Promise.resolve({});
+        const trashPromise = this._getTrashedIds();
 
         const [
             calendarData,
-            eventLogs,
+            eventLogsAll,
             systemConfig,
-            companies
+            companiesAll,
+            trashed
         ] = await Promise.all([
             calendarPromise,
             eventLogPromise,
             systemPromise,
-            companyPromise
+            companyPromise,
+            trashPromise
         ]);
 
+        const opportunitiesRaw = this._excludeTrashed(opportunitiesAll, trashed.opportunity, 'opportunityId');
+        const interactions = this._excludeTrashed(interactionsAll, trashed.interaction, 'interactionId');
+        const eventLogs = this._excludeTrashed(eventLogsAll, trashed.event, 'eventId');
+        const companies = this._excludeTrashed(companiesAll, trashed.company, 'companyId');
+
         // --- 週間業務資料整合 (關鍵修正) ---
         let thisWeeksEntries = [];
         let thisWeekDetails = { title: '載入中...', days: [] }; // 預設空結構
@@ -214,7 +255,7 @@ class DashboardService {
         interactions.forEach(i => i.companyId && recordActivity(i.companyId, i.interactionTime || i.createdTime));
         eventLogs.forEach(e => e.companyId && recordActivity(e.companyId, e.createdTime));
         opportunities.forEach(opp => {
-            const cId = companyNameMap.get(normalize(opp.customerCompany));
+            const cId = opp.companyId || companyNameMap.get(normalize(opp.customerCompany));
             if (cId) recordActivity(cId, opp.createdTime);
         });
 
@@ -323,7 +364,11 @@ class DashboardService {
     // --- 各個子頁面的 Dashboard Data Getters ---
 
     async getCompaniesDashboardData() {
-        const companies = await this.companyReader.getCompanyList();
+        const [companiesAll, trashed] = await Promise.all([
+            this.companyReader.getCompanyList(),
+            this._getTrashedIds()
+        ]);
+        const companies = this._excludeTrashed(companiesAll, trashed.company, 'companyId');
 
         return {
             chartData: {
@@ -336,11 +381,13 @@ class DashboardService {
     }
 
     async getEventsDashboardData() {
-        const [eventLogs, opportunities, companies] = await Promise.all([
+        const [eventLogsAll, opportunities, companies, trashed] = await Promise.all([
             this.eventLogReader.getEventLogs(),
             this.opportunityReader.getOpportunities(),
             this.companyReader.getCompanyList(),
+            this._getTrashedIds()
         ]);
+        const eventLogs = this._excludeTrashed(eventLogsAll, trashed.event, 'eventId');
 
         const opportunityMap = new Map(opportunities.map(opp => [opp.opportunityId, opp]));
         const companyMap = new Map(companies.map(comp => [comp.companyId, comp]));
@@ -376,10 +423,12 @@ class DashboardService {
     }
 
     async getOpportunitiesDashboardData() {
-        const [opportunities, systemConfig] = await Promise.all([
+        const [opportunitiesAll, systemConfig, trashed] = await Promise.all([
             this.opportunityReader.getOpportunities(),
             this.systemReader.getSystemConfig(),
+            this._getTrashedIds()
         ]);
+        const opportunities = this._excludeTrashed(opportunitiesAll, trashed.opportunity, 'opportunityId');
 
         return {
             chartData: {
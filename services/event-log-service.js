@@ -1,16 +1,23 @@
 /**
  * services/event-log-service.js
  * 事件紀錄服務邏輯
- * @version 5.2.1 (Phase 6-2 - DI Fix)
- * @date 2026-02-02
+ * @version 5.3.0 (Phase 8 - Event Log SQL Write)
+ * @date 2026-10-19
  * @description
  * [Standard A] Join 邏輯集中在 Service；所有回傳物件皆 clone，避免污染 Reader Cache。
  * [Hotfix] 當 eventType 變更時，rowIndex 不可跨 sheet update，必須 delete + create (Move)。
  * [Fix] deleteEventLog: 修正 Controller 呼叫斷裂，新增 eventId 解析邏輯。
  * [DI Fix] 移除內部 require，改由 Service Container 注入 SqlReader。
- * 依賴注入：EventLogReader, EventLogWriter, OpportunityReader, CompanyReader, SystemReader, CalendarService, EventLogSqlReader
+ * [Phase 8] DATA_SOURCES.EVENT_LOG = 'SQL' 時 Create/Update/Delete 改由 EventLogSqlWriter 以 eventId 寫入，
+ * 類型變更為交易式搬移，不再經過 Sheet rowIndex。
+ * [Recycle Bin] 刪除一律為軟刪除 (可於 /api/trash 還原)。Sheet 模式將事件以已刪除狀態寫入 SQL 表
+ *   (EventLogSqlWriter.trashSheetEvent)，Sheet 列保留，由 Sheet Reader 依回收桶排除；永久刪除時才移除 Sheet 列。
+ * 依賴注入：EventLogReader, EventLogWriter, OpportunityReader, CompanyReader, SystemReader, CalendarService, EventLogSqlReader, EventLogSqlWriter
  */
 
+const config = require('../config');
+const { createBusinessError } = require('../utils/business-error');
+
 class EventLogService {
     /**
      * @param {EventLogReader} eventReader 
@@ -20,8 +27,9 @@ class EventLogService {
      * @param {SystemReader} systemReader 
      * @param {CalendarService} calendarService 
      * @param {EventLogSqlReader} [eventLogSqlReader] - Injected SQL Reader
+     * @param {EventLogSqlWriter} [eventLogSqlWriter] - DATA_SOURCES.EVENT_LOG = 'SQL' 時使用
      */
-    constructor(eventReader, eventWriter, oppReader, companyReader, systemReader, calendarService, eventLogSqlReader) {
+    constructor(eventReader, eventWriter, oppReader, companyReader, systemReader, calendarService, eventLogSqlReader, eventLogSqlWriter) {
         this.eventReader = eventReader;
         this.eventWriter = eventWriter;
         this.oppReader = oppReader;
@@ -29,19 +37,11 @@ class EventLogService {
         this.systemReader = systemReader;
         this.calendarService = calendarService;
         this.eventLogSqlReader = eventLogSqlReader; // [Fix] DI Injection
+        this.eventLogSqlWriter = eventLogSqlWriter || null;
     }
 
-    _invalidateEventCacheSafe() {
-        try {
-            if (this.eventReader && typeof this.eventReader.invalidateCache === 'function') {
-                this.eventReader.invalidateCache('eventLogs');
-            } else if (this.eventReader && this.eventReader.cache) {
-                // fallback: clear all cache if invalidateCache is not available
-                this.eventReader.cache = {};
-            }
-        } catch (e) {
-            // do nothing
-        }
+    _useSqlWriter() {
+        return config.DATA_SOURCES.EVENT_LOG === 'SQL' && !!this.eventLogSqlWriter;
     }
 
     async getAllEvents() {
@@ -138,8 +138,9 @@ class EventLogService {
         try {
             const modifier = user?.displayName || user?.username || 'System';
 
-            const result = await this.eventWriter.createEventLog(data, modifier);
-            this._invalidateEventCacheSafe();
+            const result = this._useSqlWriter()
+                ? await this.eventLogSqlWriter.createEventLog(data, modifier)
+                : await this.eventWriter.createEventLog(data, modifier);
 
             if (result.success && data.syncToCalendar === 'true') {
                 try {
@@ -170,7 +171,6 @@ class EventLogService {
         try {
             const modifier = user?.displayName || user?.username || 'System';
             const result = await this.eventWriter.updateEventLog(rowIndex, data, modifier);
-            this._invalidateEventCacheSafe();
             return result;
         } catch (error) {
             console.error(`[EventLogService] updateEvent Error (Row: ${rowIndex}):`, error);
@@ -183,6 +183,16 @@ class EventLogService {
      * [Hotfix] 若 eventType 變更，必須 Move：delete(old sheet row) + create(new sheet row)
      */
     async updateEventLog(idOrRowIndex, data, modifier) {
+        if (this._useSqlWriter()) {
+            // SQL：只接受 eventId，類型變更由 Writer 以交易搬移
+            const eventId = data?.eventId || data?.id || idOrRowIndex;
+            if (!eventId || !isNaN(Number(eventId))) {
+                throw new Error(`Update Failed: SQL 模式需以 eventId 更新 (收到 '${idOrRowIndex}')`);
+            }
+            const result = await this.eventLogSqlWriter.updateEventLog(String(eventId), data, modifier);
+            return result;
+        }
+
         // 1) 先嘗試拿到 eventId（前端可能傳 eventId，也可能只傳 rowIndex）
         const inputEventId = data?.eventId || data?.id || null;
 
@@ -239,7 +249,6 @@ class EventLogService {
 
                 const createResult = await this.eventWriter.createEventLog(payload, modifier);
 
-                this._invalidateEventCacheSafe();
 
                 // 盡量維持既有 shape：success 至少要有
                 if (createResult && typeof createResult === 'object') {
@@ -263,19 +272,28 @@ class EventLogService {
      */
     async deleteEventLog(eventId, user) {
         try {
-            // 1. 讀取所有事件以查找 eventId (解析 rowIndex 與 eventType)
-            // [Note] Delete 流程必須依賴 Sheet 的 rowIndex，因此直接呼叫 Sheet Reader，不走 SQL fallback 邏輯
+            if (this._useSqlWriter()) {
+                const result = await this.eventLogSqlWriter.deleteEventLog(eventId, user);
+                return result;
+            }
+
+            // 1. 讀取所有事件以查找 eventId (已在回收桶的事件會被 Reader 排除)
             const logs = await this.eventReader.getEventLogs();
             const target = logs.find(l => l.eventId === eventId);
 
             if (!target) {
                 throw new Error(`Delete Failed: Event ID '${eventId}' not found.`);
             }
+            if (target.eventType === 'legacy') {
+                throw createBusinessError('無法刪除：舊版事件總表為唯讀');
+            }
+            if (!this.eventLogSqlWriter) {
+                throw new Error('[EventLogService] EventLogSqlWriter not configured. Delete failed.');
+            }
 
-            // 2. 呼叫底層 deleteEvent 進行實體刪除 (複用既有邏輯)
-            // 注意：deleteEvent 內部會呼叫 Writer 並 invalidate cache
-            console.log(`[EventLogService] Resolved delete for ${eventId} -> Row ${target.rowIndex} (${target.eventType})`);
-            return await this.deleteEvent(target.rowIndex, target.eventType, { displayName: user });
+            // 2. 軟刪除：寫入回收桶 (Sheet 列保留，永久刪除時由 TrashService 移除)
+            console.log(`[EventLogService] Trash Sheet event ${eventId} (${target.eventType})`);
+            return await this.eventLogSqlWriter.trashSheetEvent(target, user);
 
         } catch (error) {
             console.error(`[EventLogService] deleteEventLog Error (${eventId}):`, error);
@@ -286,7 +304,6 @@ class EventLogService {
     async deleteEvent(rowIndex, eventType, user) {
         try {
             const result = await this.eventWriter.deleteEventLog(rowIndex, eventType);
-            this._invalidateEventCacheSafe();
             return result;
         } catch (error) {
             console.error(`[EventLogService] deleteEvent Error (Row: ${rowIndex}):`, error);
@@ -0,0 +1,69 @@
+/**
+ * services/event-sheet-header-migration-service.js
+ * 事件工作表標題列補欄服務
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * - 事件範本將類型與範本欄位值寫在各事件工作表最後兩欄 (config.EVENT_LOG_EXTRA_FIELDS：事件類型 / 詳細資料)；
+ *   讀寫依欄位位置對應，既有工作表需先補上這兩個標題，由 tools/add-event-log-header-columns.js 執行。
+ * - plan() 不寫入任何資料；apply() 只寫入仍為空白的標題儲存格，重複執行不會產生新的變更 (Idempotent)。
+ * - 預定位置已有其他標題 (欄位順序與程式不一致) 時列為衝突，不覆寫，需人工確認。
+ */
+
+const EVENT_SHEET_TYPES = ['general', 'iot', 'dt', 'dx'];
+
+class EventSheetHeaderMigrationService {
+    /**
+     * @param {Object} dependencies
+     * @param {EventLogWriter} dependencies.eventLogWriter - readHeaderRow() / writeHeaderCells()
+     * @param {Object} dependencies.config - EVENT_LOG_EXTRA_FIELDS
+     */
+    constructor({ eventLogWriter, config }) {
+        this.eventLogWriter = eventLogWriter;
+        this.config = config;
+    }
+
+    /**
+     * 比對各事件工作表的標題列
+     * @returns {Promise<Object>} { sheets: [{ type, sheetName, additions: [{ index, header }], present, conflicts: [{ index, expected, actual }] }] }
+     */
+    async plan() {
+        const extraFields = this.config.EVENT_LOG_EXTRA_FIELDS;
+
+        const sheets = await Promise.all(EVENT_SHEET_TYPES.map(async (type) => {
+            const { sheetName, expected, actual } = await this.eventLogWriter.readHeaderRow(type);
+            const start = expected.length - extraFields.length;
+            const result = { type, sheetName, additions: [], present: 0, conflicts: [] };
+
+            extraFields.forEach((header, i) => {
+                const index = start + i;
+                const current = actual[index] || '';
+                if (current === header) result.present++;
+                else if (!current) result.additions.push({ index, header });
+                else result.conflicts.push({ index, expected: header, actual: current });
+            });
+
+            return result;
+        }));
+
+        return { sheets };
+    }
+
+    /**
+     * @param {Object} plan - plan() 的結果
+     * @returns {Promise<Object>} { added, conflicts }
+     */
+    async apply(plan) {
+        let added = 0;
+        let conflicts = 0;
+        for (const sheet of plan.sheets) {
+            conflicts += sheet.conflicts.length;
+            if (sheet.additions.length === 0) continue;
+            await this.eventLogWriter.writeHeaderCells(sheet.type, sheet.additions);
+            added += sheet.additions.length;
+        }
+        return { added, conflicts };
+    }
+}
+
+module.exports = EventSheetHeaderMigrationService;
@@ -0,0 +1,422 @@
+/**
+ * services/event-template-service.js
+ * 事件範本服務 (事件類型的區塊與欄位)
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * * 事件類型與其專屬欄位改為資料：管理員新增事件類型 (例如 AI 視覺檢測) 不需新增工作表、資料表與程式。
+ * * - 內建範本：config.EVENT_TEMPLATES.BUILT_IN (general / iot / dt / dx)，欄位沿用既有的專屬欄 (column: true)。
+ * * - 設定：系統設定工作表，設定類型 = config.EVENT_TEMPLATES.CONFIG_TYPE，一列一個事件類型：
+ * *   [類型, 類型代碼, 顯示順序, 啟用狀態, 顯示名稱, 顏色, 圖示, 區塊 JSON { sections }, (空)]
+ * *   與內建類型同代碼的列視為覆寫；停用內建類型的覆寫即恢復預設範本 (內建類型本身不可停用)。
+ * * - 儲存：自訂類型寫入一般事件表 / 工作表 (事件類型欄)，非專屬欄的範本欄位值存於 details (JSON)。
+ * * - 驗證：prepareValues() 依範本檢查型別與選項 (middleware/validation.middleware.js 的 validateEventTemplate)。
+ * * - 選項：欄位可設 optionsFrom = 系統設定的設定類型，選項於讀取時由 SystemService.getSystemConfig() 取得。
+ * * - 讀值：getFieldValue() 依欄位的儲存位置讀出事件上的值，全域搜尋與事件匯出共用。
+ */
+
+const requestValidator = require('../utils/request-validator');
+const { createBusinessError } = require('../utils/business-error');
+
+const TYPE_PATTERN = /^[a-z][a-z0-9_]{1,19}$/;
+const KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,39}$/;
+const COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+const MAX_LABEL_LENGTH = 50;
+const MAX_OPTIONS = 50;
+
+// 保留的類型代碼：legacy (舊版總表) / summary (SQL 舊版總表)
+const RESERVED_TYPES = ['legacy', 'summary'];
+
+// 事件共用欄位與系統欄位，不可作為範本欄位代碼
+const RESERVED_KEYS = [
+    'id', 'rowIndex', 'eventId', 'eventName', 'eventType', 'opportunityId', 'companyId', 'creator',
+    'createdTime', 'lastModifiedTime', 'ourParticipants', 'clientParticipants', 'visitPlace',
+    'eventContent', 'clientQuestions', 'clientIntelligence', 'eventNotes', 'editCount', 'details',
+    'opportunityName', 'companyName', 'syncToCalendar'
+];
+
+// 內建專屬欄在 SQL Reader DTO 的鍵 (data/event-log-sql-reader.js _mapRowToDto)，供畫面讀值
+const COLUMN_ALIASES = {
+    iot_deviceScale: 'deviceScale',
+    iot_lineFeatures: 'lineFeatures',
+    iot_productionStatus: 'productionStatus',
+    iot_iotStatus: 'iotStatus',
+    iot_painPoints: 'painCategory',
+    iot_painPointDetails: 'painDescription',
+    iot_painPointAnalysis: 'painAnalysis',
+    iot_systemArchitecture: 'systemArchitecture',
+    dt_deviceScale: 'deviceScale',
+    dt_processingType: 'processingType',
+    dt_industry: 'industry'
+};
+
+class EventTemplateService {
+    /**
+     * @param {Object} deps
+     * @param {SystemReader} deps.systemReader
+     * @param {SystemWriter} deps.systemWriter
+     * @param {SystemService} deps.systemService - 解析 optionsFrom
+     * @param {Object} deps.config
+     */
+    constructor({ systemReader, systemWriter, systemService, config }) {
+        this.systemReader = systemReader;
+        this.systemWriter = systemWriter;
+        this.systemService = systemService;
+        this.settings = config.EVENT_TEMPLATES;
+    }
+
+    /**
+     * 範本設定的選項 (管理介面使用)
+     */
+    getMeta() {
+        return {
+            fieldTypes: this.settings.FIELD_TYPES,
+            builtIn: Object.keys(this.settings.BUILT_IN),
+            maxSections: this.settings.MAX_SECTIONS,
+            maxFields: this.settings.MAX_FIELDS
+        };
+    }
+
+    _parseRow(row, rowIndex) {
+        const [, type, order, enabled, label, color, icon, extra] = row;
+        let sections = [];
+        try {
+            const parsed = extra ? JSON.parse(extra) : {};
+            sections = Array.isArray(parsed.sections) ? parsed.sections : [];
+        } catch (error) {
+            console.warn(`[EventTemplateService] 第 ${rowIndex} 列的區塊不是有效的 JSON，已忽略: ${error.message}`);
+        }
+        return {
+            type,
+            label: label || type,
+            icon: icon || '',
+            color: color || '',
+            order: parseInt(order, 10) || 99,
+            enabled: enabled === 'TRUE',
+            sections,
+            rowIndex
+        };
+    }
+
+    /**
+     * 讀取全部範本設定列 (含停用)，rowIndex 僅供內部寫回使用
+     */
+    async _readOverrides() {
+        const rows = await this.systemReader.getSystemConfigRaw();
+        const overrides = new Map();
+        rows.forEach((row, index) => {
+            if (index === 0 || row[0] !== this.settings.CONFIG_TYPE || !row[1]) return;
+            overrides.set(row[1], this._parseRow(row, index + 1));
+        });
+        return overrides;
+    }
+
+    _builtInTemplate(type) {
+        const builtIn = this.settings.BUILT_IN[type];
+        return {
+            type,
+            label: builtIn.label,
+            icon: builtIn.icon,
+            color: builtIn.color,
+            order: builtIn.order,
+            enabled: true,
+            sections: JSON.parse(JSON.stringify(builtIn.sections))
+        };
+    }
+
+    _columnKeys(type) {
+        const builtIn = this.settings.BUILT_IN[type];
+        if (!builtIn) return new Set();
+        return new Set(builtIn.sections.flatMap(section => section.fields.map(f => f.key)));
+    }
+
+    /**
+     * 組合內建範本與設定列，並補上欄位的儲存位置與選項
+     */
+    async _compose(overrides) {
+        const systemConfig = await this.systemService.getSystemConfig();
+        const templates = [];
+
+        const decorate = (template, builtIn) => {
+            const columns = this._columnKeys(template.type);
+            template.builtIn = builtIn;
+            template.sections = template.sections.map(section => ({
+                title: section.title || '',
+                fields: (section.fields || []).map(field => {
+                    const result = { ...field, options: Array.isArray(field.options) ? field.options.map(String) : [] };
+                    if (field.optionsFrom) {
+                        result.options = (systemConfig[field.optionsFrom] || []).map(item => item.value);
+                    }
+                    result.column = columns.has(field.key);
+                    if (result.column && COLUMN_ALIASES[field.key]) result.alias = COLUMN_ALIASES[field.key];
+                    return result;
+                })
+            }));
+            return template;
+        };
+
+        Object.keys(this.settings.BUILT_IN).forEach(type => {
+            const override = overrides.get(type);
+            const template = override && override.enabled
+                ? { ...override, icon: override.icon || this.settings.BUILT_IN[type].icon, color: override.color || this.settings.BUILT_IN[type].color }
+                : this._builtInTemplate(type);
+            templates.push(decorate({ ...template, enabled: true, overridden: !!(override && override.enabled) }, true));
+        });
+
+        overrides.forEach((override, type) => {
+            if (this.settings.BUILT_IN[type]) return;
+            templates.push(decorate({ ...override, overridden: false }, false));
+        });
+
+        return templates
+            .map(({ rowIndex, ...rest }) => rest)
+            .sort((a, b) => a.order - b.order);
+    }
+
+    /**
+     * 取得全部範本
+     * @param {Object} [options]
+     * @param {boolean} [options.includeDisabled=false] - 含停用的自訂類型 (管理介面)
+     * @returns {Promise<Array<Object>>} [{ type, label, icon, color, order, enabled, builtIn, overridden, sections }]
+     */
+    async getTemplates({ includeDisabled = false } = {}) {
+        const templates = await this._compose(await this._readOverrides());
+        return includeDisabled ? templates : templates.filter(t => t.enabled);
+    }
+
+    /**
+     * 取得單一範本 (含停用)
+     * @returns {Promise<Object|null>}
+     */
+    async getTemplate(type) {
+        const templates = await this.getTemplates({ includeDisabled: true });
+        return templates.find(t => t.type === type) || null;
+    }
+
+    /**
+     * 事件上某個範本欄位的值：專屬欄讀原欄位 (SQL Reader 的 DTO 為 alias)，其餘讀 details
+     * @param {Object} event - 事件 DTO (Sheet 或 SQL)
+     * @param {Object} field - getTemplates() 回傳的欄位 (含 column / alias)
+     * @returns {*} 未填寫時為 null
+     */
+    getFieldValue(event, field) {
+        let value;
+        if (field.column) {
+            value = event[field.key] !== undefined ? event[field.key] : (field.alias ? event[field.alias] : undefined);
+        } else {
+            value = (event.details || {})[field.key];
+        }
+        return value === undefined || value === '' ? null : value;
+    }
+
+    _normalizeOptions(value) {
+        return [...new Set((Array.isArray(value) ? value : String(value || '').split(/[,，\n]/))
+            .map(o => String(o).trim())
+            .filter(Boolean))];
+    }
+
+    _normalizeField(input, seenKeys) {
+        const data = input || {};
+        const key = String(data.key || '').trim();
+        if (!KEY_PATTERN.test(key)) {
+            throw createBusinessError(`無法設定：欄位代碼「${key}」須以英文字母開頭，只能包含英數字與底線 (最多 40 字)`);
+        }
+        if (RESERVED_KEYS.includes(key)) throw createBusinessError(`無法設定：欄位代碼「${key}」為事件共用欄位，請改用其他代碼`);
+        if (seenKeys.has(key)) throw createBusinessError(`無法設定：欄位代碼「${key}」重複`);
+        seenKeys.add(key);
+
+        const label = String(data.label || '').trim();
+        if (!label) throw createBusinessError(`無法設定：欄位「${key}」的顯示名稱為必填`);
+        if (label.length > MAX_LABEL_LENGTH) throw createBusinessError(`無法設定：欄位「${key}」的顯示名稱不可超過 ${MAX_LABEL_LENGTH} 個字`);
+
+        const type = String(data.type || 'text').trim();
+        if (!this.settings.FIELD_TYPES[type]) {
+            throw createBusinessError(`無法設定：不支援的欄位型別 ${type} (可用：${Object.keys(this.settings.FIELD_TYPES).join(' / ')})`);
+        }
+
+        const field = { key, label, type };
+        const placeholder = String(data.placeholder || '').trim();
+        if (placeholder) field.placeholder = placeholder;
+
+        if (type === 'select' || type === 'multiselect') {
+            const optionsFrom = String(data.optionsFrom || '').trim();
+            if (optionsFrom) {
+                field.optionsFrom = optionsFrom;
+            } else {
+                field.options = this._normalizeOptions(data.options);
+                if (field.options.length === 0) throw createBusinessError(`無法設定：欄位「${label}」需要選項，或指定選項來源 (系統設定類型)`);
+                if (field.options.length > MAX_OPTIONS) throw createBusinessError(`無法設定：欄位「${label}」最多 ${MAX_OPTIONS} 個選項`);
+            }
+        }
+        return field;
+    }
+
+    _normalizeTemplate(input) {
+        const data = input || {};
+        const type = String(data.type || '').trim();
+        if (!TYPE_PATTERN.test(type)) {
+            throw createBusinessError('無法設定：類型代碼須以小寫英文字母開頭，只能包含小寫英數字與底線 (2 ~ 20 字)');
+        }
+        if (RESERVED_TYPES.includes(type)) throw createBusinessError(`無法設定：類型代碼 ${type} 為系統保留`);
+
+        const label = String(data.label || '').trim();
+        if (!label) throw createBusinessError('無法設定：顯示名稱為必填');
+        if (label.length > MAX_LABEL_LENGTH) throw createBusinessError(`無法設定：顯示名稱不可超過 ${MAX_LABEL_LENGTH} 個字`);
+
+        const color = String(data.color || '').trim();
+        if (color && !COLOR_PATTERN.test(color)) throw createBusinessError('無法設定：顏色須為 #RRGGBB 格式');
+
+        const sectionsInput = Array.isArray(data.sections) ? data.sections : [];
+        if (sectionsInput.length > this.settings.MAX_SECTIONS) {
+            throw createBusinessError(`無法設定：每個範本最多 ${this.settings.MAX_SECTIONS} 個區塊`);
+        }
+
+        const seenKeys = new Set();
+        const sections = sectionsInput.map((section, index) => {
+            const title = String((section && section.title) || '').trim();
+            if (!title) throw createBusinessError(`無法設定：第 ${index + 1} 個區塊的標題為必填`);
+            const fields = (Array.isArray(section.fields) ? section.fields : []).map(f => this._normalizeField(f, seenKeys));
+            return { title, fields };
+        });
+        if (seenKeys.size > this.settings.MAX_FIELDS) {
+            throw createBusinessError(`無法設定：每個範本最多 ${this.settings.MAX_FIELDS} 個欄位`);
+        }
+
+        const order = parseInt(data.order, 10);
+        return {
+            type,
+            label,
+            icon: String(data.icon || '').trim().slice(0, 4),
+            color,
+            order: Number.isFinite(order) ? order : 99,
+            enabled: data.enabled !== false && data.enabled !== 'false',
+            sections
+        };
+    }
+
+    _toRow(template) {
+        return [
+            this.settings.CONFIG_TYPE,
+            template.type,
+            template.order,
+            template.enabled ? 'TRUE' : 'FALSE',
+            template.label,
+            template.color,
+            template.icon,
+            JSON.stringify({ sections: template.sections }),
+            ''
+        ];
+    }
+
+    /**
+     * 新增或更新範本 (以類型代碼判斷；內建類型即寫入覆寫列)
+     * @param {Object} input - { type, label, icon, color, order, enabled, sections: [{ title, fields: [{ key, label, type, placeholder, options, optionsFrom }] }] }
+     * @param {string} actor
+     * @returns {Promise<Object>} 儲存後的範本
+     */
+    async saveTemplate(input, actor) {
+        const template = this._normalizeTemplate(input);
+        if (this.settings.BUILT_IN[template.type] && !template.enabled) {
+            throw createBusinessError(`無法設定：內建類型 ${template.type} 不可停用 (可刪除覆寫以恢復預設範本)`);
+        }
+
+        const overrides = await this._readOverrides();
+        const existing = overrides.get(template.type);
+
+        console.log(`🗂️ [EventTemplateService] ${existing ? '更新' : '新增'}事件範本 ${template.type} by ${actor}`);
+        await this.systemWriter.writeSystemConfigRow(existing ? existing.rowIndex : null, this._toRow(template));
+        return this.getTemplate(template.type);
+    }
+
+    /**
+     * 停用自訂類型 (既有事件保留，仍可查看與編輯)；內建類型為刪除覆寫，恢復預設範本
+     */
+    async disableTemplate(type, actor) {
+        const overrides = await this._readOverrides();
+        const existing = overrides.get(type);
+        if (!existing) {
+            throw createBusinessError(this.settings.BUILT_IN[type]
+                ? `無法設定：內建類型 ${type} 沒有覆寫設定，不可停用`
+                : `無法設定：找不到事件範本 ${type}`);
+        }
+
+        console.log(`🗂️ [EventTemplateService] 停用事件範本 ${type} by ${actor}`);
+        await this.systemWriter.writeSystemConfigRow(existing.rowIndex, this._toRow({ ...existing, enabled: false }));
+        return this.getTemplate(type);
+    }
+
+    _toRule(field) {
+        const rule = { label: field.label, type: 'string' };
+        switch (field.type) {
+            case 'textarea': return { ...rule, maxLength: 5000 };
+            case 'number': return { ...rule, type: 'number' };
+            case 'select': return { ...rule, maxLength: 200, enum: field.options };
+            case 'multiselect': return { ...rule, maxLength: 2000 };
+            default: return { ...rule, maxLength: 1000 };
+        }
+    }
+
+    _normalizeValue(field, value) {
+        if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) return null;
+        if (field.type === 'number') return typeof value === 'number' ? value : Number(String(value).replace(/,/g, '').trim());
+        if (field.type === 'multiselect') return this._splitMulti(value).join(', ');
+        return String(value).trim();
+    }
+
+    _splitMulti(value) {
+        return (Array.isArray(value) ? value : String(value).split(/[,，]/)).map(v => String(v).trim()).filter(Boolean);
+    }
+
+    /**
+     * 依範本檢查並正規化事件的專屬欄位 (middleware/validation.middleware.js 的 validateEventTemplate)
+     * - 專屬欄 (column) 的值留在原欄位；其餘範本欄位收進 details。空白值正規化為 null (清除)。
+     * - 欄位值可放在請求本體 (表單送出) 或 body.details；只處理有帶入的欄位。
+     * @param {string} type - 事件類型
+     * @param {Object} body - 請求內容
+     * @param {Object} [options]
+     * @param {boolean} [options.creating=false] - 建立事件：停用的類型不可使用
+     * @returns {Promise<{ columns: Object, details: Object, errors: Array<Object> }>}
+     */
+    async prepareValues(type, body, { creating = false } = {}) {
+        const template = await this.getTemplate(type);
+        if (!template || (creating && !template.enabled)) {
+            const message = template ? `事件類型 ${type} 已停用` : `事件類型 ${type} 不存在`;
+            return { columns: {}, details: {}, errors: [{ field: 'eventType', label: '事件類型', message }] };
+        }
+
+        const source = {
+            ...(body.details && typeof body.details === 'object' && !Array.isArray(body.details) ? body.details : {}),
+            ...body
+        };
+        const fields = template.sections.flatMap(section => section.fields);
+        const present = fields.filter(f => source[f.key] !== undefined);
+
+        const schema = { label: template.label, fields: {} };
+        const values = {};
+        present.forEach(f => {
+            schema.fields[f.key] = this._toRule(f);
+            values[f.key] = f.type === 'multiselect' && Array.isArray(source[f.key]) ? source[f.key].join(', ') : source[f.key];
+        });
+        const errors = requestValidator.validate(schema, values, { partial: true });
+
+        present.forEach(f => {
+            if (f.type !== 'multiselect' || f.options.length === 0 || errors.some(e => e.field === f.key)) return;
+            const invalid = this._splitMulti(values[f.key]).filter(v => !f.options.includes(v));
+            if (invalid.length > 0) {
+                errors.push({ field: f.key, label: f.label, message: `${f.label}的選項不正確：${invalid.join('、')}` });
+            }
+        });
+        if (errors.length > 0) return { columns: {}, details: {}, errors };
+
+        const columns = {};
+        const details = {};
+        present.forEach(f => {
+            const value = this._normalizeValue(f, values[f.key]);
+            if (f.column) columns[f.key] = value === null ? '' : value;
+            else details[f.key] = value;
+        });
+        return { columns, details, errors: [] };
+    }
+}
+
+module.exports = EventTemplateService;
@@ -0,0 +1,290 @@
+/**
+ * services/export-service.js
+ * 伺服器端資料匯出服務 (CSV / XLSX / JSON)
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * - 篩選條件與各列表 API 相同 (utils/list-query.js 語法：q / filter / sort)；
+ *   limit / cursor 由匯出自行分批 (config.EXPORT.PAGE_SIZE)，忽略呼叫端的值。
+ * - 機會 / 公司 / 聯絡人 / 互動紀錄沿用各 Service 的 query* 方法 (SQL Keyset 分頁) 逐批讀取，不一次載入全部資料。
+ * - 事件紀錄 (跨 5 張表) 與市場商品 (Sheet / SQL) 沒有可下推的資料表，讀取後以 listQuery.filterItems() 篩選。
+ * - 商品成本 / 價格僅管理員可匯出：非管理員由 ProductService 移除數值，欄位也不列出。
+ * - 機會 / 公司 / 聯絡人的自訂欄位接在固定欄位之後，只列出登入者角色可見且啟用的欄位 (CustomFieldService.getFields)。
+ * - 機會預設排除已封存 (與列表相同)，需要時以 filter[currentStatus]=已封存 明確指定。
+ * - 事件紀錄的類型專屬欄位依事件範本 (EventTemplateService) 產生，每個類型的欄位一欄 (template.<類型>.<欄位代碼>)；
+ *   以 filter[eventType]=類型 匯出時只列出該類型的欄位。
+ */
+
+const listQuery = require('../utils/list-query');
+const { LIST_SPECS } = require('../data/list-specs');
+const { createBusinessError } = require('../utils/business-error');
+
+const FORMATS = ['csv', 'xlsx', 'json'];
+
+/**
+ * 實體定義
+ * - spec：data/list-specs.js 的鍵
+ * - columns：[key, label, adminOnly]，順序即輸出欄位順序
+ * - query：分頁讀取 (Service 的 query* 方法)；load：一次讀取全部後於記憶體篩選
+ * - customFields：自訂欄位的實體 (services/custom-field-service.js)
+ * - templateFields：接上事件範本欄位 (services/event-template-service.js)
+ */
+function buildExportEntities(config) {
+    const OPP = config.OPPORTUNITY_FIELD_NAMES;
+    const [COMPANY_ID, COMPANY_NAME, COMPANY_PHONE, ADDRESS, COMPANY_CREATED, COMPANY_UPDATED, COUNTY,
+        COMPANY_CREATOR, COMPANY_MODIFIER, INTRODUCTION, COMPANY_TYPE, CUSTOMER_STAGE, RATING] = config.COMPANY_LIST_FIELDS;
+    const [CONTACT_ID, SOURCE_ID, NAME, , DEPARTMENT, JOB_TITLE, MOBILE, PHONE, EMAIL,
+        CONTACT_CREATED, CONTACT_UPDATED, CONTACT_CREATOR, CONTACT_MODIFIER] = config.CONTACT_LIST_FIELDS;
+    const [INTERACTION_ID, INTERACTION_OPP_ID, INTERACTION_TIME, INTERACTION_TYPE, EVENT_TITLE, SUMMARY,
+        PARTICIPANTS, NEXT_ACTION, ATTACHMENT, CALENDAR_ID, RECORDER, INTERACTION_CREATED, INTERACTION_COMPANY_ID] = config.INTERACTION_FIELDS;
+    const [EVENT_ID, EVENT_NAME, EVENT_OPP_ID, EVENT_COMPANY_ID, EVENT_CREATOR, EVENT_CREATED, EVENT_MODIFIED,
+        OUR_PARTICIPANTS, CLIENT_PARTICIPANTS, VISIT_PLACE, EVENT_CONTENT, CLIENT_QUESTIONS, CLIENT_INTELLIGENCE,
+        EVENT_NOTES, EDIT_COUNT] = config.EVENT_LOG_COMMON_FIELDS;
+
+    return {
+        opportunity: {
+            fileName: 'opportunities',
+            sheetName: '機會案件',
+            spec: 'opportunity',
+            columns: [
+                ['opportunityId', OPP.ID], ['opportunityName', OPP.NAME], ['customerCompany', OPP.CUSTOMER],
+                ['companyId', COMPANY_ID], ['salesModel', OPP.SALES_MODEL], ['salesChannel', OPP.CHANNEL],
+                ['channelContact', OPP.CHANNEL_CONTACT], ['mainContact', OPP.CONTACT], ['owner', OPP.ASSIGNEE],
+                ['opportunityType', OPP.TYPE], ['source', OPP.SOURCE], ['currentStage', OPP.STAGE],
+                ['currentStatus', OPP.STATUS], ['expectedCloseDate', OPP.CLOSE_DATE], ['winProbability', OPP.PROBABILITY],
+                ['opportunityValue', OPP.VALUE], ['valueCalcMode', OPP.VALUE_TYPE], ['productDetails', OPP.PRODUCT_SPEC],
+                ['equipmentScale', OPP.DEVICE_SCALE], ['notes', OPP.NOTES], ['parentOpportunityId', OPP.PARENT_ID],
+                ['createdTime', OPP.CREATED_TIME], ['updatedTime', OPP.LAST_UPDATE_TIME], ['updatedBy', OPP.LAST_MODIFIER]
+            ],
+            customFields: 'opportunity',
+            query: (services, parsed) => services.opportunityService.queryOpportunities(parsed)
+        },
+        company: {
+            fileName: 'companies',
+            sheetName: '公司',
+            spec: 'company',
+            columns: [
+                ['companyId', COMPANY_ID], ['companyName', COMPANY_NAME], ['phone', COMPANY_PHONE], ['address', ADDRESS],
+                ['county', COUNTY], ['companyType', COMPANY_TYPE], ['customerStage', CUSTOMER_STAGE],
+                ['engagementRating', RATING], ['introduction', INTRODUCTION], ['lastActivity', '最後活動時間'],
+                ['createdTime', COMPANY_CREATED], ['lastUpdateTime', COMPANY_UPDATED],
+                ['creator', COMPANY_CREATOR], ['lastModifier', COMPANY_MODIFIER]
+            ],
+            customFields: 'company',
+            query: (services, parsed) => services.companyService.queryCompanies(parsed)
+        },
+        contact: {
+            fileName: 'contacts',
+            sheetName: '聯絡人',
+            spec: 'contact',
+            columns: [
+                ['contactId', CONTACT_ID], ['name', NAME], ['companyId', COMPANY_ID], ['companyName', COMPANY_NAME],
+                ['department', DEPARTMENT], ['jobTitle', JOB_TITLE], ['mobile', MOBILE], ['phone', PHONE],
+                ['email', EMAIL], ['sourceId', SOURCE_ID], ['createdTime', CONTACT_CREATED], ['updatedTime', CONTACT_UPDATED],
+                ['createdBy', CONTACT_CREATOR], ['updatedBy', CONTACT_MODIFIER]
+            ],
+            customFields: 'contact',
+            query: (services, parsed) => services.contactService.queryOfficialContacts(parsed)
+        },
+        interaction: {
+            fileName: 'interactions',
+            sheetName: '互動紀錄',
+            spec: 'interaction',
+            columns: [
+                ['interactionId', INTERACTION_ID], ['interactionTime', INTERACTION_TIME], ['interactionType', INTERACTION_TYPE],
+                ['eventTitle', EVENT_TITLE], ['contentSummary', SUMMARY], ['participants', PARTICIPANTS],
+                ['nextAction', NEXT_ACTION], ['opportunityId', INTERACTION_OPP_ID], ['companyId', INTERACTION_COMPANY_ID],
+                ['opportunityName', '機會 / 公司名稱'], ['attachmentLink', ATTACHMENT], ['calendarEventId', CALENDAR_ID],
+                ['recorder', RECORDER], ['createdTime', INTERACTION_CREATED]
+            ],
+            query: (services, parsed) => services.interactionService.queryInteractions(parsed)
+        },
+        eventLog: {
+            fileName: 'event-logs',
+            sheetName: '事件紀錄',
+            spec: 'eventLog',
+            columns: [
+                ['eventId', EVENT_ID], ['eventType', '事件類型'], ['eventName', EVENT_NAME],
+                ['opportunityId', EVENT_OPP_ID], ['opportunityName', OPP.NAME], ['companyId', EVENT_COMPANY_ID],
+                ['companyName', COMPANY_NAME], ['visitPlace', VISIT_PLACE], ['ourParticipants', OUR_PARTICIPANTS],
+                ['clientParticipants', CLIENT_PARTICIPANTS], ['eventContent', EVENT_CONTENT],
+                ['clientQuestions', CLIENT_QUESTIONS], ['clientIntelligence', CLIENT_INTELLIGENCE], ['eventNotes', EVENT_NOTES],
+                ['creator', EVENT_CREATOR], ['createdTime', EVENT_CREATED], ['lastModifiedTime', EVENT_MODIFIED],
+                ['editCount', EDIT_COUNT]
+            ],
+            templateFields: true,
+            load: (services) => services.eventLogService.getAllEvents()
+        },
+        product: {
+            fileName: 'products',
+            sheetName: '市場商品',
+            spec: 'product',
+            columns: [
+                ['id', '商品ID'], ['name', '商品'], ['category', '商品種類'], ['group', '群組'], ['combination', '商品組合'],
+                ['unit', '單位'], ['spec', '規格'],
+                ['cost', '成本', true], ['priceMtb', 'MTB價格', true], ['priceSi', 'SI價格', true], ['priceMtu', 'MTU售價', true],
+                ['supplier', '供應商'], ['series', '系列'], ['interface', '介面'], ['property', '性質'], ['aspect', '面向'],
+                ['description', '說明資料'], ['status', '狀態'], ['creator', '建立者'], ['createTime', '資料建立日期'],
+                ['lastModifier', '最後修改者'], ['lastUpdateTime', '最後修改日期']
+            ],
+            load: (services, user) => services.productService.getAllProducts({}, { includeConfidential: user.role === 'admin' })
+        }
+    };
+}
+
+class ExportService {
+    /**
+     * @param {Object} deps
+     * @param {OpportunityService} deps.opportunityService
+     * @param {CompanyService} deps.companyService
+     * @param {ContactService} deps.contactService
+     * @param {InteractionService} deps.interactionService
+     * @param {EventLogService} deps.eventLogService
+     * @param {ProductService} deps.productService
+     * @param {CustomFieldService} [deps.customFieldService] - 自訂欄位欄位 (未注入時不匯出自訂欄位)
+     * @param {Object} deps.config
+     */
+    constructor({ opportunityService, companyService, contactService, interactionService, eventLogService, productService, customFieldService, eventTemplateService, config }) {
+        this.opportunityService = opportunityService;
+        this.companyService = companyService;
+        this.contactService = contactService;
+        this.interactionService = interactionService;
+        this.eventLogService = eventLogService;
+        this.productService = productService;
+        this.customFieldService = customFieldService || null;
+        this.eventTemplateService = eventTemplateService || null;
+        this.config = config;
+        this.entities = buildExportEntities(config);
+    }
+
+    /**
+     * 驗證參數並讀取第一批資料；錯誤會在開始輸出前拋出，Controller 仍可回應 JSON 錯誤
+     * @param {string} entity - opportunity / company / contact / interaction / eventLog / product
+     * @param {string} format - csv / xlsx / json
+     * @param {Object} query - req.query (列表查詢語法)
+     * @param {Object} user - req.user
+     * @returns {Promise<Object>} { format, fileName, sheetName, columns: [{ key, label }], batches: AsyncGenerator<Array<Object>> }
+     * @throws {Error} code = BUSINESS_ERROR (參數錯誤，訊息以「無法匯出：」開頭)
+     */
+    async prepare(entity, format, query, user) {
+        const definition = this.entities[entity];
+        if (!definition) {
+            throw createBusinessError(`無法匯出：不支援的資料類型 "${entity}"，可用：${Object.keys(this.entities).join(', ')}`);
+        }
+        const normalizedFormat = String(format || 'csv').toLowerCase();
+        if (!FORMATS.includes(normalizedFormat)) {
+            throw createBusinessError(`無法匯出：不支援的格式 "${format}"，可用：${FORMATS.join(', ')}`);
+        }
+
+        const spec = LIST_SPECS[definition.spec];
+        const pageSize = this.config.EXPORT.PAGE_SIZE;
+        let parsed;
+        try {
+            parsed = listQuery.parse({ ...query, limit: undefined, cursor: undefined }, spec, {
+                defaultLimit: pageSize,
+                maxLimit: pageSize
+            });
+        } catch (error) {
+            if (listQuery.isListQueryError(error)) throw createBusinessError(`無法匯出：${error.message}`);
+            throw error;
+        }
+
+        const isAdmin = !!user && user.role === 'admin';
+        const columns = definition.columns
+            .filter(([, , adminOnly]) => !adminOnly || isAdmin)
+            .map(([key, label]) => ({ key, label }));
+
+        const customFields = definition.customFields && this.customFieldService
+            ? await this.customFieldService.getFields(definition.customFields, { role: user ? user.role : undefined })
+            : [];
+        customFields.forEach(field => columns.push({ key: `customFields.${field.key}`, label: field.label }));
+
+        const templateColumns = definition.templateFields ? await this._getTemplateColumns(parsed) : [];
+        templateColumns.forEach(({ key, label }) => columns.push({ key, label }));
+
+        const iterator = this._batches(definition, parsed, user || {}, customFields, templateColumns);
+        const first = await iterator.next();
+        async function* batches() {
+            if (first.done) return;
+            yield first.value;
+            yield* iterator;
+        }
+
+        const date = new Date().toLocaleDateString('sv-SE', { timeZone: this.config.TIMEZONE }).replace(/-/g, '');
+        return {
+            format: normalizedFormat,
+            fileName: `${definition.fileName}-${date}.${normalizedFormat}`,
+            sheetName: definition.sheetName,
+            columns,
+            batches: batches()
+        };
+    }
+
+    /**
+     * 逐批讀取 (每批最多 PAGE_SIZE 筆)
+     */
+    async* _batches(definition, parsed, user, customFields, templateColumns) {
+        if (definition.query) {
+            let current = parsed;
+            while (true) {
+                const page = await definition.query(this, current);
+                if (page.items.length > 0) yield this._withCustomFields(page.items, customFields);
+                if (!page.hasMore || !page.nextCursor) return;
+                current = { ...parsed, cursor: listQuery.decodeCursor(page.nextCursor) };
+            }
+        }
+
+        const items = listQuery.filterItems(await definition.load(this, user), parsed, LIST_SPECS[definition.spec]);
+        for (let i = 0; i < items.length; i += parsed.limit) {
+            yield this._withTemplateFields(items.slice(i, i + parsed.limit), templateColumns);
+        }
+    }
+
+    /**
+     * 事件範本欄位的匯出欄 (含停用的類型，既有事件仍有值)；指定 filter[eventType] 等於某類型時只列該類型
+     * @returns {Promise<Array<Object>>} [{ key, label, type, field }]
+     */
+    async _getTemplateColumns(parsed) {
+        if (!this.eventTemplateService) return [];
+        const typeFilter = parsed.filters.find(f => f.field === 'eventType' && f.op === 'eq');
+
+        const templates = await this.eventTemplateService.getTemplates({ includeDisabled: true });
+        return templates
+            .filter(t => !typeFilter || t.type === typeFilter.value)
+            .flatMap(t => t.sections.flatMap(section => section.fields).map(field => ({
+                key: `template.${t.type}.${field.key}`,
+                label: `${t.label}：${field.label}`,
+                type: t.type,
+                field
+            })));
+    }
+
+    /**
+     * 範本欄位值攤平為 template.<類型>.<欄位代碼> 欄 (只填入事件本身類型的欄位)
+     */
+    _withTemplateFields(items, templateColumns) {
+        if (templateColumns.length === 0) return items;
+        return items.map(item => {
+            const row = { ...item };
+            templateColumns.forEach(({ key, type, field }) => {
+                row[key] = item.eventType === type ? this.eventTemplateService.getFieldValue(item, field) : null;
+            });
+            return row;
+        });
+    }
+
+    /**
+     * 自訂欄位值攤平為 customFields.<欄位代碼> 欄 (只含 prepare() 列出的可見欄位)
+     */
+    _withCustomFields(items, customFields) {
+        if (customFields.length === 0) return items;
+        return items.map(item => {
+            const values = item.customFields || {};
+            const row = { ...item };
+            customFields.forEach(field => { row[`customFields.${field.key}`] = values[field.key]; });
+            return row;
+        });
+    }
+}
+
+module.exports = ExportService;
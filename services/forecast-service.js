@@ -0,0 +1,238 @@
+/**
+ * services/forecast-service.js
+ * 營收預測服務 (進行中機會的加權 Pipeline)
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * * SalesAnalysisService 只回顧已受注的案件；這裡往前看：尚未成交的機會依預計結案月份分組，
+ * * 計算機會價值合計 (raw) 與乘上下單機率後的加權金額 (weighted)，並依負責業務 / 銷售模式 / 機會種類拆分。
+ * * - 範圍：未刪除、目前階段不是 config.FORECAST.WON_STAGE、目前狀態為進行中 (或未填) 的機會。
+ * * - 分組：預計結案日早於今天 → 逾期 (overdue)；自本月起 N 個月內 → 該月份；之後 → 更晚 (later)；未填或無法解析 → 未排定 (unscheduled)。
+ * * - 權重：下單機率選項的「值2」(百分比) > config.FORECAST.PROBABILITY_WEIGHTS > 數字解析 (70、70%、0.7)；都不符合時權重為 0 並計入 missingProbability。
+ * * - 資料來源為 OpportunitySqlReader (與機會列表相同)。
+ */
+
+const { createBusinessError } = require('../utils/business-error');
+
+const BUCKET_OVERDUE = 'overdue';
+const BUCKET_LATER = 'later';
+const BUCKET_UNSCHEDULED = 'unscheduled';
+const UNASSIGNED = '未指定';
+const DIMENSIONS = {
+    assignee: 'owner',
+    salesModel: 'salesModel',
+    opportunityType: 'opportunityType'
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+const round = (n) => Math.round(n * 100) / 100;
+const emptyTotals = () => ({ count: 0, raw: 0, weighted: 0 });
+
+class ForecastService {
+    /**
+     * @param {Object} deps
+     * @param {OpportunitySqlReader} deps.opportunitySqlReader
+     * @param {SystemService} deps.systemService - 下單機率選項 (值2 = 權重百分比)
+     * @param {Object} deps.config
+     */
+    constructor({ opportunitySqlReader, systemService, config }) {
+        this.opportunitySqlReader = opportunitySqlReader;
+        this.systemService = systemService;
+        this.settings = config.FORECAST;
+        this.closedStatuses = [
+            config.CONSTANTS.OPPORTUNITY_STATUS.COMPLETED,
+            config.CONSTANTS.OPPORTUNITY_STATUS.CANCELLED,
+            config.CONSTANTS.OPPORTUNITY_STATUS.ARCHIVED
+        ];
+    }
+
+    /**
+     * 預測資料
+     * @param {Object} [options]
+     * @param {number|string} [options.months] - 自本月起的月份數 (預設 config.FORECAST.DEFAULT_MONTHS)
+     * @returns {Promise<Object>} { asOf, months, probabilityWeights, totals, buckets, byMonth, dimensions, overdue, missingProbability }
+     */
+    async getForecast({ months } = {}) {
+        const today = new Date();
+        const monthKeys = this._monthRange(months, today);
+        const asOf = toDateKey(today);
+
+        const [opportunities, systemConfig] = await Promise.all([
+            this.opportunitySqlReader.getOpportunities(),
+            this.systemService.getSystemConfig()
+        ]);
+        const weights = this._probabilityWeights(systemConfig['下單機率'] || []);
+
+        const bucketKeys = [BUCKET_OVERDUE, ...monthKeys, BUCKET_LATER, BUCKET_UNSCHEDULED];
+        const totals = emptyTotals();
+        const buckets = {};
+        bucketKeys.forEach(key => { buckets[key] = emptyTotals(); });
+        const dimensions = {};
+        Object.keys(DIMENSIONS).forEach(dim => { dimensions[dim] = new Map(); });
+        const overdue = [];
+        let missingProbability = 0;
+
+        opportunities.filter(opp => this._isOpen(opp)).forEach(opp => {
+            const raw = this._parseValue(opp.opportunityValue);
+            const weight = this._weightOf(opp.winProbability, weights);
+            if (weight === null) missingProbability++;
+            const weighted = raw * (weight || 0);
+
+            const closeDate = this._parseDate(opp.expectedCloseDate);
+            const bucket = this._bucketOf(closeDate, asOf, monthKeys);
+
+            [totals, buckets[bucket]].forEach(t => this._add(t, raw, weighted));
+            Object.entries(DIMENSIONS).forEach(([dim, field]) => {
+                const key = (opp[field] || '').toString().trim() || UNASSIGNED;
+                if (!dimensions[dim].has(key)) {
+                    const row = { key, ...emptyTotals(), buckets: {} };
+                    bucketKeys.forEach(b => { row.buckets[b] = emptyTotals(); });
+                    dimensions[dim].set(key, row);
+                }
+                const row = dimensions[dim].get(key);
+                [row, row.buckets[bucket]].forEach(t => this._add(t, raw, weighted));
+            });
+
+            if (bucket === BUCKET_OVERDUE) {
+                overdue.push({
+                    opportunityId: opp.opportunityId,
+                    opportunityName: opp.opportunityName,
+                    customerCompany: opp.customerCompany,
+                    owner: opp.owner,
+                    currentStage: opp.currentStage,
+                    expectedCloseDate: closeDate,
+                    daysOverdue: Math.round((new Date(asOf) - new Date(closeDate)) / 86400000),
+                    raw,
+                    weighted: round(weighted)
+                });
+            }
+        });
+
+        overdue.sort((a, b) => b.daysOverdue - a.daysOverdue || b.raw - a.raw);
+
+        const finish = (t) => ({ ...t, raw: round(t.raw), weighted: round(t.weighted) });
+        const finishedBuckets = {};
+        bucketKeys.forEach(key => { finishedBuckets[key] = finish(buckets[key]); });
+
+        const finishedDimensions = {};
+        Object.entries(dimensions).forEach(([dim, map]) => {
+            finishedDimensions[dim] = Array.from(map.values())
+                .map(row => {
+                    const rowBuckets = {};
+                    bucketKeys.forEach(key => { rowBuckets[key] = finish(row.buckets[key]); });
+                    return { ...finish(row), buckets: rowBuckets };
+                })
+                .sort((a, b) => b.weighted - a.weighted || b.raw - a.raw);
+        });
+
+        return {
+            asOf,
+            months: monthKeys,
+            probabilityWeights: weights,
+            totals: finish(totals),
+            buckets: finishedBuckets,
+            byMonth: monthKeys.map(month => ({ month, ...finishedBuckets[month] })),
+            dimensions: finishedDimensions,
+            overdue: {
+                ...finishedBuckets[BUCKET_OVERDUE],
+                items: overdue.slice(0, this.settings.OVERDUE_LIST_LIMIT)
+            },
+            missingProbability
+        };
+    }
+
+    _isOpen(opp) {
+        if (opp.currentStage === this.settings.WON_STAGE) return false;
+        return !this.closedStatuses.includes(opp.currentStatus);
+    }
+
+    _add(target, raw, weighted) {
+        target.count++;
+        target.raw += raw;
+        target.weighted += weighted;
+    }
+
+    /**
+     * 自本月起的月份清單 (YYYY-MM)
+     */
+    _monthRange(months, today) {
+        const count = months === undefined || months === '' ? this.settings.DEFAULT_MONTHS : Number(months);
+        if (!Number.isInteger(count) || count < 1 || count > this.settings.MAX_MONTHS) {
+            throw createBusinessError(`無法讀取：月份數需為 1 ~ ${this.settings.MAX_MONTHS} 的整數`);
+        }
+
+        let year = today.getFullYear();
+        let month = today.getMonth() + 1;
+        const keys = [];
+        for (let i = 0; i < count; i++) {
+            keys.push(`${year}-${pad(month)}`);
+            month++;
+            if (month > 12) { month = 1; year++; }
+        }
+        return keys;
+    }
+
+    _bucketOf(closeDate, asOf, monthKeys) {
+        if (!closeDate) return BUCKET_UNSCHEDULED;
+        if (closeDate < asOf) return BUCKET_OVERDUE;
+        const month = closeDate.slice(0, 7);
+        return monthKeys.includes(month) ? month : BUCKET_LATER;
+    }
+
+    /**
+     * 預計結案日 -> YYYY-MM-DD (當地日期)；純日期字串直接取年月日，避免時區位移
+     */
+    _parseDate(value) {
+        if (!value) return null;
+        const text = String(value).trim();
+        const match = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:$|[T\s])/.exec(text);
+        if (match) return `${match[1]}-${pad(match[2])}-${pad(match[3])}`;
+        const date = new Date(text);
+        return isNaN(date.getTime()) ? null : toDateKey(date);
+    }
+
+    _parseValue(value) {
+        if (value === undefined || value === null || value === '') return 0;
+        const number = parseFloat(String(value).replace(/,/g, ''));
+        return Number.isFinite(number) && number > 0 ? number : 0;
+    }
+
+    /**
+     * 下單機率選項 -> 權重 (0 ~ 1)：值2 的百分比優先，其次為預設權重
+     */
+    _probabilityWeights(options) {
+        const weights = {};
+        Object.entries(this.settings.PROBABILITY_WEIGHTS).forEach(([label, weight]) => { weights[label] = weight; });
+        options.forEach(item => {
+            const fromConfig = this._parseRatio(item.value2);
+            if (fromConfig !== null) weights[item.value] = fromConfig;
+        });
+        return weights;
+    }
+
+    /**
+     * @returns {number|null} 無法判斷時為 null
+     */
+    _weightOf(probability, weights) {
+        if (probability === undefined || probability === null) return null;
+        const text = String(probability).trim();
+        if (text === '') return null;
+        if (Object.prototype.hasOwnProperty.call(weights, text)) return weights[text];
+        return this._parseRatio(text);
+    }
+
+    /**
+     * 70 / 70% / 0.7 -> 0.7；超出 0 ~ 100% 或非數字為 null
+     */
+    _parseRatio(value) {
+        if (value === undefined || value === null) return null;
+        const text = String(value).trim();
+        if (!/^\d+(\.\d+)?%?$/.test(text)) return null;
+        const number = parseFloat(text);
+        const ratio = text.endsWith('%') || number > 1 ? number / 100 : number;
+        return ratio >= 0 && ratio <= 1 ? ratio : null;
+    }
+}
+
+module.exports = ForecastService;
@@ -0,0 +1,447 @@
+/**
+ * services/import-service.js
+ * 批次匯入服務 (公司 / 聯絡人 / 機會，CSV 或 XLSX)
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * - preview()：解析檔案 -> 欄位對應 (未指定時依標題自動對應) -> 逐列驗證並判定
+ *   create (新增) / update (更新既有資料) / unchanged (與既有資料相同) / duplicate (檔案內重複) / error。
+ * - 下拉欄位 (銷售模式、機會種類、公司類型…) 依系統設定驗證，可填選項值或顯示名稱；該類設定為空時不驗證。
+ * - 既有資料比對：有 ID 欄時以 ID 定位；否則公司以完整名稱、聯絡人以「姓名 + 公司」、機會以「機會名稱 + 終端客戶」比對。
+ * - 更新時空白儲存格不覆蓋既有值。
+ * - commit()：不保存預覽狀態，以相同檔案與對應重新產生預覽後，經由既有 Service 逐列寫入 (稽核、快取清除與單筆操作相同)；
+ *   error / duplicate / unchanged 列一律略過。
+ * - 聯絡人的公司以公司總表解析 (公司ID 或完整公司名稱)，公司不存在時列為錯誤，請先匯入公司。
+ * - 機會的新增 / 更新列與單筆操作相同需符合階段關卡 (StageGateService)，不符時該列列為失敗。
+ */
+
+const companyLink = require('../utils/company-link');
+const tabularFile = require('../utils/tabular-file');
+const { createBusinessError } = require('../utils/business-error');
+
+const ACTIONS = { CREATE: 'create', UPDATE: 'update', UNCHANGED: 'unchanged', DUPLICATE: 'duplicate', ERROR: 'error' };
+
+const MAX_ROWS = 5000;
+
+/**
+ * 各實體可匯入的欄位
+ * - label：對應的欄位名稱 (config 的 *_FIELDS / OPPORTUNITY_FIELD_NAMES)
+ * - key：寫入 DTO 欄位；current：既有資料 DTO 欄位 (比對是否變更)
+ * - options：系統設定類別；type：date / number 正規化
+ * - identity：僅用於定位既有資料，不寫入
+ */
+function buildEntitySpecs(config) {
+    const [COMPANY_ID, COMPANY_NAME, COMPANY_PHONE, ADDRESS, , , COUNTY, , , INTRODUCTION, COMPANY_TYPE, CUSTOMER_STAGE, RATING] = config.COMPANY_LIST_FIELDS;
+    const [CONTACT_ID, , NAME, CONTACT_COMPANY_ID, DEPARTMENT, JOB_TITLE, MOBILE, PHONE, EMAIL] = config.CONTACT_LIST_FIELDS;
+    const O = config.OPPORTUNITY_FIELD_NAMES;
+
+    return {
+        company: {
+            label: '公司',
+            fields: [
+                { label: COMPANY_ID, key: 'companyId', identity: true },
+                { label: COMPANY_NAME, key: 'companyName', required: true },
+                { label: COMPANY_PHONE, key: 'phone' },
+                { label: ADDRESS, key: 'address' },
+                { label: COUNTY, key: 'county', current: 'city' },
+                { label: INTRODUCTION, key: 'introduction', current: 'description' },
+                { label: COMPANY_TYPE, key: 'companyType', options: '公司類型' },
+                { label: CUSTOMER_STAGE, key: 'customerStage', options: '客戶階段' },
+                { label: RATING, key: 'engagementRating', current: 'interactionRating', options: '互動評級' }
+            ]
+        },
+        contact: {
+            label: '聯絡人',
+            fields: [
+                { label: CONTACT_ID, key: 'contactId', identity: true },
+                { label: NAME, key: 'name', required: true },
+                { label: CONTACT_COMPANY_ID, key: 'companyId' },
+                { label: COMPANY_NAME, key: 'companyName', identity: true },
+                { label: DEPARTMENT, key: 'department' },
+                { label: JOB_TITLE, key: 'jobTitle' },
+                { label: MOBILE, key: 'mobile' },
+                { label: PHONE, key: 'phone' },
+                { label: EMAIL, key: 'email' }
+            ]
+        },
+        opportunity: {
+            label: '機會',
+            fields: [
+                { label: O.ID, key: 'opportunityId', identity: true },
+                { label: O.NAME, key: 'opportunityName', required: true },
+                { label: O.CUSTOMER, key: 'customerCompany' },
+                { label: O.SALES_MODEL, key: 'salesModel', options: '銷售模式' },
+                { label: O.CHANNEL, key: 'salesChannel' },
+                { label: O.CHANNEL_CONTACT, key: 'channelContact' },
+                { label: O.CONTACT, key: 'mainContact' },
+                { label: O.ASSIGNEE, key: 'assignee', current: 'owner', options: '團隊成員' },
+                { label: O.TYPE, key: 'opportunityType', options: '機會種類' },
+                { label: O.SOURCE, key: 'opportunitySource', current: 'source', options: '機會來源' },
+                { label: O.STAGE, key: 'currentStage', options: '機會階段' },
+                { label: O.CLOSE_DATE, key: 'expectedCloseDate', type: 'date' },
+                { label: O.PROBABILITY, key: 'orderProbability', current: 'winProbability', options: '下單機率' },
+                { label: O.VALUE, key: 'opportunityValue', type: 'number' },
+                { label: O.PRODUCT_SPEC, key: 'potentialSpecification', current: 'productDetails' },
+                { label: O.DEVICE_SCALE, key: 'deviceScale', current: 'equipmentScale' },
+                { label: O.NOTES, key: 'notes' }
+            ]
+        }
+    };
+}
+
+const normalizeHeader = (value) => String(value || '').replace(/\s+/g, '').toLowerCase();
+
+function normalizeDate(value) {
+    if (/^\d{5}(\.\d+)?$/.test(value)) return tabularFile.serialToDate(Number(value));
+    const match = value.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+    if (!match) return null;
+    const [, y, m, d] = match;
+    const date = new Date(Date.UTC(Number(y), Number(m) - 1, Number(d)));
+    if (date.getUTCMonth() !== Number(m) - 1 || date.getUTCDate() !== Number(d)) return null;
+    return date.toISOString().slice(0, 10);
+}
+
+function normalizeNumber(value) {
+    const cleaned = value.replace(/^(NT\$|\$)/i, '').replace(/,/g, '').trim();
+    return cleaned !== '' && !isNaN(Number(cleaned)) ? String(Number(cleaned)) : null;
+}
+
+class ImportService {
+    /**
+     * @param {Object} dependencies
+     * @param {CompanyService} dependencies.companyService
+     * @param {ContactService} dependencies.contactService
+     * @param {OpportunityService} dependencies.opportunityService
+     * @param {SystemService} dependencies.systemService - 下拉選項 (系統設定)
+     * @param {CompanySqlReader} dependencies.companySqlReader
+     * @param {OpportunitySqlReader} dependencies.opportunitySqlReader
+     * @param {Object} dependencies.config
+     */
+    constructor({ companyService, contactService, opportunityService, systemService, companySqlReader, opportunitySqlReader, config }) {
+        this.companyService = companyService;
+        this.contactService = contactService;
+        this.opportunityService = opportunityService;
+        this.systemService = systemService;
+        this.companySqlReader = companySqlReader;
+        this.opportunitySqlReader = opportunitySqlReader;
+        this.specs = buildEntitySpecs(config);
+    }
+
+    _getSpec(entity) {
+        const spec = this.specs[entity];
+        if (!spec) throw createBusinessError(`無法匯入：不支援的匯入類型 ${entity} (可用：${Object.keys(this.specs).join(' / ')})`);
+        return spec;
+    }
+
+    /**
+     * 可對應的欄位 (供前端對應下拉)
+     * @param {string} entity - company / contact / opportunity
+     * @returns {Array<Object>} [{ label, required, options, type, identity }]
+     */
+    getFields(entity) {
+        return this._getSpec(entity).fields.map(({ label, required, options, type, identity }) => ({
+            label, required: !!required, options: options || null, type: type || null, identity: !!identity
+        }));
+    }
+
+    _parseFile(file) {
+        if (!file || !file.content) throw createBusinessError('無法匯入：請上傳 CSV 或 XLSX 檔案');
+        let parsed;
+        try {
+            // 標題列 + MAX_ROWS 列以內；超過即停止解析，不等整份檔案讀完
+            parsed = tabularFile.parse(Buffer.from(file.content, 'base64'), file.name, { maxRows: MAX_ROWS + 1 });
+        } catch (error) {
+            if (error.code === tabularFile.TOO_MANY_ROWS) throw createBusinessError(`無法匯入：單次最多 ${MAX_ROWS} 列，請分批匯入`);
+            throw createBusinessError(`無法匯入：${error.message}`);
+        }
+        if (parsed.headers.length === 0) throw createBusinessError('無法匯入：檔案沒有資料');
+        if (parsed.rows.length > MAX_ROWS) throw createBusinessError(`無法匯入：單次最多 ${MAX_ROWS} 列，請分批匯入`);
+        return parsed;
+    }
+
+    /**
+     * 欄位對應：{ 檔案標題: 系統欄位 }；未提供時以標題與欄位名稱相同者自動對應
+     * @returns {Map<number, Object>} 欄位索引 -> 欄位定義
+     */
+    _resolveMapping(spec, headers, mapping) {
+        const byLabel = new Map(spec.fields.map(f => [normalizeHeader(f.label), f]));
+        const columns = new Map();
+        const used = new Set();
+
+        headers.forEach((header, index) => {
+            let target;
+            if (mapping) {
+                const label = mapping[header];
+                if (!label) return;
+                target = byLabel.get(normalizeHeader(label));
+                if (!target) throw createBusinessError(`無法匯入：「${header}」對應的欄位「${label}」不存在`);
+            } else {
+                target = byLabel.get(normalizeHeader(header));
+                if (!target) return;
+            }
+            if (used.has(target.label)) throw createBusinessError(`無法匯入：欄位「${target.label}」被重複對應`);
+            used.add(target.label);
+            columns.set(index, target);
+        });
+
+        const missing = spec.fields.filter(f => f.required && !used.has(f.label));
+        if (missing.length > 0) throw createBusinessError(`無法匯入：必填欄位未對應：${missing.map(f => f.label).join('、')}`);
+        return columns;
+    }
+
+    async _loadContext(entity) {
+        const [systemConfig, companies] = await Promise.all([
+            this.systemService.getSystemConfig(),
+            this.companySqlReader.getCompanies()
+        ]);
+        const context = { systemConfig, companies, contacts: [], opportunities: [] };
+        if (entity === 'contact') context.contacts = await this.contactService.getAllOfficialContacts();
+        if (entity === 'opportunity') context.opportunities = await this.opportunitySqlReader.getOpportunities();
+        return context;
+    }
+
+    /**
+     * 單列欄位值正規化與驗證
+     * @returns {Object} { data, errors }
+     */
+    _readRow(columns, values, systemConfig) {
+        const data = {};
+        const errors = [];
+
+        columns.forEach((field, index) => {
+            const raw = (values[index] || '').trim();
+            if (raw === '') return;
+
+            let value = raw;
+            if (field.type === 'date') {
+                value = normalizeDate(raw);
+                if (!value) errors.push(`「${field.label}」日期格式錯誤：${raw} (請使用 YYYY-MM-DD)`);
+            } else if (field.type === 'number') {
+                value = normalizeNumber(raw);
+                if (value === null) errors.push(`「${field.label}」不是數字：${raw}`);
+            } else if (field.options) {
+                const options = systemConfig[field.options] || [];
+                if (options.length > 0) {
+                    const key = raw.toLowerCase();
+                    const option = options.find(o => String(o.value).toLowerCase() === key)
+                        || options.find(o => String(o.note || '').toLowerCase() === key);
+                    if (option) value = option.value;
+                    else {
+                        value = null;
+                        errors.push(`「${field.label}」不是有效選項：${raw} (可用：${options.map(o => o.value).join('、')})`);
+                    }
+                }
+            }
+            if (value !== null) data[field.key] = value;
+        });
+
+        return { data, errors };
+    }
+
+    // --- 各實體的既有資料比對 (回傳 { key, existing, errors, warnings }) ---
+
+    _matchCompany(data, ctx) {
+        if (data.companyId) {
+            const existing = ctx.companies.find(c => c.companyId === data.companyId);
+            if (!existing) return { errors: [`找不到公司ID ${data.companyId}`] };
+            if (data.companyName) {
+                const other = companyLink.findByName(ctx.companies, data.companyName).find(c => c.companyId !== existing.companyId);
+                if (other) return { errors: [`已有其他公司使用名稱「${other.companyName}」(${other.companyId})`] };
+            }
+            return { key: `id:${existing.companyId}`, existing };
+        }
+        const matches = companyLink.findByName(ctx.companies, data.companyName);
+        if (matches.length > 1) return { errors: [`公司名稱「${data.companyName}」有 ${matches.length} 筆，請改以公司ID對應`] };
+        return {
+            key: matches[0] ? `id:${matches[0].companyId}` : `name:${companyLink.nameKey(data.companyName)}`,
+            existing: matches[0] || null
+        };
+    }
+
+    _matchContact(data, ctx) {
+        // 公司：公司ID 優先，否則以完整公司名稱解析
+        if (data.companyId) {
+            if (!ctx.companies.some(c => c.companyId === data.companyId)) return { errors: [`找不到公司ID ${data.companyId}`] };
+        } else if (data.companyName) {
+            const { companyId, match } = companyLink.resolve(ctx.companies, data.companyName);
+            if (match === 'ambiguous') return { errors: [`公司名稱「${data.companyName}」有多筆，請改以公司ID對應`] };
+            if (!companyId) return { errors: [`公司「${data.companyName}」不在公司總表，請先匯入公司`] };
+            data.companyId = companyId;
+        }
+        delete data.companyName;
+
+        if (data.contactId) {
+            const existing = ctx.contacts.find(c => c.contactId === data.contactId);
+            if (!existing) return { errors: [`找不到聯絡人ID ${data.contactId}`] };
+            return { key: `id:${existing.contactId}`, existing };
+        }
+        const nameKey = companyLink.nameKey(data.name);
+        const matches = ctx.contacts.filter(c => companyLink.nameKey(c.name) === nameKey && (c.companyId || '') === (data.companyId || ''));
+        if (matches.length > 1) return { errors: [`同公司的聯絡人「${data.name}」有 ${matches.length} 筆，請改以聯絡人ID對應`] };
+        return {
+            key: matches[0] ? `id:${matches[0].contactId}` : `name:${nameKey}|${data.companyId || ''}`,
+            existing: matches[0] || null
+        };
+    }
+
+    _matchOpportunity(data, ctx) {
+        const warnings = [];
+        if (data.customerCompany && companyLink.resolve(ctx.companies, data.customerCompany).match !== 'exact') {
+            warnings.push(`終端客戶「${data.customerCompany}」不在公司總表 (或同名多筆)，將不連結公司ID`);
+        }
+
+        if (data.opportunityId) {
+            const existing = ctx.opportunities.find(o => o.opportunityId === data.opportunityId);
+            if (!existing) return { errors: [`找不到機會ID ${data.opportunityId}`] };
+            return { key: `id:${existing.opportunityId}`, existing, warnings };
+        }
+        const nameKey = companyLink.nameKey(data.opportunityName);
+        const customerKey = companyLink.nameKey(data.customerCompany);
+        const matches = ctx.opportunities.filter(o =>
+            companyLink.nameKey(o.opportunityName) === nameKey && companyLink.nameKey(o.customerCompany) === customerKey);
+        if (matches.length > 1) return { errors: [`機會「${data.opportunityName}」有 ${matches.length} 筆，請改以機會ID對應`] };
+        return {
+            key: matches[0] ? `id:${matches[0].opportunityId}` : `name:${nameKey}|${customerKey}`,
+            existing: matches[0] || null,
+            warnings
+        };
+    }
+
+    _changes(spec, data, existing) {
+        return spec.fields
+            .filter(field => !field.identity && data[field.key] !== undefined)
+            .filter(field => String(existing[field.current || field.key] ?? '') !== String(data[field.key]))
+            .map(field => ({ field: field.label, from: existing[field.current || field.key] ?? '', to: data[field.key] }));
+    }
+
+    /**
+     * 匯入預覽
+     * @param {string} entity - company / contact / opportunity
+     * @param {Object} file - { name, content (base64) }
+     * @param {Object} [mapping] - { 檔案標題: 系統欄位名稱 }
+     * @returns {Promise<Object>} { entity, headers, mapping, summary, rows: [{ rowNumber, action, data, matchId, changes, errors, warnings }] }
+     */
+    async preview(entity, file, mapping = null) {
+        const spec = this._getSpec(entity);
+        const { headers, rows } = this._parseFile(file);
+        const columns = this._resolveMapping(spec, headers, mapping);
+        const ctx = await this._loadContext(entity);
+        const matcher = {
+            company: (data) => this._matchCompany(data, ctx),
+            contact: (data) => this._matchContact(data, ctx),
+            opportunity: (data) => this._matchOpportunity(data, ctx)
+        }[entity];
+
+        const seen = new Map();
+        const results = rows.map(({ rowNumber, values }) => {
+            const { data, errors } = this._readRow(columns, values, ctx.systemConfig);
+            const idField = spec.fields.find(f => f.identity && f.key !== 'companyName');
+            const row = { rowNumber, action: ACTIONS.ERROR, data, matchId: null, changes: [], errors, warnings: [] };
+
+            spec.fields
+                .filter(f => f.required && !data[f.key] && !(idField && data[idField.key]))
+                .forEach(f => errors.push(`「${f.label}」為必填`));
+            if (errors.length > 0) return row;
+
+            const match = matcher(data);
+            row.warnings = match.warnings || [];
+            if (match.errors) {
+                row.errors = match.errors;
+                return row;
+            }
+
+            if (seen.has(match.key)) {
+                row.action = ACTIONS.DUPLICATE;
+                row.warnings.push(`與第 ${seen.get(match.key)} 列重複，將略過`);
+                return row;
+            }
+            seen.set(match.key, rowNumber);
+
+            if (!match.existing) {
+                row.action = ACTIONS.CREATE;
+                return row;
+            }
+            row.matchId = match.existing[idField.key];
+            row.changes = this._changes(spec, data, match.existing);
+            row.action = row.changes.length > 0 ? ACTIONS.UPDATE : ACTIONS.UNCHANGED;
+            return row;
+        });
+
+        const summary = Object.values(ACTIONS).reduce((acc, action) => ({ ...acc, [action]: 0 }), { total: results.length });
+        results.forEach(row => { summary[row.action]++; });
+
+        return {
+            entity,
+            headers,
+            mapping: Object.fromEntries(Array.from(columns, ([index, field]) => [headers[index], field.label])),
+            summary,
+            rows: results
+        };
+    }
+
+    async _write(entity, row, user, index) {
+        const modifier = user.displayName || user.name || user.username || 'System';
+        const { data } = row;
+
+        if (entity === 'company') {
+            const { companyId, companyName, ...fields } = data;
+            if (row.action === ACTIONS.CREATE) return (await this.companyService.createCompany(companyName, fields, user)).id;
+            await this.companyService.updateCompany(row.matchId, companyName ? { companyName, ...fields } : fields, user);
+            return row.matchId;
+        }
+        if (entity === 'contact') {
+            const { contactId, ...fields } = data;
+            if (row.action === ACTIONS.CREATE) {
+                // ContactSqlWriter 預設 ID 為 C + 毫秒，批次建立時需加上序號避免重複
+                return (await this.contactService.createContact({ ...fields, contactId: `C${Date.now()}${String(index).padStart(4, '0')}` }, modifier)).id;
+            }
+            await this.contactService.updateContact(row.matchId, fields, modifier);
+            return row.matchId;
+        }
+
+        const { opportunityId, ...fields } = data;
+        if (row.action === ACTIONS.CREATE) {
+            return (await this.opportunityService.createOpportunity({
+                currentStage: '01_初步接觸',
+                ...fields,
+                opportunityId: `OPP${Date.now()}${String(index).padStart(4, '0')}`
+            }, user)).id;
+        }
+        await this.opportunityService.updateOpportunity(row.matchId, fields, user);
+        return row.matchId;
+    }
+
+    /**
+     * 執行匯入 (重新產生預覽後寫入 create / update 列)
+     * @param {string} entity
+     * @param {Object} file - { name, content (base64) }
+     * @param {Object} [mapping]
+     * @param {Object} user - req.user
+     * @returns {Promise<Object>} { entity, summary, created, updated, failed, rows: [{ rowNumber, action, id, error }] }
+     */
+    async commit(entity, file, mapping, user) {
+        const preview = await this.preview(entity, file, mapping);
+        const result = { entity, summary: preview.summary, created: 0, updated: 0, failed: 0, rows: [] };
+
+        for (const [index, row] of preview.rows.entries()) {
+            if (row.action !== ACTIONS.CREATE && row.action !== ACTIONS.UPDATE) {
+                result.rows.push({ rowNumber: row.rowNumber, action: row.action, id: row.matchId, error: row.errors[0] || null });
+                continue;
+            }
+            try {
+                const id = await this._write(entity, row, user, index);
+                result[row.action === ACTIONS.CREATE ? 'created' : 'updated']++;
+                result.rows.push({ rowNumber: row.rowNumber, action: row.action, id, error: null });
+            } catch (error) {
+                result.failed++;
+                result.rows.push({ rowNumber: row.rowNumber, action: row.action, id: row.matchId, error: error.message });
+            }
+        }
+
+        return result;
+    }
+}
+
+ImportService.ACTIONS = ACTIONS;
+
+module.exports = ImportService;
@@ -0,0 +1,281 @@
+/**
+ * services/integrity-service.js
+ * 資料完整性檢查與修復服務
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * - scan()：整表讀取 SQL 資料 (含回收桶內的列) 與 Sheet 公司總表，逐項列出違規類別、筆數與範例。
+ * - 回收桶內的資料不算「不存在」(還原後參照即恢復)，只在參照目標已被永久刪除時才視為孤兒。
+ * - repair(checkId)：僅提供安全的修復 (刪除孤兒關聯列、清除指向已永久刪除資料的參照、
+ *   由所屬機會回填事件的公司 ID)；其餘類別只回報，需人工處理。修復前會重新掃描，只處理當下仍違規的資料。
+ */
+
+const { createBusinessError } = require('../utils/business-error');
+
+const EXAMPLE_LIMIT = 20;
+const EVENT_TABLES = ['event_logs_general', 'event_logs_iot', 'event_logs_dt', 'event_logs_dx'];
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+const isLive = (row) => !row.deleted_at;
+
+/**
+ * 檢查項目登錄表
+ * - detect(ctx) 回傳違規列表；每筆可帶 repairable: false 表示此筆無法自動修復
+ * - repair(violation, writer, actor) 回傳 true (已修復) / false (資料已變動，略過)
+ */
+const INTEGRITY_CHECKS = [
+    {
+        id: 'contact-link-missing-contact',
+        label: '機會-聯絡人關聯指向不存在的聯絡人',
+        entity: 'opportunity-contact',
+        repairLabel: '刪除關聯列',
+        detect: (ctx) => ctx.links
+            .filter(link => !ctx.contactsById.has(link.contact_id))
+            .map(link => ({ id: `${link.opportunity_id}:${link.contact_id}`, opportunityId: link.opportunity_id, contactId: link.contact_id })),
+        repair: (v, writer, actor) => writer.deleteContactLink(v.opportunityId, v.contactId, actor)
+    },
+    {
+        id: 'contact-link-missing-opportunity',
+        label: '機會-聯絡人關聯指向不存在的機會',
+        entity: 'opportunity-contact',
+        repairLabel: '刪除關聯列',
+        detect: (ctx) => ctx.links
+            .filter(link => !ctx.opportunitiesById.has(link.opportunity_id))
+            .map(link => ({ id: `${link.opportunity_id}:${link.contact_id}`, opportunityId: link.opportunity_id, contactId: link.contact_id })),
+        repair: (v, writer, actor) => writer.deleteContactLink(v.opportunityId, v.contactId, actor)
+    },
+    {
+        id: 'interaction-missing-opportunity',
+        label: '互動紀錄指向已永久刪除 (不存在) 的機會',
+        entity: 'interaction',
+        repairLabel: '清除機會 ID (保留公司關聯)',
+        detect: (ctx) => ctx.interactions
+            .filter(row => isLive(row) && !isBlank(row.opportunity_id) && !ctx.opportunitiesById.has(row.opportunity_id))
+            .map(row => ({ id: row.interaction_id, title: row.event_title, opportunityId: row.opportunity_id })),
+        repair: (v, writer, actor) => writer.updateReference(
+            { table: 'interactions', idColumn: 'interaction_id', id: v.id, entity: 'interaction' },
+            'opportunity_id', v.opportunityId, null, actor
+        )
+    },
+    {
+        id: 'interaction-deleted-opportunity',
+        label: '互動紀錄指向回收桶內的機會',
+        entity: 'interaction',
+        repairLabel: null, // 還原機會或一併刪除互動，需人工判斷
+        detect: (ctx) => ctx.interactions
+            .filter(row => {
+                const opportunity = isLive(row) && !isBlank(row.opportunity_id) && ctx.opportunitiesById.get(row.opportunity_id);
+                return opportunity && !isLive(opportunity);
+            })
+            .map(row => ({ id: row.interaction_id, title: row.event_title, opportunityId: row.opportunity_id })),
+        repair: null
+    },
+    {
+        id: 'event-missing-company',
+        label: '事件紀錄沒有公司 ID',
+        entity: 'event',
+        repairLabel: '由所屬機會回填公司 ID',
+        detect: (ctx) => ctx.events
+            .filter(row => isLive(row) && isBlank(row.company_id))
+            .map(row => {
+                const opportunity = ctx.opportunitiesById.get(row.opportunity_id);
+                const companyId = opportunity && !isBlank(opportunity.company_id) && ctx.companiesById.has(opportunity.company_id)
+                    ? opportunity.company_id
+                    : null;
+                return {
+                    id: row.event_id,
+                    table: row._table,
+                    title: row.event_name,
+                    opportunityId: row.opportunity_id || null,
+                    suggestedCompanyId: companyId,
+                    repairable: !!companyId
+                };
+            }),
+        repair: (v, writer, actor) => writer.updateReference(
+            { table: v.table, idColumn: 'event_id', id: v.id, entity: 'event' },
+            'company_id', null, v.suggestedCompanyId, actor
+        )
+    },
+    {
+        id: 'event-unknown-company',
+        label: '事件紀錄的公司 ID 不存在',
+        entity: 'event',
+        repairLabel: null,
+        detect: (ctx) => ctx.events
+            .filter(row => isLive(row) && !isBlank(row.company_id) && !ctx.companiesById.has(row.company_id))
+            .map(row => ({ id: row.event_id, table: row._table, title: row.event_name, companyId: row.company_id })),
+        repair: null
+    },
+    {
+        id: 'opportunity-missing-parent',
+        label: '母機會 (parentOpportunityId) 不存在或在回收桶內',
+        entity: 'opportunity',
+        repairLabel: '清除已永久刪除的母機會參照',
+        detect: (ctx) => ctx.opportunities
+            .filter(row => isLive(row) && !isBlank(row.parent_opportunity_id))
+            .map(row => ({ row, parent: ctx.opportunitiesById.get(row.parent_opportunity_id) }))
+            .filter(({ parent }) => !parent || !isLive(parent))
+            .map(({ row, parent }) => ({
+                id: row.opportunity_id,
+                title: row.opportunity_name,
+                parentOpportunityId: row.parent_opportunity_id,
+                parentState: parent ? 'deleted' : 'missing',
+                repairable: !parent
+            })),
+        repair: (v, writer, actor) => writer.updateReference(
+            { table: 'opportunities', idColumn: 'opportunity_id', id: v.id, entity: 'opportunity' },
+            'parent_opportunity_id', v.parentOpportunityId, null, actor
+        )
+    },
+    {
+        id: 'opportunity-unknown-company',
+        label: '機會的公司 ID 不存在',
+        entity: 'opportunity',
+        repairLabel: null,
+        detect: (ctx) => ctx.opportunities
+            .filter(row => isLive(row) && !isBlank(row.company_id) && !ctx.companiesById.has(row.company_id))
+            .map(row => ({ id: row.opportunity_id, title: row.opportunity_name, companyId: row.company_id })),
+        repair: null
+    },
+    {
+        id: 'contact-unknown-company',
+        label: '聯絡人的公司 ID 不存在',
+        entity: 'contact',
+        repairLabel: null,
+        detect: (ctx) => ctx.contacts
+            .filter(row => isLive(row) && !isBlank(row.company_id) && !ctx.companiesById.has(row.company_id))
+            .map(row => ({ id: row.contact_id, title: row.name, companyId: row.company_id })),
+        repair: null
+    },
+    {
+        id: 'company-missing-id',
+        label: '公司沒有 companyId (更新時會出現「公司資料異常: 無 companyId」)',
+        entity: 'company',
+        repairLabel: null, // 無 ID 無法安全定位；請於公司總表補上 ID 或重新建檔
+        detect: (ctx) => [
+            ...ctx.companies
+                .filter(row => isBlank(row.company_id))
+                .map(row => ({ id: null, source: 'sql', title: row.company_name })),
+            ...ctx.sheetCompanies
+                .filter(row => isBlank(row.companyId) && !isBlank(row.companyName))
+                .map(row => ({ id: null, source: 'sheet', title: row.companyName, rowIndex: row.rowIndex }))
+        ],
+        repair: null
+    }
+];
+
+class IntegrityService {
+    /**
+     * @param {Object} dependencies
+     * @param {MigrationSqlWriter} dependencies.migrationSqlWriter - 整表讀取 (含已刪除的列)
+     * @param {IntegritySqlWriter} dependencies.integritySqlWriter - 修復寫入
+     * @param {CompanyReader} [dependencies.companyReader] - Sheet 公司總表 (檢查無 ID 的列)
+     */
+    constructor({ migrationSqlWriter, integritySqlWriter, companyReader = null }) {
+        this.migrationSqlWriter = migrationSqlWriter;
+        this.integritySqlWriter = integritySqlWriter;
+        this.companyReader = companyReader;
+    }
+
+    getCheck(checkId) {
+        return INTEGRITY_CHECKS.find(check => check.id === checkId) || null;
+    }
+
+    async _loadContext() {
+        const fetch = (table) => this.migrationSqlWriter.fetchAllRows(table);
+        const [companies, contacts, opportunities, links, interactions, ...eventTables] = await Promise.all([
+            fetch('companies'),
+            fetch('contacts'),
+            fetch('opportunities'),
+            fetch('opportunity_contact_links'),
+            fetch('interactions'),
+            ...EVENT_TABLES.map(fetch)
+        ]);
+
+        let sheetCompanies = [];
+        if (this.companyReader) {
+            try {
+                sheetCompanies = await this.companyReader.getCompanyList();
+            } catch (error) {
+                console.warn(`[IntegrityService] Sheet 公司總表讀取失敗，略過: ${error.message}`);
+            }
+        }
+
+        const index = (rows, column) => new Map(rows.filter(r => !isBlank(r[column])).map(r => [r[column], r]));
+        return {
+            companies,
+            contacts,
+            opportunities,
+            links,
+            interactions,
+            events: eventTables.flatMap((rows, i) => rows.map(row => ({ ...row, _table: EVENT_TABLES[i] }))),
+            sheetCompanies,
+            companiesById: index(companies, 'company_id'),
+            contactsById: index(contacts, 'contact_id'),
+            opportunitiesById: index(opportunities, 'opportunity_id')
+        };
+    }
+
+    /**
+     * 完整性報告
+     * @returns {Promise<Object>} { generatedAt, totalViolations, checks: [{ id, label, entity, count, repairable, repairableCount, repairLabel, examples }] }
+     */
+    async scan() {
+        const ctx = await this._loadContext();
+
+        const checks = INTEGRITY_CHECKS.map(check => {
+            const violations = check.detect(ctx);
+            const repairableCount = check.repair ? violations.filter(v => v.repairable !== false).length : 0;
+            return {
+                id: check.id,
+                label: check.label,
+                entity: check.entity,
+                count: violations.length,
+                repairable: !!check.repair,
+                repairableCount,
+                repairLabel: check.repairLabel,
+                examples: violations.slice(0, EXAMPLE_LIMIT)
+            };
+        });
+
+        return {
+            generatedAt: new Date().toISOString(),
+            totalViolations: checks.reduce((sum, check) => sum + check.count, 0),
+            checks
+        };
+    }
+
+    /**
+     * 執行單一類別的安全修復
+     * @param {string} checkId
+     * @param {string} actor
+     * @returns {Promise<Object|null>} { checkId, found, repaired, skipped, failed: [{ id, error }] }；未知類別回傳 null
+     */
+    async repair(checkId, actor) {
+        const check = this.getCheck(checkId);
+        if (!check) return null;
+        if (!check.repair) throw createBusinessError(`無法修復：「${check.label}」沒有安全的自動修復，請人工處理`);
+
+        const violations = check.detect(await this._loadContext());
+        const result = { checkId, found: violations.length, repaired: 0, skipped: 0, failed: [] };
+
+        for (const violation of violations) {
+            if (violation.repairable === false) {
+                result.skipped++;
+                continue;
+            }
+            try {
+                if (await check.repair(violation, this.integritySqlWriter, actor)) result.repaired++;
+                else result.skipped++;
+            } catch (error) {
+                result.failed.push({ id: violation.id, error: error.message });
+            }
+        }
+
+        return result;
+    }
+}
+
+IntegrityService.CHECKS = INTEGRITY_CHECKS;
+
+module.exports = IntegrityService;
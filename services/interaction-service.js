@@ -4,8 +4,14 @@
  * DATE: 2026-02-06
  * CHANGELOG:
  * - Phase 7: Migrate Interaction Write Authority to SQL
+ * - List Query: queryInteractions 將篩選 / 排序 / Cursor 分頁下推到 SQL，只對本頁做名稱 Join
+ * - Shadow Mode: config.SHADOW_MODE.INTERACTION 開啟時，寫入在背景鏡射到 InteractionWriter (Sheet)，
+ *   全表讀取時在背景比對 Sheet 與 SQL 的差異 (ShadowService)
+ * - Not Found: 更新 / 刪除不存在 (或已在回收桶) 的互動紀錄回應 404
  */
 
+const { createBusinessError } = require('../utils/business-error');
+
 class InteractionService {
     /**
      * @param {InteractionReader} interactionReader 
@@ -13,13 +19,22 @@ class InteractionService {
      * @param {OpportunityReader} opportunityReader 
      * @param {CompanyReader} companyReader 
      * @param {Object} [interactionSqlReader=null] Optional SQL Reader for Phase 6-2
+     * @param {OpportunitySqlReader} [opportunitySqlReader=null] 列表本頁的機會名稱
+     * @param {CompanySqlReader} [companySqlReader=null] 列表本頁的公司名稱
+     * @param {InteractionWriter} [interactionWriter=null] Shadow Mode 的 Sheet 影子寫入
+     * @param {ShadowService} [shadowService=null] SQL 切換期的雙寫比對 (選用)
      */
-    constructor(interactionReader, interactionSqlWriter, opportunityReader, companyReader, interactionSqlReader = null) {
+    constructor(interactionReader, interactionSqlWriter, opportunityReader, companyReader, interactionSqlReader = null,
+        opportunitySqlReader = null, companySqlReader = null, interactionWriter = null, shadowService = null) {
         this.interactionReader = interactionReader;
         this.interactionSqlWriter = interactionSqlWriter;
         this.opportunityReader = opportunityReader;
         this.companyReader = companyReader;
         this.interactionSqlReader = interactionSqlReader;
+        this.opportunitySqlReader = opportunitySqlReader;
+        this.companySqlReader = companySqlReader;
+        this.interactionWriter = interactionWriter;
+        this.shadowService = shadowService;
     }
 
     /**
@@ -35,6 +50,15 @@ class InteractionService {
                 const rows = await this.interactionSqlReader.getInteractions();
                 if (rows && rows.length > 0) {
                     console.log('[InteractionService] Read Source: SQL');
+                    if (this._isShadowing()) {
+                        // 背景比對，不等待 Sheet 讀取
+                        this.shadowService.shadowRead(
+                            'INTERACTION',
+                            rows,
+                            () => this.interactionReader.getInteractions(),
+                            'InteractionService._fetchInteractions'
+                        );
+                    }
                     return rows;
                 }
             } catch (error) {
@@ -48,6 +72,43 @@ class InteractionService {
         return this.interactionReader.getInteractions();
     }
 
+    // ============================================================
+    //  Shadow Mode (SQL 為主，Sheet 為影子)
+    // ============================================================
+
+    _isShadowing() {
+        return !!(this.shadowService && this.interactionWriter && this.shadowService.isEnabled('INTERACTION'));
+    }
+
+    /**
+     * 排入背景鏡射 (ShadowService.scheduleWrite)；Sheet 端沒有單筆讀取，自全表找出該筆
+     */
+    _shadowWrite(operation, interactionId, writeFn) {
+        if (!this._isShadowing()) return;
+        this.shadowService.scheduleWrite('INTERACTION', `InteractionService.${operation}`, interactionId, {
+            write: writeFn,
+            loadSqlRecord: () => this.interactionSqlReader.getInteractionById(interactionId),
+            loadSheetRecord: async () => (await this.interactionReader.getInteractions()).find(i => i.interactionId === interactionId) || null
+        });
+    }
+
+    /**
+     * 寫入前確認紀錄存在 (SQL 讀取器未注入時交由 InteractionSqlWriter 判定)
+     */
+    async _requireInteraction(interactionId) {
+        if (!this.interactionSqlReader) return;
+        const existing = await this.interactionSqlReader.getInteractionById(interactionId);
+        if (!existing) throw createBusinessError(`找不到互動紀錄: ${interactionId}`, 404);
+    }
+
+    /**
+     * Sheet 只有「事件類型」一欄 (eventType)；與 InteractionSqlWriter 相同，interactionType 優先
+     */
+    _toSheetData(data) {
+        const eventType = data.interactionType || data.eventType;
+        return eventType !== undefined ? { ...data, eventType } : { ...data };
+    }
+
     /**
      * 搜尋互動紀錄 (包含 Join, Filter, Sort, Pagination)
      * [Standard A] Logic moved from Reader to Service
@@ -69,24 +130,7 @@ class InteractionService {
             const compMap = new Map(companies.map(c => [c.companyId, c.companyName]));
 
             // 3. Clone & Join Logic (Preserving exact logic from old Reader)
-            let results = interactions.map(item => {
-                const newItem = { ...item }; // Clone to prevent cache pollution
-                
-                let contextName = '未指定'; 
-
-                if (newItem.opportunityId && oppMap.has(newItem.opportunityId)) {
-                    contextName = oppMap.get(newItem.opportunityId); 
-                } else if (newItem.companyId && compMap.has(newItem.companyId)) {
-                    contextName = compMap.get(newItem.companyId); 
-                } else if (newItem.opportunityId) {
-                    contextName = '未知機會'; 
-                } else if (newItem.companyId) {
-                    contextName = '未知公司'; 
-                }
-
-                newItem.opportunityName = contextName;
-                return newItem;
-            });
+            let results = this._joinContextNames(interactions, oppMap, compMap);
 
             // 4. Filter (Query)
             if (query) {
@@ -148,6 +192,55 @@ class InteractionService {
         }
     }
 
+    /**
+     * 列表查詢 (篩選 / 排序 / Cursor 分頁下推到 SQL，不退回 Sheet)
+     * 機會 / 公司名稱只查詢本頁關聯的 ID
+     * 注意：q 只比對 content_summary / event_title / recorder，不含 Join 出來的機會名稱
+     * @param {Object} parsed - req.listQuery (utils/list-query.js)
+     * @returns {Promise<Object>} { items, nextCursor, hasMore }
+     */
+    async queryInteractions(parsed) {
+        if (!this.interactionSqlReader || !this.opportunitySqlReader || !this.companySqlReader) {
+            throw new Error('[InteractionService] InteractionSqlReader / OpportunitySqlReader / CompanySqlReader are required for list queries');
+        }
+
+        const page = await this.interactionSqlReader.queryInteractions(parsed);
+        const [opportunities, companies] = await Promise.all([
+            this.opportunitySqlReader.getOpportunityNames(page.items.map(item => item.opportunityId)),
+            this.companySqlReader.getCompanyNames(page.items.map(item => item.companyId))
+        ]);
+
+        const oppMap = new Map(opportunities.map(o => [o.opportunityId, o.opportunityName]));
+        const compMap = new Map(companies.map(c => [c.companyId, c.companyName]));
+
+        return { ...page, items: this._joinContextNames(page.items, oppMap, compMap) };
+    }
+
+    /**
+     * 補上 opportunityName (機會名稱，無機會時為公司名稱)
+     * @returns {Array<Object>} 複製後的互動紀錄 (避免污染快取)
+     */
+    _joinContextNames(interactions, oppMap, compMap) {
+        return interactions.map(item => {
+            const newItem = { ...item }; // Clone to prevent cache pollution
+            
+            let contextName = '未指定'; 
+
+            if (newItem.opportunityId && oppMap.has(newItem.opportunityId)) {
+                contextName = oppMap.get(newItem.opportunityId); 
+            } else if (newItem.companyId && compMap.has(newItem.companyId)) {
+                contextName = compMap.get(newItem.companyId); 
+            } else if (newItem.opportunityId) {
+                contextName = '未知機會'; 
+            } else if (newItem.companyId) {
+                contextName = '未知公司'; 
+            }
+
+            newItem.opportunityName = contextName;
+            return newItem;
+        });
+    }
+
     /**
      * 取得特定機會的互動紀錄
      * @param {string} opportunityId 
@@ -188,11 +281,9 @@ class InteractionService {
         try {
             const safeUser = user || {};
             const newId = await this.interactionSqlWriter.createInteraction(data, safeUser);
-            
-            // Invalidate Reader Cache
-            if (this.interactionReader.invalidateCache) {
-                this.interactionReader.invalidateCache('interactions');
-            }
+            this._shadowWrite('createInteraction', newId, () =>
+                this.interactionWriter.createInteraction({ ...this._toSheetData(data), interactionId: newId }, data.recorder || '')
+            );
             return { success: true, id: newId };
         } catch (error) {
             console.error('[InteractionService] createInteraction Error:', error);
@@ -210,12 +301,11 @@ class InteractionService {
     async updateInteraction(id, data, user) {
         try {
             const safeUser = user || {};
+            await this._requireInteraction(id);
             await this.interactionSqlWriter.updateInteraction(id, data, safeUser);
-            
-            // Invalidate Reader Cache
-            if (this.interactionReader.invalidateCache) {
-                this.interactionReader.invalidateCache('interactions');
-            }
+            this._shadowWrite('updateInteraction', id, () =>
+                this.interactionWriter.updateInteraction(id, this._toSheetData(data), safeUser.displayName || safeUser.username || 'System')
+            );
             return { success: true };
         } catch (error) {
             console.error('[InteractionService] updateInteraction Error:', error);
@@ -232,12 +322,9 @@ class InteractionService {
     async deleteInteraction(id, user) {
         try {
             const safeUser = user || {};
+            await this._requireInteraction(id);
             await this.interactionSqlWriter.deleteInteraction(id, safeUser);
-            
-            // Invalidate Reader Cache
-            if (this.interactionReader.invalidateCache) {
-                this.interactionReader.invalidateCache('interactions');
-            }
+            this._shadowWrite('deleteInteraction', id, null);
             return { success: true };
         } catch (error) {
             console.error('[InteractionService] deleteInteraction Error:', error);
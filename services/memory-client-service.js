@@ -0,0 +1,56 @@
+/**
+ * services/memory-client-service.js
+ * 記憶體版 Google API 連線服務 (Infrastructure Layer)
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * * 與 GoogleClientService 介面相容 (getSheetsClient / getDriveClient / getCalendarClient 等)，
+ * * 回傳 fakes/ 內的記憶體實作，讓整個系統在無網路、無憑證的情況下啟動。
+ * * 由 Service Container 依 config.BACKEND_MODE 決定注入哪一個。
+ */
+
+const { getMemoryBackends } = require('../fakes');
+
+class MemoryClientService {
+    constructor() {
+        this.backends = getMemoryBackends();
+    }
+
+    async getSheetsClient() {
+        return this.backends.sheets;
+    }
+
+    async getDriveClient() {
+        return this.backends.drive;
+    }
+
+    async getCalendarClient() {
+        return this.backends.calendar;
+    }
+
+    // --- 與 GoogleClientService 對齊的狀態查詢介面 ---
+
+    async checkAuthStatus() {
+        return { oauth: true, service: false, errors: [], mode: 'MEMORY' };
+    }
+
+    async testConnections() {
+        const ok = { status: true, message: '記憶體後端 (BACKEND_MODE=MEMORY)' };
+        return { oauth: ok, sheets: ok, calendar: ok, drive: ok };
+    }
+
+    clearAuthCache() {
+        // 記憶體模式無認證快取
+    }
+
+    getDebugInfo() {
+        return {
+            hasOAuthClient: false,
+            hasServiceClient: false,
+            oauthCredentials: null,
+            environment: { backendMode: 'MEMORY', nodeEnv: process.env.NODE_ENV }
+        };
+    }
+}
+
+module.exports = MemoryClientService;
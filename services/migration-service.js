@@ -0,0 +1,607 @@
+/**
+ * services/migration-service.js
+ * Sheet → SQL 資料遷移服務
+ * * @version 1.0.0 (Phase 8: Data Source Cutover)
+ * * @date 2026-10-19
+ * * @description
+ * - 透過既有 Sheet Readers 讀取資料，映射為 *SqlWriter 所使用的 SQL 欄位結構。
+ * - planEntity(): 產生逐筆差異 (insert / update / conflict / unchanged)，不寫入任何資料。
+ * - applyPlan(): 以主鍵 upsert 套用差異，重複執行不會產生新的變更 (Idempotent)。
+ * - 衝突判定：SQL 端的更新時間晚於 Sheet 端 (代表 SQL 已被新系統修改)，或 Sheet 內主鍵重複。
+ * - 欄位值比對見 utils/value-compare.js (與影子模式共用)。
+ */
+
+const valueCompare = require('../utils/value-compare');
+
+class MigrationService {
+    /**
+     * @param {Object} dependencies
+     * @param {Object} dependencies.config
+     * @param {MigrationSqlWriter} dependencies.migrationSqlWriter
+     * @param {ContactReader} dependencies.contactReader - 指向 CORE (聯絡人總表 / 關聯表)
+     * @param {CompanyReader} dependencies.companyReader
+     * @param {OpportunityReader} dependencies.opportunityReader
+     * @param {InteractionReader} dependencies.interactionReader
+     * @param {EventLogReader} dependencies.eventLogReader
+     * @param {WeeklyBusinessReader} dependencies.weeklyBusinessReader
+     * @param {AnnouncementReader} dependencies.announcementReader
+     * @param {ProductReader} [dependencies.productReader] - 指向 PRODUCT 試算表
+     * @param {SystemReader} [dependencies.systemReader] - 讀取使用者名冊 (AUTH)
+     */
+    constructor({
+        config,
+        migrationSqlWriter,
+        contactReader,
+        companyReader,
+        opportunityReader,
+        interactionReader,
+        eventLogReader,
+        weeklyBusinessReader,
+        announcementReader,
+        productReader,
+        systemReader
+    }) {
+        this.config = config;
+        this.migrationSqlWriter = migrationSqlWriter;
+
+        this.contactReader = contactReader;
+        this.companyReader = companyReader;
+        this.opportunityReader = opportunityReader;
+        this.interactionReader = interactionReader;
+        this.eventLogReader = eventLogReader;
+        this.weeklyBusinessReader = weeklyBusinessReader;
+        this.announcementReader = announcementReader;
+        this.productReader = productReader;
+        this.systemReader = systemReader;
+
+        this.ENTITY_SPECS = this._buildEntitySpecs();
+    }
+
+    // ============================================================
+    //  Entity Specs (Sheet DTO -> SQL Row)
+    // ============================================================
+
+    /**
+     * 定義每個實體的遷移目標
+     * - load(): 從 Sheet 讀取並回傳 [{ table, keyColumns, optionalKeyColumns, updatedColumn, dateColumns, rows }]
+     *   (optionalKeyColumns：可為空字串的主鍵欄位，其餘主鍵欄位空白時列為衝突)
+     */
+    _buildEntitySpecs() {
+        const eventBase = (log) => ({
+            event_id: log.eventId,
+            event_name: log.eventName,
+            opportunity_id: log.opportunityId || null,
+            company_id: log.companyId || null,
+            creator: log.creator,
+            created_time: log.createdTime || null,
+            last_modified_time: log.lastModifiedTime || null,
+            our_participants: log.ourParticipants,
+            client_participants: log.clientParticipants,
+            visit_place: log.visitPlace,
+            event_content: log.eventContent,
+            client_questions: log.clientQuestions,
+            client_intelligence: log.clientIntelligence,
+            event_notes: log.eventNotes,
+            edit_count: parseInt(log.editCount) || 1,
+            details: log.details || {}
+        });
+
+        // 系統設定同一「設定類型 + 設定項目」可有多列：階段關卡依機會種類 (值2)、自訂欄位依適用實體 (分類) 區分
+        const systemScopeOf = (type, value2, category) => {
+            if (type === this.config.STAGE_GATES.CONFIG_TYPE) return value2 || '';
+            if (type === this.config.CUSTOM_FIELDS.CONFIG_TYPE) return category || '';
+            return '';
+        };
+
+        // 價格欄位為 numeric；Sheet 內的千分位 / $ 會被移除，無法解析的值視為空白
+        const toPrice = (value) => {
+            if (value === undefined || value === null || String(value).trim() === '') return null;
+            const num = Number(String(value).replace(/[,$\s]/g, ''));
+            return isNaN(num) ? null : num;
+        };
+
+        return {
+            COMPANY: {
+                label: '公司總表',
+                load: async () => [{
+                    table: 'companies',
+                    keyColumns: ['company_id'],
+                    updatedColumn: 'updated_time',
+                    rows: (await this.companyReader.getCompanyList()).map(c => ({
+                        company_id: c.companyId,
+                        company_name: c.companyName,
+                        phone: c.phone,
+                        address: c.address,
+                        city: c.county,
+                        description: c.introduction,
+                        company_type: c.companyType,
+                        customer_stage: c.customerStage,
+                        interaction_rating: c.engagementRating,
+                        created_time: c.createdTime || null,
+                        updated_time: c.lastUpdateTime || c.createdTime || null,
+                        created_by: c.creator,
+                        updated_by: c.lastModifier || c.creator
+                    }))
+                }]
+            },
+
+            CONTACT: {
+                label: '聯絡人總表 / 機會-聯絡人關聯',
+                load: async () => {
+                    const [contacts, links] = await Promise.all([
+                        this.contactReader.getContactList(),
+                        this.contactReader.getAllOppContactLinks()
+                    ]);
+                    return [
+                        {
+                            table: 'contacts',
+                            keyColumns: ['contact_id'],
+                            updatedColumn: 'updated_time',
+                            rows: contacts.map(c => ({
+                                contact_id: c.contactId,
+                                source_id: c.sourceId || 'MANUAL',
+                                name: c.name,
+                                company_id: c.companyId || null,
+                                department: c.department,
+                                job_title: c.position,
+                                mobile: c.mobile,
+                                phone: c.phone,
+                                email: c.email,
+                                created_time: c.createdTime || null,
+                                updated_time: c.lastUpdateTime || c.createdTime || null,
+                                created_by: c.creator,
+                                updated_by: c.lastModifier || c.creator
+                            }))
+                        },
+                        {
+                            table: 'opportunity_contact_links',
+                            keyColumns: ['opportunity_id', 'contact_id'],
+                            updatedColumn: 'updated_time',
+                            rows: links.map(l => ({
+                                opportunity_id: l.opportunityId,
+                                contact_id: l.contactId,
+                                link_status: l.status || 'active',
+                                updated_time: l.createTime || null,
+                                updated_by: l.creator
+                            }))
+                        }
+                    ];
+                }
+            },
+
+            OPPORTUNITY: {
+                label: '機會案件',
+                load: async () => [{
+                    table: 'opportunities',
+                    keyColumns: ['opportunity_id'],
+                    updatedColumn: 'updated_time',
+                    dateColumns: ['expected_close_date'],
+                    rows: (await this.opportunityReader.getOpportunities({ includeArchived: true })).map(o => ({
+                        opportunity_id: o.opportunityId,
+                        opportunity_name: o.opportunityName,
+                        customer_company: o.customerCompany,
+                        sales_model: o.salesModel,
+                        sales_channel: o.salesChannel || o.channelDetails,
+                        channel_contact: o.channelContact,
+                        main_contact: o.mainContact,
+                        owner: o.assignee,
+                        opportunity_type: o.opportunityType,
+                        source: o.opportunitySource,
+                        current_stage: o.currentStage,
+                        current_status: o.currentStatus || this.config.CONSTANTS.DEFAULT_VALUES.OPPORTUNITY_STATUS,
+                        expected_close_date: o.expectedCloseDate,
+                        opportunity_value: o.opportunityValue,
+                        value_calc_mode: o.opportunityValueType,
+                        win_probability: o.orderProbability,
+                        equipment_scale: o.deviceScale,
+                        product_details: o.potentialSpecification,
+                        notes: o.notes,
+                        drive_link: o.driveFolderLink,
+                        stage_history: o.stageHistory || JSON.stringify([]),
+                        created_time: o.createdTime || null,
+                        updated_time: o.lastUpdateTime || o.createdTime || null,
+                        updated_by: o.lastModifier,
+                        parent_opportunity_id: o.parentOpportunityId || null
+                    }))
+                }]
+            },
+
+            INTERACTION: {
+                label: '互動紀錄',
+                load: async () => [{
+                    table: 'interactions',
+                    keyColumns: ['interaction_id'],
+                    updatedColumn: null,
+                    rows: (await this.interactionReader.getInteractions()).map(i => ({
+                        interaction_id: i.interactionId,
+                        opportunity_id: i.opportunityId || null,
+                        company_id: i.companyId || null,
+                        interaction_time: i.interactionTime || null,
+                        interaction_type: i.eventType,
+                        event_title: i.eventTitle,
+                        content_summary: i.contentSummary,
+                        participants: i.participants,
+                        next_action: i.nextAction,
+                        attachment_link: i.attachmentLink,
+                        calendar_event_id: i.calendarEventId,
+                        recorder: i.recorder,
+                        created_time: i.createdTime || null
+                    }))
+                }]
+            },
+
+            EVENT_LOG: {
+                label: '事件紀錄',
+                load: async () => {
+                    const logs = await this.eventLogReader.getEventLogs();
+                    const byType = (type) => logs.filter(l => l.eventType === type);
+
+                    return [
+                        {
+                            table: 'event_logs_general',
+                            keyColumns: ['event_id'],
+                            updatedColumn: 'last_modified_time',
+                            // 一般工作表也存放管理員新增的事件類型 (事件範本)
+                            rows: logs
+                                .filter(l => !['iot', 'dt', 'dx', 'legacy'].includes(l.eventType))
+                                .map(log => ({ ...eventBase(log), event_type: log.eventType }))
+                        },
+                        {
+                            table: 'event_logs_iot',
+                            keyColumns: ['event_id'],
+                            updatedColumn: 'last_modified_time',
+                            rows: byType('iot').map(log => ({
+                                ...eventBase(log),
+                                device_scale: log.iot_deviceScale,
+                                line_features: log.iot_lineFeatures,
+                                production_status: log.iot_productionStatus,
+                                iot_status: log.iot_iotStatus,
+                                pain_category: log.iot_painPoints,
+                                pain_description: log.iot_painPointDetails,
+                                pain_analysis: log.iot_painPointAnalysis,
+                                system_architecture: log.iot_systemArchitecture
+                            }))
+                        },
+                        {
+                            table: 'event_logs_dt',
+                            keyColumns: ['event_id'],
+                            updatedColumn: 'last_modified_time',
+                            rows: byType('dt').map(log => ({
+                                ...eventBase(log),
+                                device_scale: log.dt_deviceScale,
+                                processing_type: log.dt_processingType,
+                                industry: log.dt_industry
+                            }))
+                        },
+                        {
+                            table: 'event_logs_dx',
+                            keyColumns: ['event_id'],
+                            updatedColumn: 'last_modified_time',
+                            rows: byType('dx').map(eventBase)
+                        },
+                        {
+                            // 舊版「事件紀錄總表」對應 summary 表
+                            table: 'event_logs_summary',
+                            keyColumns: ['event_id'],
+                            updatedColumn: null,
+                            rows: byType('legacy').map(log => ({
+                                event_id: log.eventId,
+                                opportunity_name: log.eventName,
+                                opportunity_id: log.opportunityId || null,
+                                company_id: log.companyId || null,
+                                creator: log.creator,
+                                created_time: log.createdTime || null,
+                                win_probability: log.orderProbability,
+                                expected_quantity: log.potentialQuantity,
+                                sales_channel: log.salesChannel,
+                                participants: log.ourParticipants,
+                                visit_target: log.clientParticipants,
+                                company_scale: log.companySize,
+                                line_features: log.iot_lineFeatures,
+                                production_status: log.iot_productionStatus,
+                                iot_status: log.iot_iotStatus,
+                                demand_summary: log.eventContent,
+                                pain_category: log.iot_painPoints,
+                                pain_description: log.iot_painPointDetails,
+                                system_architecture: log.iot_systemArchitecture,
+                                external_integration: log.externalSystems,
+                                device_scale: log.iot_deviceScale,
+                                fanuc_expectation: log.fanucExpectation,
+                                pain_extra_note: log.eventNotes
+                            }))
+                        }
+                    ];
+                }
+            },
+
+            WEEKLY: {
+                label: '週間業務',
+                load: async () => [{
+                    table: 'weekly_business_entries',
+                    keyColumns: ['record_id'],
+                    updatedColumn: 'updated_time',
+                    dateColumns: ['entry_date'],
+                    rows: (await this.weeklyBusinessReader.getAllEntries()).map(e => ({
+                        record_id: e.recordId,
+                        entry_date: e['日期'],
+                        week_id: e.weekId,
+                        category: e.category || '一般',
+                        topic: e['主題'],
+                        participants: e['參與人員'],
+                        summary_content: e['重點摘要'],
+                        todo_items: e['待辦事項'],
+                        created_time: e.createdTime || null,
+                        updated_time: e.lastUpdateTime || e.createdTime || null,
+                        created_by: e['建立者']
+                    }))
+                }]
+            },
+
+            ANNOUNCEMENT: {
+                label: '佈告欄',
+                load: async () => [{
+                    table: 'announcements',
+                    keyColumns: ['id'],
+                    updatedColumn: 'last_update_time',
+                    rows: (await this.announcementReader.getAnnouncements()).map(a => ({
+                        id: a.id,
+                        title: a.title,
+                        content: a.content,
+                        creator: a.creator,
+                        create_time: a.createTime || null,
+                        last_update_time: a.lastUpdateTime || a.createTime || null,
+                        status: a.status,
+                        is_pinned: a.isPinned === true
+                    }))
+                }]
+            },
+
+            PRODUCT: {
+                label: '市場商品資料',
+                load: async () => {
+                    if (!this.productReader) throw new Error('PRODUCT 遷移需要 ProductReader');
+                    const products = await this.productReader.getAllProducts();
+                    return [
+                        {
+                            table: 'products',
+                            keyColumns: ['product_id'],
+                            updatedColumn: 'last_update_time',
+                            rows: products.map(p => ({
+                                product_id: p.id,
+                                product_name: p.name,
+                                category: p.category,
+                                product_group: p.group,
+                                combination: p.combination,
+                                unit: p.unit,
+                                spec: p.spec,
+                                supplier: p.supplier,
+                                series: p.series,
+                                interface: p.interface,
+                                property: p.property,
+                                aspect: p.aspect,
+                                description: p.description,
+                                status: p.status || '上架',
+                                creator: p.creator,
+                                create_time: p.createTime || null,
+                                last_modifier: p.lastModifier,
+                                last_update_time: p.lastUpdateTime || p.createTime || null
+                            }))
+                        },
+                        {
+                            table: 'product_prices',
+                            keyColumns: ['product_id'],
+                            updatedColumn: 'updated_time',
+                            rows: products.map(p => ({
+                                product_id: p.id,
+                                cost: toPrice(p.cost),
+                                price_mtb: toPrice(p.priceMtb),
+                                price_si: toPrice(p.priceSi),
+                                price_mtu: toPrice(p.priceMtu),
+                                updated_by: p.lastModifier,
+                                updated_time: p.lastUpdateTime || p.createTime || null
+                            }))
+                        }
+                    ];
+                }
+            },
+
+            SYSTEM: {
+                label: '系統設定',
+                load: async () => {
+                    if (!this.systemReader) throw new Error('SYSTEM 遷移需要 SystemReader');
+                    const rows = (await this.systemReader.getSystemConfigRaw()).slice(1); // 第 1 列為標題
+                    return [{
+                        table: 'system_config',
+                        keyColumns: ['config_type', 'config_item', 'scope'],
+                        optionalKeyColumns: ['scope'],
+                        updatedColumn: null,
+                        // 停用的設定列也一併遷移 (停用的自訂欄位 / 階段關卡重新儲存即恢復)
+                        rows: rows
+                            .filter(row => row[0] || row[1])
+                            .map(([type, item, order, enabled, note, color, value2, value3, category]) => ({
+                                config_type: type,
+                                config_item: item,
+                                scope: systemScopeOf(type, value2, category),
+                                display_order: parseInt(order) || null,
+                                enabled: String(enabled).toUpperCase() === 'TRUE',
+                                note: note || '',
+                                color: color || '',
+                                value2: value2 || '',
+                                value3: value3 || '',
+                                category: category || ''
+                            }))
+                    }];
+                }
+            },
+
+            AUTH: {
+                label: '使用者名冊',
+                load: async () => {
+                    if (!this.systemReader) throw new Error('AUTH 遷移需要 SystemReader');
+                    const users = await this.systemReader.getUsers();
+                    return [{
+                        table: 'users',
+                        keyColumns: ['username'],
+                        // created_time / updated_time 不帶入：新增時由資料庫預設值補上，既有資料保留
+                        rows: users
+                            .filter(u => u.rowIndex > 1) // 第 1 列為標題
+                            .map(u => ({
+                                username: u.username,
+                                username_lower: u.username.toLowerCase(),
+                                password_hash: u.passwordHash,
+                                display_name: u.displayName || u.username,
+                                role: u.role || 'sales'
+                            }))
+                    }];
+                }
+            }
+        };
+    }
+
+    // ============================================================
+    //  Internal Helpers
+    // ============================================================
+
+    _buildKey(row, keyColumns) {
+        return keyColumns.map(col => valueCompare.normalize(row[col])).join('::');
+    }
+
+    _prepareRow(row, target) {
+        const prepared = { ...row };
+        // PostgreSQL rejects "" for date types. Convert "" to null.
+        (target.dateColumns || []).forEach(col => {
+            if (prepared[col] === '' || prepared[col] === undefined) prepared[col] = null;
+        });
+        return prepared;
+    }
+
+    _diffTarget(target, sqlRows) {
+        const result = {
+            table: target.table,
+            inserts: [],
+            updates: [],
+            conflicts: [],
+            unchanged: 0
+        };
+
+        const sqlMap = new Map(sqlRows.map(r => [this._buildKey(r, target.keyColumns), r]));
+        const seenKeys = new Set();
+
+        target.rows.forEach(rawRow => {
+            const row = this._prepareRow(rawRow, target);
+            const key = this._buildKey(row, target.keyColumns);
+
+            const requiredKeys = target.keyColumns.filter(col => !(target.optionalKeyColumns || []).includes(col));
+            if (requiredKeys.some(col => !valueCompare.normalize(row[col]))) {
+                result.conflicts.push({ key, reason: '缺少主鍵', row });
+                return;
+            }
+            if (seenKeys.has(key)) {
+                result.conflicts.push({ key, reason: 'Sheet 內主鍵重複', row });
+                return;
+            }
+            seenKeys.add(key);
+
+            const existing = sqlMap.get(key);
+            if (!existing) {
+                result.inserts.push({ key, row });
+                return;
+            }
+
+            const changes = Object.keys(row)
+                .filter(col => !valueCompare.isSameValue(existing[col], row[col]))
+                .map(col => ({ field: col, from: existing[col], to: row[col] }));
+
+            if (changes.length === 0) {
+                result.unchanged++;
+                return;
+            }
+
+            if (target.updatedColumn) {
+                const sqlTime = Date.parse(existing[target.updatedColumn]);
+                const sheetTime = Date.parse(row[target.updatedColumn]);
+                if (!isNaN(sqlTime) && !isNaN(sheetTime) && sqlTime > sheetTime) {
+                    result.conflicts.push({ key, reason: 'SQL 資料較新 (已於新系統修改)', row, changes });
+                    return;
+                }
+            }
+
+            result.updates.push({ key, row, changes });
+        });
+
+        return result;
+    }
+
+    // ============================================================
+    //  Public Methods
+    // ============================================================
+
+    /**
+     * 取得可遷移的實體清單
+     */
+    getSupportedEntities() {
+        return Object.keys(this.ENTITY_SPECS);
+    }
+
+    /**
+     * 產生單一實體的遷移計畫 (Dry-run，不寫入)
+     * @param {string} entityKey - 例如 'OPPORTUNITY'
+     * @returns {Promise<Object>} { entity, label, targets: [...] }
+     */
+    async planEntity(entityKey) {
+        const spec = this.ENTITY_SPECS[entityKey];
+        if (!spec) {
+            throw new Error(`不支援的遷移實體: ${entityKey} (可用: ${this.getSupportedEntities().join(', ')})`);
+        }
+
+        console.log(`🔍 [MigrationService] 分析 ${entityKey} (${spec.label})...`);
+
+        const targets = await spec.load();
+        const diffs = [];
+
+        for (const target of targets) {
+            const sqlRows = await this.migrationSqlWriter.fetchAllRows(target.table);
+            diffs.push({
+                ...this._diffTarget(target, sqlRows),
+                keyColumns: target.keyColumns
+            });
+        }
+
+        return { entity: entityKey, label: spec.label, targets: diffs };
+    }
+
+    /**
+     * 套用遷移計畫
+     * @param {Object} plan - planEntity() 的回傳值
+     * @param {Object} options
+     * @param {boolean} [options.force=false] - 是否連同衝突資料一併覆寫 (僅限 SQL 較新的衝突，主鍵問題永遠略過)
+     * @returns {Promise<Object>} { entity, results: [{ table, written, skipped }] }
+     */
+    async applyPlan(plan, { force = false } = {}) {
+        const results = [];
+
+        for (const target of plan.targets) {
+            const overridable = force
+                ? target.conflicts.filter(c => c.changes)
+                : [];
+
+            const rows = [
+                ...target.inserts.map(i => i.row),
+                ...target.updates.map(u => u.row),
+                ...overridable.map(c => c.row)
+            ];
+
+            await this.migrationSqlWriter.upsertRows(target.table, rows, target.keyColumns.join(', '));
+
+            results.push({
+                table: target.table,
+                written: rows.length,
+                skipped: target.conflicts.length - overridable.length
+            });
+        }
+
+        return { entity: plan.entity, results };
+    }
+}
+
+module.exports = MigrationService;
@@ -8,8 +8,20 @@
  * - [FIX-2] Enforced hard contract on batchUpdateOpportunities (Throw on missing ID).
  * - [FIX-3] Explicitly marked RAW Contact Upgrade boundary.
  * - [PHASE 7] Migrated Contact Linking (Add/Delete) to SQL Writer.
+ * - [PHASE 8] Shadow Mode: 啟用時寫入在背景鏡射到 Sheet Writer，讀取時比對 Sheet 並記錄差異。
+ * - [PHASE 8] updateOpportunity 支援樂觀鎖 (expectedVersion = updatedTime)，衝突時回傳最新資料。
+ * - [AUDIT] updateOpportunity 不再寫入「機會資料更新」系統事件互動；欄位變更由 audit_logs 記錄。
+ * - [LIST QUERY] queryOpportunities 將篩選 / 排序 / Cursor 分頁下推到 SQL (GET /api/opportunities?filter[...]&sort=&limit=&cursor=)，
+ *   最後活動時間 (更新時間 / 最後互動取較晚者) 只為本頁的機會向資料庫彙總。
+ * - [LINK] 建立 / 變更終端客戶時解析 companyId (唯一的完整名稱)，機會以 companyId 歸屬公司。
+ * - [STAGE GATE] 推進階段前檢查階段關卡 (StageGateService)；批次更新先全部檢查，任一筆不符即整批不寫入。
  */
 
+const { assertVersion, isConflict } = require('../utils/concurrency');
+const listQuery = require('../utils/list-query');
+const { LIST_SPECS } = require('../data/list-specs');
+const companyLink = require('../utils/company-link');
+
 class OpportunityService {
     /**
      * @param {Object} config - 系統設定
@@ -25,6 +37,9 @@ class OpportunityService {
      * @param {SystemReader} systemReader
      * @param {OpportunitySqlReader} opportunitySqlReader
      * @param {OpportunitySqlWriter} opportunitySqlWriter
+     * @param {CompanySqlReader} [companySqlReader] - 解析終端客戶的 companyId
+     * @param {ShadowService} [shadowService] - SQL 切換期的雙寫比對 (選用)
+     * @param {StageGateService} [stageGateService] - 階段推進的必填檢查 (未注入時不檢查)
      */
     constructor({
         config,
@@ -39,7 +54,10 @@ class OpportunityService {
         eventLogReader,
         systemReader,
         opportunitySqlReader,
-        opportunitySqlWriter
+        opportunitySqlWriter,
+        companySqlReader,
+        shadowService,
+        stageGateService
     }) {
         this.config = config;
         
@@ -51,6 +69,7 @@ class OpportunityService {
         this.systemReader = systemReader;
         this.companyReader = companyReader;
         this.opportunitySqlReader = opportunitySqlReader;
+        this.companySqlReader = companySqlReader || null;
 
         // Writers
         this.opportunityWriter = opportunityWriter;
@@ -58,6 +77,9 @@ class OpportunityService {
         this.companyWriter = companyWriter;
         this.interactionWriter = interactionWriter;
         this.opportunitySqlWriter = opportunitySqlWriter;
+
+        this.shadowService = shadowService || null;
+        this.stageGateService = stageGateService || null;
     }
 
     /**
@@ -84,7 +106,75 @@ class OpportunityService {
             throw new Error("[Phase7 Boundary Violation] OpportunitySqlReader is required");
         }
         
-        return await this.opportunitySqlReader.getOpportunities();
+        const opportunities = await this.opportunitySqlReader.getOpportunities();
+
+        if (this._isShadowing()) {
+            // 背景比對，不等待 Sheet 讀取
+            this.shadowService.shadowRead(
+                'OPPORTUNITY',
+                opportunities,
+                () => this.opportunityReader.getOpportunities({ includeArchived: true }),
+                'OpportunityService._fetchOpportunities'
+            );
+        }
+
+        return opportunities;
+    }
+
+    // ============================================================
+    //  Shadow Mode (SQL 為主，Sheet 為影子)
+    // ============================================================
+
+    _isShadowing() {
+        return !!(this.shadowService && this.shadowService.isEnabled('OPPORTUNITY'));
+    }
+
+    async _findSheetOpportunity(opportunityId) {
+        const rows = await this.opportunityReader.getOpportunities({ includeArchived: true });
+        return rows.find(o => o.opportunityId === opportunityId) || null;
+    }
+
+    async _findSheetRowIndex(opportunityId) {
+        const row = await this._findSheetOpportunity(opportunityId);
+        if (!row) throw new Error(`Sheet 中找不到機會 (ID: ${opportunityId})`);
+        return row.rowIndex;
+    }
+
+    /**
+     * 排入背景鏡射與單筆比對 (ShadowService.scheduleWrite)；writeFn 為 null 時只比對
+     */
+    _shadowWrite(operation, opportunityId, writeFn) {
+        if (!this._isShadowing()) return;
+        this.shadowService.scheduleWrite('OPPORTUNITY', `OpportunityService.${operation}`, opportunityId, {
+            write: writeFn,
+            loadSqlRecord: () => this.opportunitySqlReader.getOpportunityById(opportunityId),
+            loadSheetRecord: () => this._findSheetOpportunity(opportunityId)
+        });
+    }
+
+    /**
+     * 解析終端客戶的 companyId：呼叫端已指定 companyId 時直接採用；
+     * 否則以完整名稱比對，找不到或同名多筆時不連結 (null)，由遷移工具或使用者後續處理
+     * @param {Object} data - 含 companyId / customerCompany 的 DTO
+     * @returns {Promise<string|null>}
+     */
+    async _resolveCompanyId(data) {
+        if (data.companyId) return data.companyId;
+        if (!data.customerCompany) return null;
+
+        try {
+            const companies = this.companySqlReader
+                ? await this.companySqlReader.getCompanies()
+                : await this.companyReader.getCompanyList();
+            const { companyId, match } = companyLink.resolve(companies, data.customerCompany);
+            if (match === 'ambiguous') {
+                console.warn(`[OpportunityService] 終端客戶「${data.customerCompany}」同名公司不只一家，暫不連結 companyId`);
+            }
+            return companyId;
+        } catch (error) {
+            console.warn(`[OpportunityService] 解析 companyId 失敗，暫不連結: ${error.message}`);
+            return null;
+        }
     }
 
     /**
@@ -105,13 +195,28 @@ class OpportunityService {
         }
     }
 
+    /**
+     * 建立前的階段關卡檢查 (建立時指定的階段視為從第一個階段推進)；
+     * 建立前還有其他寫入的流程 (名片升級) 先呼叫，避免關卡不符時留下一半的資料
+     * @throws {Error} STAGE_GATE_BLOCKED
+     */
+    async assertCreateAllowed(opportunityData) {
+        if (this.stageGateService) await this.stageGateService.assertCreate(opportunityData);
+    }
+
     /**
      * 建立新機會案件
      */
     async createOpportunity(opportunityData, user) {
         try {
             const modifier = user.displayName || user.username || 'System';
-            const result = await this.opportunitySqlWriter.createOpportunity(opportunityData, modifier);
+            await this.assertCreateAllowed(opportunityData);
+            const companyId = await this._resolveCompanyId(opportunityData);
+            const result = await this.opportunitySqlWriter.createOpportunity({ ...opportunityData, companyId }, modifier);
+
+            this._shadowWrite('createOpportunity', result.id, () =>
+                this.opportunityWriter.createOpportunity({ ...opportunityData, opportunityId: result.id }, modifier)
+            );
             
             return result;
         } catch (error) {
@@ -240,55 +345,41 @@ class OpportunityService {
 
     /**
      * 更新機會案件，並自動新增多種互動紀錄
+     * @param {Object} [options]
+     * @param {string} [options.expectedVersion] - 讀取時的 updatedTime；不符時拋出 VERSION_CONFLICT (error.current 為最新資料)
      */
-    async updateOpportunity(opportunityId, updateData, user) {
+    async updateOpportunity(opportunityId, updateData, user, options = {}) {
         try {
             const modifier = user.displayName || user.username || 'System';
+            const expectedVersion = options.expectedVersion || null;
             
             const originalOpportunity = await this.opportunitySqlReader.getOpportunityById(opportunityId);
             
             if (!originalOpportunity) {
                 throw new Error(`找不到要更新的機會 (ID: ${opportunityId})`);
             }
-            
-            const oldStage = originalOpportunity.currentStage;
-
-            const systemConfig = await this.systemReader.getSystemConfig();
-            const getNote = (configKey, value) => (systemConfig[configKey] || []).find(i => i.value === value)?.note || value || 'N/A';
-            const stageMapping = new Map((systemConfig['機會階段'] || []).map(item => [item.value, item.note]));
-            
-            const logs = [];
+            assertVersion('機會', opportunityId, expectedVersion, originalOpportunity);
+            if (this.stageGateService) await this.stageGateService.assertTransition(originalOpportunity, updateData);
 
-            const newStage = updateData.currentStage;
-            if (newStage && oldStage && newStage !== oldStage) {
-                const oldStageName = stageMapping.get(oldStage) || oldStage;
-                const newStageName = stageMapping.get(newStage) || newStage;
-                logs.push(`階段從【${oldStageName}】更新為【${newStageName}】`);
-            }
-            
-            if (updateData.opportunityValue !== undefined && updateData.opportunityValue !== originalOpportunity.opportunityValue) {
-                logs.push(`機會價值從 [${originalOpportunity.opportunityValue || '未設定'}] 更新為 [${updateData.opportunityValue || '未設定'}]`);
+            // 終端客戶變更時重新解析公司關聯
+            if (updateData.customerCompany !== undefined && updateData.companyId === undefined
+                && updateData.customerCompany !== originalOpportunity.customerCompany) {
+                updateData = { ...updateData, companyId: await this._resolveCompanyId({ customerCompany: updateData.customerCompany }) };
             }
 
-            const oldAssignee = originalOpportunity.assignee || originalOpportunity.owner;
-            if (updateData.assignee !== undefined && updateData.assignee !== oldAssignee) {
-                logs.push(`負責業務從 [${getNote('團隊成員', oldAssignee)}] 變更為 [${getNote('團隊成員', updateData.assignee)}]`);
-            }
-            
-            if (updateData.expectedCloseDate !== undefined && updateData.expectedCloseDate !== originalOpportunity.expectedCloseDate) {
-                logs.push(`預計結案日從 [${originalOpportunity.expectedCloseDate || '未設定'}] 更新為 [${updateData.expectedCloseDate || '未設定'}]`);
+            // 欄位變更由 OpportunitySqlWriter 寫入 audit_logs (見 /api/audit)，不再產生「系統事件」互動
+            let updateResult;
+            try {
+                updateResult = await this.opportunitySqlWriter.updateOpportunity(opportunityId, updateData, modifier, { expectedVersion });
+            } catch (error) {
+                if (isConflict(error)) error.current = await this.opportunitySqlReader.getOpportunityById(opportunityId);
+                throw error;
             }
 
-            const updateResult = await this.opportunitySqlWriter.updateOpportunity(opportunityId, updateData, modifier);
-            
-            if (logs.length > 0) {
-                await this._logOpportunityInteraction(
-                    opportunityId,
-                    '機會資料更新',
-                    logs.join('； '),
-                    modifier
-                );
-            }
+            this._shadowWrite('updateOpportunity', opportunityId, async () => {
+                const rowIndex = await this._findSheetRowIndex(opportunityId);
+                return this.opportunityWriter.updateOpportunity(rowIndex, updateData, modifier);
+            });
             
             return updateResult;
         } catch (error) {
@@ -361,7 +452,7 @@ class OpportunityService {
 
             // [Phase 7 Migration] SQL Write Authority
             // Old: await this.opportunityWriter.deleteContactLink(opportunityId, contactId);
-            const deleteResult = await this.opportunitySqlWriter.unlinkContact(opportunityId, contactId);
+            const deleteResult = await this.opportunitySqlWriter.unlinkContact(opportunityId, contactId, modifier);
 
             if (deleteResult.success) {
                 await this._logOpportunityInteraction(
@@ -393,13 +484,13 @@ class OpportunityService {
             }
 
             const deleteResult = await this.opportunitySqlWriter.deleteOpportunity(opportunityId, modifier);
+
+            this._shadowWrite('deleteOpportunity', opportunityId, null);
             
             if (deleteResult.success && opportunity.customerCompany) {
                 try {
                     const allCompanies = await this.companyReader.getCompanyList();
-                    const company = allCompanies.find(c => 
-                        c.companyName.toLowerCase().trim() === opportunity.customerCompany.toLowerCase().trim()
-                    );
+                    const company = allCompanies.find(c => companyLink.isLinked(opportunity, c));
                     
                     if (company) {
                         await this.interactionWriter.createInteraction({
@@ -463,18 +554,22 @@ class OpportunityService {
                 ? activeOpportunities.filter(opp => opp.opportunityType === opportunityType)
                 : activeOpportunities;
             
-            const normalize = (name) => name ? name.toLowerCase().trim() : '';
+            const normalize = companyLink.nameKey;
             const companyToCountyMap = new Map();
+            const companyIdToCountyMap = new Map();
             
             (companies || []).forEach(c => {
                 if (c.companyName) {
                     companyToCountyMap.set(normalize(c.companyName), c.county);
                 }
+                if (c.companyId) companyIdToCountyMap.set(c.companyId, c.county);
             });
 
             const countyCounts = {};
             filteredOpportunities.forEach(opp => {
-                const county = companyToCountyMap.get(normalize(opp.customerCompany));
+                const county = opp.companyId
+                    ? companyIdToCountyMap.get(opp.companyId)
+                    : companyToCountyMap.get(normalize(opp.customerCompany));
                 if (county) {
                     countyCounts[county] = (countyCounts[county] || 0) + 1;
                 }
@@ -570,18 +665,69 @@ class OpportunityService {
         }
     }
 
+    /**
+     * 列表查詢 (篩選 / 排序 / Cursor 分頁下推到 SQL)
+     * 未指定 currentStatus 條件時與 searchOpportunities 相同，排除已封存
+     * lastActivity 是衍生欄位，不能排序；只對本頁的機會計算
+     * @param {Object} parsed - req.listQuery (utils/list-query.js)
+     * @returns {Promise<Object>} { items, nextCursor, hasMore }
+     */
+    async queryOpportunities(parsed) {
+        if (!this.opportunitySqlReader) {
+            throw new Error("[Phase7 Boundary Violation] OpportunitySqlReader is required");
+        }
+        const effective = listQuery.withDefaultFilter(
+            parsed, LIST_SPECS.opportunity, 'currentStatus', 'neq', this.config.CONSTANTS.OPPORTUNITY_STATUS.ARCHIVED
+        );
+        const page = await this.opportunitySqlReader.queryOpportunities(effective);
+        const interactions = await this.opportunitySqlReader.getLastInteraction(page.items.map(item => item.opportunityId));
+        const interactionMap = new Map(interactions.map(i => [i.opportunityId, new Date(i.lastInteraction).getTime()]));
+
+        return {
+            ...page,
+            items: page.items.map(item => {
+                const updatedTs = new Date(item.updatedTime || item.createdTime).getTime();
+                const lastTs = Math.max(isNaN(updatedTs) ? 0 : updatedTs, interactionMap.get(item.opportunityId) || 0);
+                return { ...item, lastActivity: lastTs ? new Date(lastTs).toISOString() : null };
+            })
+        };
+    }
+
+    /**
+     * 推進各階段的待辦清單 (階段關卡)
+     * @param {string} opportunityId
+     */
+    async getStageGateChecklist(opportunityId) {
+        const opportunity = await this.opportunitySqlReader.getOpportunityById(opportunityId);
+        if (!opportunity) {
+            throw new Error(`找不到機會ID為 ${opportunityId} 的案件`);
+        }
+        const stages = this.stageGateService ? await this.stageGateService.getChecklist(opportunity) : [];
+        return { opportunityId, currentStage: opportunity.currentStage, stages };
+    }
+
     /**
      * 批量更新機會案件
      * [FIX-2] Enforce Hard Contract (Fail Fast on missing ID)
+     * 寫入前先檢查所有筆數的階段關卡，避免部分推進
      */
     async batchUpdateOpportunities(updates) {
         let successCount = 0;
-        
+
         for (const update of updates) {
             if (!update.opportunityId) {
                 throw new Error("[Phase7 Contract Violation] batchUpdateOpportunities requires opportunityId");
             }
+        }
+
+        if (this.stageGateService) {
+            for (const update of updates) {
+                const original = await this.opportunitySqlReader.getOpportunityById(update.opportunityId);
+                if (original) await this.stageGateService.assertTransition(original, update.data || {});
+            }
+        }
 
+        for (const update of updates) {
             try {
                 await this.updateOpportunity(update.opportunityId, update.data, { displayName: update.modifier });
                 successCount++;
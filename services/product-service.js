@@ -1,34 +1,59 @@
 /**
  * services/product-service.js
  * 商品管理服務
- * * @version 5.2.1 (Phase 4 Optimization)
- * @date 2026-01-13
+ * * @version 5.3.0 (Phase 8: Product SQL)
+ * @date 2026-10-19
  * @author Gemini (System Architect)
  * @description 負責市場商品資料的查詢、建立與維護。
  * 優化：實作 batchUpdate 的 Dirty Checking (差異更新) 與 Rate Limiting (速率限制) 以解決 429 錯誤。
+ * [Phase 8] config.DATA_SOURCES.PRODUCT = 'SQL' 時，batchUpdate 改為單一交易 Upsert (不再需要 Rate Limiting)；
+ * 成本與通路價格僅在 includeConfidential 時回傳。
  */
 
+// 機敏價格欄位 (僅管理員可讀)
+const CONFIDENTIAL_FIELDS = ['cost', 'priceMtb', 'priceSi', 'priceMtu'];
+
 class ProductService {
     /**
      * @param {ProductReader} productReader
      * @param {ProductWriter} productWriter
      * @param {SystemReader} systemReader - 用於讀取分類排序設定
      * @param {SystemWriter} systemWriter - 用於寫入分類排序設定
+     * @param {Object} config - 系統設定 (讀取 DATA_SOURCES.PRODUCT)
      */
-    constructor(productReader, productWriter, systemReader, systemWriter) {
+    constructor(productReader, productWriter, systemReader, systemWriter, config) {
         this.productReader = productReader;
         this.productWriter = productWriter;
         this.systemReader = systemReader;
         this.systemWriter = systemWriter;
+        this.config = config;
+    }
+
+    _isSqlSource() {
+        return !!(this.config && this.config.DATA_SOURCES && this.config.DATA_SOURCES.PRODUCT === 'SQL');
+    }
+
+    /**
+     * 移除機敏價格欄位 (Sheet 來源一次讀回整列，需在此過濾；SQL 來源本身就不會查詢價格表)
+     */
+    _withholdConfidential(product) {
+        const copy = { ...product };
+        CONFIDENTIAL_FIELDS.forEach(field => delete copy[field]);
+        return copy;
     }
 
     /**
      * 取得所有商品列表
      * @param {Object} filters - 選填篩選條件 { category, status, search }
+     * @param {Object} [options]
+     * @param {boolean} [options.includeConfidential=false] - 是否包含成本與通路價格 (僅限管理員)
      */
-    async getAllProducts(filters = {}) {
+    async getAllProducts(filters = {}, { includeConfidential = false } = {}) {
         try {
-            let products = await this.productReader.getAllProducts();
+            let products = await this.productReader.getAllProducts({ includeConfidential });
+            if (!includeConfidential) {
+                products = products.map(p => this._withholdConfidential(p));
+            }
 
             // 記憶體內篩選 (In-Memory Filtering)
             if (filters.category) {
@@ -57,11 +82,13 @@ class ProductService {
     /**
      * 取得單一商品詳情
      * @param {string} productId 
+     * @param {Object} [options] - 同 getAllProducts
      */
-    async getProductById(productId) {
+    async getProductById(productId, { includeConfidential = false } = {}) {
         try {
-            const products = await this.productReader.getAllProducts();
-            return products.find(p => p.id === productId) || null;
+            const products = await this.productReader.getAllProducts({ includeConfidential });
+            const product = products.find(p => p.id === productId) || null;
+            return product && !includeConfidential ? this._withholdConfidential(product) : product;
         } catch (error) {
             console.error(`[ProductService] getProductById Error (${productId}):`, error);
             return null;
@@ -95,13 +122,18 @@ class ProductService {
         }
 
         const modifier = user.displayName || user.username || 'System';
+
+        if (this._isSqlSource()) {
+            return this._batchUpsertSql(products, modifier);
+        }
+
         const stats = { updated: 0, appended: 0, skipped: 0, errors: 0 };
         
         console.log(`🔄 [ProductService] 開始批次處理 ${products.length} 筆資料...`);
 
         // 1. 取得現有資料以進行比對 (Dirty Checking)
         // 必須強制重新讀取一次，確保比對基準是最新的，避免覆蓋他人修改
-        if (this.productReader.clearCache) this.productReader.clearCache();
+        this.productReader.invalidateCache('marketProducts');
         const currentProducts = await this.productReader.getAllProducts();
         
         // 建立 Map 加速查找: ID -> Product Object
@@ -151,6 +183,37 @@ class ProductService {
         return stats;
     }
 
+    /**
+     * [SQL] 批次更新：同樣先做 Dirty Checking，再以單一交易寫入；任一筆失敗則整批不生效
+     */
+    async _batchUpsertSql(products, modifier) {
+        const stats = { updated: 0, appended: 0, skipped: 0, errors: 0 };
+
+        const currentProducts = await this.productReader.getAllProducts({ includeConfidential: true });
+        const productMap = new Map(currentProducts.map(p => [p.id, p]));
+
+        const changed = [];
+        products.forEach((item, index) => {
+            const existing = item.id ? productMap.get(item.id) : null;
+            if (existing) {
+                if (this._hasChanges(existing, item)) {
+                    changed.push(item);
+                    stats.updated++;
+                } else {
+                    stats.skipped++;
+                }
+            } else {
+                changed.push({ ...item, id: item.id || `PROD${Date.now()}${index}`, status: item.status || '上架' });
+                stats.appended++;
+            }
+        });
+
+        await this.productWriter.upsertProducts(changed, modifier);
+
+        console.log(`✅ [ProductService] SQL 批次處理完成: 更新=${stats.updated}, 新增=${stats.appended}, 跳過=${stats.skipped}`);
+        return stats;
+    }
+
     /**
      * 【內部輔助】比對兩筆商品資料是否有實質差異
      * @param {Object} existing - 現有資料 (來自 Reader)
@@ -196,12 +259,11 @@ class ProductService {
      * 強制重新整理快取
      */
     async refreshCache() {
-        if (this.productReader.clearCache) {
-            this.productReader.clearCache();
-        }
-        if (this.systemReader.clearCache) {
-            this.systemReader.clearCache();
+        // SQL 模式的 ProductSqlReader 不經快取
+        if (this.productReader.invalidateCache) {
+            this.productReader.invalidateCache('marketProducts');
         }
+        this.systemReader.invalidateCache('systemConfigRaw');
         // 預熱
         await this.productReader.getAllProducts();
     }
@@ -245,11 +307,6 @@ class ProductService {
             // 這裡不需要像 Batch Update 那麼嚴格的 Rate Limit，因為是單次操作
             await this.systemWriter.updateSystemPref('PRODUCT_CATEGORY_ORDER', JSON.stringify(order));
             
-            // 清除 System 快取
-            if (this.systemReader.clearCache) {
-                this.systemReader.clearCache();
-            }
-            
             return { success: true };
         } catch (error) {
             console.error('[ProductService] saveCategoryOrder Failed:', error);
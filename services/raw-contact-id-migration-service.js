@@ -0,0 +1,55 @@
+/**
+ * services/raw-contact-id-migration-service.js
+ * 名片 (RAW) 原始ID 回填服務
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * - 名片以原始ID 欄 (originalId) 定位；LINE Bot 等外部來源寫入的列可能沒有 ID，由本服務一次性回填。
+ * - 讀取路徑 (ContactService) 不再寫入 Sheet，回填只在 tools/backfill-raw-contact-ids.js 執行。
+ * - plan() 不寫入任何資料；apply() 只寫入仍缺少 ID 的列，重複執行不會產生新的變更 (Idempotent)。
+ * - 沒有姓名也沒有公司的空白列不回填。
+ */
+
+class RawContactIdMigrationService {
+    /**
+     * @param {Object} dependencies
+     * @param {ContactReader} dependencies.contactRawReader - bound to IDS.RAW
+     * @param {ContactWriter} dependencies.contactWriter - writePotentialContactIds()
+     */
+    constructor({ contactRawReader, contactWriter }) {
+        this.contactRawReader = contactRawReader;
+        this.contactWriter = contactWriter;
+    }
+
+    /**
+     * 列出缺少原始ID 的名片與預定寫入的 ID
+     * @returns {Promise<Object>} { assignments: [{ rowIndex, originalId, name, company }], alreadyAssigned }
+     */
+    async plan() {
+        this.contactRawReader.invalidateCache('contacts');
+        const contacts = await this.contactRawReader.getContacts();
+        const cards = contacts.filter(c => c.name || c.company);
+
+        const stamp = Date.now();
+        const assignments = cards
+            .filter(c => !c.originalId)
+            .map((c, i) => ({ rowIndex: c.rowIndex, originalId: `RAW_${stamp}_${i + 1}`, name: c.name, company: c.company }));
+
+        return { assignments, alreadyAssigned: cards.length - assignments.length };
+    }
+
+    /**
+     * @param {Object} plan - plan() 的結果
+     * @returns {Promise<Object>} { assigned }
+     */
+    async apply(plan) {
+        if (plan.assignments.length > 0) {
+            await this.contactWriter.writePotentialContactIds(
+                plan.assignments.map(({ rowIndex, originalId }) => ({ rowIndex, originalId }))
+            );
+        }
+        return { assigned: plan.assignments.length };
+    }
+}
+
+module.exports = RawContactIdMigrationService;
@@ -0,0 +1,265 @@
+/**
+ * services/search-service.js
+ * 全域搜尋 (跨實體) 服務
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * - 一次搜尋公司、正式聯絡人、潛在客戶 (名片)、機會、互動紀錄、事件紀錄，依實體分組並排序。
+ * - 資料來源沿用各 Service 的公開讀取方法 (SQL 優先 / Sheet 備援)，回收桶內的紀錄一律排除。
+ * - 斷詞、計分與摘要標示見 utils/search-text.js；欄位權重在 SEARCH_ENTITIES 內設定，第一個欄位為標題。
+ * - 事件另外比對該事件類型範本的全部欄位 (專屬欄與 details，services/event-template-service.js)，管理員新增的類型也搜尋得到。
+ * - target 為前端 Router.navigateTo 的頁面與參數 (名片沒有詳細頁，導向潛在客戶列表)。
+ */
+
+const searchText = require('../utils/search-text');
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+const MAX_QUERY_LENGTH = 100;
+const TEMPLATE_FIELD_WEIGHT = 1;
+
+const opportunityTarget = (opportunityId) => ({ page: 'opportunity-details', params: { opportunityId } });
+const companyTarget = (companyId) => (companyId ? { page: 'company-details', params: { companyId } } : null);
+
+/**
+ * 實體定義
+ * - source：SearchService._loadSources() 回傳的資料集
+ * - fields：[key, label, weight]
+ * - templateFields：另外比對事件範本的欄位 (權重 TEMPLATE_FIELD_WEIGHT)
+ */
+const SEARCH_ENTITIES = {
+    company: {
+        label: '公司',
+        source: 'companies',
+        id: c => c.companyId,
+        fields: [
+            ['companyName', '公司名稱', 3],
+            ['county', '縣市', 1],
+            ['address', '地址', 1],
+            ['phone', '電話', 1],
+            ['introduction', '公司簡介', 1]
+        ],
+        subtitle: c => [c.companyType, c.county].filter(Boolean).join(' · '),
+        target: c => companyTarget(c.companyId)
+    },
+    contact: {
+        label: '聯絡人',
+        source: 'contacts',
+        id: c => c.contactId,
+        fields: [
+            ['name', '姓名', 3],
+            ['companyName', '公司', 2],
+            ['position', '職稱', 1],
+            ['department', '部門', 1],
+            ['email', 'Email', 1],
+            ['mobile', '手機', 1]
+        ],
+        subtitle: c => [c.companyName, c.position].filter(Boolean).join(' · '),
+        target: c => companyTarget(c.companyId)
+    },
+    card: {
+        label: '潛在客戶 (名片)',
+        source: 'cards',
+        id: c => c.originalId,
+        fields: [
+            ['name', '姓名', 3],
+            ['company', '公司', 2],
+            ['position', '職稱', 1],
+            ['email', 'Email', 1],
+            ['mobile', '手機', 1],
+            ['address', '地址', 1],
+            ['notes', '備註', 1]
+        ],
+        subtitle: c => [c.company, c.position].filter(Boolean).join(' · '),
+        target: () => ({ page: 'contacts', params: {} })
+    },
+    opportunity: {
+        label: '機會案件',
+        source: 'opportunities',
+        id: o => o.opportunityId,
+        fields: [
+            ['opportunityName', '機會名稱', 3],
+            ['customerCompany', '終端客戶', 2],
+            ['mainContact', '主要聯絡人', 1.5],
+            ['owner', '負責業務', 1],
+            ['productDetails', '可能規格', 1],
+            ['notes', '備註', 1]
+        ],
+        subtitle: o => [o.customerCompany, o.currentStage, o.currentStatus].filter(Boolean).join(' · '),
+        target: o => opportunityTarget(o.opportunityId)
+    },
+    interaction: {
+        label: '互動紀錄',
+        source: 'interactions',
+        id: i => i.interactionId,
+        fields: [
+            ['eventTitle', '標題', 2],
+            ['contentSummary', '內容摘要', 1.5],
+            ['nextAction', '下次行動', 1],
+            ['opportunityName', '關聯對象', 1],
+            ['recorder', '記錄人', 1]
+        ],
+        subtitle: i => [i.opportunityName, i.interactionTime].filter(Boolean).join(' · '),
+        target: i => (i.opportunityId ? opportunityTarget(i.opportunityId) : companyTarget(i.companyId))
+    },
+    event: {
+        label: '事件紀錄',
+        source: 'events',
+        id: e => e.eventId,
+        fields: [
+            ['eventName', '事件名稱', 3],
+            ['eventContent', '會議內容', 1.5],
+            ['clientQuestions', '客戶提問', 1.5],
+            ['clientIntelligence', '客戶情報', 1.5],
+            ['eventNotes', '備註', 1],
+            ['visitPlace', '會議地點', 1],
+            ['clientParticipants', '客戶與會人員', 1]
+        ],
+        templateFields: true,
+        subtitle: e => [e.opportunityName || e.companyName, e.createdTime].filter(Boolean).join(' · '),
+        target: e => (e.opportunityId ? opportunityTarget(e.opportunityId) : companyTarget(e.companyId))
+    }
+};
+
+class SearchService {
+    /**
+     * @param {Object} deps
+     * @param {CompanyService} deps.companyService
+     * @param {ContactService} deps.contactService
+     * @param {OpportunityService} deps.opportunityService
+     * @param {InteractionService} deps.interactionService
+     * @param {EventLogService} deps.eventLogService
+     * @param {TrashService} [deps.trashService] - 排除回收桶內的紀錄 (Sheet 備援資料不含 deleted_at)
+     * @param {EventTemplateService} [deps.eventTemplateService] - 事件範本欄位 (未注入時只比對共用欄位)
+     */
+    constructor({ companyService, contactService, opportunityService, interactionService, eventLogService, trashService, eventTemplateService }) {
+        this.companyService = companyService;
+        this.contactService = contactService;
+        this.opportunityService = opportunityService;
+        this.interactionService = interactionService;
+        this.eventLogService = eventLogService;
+        this.trashService = trashService || null;
+        this.eventTemplateService = eventTemplateService || null;
+    }
+
+    getEntities() {
+        return Object.keys(SEARCH_ENTITIES);
+    }
+
+    /**
+     * @param {string} query
+     * @param {Object} [options]
+     * @param {string[]} [options.types] - 只搜尋指定實體 (預設全部)
+     * @param {number} [options.limit=5] - 每組最多回傳筆數
+     * @returns {Promise<Object>} { query, total, groups: [{ entity, label, count, items }] }
+     */
+    async search(query, { types, limit } = {}) {
+        const text = String(query || '').trim().slice(0, MAX_QUERY_LENGTH);
+        const tokens = searchText.tokenize(text);
+        if (tokens.units.length === 0) return { query: text, total: 0, groups: [] };
+
+        const perGroup = Math.min(parseInt(limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+        const entities = (types && types.length > 0 ? types : this.getEntities()).filter(e => SEARCH_ENTITIES[e]);
+
+        const [sources, trashed, templateFields] = await Promise.all([
+            this._loadSources(entities),
+            this._getTrashedIds(),
+            entities.some(e => SEARCH_ENTITIES[e].templateFields) ? this._getTemplateFields() : new Map()
+        ]);
+
+        const groups = entities.map(entity => {
+            const spec = SEARCH_ENTITIES[entity];
+            const deletedIds = trashed[entity];
+            const matches = [];
+
+            (sources[spec.source] || []).forEach(row => {
+                const id = spec.id(row);
+                if (deletedIds && deletedIds.has(id)) return;
+
+                const fields = spec.fields.map(([key, label, weight]) => ({ key, label, weight, value: row[key] }));
+                if (spec.templateFields) {
+                    (templateFields.get(row.eventType) || []).forEach(field => fields.push({
+                        key: field.key,
+                        label: field.label,
+                        weight: TEMPLATE_FIELD_WEIGHT,
+                        value: this.eventTemplateService.getFieldValue(row, field)
+                    }));
+                }
+                const result = searchText.scoreDocument(tokens, fields);
+                if (!result) return;
+
+                matches.push({
+                    entity,
+                    id,
+                    title: row[spec.fields[0][0]] || id,
+                    subtitle: spec.subtitle(row),
+                    score: result.score,
+                    snippetField: result.field.label,
+                    snippet: searchText.highlight(result.field.value, tokens),
+                    target: spec.target(row)
+                });
+            });
+
+            matches.sort((a, b) => b.score - a.score);
+            return { entity, label: spec.label, count: matches.length, items: matches.slice(0, perGroup) };
+        }).filter(group => group.count > 0);
+
+        // 組別依最高分排序，讓最可能的結果出現在最上面
+        groups.sort((a, b) => b.items[0].score - a.items[0].score);
+
+        return { query: text, total: groups.reduce((sum, g) => sum + g.count, 0), groups };
+    }
+
+    /**
+     * 平行讀取需要的資料集；單一來源失敗只記錄警告，不影響其他實體
+     */
+    async _loadSources(entities) {
+        const needs = new Set(entities.map(e => SEARCH_ENTITIES[e].source));
+
+        const loaders = {
+            companies: () => this.companyService.getCompanyListWithActivity({}),
+            contacts: () => this.contactService.getAllOfficialContacts(),
+            cards: () => this.contactService.getPotentialContacts(0),
+            opportunities: () => this.opportunityService.searchOpportunities('', 0, { includeArchived: true }),
+            interactions: async () => (await this.interactionService.searchInteractions('', 1, true)).data,
+            events: () => this.eventLogService.getAllEvents()
+        };
+
+        const names = [...needs];
+        const results = await Promise.all(names.map(name => loaders[name]().catch(error => {
+            console.warn(`[SearchService] 讀取 ${name} 失敗，略過: ${error.message}`);
+            return [];
+        })));
+
+        const sources = {};
+        names.forEach((name, i) => { sources[name] = Array.isArray(results[i]) ? results[i] : []; });
+        return sources;
+    }
+
+    /**
+     * 事件類型 -> 範本欄位 (含停用的類型，既有事件仍可搜尋)；讀取失敗只比對共用欄位
+     * @returns {Promise<Map<string, Array<Object>>>}
+     */
+    async _getTemplateFields() {
+        if (!this.eventTemplateService) return new Map();
+        try {
+            const templates = await this.eventTemplateService.getTemplates({ includeDisabled: true });
+            return new Map(templates.map(t => [t.type, t.sections.flatMap(section => section.fields)]));
+        } catch (error) {
+            console.warn(`[SearchService] 讀取事件範本失敗，略過範本欄位: ${error.message}`);
+            return new Map();
+        }
+    }
+
+    async _getTrashedIds() {
+        if (!this.trashService) return {};
+        try {
+            return await this.trashService.getDeletedIdSets();
+        } catch (error) {
+            console.warn(`[SearchService] 讀取回收桶失敗，不排除: ${error.message}`);
+            return {};
+        }
+    }
+}
+
+module.exports = SearchService;
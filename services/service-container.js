@@ -5,6 +5,29 @@
  * * @date 2026-02-06
  * * @description
  * - Injected OpportunitySqlWriter into OpportunityService.
+ * - BACKEND_MODE=MEMORY: 以 MemoryClientService 取代 GoogleClientService (fakes/)。
+ * - DATA_SOURCES.PRODUCT: 'SQL' 時 ProductService 改用 ProductSqlReader / ProductSqlWriter。
+ * - DATA_SOURCES.AUTH: 'SQL' 時 AuthService / SystemService 的使用者操作改用 users 資料表。
+ * - DATA_SOURCES.EVENT_LOG: 'SQL' 時 EventLogService 寫入改用 EventLogSqlWriter。
+ * - SHADOW_MODE: ShadowService (差異紀錄存於 ShadowSqlReader / ShadowSqlWriter) 注入 Opportunity / WeeklyBusiness /
+ *   Company / Interaction Service，並提供 ShadowController。
+ * - 回收桶：TrashSqlReader / TrashSqlWriter -> TrashService -> TrashController (/api/trash)。
+ * - InteractionService 的寫入改注入 InteractionSqlWriter (原本誤傳 Sheet 版 InteractionWriter，與 SQL 讀取不一致)。
+ * - 稽核：同一個 AuditSqlWriter 注入各實體 SQL Writer；AuditSqlReader -> AuditService -> AuditController (/api/audit)。
+ * - 全域搜尋：SearchService 組合各實體 Service 的讀取方法 -> SearchController (/api/search)。
+ * - 公司合併：CompanyMergeSqlReader / CompanyMergeSqlWriter -> CompanyMergeService -> CompanyMergeController (/api/company-merges)。
+ * - 聯絡人合併：ContactMergeSqlReader / ContactMergeSqlWriter -> ContactMergeService -> ContactController (/api/contacts/merge)。
+ * - 資料完整性：MigrationSqlWriter (整表讀取) / IntegritySqlWriter -> IntegrityService -> IntegrityController (/api/admin/integrity)。
+ * - 批次匯入：ImportService 經由 Company / Contact / Opportunity Service 寫入 -> ImportController (/api/imports)。
+ * - 資料匯出：ExportService 組合各實體 Service 的列表查詢 -> ExportController (/api/export)。
+ * - 備份 / 還原：BackupSheetWriter / BackupSqlWriter / BackupStore -> BackupService (tools/backup.js 與定期快照)。
+ * - 自訂欄位：SystemReader / SystemWriter (定義) + 各實體 SqlReader (值) -> CustomFieldService -> CustomFieldController (/api/custom-fields)；
+ *   所有 JSON 回應經 redactCustomFields 中間件依角色過濾欄位值；ExportService 只匯出角色可見的欄位。
+ * - 事件範本：SystemReader / SystemWriter + SystemService (選項來源) -> EventTemplateService -> EventTemplateController (/api/event-templates)；
+ *   事件的建立 / 更新經 validateEventTemplate 依範本檢查。
+ * - 階段關卡：SystemReader / SystemWriter + SystemService (機會階段) + 關聯 / 事件讀取 -> StageGateService -> StageGateController (/api/stage-gates)；
+ *   OpportunityService 於推進階段 (單筆、批次、看板拖曳) 前檢查。
+ * - 營收預測：OpportunitySqlReader + SystemService (下單機率權重) -> ForecastService (/api/sales-analysis/forecast)。
  */
 
 const config = require('../config');
@@ -12,6 +35,7 @@ const dateHelpers = require('../utils/date-helpers');
 
 // --- Import Infrastructure Services ---
 const GoogleClientService = require('./google-client-service');
+const MemoryClientService = require('./memory-client-service');
 
 // --- Import Readers ---
 const ContactReader = require('../data/contact-reader');
@@ -30,6 +54,7 @@ const WeeklyBusinessSqlReader = require('../data/weekly-business-sql-reader');
 const AnnouncementReader = require('../data/announcement-reader');
 const AnnouncementSqlReader = require('../data/announcement-sql-reader');
 const ProductReader = require('../data/product-reader');
+const ProductSqlReader = require('../data/product-sql-reader');
 
 // --- Import Writers ---
 const ContactWriter = require('../data/contact-writer');
@@ -40,12 +65,32 @@ const OpportunityWriter = require('../data/opportunity-writer');
 const OpportunitySqlWriter = require('../data/opportunity-sql-writer'); // [Added]
 const InteractionWriter = require('../data/interaction-writer');
 const EventLogWriter = require('../data/event-log-writer');
+const EventLogSqlWriter = require('../data/event-log-sql-writer');
+const InteractionSqlWriter = require('../data/interaction-sql-writer');
 const SystemWriter = require('../data/system-writer');
 const WeeklyBusinessWriter = require('../data/weekly-business-writer');
 const WeeklyBusinessSqlWriter = require('../data/weekly-business-sql-writer');
 const AnnouncementWriter = require('../data/announcement-writer');
 const AnnouncementSqlWriter = require('../data/announcement-sql-writer');
 const ProductWriter = require('../data/product-writer');
+const ProductSqlWriter = require('../data/product-sql-writer');
+const UserSqlReader = require('../data/user-sql-reader');
+const UserSqlWriter = require('../data/user-sql-writer');
+const TrashSqlReader = require('../data/trash-sql-reader');
+const TrashSqlWriter = require('../data/trash-sql-writer');
+const AuditSqlReader = require('../data/audit-sql-reader');
+const AuditSqlWriter = require('../data/audit-sql-writer');
+const ShadowSqlReader = require('../data/shadow-sql-reader');
+const ShadowSqlWriter = require('../data/shadow-sql-writer');
+const CompanyMergeSqlReader = require('../data/company-merge-sql-reader');
+const CompanyMergeSqlWriter = require('../data/company-merge-sql-writer');
+const ContactMergeSqlReader = require('../data/contact-merge-sql-reader');
+const ContactMergeSqlWriter = require('../data/contact-merge-sql-writer');
+const MigrationSqlWriter = require('../data/migration-sql-writer');
+const IntegritySqlWriter = require('../data/integrity-sql-writer');
+const BackupSqlWriter = require('../data/backup-sql-writer');
+const BackupSheetWriter = require('../data/backup-sheet-writer');
+const BackupStore = require('../data/backup-store');
 
 // --- Import Domain Services ---
 const AuthService = require('./auth-service');
@@ -57,12 +102,26 @@ const InteractionService = require('./interaction-service');
 const EventLogService = require('./event-log-service');
 const CalendarService = require('./calendar-service');
 const SalesAnalysisService = require('./sales-analysis-service');
+const ForecastService = require('./forecast-service');
 const WeeklyBusinessService = require('./weekly-business-service');
 const WorkflowService = require('./workflow-service');
 const ProductService = require('./product-service');
 const AnnouncementService = require('./announcement-service');
 const EventService = require('./event-service');
 const SystemService = require('./system-service');
+const ShadowService = require('./shadow-service');
+const TrashService = require('./trash-service');
+const AuditService = require('./audit-service');
+const CompanyMergeService = require('./company-merge-service');
+const ContactMergeService = require('./contact-merge-service');
+const IntegrityService = require('./integrity-service');
+const ImportService = require('./import-service');
+const ExportService = require('./export-service');
+const BackupService = require('./backup-service');
+const CustomFieldService = require('./custom-field-service');
+const EventTemplateService = require('./event-template-service');
+const StageGateService = require('./stage-gate-service');
+const SearchService = require('./search-service');
 
 // --- Import Controllers ---
 const AuthController = require('../controllers/auth.controller');
@@ -74,6 +133,17 @@ const CompanyController = require('../controllers/company.controller');
 const InteractionController = require('../controllers/interaction.controller');
 const ProductController = require('../controllers/product.controller');
 const WeeklyController = require('../controllers/weekly.controller');
+const ShadowController = require('../controllers/shadow.controller');
+const TrashController = require('../controllers/trash.controller');
+const AuditController = require('../controllers/audit.controller');
+const CompanyMergeController = require('../controllers/company-merge.controller');
+const IntegrityController = require('../controllers/integrity.controller');
+const ImportController = require('../controllers/import.controller');
+const ExportController = require('../controllers/export.controller');
+const CustomFieldController = require('../controllers/custom-field.controller');
+const EventTemplateController = require('../controllers/event-template.controller');
+const StageGateController = require('../controllers/stage-gate.controller');
+const SearchController = require('../controllers/search.controller');
 
 let services = null;
 
@@ -84,7 +154,10 @@ async function initializeServices() {
 
     try {
         // 1. Infrastructure
-        const googleClientService = new GoogleClientService();
+        // BACKEND_MODE=MEMORY 時注入記憶體後端 (離線開發 / npm test)
+        const googleClientService = config.BACKEND_MODE === 'MEMORY'
+            ? new MemoryClientService()
+            : new GoogleClientService();
         const sheets = await googleClientService.getSheetsClient();
         const drive = await googleClientService.getDriveClient();
         const calendar = await googleClientService.getCalendarClient();
@@ -107,6 +180,11 @@ async function initializeServices() {
         const eventLogReader = new EventLogReader(sheets, config.IDS.CORE);
         const eventLogSqlReader = new EventLogSqlReader();
 
+        const trashSqlReader = new TrashSqlReader();
+        const auditSqlReader = new AuditSqlReader();
+        const companyMergeSqlReader = new CompanyMergeSqlReader();
+        const contactMergeSqlReader = new ContactMergeSqlReader();
+
         const weeklyReader = new WeeklyBusinessReader(sheets, config.IDS.CORE);
         const weeklySqlReader = new WeeklyBusinessSqlReader();
 
@@ -118,10 +196,11 @@ async function initializeServices() {
 
         // 3. Writers
         const contactWriter = new ContactWriter(sheets, config.IDS.RAW, contactRawReader);
-        const contactSqlWriter = new ContactSqlWriter();
+        const auditSqlWriter = new AuditSqlWriter();
+        const contactSqlWriter = new ContactSqlWriter(auditSqlWriter);
 
         const companyWriter = new CompanyWriter(sheets, config.IDS.CORE, companyReader);
-        const companySqlWriter = new CompanySqlWriter();
+        const companySqlWriter = new CompanySqlWriter(auditSqlWriter);
 
         const opportunityWriter = new OpportunityWriter(
             sheets,
@@ -129,30 +208,49 @@ async function initializeServices() {
             opportunityReader,
             contactCoreReader
         );
-        const opportunitySqlWriter = new OpportunitySqlWriter(); // [Added]
+        const opportunitySqlWriter = new OpportunitySqlWriter(auditSqlWriter); // [Added]
 
         const interactionWriter = new InteractionWriter(sheets, config.IDS.CORE, interactionReader);
+        const interactionSqlWriter = new InteractionSqlWriter(auditSqlWriter);
         const eventLogWriter = new EventLogWriter(sheets, config.IDS.CORE, eventLogReader);
+        const eventLogSqlWriter = new EventLogSqlWriter(auditSqlWriter);
+        const trashSqlWriter = new TrashSqlWriter(auditSqlWriter);
+        const companyMergeSqlWriter = new CompanyMergeSqlWriter(auditSqlWriter);
+        const contactMergeSqlWriter = new ContactMergeSqlWriter(auditSqlWriter);
+        const migrationSqlWriter = new MigrationSqlWriter();
+        const integritySqlWriter = new IntegritySqlWriter(auditSqlWriter);
+        const backupSqlWriter = new BackupSqlWriter();
+        const backupSheetWriter = new BackupSheetWriter(sheets);
 
         const weeklyWriter = new WeeklyBusinessWriter(sheets, config.IDS.CORE, weeklyReader);
-        const weeklySqlWriter = new WeeklyBusinessSqlWriter();
+        const weeklySqlWriter = new WeeklyBusinessSqlWriter(auditSqlWriter);
 
         const announcementWriter = new AnnouncementWriter(sheets, config.IDS.CORE, announcementReader);
-        const announcementSqlWriter = new AnnouncementSqlWriter();
+        const announcementSqlWriter = new AnnouncementSqlWriter(auditSqlWriter);
 
         const systemWriter = new SystemWriter(sheets, config.IDS.SYSTEM, systemReader);
         const productWriter = new ProductWriter(sheets, config.IDS.PRODUCT, productReader);
 
         // 4. Domain Services
+        // SQL 切換期的雙寫比對 (依 config.SHADOW_MODE 逐實體啟用)
+        const shadowService = new ShadowService(config, {
+            shadowSqlReader: new ShadowSqlReader(),
+            shadowSqlWriter: new ShadowSqlWriter()
+        });
+        const trashService = new TrashService(trashSqlReader, trashSqlWriter, eventLogReader, eventLogWriter, config);
+        const auditService = new AuditService(auditSqlReader);
+
         const calendarService = new CalendarService(calendar);
-        const authService = new AuthService(systemReader, systemWriter);
+        const userSqlReader = new UserSqlReader();
+        const userSqlWriter = new UserSqlWriter(auditSqlWriter);
+        const authService = new AuthService(systemReader, systemWriter, userSqlReader, userSqlWriter);
 
         const announcementService = new AnnouncementService({
             announcementSqlReader,
             announcementSqlWriter
         });
 
-        const systemService = new SystemService(systemReader, systemWriter);
+        const systemService = new SystemService(systemReader, systemWriter, userSqlWriter);
 
         const contactService = new ContactService(
             contactRawReader,     
@@ -161,7 +259,8 @@ async function initializeServices() {
             companyReader,
             config,
             contactSqlReader,
-            contactSqlWriter
+            contactSqlWriter,
+            companySqlReader
         );
 
         const companyService = new CompanyService(
@@ -172,9 +271,21 @@ async function initializeServices() {
             eventLogReader, systemReader,
             companySqlReader,
             contactService,
-            companySqlWriter
+            companySqlWriter,
+            opportunitySqlReader,
+            shadowService
         );
 
+        const stageGateService = new StageGateService({
+            systemReader,
+            systemWriter,
+            systemService,
+            opportunitySqlReader,
+            eventLogSqlReader,
+            eventLogReader,
+            config
+        });
+
         const opportunityService = new OpportunityService({
             config,
             opportunityReader,
@@ -189,15 +300,22 @@ async function initializeServices() {
             systemReader,
             opportunitySqlReader,
             opportunitySqlWriter, // [Added]
-            contactService
+            companySqlReader,
+            contactService,
+            shadowService,
+            stageGateService
         });
 
         const interactionService = new InteractionService(
             interactionReader,
-            interactionWriter,
+            interactionSqlWriter,
             opportunityReader,
             companyReader,
-            interactionSqlReader
+            interactionSqlReader,
+            opportunitySqlReader,
+            companySqlReader,
+            interactionWriter,
+            shadowService
         );
 
         const eventLogService = new EventLogService(
@@ -207,22 +325,33 @@ async function initializeServices() {
             companyReader,
             systemReader,
             calendarService,
-            eventLogSqlReader
+            eventLogSqlReader,
+            eventLogSqlWriter
         );
 
         const weeklyBusinessService = new WeeklyBusinessService({
             weeklyBusinessReader: weeklyReader,
             weeklyBusinessSqlReader: weeklySqlReader,
+            weeklyBusinessWriter: weeklyWriter, // Shadow Mode only
             weeklyBusinessSqlWriter: weeklySqlWriter,
             dateHelpers,
             calendarService,
             systemReader,
             opportunityService,
+            shadowService,
             config
         });
 
         const salesAnalysisService = new SalesAnalysisService(opportunityReader, systemReader, config);
-        const productService = new ProductService(productReader, productWriter, systemReader, systemWriter);
+        const forecastService = new ForecastService({ opportunitySqlReader, systemService, config });
+        const useProductSql = config.DATA_SOURCES.PRODUCT === 'SQL';
+        const productService = new ProductService(
+            useProductSql ? new ProductSqlReader() : productReader,
+            useProductSql ? new ProductSqlWriter(auditSqlWriter) : productWriter,
+            systemReader,
+            systemWriter,
+            config
+        );
 
         const dashboardService = new DashboardService(
             config,
@@ -233,13 +362,16 @@ async function initializeServices() {
             systemReader,
             weeklyBusinessService,
             companyReader,
-            calendarService
+            calendarService,
+            trashService
         );
 
         const workflowService = new WorkflowService(
             opportunityService,
             interactionService,
-            contactService
+            contactService,
+            companyService,
+            config
         );
 
         const eventService = new EventService(
@@ -251,11 +383,92 @@ async function initializeServices() {
             dateHelpers
         );
 
+        const companyMergeService = new CompanyMergeService({
+            companySqlReader,
+            contactSqlReader,
+            companyMergeSqlReader,
+            companyMergeSqlWriter,
+            eventLogReader,
+            eventLogWriter,
+            config
+        });
+
+        const contactMergeService = new ContactMergeService({
+            contactService,
+            contactWriter,
+            contactMergeSqlReader,
+            contactMergeSqlWriter,
+            config
+        });
+
+        const integrityService = new IntegrityService({
+            migrationSqlWriter,
+            integritySqlWriter,
+            companyReader
+        });
+
+        const importService = new ImportService({
+            companyService,
+            contactService,
+            opportunityService,
+            systemService,
+            companySqlReader,
+            opportunitySqlReader,
+            config
+        });
+
+        const customFieldService = new CustomFieldService({
+            systemReader,
+            systemWriter,
+            opportunitySqlReader,
+            companySqlReader,
+            contactSqlReader,
+            config
+        });
+
+        const eventTemplateService = new EventTemplateService({
+            systemReader,
+            systemWriter,
+            systemService,
+            config
+        });
+
+        const exportService = new ExportService({
+            opportunityService,
+            companyService,
+            contactService,
+            interactionService,
+            eventLogService,
+            productService,
+            customFieldService,
+            eventTemplateService,
+            config
+        });
+
+        const backupService = new BackupService({
+            migrationSqlWriter,
+            backupSqlWriter,
+            backupSheetWriter,
+            backupStore: new BackupStore(config.BACKUP.DIR),
+            auditSqlWriter,
+            config
+        });
+
+        const searchService = new SearchService({
+            companyService,
+            contactService,
+            opportunityService,
+            interactionService,
+            eventLogService,
+            trashService,
+            eventTemplateService
+        });
+
         // 5. Controllers
         const authController = new AuthController(authService);
         const systemController = new SystemController(systemService, dashboardService);
         const announcementController = new AnnouncementController(announcementService);
-        const contactController = new ContactController(contactService, workflowService, contactWriter);
+        const contactController = new ContactController(contactService, workflowService, contactWriter, contactMergeService);
         const companyController = new CompanyController(companyService);
         const opportunityController = new OpportunityController(
             opportunityService,
@@ -267,6 +480,17 @@ async function initializeServices() {
         const interactionController = new InteractionController(interactionService);
         const productController = new ProductController(productService);
         const weeklyController = new WeeklyController(weeklyBusinessService);
+        const shadowController = new ShadowController(shadowService);
+        const trashController = new TrashController(trashService);
+        const auditController = new AuditController(auditService);
+        const searchController = new SearchController(searchService);
+        const companyMergeController = new CompanyMergeController(companyMergeService);
+        const integrityController = new IntegrityController(integrityService);
+        const importController = new ImportController(importService);
+        const exportController = new ExportController(exportService);
+        const customFieldController = new CustomFieldController(customFieldService);
+        const eventTemplateController = new EventTemplateController(eventTemplateService);
+        const stageGateController = new StageGateController(stageGateService);
 
         console.log('✅ Service Container 初始化完成');
 
@@ -274,11 +498,24 @@ async function initializeServices() {
             googleClientService,
             authService, contactService, companyService,
             opportunityService, interactionService, eventLogService, calendarService,
-            weeklyBusinessService, salesAnalysisService, dashboardService,
+            weeklyBusinessService, salesAnalysisService, forecastService, dashboardService,
             workflowService, productService,
             announcementService,
             eventService,
             systemService,
+            shadowService,
+            trashService,
+            auditService,
+            searchService,
+            companyMergeService,
+            contactMergeService,
+            integrityService,
+            importService,
+            exportService,
+            backupService,
+            customFieldService,
+            eventTemplateService,
+            stageGateService,
             authController,
             systemController,
             announcementController,
@@ -288,6 +525,17 @@ async function initializeServices() {
             interactionController,
             productController,
             weeklyController,
+            shadowController,
+            trashController,
+            auditController,
+            searchController,
+            companyMergeController,
+            integrityController,
+            importController,
+            exportController,
+            customFieldController,
+            eventTemplateController,
+            stageGateController,
             contactWriter,
             contactRawReader,
             contactCoreReader,
@@ -0,0 +1,437 @@
+/**
+ * services/shadow-service.js
+ * SQL 切換期影子模式 (Shadow Mode) 與差異紀錄
+ * * @version 1.0.0 (Phase 8: Data Source Cutover)
+ * * @date 2026-10-19
+ * * @description
+ * - 由 config.SHADOW_MODE 逐實體啟用；啟用後 Service 會把寫入鏡射到 Sheet Writer，
+ *   並在讀取時拿 SQL 結果與 Sheet 結果逐欄比對。
+ * - 寫入鏡射與寫入後的單筆比對都在背景執行 (scheduleWrite)，請求只等待 SQL 寫入。
+ * - SQL 仍是主要來源 (回傳給前端的永遠是 SQL 資料)；Sheet 端失敗只記錄，不影響請求。
+ * - 讀取比對在背景執行 (shadowRead 不等待 Sheet 讀取)，同一實體同時只跑一個比對，避免每次列表請求都整表讀取 Sheet。
+ * - 差異寫入資料庫 (shadow_divergences / shadow_counters，data/shadow-sql-writer.js)，重新啟動後保留且多個行程共用；
+ *   寫入先暫存於記憶體再批次送出，資料庫無法寫入時最多暫存 SHADOW_LOG_MAX_ENTRIES 筆。
+ *   /api/admin/shadow 彙整「每個實體 / 每個欄位」的不一致次數 (讀取前先等待進行中的比對、鏡射與寫入)。
+ * - 欄位值比對見 utils/value-compare.js (與遷移共用)。
+ */
+
+const valueCompare = require('../utils/value-compare');
+
+// SQL DTO 與 Sheet DTO 的欄位對照；時間戳與修改者不比對 (兩邊各自寫入，必然相差數毫秒)
+const SHADOW_SPECS = {
+    OPPORTUNITY: {
+        label: '機會案件',
+        keyField: 'opportunityId',
+        fields: [
+            { field: 'opportunityName', sql: 'opportunityName', sheet: 'opportunityName' },
+            { field: 'customerCompany', sql: 'customerCompany', sheet: 'customerCompany' },
+            { field: 'salesModel', sql: 'salesModel', sheet: 'salesModel' },
+            { field: 'salesChannel', sql: 'salesChannel', sheet: 'salesChannel' },
+            { field: 'channelContact', sql: 'channelContact', sheet: 'channelContact' },
+            { field: 'mainContact', sql: 'mainContact', sheet: 'mainContact' },
+            { field: 'assignee', sql: 'owner', sheet: 'assignee' },
+            { field: 'opportunityType', sql: 'opportunityType', sheet: 'opportunityType' },
+            { field: 'opportunitySource', sql: 'source', sheet: 'opportunitySource' },
+            { field: 'currentStage', sql: 'currentStage', sheet: 'currentStage' },
+            { field: 'currentStatus', sql: 'currentStatus', sheet: 'currentStatus' },
+            { field: 'expectedCloseDate', sql: 'expectedCloseDate', sheet: 'expectedCloseDate' },
+            { field: 'orderProbability', sql: 'winProbability', sheet: 'orderProbability' },
+            { field: 'opportunityValue', sql: 'opportunityValue', sheet: 'opportunityValue' },
+            { field: 'opportunityValueType', sql: 'valueCalcMode', sheet: 'opportunityValueType' },
+            { field: 'deviceScale', sql: 'equipmentScale', sheet: 'deviceScale' },
+            { field: 'potentialSpecification', sql: 'productDetails', sheet: 'potentialSpecification' },
+            { field: 'notes', sql: 'notes', sheet: 'notes' },
+            { field: 'driveFolderLink', sql: 'driveLink', sheet: 'driveFolderLink' },
+            { field: 'parentOpportunityId', sql: 'parentOpportunityId', sheet: 'parentOpportunityId' }
+        ]
+    },
+    WEEKLY: {
+        label: '週間業務',
+        keyField: 'recordId',
+        // 兩邊都先經過 WeeklyBusinessService._normalizeEntry，因此欄位名稱一致
+        fields: [
+            { field: 'date', sql: 'date', sheet: 'date' },
+            { field: 'weekId', sql: 'weekId', sheet: 'weekId' },
+            { field: 'category', sql: 'category', sheet: 'category' },
+            { field: '主題', sql: '主題', sheet: '主題' },
+            { field: '參與人員', sql: '參與人員', sheet: '參與人員' },
+            { field: '重點摘要', sql: '重點摘要', sheet: '重點摘要' },
+            { field: '待辦事項', sql: '待辦事項', sheet: '待辦事項' }
+        ]
+    },
+    COMPANY: {
+        label: '公司',
+        keyField: 'companyId',
+        // 兩邊都先經過 CompanyService._toServiceDTO，因此欄位名稱一致
+        fields: [
+            { field: 'companyName', sql: 'companyName', sheet: 'companyName' },
+            { field: 'phone', sql: 'phone', sheet: 'phone' },
+            { field: 'address', sql: 'address', sheet: 'address' },
+            { field: 'county', sql: 'county', sheet: 'county' },
+            { field: 'introduction', sql: 'introduction', sheet: 'introduction' },
+            { field: 'companyType', sql: 'companyType', sheet: 'companyType' },
+            { field: 'customerStage', sql: 'customerStage', sheet: 'customerStage' },
+            { field: 'engagementRating', sql: 'engagementRating', sheet: 'engagementRating' }
+        ]
+    },
+    INTERACTION: {
+        label: '互動紀錄',
+        keyField: 'interactionId',
+        fields: [
+            { field: 'opportunityId', sql: 'opportunityId', sheet: 'opportunityId' },
+            { field: 'companyId', sql: 'companyId', sheet: 'companyId' },
+            { field: 'interactionTime', sql: 'interactionTime', sheet: 'interactionTime' },
+            { field: 'eventType', sql: 'interactionType', sheet: 'eventType' },
+            { field: 'eventTitle', sql: 'eventTitle', sheet: 'eventTitle' },
+            { field: 'contentSummary', sql: 'contentSummary', sheet: 'contentSummary' },
+            { field: 'participants', sql: 'participants', sheet: 'participants' },
+            { field: 'nextAction', sql: 'nextAction', sheet: 'nextAction' },
+            { field: 'attachmentLink', sql: 'attachmentLink', sheet: 'attachmentLink' },
+            { field: 'calendarEventId', sql: 'calendarEventId', sheet: 'calendarEventId' },
+            { field: 'recorder', sql: 'recorder', sheet: 'recorder' }
+        ]
+    }
+};
+
+const DIVERGENCE_TYPES = {
+    FIELD_MISMATCH: 'FIELD_MISMATCH',
+    MISSING_IN_SHEET: 'MISSING_IN_SHEET',
+    MISSING_IN_SQL: 'MISSING_IN_SQL',
+    SHADOW_WRITE_FAILED: 'SHADOW_WRITE_FAILED',
+    SHADOW_READ_FAILED: 'SHADOW_READ_FAILED'
+};
+
+class ShadowService {
+    /**
+     * @param {Object} config - 系統設定 (讀取 SHADOW_MODE / SHADOW_LOG_MAX_ENTRIES)
+     * @param {Object} [deps]
+     * @param {ShadowSqlReader} [deps.shadowSqlReader]
+     * @param {ShadowSqlWriter} [deps.shadowSqlWriter]
+     */
+    constructor(config, { shadowSqlReader, shadowSqlWriter } = {}) {
+        this.config = config;
+        this.shadowSqlReader = shadowSqlReader;
+        this.shadowSqlWriter = shadowSqlWriter;
+        this.maxEntries = (config && config.SHADOW_LOG_MAX_ENTRIES) || 2000;
+
+        this._buffer = [];       // 尚未寫入資料庫的差異
+        this._counters = {};     // entity -> { comparisons, shadowWrites } (尚未累加到資料庫)
+        this._reading = new Set(); // 進行中的背景比對 (entity)
+        this._pending = new Set(); // 背景比對 / 鏡射的 Promise
+        this._writeChains = new Map(); // entity -> 最後一個排入的鏡射 (依序執行)
+        this._queuedWrites = new Map(); // 'entity:key' -> 尚未完成的鏡射數
+        this._persisting = Promise.resolve();
+        this._persistScheduled = false;
+    }
+
+    isEnabled(entity) {
+        return !!(this.config.SHADOW_MODE && this.config.SHADOW_MODE[entity] && SHADOW_SPECS[entity]);
+    }
+
+    getSpec(entity) {
+        const spec = SHADOW_SPECS[entity];
+        if (!spec) throw new Error(`[ShadowService] 不支援的實體: ${entity}`);
+        return spec;
+    }
+
+    // ============================================================
+    //  比對 (Read Comparison)
+    // ============================================================
+
+    /**
+     * 比對單筆資料，回傳欄位差異陣列
+     */
+    _diffRecord(spec, sqlRecord, sheetRecord) {
+        const changes = [];
+        spec.fields.forEach(f => {
+            const sqlValue = sqlRecord[f.sql];
+            const sheetValue = sheetRecord[f.sheet];
+            if (!valueCompare.isSameValue(sqlValue, sheetValue, { numeric: true })) {
+                changes.push({ field: f.field, sql: sqlValue, sheet: sheetValue });
+            }
+        });
+        return changes;
+    }
+
+    /**
+     * 比對整份清單 (SQL vs Sheet)
+     * @param {string} entity
+     * @param {Array<Object>} sqlRows
+     * @param {Array<Object>} sheetRows
+     * @param {string} origin - 觸發比對的呼叫點 (例如 'OpportunityService.searchOpportunities')
+     * @returns {Object} { compared, mismatched, missingInSheet, missingInSql }
+     */
+    compareCollections(entity, sqlRows, sheetRows, origin) {
+        const spec = this.getSpec(entity);
+        const sheetMap = new Map();
+        (sheetRows || []).forEach(row => {
+            const key = valueCompare.normalize(row[spec.keyField]);
+            if (key) sheetMap.set(key, row);
+        });
+
+        const result = { compared: 0, mismatched: 0, missingInSheet: 0, missingInSql: 0 };
+        const seen = new Set();
+
+        (sqlRows || []).forEach(sqlRow => {
+            const key = valueCompare.normalize(sqlRow[spec.keyField]);
+            if (!key) return;
+            seen.add(key);
+            result.compared++;
+
+            const sheetRow = sheetMap.get(key);
+            if (!sheetRow) {
+                result.missingInSheet++;
+                this._record(entity, DIVERGENCE_TYPES.MISSING_IN_SHEET, key, origin);
+                return;
+            }
+
+            const changes = this._diffRecord(spec, sqlRow, sheetRow);
+            if (changes.length > 0) {
+                result.mismatched++;
+                this._record(entity, DIVERGENCE_TYPES.FIELD_MISMATCH, key, origin, { changes });
+            }
+        });
+
+        sheetMap.forEach((row, key) => {
+            if (seen.has(key)) return;
+            result.missingInSql++;
+            this._record(entity, DIVERGENCE_TYPES.MISSING_IN_SQL, key, origin);
+        });
+
+        this._count(entity, 'comparisons');
+        return result;
+    }
+
+    /**
+     * 比對單筆資料 (寫入後立即驗證用)；任一端為 null 視為缺漏
+     */
+    compareRecord(entity, key, sqlRecord, sheetRecord, origin) {
+        const spec = this.getSpec(entity);
+        this._count(entity, 'comparisons');
+
+        if (sqlRecord && !sheetRecord) {
+            this._record(entity, DIVERGENCE_TYPES.MISSING_IN_SHEET, key, origin);
+            return false;
+        }
+        if (!sqlRecord && sheetRecord) {
+            this._record(entity, DIVERGENCE_TYPES.MISSING_IN_SQL, key, origin);
+            return false;
+        }
+        if (!sqlRecord && !sheetRecord) return true;
+
+        const changes = this._diffRecord(spec, sqlRecord, sheetRecord);
+        if (changes.length > 0) {
+            this._record(entity, DIVERGENCE_TYPES.FIELD_MISMATCH, key, origin, { changes });
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * 在背景讀取影子資料並比對 (不等待 Sheet 讀取，不阻塞主要請求)；
+     * 同一實體已有比對進行中時略過本次
+     * @param {string} entity
+     * @param {Array<Object>} sqlRows - 已取得的 SQL 結果
+     * @param {Function} loadSheetRows - async () => Array<Object>
+     * @param {string} origin
+     */
+    shadowRead(entity, sqlRows, loadSheetRows, origin) {
+        if (!this.isEnabled(entity) || this._reading.has(entity)) return;
+        this._reading.add(entity);
+
+        const task = (async () => {
+            try {
+                const sheetRows = await loadSheetRows();
+                this.compareCollections(entity, sqlRows, sheetRows, origin);
+            } catch (error) {
+                this._record(entity, DIVERGENCE_TYPES.SHADOW_READ_FAILED, null, origin, { error: error.message });
+            } finally {
+                this._reading.delete(entity);
+            }
+        })();
+
+        this._pending.add(task);
+        task.finally(() => this._pending.delete(task));
+    }
+
+    /**
+     * 在背景鏡射寫入至 Sheet，完成後以單筆比對確認兩邊一致 (不阻塞主要請求)
+     * - 同一實體的鏡射依序執行：更新 / 刪除需要先前建立的 Sheet 列。
+     * - 同一筆資料之後還有鏡射排隊時略過本次比對 (SQL 已是更新的值)，由最後一次比對。
+     * @param {string} entity
+     * @param {string} origin - 觸發寫入的呼叫點 (例如 'OpportunityService.updateOpportunity')
+     * @param {string} key - 主鍵
+     * @param {Object} handlers
+     * @param {Function|null} handlers.write - async () => any；null 時只比對
+     *   (軟刪除：Sheet 列保留，由 Sheet Reader 依回收桶排除，見 data/trash-read-hook.js)
+     * @param {Function} handlers.loadSqlRecord - async () => Object|null
+     * @param {Function} handlers.loadSheetRecord - async () => Object|null
+     */
+    scheduleWrite(entity, origin, key, { write = null, loadSqlRecord, loadSheetRecord }) {
+        if (!this.isEnabled(entity)) return;
+
+        const queueKey = `${entity}:${key}`;
+        this._queuedWrites.set(queueKey, (this._queuedWrites.get(queueKey) || 0) + 1);
+
+        const previous = this._writeChains.get(entity) || Promise.resolve();
+        const task = previous.then(async () => {
+            try {
+                if (write && !(await this._mirrorWrite(entity, origin, key, write))) return;
+                if (this._queuedWrites.get(queueKey) > 1) return;
+
+                const [sqlRecord, sheetRecord] = await Promise.all([loadSqlRecord(), loadSheetRecord()]);
+                this.compareRecord(entity, key, sqlRecord, sheetRecord, origin);
+            } catch (error) {
+                this._record(entity, DIVERGENCE_TYPES.SHADOW_READ_FAILED, key, origin, { error: error.message });
+            } finally {
+                const remaining = this._queuedWrites.get(queueKey) - 1;
+                if (remaining > 0) this._queuedWrites.set(queueKey, remaining);
+                else this._queuedWrites.delete(queueKey);
+            }
+        });
+
+        this._writeChains.set(entity, task);
+        this._pending.add(task);
+        task.finally(() => {
+            this._pending.delete(task);
+            if (this._writeChains.get(entity) === task) this._writeChains.delete(entity);
+        });
+    }
+
+    /**
+     * 鏡射寫入至 Sheet；失敗僅記錄，不拋出
+     * @returns {Promise<boolean>} 是否成功
+     */
+    async _mirrorWrite(entity, origin, key, writeFn) {
+        try {
+            await writeFn();
+            this._count(entity, 'shadowWrites');
+            return true;
+        } catch (error) {
+            console.warn(`⚠️ [ShadowService] ${origin} 鏡射寫入 Sheet 失敗 (${key}): ${error.message}`);
+            this._record(entity, DIVERGENCE_TYPES.SHADOW_WRITE_FAILED, key, origin, { error: error.message });
+            return false;
+        }
+    }
+
+    // ============================================================
+    //  Divergence Log (shadow_divergences / shadow_counters)
+    // ============================================================
+
+    _count(entity, counter) {
+        if (!this._counters[entity]) this._counters[entity] = { comparisons: 0, shadowWrites: 0 };
+        this._counters[entity][counter]++;
+        this._schedulePersist();
+    }
+
+    _record(entity, type, key, origin, extra = {}) {
+        this._buffer.push({ time: new Date().toISOString(), entity, type, key, origin, ...extra });
+        if (this._buffer.length > this.maxEntries) {
+            this._buffer.splice(0, this._buffer.length - this.maxEntries);
+        }
+        this._schedulePersist();
+    }
+
+    /**
+     * 同一輪事件迴圈內的差異合併為一次寫入；寫入依序執行
+     */
+    _schedulePersist() {
+        if (this._persistScheduled) return;
+        this._persistScheduled = true;
+        this._persisting = this._persisting.then(() => new Promise(resolve => setImmediate(resolve))).then(async () => {
+            this._persistScheduled = false;
+            await this._persist();
+        });
+    }
+
+    async _persist() {
+        const entries = this._buffer.splice(0);
+        const counters = this._counters;
+        this._counters = {};
+
+        try {
+            if (!this.shadowSqlWriter) throw new Error('ShadowSqlWriter 未注入');
+            await this.shadowSqlWriter.insertDivergences(entries);
+        } catch (error) {
+            console.warn(`⚠️ [ShadowService] 差異紀錄寫入失敗，暫存 ${entries.length} 筆待下次寫入: ${error.message}`);
+            this._buffer.unshift(...entries);
+            if (this._buffer.length > this.maxEntries) this._buffer.splice(0, this._buffer.length - this.maxEntries);
+        }
+
+        for (const [entity, { comparisons, shadowWrites }] of Object.entries(counters)) {
+            try {
+                if (!this.shadowSqlWriter) throw new Error('ShadowSqlWriter 未注入');
+                await this.shadowSqlWriter.bumpCounters(entity, comparisons, shadowWrites);
+            } catch (error) {
+                console.warn(`⚠️ [ShadowService] ${entity} 計數寫入失敗: ${error.message}`);
+                const current = this._counters[entity] || { comparisons: 0, shadowWrites: 0 };
+                this._counters[entity] = { comparisons: current.comparisons + comparisons, shadowWrites: current.shadowWrites + shadowWrites };
+            }
+        }
+    }
+
+    /**
+     * 等待進行中的背景比對與鏡射，並將暫存的差異寫入資料庫
+     */
+    async flush() {
+        await Promise.all(Array.from(this._pending));
+        this._schedulePersist();
+        await this._persisting;
+    }
+
+    /**
+     * 彙整：每個實體的比對次數、差異數、依類型與欄位統計
+     */
+    async getSummary() {
+        await this.flush();
+        const [counters, divergences] = await Promise.all([
+            this.shadowSqlReader.getCounters(),
+            this.shadowSqlReader.getDivergenceSummary()
+        ]);
+
+        const entities = Object.keys(SHADOW_SPECS).map(entity => {
+            const counter = counters.find(c => c.entity === entity) || { comparisons: 0, shadowWrites: 0 };
+            const byTypeRows = divergences.filter(d => d.entity === entity && d.field === null);
+            const byFieldRows = divergences.filter(d => d.entity === entity && d.type === null);
+            const lastDivergenceAt = byTypeRows.map(d => d.lastDivergenceAt).sort().pop() || null;
+
+            return {
+                entity,
+                label: SHADOW_SPECS[entity].label,
+                enabled: this.isEnabled(entity),
+                comparisons: counter.comparisons,
+                shadowWrites: counter.shadowWrites,
+                divergences: byTypeRows.reduce((sum, d) => sum + d.count, 0),
+                byType: Object.fromEntries(byTypeRows.map(d => [d.type, d.count])),
+                fields: byFieldRows
+                    .map(d => ({ field: d.field, count: d.count }))
+                    .sort((a, b) => b.count - a.count),
+                lastDivergenceAt
+            };
+        });
+
+        const since = counters.map(c => c.since).filter(Boolean).sort()[0] || null;
+        return { since, pendingEntries: this._buffer.length, entities };
+    }
+
+    /**
+     * 取得差異明細 (新到舊)
+     * @param {Object} [filters] - { entity, field, type, limit }
+     */
+    async getEntries({ entity, field, type, limit = 100 } = {}) {
+        await this.flush();
+        return this.shadowSqlReader.getDivergences({ entity, field, type, limit });
+    }
+
+    async clear() {
+        await this.flush();
+        this._buffer = [];
+        this._counters = {};
+        await this.shadowSqlWriter.clear();
+    }
+}
+
+ShadowService.SHADOW_SPECS = SHADOW_SPECS;
+ShadowService.DIVERGENCE_TYPES = DIVERGENCE_TYPES;
+
+module.exports = ShadowService;
@@ -0,0 +1,376 @@
+/**
+ * services/stage-gate-service.js
+ * 階段關卡服務 (機會推進階段前的必填欄位與檢查)
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * * 避免機會從「初步接觸」直接跳到「受注」卻沒有金額、結案日或任何聯絡紀錄。
+ * * - 設定：系統設定工作表，設定類型 = config.STAGE_GATES.CONFIG_TYPE，一列一條規則：
+ * *   [類型, 機會階段, 顯示順序, 啟用狀態, 說明, (空), 機會種類 (空白 = 全部), 條件 JSON { fields, checks }, (空)]
+ * *   以「機會階段 + 機會種類」識別；停用即不再檢查，重新儲存即恢復。
+ * * - 條件：fields 為 config.STAGE_GATES.FIELDS 的欄位 (需有值)；checks 為最少筆數 (關聯聯絡人 / 事件紀錄)。
+ * * - 累進：推進到某階段需符合該階段與之前所有階段 (依「機會階段」顯示順序) 的規則；退回前面的階段不檢查。
+ * * - 執行：OpportunityService.updateOpportunity (單筆、看板拖曳) 與 batchUpdateOpportunities 於寫入前呼叫
+ * *   assertTransition()，不符時拋出 STAGE_GATE_BLOCKED (utils/stage-gate.js，API 回 422 + unmet)。
+ * * - 新增機會 (含批次匯入的新增列) 經 assertCreate() 視為從第一個階段推進，關聯 / 事件筆數以 0 計；
+ * *   匯入的新增 / 更新列不符時列為失敗，不影響其他列。
+ */
+
+const stageGate = require('../utils/stage-gate');
+const { createBusinessError } = require('../utils/business-error');
+
+const MAX_NOTE_LENGTH = 200;
+
+class StageGateService {
+    /**
+     * @param {Object} deps
+     * @param {SystemReader} deps.systemReader
+     * @param {SystemWriter} deps.systemWriter
+     * @param {SystemService} deps.systemService - 機會階段 / 機會種類
+     * @param {OpportunitySqlReader} deps.opportunitySqlReader - 聯絡人關聯數
+     * @param {EventLogSqlReader} deps.eventLogSqlReader - 事件紀錄數 (失敗時改讀工作表)
+     * @param {EventLogReader} deps.eventLogReader
+     * @param {Object} deps.config
+     */
+    constructor({ systemReader, systemWriter, systemService, opportunitySqlReader, eventLogSqlReader, eventLogReader, config }) {
+        this.systemReader = systemReader;
+        this.systemWriter = systemWriter;
+        this.systemService = systemService;
+        this.opportunitySqlReader = opportunitySqlReader;
+        this.eventLogSqlReader = eventLogSqlReader;
+        this.eventLogReader = eventLogReader;
+        this.settings = config.STAGE_GATES;
+    }
+
+    /**
+     * 規則可用的欄位與檢查 (管理介面使用)
+     */
+    getMeta() {
+        const fields = {};
+        Object.entries(this.settings.FIELDS).forEach(([key, field]) => { fields[key] = field.label; });
+        return { fields, checks: this.settings.CHECKS, maxCheckCount: this.settings.MAX_CHECK_COUNT };
+    }
+
+    _parseRow(row, rowIndex) {
+        const [, stage, , enabled, note, , opportunityType, extra] = row;
+        let condition = {};
+        try {
+            condition = extra ? JSON.parse(extra) : {};
+        } catch (error) {
+            console.warn(`[StageGateService] 第 ${rowIndex} 列的條件不是有效的 JSON，已忽略: ${error.message}`);
+        }
+        return {
+            stage,
+            opportunityType: opportunityType || '',
+            enabled: enabled === 'TRUE',
+            note: note || '',
+            fields: Array.isArray(condition.fields) ? condition.fields.filter(key => this.settings.FIELDS[key]) : [],
+            checks: this._pickChecks(condition.checks),
+            rowIndex
+        };
+    }
+
+    _pickChecks(checks) {
+        const result = {};
+        Object.keys(this.settings.CHECKS).forEach(key => {
+            const count = parseInt(checks && checks[key], 10);
+            if (count > 0) result[key] = count;
+        });
+        return result;
+    }
+
+    /**
+     * 讀取全部規則列 (含停用)，rowIndex 僅供內部寫回使用
+     */
+    async _readRules() {
+        const rows = await this.systemReader.getSystemConfigRaw();
+        const rules = [];
+        rows.forEach((row, index) => {
+            if (index === 0 || row[0] !== this.settings.CONFIG_TYPE || !row[1]) return;
+            rules.push(this._parseRow(row, index + 1));
+        });
+        return rules;
+    }
+
+    /**
+     * @returns {Promise<Array<{ value: string, label: string, order: number }>>} 依顯示順序排列的機會階段
+     */
+    async _stages(systemConfig) {
+        const config = systemConfig || await this.systemService.getSystemConfig();
+        return (config['機會階段'] || []).map(item => ({ value: item.value, label: item.note || item.value, order: item.order }));
+    }
+
+    _stageInfo(stages, value) {
+        return stages.find(s => s.value === value) || { value, label: value, order: 99 };
+    }
+
+    _present(rule, stages) {
+        const { rowIndex, ...data } = rule;
+        return { ...data, stageLabel: this._stageInfo(stages, rule.stage).label };
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.includeDisabled=false] - 含停用的規則 (管理介面)
+     * @returns {Promise<Array<Object>>} 依階段順序、機會種類排列 (全部種類在前)
+     */
+    async getRules({ includeDisabled = false } = {}) {
+        const [rules, stages] = await Promise.all([this._readRules(), this._stages()]);
+        const position = (stage) => {
+            const index = stages.findIndex(s => s.value === stage);
+            return index === -1 ? stages.length : index;
+        };
+        return rules
+            .filter(rule => includeDisabled || rule.enabled)
+            .sort((a, b) => (position(a.stage) - position(b.stage)) || a.opportunityType.localeCompare(b.opportunityType))
+            .map(rule => this._present(rule, stages));
+    }
+
+    _normalizeRule(input, systemConfig) {
+        const data = input || {};
+        const stage = String(data.stage || '').trim();
+        if (!stage) throw createBusinessError('無法設定：請指定機會階段');
+        if (!(systemConfig['機會階段'] || []).some(item => item.value === stage)) {
+            throw createBusinessError(`無法設定：找不到機會階段「${stage}」`);
+        }
+
+        const opportunityType = String(data.opportunityType || '').trim();
+        if (opportunityType && !(systemConfig['機會種類'] || []).some(item => item.value === opportunityType)) {
+            throw createBusinessError(`無法設定：找不到機會種類「${opportunityType}」`);
+        }
+
+        const rawFields = Array.isArray(data.fields) ? data.fields : String(data.fields || '').split(',');
+        const fields = [...new Set(rawFields.map(key => String(key).trim()).filter(Boolean))];
+        const unknown = fields.find(key => !this.settings.FIELDS[key]);
+        if (unknown) throw createBusinessError(`無法設定：不支援的必填欄位「${unknown}」`);
+
+        const checks = {};
+        Object.entries(data.checks || {}).forEach(([key, value]) => {
+            if (!this.settings.CHECKS[key]) throw createBusinessError(`無法設定：不支援的檢查項目「${key}」`);
+            if (value === '' || value === null || value === undefined) return;
+            const count = Number(value);
+            if (!Number.isInteger(count) || count < 0 || count > this.settings.MAX_CHECK_COUNT) {
+                throw createBusinessError(`無法設定：${this.settings.CHECKS[key]}的最少筆數需為 0 ~ ${this.settings.MAX_CHECK_COUNT} 的整數`);
+            }
+            if (count > 0) checks[key] = count;
+        });
+
+        if (fields.length === 0 && Object.keys(checks).length === 0) {
+            throw createBusinessError('無法設定：請至少指定一個必填欄位或檢查項目');
+        }
+
+        const note = String(data.note || '').trim();
+        if (note.length > MAX_NOTE_LENGTH) throw createBusinessError(`無法設定：說明最多 ${MAX_NOTE_LENGTH} 字`);
+
+        return {
+            stage,
+            opportunityType,
+            enabled: data.enabled !== false && data.enabled !== 'FALSE',
+            note,
+            fields,
+            checks
+        };
+    }
+
+    _toRow(rule, order) {
+        return [
+            this.settings.CONFIG_TYPE,
+            rule.stage,
+            order,
+            rule.enabled ? 'TRUE' : 'FALSE',
+            rule.note,
+            '',
+            rule.opportunityType,
+            JSON.stringify({ fields: rule.fields, checks: rule.checks }),
+            ''
+        ];
+    }
+
+    _findRule(rules, stage, opportunityType) {
+        return rules.find(r => r.stage === stage && r.opportunityType === (opportunityType || '')) || null;
+    }
+
+    /**
+     * 新增或更新規則 (以「機會階段 + 機會種類」判斷)
+     * @param {Object} input - { stage, opportunityType, fields: [欄位], checks: { contacts, eventLogs }, note, enabled }
+     * @param {string} actor
+     * @returns {Promise<Object>} 儲存後的規則
+     */
+    async saveRule(input, actor) {
+        const systemConfig = await this.systemService.getSystemConfig();
+        const rule = this._normalizeRule(input, systemConfig);
+        const stages = await this._stages(systemConfig);
+        const existing = this._findRule(await this._readRules(), rule.stage, rule.opportunityType);
+
+        console.log(`🚧 [StageGateService] ${existing ? '更新' : '新增'}階段關卡 ${rule.stage} (${rule.opportunityType || '全部種類'}) by ${actor}`);
+        await this.systemWriter.writeSystemConfigRow(existing ? existing.rowIndex : null, this._toRow(rule, this._stageInfo(stages, rule.stage).order));
+        return this._present(rule, stages);
+    }
+
+    /**
+     * 停用規則 (設定列保留，重新儲存即恢復)
+     * @param {string} stage
+     * @param {string} [opportunityType] - 空白為「全部種類」的規則
+     * @param {string} actor
+     */
+    async disableRule(stage, opportunityType, actor) {
+        const existing = this._findRule(await this._readRules(), stage, opportunityType);
+        if (!existing) {
+            throw createBusinessError(`無法設定：找不到階段關卡 ${stage}${opportunityType ? ` (${opportunityType})` : ''}`);
+        }
+
+        console.log(`🚧 [StageGateService] 停用階段關卡 ${stage} (${opportunityType || '全部種類'}) by ${actor}`);
+        const stages = await this._stages();
+        const rule = { ...existing, enabled: false };
+        await this.systemWriter.writeSystemConfigRow(existing.rowIndex, this._toRow(rule, this._stageInfo(stages, stage).order));
+        return this._present(rule, stages);
+    }
+
+    /**
+     * 推進到 targetStage 需符合的條件 (累進：該階段與之前所有階段；不在階段清單中的階段只看自己的規則)
+     * @returns {{ fields: string[], checks: Object<string, number> }}
+     */
+    _requirementsFor(rules, stages, targetStage, opportunityType) {
+        const targetIndex = stages.findIndex(s => s.value === targetStage);
+        const applies = (rule) => {
+            if (!rule.enabled) return false;
+            if (rule.opportunityType && rule.opportunityType !== opportunityType) return false;
+            if (rule.stage === targetStage) return true;
+            const index = stages.findIndex(s => s.value === rule.stage);
+            return targetIndex !== -1 && index !== -1 && index < targetIndex;
+        };
+
+        const fields = [];
+        const checks = {};
+        rules.filter(applies).forEach(rule => {
+            rule.fields.forEach(key => { if (!fields.includes(key)) fields.push(key); });
+            Object.entries(rule.checks).forEach(([key, count]) => { checks[key] = Math.max(checks[key] || 0, count); });
+        });
+        return { fields, checks };
+    }
+
+    async _countEventLogs(opportunityId) {
+        let events;
+        try {
+            events = await this.eventLogSqlReader.getEventLogs();
+            if (!Array.isArray(events)) throw new Error('SQL returned invalid structure');
+        } catch (error) {
+            console.warn('[StageGateService] 事件紀錄改讀工作表:', error.message);
+            events = await this.eventLogReader.getEventLogs();
+        }
+        return events.filter(e => e.opportunityId === opportunityId).length;
+    }
+
+    /**
+     * 只讀取規則用到的計數 (尚未建立的機會沒有關聯，一律為 0)
+     * @param {string|null} opportunityId
+     * @param {string[]} keys - CHECKS 的鍵
+     */
+    async _counts(opportunityId, keys) {
+        const counts = {};
+        if (!opportunityId) return counts;
+        if (keys.includes('contacts')) counts.contacts = await this.opportunitySqlReader.getContactLinkCount(opportunityId);
+        if (keys.includes('eventLogs')) counts.eventLogs = await this._countEventLogs(opportunityId);
+        return counts;
+    }
+
+    /**
+     * @param {Function} valueOf - (欄位鍵) => 值
+     * @returns {Array<{ type: string, key: string, label: string, met: boolean, message: string }>}
+     */
+    _evaluate(requirements, valueOf, counts) {
+        const fieldItems = requirements.fields.map(key => {
+            const field = this.settings.FIELDS[key];
+            return {
+                type: 'field',
+                key,
+                label: field.label,
+                met: !stageGate.isBlank(valueOf(key), field.type),
+                message: `需填寫「${field.label}」`
+            };
+        });
+        const checkItems = Object.entries(requirements.checks).map(([key, required]) => {
+            const label = this.settings.CHECKS[key];
+            const actual = counts[key] || 0;
+            return {
+                type: 'check',
+                key,
+                label,
+                met: actual >= required,
+                message: `需有至少 ${required} 筆${label} (目前 ${actual} 筆)`,
+                required,
+                actual
+            };
+        });
+        return [...fieldItems, ...checkItems];
+    }
+
+    _valueReader(opportunity, updateData = {}) {
+        return (key) => {
+            if (updateData[key] !== undefined) return updateData[key];
+            return opportunity[this.settings.FIELDS[key].dto || key];
+        };
+    }
+
+    /**
+     * 寫入前檢查階段推進 (未變更階段或退回前面的階段不檢查)；同一次更新補上的欄位一併計入
+     * @param {Object} opportunity - 目前的機會 (OpportunitySqlReader DTO)
+     * @param {Object} updateData - 更新內容
+     * @throws {Error} STAGE_GATE_BLOCKED
+     */
+    async assertTransition(opportunity, updateData) {
+        const targetStage = updateData.currentStage;
+        if (targetStage === undefined || targetStage === null || targetStage === '' || targetStage === opportunity.currentStage) return;
+
+        const [rules, stages] = await Promise.all([this._readRules(), this._stages()]);
+        if (!rules.some(rule => rule.enabled)) return;
+
+        const fromIndex = stages.findIndex(s => s.value === opportunity.currentStage);
+        const toIndex = stages.findIndex(s => s.value === targetStage);
+        if (fromIndex !== -1 && toIndex !== -1 && toIndex <= fromIndex) return;
+
+        const opportunityType = updateData.opportunityType !== undefined ? updateData.opportunityType : opportunity.opportunityType;
+        const requirements = this._requirementsFor(rules, stages, targetStage, opportunityType);
+        const counts = await this._counts(opportunity.opportunityId, Object.keys(requirements.checks));
+        const unmet = this._evaluate(requirements, this._valueReader(opportunity, updateData), counts).filter(item => !item.met);
+
+        if (unmet.length > 0) {
+            throw stageGate.createBlockedError(opportunity, this._stageInfo(stages, targetStage), unmet);
+        }
+    }
+
+    /**
+     * 新增前檢查：視為從第一個階段 (機會階段顯示順序) 推進到建立時指定的階段
+     * @param {Object} opportunityData - 建立內容
+     * @throws {Error} STAGE_GATE_BLOCKED
+     */
+    async assertCreate(opportunityData) {
+        const stages = await this._stages();
+        const initial = stages.length > 0 ? stages[0].value : undefined;
+        await this.assertTransition({ opportunityId: null, opportunityName: opportunityData.opportunityName, currentStage: initial }, opportunityData);
+    }
+
+    /**
+     * 各階段的待辦清單 (機會進程畫面)：依目前資料評估推進到每個階段需符合的條件
+     * @param {Object} opportunity - OpportunitySqlReader DTO
+     * @returns {Promise<Array<{ stage: string, label: string, ready: boolean, items: Array<Object> }>>}
+     */
+    async getChecklist(opportunity) {
+        const [rules, stages] = await Promise.all([this._readRules(), this._stages()]);
+        const perStage = stages.map(stage => ({
+            stage,
+            requirements: this._requirementsFor(rules, stages, stage.value, opportunity.opportunityType)
+        }));
+
+        const checkKeys = [...new Set(perStage.flatMap(s => Object.keys(s.requirements.checks)))];
+        const counts = await this._counts(opportunity.opportunityId, checkKeys);
+        const valueOf = this._valueReader(opportunity);
+
+        return perStage.map(({ stage, requirements }) => {
+            const items = this._evaluate(requirements, valueOf, counts);
+            return { stage: stage.value, label: stage.label, ready: items.every(item => item.met), items };
+        });
+    }
+}
+
+module.exports = StageGateService;
@@ -1,19 +1,28 @@
 /**
  * services/system-service.js
  * 系統服務模組
- * * @version 2.0.0 (Refactored for Standard A+S)
- * @date 2026-01-26
+ * * @version 2.1.0 (Phase 8: Auth SQL)
+ * @date 2026-10-19
  * @description 接管所有業務邏輯 (Defaults/Filter/Sort) 與 User 操作流程控制。
+ * [Phase 8] DATA_SOURCES.AUTH = 'SQL' 時 User 操作改走 UserSqlWriter (以 username 定位)。
+ * 自訂欄位定義 (設定類型 = config.CUSTOM_FIELDS.CONFIG_TYPE) 由 CustomFieldService 管理，不列入 getSystemConfig()。
+ * 事件範本 (設定類型 = config.EVENT_TEMPLATES.CONFIG_TYPE) 由 EventTemplateService 管理；啟用的範本併入「事件類型」，
+ * 讓列表、圖表與報告的類型名稱與顏色涵蓋管理員新增的類型。
+ * 階段關卡 (設定類型 = config.STAGE_GATES.CONFIG_TYPE) 由 StageGateService 管理，不列入 getSystemConfig()。
  */
 
+const config = require('../config');
+
 class SystemService {
     /**
      * @param {SystemReader} systemReader 
      * @param {SystemWriter} systemWriter 
+     * @param {UserSqlWriter} [userSqlWriter] - DATA_SOURCES.AUTH = 'SQL' 時使用
      */
-    constructor(systemReader, systemWriter) {
+    constructor(systemReader, systemWriter, userSqlWriter) {
         this.systemReader = systemReader;
         this.systemWriter = systemWriter;
+        this.userSqlWriter = userSqlWriter || null;
 
         // 定義預設設定 (Moved from Reader)
         this.DEFAULT_SETTINGS = {
@@ -41,6 +50,11 @@ class SystemService {
         if (rows.length > 1) {
             rows.slice(1).forEach(row => {
                 const [type, item, order, enabled, note, color, value2, value3, category] = row;
+                if (type === config.CUSTOM_FIELDS.CONFIG_TYPE || type === config.STAGE_GATES.CONFIG_TYPE) return;
+                if (type === config.EVENT_TEMPLATES.CONFIG_TYPE) {
+                    if (enabled === 'TRUE' && item) this._mergeEventTemplateType(settings['事件類型'], item, order, note, color);
+                    return;
+                }
                 
                 if (enabled === 'TRUE' && type && item) {
                     if (!settings[type]) settings[type] = [];
@@ -74,6 +88,21 @@ class SystemService {
         return settings;
     }
 
+    /**
+     * 事件範本列 -> 「事件類型」項目 (內建類型沿用預設項目，更新名稱、順序與顏色)
+     */
+    _mergeEventTemplateType(eventTypes, item, order, note, color) {
+        const entry = {
+            value: item,
+            note: note || item,
+            order: parseInt(order) || 99,
+            color: color || (config.EVENT_TEMPLATES.BUILT_IN[item] || {}).color || null
+        };
+        const exists = eventTypes.find(i => i.value === item);
+        if (exists) Object.assign(exists, entry);
+        else eventTypes.push(entry);
+    }
+
     /**
      * 清除後端快取
      */
@@ -82,6 +111,13 @@ class SystemService {
         return { success: true, message: '後端所有快取已清除' };
     }
 
+    /**
+     * 取得快取統計 (命中率、各鍵 TTL 剩餘時間、失效次數)
+     */
+    async getCacheStats() {
+        return { success: true, data: this.systemReader.cache.getStats() };
+    }
+
     /**
      * 取得系統最後寫入狀態
      */
@@ -91,28 +127,43 @@ class SystemService {
     }
 
     /**
-     * 更新系統偏好 (含 Cache Clear)
+     * 更新系統偏好 (快取由 SystemWriter 失效)
      */
     async updateSystemPref(item, note, modifier) {
         await this.systemWriter.updateSystemPref(item, note, modifier);
-        this.systemReader.invalidateCache('systemConfigRaw');
         return { success: true };
     }
 
+    _useSqlUsers() {
+        return config.DATA_SOURCES.AUTH === 'SQL' && !!this.userSqlWriter;
+    }
+
     /**
-     * 建立使用者 (含 Cache Clear)
+     * 建立使用者 (快取由 SystemWriter 失效)
+     * @param {Object} userData
+     * @param {string} [actor] - SQL 稽核紀錄的操作者
      */
-    async createUser(userData) {
+    async createUser(userData, actor) {
+        if (this._useSqlUsers()) {
+            return this.userSqlWriter.createUser(userData, actor);
+        }
+
         await this.systemWriter.createUser(userData);
-        this.systemReader.invalidateCache('users');
         return { success: true };
     }
 
     /**
      * 更新使用者密碼
-     * Flow: Lookup(Reader) -> Write(Writer) -> Invalidate
+     * Flow: Lookup(Reader) -> Write(Writer，寫入後失效快取)
+     * @param {string} username
+     * @param {string} newPasswordHash
+     * @param {string} [actor] - SQL 稽核紀錄的操作者
      */
-    async updateUserPassword(username, newPasswordHash) {
+    async updateUserPassword(username, newPasswordHash, actor) {
+        if (this._useSqlUsers()) {
+            return this.userSqlWriter.updatePasswordHash(username, newPasswordHash, actor);
+        }
+
         // 1. Lookup
         const users = await this.systemReader.getUsers();
         const user = users.find(u => u.username === username);
@@ -121,17 +172,20 @@ class SystemService {
         
         // 2. Write by Row Index
         await this.systemWriter.updateUserPasswordByRow(user.rowIndex, newPasswordHash);
-
-        // 3. Invalidate
-        this.systemReader.invalidateCache('users');
         return { success: true };
     }
 
     /**
      * 刪除使用者
-     * Flow: Lookup(Reader) -> Get SheetId(Reader) -> Write(Writer) -> Invalidate
+     * Flow: Lookup(Reader) -> Get SheetId(Reader) -> Write(Writer，寫入後失效快取)
+     * @param {string} username
+     * @param {string} [actor] - SQL 稽核紀錄的操作者
      */
-    async deleteUser(username) {
+    async deleteUser(username, actor) {
+        if (this._useSqlUsers()) {
+            return this.userSqlWriter.deleteUser(username, actor);
+        }
+
         // 1. Lookup User
         const users = await this.systemReader.getUsers();
         const user = users.find(u => u.username === username);
@@ -143,9 +197,6 @@ class SystemService {
 
         // 3. Write (Delete Row)
         await this.systemWriter.deleteUserByRow(sheetId, user.rowIndex);
-
-        // 4. Invalidate
-        this.systemReader.invalidateCache('users');
         return { success: true };
     }
 }
@@ -0,0 +1,107 @@
+/**
+ * services/trash-service.js
+ * 回收桶服務 (軟刪除的列表 / 還原 / 永久刪除)
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * - 機會、公司、聯絡人、互動、事件 (SQL 模式) 的刪除只寫入 deleted_at / deleted_by，
+ *   資料仍留在原表；所有 SQL Reader 預設排除，因此列表、Dashboard、搜尋都看不到。
+ * - 還原 / 永久刪除後由 TrashSqlWriter 以實體標籤失效快取 (Dashboard 等聚合鍵一併清除)。
+ * - Sheet 上的資料 (舊副本 / fallback / Sheet 模式的事件) 不會被軟刪除：Sheet Reader 依回收桶與
+ *   永久刪除墓碑 (trash_purges) 排除這些 ID (data/trash-read-hook.js)。
+ * - 事件在 Sheet 模式 (DATA_SOURCES.EVENT_LOG = 'SHEET') 刪除時以已刪除狀態寫入 SQL 表 (Sheet 列保留)：
+ *   還原 = 移除該 SQL 副本 (以 Sheet 為準，不留下過時的 SQL 資料列)；永久刪除時一併移除 Sheet 列。
+ */
+
+const { TRASH_ENTITIES, getTrashEntity } = require('../data/trash-entities');
+
+class TrashService {
+    /**
+     * @param {TrashSqlReader} trashSqlReader
+     * @param {TrashSqlWriter} trashSqlWriter
+     * @param {EventLogReader} [eventLogReader] - Sheet 模式永久刪除事件時定位 Sheet 列
+     * @param {EventLogWriter} [eventLogWriter]
+     * @param {Object} [config]
+     */
+    constructor(trashSqlReader, trashSqlWriter, eventLogReader = null, eventLogWriter = null, config = null) {
+        this.trashSqlReader = trashSqlReader;
+        this.trashSqlWriter = trashSqlWriter;
+        this.eventLogReader = eventLogReader;
+        this.eventLogWriter = eventLogWriter;
+        this.config = config;
+    }
+
+    /**
+     * @returns {string[]} 可用的實體鍵
+     */
+    getEntities() {
+        return Object.keys(TRASH_ENTITIES);
+    }
+
+    isKnownEntity(entity) {
+        return !!getTrashEntity(entity);
+    }
+
+    /**
+     * @param {string} [entity] - 未指定時列出所有實體
+     */
+    async listItems(entity) {
+        return this.trashSqlReader.getDeletedItems(entity || null);
+    }
+
+    /**
+     * 回收桶內與已永久刪除的 ID，供仍直接讀 Sheet 的聚合 (Dashboard) 排除軟刪除紀錄
+     * @returns {Promise<Object<string, Set<string>>>} { opportunity: Set, company: Set, ... }
+     */
+    async getDeletedIdSets() {
+        const entities = this.getEntities();
+        const ids = await Promise.all(entities.map(entity => this.trashSqlReader.getDeletedIds(entity)));
+        const sets = {};
+        entities.forEach((entity, i) => { sets[entity] = new Set(ids[i]); });
+        return sets;
+    }
+
+    /**
+     * @returns {Promise<Object|null>} 還原的項目；回收桶內找不到時回傳 null
+     */
+    async restoreItem(entity, id, actor) {
+        const item = await this.trashSqlReader.getDeletedItem(entity, id);
+        if (!item) return null;
+
+        if (this._isSheetEvent(entity)) {
+            await this.trashSqlWriter.discard(entity, id, actor);
+        } else {
+            await this.trashSqlWriter.restore(entity, id, actor);
+        }
+        return item;
+    }
+
+    /**
+     * @returns {Promise<Object|null>} 永久刪除的項目；回收桶內找不到時回傳 null
+     */
+    async purgeItem(entity, id, actor) {
+        const item = await this.trashSqlReader.getDeletedItem(entity, id);
+        if (!item) return null;
+
+        const sheetLog = await this._findSheetEvent(entity, id);
+        await this.trashSqlWriter.purge(entity, id, actor);
+        if (sheetLog) await this.eventLogWriter.deleteEventLog(sheetLog.rowIndex, sheetLog.eventType);
+        return item;
+    }
+
+    _isSheetEvent(entity) {
+        return entity === 'event' && !!this.config && this.config.DATA_SOURCES.EVENT_LOG !== 'SQL';
+    }
+
+    /**
+     * Sheet 模式下回收桶內事件對應的 Sheet 列 (Reader 預設排除回收桶，需讀取未過濾的資料)
+     */
+    async _findSheetEvent(entity, id) {
+        if (!this._isSheetEvent(entity) || !this.eventLogReader || !this.eventLogWriter) return null;
+
+        const logs = await this.eventLogReader.getEventLogsIncludingTrashed();
+        return logs.find(log => log.eventId === id && log.eventType !== 'legacy') || null;
+    }
+}
+
+module.exports = TrashService;
@@ -8,28 +8,32 @@
  * 1. Removed WeeklyBusinessWriter dependency entirely.
  * 2. Create/Update/Delete -> Strict SQL Only.
  * 3. Read -> SQL First + Sheet Fallback (Read-Only).
+ * [Phase 8] Shadow Mode: WeeklyBusinessWriter 重新注入，僅在 config.SHADOW_MODE.WEEKLY 開啟時作為影子寫入，
+ * 並於讀取時比對 Sheet 與 SQL 的差異 (ShadowService)。
  */
 
 class WeeklyBusinessService {
     constructor({ 
         weeklyBusinessReader, 
         weeklyBusinessSqlReader, 
-        // weeklyBusinessWriter, // [Removed Phase 7-3]
+        weeklyBusinessWriter, // [Phase 8] Shadow Mode only
         weeklyBusinessSqlWriter,
         dateHelpers, 
         calendarService, 
         systemReader,
         opportunityService, 
+        shadowService,
         config 
     }) {
         this.weeklyBusinessReader = weeklyBusinessReader;
         this.weeklyBusinessSqlReader = weeklyBusinessSqlReader;
-        // this.weeklyBusinessWriter = weeklyBusinessWriter; // [Removed Phase 7-3]
+        this.weeklyBusinessWriter = weeklyBusinessWriter || null;
         this.weeklyBusinessSqlWriter = weeklyBusinessSqlWriter;
         this.dateHelpers = dateHelpers;
         this.calendarService = calendarService;
         this.systemReader = systemReader;
         this.opportunityService = opportunityService;
+        this.shadowService = shadowService || null;
         this.config = config;
     }
 
@@ -42,6 +46,16 @@ class WeeklyBusinessService {
             if (this.weeklyBusinessSqlReader) {
                 if (mode === 'SUMMARY' || mode === 'ENTRIES') {
                      const sqlEntries = await this.weeklyBusinessSqlReader.getWeeklyBusinessEntries();
+
+                     if (this._isShadowing()) {
+                         // 背景比對，不等待 Sheet 讀取
+                         this.shadowService.shadowRead(
+                             'WEEKLY',
+                             sqlEntries.map(entry => this._normalizeEntry(entry)),
+                             async () => (await this.weeklyBusinessReader.getAllEntries()).map(entry => this._normalizeEntry(entry)),
+                             `WeeklyBusinessService._fetchInternal(${mode})`
+                         );
+                     }
                      
                      if (mode === 'SUMMARY') {
                          return sqlEntries;
@@ -102,6 +116,43 @@ class WeeklyBusinessService {
         };
     }
 
+    // ============================================================
+    //  Shadow Mode (SQL 為主，Sheet 為影子)
+    // ============================================================
+
+    _isShadowing() {
+        return !!(this.shadowService && this.weeklyBusinessWriter && this.shadowService.isEnabled('WEEKLY'));
+    }
+
+    async _findSheetEntry(recordId) {
+        const rows = await this.weeklyBusinessReader.getAllEntries();
+        return rows.find(r => r.recordId === recordId) || null;
+    }
+
+    /**
+     * 排入背景鏡射 (ShadowService.scheduleWrite)；兩邊都經 _normalizeEntry 後比對
+     */
+    _shadowWrite(operation, recordId, writeFn) {
+        if (!this._isShadowing()) return;
+        this.shadowService.scheduleWrite('WEEKLY', `WeeklyBusinessService.${operation}`, recordId, {
+            write: writeFn,
+            loadSqlRecord: async () => {
+                const entry = await this.weeklyBusinessSqlReader.getWeeklyBusinessById(recordId);
+                return entry ? this._normalizeEntry(entry) : null;
+            },
+            loadSheetRecord: async () => {
+                const entry = await this._findSheetEntry(recordId);
+                return entry ? this._normalizeEntry(entry) : null;
+            }
+        });
+    }
+
+    async _requireSheetRowIndex(recordId) {
+        const entry = await this._findSheetEntry(recordId);
+        if (!entry) throw new Error(`Sheet 中找不到週間業務紀錄 (ID: ${recordId})`);
+        return entry.rowIndex;
+    }
+
     // ============================================================
     //  Public Methods
     // ============================================================
@@ -336,7 +387,13 @@ class WeeklyBusinessService {
             throw new Error('[WeeklyService] WeeklyBusinessSqlWriter not configured. Create failed.');
         }
 
-        return this.weeklyBusinessSqlWriter.createEntry(fullData, creator);
+        const result = await this.weeklyBusinessSqlWriter.createEntry(fullData, creator);
+
+        this._shadowWrite('createWeeklyBusinessEntry', result.id, () =>
+            this.weeklyBusinessWriter.createEntry({ ...fullData, recordId: result.id }, creator)
+        );
+
+        return result;
     }
 
     /**
@@ -351,7 +408,13 @@ class WeeklyBusinessService {
             }
 
             // Direct SQL Update without prior Sheet lookup
-            return await this.weeklyBusinessSqlWriter.updateEntry(recordId, data, modifier);
+            const result = await this.weeklyBusinessSqlWriter.updateEntry(recordId, data, modifier);
+
+            this._shadowWrite('updateWeeklyBusinessEntry', recordId, async () =>
+                this.weeklyBusinessWriter.updateEntryRow(await this._requireSheetRowIndex(recordId), data, modifier)
+            );
+
+            return result;
         } catch (error) {
             console.error('[WeeklyService] updateWeeklyBusinessEntry Error:', error);
             throw error;
@@ -360,15 +423,23 @@ class WeeklyBusinessService {
 
     /**
      * [Phase 7-3] Delete -> SQL Only (Strict)
+     * @param {string} recordId
+     * @param {string} [modifier] - 稽核紀錄的操作者
      */
-    async deleteWeeklyBusinessEntry(recordId) {
+    async deleteWeeklyBusinessEntry(recordId, modifier = 'System') {
         try {
             if (!this.weeklyBusinessSqlWriter) {
                 throw new Error('[WeeklyService] WeeklyBusinessSqlWriter not configured. Delete failed.');
             }
 
             // Direct SQL Delete without prior Sheet lookup
-            return await this.weeklyBusinessSqlWriter.deleteEntry(recordId);
+            const result = await this.weeklyBusinessSqlWriter.deleteEntry(recordId, modifier);
+
+            this._shadowWrite('deleteWeeklyBusinessEntry', recordId, async () =>
+                this.weeklyBusinessWriter.deleteEntryRow(await this._requireSheetRowIndex(recordId))
+            );
+
+            return result;
         } catch (error) {
             console.error('[WeeklyService] deleteWeeklyBusinessEntry Error:', error);
             throw error;
@@ -4,19 +4,26 @@
  * * @version 5.0.0 (Phase 5 Refactoring)
  * @date 2026-01-09
  * @description 負責處理跨模組的複雜業務流程，例如「機會轉訂單」、「聯絡人升級」等。
- * 依賴注入：OpportunityService, InteractionService, ContactService
+ * 依賴注入：OpportunityService, InteractionService, ContactService, CompanyService
+ * - 名片 (潛在客戶) 以 originalId 定位；升級 / 建檔後名片狀態改為「已升級」/「已建檔」，不可重複處理。
  */
 
+const { createBusinessError } = require('../utils/business-error');
+
 class WorkflowService {
     /**
      * @param {OpportunityService} opportunityService
      * @param {InteractionService} interactionService
      * @param {ContactService} contactService
+     * @param {CompanyService} companyService
+     * @param {Object} config
      */
-    constructor(opportunityService, interactionService, contactService) {
+    constructor(opportunityService, interactionService, contactService, companyService, config) {
         this.opportunityService = opportunityService;
         this.interactionService = interactionService;
         this.contactService = contactService;
+        this.companyService = companyService;
+        this.config = config;
     }
 
     /**
@@ -85,6 +92,97 @@ class WorkflowService {
             throw error;
         }
     }
+
+    /**
+     * 名片升級為機會：建立正式聯絡人與機會，並將聯絡人關聯至機會
+     * @param {string} originalId - 名片原始ID
+     * @param {Object} opportunityData - 新增機會表單 (未填終端客戶 / 主要聯絡人時取名片上的公司與姓名)
+     * @param {string} modifier
+     * @returns {Promise<Object>} { success, message, contactId, opportunityId }
+     */
+    async upgradeContactToOpportunity(originalId, opportunityData, modifier) {
+        try {
+            const card = await this._getPendingCard(originalId, '升級');
+            const user = { displayName: modifier };
+            const data = {
+                ...opportunityData,
+                customerCompany: opportunityData.customerCompany || card.company,
+                mainContact: opportunityData.mainContact || card.name
+            };
+            await this.opportunityService.assertCreateAllowed(data);
+
+            const contactId = await this._createContactFromCard(card, modifier);
+            const oppResult = await this.opportunityService.createOpportunity(data, user);
+            await this.opportunityService.addContactToOpportunity(oppResult.id, { contactId, name: card.name }, user);
+
+            await this.contactService.updatePotentialContact(originalId, { status: this.config.CONSTANTS.CONTACT_STATUS.UPGRADED }, modifier);
+
+            return {
+                success: true,
+                message: this.config.SUCCESS_MESSAGES.CONTACT_UPGRADED,
+                contactId,
+                opportunityId: oppResult.id
+            };
+        } catch (error) {
+            console.error('[WorkflowService] upgradeContactToOpportunity Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 名片建檔：建立正式聯絡人 (不建立機會)
+     * @param {string} originalId - 名片原始ID
+     * @param {string} modifier
+     * @returns {Promise<Object>} { success, contactId }
+     */
+    async fileContact(originalId, modifier) {
+        try {
+            const card = await this._getPendingCard(originalId, '建檔');
+            const contactId = await this._createContactFromCard(card, modifier);
+
+            await this.contactService.updatePotentialContact(originalId, { status: this.config.CONSTANTS.CONTACT_STATUS.FILED }, modifier);
+
+            return { success: true, contactId };
+        } catch (error) {
+            console.error('[WorkflowService] fileContact Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 取得尚未升級 / 建檔 / 合併的名片 (找不到時 ContactService 拋出 404)
+     */
+    async _getPendingCard(originalId, action) {
+        const card = await this.contactService.getPotentialContactById(originalId);
+        const { UPGRADED, FILED, MERGED } = this.config.CONSTANTS.CONTACT_STATUS;
+        if ([UPGRADED, FILED, MERGED].includes(card.status)) {
+            throw createBusinessError(`無法${action}：名片狀態為「${card.status}」`);
+        }
+        if (!card.name) throw createBusinessError(`無法${action}：名片缺少姓名`);
+        return card;
+    }
+
+    /**
+     * 以名片資料建立正式聯絡人 (sourceId = 原始ID)；公司不存在時一併建立
+     * @returns {Promise<string>} contactId
+     */
+    async _createContactFromCard(card, modifier) {
+        let companyId = null;
+        if (card.company) {
+            const company = await this.companyService.createCompany(card.company, {}, modifier);
+            companyId = company.id || (company.data && company.data.companyId);
+        }
+
+        const result = await this.contactService.createContact({
+            sourceId: card.originalId,
+            name: card.name,
+            companyId,
+            position: card.position,
+            mobile: card.mobile,
+            email: card.email
+        }, modifier);
+        return result.id;
+    }
 }
 
 module.exports = WorkflowService;
\ No newline at end of file
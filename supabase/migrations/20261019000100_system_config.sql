@@ -0,0 +1,22 @@
+-- supabase/migrations/20261019000100_system_config.sql
+-- 系統設定 (系統設定工作表 A:I) 的 SQL 資料表
+-- @version 1.0.0
+-- @date 2026-10-19
+-- @description
+-- 由 tools/migrate-sheet-to-sql.js --entity=SYSTEM 寫入 (services/migration-service.js)。
+-- 同一「設定類型 + 設定項目」可有多列，以 scope 區分：
+--   階段關卡 = 機會種類 (值2)、自訂欄位 = 適用實體 (分類)，其餘類型為空字串。
+
+create table if not exists system_config (
+    config_type   text    not null,
+    config_item   text    not null,
+    scope         text    not null default '',
+    display_order integer,
+    enabled       boolean not null default true,
+    note          text    not null default '',
+    color         text    not null default '',
+    value2        text    not null default '',
+    value3        text    not null default '',
+    category      text    not null default '',
+    primary key (config_type, config_item, scope)
+);
@@ -0,0 +1,82 @@
+-- supabase/migrations/20261019000300_shadow_divergences.sql
+-- 影子模式 (Sheet/SQL 雙寫) 的差異紀錄 (services/shadow-service.js)
+-- @version 1.0.0
+-- @date 2026-10-19
+-- @description
+-- 1. shadow_divergences：每一筆差異 (欄位不一致 / 單邊缺漏 / 影子讀寫失敗)，changes 為 [{ field, sql, sheet }]。
+--    存於資料庫而非行程記憶體，重新啟動後保留，多個 Node 行程寫入同一份紀錄。
+-- 2. shadow_counters：各實體的比對次數與鏡射寫入次數 (行程定期累加，shadow_bump_counters)。
+-- 3. shadow_divergence_summary() / shadow_divergence_entries()：/api/admin/shadow 的彙整與明細；
+--    clear_shadow_log() 清除全部紀錄 (重新起算)。
+
+create table if not exists shadow_divergences (
+    id          text        primary key,
+    entity      text        not null,
+    type        text        not null,
+    record_key  text,
+    origin      text,
+    changes     jsonb       not null default '[]'::jsonb,
+    error       text,
+    created_at  timestamptz not null default now()
+);
+
+create index if not exists shadow_divergences_entity_created_idx on shadow_divergences (entity, created_at desc);
+
+create table if not exists shadow_counters (
+    entity         text        primary key,
+    comparisons    bigint      not null default 0,
+    shadow_writes  bigint      not null default 0,
+    since          timestamptz not null default now(),
+    updated_at     timestamptz not null default now()
+);
+
+create or replace function shadow_bump_counters(p_entity text, p_comparisons bigint, p_shadow_writes bigint)
+returns void
+language sql
+as $$
+    insert into shadow_counters (entity, comparisons, shadow_writes)
+    values (p_entity, p_comparisons, p_shadow_writes)
+    on conflict (entity) do update
+        set comparisons   = shadow_counters.comparisons + excluded.comparisons,
+            shadow_writes = shadow_counters.shadow_writes + excluded.shadow_writes,
+            updated_at    = now();
+$$;
+
+-- field 為 null 的列是依類型的統計；type 為 null 的列是依欄位的統計 (只有 FIELD_MISMATCH 帶 changes)
+create or replace function shadow_divergence_summary()
+returns table (entity text, type text, field text, divergences bigint, last_divergence_at timestamptz)
+language sql
+stable
+as $$
+    select d.entity, d.type, null::text, count(*), max(d.created_at)
+    from shadow_divergences d
+    group by d.entity, d.type
+    union all
+    select d.entity, null::text, c.value ->> 'field', count(*), max(d.created_at)
+    from shadow_divergences d
+    cross join lateral jsonb_array_elements(d.changes) as c(value)
+    group by d.entity, c.value ->> 'field';
+$$;
+
+create or replace function shadow_divergence_entries(p_entity text, p_type text, p_field text, p_limit integer)
+returns setof shadow_divergences
+language sql
+stable
+as $$
+    select d.*
+    from shadow_divergences d
+    where (p_entity is null or d.entity = p_entity)
+      and (p_type is null or d.type = p_type)
+      and (p_field is null or d.changes @> jsonb_build_array(jsonb_build_object('field', p_field)))
+    order by d.created_at desc, d.id desc
+    limit p_limit;
+$$;
+
+create or replace function clear_shadow_log()
+returns void
+language sql
+as $$
+    -- where true：Supabase 的 safeupdate 拒絕沒有 WHERE 的 DELETE
+    delete from shadow_divergences where true;
+    delete from shadow_counters where true;
+$$;
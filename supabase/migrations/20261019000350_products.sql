@@ -0,0 +1,29 @@
+-- supabase/migrations/20261019000350_products.sql
+-- 商品主檔 (PRODUCT 試算表的非機敏欄位，data/product-sql-writer.js PRODUCT_COLUMNS)
+-- @version 1.0.0
+-- @date 2026-10-19
+-- @description
+-- product_prices (20261019000400) 以 product_id 參照本表，upsert_products 寫入本表欄位，因此須先建立。
+-- 成本與通路價格不在本表 (見 product_prices)。
+-- 由 tools/migrate-sheet-to-sql.js --entity=PRODUCT 寫入既有商品 (Sheet 沒有建立時間時 create_time 為 NULL)。
+
+create table if not exists products (
+    product_id        text        primary key,
+    product_name      text,
+    category          text,
+    product_group     text,
+    combination       text,
+    unit              text,
+    spec              text,
+    supplier          text,
+    series            text,
+    interface         text,
+    property          text,
+    aspect            text,
+    description       text,
+    status            text,
+    creator           text,
+    create_time       timestamptz default now(),
+    last_modifier     text,
+    last_update_time  timestamptz default now()
+);
@@ -0,0 +1,73 @@
+-- supabase/migrations/20261019000400_product_prices.sql
+-- 商品價格拆表 + upsert_products (data/product-sql-writer.js)
+-- @version 1.0.0
+-- @date 2026-10-19
+-- @description
+-- 1. product_prices：機敏價格 (成本 / MTB / SI / MTU)，與 products 1:1 (product_id)。
+--    啟用 RLS 且不建立 policy：只有後端的 service_role 可讀寫，anon / authenticated 金鑰讀不到。
+-- 2. upsert_products(p_products jsonb, p_modifier text)：整批在單一交易內寫入，任一筆失敗整批 ROLLBACK。
+--    p_products = [{ product_id, product: { 欄位: 值 }, prices: { 欄位: 值 } | null }]
+--    - product / prices 只包含要寫入的欄位，未出現的欄位保留原值；prices 為 null 時不動價格表。
+--    - 新增時補上 creator / create_time，每次寫入更新 last_modifier / last_update_time。
+--    - 價格非數字時 jsonb_populate_record 拋出 22P02 (invalid input syntax for type numeric)。
+-- 既有 products 的價格欄位請以 tools/migrate-sheet-to-sql.js --entity=PRODUCT 重新寫入 product_prices。
+
+create table if not exists product_prices (
+    product_id   text primary key references products (product_id) on delete cascade,
+    cost         numeric,
+    price_mtb    numeric,
+    price_si     numeric,
+    price_mtu    numeric,
+    updated_by   text,
+    updated_time timestamptz not null default now()
+);
+
+alter table product_prices enable row level security;
+
+create or replace function upsert_products(p_products jsonb, p_modifier text)
+returns integer
+language plpgsql
+as $$
+declare
+    v_item jsonb;
+    v_id text;
+    v_now timestamptz := now();
+begin
+    for v_item in select value from jsonb_array_elements(coalesce(p_products, '[]'::jsonb))
+    loop
+        v_id := v_item->>'product_id';
+        if coalesce(v_id, '') = '' then
+            raise exception 'product_id is required';
+        end if;
+
+        insert into products (product_id, creator, create_time, last_modifier, last_update_time)
+        values (v_id, p_modifier, v_now, p_modifier, v_now)
+        on conflict (product_id) do nothing;
+
+        -- jsonb_populate_record 以既有資料列為底，只覆寫 product 內出現的欄位
+        update products p
+        set (product_name, category, product_group, combination, unit, spec, supplier,
+             series, interface, property, aspect, description, status,
+             last_modifier, last_update_time)
+          = (select r.product_name, r.category, r.product_group, r.combination, r.unit, r.spec, r.supplier,
+                    r.series, r.interface, r.property, r.aspect, r.description, r.status,
+                    p_modifier, v_now
+             from jsonb_populate_record(p, coalesce(v_item->'product', '{}'::jsonb)) r)
+        where p.product_id = v_id;
+
+        if jsonb_typeof(v_item->'prices') = 'object' then
+            insert into product_prices (product_id, updated_by, updated_time)
+            values (v_id, p_modifier, v_now)
+            on conflict (product_id) do nothing;
+
+            update product_prices pp
+            set (cost, price_mtb, price_si, price_mtu, updated_by, updated_time)
+              = (select r.cost, r.price_mtb, r.price_si, r.price_mtu, p_modifier, v_now
+                 from jsonb_populate_record(pp, v_item->'prices') r)
+            where pp.product_id = v_id;
+        end if;
+    end loop;
+
+    return jsonb_array_length(coalesce(p_products, '[]'::jsonb));
+end;
+$$;
@@ -0,0 +1,23 @@
+-- supabase/migrations/20261019000500_users.sql
+-- 使用者名冊 (DATA_SOURCES.AUTH = 'SQL'；data/user-sql-reader.js / data/user-sql-writer.js)
+-- @version 1.0.0
+-- @date 2026-10-19
+-- @description
+-- 1. username 保留原始大小寫，為 tools/migrate-sheet-to-sql.js --entity=AUTH 的 upsert 衝突鍵。
+-- 2. username_lower 的 UNIQUE 約束擋下只差大小寫的重複帳號 (例如 Admin / admin)；
+--    UserSqlWriter.createUser 將違反約束 (23505) 轉為「使用者帳號已存在」。登入與改密碼也以此欄定位。
+-- 3. 含密碼雜湊：啟用 RLS 且不建立 policy，只有後端的 service_role 可讀寫。
+-- 若 Sheet 的使用者名冊已有只差大小寫的帳號，遷移會在 UNIQUE 約束失敗，需先於 Sheet 整併。
+
+create table if not exists users (
+    username        text        primary key,
+    username_lower  text        not null,
+    password_hash   text        not null,
+    display_name    text,
+    role            text        not null default 'sales',
+    created_time    timestamptz not null default now(),
+    updated_time    timestamptz not null default now(),
+    constraint users_username_lower_key unique (username_lower)
+);
+
+alter table users enable row level security;
@@ -0,0 +1,15 @@
+-- supabase/migrations/20261019000550_event_log_template_columns.sql
+-- 事件範本欄位 (services/event-template-service.js；data/event-log-sql-writer.js)
+-- @version 1.0.0
+-- @date 2026-10-19
+-- @description
+-- 1. event_logs_general.event_type：管理員新增的事件類型存於一般事件表，以本欄區分 (NULL = 一般事件)。
+-- 2. event_logs_{general,iot,dt,dx}.details：範本欄位的值 { 欄位 key: 值 }，更新時合併 (utils/custom-field-values.js)。
+--    預設 '{}'：move_event_log (20261019000600) 搬移時未帶入的欄位使用資料表預設值，因此本檔須排在其前。
+
+alter table event_logs_general add column if not exists event_type text;
+
+alter table event_logs_general add column if not exists details jsonb not null default '{}'::jsonb;
+alter table event_logs_iot     add column if not exists details jsonb not null default '{}'::jsonb;
+alter table event_logs_dt      add column if not exists details jsonb not null default '{}'::jsonb;
+alter table event_logs_dx      add column if not exists details jsonb not null default '{}'::jsonb;
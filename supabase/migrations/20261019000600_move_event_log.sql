@@ -0,0 +1,49 @@
+-- supabase/migrations/20261019000600_move_event_log.sql
+-- 事件類型變更 = 跨表搬移 (data/event-log-sql-writer.js)
+-- @version 1.0.0
+-- @date 2026-10-19
+-- @description
+-- move_event_log(p_event_id text, p_from_table text, p_to_table text, p_row jsonb) returns text
+-- 在單一交易內 INSERT 目標表 + DELETE 來源表；任一步失敗即 ROLLBACK，原紀錄保留在來源表。
+-- - 只接受 event_logs_general / iot / dt / dx (表名以 format('%I') 帶入，避免注入)。
+-- - 只寫入 p_row 內出現且目標表存在的欄位，其餘欄位使用資料表預設值 (例如 details)。
+-- - 來源表找不到該筆 (已被搬移或刪除) 時拋錯，目標表的 INSERT 一併還原。
+
+create or replace function move_event_log(p_event_id text, p_from_table text, p_to_table text, p_row jsonb)
+returns text
+language plpgsql
+as $$
+declare
+    v_tables constant text[] := array['event_logs_general', 'event_logs_iot', 'event_logs_dt', 'event_logs_dx'];
+    v_row jsonb := coalesce(p_row, '{}'::jsonb) || jsonb_build_object('event_id', p_event_id);
+    v_columns text;
+    v_deleted integer;
+begin
+    if not (p_from_table = any (v_tables)) or not (p_to_table = any (v_tables)) then
+        raise exception 'invalid event table: % -> %', p_from_table, p_to_table;
+    end if;
+    if p_from_table = p_to_table then
+        raise exception 'event % is already in %', p_event_id, p_to_table;
+    end if;
+
+    select string_agg(quote_ident(c.column_name), ', ' order by c.ordinal_position)
+    into v_columns
+    from information_schema.columns c
+    where c.table_schema = 'public'
+      and c.table_name = p_to_table
+      and v_row ? c.column_name;
+
+    execute format(
+        'insert into %I (%s) select %s from jsonb_populate_record(null::%I, $1)',
+        p_to_table, v_columns, v_columns, p_to_table
+    ) using v_row;
+
+    execute format('delete from %I where event_id = $1', p_from_table) using p_event_id;
+    get diagnostics v_deleted = row_count;
+    if v_deleted <> 1 then
+        raise exception 'event % not found in %', p_event_id, p_from_table;
+    end if;
+
+    return p_event_id;
+end;
+$$;
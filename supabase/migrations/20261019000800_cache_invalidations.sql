@@ -0,0 +1,20 @@
+-- supabase/migrations/20261019000800_cache_invalidations.sql
+-- 多行程共用的快取失效事件 (CACHE_BACKEND = 'SUPABASE'；data/cache/supabase-cache-backend.js)
+-- @version 1.0.0
+-- @date 2026-10-19
+-- @description
+-- 只記錄「誰失效了什麼」，快取資料本身仍在各行程記憶體。
+-- - id = <origin>-<序號>，各行程自行產生；origin 用來略過自己發出的事件。
+-- - scope / target：失效範圍 (tag / key / all) 與目標 (all 時為 null)。
+-- - issued_at：發出時間 (epoch 毫秒)。各行程以 issued_at >= cursor 拉取，並定期刪除超過保留期限的事件，
+--   兩者都需要 issued_at 索引。
+
+create table if not exists cache_invalidations (
+    id         text   primary key,
+    origin     text   not null,
+    scope      text   not null,
+    target     text,
+    issued_at  bigint not null
+);
+
+create index if not exists cache_invalidations_issued_at_idx on cache_invalidations (issued_at);
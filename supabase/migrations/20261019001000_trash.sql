@@ -0,0 +1,27 @@
+-- supabase/migrations/20261019001000_trash.sql
+-- 回收桶 (data/trash-entities.js、data/trash-sql-reader.js、data/trash-sql-writer.js)
+-- @version 1.0.0
+-- @date 2026-10-19
+-- @description
+-- 1. 可軟刪除的資料表加上 deleted_at / deleted_by；deleted_at 非 NULL 即位於回收桶，所有 SQL Reader 預設排除。
+--    event_logs_summary 為唯讀舊表，不會被刪除，但 Reader 一併過濾，欄位也要存在。
+-- 2. trash_purges：永久刪除的墓碑。Sheet 上的舊副本不會隨 SQL 刪除，
+--    Sheet Reader 以回收桶 + 墓碑的 ID 排除 (data/trash-read-hook.js)。
+
+alter table opportunities      add column if not exists deleted_at timestamptz, add column if not exists deleted_by text;
+alter table companies          add column if not exists deleted_at timestamptz, add column if not exists deleted_by text;
+alter table contacts           add column if not exists deleted_at timestamptz, add column if not exists deleted_by text;
+alter table interactions       add column if not exists deleted_at timestamptz, add column if not exists deleted_by text;
+alter table event_logs_general add column if not exists deleted_at timestamptz, add column if not exists deleted_by text;
+alter table event_logs_iot     add column if not exists deleted_at timestamptz, add column if not exists deleted_by text;
+alter table event_logs_dt      add column if not exists deleted_at timestamptz, add column if not exists deleted_by text;
+alter table event_logs_dx      add column if not exists deleted_at timestamptz, add column if not exists deleted_by text;
+alter table event_logs_summary add column if not exists deleted_at timestamptz, add column if not exists deleted_by text;
+
+create table if not exists trash_purges (
+    entity     text        not null,
+    entity_id  text        not null,
+    purged_by  text,
+    purged_at  timestamptz not null default now(),
+    primary key (entity, entity_id)
+);
@@ -0,0 +1,26 @@
+-- supabase/migrations/20261019001100_audit_logs.sql
+-- 欄位層級稽核紀錄 (寫入：data/audit-sql-writer.js；查詢：data/audit-sql-reader.js -> /api/audit)
+-- @version 1.0.0
+-- @date 2026-10-19
+-- @description
+-- 每個有變動的欄位一列 (field 為 null 的列只記錄動作，例如沒有欄位差異的 delete / purge)。
+-- 只新增不修改：後端不提供更新或刪除稽核紀錄的路徑。
+-- 啟用 RLS 且不建立 policy：只有後端的 service_role 可讀寫 (含商品成本等機敏欄位的新舊值)。
+-- 索引對應 /api/audit 的查詢：依實體 + ID 或依操作者篩選，新到舊排序。
+
+create table if not exists audit_logs (
+    id          text        primary key,
+    entity      text        not null,
+    entity_id   text,
+    action      text        not null,
+    field       text,
+    old_value   text,
+    new_value   text,
+    actor       text,
+    created_at  timestamptz not null default now()
+);
+
+create index if not exists audit_logs_entity_idx on audit_logs (entity, entity_id, created_at desc);
+create index if not exists audit_logs_actor_idx  on audit_logs (actor, created_at desc);
+
+alter table audit_logs enable row level security;
@@ -0,0 +1,24 @@
+-- supabase/migrations/20261019001150_opportunity_company_id.sql
+-- 機會與公司的正式關聯 opportunities.company_id (data/opportunity-sql-writer.js)
+-- @version 1.0.0
+-- @date 2026-10-19
+-- @description
+-- customer_company 僅為顯示用名稱；company_id 為關聯鍵，公司改名不影響關聯。
+-- - 外鍵 on delete set null：公司自回收桶永久刪除後，機會保留但不再關聯。
+-- - 索引供公司詳細頁 / 公司列表的機會彙總使用 (company_opportunity_count，20261019001200_list_joins.sql，
+--   該函式參照本欄，故本檔排在其前)。
+-- 既有機會的 company_id 以 tools/link-opportunity-companies.js 依 customer_company 回填。
+
+alter table opportunities add column if not exists company_id text;
+
+do $$
+begin
+    if not exists (select 1 from pg_constraint where conname = 'opportunities_company_id_fkey') then
+        alter table opportunities
+            add constraint opportunities_company_id_fkey
+            foreign key (company_id) references companies (company_id) on delete set null;
+    end if;
+end;
+$$;
+
+create index if not exists opportunities_company_id_idx on opportunities (company_id);
@@ -0,0 +1,77 @@
+-- supabase/migrations/20261019001200_list_joins.sql
+-- 列表查詢的關聯資料 (services/company-service.js queryCompanies、services/opportunity-service.js queryOpportunities、
+-- services/interaction-service.js queryInteractions)
+-- @version 1.0.0
+-- @date 2026-10-19
+-- @description
+-- 列表只為本頁的資料補上衍生欄位，不整表讀取：
+-- 1. company_last_activity(p_company_ids text[])：指定公司的最後活動時間
+--    (互動時間 / 事件建立時間取最大值，排除回收桶)，沒有活動的公司不回傳。
+-- 2. company_opportunity_count(p_company_ids text[])：指定公司的機會數 (排除回收桶)，沒有機會的公司不回傳。
+-- 3. opportunity_last_interaction(p_opportunity_ids text[])：指定機會的最後互動時間 (排除回收桶)。
+-- 4. 互動紀錄的機會 / 公司名稱以 in (本頁 ID) 查詢主鍵，不需額外函式。
+-- 5. 依 company_id / opportunity_id 彙總需要的索引。
+
+create index if not exists interactions_company_id_idx       on interactions (company_id);
+create index if not exists interactions_opportunity_id_idx   on interactions (opportunity_id);
+create index if not exists event_logs_general_company_id_idx on event_logs_general (company_id);
+create index if not exists event_logs_iot_company_id_idx     on event_logs_iot (company_id);
+create index if not exists event_logs_dt_company_id_idx      on event_logs_dt (company_id);
+create index if not exists event_logs_dx_company_id_idx      on event_logs_dx (company_id);
+
+create or replace function company_last_activity(p_company_ids text[])
+returns table (company_id text, last_activity timestamptz)
+language sql
+stable
+as $$
+    select a.company_id, max(a.ts) as last_activity
+    from (
+        select i.company_id, nullif(i.interaction_time::text, '')::timestamptz as ts
+        from interactions i
+        where i.company_id = any (p_company_ids) and i.deleted_at is null
+        union all
+        select e.company_id, nullif(e.created_time::text, '')::timestamptz
+        from event_logs_general e
+        where e.company_id = any (p_company_ids) and e.deleted_at is null
+        union all
+        select e.company_id, nullif(e.created_time::text, '')::timestamptz
+        from event_logs_iot e
+        where e.company_id = any (p_company_ids) and e.deleted_at is null
+        union all
+        select e.company_id, nullif(e.created_time::text, '')::timestamptz
+        from event_logs_dt e
+        where e.company_id = any (p_company_ids) and e.deleted_at is null
+        union all
+        select e.company_id, nullif(e.created_time::text, '')::timestamptz
+        from event_logs_dx e
+        where e.company_id = any (p_company_ids) and e.deleted_at is null
+    ) a
+    where a.ts is not null
+    group by a.company_id;
+$$;
+
+create or replace function company_opportunity_count(p_company_ids text[])
+returns table (company_id text, opportunity_count bigint)
+language sql
+stable
+as $$
+    select o.company_id, count(*) as opportunity_count
+    from opportunities o
+    where o.company_id = any (p_company_ids) and o.deleted_at is null
+    group by o.company_id;
+$$;
+
+create or replace function opportunity_last_interaction(p_opportunity_ids text[])
+returns table (opportunity_id text, last_interaction timestamptz)
+language sql
+stable
+as $$
+    select a.opportunity_id, max(a.ts) as last_interaction
+    from (
+        select i.opportunity_id, nullif(i.interaction_time::text, '')::timestamptz as ts
+        from interactions i
+        where i.opportunity_id = any (p_opportunity_ids) and i.deleted_at is null
+    ) a
+    where a.ts is not null
+    group by a.opportunity_id;
+$$;
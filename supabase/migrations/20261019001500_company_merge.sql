@@ -0,0 +1,171 @@
+-- supabase/migrations/20261019001500_company_merge.sql
+-- 公司合併 / 復原 (data/company-merge-sql-writer.js)
+-- @version 1.0.0
+-- @date 2026-10-19
+-- @description
+-- 1. companies.merged_into：被合併公司軟刪除時記錄存續公司。
+-- 2. company_merges：每次合併一列；moved 記錄各表被改寫資料列原本的 company_id (機會另含 customer_company)，
+--    sheet_events 記錄 Sheet 模式下一併改寫的事件 (由 CompanyMergeService 於交易後寫入)。
+-- 3. merge_companies / undo_company_merge：單一交易改寫
+--    contacts / opportunities / interactions / event_logs_{general,iot,dt,dx} 的 company_id。
+--    - 機會一併改寫 customer_company，並回填 company_id 為空、名稱為被合併公司完整名稱的舊資料。
+--    - 復原只還原「仍指向存續公司」的資料列；合併後又被改到其他公司的不動，計入 skipped。
+
+alter table companies add column if not exists merged_into text;
+
+create table if not exists company_merges (
+    merge_id       text primary key,
+    survivor_id    text not null,
+    survivor_name  text,
+    merged_id      text not null,
+    merged_name    text,
+    merged_company jsonb not null,
+    moved          jsonb not null default '{}'::jsonb,
+    sheet_events   jsonb not null default '[]'::jsonb,
+    merged_by      text,
+    merged_at      timestamptz not null default now(),
+    undone_by      text,
+    undone_at      timestamptz
+);
+
+create index if not exists company_merges_survivor_id_idx on company_merges (survivor_id, merged_at desc);
+create index if not exists company_merges_merged_id_idx on company_merges (merged_id, merged_at desc);
+
+create or replace function merge_companies(p_merge_id text, p_survivor_id text, p_merged_id text, p_actor text)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_now timestamptz := now();
+    v_survivor companies;
+    v_merged companies;
+    v_ref record;
+    v_items jsonb;
+    v_moved jsonb := '{}'::jsonb;
+    v_record company_merges;
+begin
+    select * into v_survivor from companies where company_id = p_survivor_id and deleted_at is null for update;
+    if not found then
+        raise exception 'company % not found', p_survivor_id;
+    end if;
+    select * into v_merged from companies where company_id = p_merged_id and deleted_at is null for update;
+    if not found then
+        raise exception 'company % not found', p_merged_id;
+    end if;
+
+    for v_ref in
+        select * from (values
+            ('contacts', 'contact_id'),
+            ('interactions', 'interaction_id'),
+            ('event_logs_general', 'event_id'),
+            ('event_logs_iot', 'event_id'),
+            ('event_logs_dt', 'event_id'),
+            ('event_logs_dx', 'event_id')
+        ) as t(tbl, id_column)
+    loop
+        execute format(
+            'select jsonb_agg(jsonb_build_object(''id'', %I, ''company_id'', company_id)) from %I where company_id = $1',
+            v_ref.id_column, v_ref.tbl
+        ) into v_items using p_merged_id;
+
+        if v_items is not null then
+            v_moved := v_moved || jsonb_build_object(v_ref.tbl, v_items);
+            execute format('update %I set company_id = $1 where company_id = $2', v_ref.tbl)
+            using p_survivor_id, p_merged_id;
+        end if;
+    end loop;
+
+    select jsonb_agg(jsonb_build_object('id', opportunity_id, 'company_id', company_id, 'customer_company', customer_company))
+    into v_items
+    from opportunities
+    where company_id = p_merged_id
+       or (company_id is null and customer_company = v_merged.company_name);
+
+    if v_items is not null then
+        v_moved := v_moved || jsonb_build_object('opportunities', v_items);
+        update opportunities
+        set company_id = p_survivor_id, customer_company = v_survivor.company_name
+        where opportunity_id in (select value->>'id' from jsonb_array_elements(v_items));
+    end if;
+
+    update companies
+    set deleted_at = v_now, deleted_by = p_actor, merged_into = p_survivor_id
+    where company_id = p_merged_id;
+
+    insert into company_merges (merge_id, survivor_id, survivor_name, merged_id, merged_name,
+                                merged_company, moved, merged_by, merged_at)
+    values (p_merge_id, p_survivor_id, v_survivor.company_name, p_merged_id, v_merged.company_name,
+            to_jsonb(v_merged), v_moved, p_actor, v_now)
+    returning * into v_record;
+
+    return to_jsonb(v_record);
+end;
+$$;
+
+create or replace function undo_company_merge(p_merge_id text, p_actor text)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_record company_merges;
+    v_ref record;
+    v_item jsonb;
+    v_count integer;
+    v_restored integer := 0;
+    v_skipped integer := 0;
+begin
+    select * into v_record from company_merges where merge_id = p_merge_id for update;
+    if not found then
+        raise exception 'merge % not found', p_merge_id;
+    end if;
+    if v_record.undone_at is not null then
+        raise exception 'merge % already undone', p_merge_id;
+    end if;
+    perform 1 from companies where company_id = v_record.merged_id;
+    if not found then
+        raise exception 'company % has been purged', v_record.merged_id;
+    end if;
+
+    for v_ref in
+        select * from (values
+            ('contacts', 'contact_id'),
+            ('opportunities', 'opportunity_id'),
+            ('interactions', 'interaction_id'),
+            ('event_logs_general', 'event_id'),
+            ('event_logs_iot', 'event_id'),
+            ('event_logs_dt', 'event_id'),
+            ('event_logs_dx', 'event_id')
+        ) as t(tbl, id_column)
+    loop
+        for v_item in select value from jsonb_array_elements(coalesce(v_record.moved->v_ref.tbl, '[]'::jsonb))
+        loop
+            if v_ref.tbl = 'opportunities' then
+                update opportunities
+                set company_id = v_item->>'company_id', customer_company = v_item->>'customer_company'
+                where opportunity_id = v_item->>'id' and company_id = v_record.survivor_id;
+            else
+                execute format('update %I set company_id = $1 where %I = $2 and company_id = $3', v_ref.tbl, v_ref.id_column)
+                using v_item->>'company_id', v_item->>'id', v_record.survivor_id;
+            end if;
+
+            get diagnostics v_count = row_count;
+            if v_count > 0 then
+                v_restored := v_restored + 1;
+            else
+                v_skipped := v_skipped + 1;
+            end if;
+        end loop;
+    end loop;
+
+    update companies
+    set deleted_at = null, deleted_by = null, merged_into = null
+    where company_id = v_record.merged_id;
+
+    update company_merges
+    set undone_by = p_actor, undone_at = now()
+    where merge_id = p_merge_id
+    returning * into v_record;
+
+    return to_jsonb(v_record) || jsonb_build_object('restored', v_restored, 'skipped', v_skipped);
+end;
+$$;
@@ -0,0 +1,104 @@
+-- supabase/migrations/20261019001600_contact_merge.sql
+-- 聯絡人合併 (data/contact-merge-sql-writer.js)
+-- @version 1.0.0
+-- @date 2026-10-19
+-- @description
+-- 1. contacts.merged_into：被合併聯絡人軟刪除時記錄存續聯絡人。
+-- 2. contact_merges：每次合併一列；merged_contacts 保存被合併正式聯絡人的完整資料列，
+--    merged_cards / card_images 記錄一併併入的名片 (RAW, Sheet，不在此交易內)。
+-- 3. merge_contacts：單一交易將被合併正式聯絡人的 opportunity_contact_links 改指向存續聯絡人。
+--    - 存續聯絡人已關聯同一機會時只保留一筆 (links_deduped)；被合併的一方為 active 時，存續的一方改為 active。
+--    - 正式聯絡人只能併入正式聯絡人 (p_survivor_type = 'official')。
+
+alter table contacts add column if not exists merged_into text;
+
+create table if not exists contact_merges (
+    merge_id        text primary key,
+    survivor_type   text not null,
+    survivor_id     text not null,
+    merged_contacts jsonb not null default '[]'::jsonb,
+    merged_cards    jsonb not null default '[]'::jsonb,
+    card_images     jsonb not null default '[]'::jsonb,
+    links_moved     integer not null default 0,
+    links_deduped   integer not null default 0,
+    merged_by       text,
+    merged_at       timestamptz not null default now()
+);
+
+create index if not exists contact_merges_survivor_id_idx on contact_merges (survivor_id, merged_at desc);
+
+create or replace function merge_contacts(p_merge_id text, p_survivor_type text, p_survivor_id text,
+                                          p_merged_contact_ids text[], p_merged_cards jsonb,
+                                          p_card_images jsonb, p_actor text)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_now timestamptz := now();
+    v_contact_ids text[] := coalesce(p_merged_contact_ids, array[]::text[]);
+    v_contact_id text;
+    v_contact contacts;
+    v_merged_contacts jsonb := '[]'::jsonb;
+    v_link opportunity_contact_links;
+    v_existing opportunity_contact_links;
+    v_links_moved integer := 0;
+    v_links_deduped integer := 0;
+    v_record contact_merges;
+begin
+    if cardinality(v_contact_ids) > 0 and p_survivor_type <> 'official' then
+        raise exception 'official contacts can only be merged into an official contact';
+    end if;
+    if p_survivor_type = 'official' then
+        perform 1 from contacts where contact_id = p_survivor_id and deleted_at is null for update;
+        if not found then
+            raise exception 'contact % not found', p_survivor_id;
+        end if;
+    end if;
+
+    foreach v_contact_id in array v_contact_ids
+    loop
+        select * into v_contact from contacts where contact_id = v_contact_id and deleted_at is null for update;
+        if not found then
+            raise exception 'contact % not found', v_contact_id;
+        end if;
+        v_merged_contacts := v_merged_contacts || jsonb_build_array(to_jsonb(v_contact));
+
+        for v_link in select * from opportunity_contact_links where contact_id = v_contact_id
+        loop
+            select * into v_existing from opportunity_contact_links
+            where opportunity_id = v_link.opportunity_id and contact_id = p_survivor_id;
+
+            if found then
+                if v_existing.link_status <> 'active' and v_link.link_status = 'active' then
+                    update opportunity_contact_links
+                    set link_status = 'active', updated_time = v_now, updated_by = p_actor
+                    where opportunity_id = v_link.opportunity_id and contact_id = p_survivor_id;
+                end if;
+                delete from opportunity_contact_links
+                where opportunity_id = v_link.opportunity_id and contact_id = v_contact_id;
+                v_links_deduped := v_links_deduped + 1;
+            else
+                update opportunity_contact_links
+                set contact_id = p_survivor_id, updated_time = v_now, updated_by = p_actor
+                where opportunity_id = v_link.opportunity_id and contact_id = v_contact_id;
+                v_links_moved := v_links_moved + 1;
+            end if;
+        end loop;
+    end loop;
+
+    if cardinality(v_contact_ids) > 0 then
+        update contacts
+        set deleted_at = v_now, deleted_by = p_actor, merged_into = p_survivor_id
+        where contact_id = any (v_contact_ids);
+    end if;
+
+    insert into contact_merges (merge_id, survivor_type, survivor_id, merged_contacts, merged_cards, card_images,
+                                links_moved, links_deduped, merged_by, merged_at)
+    values (p_merge_id, p_survivor_type, p_survivor_id, v_merged_contacts,
+            coalesce(p_merged_cards, '[]'::jsonb), coalesce(p_card_images, '[]'::jsonb),
+            v_links_moved, v_links_deduped, p_actor, v_now)
+    returning * into v_record;
+
+    return to_jsonb(v_record);
+end;
+$$;
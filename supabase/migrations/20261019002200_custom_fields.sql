@@ -0,0 +1,12 @@
+-- supabase/migrations/20261019002200_custom_fields.sql
+-- 自訂欄位的值 (services/custom-field-service.js；定義存於系統設定「自訂欄位」)
+-- @version 1.0.0
+-- @date 2026-10-19
+-- @description
+-- opportunities / companies / contacts 各加一欄 custom_fields jsonb：{ 欄位 key: 值 }。
+-- 各 SQL Writer 更新時只帶入有修改的 key，與目前的值合併 (utils/custom-field-values.js)；
+-- 預設 '{}' 讓合併與讀取不需處理 NULL。
+
+alter table opportunities add column if not exists custom_fields jsonb not null default '{}'::jsonb;
+alter table companies     add column if not exists custom_fields jsonb not null default '{}'::jsonb;
+alter table contacts      add column if not exists custom_fields jsonb not null default '{}'::jsonb;
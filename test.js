@@ -0,0 +1,2133 @@
+// test.js - 端對端測試 (記憶體後端)
+//
+// 用法：npm test
+//
+// 以 BACKEND_MODE=MEMORY 啟動完整的 Express app (Service Container + Routes)，
+// 透過 HTTP 呼叫真實的 Controller / Service / Reader / Writer，
+// 資料來源為 fakes/fixtures/*.json，不需要網路、Google 憑證或 Supabase。
+// 需要查看服務層 log 時可加上 TEST_VERBOSE=1。
+
+process.env.BACKEND_MODE = 'MEMORY';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+if (!process.env.TEST_VERBOSE) {
+    console.log = () => {};
+    console.warn = () => {};
+}
+
+const { getMemoryBackends } = require('./fakes');
+const { app, createApp } = require('./app');
+
+let server = null;
+let baseUrl = '';
+let token = '';
+
+async function request(method, url, body, authToken = token, extraHeaders = {}) {
+    const headers = { 'Content-Type': 'application/json', ...extraHeaders };
+    if (authToken) headers.Authorization = `Bearer ${authToken}`;
+
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    const text = await response.text();
+    let json = null;
+    try {
+        json = JSON.parse(text);
+    } catch (e) {
+        // 非 JSON 回應 (例如 Drive 串流)
+    }
+    return { status: response.status, json, text };
+}
+
+before(async () => {
+    await createApp();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    if (server) server.close();
+});
+
+// ==================== 認證 ====================
+
+test('auth: 正確帳密可登入並取得 JWT', async () => {
+    const res = await request('POST', '/api/auth/login', { username: 'admin', password: 'admin123' }, null);
+    assert.equal(res.status, 200);
+    assert.equal(res.json.success, true);
+    assert.equal(res.json.role, 'admin');
+    assert.ok(res.json.token);
+    token = res.json.token;
+});
+
+test('auth: 錯誤密碼被拒絕', async () => {
+    const res = await request('POST', '/api/auth/login', { username: 'admin', password: 'wrong' }, null);
+    assert.notEqual(res.status, 200);
+    assert.ok(!res.json || !res.json.token);
+});
+
+test('auth: 未帶 Token 的 API 被擋下', async () => {
+    const res = await request('GET', '/api/opportunities', null, null);
+    assert.equal(res.status, 403);
+});
+
+// ==================== 機會案件 ====================
+
+test('opportunities: 列表來自 SQL 種子資料', async () => {
+    const res = await request('GET', '/api/opportunities');
+    assert.equal(res.status, 200);
+    const ids = res.json.map(o => o.opportunityId);
+    assert.ok(ids.includes('OPP_0001'));
+    assert.ok(ids.includes('OPP_0002'));
+});
+
+test('opportunities: 更新後詳細頁反映新階段', async () => {
+    const update = await request('PUT', '/api/opportunities/OPP_0002', { currentStage: '02_需求確認' });
+    assert.equal(update.status, 200);
+
+    const details = await request('GET', '/api/opportunities/OPP_0002/details');
+    assert.equal(details.status, 200);
+    assert.equal(details.json.data.opportunityInfo.currentStage, '02_需求確認');
+});
+
+test('opportunities: If-Match 版本不符回 409 並附上伺服器端最新資料', async () => {
+    const details = await request('GET', '/api/opportunities/OPP_0001/details');
+    const version = details.json.data.opportunityInfo.updatedTime;
+
+    const first = await request('PUT', '/api/opportunities/OPP_0001', { notes: '業務 A 的修改' }, token, { 'If-Match': `"${version}"` });
+    assert.equal(first.status, 200);
+    assert.ok(first.json.version);
+    assert.notEqual(first.json.version, version);
+
+    // 業務 B 仍持有舊版本
+    const stale = await request('PUT', '/api/opportunities/OPP_0001', { notes: '業務 B 的修改' }, token, { 'If-Match': `"${version}"` });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.json.code, 'VERSION_CONFLICT');
+    assert.equal(stale.json.current.notes, '業務 A 的修改');
+
+    const merged = await request('PUT', '/api/opportunities/OPP_0001', { notes: '合併後', expectedVersion: stale.json.current.updatedTime });
+    assert.equal(merged.status, 200);
+});
+
+test('companies / contacts: body.expectedVersion 不符時回 409', async () => {
+    const company = await request('PUT', `/api/companies/${encodeURIComponent('示範精機股份有限公司')}`,
+        { phone: '02-0000-0000', expectedVersion: '2000-01-01T00:00:00.000Z' });
+    assert.equal(company.status, 409);
+    assert.equal(company.json.current.companyId, 'COMP_0001');
+
+    const contact = await request('PUT', '/api/contacts/CONT_0001',
+        { mobile: '0900-000-000', expectedVersion: '2000-01-01T00:00:00.000Z' });
+    assert.equal(contact.status, 409);
+    assert.equal(contact.json.current.contactId, 'CONT_0001');
+
+    const { supabase } = getMemoryBackends();
+    const { data } = await supabase.from('contacts').select('mobile').eq('contact_id', 'CONT_0001').single();
+    assert.notEqual(data.mobile, '0900-000-000');
+});
+
+test('auth (SQL): 以帳號定位修改密碼，帳號不分大小寫且不可重複', async () => {
+    const config = require('./config');
+    const { systemService, authService } = app.get('services');
+    config.DATA_SOURCES.AUTH = 'SQL';
+    try {
+        const login = await request('POST', '/api/auth/login', { username: 'Sales', password: 'sales123' }, null);
+        assert.equal(login.status, 200);
+
+        const change = await request('POST', '/api/auth/change-password',
+            { oldPassword: 'sales123', newPassword: 'sales456' }, login.json.token);
+        assert.equal(change.status, 200);
+
+        const relogin = await request('POST', '/api/auth/login', { username: 'sales', password: 'sales456' }, null);
+        assert.equal(relogin.status, 200);
+
+        await assert.rejects(
+            systemService.createUser({ username: 'ADMIN', passwordHash: 'x', displayName: 'dup' }),
+            /已存在/
+        );
+        assert.equal((await authService.checkAuthStatus()).source, 'SQL:users');
+    } finally {
+        config.DATA_SOURCES.AUTH = 'SHEET';
+    }
+});
+
+// ==================== 公司 / 互動 / 儀表板 ====================
+
+test('companies: 列表包含最後活動時間', async () => {
+    const res = await request('GET', '/api/companies');
+    assert.equal(res.status, 200);
+    const company = res.json.data.find(c => c.companyId === 'COMP_0001');
+    assert.ok(company);
+    assert.ok(company.lastActivity);
+});
+
+test('interactions: 列表 Join 機會名稱', async () => {
+    const res = await request('GET', '/api/interactions');
+    assert.equal(res.status, 200);
+    const item = res.json.data.find(i => i.interactionId === 'INT_0001');
+    assert.equal(item.opportunityName, '示範精機 產線聯網導入');
+});
+
+test('dashboard: 主儀表板可完整組裝', async () => {
+    const res = await request('GET', '/api/dashboard');
+    assert.equal(res.status, 200);
+    assert.equal(res.json.success, true);
+    assert.equal(res.json.data.stats.opportunitiesCount, 2);
+});
+
+// ==================== 快取 ====================
+
+test('cache: 機會寫入以標籤連帶失效主儀表板，統計僅管理員可讀', async () => {
+    await request('GET', '/api/dashboard');
+    await request('GET', '/api/dashboard');
+
+    const before = await request('GET', '/api/cache/stats');
+    assert.equal(before.status, 200);
+    const dashboard = before.json.data.keys['dashboard:main'];
+    assert.ok(dashboard.hits >= 1);
+    assert.ok(dashboard.tags.includes('opportunity'));
+
+    const update = await request('PUT', '/api/opportunities/OPP_0001', { notes: '快取失效測試' });
+    assert.equal(update.status, 200);
+
+    const after = await request('GET', '/api/cache/stats');
+    assert.equal(after.json.data.keys['dashboard:main'].tags, undefined);
+    assert.ok(after.json.data.invalidations > before.json.data.invalidations);
+
+    const login = await request('POST', '/api/auth/login', { username: 'sales', password: 'sales123' }, null);
+    const denied = await request('GET', '/api/cache/stats', null, login.json.token);
+    assert.equal(denied.status, 403);
+});
+
+test('cache: 兩個行程經 cache_invalidations 共享表同步失效事件', async () => {
+    const { CacheManager, SupabaseCacheBackend } = require('./data/cache');
+    const { supabase } = getMemoryBackends();
+    const processA = new CacheManager({ backend: new SupabaseCacheBackend(supabase, { syncIntervalMs: 0 }) });
+    const processB = new CacheManager({ backend: new SupabaseCacheBackend(supabase, { syncIntervalMs: 0 }) });
+
+    processA.set('opportunities', ['A']);
+    processB.set('opportunities', ['B']);
+    processB.set('companyList', ['B']);
+
+    await processA.invalidateTags('opportunity');
+
+    assert.equal(await processA.get('opportunities'), undefined);
+    assert.equal(await processB.get('opportunities'), undefined);
+    assert.deepEqual(await processB.get('companyList'), ['B']);
+    assert.equal(processB.getStats().remoteInvalidations, 1);
+});
+
+test('cache: 不經 Service 直接呼叫 Writer (遷移 / 完整性修復) 也依資料表失效快取', async () => {
+    const { getCache } = require('./data/cache');
+    const { supabase, sheets } = getMemoryBackends();
+    const { integritySqlWriter, migrationSqlWriter } = app.get('services').integrityService;
+    const cache = getCache();
+
+    cache.set('companyList', ['stale']);
+    cache.set('weeklyBusiness', ['stale']);
+    cache.set('dashboard:main', { stale: true });
+    const company = supabase.dump('companies')[0];
+    await migrationSqlWriter.upsertRows('companies', [company], 'company_id');
+
+    assert.equal(cache.peek('companyList'), undefined);
+    assert.equal(cache.peek('dashboard:main'), undefined);
+    assert.deepEqual(cache.peek('weeklyBusiness'), ['stale']);
+
+    cache.set('interactions', ['stale']);
+    const interaction = supabase.dump('interactions')[0];
+    await integritySqlWriter.updateReference(
+        { table: 'interactions', idColumn: 'interaction_id', id: interaction.interaction_id, entity: 'interaction' },
+        'opportunity_id', interaction.opportunity_id || null, interaction.opportunity_id || null, 'test'
+    );
+    assert.equal(cache.peek('interactions'), undefined);
+
+    const BackupSheetWriter = require('./data/backup-sheet-writer');
+    const config = require('./config');
+    const writer = new BackupSheetWriter(sheets);
+    const values = await writer.readSheet(config.IDS.CORE, config.SHEETS.WEEKLY_BUSINESS);
+    await writer.replaceSheet(config.IDS.CORE, config.SHEETS.WEEKLY_BUSINESS, values);
+    assert.equal(cache.peek('weeklyBusiness'), undefined);
+});
+
+// ==================== 潛在客戶 (原始名片) ====================
+
+test('contacts: 潛在客戶以 originalId 定位，缺少 ID 的列由回填工具補上 (讀取不寫入)', async () => {
+    const config = require('./config');
+    const { sheets } = getMemoryBackends();
+    await sheets.spreadsheets.values.append({
+        spreadsheetId: config.IDS.RAW,
+        range: config.SHEETS.CONTACTS,
+        valueInputOption: 'USER_ENTERED',
+        resource: { values: [['2026-10-02T09:00:00.000Z', '陳怡君', 'LINE 新名片股份有限公司']] }
+    });
+    const { contactService } = app.get('services');
+    contactService.contactRawReader.invalidateCache('contacts');
+
+    const before = await request('GET', '/api/contacts');
+    assert.equal(before.status, 200);
+    assert.equal(before.json.data.find(c => c.name === '陳怡君').originalId, '');
+
+    const RawContactIdMigrationService = require('./services/raw-contact-id-migration-service');
+    const backfill = new RawContactIdMigrationService({
+        contactRawReader: contactService.contactRawReader,
+        contactWriter: contactService.contactWriter
+    });
+    const plan = await backfill.plan();
+    assert.deepEqual(plan.assignments.map(a => a.name), ['陳怡君']);
+    assert.equal((await backfill.apply(plan)).assigned, 1);
+    assert.equal((await backfill.plan()).assignments.length, 0);
+
+    const list = await request('GET', '/api/contacts');
+    const added = list.json.data.find(c => c.name === '陳怡君');
+    assert.match(added.originalId, /^RAW_\d+_\d+$/);
+    assert.ok(list.json.data.some(c => c.originalId === 'RAW_0001'));
+
+    const lineToken = 'TEST_LOCAL_TOKEN';
+    const updated = await request('PUT', `/api/line/leads/by-id/${added.originalId}`, { position: '經理' }, lineToken);
+    assert.equal(updated.status, 200);
+
+    // 舊版 rowIndex 路由仍可用，但標示為 Deprecated
+    const legacy = await fetch(`${baseUrl}/api/line/leads/${added.rowIndex}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${lineToken}` },
+        body: JSON.stringify({ email: 'yijun@example.com' })
+    });
+    assert.equal(legacy.status, 200);
+    assert.equal(legacy.headers.get('deprecation'), 'true');
+
+    const after = (await request('GET', '/api/contacts')).json.data.find(c => c.originalId === added.originalId);
+    assert.equal(after.position, '經理');
+    assert.equal(after.email, 'yijun@example.com');
+
+    const missing = await request('PUT', '/api/line/leads/by-id/RAW_NOT_EXIST', { position: 'x' }, lineToken);
+    assert.equal(missing.status, 404);
+
+    // 只接受 lineLead 列出的欄位：status 等欄位不可經由 LINE 端修改
+    const injected = await request('PUT', `/api/line/leads/by-id/${added.originalId}`, { status: '已升級' }, lineToken);
+    assert.equal(injected.status, 400);
+    assert.equal(injected.json.code, 'VALIDATION_FAILED');
+    assert.equal((await request('PUT', `/api/line/leads/${added.rowIndex}`, { name: 'x'.repeat(201) }, lineToken)).status, 400);
+    const unchanged = (await request('GET', '/api/contacts')).json.data.find(c => c.originalId === added.originalId);
+    assert.equal(unchanged.status, after.status);
+    assert.equal(unchanged.name, '陳怡君');
+});
+
+test('contacts: 名片升級為機會 / 建檔為正式聯絡人，以 originalId 定位且不可重複處理', async () => {
+    const config = require('./config');
+    const { supabase, sheets } = getMemoryBackends();
+    const card = (originalId, name, company) => {
+        const row = Array(25).fill('');
+        Object.assign(row, { 0: '2026-10-04T09:00:00.000Z', 1: name, 2: company, 3: '課長', 8: `${originalId}@example.com`, 23: originalId });
+        return row;
+    };
+    await sheets.spreadsheets.values.append({
+        spreadsheetId: config.IDS.RAW,
+        range: config.SHEETS.CONTACTS,
+        valueInputOption: 'USER_ENTERED',
+        resource: { values: [card('RAW_UPG_1', '黃志明', '示範精機股份有限公司'), card('RAW_FILE_1', '吳佩珊', '名片建檔新公司有限公司')] }
+    });
+    app.get('services').contactService.contactRawReader.invalidateCache('contacts');
+
+    const upgraded = await request('POST', '/api/contacts/potential/RAW_UPG_1/upgrade', {
+        opportunityName: '名片升級測試', opportunityType: 'IoT', currentStage: '01_初步接觸'
+    });
+    assert.equal(upgraded.status, 200);
+    const { contactId, opportunityId } = upgraded.json;
+    const contact = supabase.dump('contacts').find(r => r.contact_id === contactId);
+    assert.deepEqual([contact.name, contact.source_id, contact.company_id, contact.job_title], ['黃志明', 'RAW_UPG_1', 'COMP_0001', '課長']);
+    const opportunity = supabase.dump('opportunities').find(r => r.opportunity_id === opportunityId);
+    assert.deepEqual([opportunity.customer_company, opportunity.main_contact], ['示範精機股份有限公司', '黃志明']);
+    assert.ok(supabase.dump('opportunity_contact_links').some(l => l.opportunity_id === opportunityId && l.contact_id === contactId));
+    assert.equal((await request('POST', '/api/contacts/potential/RAW_UPG_1/upgrade', { opportunityName: '重複升級' })).status, 400);
+
+    assert.equal((await request('POST', '/api/contacts/potential/RAW_FILE_1/file', { status: '已建檔' })).status, 400);
+    assert.equal((await request('POST', '/api/contacts/CON_ANY/link-card', {})).status, 400);
+    assert.equal((await request('POST', '/api/contacts/CON_ANY/link-card', { businessCardRowIndex: 'abc' })).status, 400);
+
+    const filed = await request('POST', '/api/contacts/potential/RAW_FILE_1/file');
+    assert.equal(filed.status, 200);
+    const filedContact = supabase.dump('contacts').find(r => r.contact_id === filed.json.contactId);
+    const newCompany = supabase.dump('companies').find(r => r.company_id === filedContact.company_id);
+    assert.equal(newCompany.company_name, '名片建檔新公司有限公司');
+    assert.equal((await request('POST', '/api/contacts/potential/RAW_FILE_1/file')).status, 400);
+
+    const cards = (await request('GET', '/api/contacts')).json.data;
+    assert.equal(cards.find(c => c.originalId === 'RAW_UPG_1').status, '已升級');
+    assert.equal(cards.find(c => c.originalId === 'RAW_FILE_1').status, '已建檔');
+
+    assert.equal((await request('POST', '/api/contacts/potential/RAW_NOT_EXIST/upgrade', { opportunityName: 'x' })).status, 404);
+    assert.equal((await request('POST', '/api/contacts/potential/RAW_NOT_EXIST/file')).status, 404);
+});
+
+test('contacts: 名片與正式聯絡人依姓名 + 手機 / Email / 公司歸組，合併移轉機會關聯並保留所有名片圖檔', async () => {
+    const config = require('./config');
+    const { supabase, sheets } = getMemoryBackends();
+    await supabase.from('contacts').insert([
+        { contact_id: 'CONT_DUPX_A', source_id: 'MANUAL', name: '張美玲', company_id: 'COMP_0001', mobile: '0933-111-222', email: 'meiling@example.com', created_time: '2026-09-01T00:00:00.000Z' },
+        { contact_id: 'CONT_DUPX_B', source_id: 'MANUAL', name: '張 美玲', company_id: 'COMP_0001', mobile: '0933111222', email: '', created_time: '2026-09-15T00:00:00.000Z' }
+    ]);
+    await supabase.from('opportunity_contact_links').insert([
+        { opportunity_id: 'OPP_0001', contact_id: 'CONT_DUPX_A', link_status: 'active' },
+        { opportunity_id: 'OPP_0001', contact_id: 'CONT_DUPX_B', link_status: 'active' },
+        { opportunity_id: 'OPP_0002', contact_id: 'CONT_DUPX_B', link_status: 'active' }
+    ]);
+    const card = (originalId, driveLink) => {
+        const row = Array(25).fill('');
+        Object.assign(row, { 0: '2026-10-03T09:00:00.000Z', 1: '張美玲', 2: '示範精機股份有限公司', 8: 'MeiLing@example.com', 13: driveLink, 23: originalId });
+        return row;
+    };
+    await sheets.spreadsheets.values.append({
+        spreadsheetId: config.IDS.RAW,
+        range: config.SHEETS.CONTACTS,
+        valueInputOption: 'USER_ENTERED',
+        resource: { values: [card('RAW_DUPX_1', 'https://drive.example.com/card-1'), card('RAW_DUPX_2', 'https://drive.example.com/card-2')] }
+    });
+    app.get('services').contactService.contactRawReader.invalidateCache('contacts');
+
+    const duplicates = await request('GET', '/api/contacts/duplicates');
+    assert.equal(duplicates.status, 200);
+    const group = duplicates.json.data.find(g => g.members.some(m => m.id === 'CONT_DUPX_A'));
+    assert.deepEqual(group.members.map(m => `${m.type}:${m.id}`).sort(),
+        ['official:CONT_DUPX_A', 'official:CONT_DUPX_B', 'potential:RAW_DUPX_1', 'potential:RAW_DUPX_2']);
+    assert.ok(['name', 'mobile', 'email', 'company'].every(field => group.matchedOn.includes(field)));
+    assert.deepEqual(group.suggestedSurvivor, { type: 'official', id: 'CONT_DUPX_A' });
+
+    // 正式聯絡人不可併入名片
+    const invalid = await request('POST', '/api/contacts/merge', {
+        survivor: { type: 'potential', id: 'RAW_DUPX_1' },
+        merged: [{ type: 'official', id: 'CONT_DUPX_B' }]
+    });
+    assert.equal(invalid.status, 400);
+
+    const merged = await request('POST', '/api/contacts/merge', {
+        survivor: group.suggestedSurvivor,
+        merged: group.members.filter(m => m.id !== 'CONT_DUPX_A').map(({ type, id }) => ({ type, id }))
+    });
+    assert.equal(merged.status, 200);
+    const result = merged.json.data;
+    assert.deepEqual([result.linksMoved, result.linksDeduped, result.cardsMarked], [1, 1, 2]);
+    assert.deepEqual(result.cardImages.sort(), ['https://drive.example.com/card-1', 'https://drive.example.com/card-2']);
+
+    const links = supabase.dump('opportunity_contact_links').filter(l => l.contact_id.startsWith('CONT_DUPX'));
+    assert.deepEqual(links.map(l => `${l.opportunity_id}:${l.contact_id}`).sort(), ['OPP_0001:CONT_DUPX_A', 'OPP_0002:CONT_DUPX_A']);
+    assert.ok(supabase.dump('contacts').find(c => c.contact_id === 'CONT_DUPX_B').deleted_at);
+
+    const cards = (await request('GET', '/api/contacts')).json.data.filter(c => c.originalId.startsWith('RAW_DUPX'));
+    assert.deepEqual(cards.map(c => [c.status, c.driveLink]).sort(),
+        [['已合併', 'https://drive.example.com/card-1'], ['已合併', 'https://drive.example.com/card-2']]);
+    const after = await request('GET', '/api/contacts/duplicates');
+    assert.ok(!after.json.data.some(g => g.members.some(m => m.id === 'CONT_DUPX_A')));
+
+    const merges = await request('GET', '/api/contacts/merges?survivorId=CONT_DUPX_A');
+    assert.deepEqual(merges.json.data.map(m => [m.mergedContacts.length, m.mergedCards.length]), [[1, 2]]);
+});
+
+// ==================== 事件紀錄 (SQL 寫入) ====================
+
+test('events (SQL): 類型變更為交易式搬移，失敗時原紀錄保留', async () => {
+    const config = require('./config');
+    const { supabase } = getMemoryBackends();
+    config.DATA_SOURCES.EVENT_LOG = 'SQL';
+    try {
+        const create = await request('POST', '/api/events', {
+            eventType: 'iot', eventName: '產線訪談', opportunityId: 'OPP_0001', iot_deviceScale: '20台'
+        });
+        const eventId = create.json.id;
+        assert.ok(eventId);
+
+        const move = await request('PUT', `/api/events/${eventId}`, { eventType: 'dt', dt_industry: '汽車零件' });
+        assert.equal(move.json.moved, true);
+
+        const moved = await request('GET', `/api/events/${eventId}`);
+        assert.equal(moved.json.data.eventType, 'dt');
+        assert.equal(moved.json.data.eventName, '產線訪談');
+        assert.equal(moved.json.data.editCount, 2);
+
+        // 目標表已有同 ID 時，搬移失敗且來源表不受影響
+        await supabase.from('event_logs_dx').insert([{ event_id: eventId, event_name: '佔位' }]);
+        const failed = await request('PUT', `/api/events/${eventId}`, { eventType: 'dx' });
+        assert.notEqual(failed.status, 200);
+        assert.equal(supabase.dump('event_logs_dt').filter(r => r.event_id === eventId).length, 1);
+        await supabase.from('event_logs_dx').delete().eq('event_id', eventId);
+
+        // 刪除為軟刪除：資料列留在原表，但讀取時已看不到
+        const del = await request('DELETE', `/api/events/${eventId}`);
+        assert.equal(del.json.success, true);
+        assert.ok(supabase.dump('event_logs_dt').find(r => r.event_id === eventId).deleted_at);
+        const gone = await request('GET', `/api/events/${eventId}`);
+        assert.equal(gone.json.data, null);
+    } finally {
+        config.DATA_SOURCES.EVENT_LOG = 'SHEET';
+    }
+});
+
+// ==================== 週間業務 / 佈告欄 ====================
+
+test('weekly: 新增紀錄後出現在週次摘要', async () => {
+    const create = await request('POST', '/api/business/weekly', {
+        date: '2026-10-06',
+        category: 'DX',
+        theme: '範例系統整合 顧問提案',
+        participants: 'sales',
+        summary: '說明導入範圍'
+    });
+    assert.equal(create.status, 200);
+
+    const summary = await request('GET', '/api/business/weekly/summary');
+    const week = summary.json.data.find(w => w.id === '2026-W41');
+    assert.equal(week.summaryCount, 2);
+});
+
+test('announcements: 新增公告後可於列表讀回', async () => {
+    const create = await request('POST', '/api/announcements', { title: '測試公告', content: '內容', isPinned: false });
+    assert.equal(create.status, 200);
+
+    const list = await request('GET', '/api/announcements');
+    assert.ok(list.json.data.some(a => a.title === '測試公告'));
+});
+
+// ==================== 系統設定 / 商品 / Drive ====================
+
+test('system: 系統設定來自 SYSTEM 試算表', async () => {
+    const res = await request('GET', '/api/config');
+    assert.equal(res.status, 200);
+    assert.ok(res.json['機會階段'].some(s => s.value === '01_初步接觸'));
+});
+
+test('products: 商品清單來自 PRODUCT 試算表', async () => {
+    const res = await request('GET', '/api/products');
+    assert.equal(res.status, 200);
+    assert.equal(res.json.data[0].id, 'PROD_0001');
+});
+
+test('drive: 縮圖代理串流回傳檔案內容', async () => {
+    const res = await request('GET', '/api/drive/thumbnail?fileId=MEMORY_FILE_0001');
+    assert.equal(res.status, 200);
+    assert.ok(res.text.includes('需求訪談紀錄'));
+});
+
+// ==================== Calendar ====================
+
+test('calendar: 建立事件後本週事件數增加', async () => {
+    const { calendarService } = app.get('services');
+    const before = await calendarService.getThisWeekEvents();
+
+    const start = new Date();
+    await calendarService.createEvent({
+        summary: '測試事件',
+        start: { dateTime: start.toISOString() },
+        end: { dateTime: new Date(start.getTime() + 3600000).toISOString() }
+    });
+
+    const after = await calendarService.getThisWeekEvents();
+    assert.equal(after.weekCount, before.weekCount + 1);
+});
+
+// ==================== 商品 (SQL 來源) ====================
+
+function createSqlProductService() {
+    const ProductService = require('./services/product-service');
+    const ProductSqlReader = require('./data/product-sql-reader');
+    const ProductSqlWriter = require('./data/product-sql-writer');
+    const AuditSqlWriter = require('./data/audit-sql-writer');
+    const { systemReader, systemWriter } = app.get('services');
+    return new ProductService(new ProductSqlReader(), new ProductSqlWriter(new AuditSqlWriter()), systemReader, systemWriter, {
+        DATA_SOURCES: { PRODUCT: 'SQL' }
+    });
+}
+
+test('products (SQL): 非管理員讀取不含成本與通路價格', async () => {
+    const service = createSqlProductService();
+
+    const [publicView] = await service.getAllProducts();
+    assert.equal(publicView.id, 'PROD_0001');
+    assert.ok(!('cost' in publicView));
+    assert.ok(!('priceMtu' in publicView));
+
+    const adminView = await service.getProductById('PROD_0001', { includeConfidential: true });
+    assert.equal(adminView.cost, 12000);
+});
+
+test('products (SQL): 批次更新為單一交易，任一筆失敗全部不生效', async () => {
+    const service = createSqlProductService();
+    const user = { displayName: 'admin' };
+
+    const stats = await service.batchUpdate([
+        { id: 'PROD_0001', name: '機台聯網閘道器', priceMtu: '23,000' },
+        { id: 'PROD_T001', name: '測試商品', cost: 100 }
+    ], user);
+    assert.equal(stats.updated, 1);
+    assert.equal(stats.appended, 1);
+    assert.equal((await service.getProductById('PROD_0001', { includeConfidential: true })).priceMtu, 23000);
+
+    await assert.rejects(service.batchUpdate([
+        { id: 'PROD_T001', name: '已改名' },
+        { id: 'PROD_T002', name: '價格錯誤', cost: '洽詢' }
+    ], user));
+    assert.equal((await service.getProductById('PROD_T001')).name, '測試商品');
+    assert.equal(await service.getProductById('PROD_T002'), null);
+});
+
+// ==================== 影子模式 (Sheet/SQL 雙寫) ====================
+
+test('shadow: 雙寫後兩邊一致，SQL 單邊修改被記錄為欄位差異', async () => {
+    const config = require('./config');
+    config.SHADOW_MODE.OPPORTUNITY = true;
+    try {
+        await request('DELETE', '/api/admin/shadow/entries');
+
+        const update = await request('PUT', '/api/opportunities/OPP_0001', { notes: '影子模式測試' });
+        assert.equal(update.status, 200);
+        const afterWrite = await request('GET', '/api/admin/shadow/entries?entity=OPPORTUNITY');
+        assert.ok(!afterWrite.json.data.some(e => e.key === 'OPP_0001'));
+
+        // 先前的測試只更新了 SQL 端的 OPP_0002 階段
+        await request('GET', '/api/opportunities');
+        const summary = await request('GET', '/api/admin/shadow/summary');
+        assert.equal(summary.status, 200);
+        const opp = summary.json.data.entities.find(e => e.entity === 'OPPORTUNITY');
+        assert.equal(opp.enabled, true);
+        assert.ok(opp.fields.some(f => f.field === 'currentStage' && f.count >= 1));
+
+        // 軟刪除不移除 Sheet 列 (由回收桶排除)，鏡射只比對兩邊皆不可見
+        const created = await request('POST', '/api/opportunities', { opportunityName: '影子刪除測試', customerCompany: '影子測試客戶有限公司' });
+        assert.equal(created.status, 200);
+        const createdId = created.json.id;
+        assert.equal((await request('DELETE', `/api/opportunities/${createdId}`)).status, 200);
+        assert.ok(!(await request('GET', '/api/admin/shadow/entries?entity=OPPORTUNITY')).json.data.some(e => e.key === createdId));
+
+        // 差異紀錄存於資料庫：新的 ShadowService (重新啟動 / 其他行程) 讀到相同統計
+        const { supabase } = getMemoryBackends();
+        assert.ok(supabase.dump('shadow_divergences').some(r => r.entity === 'OPPORTUNITY' && r.type === 'FIELD_MISMATCH'));
+        const ShadowService = require('./services/shadow-service');
+        const restarted = new ShadowService(config, {
+            shadowSqlReader: new (require('./data/shadow-sql-reader'))(),
+            shadowSqlWriter: new (require('./data/shadow-sql-writer'))()
+        });
+        const persisted = (await restarted.getSummary()).entities.find(e => e.entity === 'OPPORTUNITY');
+        const current = (await request('GET', '/api/admin/shadow/summary')).json.data.entities.find(e => e.entity === 'OPPORTUNITY');
+        assert.deepEqual(persisted, current);
+        assert.ok(persisted.comparisons > 0 && persisted.shadowWrites > 0);
+
+        const login = await request('POST', '/api/auth/login', { username: 'sales', password: 'sales123' }, null);
+        const denied = await request('GET', '/api/admin/shadow/summary', null, login.json.token);
+        assert.equal(denied.status, 403);
+    } finally {
+        config.SHADOW_MODE.OPPORTUNITY = false;
+    }
+});
+
+test('shadow: 公司與互動紀錄逐實體開啟雙寫，兩邊以同一 ID 寫入且比對一致', async () => {
+    const config = require('./config');
+    const { sheets } = getMemoryBackends();
+    config.SHADOW_MODE.COMPANY = true;
+    config.SHADOW_MODE.INTERACTION = true;
+    try {
+        await request('DELETE', '/api/admin/shadow/entries');
+
+        assert.equal((await request('PUT', '/api/companies/COMP_0001', { phone: '02-2345-6789' })).status, 200);
+        const company = await request('POST', '/api/companies', { companyName: '影子模式測試有限公司', county: '台中市' });
+        assert.equal(company.status, 200);
+        const companyId = company.json.data.companyId;
+
+        const interaction = await request('POST', '/api/interactions', {
+            opportunityId: 'OPP_0001', interactionTime: '2026-10-19T02:00:00.000Z', interactionType: '電話',
+            eventTitle: '影子模式通話', contentSummary: '確認報價', recorder: 'admin'
+        });
+        assert.equal(interaction.status, 200);
+        const interactionId = interaction.json.id;
+        assert.equal((await request('PUT', `/api/interactions/${interactionId}`, { nextAction: '寄送規格書' })).status, 200);
+
+        // 鏡射在背景執行，直接檢查 Sheet 前先等待完成
+        await app.get('services').shadowService.flush();
+        const sheetRows = async (sheetName) => (await sheets.spreadsheets.values.get({ spreadsheetId: config.IDS.CORE, range: `${sheetName}!A:M` })).data.values;
+        assert.ok((await sheetRows(config.SHEETS.COMPANY_LIST)).some(r => r[0] === companyId && r[6] === '台中市'));
+        const sheetInteraction = (await sheetRows(config.SHEETS.INTERACTIONS)).find(r => r[0] === interactionId);
+        assert.deepEqual([sheetInteraction[3], sheetInteraction[7]], ['電話', '寄送規格書']);
+
+        assert.equal((await request('DELETE', `/api/interactions/${interactionId}`)).status, 200);
+        assert.equal((await request('DELETE', `/api/companies/${companyId}`)).status, 200);
+        await request('GET', '/api/interactions/all');
+
+        const entries = (await request('GET', '/api/admin/shadow/entries')).json.data;
+        assert.deepEqual(entries.filter(e => [companyId, interactionId, 'COMP_0001'].includes(e.key)), []);
+        assert.ok(!entries.some(e => e.type === 'SHADOW_WRITE_FAILED' || e.type === 'SHADOW_READ_FAILED'));
+
+        const summary = (await request('GET', '/api/admin/shadow/summary')).json.data.entities;
+        const byEntity = Object.fromEntries(summary.map(e => [e.entity, e]));
+        assert.deepEqual(Object.keys(byEntity), ['OPPORTUNITY', 'WEEKLY', 'COMPANY', 'INTERACTION']);
+        assert.equal(byEntity.COMPANY.enabled, true);
+        assert.equal(byEntity.COMPANY.shadowWrites, 2);
+        assert.equal(byEntity.INTERACTION.shadowWrites, 2);
+        assert.ok(byEntity.INTERACTION.comparisons >= 4);
+    } finally {
+        config.SHADOW_MODE.COMPANY = false;
+        config.SHADOW_MODE.INTERACTION = false;
+    }
+});
+
+test('shadow: 鏡射在背景依序執行，同一筆後續仍有鏡射排隊時只比對最後一次', async () => {
+    const ShadowService = require('./services/shadow-service');
+    const shadow = new ShadowService({ SHADOW_MODE: { COMPANY: true } }, {
+        shadowSqlReader: new (require('./data/shadow-sql-reader'))(),
+        shadowSqlWriter: new (require('./data/shadow-sql-writer'))()
+    });
+    await shadow.clear();
+
+    const order = [];
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const sheet = {};
+    const sql = { COMP_SHADOW: { companyId: 'COMP_SHADOW', companyName: '第二版' } };
+    const load = { loadSqlRecord: async () => sql.COMP_SHADOW, loadSheetRecord: async () => sheet.COMP_SHADOW || null };
+
+    shadow.scheduleWrite('COMPANY', 'test.create', 'COMP_SHADOW', {
+        ...load, write: async () => { await gate; order.push('create'); sheet.COMP_SHADOW = { companyId: 'COMP_SHADOW', companyName: '第一版' }; }
+    });
+    shadow.scheduleWrite('COMPANY', 'test.update', 'COMP_SHADOW', {
+        ...load, write: async () => { order.push('update'); sheet.COMP_SHADOW.companyName = '第二版'; }
+    });
+    shadow.scheduleWrite('OPPORTUNITY', 'test.disabled', 'OPP_X', { ...load, write: async () => order.push('disabled') });
+
+    // 呼叫端不等待鏡射
+    assert.deepEqual(order, []);
+    release();
+    await shadow.flush();
+    assert.deepEqual(order, ['create', 'update']);
+
+    const company = (await shadow.getSummary()).entities.find(e => e.entity === 'COMPANY');
+    assert.equal(company.shadowWrites, 2);
+    assert.equal(company.divergences, 0);
+    assert.equal(company.comparisons, 1);
+
+    shadow.scheduleWrite('COMPANY', 'test.failed', 'COMP_SHADOW', { ...load, write: async () => { throw new Error('Sheet 無法寫入'); } });
+    const entries = await shadow.getEntries({ entity: 'COMPANY' });
+    assert.deepEqual(entries.map(e => [e.type, e.key, e.origin]), [['SHADOW_WRITE_FAILED', 'COMP_SHADOW', 'test.failed']]);
+    await shadow.clear();
+});
+
+// ==================== 回收桶 ====================
+
+test('trash: 刪除的機會移入回收桶，可還原，永久刪除後連同關聯一起清除', async () => {
+    const { supabase } = getMemoryBackends();
+    await supabase.from('opportunities').insert([{ opportunity_id: 'OPP_TRASH', opportunity_name: '回收桶測試' }]);
+    await supabase.from('opportunity_contact_links').insert([{ opportunity_id: 'OPP_TRASH', contact_id: 'CONT_0001' }]);
+
+    const del = await request('DELETE', '/api/opportunities/OPP_TRASH');
+    assert.equal(del.status, 200);
+    const list = await request('GET', '/api/opportunities');
+    assert.ok(!list.json.some(o => o.opportunityId === 'OPP_TRASH'));
+
+    const trash = await request('GET', '/api/trash?entity=opportunity');
+    const item = trash.json.data.find(i => i.id === 'OPP_TRASH');
+    assert.equal(item.name, '回收桶測試');
+    assert.ok(item.deletedAt);
+    assert.ok(item.deletedBy);
+
+    const restore = await request('POST', '/api/trash/opportunity/OPP_TRASH/restore');
+    assert.equal(restore.status, 200);
+    const restored = await request('GET', '/api/opportunities');
+    assert.ok(restored.json.some(o => o.opportunityId === 'OPP_TRASH'));
+
+    // 只能永久刪除回收桶內的紀錄
+    const notInTrash = await request('DELETE', '/api/trash/opportunity/OPP_TRASH');
+    assert.equal(notInTrash.status, 404);
+
+    await request('DELETE', '/api/opportunities/OPP_TRASH');
+    const purge = await request('DELETE', '/api/trash/opportunity/OPP_TRASH');
+    assert.equal(purge.status, 200);
+    assert.ok(!supabase.dump('opportunities').some(r => r.opportunity_id === 'OPP_TRASH'));
+    assert.ok(!supabase.dump('opportunity_contact_links').some(r => r.opportunity_id === 'OPP_TRASH'));
+
+    const unknown = await request('GET', '/api/trash?entity=weekly');
+    assert.equal(unknown.status, 400);
+
+    const login = await request('POST', '/api/auth/login', { username: 'sales', password: 'sales123' }, null);
+    const denied = await request('GET', '/api/trash', null, login.json.token);
+    assert.equal(denied.status, 403);
+});
+
+test('trash: 軟刪除的互動紀錄不出現在列表與主儀表板', async () => {
+    const { supabase } = getMemoryBackends();
+    const before = await request('GET', '/api/interactions');
+    const target = before.json.data.find(i => i.interactionId === 'INT_0001');
+    const dashboardBefore = await request('GET', '/api/dashboard');
+    assert.ok(dashboardBefore.json.data.recentActivity.some(a => a.type === 'interaction' && a.data.interactionId === 'INT_0001'));
+
+    const del = await request('DELETE', `/api/interactions/${target.interactionId}`);
+    assert.equal(del.status, 200);
+    assert.ok(supabase.dump('interactions').some(r => r.interaction_id === target.interactionId));
+
+    // 已在回收桶或不存在的紀錄回應 404，且不寫入稽核紀錄
+    const deleteAudits = () => supabase.dump('audit_logs').filter(r => r.entity === 'interaction' && r.action === 'delete' && r.entity_id === target.interactionId).length;
+    const auditsAfterDelete = deleteAudits();
+    assert.equal((await request('DELETE', `/api/interactions/${target.interactionId}`)).status, 404);
+    assert.equal(deleteAudits(), auditsAfterDelete);
+    assert.equal((await request('PUT', '/api/interactions/NOPE', { nextAction: '不存在' })).status, 404);
+    assert.equal((await request('DELETE', '/api/interactions/NOPE')).status, 404);
+    assert.ok(!supabase.dump('audit_logs').some(r => r.entity === 'interaction' && r.entity_id === 'NOPE'));
+
+    const after = await request('GET', '/api/interactions');
+    assert.ok(!after.json.data.some(i => i.interactionId === target.interactionId));
+
+    const dashboard = await request('GET', '/api/dashboard');
+    assert.equal(dashboard.status, 200);
+    assert.ok(!dashboard.json.data.recentActivity.some(a => a.type === 'interaction' && a.data.interactionId === 'INT_0001'));
+
+    // 直接讀 Sheet 的路徑 (詳細頁、SQL 空表時的 fallback) 同樣排除回收桶
+    const company = await request('GET', '/api/companies/COMP_0001/details');
+    assert.ok(!company.json.data.interactions.some(i => i.interactionId === 'INT_0001'));
+    const opportunity = await request('GET', '/api/opportunities/OPP_0001/details');
+    assert.ok(!opportunity.json.data.interactions.some(i => i.interactionId === 'INT_0001'));
+    const all = await request('GET', '/api/interactions/all');
+    assert.ok(!all.json.data.some(i => i.interactionId === 'INT_0001'));
+
+    await request('POST', `/api/trash/interaction/${target.interactionId}/restore`);
+    const back = await request('GET', '/api/interactions');
+    assert.ok(back.json.data.some(i => i.interactionId === target.interactionId));
+});
+
+test('trash: Sheet 模式的事件刪除後保留 Sheet 列並進入回收桶，永久刪除才移除 Sheet 列', async () => {
+    const config = require('./config');
+    const { supabase, sheets } = getMemoryBackends();
+    const sheetIds = () => sheets.dump(config.IDS.CORE, '事件紀錄_一般').map(row => row[0]);
+
+    const create = await request('POST', '/api/events', { eventType: 'general', eventName: '回收桶測試 (Sheet)', companyId: 'COMP_0001' });
+    assert.equal(create.status, 200);
+    const eventId = create.json.id;
+
+    const del = await request('DELETE', `/api/events/${eventId}`);
+    assert.equal(del.status, 200);
+    assert.ok(sheetIds().includes(eventId));
+    assert.equal((await request('GET', `/api/events/${eventId}`)).json.data, null);
+    const trash = await request('GET', '/api/trash?entity=event');
+    assert.ok(trash.json.data.some(i => i.id === eventId));
+
+    const restore = await request('POST', `/api/trash/event/${eventId}/restore`);
+    assert.equal(restore.status, 200);
+    assert.equal((await request('GET', `/api/events/${eventId}`)).json.data.eventName, '回收桶測試 (Sheet)');
+    // 還原後以 Sheet 為準，不留下 SQL 副本
+    assert.ok(!supabase.dump('event_logs_general').some(r => r.event_id === eventId));
+
+    await request('DELETE', `/api/events/${eventId}`);
+    const purge = await request('DELETE', `/api/trash/event/${eventId}`);
+    assert.equal(purge.status, 200);
+    assert.ok(!sheetIds().includes(eventId));
+    assert.ok(!supabase.dump('event_logs_general').some(r => r.event_id === eventId));
+    assert.ok(supabase.dump('trash_purges').some(r => r.entity === 'event' && r.entity_id === eventId));
+});
+
+test('audit: 機會 / 公司更新逐欄寫入 audit_logs，不再產生「系統事件」互動', async () => {
+    const detailsBefore = await request('GET', '/api/opportunities/OPP_0002/details');
+    const systemEventsBefore = detailsBefore.json.data.interactions.filter(i => i.eventType === '系統事件').length;
+    const oldNotes = detailsBefore.json.data.opportunityInfo.notes;
+
+    const update = await request('PUT', '/api/opportunities/OPP_0002', { notes: '稽核測試備註' });
+    assert.equal(update.status, 200);
+
+    const audit = await request('GET', '/api/audit?entity=opportunity&id=OPP_0002');
+    assert.equal(audit.status, 200);
+    const notesRow = audit.json.data.find(r => r.field === 'notes' && r.newValue === '稽核測試備註');
+    assert.ok(notesRow);
+    assert.equal(notesRow.action, 'update');
+    assert.equal(notesRow.oldValue, oldNotes || null);
+    assert.ok(notesRow.actor);
+    assert.ok(notesRow.createdAt);
+    // 未變動的欄位與系統維護欄位不寫入
+    assert.ok(!audit.json.data.some(r => r.field === 'updated_time'));
+
+    const detailsAfter = await request('GET', '/api/opportunities/OPP_0002/details');
+    assert.equal(detailsAfter.json.data.interactions.filter(i => i.eventType === '系統事件').length, systemEventsBefore);
+
+    const company = await request('PUT', `/api/companies/${encodeURIComponent('示範精機股份有限公司')}`, { phone: '02-1234-5678' });
+    assert.equal(company.status, 200);
+    const companyAudit = await request('GET', '/api/audit?entity=company&id=COMP_0001');
+    assert.ok(companyAudit.json.data.some(r => r.field === 'phone' && r.newValue === '02-1234-5678'));
+
+    const unknown = await request('GET', '/api/audit?entity=unknown');
+    assert.equal(unknown.status, 400);
+});
+
+test('audit: 週報 / 公告 / 商品 / 使用者的 SQL 寫入同樣逐欄稽核，商品價格僅管理員可見', async () => {
+    const config = require('./config');
+    const { supabase } = getMemoryBackends();
+    const history = async (entity, id, token) => (await request('GET', `/api/audit?entity=${entity}&id=${encodeURIComponent(id)}`, null, token)).json.data;
+
+    const weekly = await request('POST', '/api/business/weekly', { date: '2026-10-13', category: 'DX', theme: '稽核週報', summary: '初稿' });
+    const recordId = weekly.json.id;
+    assert.equal((await request('PUT', `/api/business/weekly/${recordId}`, { summary: '定稿' })).status, 200);
+    assert.equal((await request('DELETE', `/api/business/weekly/${recordId}`)).status, 200);
+    const weeklyAudit = await history('weekly', recordId);
+    assert.ok(weeklyAudit.some(r => r.action === 'update' && r.field === 'summary_content' && r.oldValue === '初稿' && r.newValue === '定稿'));
+    assert.ok(weeklyAudit.some(r => r.action === 'create' && r.field === 'topic' && r.newValue === '稽核週報'));
+    assert.equal(weeklyAudit.filter(r => r.action === 'delete').length, 1);
+
+    const announcement = await request('POST', '/api/announcements', { title: '稽核公告', content: '內容' });
+    assert.equal((await request('DELETE', `/api/announcements/${announcement.json.id}`)).status, 200);
+    const announcementAudit = await history('announcement', announcement.json.id);
+    assert.ok(announcementAudit.some(r => r.action === 'create' && r.field === 'title' && r.newValue === '稽核公告'));
+    assert.ok(announcementAudit.some(r => r.action === 'delete' && r.actor));
+
+    await createSqlProductService().batchUpdate([{ id: 'PROD_0001', name: '機台聯網閘道器', cost: 12500 }], { displayName: 'admin' });
+    const adminView = (await history('product', 'PROD_0001')).find(r => r.field === 'cost' && r.newValue === '12500');
+    assert.ok(adminView);
+    assert.equal(adminView.actor, 'admin');
+    const login = await request('POST', '/api/auth/login', { username: 'sales', password: 'sales123' }, null);
+    const salesView = (await history('product', 'PROD_0001', login.json.token)).filter(r => r.field === 'cost');
+    assert.ok(salesView.length > 0);
+    assert.ok(salesView.every(r => r.oldValue === null && r.newValue === null));
+
+    config.DATA_SOURCES.AUTH = 'SQL';
+    try {
+        const { systemService } = app.get('services');
+        await systemService.createUser({ username: 'AuditUser', passwordHash: 'hash-1', displayName: '稽核帳號' }, 'admin');
+        await systemService.updateUserPassword('audituser', 'hash-2', 'admin');
+        await systemService.deleteUser('audituser', 'admin');
+    } finally {
+        config.DATA_SOURCES.AUTH = 'SHEET';
+    }
+    const userAudit = supabase.dump('audit_logs').filter(r => r.entity === 'user' && r.entity_id === 'audituser');
+    assert.deepEqual([...new Set(userAudit.map(r => r.action))], ['create', 'update', 'delete']);
+    assert.ok(userAudit.some(r => r.action === 'update' && r.field === 'password_hash'));
+    assert.ok(!userAudit.some(r => r.old_value === 'hash-1' || r.new_value === 'hash-1' || r.new_value === 'hash-2'));
+});
+
+test('list query: 篩選 / 多欄排序 / cursor 分頁下推到 SQL，逐頁走訪不重複不遺漏', async () => {
+    const { supabase } = getMemoryBackends();
+    // 同一時間 (排序平手) 與 NULL 時間各一筆，驗證 keyset 以主鍵打破平手、NULL 排最後
+    await supabase.from('opportunities').insert([
+        { opportunity_id: 'OPP_LQ_1', opportunity_name: 'LQ 甲', owner: 'LQ業務', current_stage: '01_初步接觸', current_status: '進行中', win_probability: 10, updated_time: '2026-03-01T00:00:00.000Z' },
+        { opportunity_id: 'OPP_LQ_2', opportunity_name: 'LQ 乙', owner: 'LQ業務', current_stage: '02_需求確認', current_status: '進行中', win_probability: 50, updated_time: '2026-03-02T00:00:00.000Z' },
+        { opportunity_id: 'OPP_LQ_3', opportunity_name: 'LQ 丙', owner: 'LQ業務', current_stage: '02_需求確認', current_status: '進行中', win_probability: 70, updated_time: '2026-03-02T00:00:00.000Z' },
+        { opportunity_id: 'OPP_LQ_4', opportunity_name: 'LQ 丁', owner: 'LQ業務', current_stage: '03_提案報價', current_status: '進行中', win_probability: 90, updated_time: null },
+        { opportunity_id: 'OPP_LQ_5', opportunity_name: 'LQ 戊', owner: 'LQ業務', current_stage: '03_提案報價', current_status: '已封存', win_probability: 90, updated_time: '2026-03-03T00:00:00.000Z' }
+    ]);
+
+    const seen = [];
+    let url = '/api/opportunities?filter[owner]=LQ業務&sort=-updatedTime&limit=2';
+    for (let i = 0; i < 5 && url; i++) {
+        const res = await request('GET', encodeURI(url));
+        assert.equal(res.status, 200);
+        assert.ok(res.json.data.length <= 2);
+        seen.push(...res.json.data.map(o => o.opportunityId));
+        const { nextCursor, hasMore } = res.json.pagination;
+        assert.equal(hasMore, !!nextCursor);
+        url = nextCursor ? `/api/opportunities?filter[owner]=LQ業務&sort=-updatedTime&limit=2&cursor=${nextCursor}` : null;
+    }
+    // 已封存預設排除
+    assert.deepEqual(seen, ['OPP_LQ_2', 'OPP_LQ_3', 'OPP_LQ_1', 'OPP_LQ_4']);
+
+    const ranged = await request('GET', encodeURI('/api/opportunities?filter[owner]=LQ業務&filter[winProbability][gte]=50&filter[currentStage][in]=02_需求確認,03_提案報價&filter[currentStatus][in]=進行中,已封存&sort=currentStage,-winProbability'));
+    assert.deepEqual(ranged.json.data.map(o => o.opportunityId), ['OPP_LQ_3', 'OPP_LQ_2', 'OPP_LQ_4', 'OPP_LQ_5']);
+
+    const unknownField = await request('GET', '/api/opportunities?filter[secret]=1');
+    assert.equal(unknownField.status, 400);
+    const cursorMismatch = await request('GET', `/api/opportunities?sort=opportunityName&cursor=${encodeURIComponent('not-a-cursor')}`);
+    assert.equal(cursorMismatch.status, 400);
+
+    // 未使用新語法時維持舊格式
+    const legacy = await request('GET', '/api/opportunities?page=0');
+    assert.ok(Array.isArray(legacy.json));
+});
+
+test('list query: 互動 / 正式聯絡人 / 公司列表共用相同語法', async () => {
+    const interactions = await request('GET', '/api/interactions/all?filter[opportunityId]=OPP_0001&limit=10');
+    assert.equal(interactions.status, 200);
+    assert.ok(interactions.json.data.length > 0);
+    assert.ok(interactions.json.data.every(i => i.opportunityId === 'OPP_0001' && i.opportunityName));
+
+    const contacts = await request('GET', '/api/contacts/list?filter[companyId]=COMP_0001&sort=name');
+    assert.equal(contacts.status, 200);
+    assert.ok(contacts.json.data.some(c => c.contactId === 'CONT_0001' && c.companyName));
+
+    const companies = await request('GET', `/api/companies?q=${encodeURIComponent('示範精機')}&limit=5`);
+    assert.equal(companies.status, 200);
+    assert.equal(companies.json.data[0].companyId, 'COMP_0001');
+    assert.ok('lastActivity' in companies.json.data[0]);
+    assert.equal(companies.json.pagination.hasMore, false);
+
+    // 本頁的衍生欄位由資料庫彙總，結果與舊版整表計算一致
+    const legacyCompany = (await request('GET', '/api/companies')).json.data.find(c => c.companyId === 'COMP_0001');
+    assert.equal(companies.json.data[0].lastActivity, legacyCompany.lastActivity);
+    const { supabase } = getMemoryBackends();
+    const linkedOpps = supabase.dump('opportunities').filter(o => o.company_id === 'COMP_0001' && !o.deleted_at);
+    assert.equal(companies.json.data[0].opportunityCount, linkedOpps.length);
+
+    // 列表頁送出的條件 (public/scripts/opportunities/opportunities.js、companies/company-list.js)
+    const yearPage = await request('GET', encodeURI('/api/opportunities?filter[createdTime][gte]=2000-01-01&filter[createdTime][lt]=2100-01-01&filter[equipmentScale][neq]=x&filter[productDetails][like]=x&sort=-updatedTime&limit=50'));
+    assert.equal(yearPage.status, 200);
+    const byName = await request('GET', encodeURI('/api/companies?filter[companyName][like]=示範&sort=companyName&limit=50'));
+    assert.equal(byName.status, 200);
+    assert.ok(byName.json.data.some(c => c.companyId === 'COMP_0001'));
+
+    const opportunities = await request('GET', '/api/opportunities?filter[opportunityId]=OPP_0001&limit=1');
+    const lastInteraction = Math.max(...interactions.json.data.map(i => new Date(i.interactionTime).getTime()));
+    assert.ok(new Date(opportunities.json.data[0].lastActivity).getTime() >= lastInteraction);
+
+    const badLimit = await request('GET', '/api/companies?limit=0');
+    assert.equal(badLimit.status, 400);
+});
+
+test('search: 跨實體搜尋依實體分組排序，事件欄位與名片皆可命中並標示摘要', async () => {
+    const { supabase } = getMemoryBackends();
+    await supabase.from('event_logs_general').insert([{
+        event_id: 'EVT_SEARCH',
+        event_name: '設備巡檢會議',
+        opportunity_id: 'OPP_0001',
+        client_questions: '客戶詢問 ＦＡＮＵＣ 控制器的保固年限與備品價格'
+    }]);
+
+    const event = await request('GET', `/api/search?q=${encodeURIComponent('fanuc 保固')}`);
+    assert.equal(event.status, 200);
+    const eventGroup = event.json.data.groups.find(g => g.entity === 'event');
+    assert.ok(eventGroup, '事件分組應存在');
+    const hit = eventGroup.items[0];
+    assert.equal(hit.id, 'EVT_SEARCH');
+    assert.equal(hit.snippetField, '客戶提問');
+    assert.ok(hit.snippet.includes('<mark>ＦＡＮＵＣ</mark>') && hit.snippet.includes('<mark>保固</mark>'));
+    assert.deepEqual(hit.target, { page: 'opportunity-details', params: { opportunityId: 'OPP_0001' } });
+
+    const company = await request('GET', `/api/search?q=${encodeURIComponent('示範精機')}`);
+    const companyGroup = company.json.data.groups.find(g => g.entity === 'company');
+    assert.equal(companyGroup.items[0].id, 'COMP_0001');
+    assert.equal(companyGroup.items[0].target.page, 'company-details');
+    // 連打的查詢以二元組覆蓋率命中
+    const runTogether = await request('GET', `/api/search?q=${encodeURIComponent('示範精機報價')}&types=company`);
+    assert.deepEqual(runTogether.json.data.groups.map(g => g.entity), ['company']);
+
+    const card = await request('GET', `/api/search?q=${encodeURIComponent('林志明')}`);
+    const cardGroup = card.json.data.groups.find(g => g.entity === 'card');
+    assert.ok(cardGroup.items.some(i => i.id === 'RAW_0001' && i.target.page === 'contacts'));
+
+    assert.equal((await request('GET', '/api/search?q=')).status, 400);
+    assert.equal((await request('GET', '/api/search?q=test&types=weekly')).status, 400);
+});
+
+test('companies: 以 companyId 定位，不同法人不再因去除「股份有限公司」而混淆，改名後關聯不斷', async () => {
+    const { opportunityService } = app.get('services');
+    const user = { displayName: 'Tester' };
+
+    const ltd = await request('POST', '/api/companies', { companyName: '同名測試機械有限公司' });
+    const corp = await request('POST', '/api/companies', { companyName: '同名測試機械股份有限公司' });
+    assert.ok(!corp.json.existed, '不同法人不可被視為已存在');
+    const ltdId = ltd.json.data.companyId;
+    const corpId = corp.json.data.companyId;
+    assert.notEqual(ltdId, corpId);
+
+    const opp = await opportunityService.createOpportunity({ opportunityName: '同名測試案', customerCompany: '同名測試機械股份有限公司' }, user);
+    const ltdDetails = await request('GET', `/api/companies/${ltdId}/details`);
+    const corpDetails = await request('GET', `/api/companies/${corpId}/details`);
+    assert.equal(ltdDetails.json.data.opportunities.length, 0);
+    assert.deepEqual(corpDetails.json.data.opportunities.map(o => [o.opportunityId, o.companyId]), [[opp.id, corpId]]);
+
+    const renamed = await request('PUT', `/api/companies/${corpId}`, { companyName: '同名測試精密股份有限公司' });
+    assert.equal(renamed.status, 200);
+    const afterRename = await request('GET', `/api/companies/${corpId}/details`);
+    assert.equal(afterRename.json.data.companyInfo.companyName, '同名測試精密股份有限公司');
+    assert.equal(afterRename.json.data.opportunities[0].customerCompany, '同名測試精密股份有限公司');
+
+    const duplicateName = await request('PUT', `/api/companies/${corpId}`, { companyName: '同名測試機械有限公司' });
+    assert.equal(duplicateName.status, 400);
+
+    // 仍有機會以 companyId 連結時不可刪除；另一家公司可以
+    assert.equal((await request('DELETE', `/api/companies/${corpId}`)).status, 400);
+    assert.equal((await request('DELETE', `/api/companies/${ltdId}`)).status, 200);
+
+    // 找不到的公司 (含已刪除) 一律回應 404，而非 500 或 companyInfo: null
+    assert.equal((await request('GET', '/api/companies/NOPE/details')).status, 404);
+    assert.equal((await request('PUT', '/api/companies/NOPE', { phone: '02-0000-0000' })).status, 404);
+    assert.equal((await request('DELETE', '/api/companies/NOPE')).status, 404);
+    assert.equal((await request('GET', `/api/companies/${ltdId}/details`)).status, 404);
+});
+
+test('companies: 遷移將舊資料的終端客戶名稱回填為 companyId，同名多筆列為待處理', async () => {
+    const { supabase } = getMemoryBackends();
+    const CompanyLinkMigrationService = require('./services/company-link-migration-service');
+    const MigrationSqlWriter = require('./data/migration-sql-writer');
+    const OpportunitySqlWriter = require('./data/opportunity-sql-writer');
+
+    await supabase.from('companies').insert([
+        { company_id: 'COMP_LINK_A', company_name: '連結測試有限公司' },
+        { company_id: 'COMP_LINK_B', company_name: '連結測試股份有限公司' },
+        { company_id: 'COMP_LINK_C', company_name: '寬鬆比對工業股份有限公司' }
+    ]);
+    await supabase.from('opportunities').insert([
+        { opportunity_id: 'OPP_LINK_EXACT', opportunity_name: '完整名稱', customer_company: '連結測試有限公司' },
+        { opportunity_id: 'OPP_LINK_LOOSE', opportunity_name: '寬鬆名稱', customer_company: '寬鬆比對工業' },
+        { opportunity_id: 'OPP_LINK_AMBIGUOUS', opportunity_name: '同名', customer_company: '連結測試' },
+        { opportunity_id: 'OPP_LINK_NONE', opportunity_name: '找不到', customer_company: '不存在的公司' }
+    ]);
+
+    // 舊版網址以完整名稱定位仍可用；同名多筆時回 409 與候選清單
+    const legacy = await request('GET', `/api/companies/${encodeURIComponent('連結測試有限公司')}/details`);
+    assert.equal(legacy.json.data.companyInfo.companyId, 'COMP_LINK_A');
+    await supabase.from('companies').insert([{ company_id: 'COMP_LINK_DUP', company_name: '連結測試有限公司' }]);
+    const ambiguous = await request('GET', `/api/companies/${encodeURIComponent('連結測試有限公司')}/details`);
+    assert.equal(ambiguous.status, 409);
+    assert.deepEqual(ambiguous.json.candidates.map(c => c.companyId).sort(), ['COMP_LINK_A', 'COMP_LINK_DUP']);
+    await supabase.from('companies').delete().eq('company_id', 'COMP_LINK_DUP');
+
+    const service = new CompanyLinkMigrationService({
+        migrationSqlWriter: new MigrationSqlWriter(),
+        opportunitySqlWriter: new OpportunitySqlWriter()
+    });
+    const plan = await service.plan();
+    const linkOf = (id) => plan.links.find(l => l.opportunityId === id);
+    assert.deepEqual([linkOf('OPP_LINK_EXACT').companyId, linkOf('OPP_LINK_EXACT').match], ['COMP_LINK_A', 'exact']);
+    assert.deepEqual([linkOf('OPP_LINK_LOOSE').companyId, linkOf('OPP_LINK_LOOSE').match], ['COMP_LINK_C', 'loose']);
+    assert.equal(linkOf('OPP_0001').companyId, 'COMP_0001');
+    assert.ok(plan.ambiguous.some(a => a.opportunityId === 'OPP_LINK_AMBIGUOUS'));
+    assert.ok(plan.unresolved.some(u => u.opportunityId === 'OPP_LINK_NONE'));
+
+    const updatedBefore = supabase.dump('opportunities').find(r => r.opportunity_id === 'OPP_0001').updated_time;
+    const result = await service.apply(plan);
+    assert.equal(result.linked, plan.links.length);
+    assert.equal(supabase.dump('opportunities').find(r => r.opportunity_id === 'OPP_0001').updated_time, updatedBefore);
+
+    const again = await service.plan();
+    assert.equal(again.links.length, 0);
+    assert.equal(again.ambiguous.length, 1);
+
+    const details = await request('GET', '/api/companies/COMP_LINK_C/details');
+    assert.deepEqual(details.json.data.opportunities.map(o => o.opportunityId), ['OPP_LINK_LOOSE']);
+});
+
+test('company merges: 疑似重複以電話與共同聯絡人計分，合併移轉所有關聯並可完整復原', async () => {
+    const { supabase } = getMemoryBackends();
+    await supabase.from('companies').insert([
+        { company_id: 'COMP_DUP_A', company_name: '台積電', phone: '03-5636688', city: '新竹市', created_time: '2026-01-01T00:00:00.000Z' },
+        { company_id: 'COMP_DUP_B', company_name: '台灣積體電路製造股份有限公司', phone: '(03)563-6688#100', city: '新竹市', created_time: '2026-02-01T00:00:00.000Z' }
+    ]);
+    await supabase.from('contacts').insert([
+        { contact_id: 'CONT_DUP_A', name: '林工程師', company_id: 'COMP_DUP_A', email: 'lin@example.com' },
+        { contact_id: 'CONT_DUP_B', name: '林工程師', company_id: 'COMP_DUP_B', email: 'LIN@example.com' }
+    ]);
+    await supabase.from('opportunities').insert([
+        { opportunity_id: 'OPP_DUP_LINKED', opportunity_name: '合併測試', customer_company: '台灣積體電路製造股份有限公司', company_id: 'COMP_DUP_B' },
+        { opportunity_id: 'OPP_DUP_LEGACY', opportunity_name: '合併測試 (舊資料)', customer_company: '台灣積體電路製造股份有限公司', company_id: null }
+    ]);
+    await supabase.from('interactions').insert([{ interaction_id: 'INT_DUP', company_id: 'COMP_DUP_B', event_title: '合併測試' }]);
+    await supabase.from('event_logs_general').insert([{ event_id: 'EVT_DUP', company_id: 'COMP_DUP_B', event_name: '合併測試' }]);
+    // 預設 Sheet 模式的事件紀錄不在 SQL 交易內，由 Service 於合併後逐筆改寫
+    const sheetEvent = await request('POST', '/api/events', { eventType: 'general', eventName: '合併測試 (Sheet)', companyId: 'COMP_DUP_B' });
+    assert.equal(sheetEvent.status, 200);
+    const sheetEventId = sheetEvent.json.id;
+    const sheetCompanyOf = async () => (await request('GET', `/api/events/${sheetEventId}`)).json.data.companyId;
+
+    const duplicates = await request('GET', '/api/company-merges/duplicates?companyId=COMP_DUP_A');
+    assert.equal(duplicates.status, 200);
+    const [pair] = duplicates.json.data;
+    assert.deepEqual(pair.companies.map(c => c.companyId).sort(), ['COMP_DUP_A', 'COMP_DUP_B']);
+    assert.ok(pair.score >= 0.8, `score ${pair.score}`);
+    assert.ok(pair.reasons.includes('電話相同'));
+    assert.equal(pair.signals.sharedContacts, 1);
+
+    const login = await request('POST', '/api/auth/login', { username: 'sales', password: 'sales123' }, null);
+    assert.equal((await request('POST', '/api/company-merges', { survivorId: 'COMP_DUP_A', mergedId: 'COMP_DUP_B' }, login.json.token)).status, 403);
+    assert.equal((await request('POST', '/api/company-merges', { survivorId: 'COMP_DUP_A', mergedId: 'COMP_DUP_A' })).status, 400);
+
+    const merged = await request('POST', '/api/company-merges', { survivorId: 'COMP_DUP_A', mergedId: 'COMP_DUP_B' });
+    assert.equal(merged.status, 200);
+    const { mergeId, movedCounts } = merged.json.data;
+    assert.deepEqual(movedCounts, { contacts: 1, opportunities: 2, interactions: 1, event_logs_general: 1 });
+    assert.deepEqual(merged.json.data.sheetEvents.map(e => e.eventId), [sheetEventId]);
+    assert.deepEqual(merged.json.data.sheetEventsFailed, []);
+    assert.equal(await sheetCompanyOf(), 'COMP_DUP_A');
+
+    const companyOf = (table, idColumn, id) => supabase.dump(table).find(r => r[idColumn] === id).company_id;
+    assert.equal(companyOf('contacts', 'contact_id', 'CONT_DUP_B'), 'COMP_DUP_A');
+    assert.equal(companyOf('interactions', 'interaction_id', 'INT_DUP'), 'COMP_DUP_A');
+    assert.equal(companyOf('event_logs_general', 'event_id', 'EVT_DUP'), 'COMP_DUP_A');
+    const details = await request('GET', '/api/companies/COMP_DUP_A/details');
+    assert.deepEqual(details.json.data.opportunities.map(o => o.opportunityId).sort(), ['OPP_DUP_LEGACY', 'OPP_DUP_LINKED']);
+    assert.ok(details.json.data.opportunities.every(o => o.customerCompany === '台積電'));
+    const companies = await request('GET', '/api/companies');
+    assert.ok(!companies.json.data.some(c => c.companyId === 'COMP_DUP_B'));
+    assert.equal((await request('POST', '/api/company-merges', { survivorId: 'COMP_DUP_A', mergedId: 'COMP_DUP_B' })).status, 400);
+
+    const history = await request('GET', '/api/audit?entity=company&id=COMP_DUP_A');
+    assert.ok(history.json.data.some(log => log.action === 'merge' && log.newValue.startsWith('COMP_DUP_B')));
+
+    // 合併後手動改到其他公司的資料列不被復原覆蓋
+    await supabase.from('interactions').update({ company_id: 'COMP_0001' }).eq('interaction_id', 'INT_DUP');
+
+    const undo = await request('POST', `/api/company-merges/${mergeId}/undo`);
+    assert.equal(undo.status, 200);
+    assert.deepEqual([undo.json.data.restored, undo.json.data.skipped], [4, 1]);
+    assert.deepEqual([undo.json.data.sheetEventsRestored, undo.json.data.sheetEventsSkipped], [1, 0]);
+    assert.equal(await sheetCompanyOf(), 'COMP_DUP_B');
+    assert.ok(undo.json.data.undoneAt);
+    assert.equal(companyOf('contacts', 'contact_id', 'CONT_DUP_B'), 'COMP_DUP_B');
+    assert.equal(companyOf('interactions', 'interaction_id', 'INT_DUP'), 'COMP_0001');
+    const legacy = supabase.dump('opportunities').find(r => r.opportunity_id === 'OPP_DUP_LEGACY');
+    assert.deepEqual([legacy.company_id, legacy.customer_company], [null, '台灣積體電路製造股份有限公司']);
+    const restored = await request('GET', '/api/companies/COMP_DUP_B/details');
+    assert.deepEqual(restored.json.data.opportunities.map(o => o.opportunityId).sort(), ['OPP_DUP_LEGACY', 'OPP_DUP_LINKED']);
+
+    assert.equal((await request('POST', `/api/company-merges/${mergeId}/undo`)).status, 400);
+    assert.equal((await request('POST', '/api/company-merges/MERGE_NONE/undo')).status, 404);
+    const merges = await request('GET', '/api/company-merges?companyId=COMP_DUP_B');
+    assert.deepEqual(merges.json.data.map(m => m.mergeId), [mergeId]);
+});
+
+test('integrity: 報告列出孤兒關聯 / 已刪除機會 / 事件缺公司 / 母機會懸空，一鍵修復後重新掃描歸零', async () => {
+    const { supabase } = getMemoryBackends();
+    await supabase.from('opportunities').insert([
+        { opportunity_id: 'OPP_INT_TRASHED', opportunity_name: '完整性 (回收桶)', company_id: 'COMP_0001', deleted_at: '2026-10-10T00:00:00.000Z' },
+        { opportunity_id: 'OPP_INT_CHILD', opportunity_name: '完整性 (子機會)', company_id: 'COMP_0001', parent_opportunity_id: 'OPP_INT_PURGED' }
+    ]);
+    await supabase.from('opportunity_contact_links').insert([{ opportunity_id: 'OPP_0001', contact_id: 'CONT_INT_GONE', link_status: 'active' }]);
+    await supabase.from('interactions').insert([
+        { interaction_id: 'INT_INT_PURGED', opportunity_id: 'OPP_INT_PURGED', company_id: 'COMP_0001', event_title: '完整性 (機會已永久刪除)' },
+        { interaction_id: 'INT_INT_TRASHED', opportunity_id: 'OPP_INT_TRASHED', company_id: 'COMP_0001', event_title: '完整性 (機會在回收桶)' }
+    ]);
+    await supabase.from('event_logs_iot').insert([
+        { event_id: 'EVT_INT_DERIVABLE', opportunity_id: 'OPP_INT_CHILD', company_id: '', event_name: '完整性 (可回填)' },
+        { event_id: 'EVT_INT_ORPHAN', opportunity_id: null, company_id: null, event_name: '完整性 (無法回填)' }
+    ]);
+
+    const login = await request('POST', '/api/auth/login', { username: 'sales', password: 'sales123' }, null);
+    assert.equal((await request('GET', '/api/admin/integrity', null, login.json.token)).status, 403);
+
+    const scan = async () => {
+        const res = await request('GET', '/api/admin/integrity');
+        assert.equal(res.status, 200);
+        return Object.fromEntries(res.json.data.checks.map(check => [check.id, check]));
+    };
+    const ids = (check) => check.examples.map(e => e.id).filter(id => String(id).includes('_INT_'));
+
+    const report = await scan();
+    assert.deepEqual(ids(report['contact-link-missing-contact']), ['OPP_0001:CONT_INT_GONE']);
+    assert.deepEqual(ids(report['interaction-missing-opportunity']), ['INT_INT_PURGED']);
+    assert.deepEqual(ids(report['interaction-deleted-opportunity']), ['INT_INT_TRASHED']);
+    assert.equal(report['interaction-deleted-opportunity'].repairable, false);
+    assert.deepEqual(ids(report['event-missing-company']).sort(), ['EVT_INT_DERIVABLE', 'EVT_INT_ORPHAN']);
+    assert.equal(report['event-missing-company'].examples.find(e => e.id === 'EVT_INT_ORPHAN').repairable, false);
+    assert.deepEqual(ids(report['opportunity-missing-parent']), ['OPP_INT_CHILD']);
+
+    for (const checkId of ['contact-link-missing-contact', 'interaction-missing-opportunity', 'event-missing-company', 'opportunity-missing-parent']) {
+        const res = await request('POST', `/api/admin/integrity/${checkId}/repair`);
+        assert.equal(res.status, 200, checkId);
+        assert.deepEqual(res.json.data.failed, []);
+    }
+    assert.equal((await request('POST', '/api/admin/integrity/interaction-deleted-opportunity/repair')).status, 400);
+    assert.equal((await request('POST', '/api/admin/integrity/no-such-check/repair')).status, 404);
+
+    const after = await scan();
+    assert.deepEqual(ids(after['contact-link-missing-contact']), []);
+    assert.deepEqual(ids(after['interaction-missing-opportunity']), []);
+    assert.deepEqual(ids(after['event-missing-company']), ['EVT_INT_ORPHAN']);
+    assert.deepEqual(ids(after['opportunity-missing-parent']), []);
+    assert.deepEqual(ids(after['interaction-deleted-opportunity']), ['INT_INT_TRASHED']);
+
+    const event = supabase.dump('event_logs_iot').find(r => r.event_id === 'EVT_INT_DERIVABLE');
+    assert.equal(event.company_id, 'COMP_0001');
+    const interaction = supabase.dump('interactions').find(r => r.interaction_id === 'INT_INT_PURGED');
+    assert.deepEqual([interaction.opportunity_id, interaction.company_id], [null, 'COMP_0001']);
+    const history = await request('GET', '/api/audit?entity=opportunity&id=OPP_INT_CHILD');
+    assert.ok(history.json.data.some(log => log.field === 'parent_opportunity_id' && log.oldValue === 'OPP_INT_PURGED'));
+});
+
+// 最小 XLSX (未壓縮 ZIP)：第一列為標題，數字儲存格套用日期格式 (numFmtId 14)
+function buildXlsx(rows) {
+    const zlib = require('zlib');
+    const escape = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    const cell = (value, c, r) => {
+        const ref = `${String.fromCharCode(65 + c)}${r}`;
+        return typeof value === 'number'
+            ? `<c r="${ref}" s="1"><v>${value}</v></c>`
+            : `<c r="${ref}" t="inlineStr"><is><t>${escape(value)}</t></is></c>`;
+    };
+    const files = {
+        'xl/workbook.xml': '<workbook><sheets><sheet name="匯入" sheetId="1" r:id="rId1"/></sheets></workbook>',
+        'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Target="worksheets/data.xml"/></Relationships>',
+        'xl/styles.xml': '<styleSheet><cellXfs count="2"><xf numFmtId="0"/><xf numFmtId="14"/></cellXfs></styleSheet>',
+        'xl/worksheets/data.xml': `<worksheet><sheetData>${rows.map((row, r) =>
+            `<row r="${r + 1}">${row.map((v, c) => cell(v, c, r + 1)).join('')}</row>`).join('')}</sheetData></worksheet>`
+    };
+
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    Object.entries(files).forEach(([name, text]) => {
+        const nameBuf = Buffer.from(name);
+        const data = Buffer.from(text);
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt32LE(zlib.crc32(data), 14);
+        header.writeUInt32LE(data.length, 18);
+        header.writeUInt32LE(data.length, 22);
+        header.writeUInt16LE(nameBuf.length, 26);
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt32LE(zlib.crc32(data), 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuf.length, 28);
+        central.writeUInt32LE(offset, 42);
+        locals.push(header, nameBuf, data);
+        centrals.push(central, nameBuf);
+        offset += header.length + nameBuf.length + data.length;
+    });
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]).toString('base64');
+}
+
+test('imports: CSV 公司預覽列出新增 / 更新 (只列變更欄位) / 重複 / 錯誤，聯絡人以公司名稱歸屬，XLSX 機會依系統設定驗證下拉欄位', async () => {
+    const csv = (text) => ({ name: 'companies.csv', content: Buffer.from(`﻿${text}`).toString('base64') });
+    const companies = csv([
+        '公司名稱,電話,縣市,備註',
+        '北區新客戶股份有限公司,02-2345-6789,台北市,"含逗號, 與 ""引號"""',
+        '示範精機股份有限公司,04-23590000,台中市,',
+        '示範精機股份有限公司,04-1111111,台中市,',
+        ',03-1234567,新竹市,'
+    ].join('\r\n'));
+    const mapping = { '公司名稱': '公司名稱', '電話': '公司電話', '縣市': '縣市', '備註': '公司簡介' };
+
+    const preview = await request('POST', '/api/imports/company/preview', { file: companies, mapping });
+    assert.equal(preview.status, 200);
+    assert.deepEqual(preview.json.data.rows.map(r => [r.rowNumber, r.action]), [[2, 'create'], [3, 'update'], [4, 'duplicate'], [5, 'error']]);
+    assert.deepEqual(preview.json.data.rows[1].changes.map(c => c.field), ['公司電話']);
+    assert.equal(preview.json.data.rows[0].data.introduction, '含逗號, 與 "引號"');
+    assert.match(preview.json.data.rows[3].errors[0], /公司名稱/);
+    assert.equal((await request('POST', '/api/imports/company/preview', { file: companies, mapping: { '電話': '公司電話' } })).status, 400);
+    assert.equal((await request('POST', '/api/imports/widget/preview', { file: companies })).status, 400);
+
+    const committed = await request('POST', '/api/imports/company/commit', { file: companies, mapping });
+    assert.equal(committed.status, 200);
+    assert.deepEqual([committed.json.data.created, committed.json.data.updated, committed.json.data.failed], [1, 1, 0]);
+    const list = await request('GET', '/api/companies');
+    const created = list.json.data.find(c => c.companyName === '北區新客戶股份有限公司');
+    assert.deepEqual([created.phone, created.county], ['02-2345-6789', '台北市']);
+
+    // 聯絡人：標題與系統欄位同名時自動對應；公司名稱解析為公司ID
+    const contacts = csv('姓名,公司名稱,職稱,Email\n林經理,北區新客戶股份有限公司,經理,lin@north.example\n王大明,示範精機股份有限公司,副總,\n張三,不存在的公司,,');
+    const contactPreview = await request('POST', '/api/imports/contact/preview', { file: contacts });
+    assert.deepEqual(contactPreview.json.data.rows.map(r => r.action), ['create', 'update', 'error']);
+    assert.deepEqual(contactPreview.json.data.rows[1].changes, [{ field: '職稱', from: '廠長', to: '副總' }]);
+    const contactCommit = await request('POST', '/api/imports/contact/commit', { file: contacts });
+    assert.deepEqual([contactCommit.json.data.created, contactCommit.json.data.updated], [1, 1]);
+    const { supabase } = getMemoryBackends();
+    const lin = supabase.dump('contacts').find(c => c.name === '林經理');
+    assert.equal(lin.company_id, created.companyId);
+    assert.equal(supabase.dump('contacts').find(c => c.contact_id === 'CONT_0001').job_title, '副總');
+
+    // 機會 (XLSX)：下拉值不在系統設定列為錯誤；日期序號轉為 YYYY-MM-DD
+    const opportunities = { name: 'opportunities.xlsx', content: buildXlsx([
+        ['機會名稱', '終端客戶', '銷售模式', '機會種類', '預計結案日', '機會價值'],
+        ['北區 產線聯網', '北區新客戶股份有限公司', '直販', 'iot', 46387, '1,200,000'],
+        ['北區 顧問案', '北區新客戶股份有限公司', '代理', 'DX', '2027/1/5', ''],
+        ['北區 第二期', '北區新客戶股份有限公司', '通路', 'DX', '2027-02-30', 'abc']
+    ]) };
+    const oppPreview = await request('POST', '/api/imports/opportunity/preview', { file: opportunities });
+    assert.equal(oppPreview.status, 200);
+    const [first, second, third] = oppPreview.json.data.rows;
+    assert.equal(first.action, 'create');
+    assert.deepEqual([first.data.opportunityType, first.data.expectedCloseDate, first.data.opportunityValue], ['IoT', '2026-12-31', '1200000']);
+    assert.equal(second.action, 'error');
+    assert.match(second.errors[0], /銷售模式.*代理.*直販、通路/);
+    assert.equal(third.errors.length, 2);
+    assert.deepEqual(oppPreview.json.data.summary, { total: 3, create: 1, update: 0, unchanged: 0, duplicate: 0, error: 2 });
+
+    const oppCommit = await request('POST', '/api/imports/opportunity/commit', { file: opportunities });
+    assert.equal(oppCommit.json.data.created, 1);
+    const opportunity = supabase.dump('opportunities').find(o => o.opportunity_id === oppCommit.json.data.rows[0].id);
+    assert.deepEqual([opportunity.company_id, opportunity.sales_model, opportunity.current_stage], [created.companyId, '直販', '01_初步接觸']);
+});
+
+test('imports: 解壓過大的 XLSX (ZIP 炸彈) 與超過列數上限的檔案在解析前即拒絕', async () => {
+    const zlib = require('zlib');
+    // 40 MB 的工作表壓縮後只有數十 KB
+    const sheet = Buffer.alloc(40 * 1024 * 1024, ' ');
+    const compressed = zlib.deflateRawSync(sheet);
+    const zipBomb = (declaredSize) => {
+        const name = Buffer.from('xl/worksheets/sheet1.xml');
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(8, 8);
+        header.writeUInt32LE(compressed.length, 18);
+        header.writeUInt32LE(declaredSize, 22);
+        header.writeUInt16LE(name.length, 26);
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(declaredSize, 24);
+        central.writeUInt16LE(name.length, 28);
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(1, 8);
+        end.writeUInt16LE(1, 10);
+        end.writeUInt32LE(central.length + name.length, 12);
+        end.writeUInt32LE(header.length + name.length + compressed.length, 16);
+        return Buffer.concat([header, name, compressed, central, name, end]).toString('base64');
+    };
+
+    // 宣告實際大小：解壓前即拒絕；宣告大小造假：解壓輸出達上限即中止
+    for (const declaredSize of [sheet.length, 100]) {
+        const res = await request('POST', '/api/imports/company/preview', { file: { name: 'bomb.xlsx', content: zipBomb(declaredSize) } });
+        assert.equal(res.status, 400);
+        assert.match(res.json.error || res.json.details, /解壓後超過/);
+    }
+
+    const rows = ['公司名稱', ...Array.from({ length: 5001 }, (_, i) => `大量匯入公司${i}`)].join('\n');
+    const tooMany = await request('POST', '/api/imports/company/preview', { file: { name: 'many.csv', content: Buffer.from(rows).toString('base64') } });
+    assert.equal(tooMany.status, 400);
+    assert.match(tooMany.json.error || tooMany.json.details, /單次最多 5000 列/);
+});
+
+test('export: 機會 CSV 沿用列表篩選並分批讀取，公司 JSON / XLSX，事件與商品以記憶體篩選，成本價格僅管理員可匯出', async () => {
+    const download = async (url, authToken = token) => {
+        const response = await fetch(`${baseUrl}${encodeURI(url)}`, { headers: { Authorization: `Bearer ${authToken}` } });
+        return { status: response.status, headers: response.headers, buffer: Buffer.from(await response.arrayBuffer()) };
+    };
+    const config = require('./config');
+    const tabularFile = require('./utils/tabular-file');
+
+    // 機會 CSV：與列表相同的篩選 / 排序，分批 (PAGE_SIZE) 讀完全部
+    const listed = await request('GET', encodeURI('/api/opportunities?filter[owner]=LQ業務&sort=-updatedTime&limit=200'));
+    const pageSize = config.EXPORT.PAGE_SIZE;
+    config.EXPORT.PAGE_SIZE = 2;
+    let csv;
+    try {
+        csv = await download('/api/export/opportunity?format=csv&filter[owner]=LQ業務&sort=-updatedTime&limit=1');
+    } finally {
+        config.EXPORT.PAGE_SIZE = pageSize;
+    }
+    assert.equal(csv.status, 200);
+    assert.match(csv.headers.get('content-type'), /text\/csv/);
+    assert.match(csv.headers.get('content-disposition'), /attachment; filename="opportunities-\d{8}\.csv"/);
+    assert.equal(csv.buffer.toString('utf8').charCodeAt(0), 0xFEFF);
+    const parsedCsv = tabularFile.parse(csv.buffer, 'export.csv');
+    assert.equal(parsedCsv.headers[0], config.OPPORTUNITY_FIELD_NAMES.ID);
+    assert.ok(listed.json.data.length > 2);
+    assert.deepEqual(parsedCsv.rows.map(r => r.values[0]), listed.json.data.map(o => o.opportunityId));
+
+    // 公式開頭的文字加上 ' 輸出為純文字，數值不受影響
+    assert.equal(
+        tabularFile.csvLine(['=HYPERLINK("http://x")', '+886-2-1234', '-1+1', '@SUM(A1)', '\tTab', -500, '一般備註']),
+        `"'=HYPERLINK(""http://x"")",'+886-2-1234,'-1+1,'@SUM(A1),'\tTab,-500,一般備註\r\n`
+    );
+
+    // 公司 JSON / XLSX 內容一致
+    const json = await download('/api/export/company?format=json&q=示範');
+    const companies = JSON.parse(json.buffer.toString('utf8'));
+    assert.ok(companies.length > 0);
+    assert.ok(companies.every(c => 'lastActivity' in c && c.companyName));
+    const xlsx = await download('/api/export/company?format=xlsx&q=示範');
+    assert.match(xlsx.headers.get('content-type'), /spreadsheetml/);
+    const sheet = tabularFile.parse(xlsx.buffer, 'export.xlsx');
+    assert.equal(sheet.headers[1], '公司名稱');
+    assert.deepEqual(sheet.rows.map(r => r.values[1]), companies.map(c => c.companyName));
+
+    // 事件紀錄：跨表合併後以同一語法篩選
+    const events = JSON.parse((await download('/api/export/eventLog?format=json&filter[eventType]=general')).buffer.toString('utf8'));
+    assert.ok(events.length > 0 && events.every(e => e.eventType === 'general'));
+
+    // 商品：管理員含成本 / 價格，一般使用者欄位與數值皆不輸出
+    const adminProducts = JSON.parse((await download('/api/export/product?format=json')).buffer.toString('utf8'));
+    assert.equal(adminProducts.find(p => p.id === 'PROD_0001').cost, '12000');
+    const login = await request('POST', '/api/auth/login', { username: 'sales', password: 'sales123' }, null);
+    const salesCsv = tabularFile.parse((await download('/api/export/product', login.json.token)).buffer, 'export.csv');
+    assert.ok(salesCsv.headers.includes('商品') && !salesCsv.headers.includes('成本') && !salesCsv.headers.includes('MTU售價'));
+    assert.ok(!salesCsv.rows.some(r => r.values.includes('12000')));
+
+    // 參數錯誤在輸出前回 400
+    assert.equal((await download('/api/export/widget')).status, 400);
+    assert.equal((await download('/api/export/company?format=pdf')).status, 400);
+    assert.equal((await download('/api/export/product?filter[cost][gte]=1')).status, 400);
+});
+
+test('backup: 快照擷取 SQL 與工作表，單一實體還原需確認且不影響其他實體，全域還原回到快照狀態', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const config = require('./config');
+    const BackupService = require('./services/backup-service');
+    const MigrationSqlWriter = require('./data/migration-sql-writer');
+    const AuditSqlWriter = require('./data/audit-sql-writer');
+    const BackupSqlWriter = require('./data/backup-sql-writer');
+    const BackupSheetWriter = require('./data/backup-sheet-writer');
+    const BackupStore = require('./data/backup-store');
+
+    const { supabase, sheets } = getMemoryBackends();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crm-backup-'));
+    const service = new BackupService({
+        migrationSqlWriter: new MigrationSqlWriter(),
+        backupSqlWriter: new BackupSqlWriter(),
+        backupSheetWriter: new BackupSheetWriter(sheets),
+        backupStore: new BackupStore(dir),
+        auditSqlWriter: new AuditSqlWriter(),
+        config
+    });
+    const companyName = async (id) => supabase.dump('companies').find(c => c.company_id === id)?.company_name;
+    const contactTitle = async () => supabase.dump('contacts').find(c => c.contact_id === 'CONT_0001').job_title;
+    // 以 API 讀取 (清空後的空白列與正式 Sheets 相同不回傳)
+    const configRows = async () => (await sheets.spreadsheets.values.get({
+        spreadsheetId: config.IDS.SYSTEM,
+        range: config.SHEETS.SYSTEM_CONFIG
+    })).data.values.length;
+
+    try {
+        const originalName = await companyName('COMP_0001');
+        const originalTitle = await contactTitle();
+        const originalConfigRows = await configRows();
+
+        const snapshot = await service.createSnapshot({ actor: 'test' });
+        const summary = await service.describeSnapshot(snapshot.id);
+        const companies = summary.entities.find(e => e.key === 'company');
+        assert.equal(companies.tables[0].rows, supabase.dump('companies').length);
+        assert.equal(companies.sheets[0].sheet, config.SHEETS.COMPANY_LIST);
+        // PRODUCT 仍為 SHEET 模式時只備份工作表
+        const product = summary.entities.find(e => e.key === 'product');
+        assert.deepEqual([product.tables.length, product.sheets.length], [0, 1]);
+
+        // 快照之後的錯誤寫入
+        await supabase.from('companies').update({ company_name: '批次誤改' }).eq('company_id', 'COMP_0001');
+        await supabase.from('companies').insert([{ company_id: 'COMP_BACKUP_EXTRA', company_name: '快照後新增' }]);
+        await supabase.from('contacts').update({ job_title: '批次誤改' }).eq('contact_id', 'CONT_0001');
+        await sheets.spreadsheets.values.append({
+            spreadsheetId: config.IDS.SYSTEM,
+            range: config.SHEETS.SYSTEM_CONFIG,
+            valueInputOption: 'USER_ENTERED',
+            resource: { values: [['機會階段', '99_快照後新增', '99', 'TRUE']] }
+        });
+
+        // 確認步驟：未輸入 / 輸入錯誤的快照編號都不寫入
+        await assert.rejects(service.restore(snapshot.id, { entities: ['company'] }), /無法復原/);
+        await assert.rejects(service.restore(snapshot.id, { confirm: 'yes', entities: ['company'] }), /無法復原/);
+        await assert.rejects(service.restore(snapshot.id, { confirm: snapshot.id, entities: ['widget'] }), /無法復原/);
+        assert.equal(await service.restore('20000101-000000-000', { confirm: '20000101-000000-000' }), null);
+        assert.equal(await companyName('COMP_0001'), '批次誤改');
+
+        // 單一實體還原
+        const partial = await service.restore(snapshot.id, { confirm: snapshot.id, entities: ['company'], actor: 'admin' });
+        assert.deepEqual(partial.entities.map(e => e.key), ['company']);
+        assert.equal(partial.entities[0].tables[0].deleted, 1);
+        assert.equal(await companyName('COMP_0001'), originalName);
+        assert.equal(await companyName('COMP_BACKUP_EXTRA'), undefined);
+        assert.equal(await contactTitle(), '批次誤改');
+        assert.equal(await configRows(), originalConfigRows + 1);
+
+        // 還原前快照保留了誤改的狀態，並寫入稽核紀錄
+        const safety = await service.describeSnapshot(partial.safetySnapshotId);
+        assert.equal(safety.trigger, 'pre-restore');
+        assert.deepEqual((await service.listSnapshots()).map(s => s.id), [partial.safetySnapshotId, snapshot.id]);
+        assert.ok(supabase.dump('audit_logs').some(log => log.entity === 'backup' && log.entity_id === snapshot.id && log.old_value === partial.safetySnapshotId));
+
+        // 全域還原
+        await service.restore(snapshot.id, { confirm: snapshot.id });
+        assert.equal(await contactTitle(), originalTitle);
+        assert.equal(await configRows(), originalConfigRows);
+        assert.equal((await request('GET', '/api/companies/COMP_0001/details')).status, 200);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('validation: 寫入 API 依 schema 回 400 與逐欄中文訊息，前端以相同驗證器與規則檢查', async () => {
+    const { supabase } = getMemoryBackends();
+    const before = supabase.dump('opportunities').find(o => o.opportunity_id === 'OPP_0001');
+
+    const missing = await request('POST', '/api/opportunities', { customerCompany: '示範精機股份有限公司' });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.json.code, 'VALIDATION_FAILED');
+    assert.deepEqual(missing.json.fields.map(f => [f.field, f.message]), [['opportunityName', '機會名稱為必填']]);
+
+    // 更新只檢查帶入的欄位；錯誤逐欄列出且不寫入
+    const invalid = await request('PUT', '/api/opportunities/OPP_0001', { expectedCloseDate: '2026-02-30', opportunityValue: '十萬', notes: '不應寫入' });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.json.fields.map(f => f.field), ['expectedCloseDate', 'opportunityValue']);
+    assert.match(invalid.json.error, /^資料驗證失敗：預計結案日必須是有效日期 \(YYYY-MM-DD\)；機會價值必須是數字$/);
+    assert.deepEqual(supabase.dump('opportunities').find(o => o.opportunity_id === 'OPP_0001'), before);
+
+    const batch = await request('PUT', '/api/opportunities/batch', { updates: [{ opportunityId: 'OPP_0001', data: { expectedCloseDate: '下週' } }] });
+    assert.equal(batch.status, 400);
+    assert.equal(batch.json.fields[0].field, 'updates[0].data.expectedCloseDate');
+
+    assert.equal((await request('PUT', '/api/companies/COMP_0001', { companyName: ' ' })).json.fields[0].message, '公司名稱為必填');
+    assert.equal((await request('POST', '/api/business/weekly', { theme: '缺日期' })).json.fields[0].message, '日期為必填');
+    assert.equal((await request('POST', '/api/announcements', { title: '公告', isPinned: 'maybe' })).json.fields[0].field, 'isPinned');
+    assert.equal((await request('POST', '/api/events', { eventName: '訪談', eventType: 'meeting' })).status, 400);
+
+    // 前端：以瀏覽器全域載入共用驗證器，套用 GET /api/schemas 的規則
+    const vm = require('vm');
+    const script = await fetch(`${baseUrl}/scripts/shared/request-validator.js`);
+    assert.equal(script.status, 200);
+    const sandbox = {};
+    sandbox.self = sandbox;
+    vm.runInNewContext(await script.text(), sandbox);
+    const schemas = (await request('GET', '/api/schemas')).json.data;
+    // 沙箱內建立的陣列屬於另一個 realm，以 JSON 比較
+    const validate = (data) => JSON.parse(JSON.stringify(sandbox.RequestValidator.validate(schemas.opportunity, data, { partial: true, schemas })));
+    assert.deepEqual(validate({ expectedCloseDate: '2026-02-30' }).map(e => e.message), ['預計結案日必須是有效日期 (YYYY-MM-DD)']);
+    assert.deepEqual(validate({ expectedCloseDate: '', opportunityValue: '1,200,000' }), []);
+});
+
+test('custom fields: 管理員定義欄位後依型別與角色驗證、合併寫入並過濾讀取', async () => {
+    const { supabase } = getMemoryBackends();
+    const login = await request('POST', '/api/auth/login', { username: 'sales', password: 'sales123' }, null);
+    const salesToken = login.json.token;
+
+    assert.equal((await request('POST', '/api/custom-fields', { entity: 'opportunity', key: 'budget', label: '預算', type: 'number' }, salesToken)).status, 403);
+    const select = await request('POST', '/api/custom-fields', { entity: 'opportunity', key: 'region', label: '區域', type: 'select', options: '北區, 中區, 南區', order: 1 });
+    assert.equal(select.status, 200);
+    assert.deepEqual(select.json.data.options, ['北區', '中區', '南區']);
+    assert.equal((await request('POST', '/api/custom-fields', { entity: 'opportunity', key: 'margin', label: '毛利率', type: 'number', roles: ['admin'], order: 2 })).status, 200);
+    assert.equal((await request('POST', '/api/custom-fields', { entity: 'opportunity', key: 'region', label: '區域', type: 'text' })).status, 400);
+
+    // 角色過濾：業務看不到僅限管理員的欄位；系統設定清單不含自訂欄位定義
+    const salesFields = await request('GET', '/api/custom-fields', null, salesToken);
+    assert.deepEqual(salesFields.json.data.opportunity.map(f => f.key), ['region']);
+    assert.equal((await request('GET', '/api/config')).json['自訂欄位'], undefined);
+
+    const saved = await request('PUT', '/api/opportunities/OPP_0001', { customFields: { region: '北區', margin: '12.5' } });
+    assert.equal(saved.status, 200);
+    const merged = await request('PUT', '/api/opportunities/OPP_0001', { customFields: { region: '中區' } }, salesToken);
+    assert.equal(merged.status, 200);
+    assert.deepEqual(supabase.dump('opportunities').find(o => o.opportunity_id === 'OPP_0001').custom_fields, { region: '中區', margin: 12.5 });
+
+    const invalid = await request('PUT', '/api/opportunities/OPP_0001', { customFields: { region: '外島', unknown: 'x' } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.json.code, 'VALIDATION_FAILED');
+    assert.deepEqual(invalid.json.fields.map(f => f.field), ['customFields.unknown', 'customFields.region']);
+    assert.equal((await request('PUT', '/api/opportunities/OPP_0001', { customFields: { margin: 30 } }, salesToken)).status, 400);
+
+    assert.deepEqual((await request('GET', '/api/opportunities/OPP_0001/details')).json.data.opportunityInfo.customFields, { region: '中區', margin: 12.5 });
+    assert.deepEqual((await request('GET', '/api/opportunities/OPP_0001/details', null, salesToken)).json.data.opportunityInfo.customFields, { region: '中區' });
+    assert.deepEqual((await request('GET', '/api/custom-fields/opportunity/OPP_0001/values', null, salesToken)).json.data.values, { region: '中區' });
+    assert.equal((await request('GET', '/api/custom-fields/opportunity/NOPE/values')).status, 404);
+
+    // 公司 / 聯絡人同樣以 custom_fields 合併寫入
+    assert.equal((await request('POST', '/api/custom-fields', { entity: 'company', key: 'taxId', label: '統一編號', type: 'text' })).status, 200);
+    assert.equal((await request('POST', '/api/custom-fields', { entity: 'contact', key: 'vip', label: 'VIP', type: 'checkbox' })).status, 200);
+    assert.equal((await request('PUT', '/api/companies/COMP_0001', { customFields: { taxId: ' 12345678 ' } })).status, 200);
+    assert.equal((await request('PUT', '/api/contacts/CONT_0001', { customFields: { vip: 'true' } })).status, 200);
+    assert.deepEqual(supabase.dump('companies').find(c => c.company_id === 'COMP_0001').custom_fields, { taxId: '12345678' });
+    assert.deepEqual(supabase.dump('contacts').find(c => c.contact_id === 'CONT_0001').custom_fields, { vip: true });
+    assert.deepEqual((await request('GET', '/api/companies/COMP_0001/details')).json.data.companyInfo.customFields, { taxId: '12345678' });
+
+    // 停用後不再出現，已儲存的值保留
+    assert.equal((await request('DELETE', '/api/custom-fields/opportunity/region')).status, 200);
+    assert.deepEqual((await request('GET', '/api/custom-fields')).json.data.opportunity.map(f => f.key), ['margin']);
+    assert.deepEqual((await request('GET', '/api/custom-fields?all=1')).json.data.opportunity.map(f => [f.key, f.enabled]), [['region', false], ['margin', true]]);
+    assert.equal(supabase.dump('opportunities').find(o => o.opportunity_id === 'OPP_0001').custom_fields.region, '中區');
+});
+
+test('custom fields: 非管理員在列表、搜尋、匯出與稽核紀錄同樣看不到僅限管理員的欄位', async () => {
+    const login = await request('POST', '/api/auth/login', { username: 'sales', password: 'sales123' }, null);
+    const salesToken = login.json.token;
+    const download = async (url, authToken = token) => {
+        const response = await fetch(`${baseUrl}${encodeURI(url)}`, { headers: { Authorization: `Bearer ${authToken}` } });
+        return JSON.parse(Buffer.from(await response.arrayBuffer()).toString('utf8'));
+    };
+
+    // margin 為上一個測試建立的僅限管理員欄位
+    assert.equal((await request('PUT', '/api/opportunities/OPP_0002', { customFields: { margin: 42.5 } })).status, 200);
+    const find = (list) => list.find(o => o.opportunityId === 'OPP_0002');
+
+    assert.equal(find((await request('GET', '/api/opportunities')).json).customFields.margin, 42.5);
+    assert.deepEqual(find((await request('GET', '/api/opportunities', null, salesToken)).json).customFields, {});
+    assert.equal(find((await request('GET', '/api/opportunities?limit=200')).json.data).customFields.margin, 42.5);
+    assert.deepEqual(find((await request('GET', '/api/opportunities?limit=200', null, salesToken)).json.data).customFields, {});
+
+    const search = await request('GET', `/api/search?q=${encodeURIComponent('數位轉型')}&types=opportunity`, null, salesToken);
+    assert.equal(search.status, 200);
+    assert.ok(search.json.data.groups[0].items.some(item => item.id === 'OPP_0002'));
+    assert.ok(!JSON.stringify(search.json).includes('42.5'));
+
+    assert.equal(find(await download('/api/export/opportunity?format=json'))['customFields.margin'], 42.5);
+    const salesExport = find(await download('/api/export/opportunity?format=json', salesToken));
+    assert.ok(salesExport);
+    assert.ok(!('customFields.margin' in salesExport));
+
+    const audit = async (authToken) => (await request('GET', '/api/audit?entity=opportunity&id=OPP_0002', null, authToken)).json.data
+        .filter(entry => entry.field === 'custom_fields');
+    assert.ok((await audit(token)).some(entry => JSON.parse(entry.newValue).margin === 42.5));
+    const salesAudit = await audit(salesToken);
+    assert.ok(salesAudit.length > 0);
+    assert.ok(salesAudit.every(entry => !('margin' in JSON.parse(entry.newValue))));
+});
+
+test('event templates: 管理員新增事件類型，依範本驗證並存於一般事件表的 details，不需新增資料表', async () => {
+    const config = require('./config');
+    const { supabase, sheets } = getMemoryBackends();
+    const login = await request('POST', '/api/auth/login', { username: 'sales', password: 'sales123' }, null);
+    const salesToken = login.json.token;
+
+    const template = {
+        type: 'aoi', label: 'AI 視覺檢測', icon: '🤖', color: '#6f42c1', order: 5,
+        sections: [{
+            title: '檢測需求',
+            fields: [
+                { key: 'inspectionTarget', label: '檢測標的', type: 'select', optionsFrom: '機會種類' },
+                { key: 'cameraCount', label: '相機數量', type: 'number' },
+                { key: 'defectTypes', label: '瑕疵類型', type: 'multiselect', options: '刮傷, 髒污, 缺件' }
+            ]
+        }]
+    };
+    assert.equal((await request('POST', '/api/event-templates', template, salesToken)).status, 403);
+    const saved = await request('POST', '/api/event-templates', template);
+    assert.equal(saved.status, 200);
+    assert.deepEqual(saved.json.data.sections[0].fields.map(f => [f.key, f.options, f.column]),
+        [['inspectionTarget', ['IoT', 'DX'], false], ['cameraCount', [], false], ['defectTypes', ['刮傷', '髒污', '缺件'], false]]);
+    assert.equal((await request('POST', '/api/event-templates', { ...template, type: 'legacy' })).status, 400);
+    assert.equal((await request('POST', '/api/event-templates', { ...template, sections: [{ title: 'x', fields: [{ key: 'eventName', label: '名稱' }] }] })).status, 400);
+
+    // 內建類型的既有欄位仍寫入專屬欄；系統設定的事件類型包含新類型
+    const templates = await request('GET', '/api/event-templates', null, salesToken);
+    assert.deepEqual(templates.json.data.map(t => t.type), ['general', 'iot', 'dt', 'dx', 'aoi']);
+    assert.equal(templates.json.data.find(t => t.type === 'iot').sections[0].fields[0].column, true);
+    assert.deepEqual((await request('GET', '/api/config')).json['事件類型'].find(t => t.value === 'aoi'),
+        { value: 'aoi', note: 'AI 視覺檢測', order: 5, color: '#6f42c1' });
+    assert.equal((await request('GET', '/api/config')).json['事件範本'], undefined);
+
+    config.DATA_SOURCES.EVENT_LOG = 'SQL';
+    try {
+        const invalid = await request('POST', '/api/events', { eventType: 'aoi', eventName: '檢測訪談', inspectionTarget: '外包', cameraCount: 'abc' });
+        assert.equal(invalid.status, 400);
+        assert.deepEqual(invalid.json.fields.map(f => f.field), ['inspectionTarget', 'cameraCount']);
+        assert.equal((await request('POST', '/api/events', { eventType: 'meeting', eventName: '訪談' })).json.fields[0].field, 'eventType');
+
+        const create = await request('POST', '/api/events', {
+            eventType: 'aoi', eventName: '檢測訪談', companyId: 'COMP_0001',
+            inspectionTarget: 'IoT', cameraCount: '4', defectTypes: ['刮傷', '缺件']
+        });
+        assert.equal(create.status, 200);
+        const eventId = create.json.id;
+        const row = supabase.dump('event_logs_general').find(r => r.event_id === eventId);
+        assert.equal(row.event_type, 'aoi');
+        assert.deepEqual(row.details, { inspectionTarget: 'IoT', cameraCount: 4, defectTypes: '刮傷, 缺件' });
+
+        // 更新未帶類型時依事件目前的類型檢查，details 合併寫入
+        assert.equal((await request('PUT', `/api/events/${eventId}`, { defectTypes: '刮傷, 裂痕' })).status, 400);
+        assert.equal((await request('PUT', `/api/events/${eventId}`, { cameraCount: '6', inspectionTarget: '' })).status, 200);
+        const read = await request('GET', `/api/events/${eventId}`);
+        assert.equal(read.json.data.eventType, 'aoi');
+        assert.deepEqual(read.json.data.details, { cameraCount: 6, defectTypes: '刮傷, 缺件' });
+
+        // 同表內改回一般類型為單純更新 (不搬移)，範本欄位值以新類型取代
+        const toGeneral = await request('PUT', `/api/events/${eventId}`, { eventType: 'general' });
+        assert.equal(toGeneral.json.moved, undefined);
+        assert.equal((await request('GET', `/api/events/${eventId}`)).json.data.eventType, 'general');
+        assert.deepEqual(supabase.dump('event_logs_general').find(r => r.event_id === eventId).details, {});
+        await request('DELETE', `/api/events/${eventId}`);
+    } finally {
+        config.DATA_SOURCES.EVENT_LOG = 'SHEET';
+    }
+
+    // 工作表模式：自訂類型寫入一般工作表的「事件類型」與「詳細資料」欄
+    const sheetCreate = await request('POST', '/api/events', { eventType: 'aoi', eventName: '工作表檢測', cameraCount: 2 });
+    assert.equal(sheetCreate.status, 200);
+    const sheetRows = (await sheets.spreadsheets.values.get({ spreadsheetId: config.IDS.CORE, range: `${config.SHEETS.EVENT_LOGS_GENERAL}!A:Q` })).data.values;
+    const sheetRow = sheetRows.find(r => r[0] === sheetCreate.json.id);
+    assert.deepEqual(sheetRow.slice(15), ['aoi', JSON.stringify({ cameraCount: 2 })]);
+    const sheetEvent = (await request('GET', '/api/events/' + sheetCreate.json.id)).json.data;
+    assert.equal(sheetEvent.eventType, 'aoi');
+    assert.deepEqual(sheetEvent.details, { cameraCount: 2 });
+    await request('DELETE', '/api/events/' + sheetCreate.json.id);
+
+    // 停用後不可建立新事件；內建類型沒有覆寫時不可停用
+    assert.equal((await request('DELETE', '/api/event-templates/aoi')).status, 200);
+    assert.equal((await request('POST', '/api/events', { eventType: 'aoi', eventName: '停用後' })).status, 400);
+    assert.equal((await request('DELETE', '/api/event-templates/iot')).status, 400);
+    assert.deepEqual((await request('GET', '/api/event-templates', null, salesToken)).json.data.map(t => [t.type, t.enabled]).pop(), ['aoi', false]);
+});
+
+test('event templates: 範本欄位值可全域搜尋與匯出，工具為既有事件工作表補上標題欄', async () => {
+    const config = require('./config');
+    const { sheets } = getMemoryBackends();
+    const tabularFile = require('./utils/tabular-file');
+    const download = async (url) => {
+        const response = await fetch(`${baseUrl}${encodeURI(url)}`, { headers: { Authorization: `Bearer ${token}` } });
+        return Buffer.from(await response.arrayBuffer());
+    };
+
+    const saved = await request('POST', '/api/event-templates', {
+        type: 'sop', label: '標準作業稽核', order: 6,
+        sections: [{ title: '稽核', fields: [
+            { key: 'auditScope', label: '稽核範圍', type: 'text' },
+            { key: 'findingCount', label: '缺失數', type: 'number' }
+        ] }]
+    });
+    assert.equal(saved.status, 200);
+
+    config.DATA_SOURCES.EVENT_LOG = 'SQL';
+    const create = await request('POST', '/api/events', {
+        eventType: 'sop', eventName: '產線稽核', opportunityId: 'OPP_0001', auditScope: '焊接站防呆治具', findingCount: 3
+    });
+    assert.equal(create.status, 200);
+    const eventId = create.json.id;
+
+    try {
+        // 全域搜尋：details 內的範本欄位可命中並標示欄位名稱
+        const found = await request('GET', `/api/search?q=${encodeURIComponent('防呆治具')}&types=event`);
+        const hit = found.json.data.groups.find(g => g.entity === 'event').items[0];
+        assert.equal(hit.id, eventId);
+        assert.equal(hit.snippetField, '稽核範圍');
+        // 內建 IoT 範本的專屬欄 (客戶痛點說明) 同樣經範本比對
+        const iotFields = (await request('GET', '/api/event-templates')).json.data.find(t => t.type === 'iot').sections.flatMap(s => s.fields);
+        assert.ok(iotFields.some(f => f.key === 'iot_painPointDetails' && f.column));
+
+        // 匯出：每個類型的範本欄位一欄，只填入事件本身類型的值；指定類型時只列出該類型
+        const all = JSON.parse((await download('/api/export/eventLog?format=json')).toString('utf8'));
+        const exported = all.find(e => e.eventId === eventId);
+        assert.equal(exported['template.sop.auditScope'], '焊接站防呆治具');
+        assert.equal(exported['template.sop.findingCount'], 3);
+        assert.ok('template.iot.iot_painPointDetails' in exported && exported['template.iot.iot_painPointDetails'] === null);
+        const csv = tabularFile.parse(await download('/api/export/eventLog?format=csv&filter[eventType]=sop'), 'export.csv');
+        assert.deepEqual(csv.headers.slice(-2), ['標準作業稽核：稽核範圍', '標準作業稽核：缺失數']);
+        assert.ok(!csv.headers.some(h => h.startsWith('IoT')));
+        assert.deepEqual(csv.rows.find(r => r.values[0] === eventId).values.slice(-2), ['焊接站防呆治具', '3']);
+    } finally {
+        await request('DELETE', '/api/events/' + eventId);
+        config.DATA_SOURCES.EVENT_LOG = 'SHEET';
+        await request('DELETE', '/api/event-templates/sop');
+    }
+
+    // 標題補欄：升級前的工作表缺少最後兩欄標題，只補空白儲存格，位置被占用時列為衝突不覆寫
+    const EventLogReader = require('./data/event-log-reader');
+    const EventLogWriter = require('./data/event-log-writer');
+    const EventSheetHeaderMigrationService = require('./services/event-sheet-header-migration-service');
+    const reader = new EventLogReader(sheets, config.IDS.CORE);
+    const migration = new EventSheetHeaderMigrationService({ eventLogWriter: new EventLogWriter(sheets, config.IDS.CORE, reader), config });
+    const headerRow = async (sheetName) => (await sheets.spreadsheets.values.get({ spreadsheetId: config.IDS.CORE, range: `${sheetName}!1:1` })).data.values[0];
+
+    const dxHeaders = await headerRow(config.SHEETS.EVENT_LOGS_DX);
+    const dtHeaders = await headerRow(config.SHEETS.EVENT_LOGS_DT);
+    await sheets.spreadsheets.values.update({ spreadsheetId: config.IDS.CORE, range: `${config.SHEETS.EVENT_LOGS_DX}!P1:Q1`, valueInputOption: 'RAW', resource: { values: [['', '']] } });
+    await sheets.spreadsheets.values.update({ spreadsheetId: config.IDS.CORE, range: `${config.SHEETS.EVENT_LOGS_DT}!T1`, valueInputOption: 'RAW', resource: { values: [['舊備註']] } });
+    try {
+        const plan = await migration.plan();
+        const byType = Object.fromEntries(plan.sheets.map(s => [s.type, s]));
+        assert.deepEqual(byType.dx.additions, [{ index: 15, header: '事件類型' }, { index: 16, header: '詳細資料' }]);
+        assert.deepEqual(byType.dt.conflicts, [{ index: 19, expected: '詳細資料', actual: '舊備註' }]);
+        assert.equal(byType.general.present, 2);
+
+        assert.deepEqual(await migration.apply(plan), { added: 2, conflicts: 1 });
+        assert.deepEqual(await headerRow(config.SHEETS.EVENT_LOGS_DX), dxHeaders);
+        assert.equal((await headerRow(config.SHEETS.EVENT_LOGS_DT))[19], '舊備註');
+        assert.deepEqual((await migration.apply(await migration.plan())).added, 0);
+    } finally {
+        await sheets.spreadsheets.values.update({ spreadsheetId: config.IDS.CORE, range: `${config.SHEETS.EVENT_LOGS_DT}!A1`, valueInputOption: 'RAW', resource: { values: [dtHeaders] } });
+    }
+});
+
+test('stage gates: 管理員設定各階段的必填條件，單筆 / 批次 / 看板推進皆於伺服器端檢查並列出待辦', async () => {
+    const config = require('./config');
+    const { supabase } = getMemoryBackends();
+    const login = await request('POST', '/api/auth/login', { username: 'sales', password: 'sales123' }, null);
+    const salesToken = login.json.token;
+
+    const quoteRule = { stage: '03_提案報價', fields: ['opportunityValue', 'potentialSpecification'], note: '報價前需有金額與產品明細' };
+    assert.equal((await request('POST', '/api/stage-gates', quoteRule, salesToken)).status, 403);
+    const saved = await request('POST', '/api/stage-gates', quoteRule);
+    assert.equal(saved.status, 200);
+    assert.equal(saved.json.data.stageLabel, '提案報價');
+    assert.equal((await request('POST', '/api/stage-gates', { ...quoteRule, fields: ['budget'] })).status, 400);
+    assert.equal((await request('POST', '/api/stage-gates', { ...quoteRule, stage: '05_結案' })).status, 400);
+    assert.equal((await request('POST', '/api/stage-gates', { stage: '受注', fields: [] })).status, 400);
+    assert.equal((await request('POST', '/api/stage-gates', { stage: '受注', opportunityType: 'IoT', checks: { contacts: 1, eventLogs: '1' } })).status, 200);
+
+    assert.deepEqual((await request('GET', '/api/stage-gates', null, salesToken)).json.data.map(r => [r.stage, r.opportunityType]),
+        [['03_提案報價', ''], ['受注', 'IoT']]);
+    assert.equal((await request('GET', '/api/config')).json['階段關卡'], undefined);
+
+    const [iot, dx] = ['OPP_GATE_IOT', 'OPP_GATE_DX'];
+    await supabase.from('opportunities').insert([
+        { opportunity_id: iot, opportunity_name: '關卡測試 IoT', opportunity_type: 'IoT', current_stage: '01_初步接觸' },
+        { opportunity_id: dx, opportunity_name: '關卡測試 DX', opportunity_type: 'DX', current_stage: '01_初步接觸' }
+    ]);
+    const stageOf = (id) => supabase.dump('opportunities').find(o => o.opportunity_id === id).current_stage;
+
+    // 直接跳到受注：累進檢查提案報價與受注 (IoT) 的條件，不寫入
+    const jump = await request('PUT', `/api/opportunities/${iot}`, { currentStage: '受注' }, salesToken);
+    assert.equal(jump.status, 422);
+    assert.equal(jump.json.code, 'STAGE_GATE_BLOCKED');
+    assert.deepEqual(jump.json.unmet.map(item => item.key), ['opportunityValue', 'potentialSpecification', 'contacts', 'eventLogs']);
+    assert.equal(stageOf(iot), '01_初步接觸');
+
+    // 同一次更新補上的欄位一併計入；空的產品明細視為未填
+    const emptySpec = await request('PUT', `/api/opportunities/${iot}`, { currentStage: '03_提案報價', opportunityValue: 800000, potentialSpecification: '{}' });
+    assert.deepEqual(emptySpec.json.unmet.map(item => item.key), ['potentialSpecification']);
+    assert.equal((await request('PUT', `/api/opportunities/${iot}`, {
+        currentStage: '03_提案報價', opportunityValue: 800000, potentialSpecification: JSON.stringify({ 'AOI-01': 2 })
+    })).status, 200);
+    assert.equal((await request('PUT', `/api/opportunities/${iot}`, { currentStage: '02_需求確認', notes: '退回不檢查' })).status, 200);
+
+    // 批次：先檢查全部，任一筆不符即整批不寫入
+    const batch = await request('PUT', '/api/opportunities/batch', { updates: [
+        { opportunityId: iot, data: { currentStage: '04_談判修正' } },
+        { opportunityId: dx, data: { currentStage: '03_提案報價' } }
+    ] });
+    assert.equal(batch.status, 422);
+    assert.equal(batch.json.opportunityId, dx);
+    assert.deepEqual([stageOf(iot), stageOf(dx)], ['02_需求確認', '01_初步接觸']);
+
+    // 待辦清單：提案報價已符合，受注尚缺聯絡人與事件紀錄
+    const checklist = (await request('GET', `/api/opportunities/${iot}/stage-gates`, null, salesToken)).json.data;
+    assert.equal(checklist.stages.find(s => s.stage === '03_提案報價').ready, true);
+    const closing = checklist.stages.find(s => s.stage === '受注');
+    assert.deepEqual(closing.items.filter(item => !item.met).map(item => item.message),
+        ['需有至少 1 筆關聯聯絡人 (目前 0 筆)', '需有至少 1 筆事件紀錄 (目前 0 筆)']);
+
+    assert.equal((await request('POST', `/api/opportunities/${iot}/contacts`, { contactId: 'CONT_0001', name: '王小明' })).status, 200);
+    config.DATA_SOURCES.EVENT_LOG = 'SQL';
+    try {
+        assert.equal((await request('POST', '/api/events', { eventType: 'general', eventName: '需求訪談', opportunityId: iot, companyId: 'COMP_0001' })).status, 200);
+        assert.equal((await request('PUT', `/api/opportunities/${iot}`, { currentStage: '受注' }, salesToken)).status, 200);
+    } finally {
+        config.DATA_SOURCES.EVENT_LOG = 'SHEET';
+    }
+
+    // 新增 (含匯入)：建立時指定的階段視為從第一個階段推進，不符不寫入
+    const oppCount = () => supabase.dump('opportunities').length;
+    const before = oppCount();
+    const created = await request('POST', '/api/opportunities', { opportunityName: '關卡測試 新增', customerCompany: '示範精機股份有限公司', currentStage: '03_提案報價' }, salesToken);
+    assert.equal(created.status, 422);
+    assert.deepEqual(created.json.unmet.map(item => item.key), ['opportunityValue', 'potentialSpecification']);
+    assert.equal(oppCount(), before);
+    const initial = await request('POST', '/api/opportunities', { opportunityName: '關卡測試 新增', customerCompany: '示範精機股份有限公司', currentStage: '01_初步接觸' }, salesToken);
+    assert.equal(initial.status, 200);
+
+    const imported = await request('POST', '/api/imports/opportunity/commit', { file: { name: 'gates.xlsx', content: buildXlsx([
+        ['機會名稱', '終端客戶', '目前階段'],
+        ['關卡測試 匯入跳階', '示範精機股份有限公司', '03_提案報價'],
+        ['關卡測試 匯入', '示範精機股份有限公司', '01_初步接觸']
+    ]) } });
+    assert.equal(imported.status, 200);
+    assert.deepEqual([imported.json.data.created, imported.json.data.failed], [1, 1]);
+    assert.match(imported.json.data.rows[0].error, /無法推進.*提案報價.*機會價值/);
+    assert.ok(!supabase.dump('opportunities').some(o => o.opportunity_name === '關卡測試 匯入跳階'));
+
+    // 只設定於 IoT 的規則不影響 DX 機會
+    assert.equal((await request('PUT', `/api/opportunities/${dx}`, { currentStage: '受注', opportunityValue: 1000, potentialSpecification: '規格 A' })).status, 200);
+
+    // 停用後不再檢查，設定列保留
+    assert.equal((await request('DELETE', `/api/stage-gates/${encodeURIComponent('03_提案報價')}`)).status, 200);
+    assert.equal((await request('DELETE', `/api/stage-gates/${encodeURIComponent('受注')}?opportunityType=IoT`)).status, 200);
+    assert.equal((await request('DELETE', `/api/stage-gates/${encodeURIComponent('受注')}`)).status, 400);
+    assert.deepEqual((await request('GET', '/api/stage-gates?all=1')).json.data.map(r => r.enabled), [false, false]);
+    assert.deepEqual((await request('GET', `/api/opportunities/${dx}/stage-gates`)).json.data.stages.map(s => s.items.length), [0, 0, 0, 0, 0]);
+
+    await request('DELETE', `/api/opportunities/${iot}`);
+    await request('DELETE', `/api/opportunities/${dx}`);
+    await request('DELETE', `/api/opportunities/${initial.json.id}`);
+    await request('DELETE', `/api/opportunities/${imported.json.data.rows[1].id}`);
+});
+
+test('sales forecast: 進行中機會依預計結案月份分組，計算未加權 / 加權金額並標示逾期', async () => {
+    const { supabase } = getMemoryBackends();
+    const { systemReader, systemWriter } = app.get('services');
+    const salesToken = (await request('POST', '/api/auth/login', { username: 'sales', password: 'sales123' })).json.token;
+
+    // 下單機率「中」以值2 覆寫為 40%
+    const rows = await systemReader.getSystemConfigRaw();
+    const index = rows.findIndex(r => r[0] === '下單機率' && r[1] === '中');
+    const row = [...rows[index]];
+    while (row.length < 9) row.push('');
+    row[6] = '40%';
+    await systemWriter.writeSystemConfigRow(index + 1, row);
+    systemReader.invalidateCache('systemConfigRaw');
+
+    const pad = (n) => String(n).padStart(2, '0');
+    const day = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+    const now = new Date();
+    const today = day(now);
+    const nextMonth = day(new Date(now.getFullYear(), now.getMonth() + 1, 15));
+    const farAway = day(new Date(now.getFullYear(), now.getMonth() + 8, 15));
+    const tenDaysAgo = day(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 10));
+
+    const opp = (id, fields) => ({ opportunity_id: id, opportunity_name: `預測 ${id}`, current_stage: '02_需求確認', current_status: '進行中', ...fields });
+    await supabase.from('opportunities').insert([
+        opp('OPP_FC_A', { owner: '預測甲', sales_model: '預測模式', opportunity_type: 'IoT', opportunity_value: '1000000', win_probability: '高', expected_close_date: today }),
+        opp('OPP_FC_B', { owner: '預測乙', opportunity_type: 'DX', opportunity_value: '500,000', win_probability: '中', expected_close_date: nextMonth }),
+        opp('OPP_FC_C', { owner: '預測甲', opportunity_value: '200000', win_probability: '70%', expected_close_date: tenDaysAgo }),
+        opp('OPP_FC_D', { owner: '預測甲', opportunity_value: '300000', win_probability: '', expected_close_date: '' }),
+        opp('OPP_FC_G', { owner: '預測乙', opportunity_value: '100000', win_probability: '0.5', expected_close_date: farAway }),
+        opp('OPP_FC_WON', { owner: '預測甲', current_stage: '受注', opportunity_value: '900000', win_probability: '高', expected_close_date: today }),
+        opp('OPP_FC_LOST', { owner: '預測甲', current_status: '已取消', opportunity_value: '900000', win_probability: '高', expected_close_date: today })
+    ]);
+
+    assert.equal((await request('GET', '/api/sales-analysis/forecast?months=0', null, salesToken)).status, 400);
+    assert.equal((await request('GET', '/api/sales-analysis/forecast?months=abc', null, salesToken)).status, 400);
+
+    const res = await request('GET', '/api/sales-analysis/forecast?months=6', null, salesToken);
+    assert.equal(res.status, 200);
+    const data = res.json.data;
+    assert.equal(data.asOf, today);
+    assert.equal(data.months.length, 6);
+    assert.equal(data.months[0], today.slice(0, 7));
+    assert.equal(data.probabilityWeights['中'], 0.4);
+    assert.equal(data.probabilityWeights['高'], 0.8);
+    assert.ok(data.missingProbability >= 1);
+
+    // 受注與已取消不列入；今天到期不算逾期
+    const byOwner = Object.fromEntries(data.dimensions.assignee.map(r => [r.key, r]));
+    const a = byOwner['預測甲'];
+    assert.deepEqual([a.count, a.raw, a.weighted], [3, 1500000, 940000]);
+    assert.equal(a.buckets[today.slice(0, 7)].weighted, 800000);
+    assert.deepEqual([a.buckets.overdue.count, a.buckets.overdue.weighted], [1, 140000]);
+    assert.deepEqual([a.buckets.unscheduled.count, a.buckets.unscheduled.raw, a.buckets.unscheduled.weighted], [1, 300000, 0]);
+
+    const b = byOwner['預測乙'];
+    assert.deepEqual([b.count, b.raw, b.weighted], [2, 600000, 250000]);
+    assert.equal(b.buckets[nextMonth.slice(0, 7)].weighted, 200000);
+    assert.equal(b.buckets.later.raw, 100000);
+
+    assert.equal(data.dimensions.salesModel.find(r => r.key === '預測模式').weighted, 800000);
+    assert.ok(data.dimensions.opportunityType.some(r => r.key === 'DX' && r.weighted >= 200000));
+    assert.ok(data.byMonth.find(m => m.month === nextMonth.slice(0, 7)).weighted >= 200000);
+
+    const overdue = data.overdue.items.find(item => item.opportunityId === 'OPP_FC_C');
+    assert.deepEqual([overdue.expectedCloseDate, overdue.daysOverdue, overdue.weighted], [tenDaysAgo, 10, 140000]);
+    assert.ok(!data.overdue.items.some(item => item.opportunityId === 'OPP_FC_A'));
+});
+
+test('errors: 業務錯誤依 code 回 400，內部錯誤即使訊息以「無法刪除：」開頭仍回 500', async () => {
+    const { createBusinessError } = require('./utils/business-error');
+    const { companyService } = app.get('services');
+    const original = companyService.deleteCompany;
+    try {
+        companyService.deleteCompany = async () => { throw createBusinessError('無法刪除：尚有關聯機會案件'); };
+        const business = await request('DELETE', '/api/companies/COMP_0001');
+        assert.equal(business.status, 400);
+        assert.equal(business.json.error, '無法刪除：尚有關聯機會案件');
+
+        companyService.deleteCompany = async () => { throw new Error('無法刪除：連線逾時'); };
+        const internal = await request('DELETE', '/api/companies/COMP_0001');
+        assert.equal(internal.status, 500);
+        assert.notEqual(internal.json.error, '無法刪除：連線逾時');
+    } finally {
+        companyService.deleteCompany = original;
+    }
+
+    // 服務層的參數錯誤帶有 status
+    assert.equal((await request('GET', '/api/sales-analysis/forecast?months=99')).status, 400);
+});
+
+// ==================== Sheet → SQL 遷移 ====================
+
+test('migration: 系統設定 dry-run 逐筆差異、重複套用無變更、衝突列出不寫入', async () => {
+    const { supabase } = getMemoryBackends();
+    const config = require('./config');
+    const MigrationService = require('./services/migration-service');
+    const MigrationSqlWriter = require('./data/migration-sql-writer');
+    const { systemReader } = app.get('services');
+    const migrationSqlWriter = new MigrationSqlWriter();
+
+    const first = await new MigrationService({ config, migrationSqlWriter, systemReader }).planEntity('SYSTEM');
+    const [target] = first.targets;
+    assert.equal(target.table, 'system_config');
+    assert.equal(supabase.dump('system_config').length, 0);
+    const rawRows = (await systemReader.getSystemConfigRaw()).slice(1);
+    assert.equal(target.inserts.length, rawRows.length);
+    const stage = target.inserts.find(i => i.key === '機會階段::01_初步接觸::').row;
+    assert.deepEqual([stage.display_order, stage.enabled, stage.note], [1, true, '初步接觸']);
+
+    const applied = await new MigrationService({ config, migrationSqlWriter, systemReader }).applyPlan(first);
+    assert.deepEqual(applied.results, [{ table: 'system_config', written: rawRows.length, skipped: 0 }]);
+
+    // 第二次計畫沒有任何變更 (Idempotent)
+    const second = await new MigrationService({ config, migrationSqlWriter, systemReader }).planEntity('SYSTEM');
+    assert.deepEqual(
+        [second.targets[0].inserts.length, second.targets[0].updates.length, second.targets[0].conflicts.length, second.targets[0].unchanged],
+        [0, 0, 0, rawRows.length]
+    );
+
+    // Sheet 端修改 → 逐欄差異；同一主鍵出現兩次 → 衝突，不寫入
+    const header = ['設定類型', '設定項目', '顯示順序', '啟用狀態', '備註', '顏色', '值2', '值3', '分類'];
+    const edited = rawRows.map(row => (row[0] === '互動類型' && row[1] === '電話' ? [...row.slice(0, 4), '電話聯繫', ...row.slice(5)] : row));
+    const gate = ['階段關卡', '03_提案報價', '3', 'TRUE', '', '', 'IoT', '{"fields":[],"checks":[]}', ''];
+    const stubReader = {
+        getSystemConfigRaw: async () => [header, ...edited, gate, [...gate.slice(0, 6), 'DX', ...gate.slice(7)], gate]
+    };
+    const service = new MigrationService({ config, migrationSqlWriter, systemReader: stubReader });
+    const plan = await service.planEntity('SYSTEM');
+    const diff = plan.targets[0];
+    assert.equal(diff.updates.length, 1);
+    assert.equal(diff.updates[0].key, '互動類型::電話::');
+    assert.deepEqual(diff.updates[0].changes, [{ field: 'note', from: '電話', to: '電話聯繫' }]);
+    // 階段關卡依機會種類區分，不同種類不算重複
+    assert.deepEqual(diff.inserts.map(i => i.key).sort(), ['階段關卡::03_提案報價::DX', '階段關卡::03_提案報價::IoT']);
+    assert.deepEqual(diff.conflicts.map(c => [c.key, c.reason]), [['階段關卡::03_提案報價::IoT', 'Sheet 內主鍵重複']]);
+
+    const result = await service.applyPlan(plan);
+    assert.deepEqual(result.results, [{ table: 'system_config', written: 3, skipped: 1 }]);
+    const stored = supabase.dump('system_config');
+    assert.equal(stored.find(r => r.config_type === '互動類型' && r.config_item === '電話').note, '電話聯繫');
+    const gateScopes = stored.filter(r => r.config_type === '階段關卡' && r.config_item === '03_提案報價').map(r => r.scope);
+    assert.ok(['IoT', 'DX'].every(scope => gateScopes.includes(scope)));
+
+    const settled = await service.planEntity('SYSTEM');
+    assert.deepEqual(
+        [settled.targets[0].inserts.length, settled.targets[0].updates.length, settled.targets[0].conflicts.length],
+        [0, 0, 1]
+    );
+});
+
+test('migration: SQL 端較新的資料列為衝突，未加 force 不覆寫', async () => {
+    const { supabase } = getMemoryBackends();
+    const config = require('./config');
+    const MigrationService = require('./services/migration-service');
+    const MigrationSqlWriter = require('./data/migration-sql-writer');
+
+    const entry = {
+        recordId: 'WK_MIGRATION_TEST', '日期': '2026-10-05', weekId: '2026-W41', category: 'IoT',
+        '主題': 'Sheet 主題', '參與人員': 'admin', '重點摘要': '', '待辦事項': '',
+        createdTime: '2026-10-05T01:00:00.000Z', lastUpdateTime: '2026-10-05T01:00:00.000Z', '建立者': 'admin'
+    };
+    const service = new MigrationService({
+        config,
+        migrationSqlWriter: new MigrationSqlWriter(),
+        weeklyBusinessReader: { getAllEntries: async () => [entry] }
+    });
+
+    try {
+        await service.applyPlan(await service.planEntity('WEEKLY'));
+        await supabase.from('weekly_business_entries')
+            .update({ topic: '新系統修改', updated_time: '2026-10-06T01:00:00.000Z' })
+            .eq('record_id', 'WK_MIGRATION_TEST');
+
+        const plan = await service.planEntity('WEEKLY');
+        const [conflict] = plan.targets[0].conflicts;
+        assert.equal(conflict.reason, 'SQL 資料較新 (已於新系統修改)');
+        assert.deepEqual(conflict.changes.find(c => c.field === 'topic'), { field: 'topic', from: '新系統修改', to: 'Sheet 主題' });
+
+        const result = await service.applyPlan(plan);
+        assert.deepEqual(result.results, [{ table: 'weekly_business_entries', written: 0, skipped: 1 }]);
+        const row = supabase.dump('weekly_business_entries').find(r => r.record_id === 'WK_MIGRATION_TEST');
+        assert.equal(row.topic, '新系統修改');
+
+        await service.applyPlan(plan, { force: true });
+        assert.equal(supabase.dump('weekly_business_entries').find(r => r.record_id === 'WK_MIGRATION_TEST').topic, 'Sheet 主題');
+    } finally {
+        await supabase.from('weekly_business_entries').delete().eq('record_id', 'WK_MIGRATION_TEST');
+    }
+});
+
+// ==================== 記憶體 Supabase 行為 ====================
+
+test('memory supabase: single() 查無資料回傳 PGRST116', async () => {
+    const { supabase } = getMemoryBackends();
+    const { data, error } = await supabase.from('opportunities').select('*').eq('opportunity_id', 'NOPE').single();
+    assert.equal(data, null);
+    assert.equal(error.code, 'PGRST116');
+});
+
+test('memory supabase: 主鍵重複時 insert 回傳 23505', async () => {
+    const { supabase } = getMemoryBackends();
+    const { error } = await supabase.from('companies').insert([{ company_id: 'COMP_0001', company_name: 'dup' }]);
+    assert.equal(error.code, '23505');
+});
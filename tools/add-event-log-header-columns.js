@@ -0,0 +1,70 @@
+// add-event-log-header-columns.js - 為既有事件工作表補上「事件類型」「詳細資料」標題欄
+//
+// 用法：
+//   node tools/add-event-log-header-columns.js           # Dry-run (只列出將補上的標題)
+//   node tools/add-event-log-header-columns.js --apply   # 實際寫入標題列 (可重複執行)
+//
+// 事件範本 (管理員新增的類型與範本欄位值) 存放在各事件工作表最後兩欄，讀寫依欄位位置對應；
+// 升級前建立的工作表沒有這兩個標題，請在部署後執行一次。預定位置已有其他標題時不覆寫，需人工確認。
+
+require('dotenv').config();
+
+const config = require('../config');
+const GoogleClientService = require('../services/google-client-service');
+const MemoryClientService = require('../services/memory-client-service');
+const EventSheetHeaderMigrationService = require('../services/event-sheet-header-migration-service');
+const EventLogReader = require('../data/event-log-reader');
+const EventLogWriter = require('../data/event-log-writer');
+
+function columnLetter(index) {
+    return String.fromCharCode(65 + index);
+}
+
+function printPlan(plan) {
+    console.log('');
+    plan.sheets.forEach(sheet => {
+        console.log(`📋 ${sheet.sheetName}: 將補上 ${sheet.additions.length} 欄 / 已存在 ${sheet.present} 欄 / 衝突 ${sheet.conflicts.length} 欄`);
+        sheet.additions.forEach(item => {
+            console.log(`  + ${columnLetter(item.index)}1 → ${item.header}`);
+        });
+        sheet.conflicts.forEach(item => {
+            console.log(`  ! ${columnLetter(item.index)}1 目前為「${item.actual}」，預期「${item.expected}」(不覆寫)`);
+        });
+    });
+}
+
+async function main() {
+    const apply = process.argv.includes('--apply');
+    console.log('🗂️ 事件工作表標題補欄');
+    console.log(`   模式: ${apply ? 'APPLY' : 'DRY-RUN'}`);
+
+    const googleClientService = config.BACKEND_MODE === 'MEMORY'
+        ? new MemoryClientService()
+        : new GoogleClientService();
+    const sheets = await googleClientService.getSheetsClient();
+    const eventLogReader = new EventLogReader(sheets, config.IDS.CORE);
+
+    const service = new EventSheetHeaderMigrationService({
+        eventLogWriter: new EventLogWriter(sheets, config.IDS.CORE, eventLogReader),
+        config
+    });
+
+    const plan = await service.plan();
+    printPlan(plan);
+
+    if (apply) {
+        const result = await service.apply(plan);
+        console.log(`\n✅ 已補上 ${result.added} 欄`);
+        if (result.conflicts > 0) {
+            console.log(`⚠️ ${result.conflicts} 欄與預期標題不一致，請手動確認欄位順序`);
+        }
+    } else {
+        console.log('\nℹ️ 目前為 Dry-run，未寫入任何資料。確認無誤後請加上 --apply 執行。');
+    }
+}
+
+main().catch(error => {
+    console.error('❌ 補欄失敗:', error.message);
+    if (error.stack) console.error(error.stack);
+    process.exit(1);
+});
@@ -0,0 +1,57 @@
+// backfill-raw-contact-ids.js - 為缺少原始ID 的名片 (RAW 潛在客戶) 回填 ID
+//
+// 用法：
+//   node tools/backfill-raw-contact-ids.js           # Dry-run (只列出將回填的名片)
+//   node tools/backfill-raw-contact-ids.js --apply   # 實際寫入原始ID 欄 (可重複執行)
+//
+// 系統讀取名片時不會寫入 Sheet；外部來源 (LINE Bot 等) 新增的列若未帶 ID，
+// 在回填前無法以 /api/contacts/potential/:originalId 升級或建檔，可排程定期執行本工具。
+
+require('dotenv').config();
+
+const config = require('../config');
+const GoogleClientService = require('../services/google-client-service');
+const MemoryClientService = require('../services/memory-client-service');
+const RawContactIdMigrationService = require('../services/raw-contact-id-migration-service');
+const ContactReader = require('../data/contact-reader');
+const ContactWriter = require('../data/contact-writer');
+
+function printPlan(plan) {
+    console.log(`\n📋 將回填 ${plan.assignments.length} 筆 / 已有 ID ${plan.alreadyAssigned} 筆`);
+    plan.assignments.forEach(item => {
+        console.log(`  + Row ${item.rowIndex} → ${item.originalId} 「${item.name || '(無姓名)'}」 ${item.company || ''}`.trimEnd());
+    });
+}
+
+async function main() {
+    const apply = process.argv.includes('--apply');
+    console.log('🪪 名片原始ID 回填');
+    console.log(`   模式: ${apply ? 'APPLY' : 'DRY-RUN'}`);
+
+    const googleClientService = config.BACKEND_MODE === 'MEMORY'
+        ? new MemoryClientService()
+        : new GoogleClientService();
+    const sheets = await googleClientService.getSheetsClient();
+    const contactRawReader = new ContactReader(sheets, config.IDS.RAW);
+
+    const service = new RawContactIdMigrationService({
+        contactRawReader,
+        contactWriter: new ContactWriter(sheets, config.IDS.RAW, contactRawReader)
+    });
+
+    const plan = await service.plan();
+    printPlan(plan);
+
+    if (apply) {
+        const result = await service.apply(plan);
+        console.log(`\n✅ 已回填 ${result.assigned} 筆`);
+    } else {
+        console.log('\nℹ️ 目前為 Dry-run，未寫入任何資料。確認無誤後請加上 --apply 執行。');
+    }
+}
+
+main().catch(error => {
+    console.error('❌ 回填失敗:', error.message);
+    if (error.stack) console.error(error.stack);
+    process.exit(1);
+});
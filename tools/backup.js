@@ -0,0 +1,145 @@
+// backup.js - 全系統時間點快照 (備份) 與還原
+//
+// 用法：
+//   node tools/backup.js create                                  # 立即建立快照
+//   node tools/backup.js list                                    # 列出快照 (新到舊)
+//   node tools/backup.js show <快照編號>                          # 快照內各實體的資料列數
+//   node tools/backup.js restore <快照編號>                       # 全部實體還原 (需輸入快照編號確認)
+//   node tools/backup.js restore <快照編號> --entity=company,contact
+//   node tools/backup.js restore <快照編號> --yes                 # 跳過互動確認 (排程 / 腳本用)
+//
+// 快照目錄：config.BACKUP.DIR (BACKUP_DIR)。還原前會自動建立一份 pre-restore 快照，
+// 還原後若發現錯誤，可再以該快照編號還原回來。
+// 伺服器設定 BACKUP_INTERVAL_HOURS 時會自動定期快照，不需另外排程本工具。
+
+require('dotenv').config();
+
+const readline = require('readline');
+
+const config = require('../config');
+const GoogleClientService = require('../services/google-client-service');
+const MemoryClientService = require('../services/memory-client-service');
+const BackupService = require('../services/backup-service');
+const MigrationSqlWriter = require('../data/migration-sql-writer');
+const AuditSqlWriter = require('../data/audit-sql-writer');
+const BackupSqlWriter = require('../data/backup-sql-writer');
+const BackupSheetWriter = require('../data/backup-sheet-writer');
+const BackupStore = require('../data/backup-store');
+
+function getOption(name) {
+    const prefix = `--${name}=`;
+    const arg = process.argv.find(a => a.startsWith(prefix));
+    return arg ? arg.slice(prefix.length) : null;
+}
+
+function printSummary(summary) {
+    console.log(`\n📦 快照 ${summary.id} (${summary.createdAt}, ${summary.trigger}, ${summary.actor})`);
+    summary.entities.forEach(entity => {
+        const parts = [
+            ...entity.tables.map(t => `${t.table}=${t.rows}`),
+            ...entity.sheets.map(s => `${s.spreadsheet}/${s.sheet}=${s.rows}`)
+        ];
+        console.log(`  - [${entity.key}] ${entity.label}: ${parts.join(', ') || '(無資料來源)'}`);
+    });
+}
+
+function ask(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => {
+        // 輸入結束 (非互動環境) 視為未確認
+        rl.on('close', () => resolve(''));
+        rl.question(question, answer => {
+            resolve(answer.trim());
+            rl.close();
+        });
+    });
+}
+
+async function createService() {
+    const googleClientService = config.BACKEND_MODE === 'MEMORY'
+        ? new MemoryClientService()
+        : new GoogleClientService();
+    const sheets = await googleClientService.getSheetsClient();
+
+    return new BackupService({
+        migrationSqlWriter: new MigrationSqlWriter(),
+        backupSqlWriter: new BackupSqlWriter(),
+        backupSheetWriter: new BackupSheetWriter(sheets),
+        backupStore: new BackupStore(config.BACKUP.DIR),
+        auditSqlWriter: new AuditSqlWriter(),
+        config
+    });
+}
+
+async function main() {
+    const [command, snapshotId] = process.argv.slice(2).filter(a => !a.startsWith('--'));
+    console.log('💾 CRM 備份 / 還原');
+    console.log(`   模式: ${config.BACKEND_MODE} | 目錄: ${config.BACKUP.DIR}`);
+
+    const service = await createService();
+
+    switch (command) {
+        case 'create': {
+            const result = await service.createSnapshot({ trigger: 'manual', actor: 'backup-tool' });
+            printSummary(result);
+            console.log(`\n✅ 已寫入 ${result.file} (${result.size} bytes)`);
+            if (result.pruned.length > 0) console.log(`🧹 已清除舊快照: ${result.pruned.join(', ')}`);
+            return;
+        }
+
+        case 'list': {
+            const snapshots = await service.listSnapshots();
+            if (snapshots.length === 0) console.log('\n(尚無快照)');
+            snapshots.forEach(s => console.log(`  ${s.id}  ${s.size} bytes`));
+            return;
+        }
+
+        case 'show': {
+            if (!snapshotId) throw new Error('請指定快照編號');
+            const summary = await service.describeSnapshot(snapshotId);
+            if (!summary) throw new Error(`找不到快照 ${snapshotId}`);
+            printSummary(summary);
+            return;
+        }
+
+        case 'restore': {
+            if (!snapshotId) throw new Error('請指定快照編號');
+            const summary = await service.describeSnapshot(snapshotId);
+            if (!summary) throw new Error(`找不到快照 ${snapshotId}`);
+
+            const entityOption = getOption('entity');
+            const entities = entityOption ? entityOption.split(',').map(s => s.trim()).filter(Boolean) : null;
+            printSummary(summary);
+            console.log(`\n⚠️ 即將以此快照覆寫: ${entities ? entities.join(', ') : '全部實體'}`);
+            console.log('   快照之後新增 / 修改的資料將被移除 (稽核紀錄除外)，還原前會先自動建立一份快照。');
+
+            const confirm = process.argv.includes('--yes')
+                ? snapshotId
+                : await ask(`請輸入快照編號 ${snapshotId} 以確認還原: `);
+            if (confirm !== snapshotId) {
+                console.log('ℹ️ 確認不符，未寫入任何資料。');
+                return;
+            }
+
+            const result = await service.restore(snapshotId, { confirm, entities, actor: 'backup-tool' });
+            result.entities.forEach(entity => {
+                const parts = [
+                    ...entity.tables.map(t => `${t.table} 還原 ${t.restored} / 刪除 ${t.deleted}`),
+                    ...entity.sheets.map(s => `${s.spreadsheet}/${s.sheet} ${s.rows} 列`)
+                ];
+                console.log(`  ✓ [${entity.key}] ${parts.join(', ') || '(無資料來源)'}`);
+            });
+            console.log(`\n✅ 還原完成。還原前快照: ${result.safetySnapshotId}`);
+            return;
+        }
+
+        default:
+            throw new Error('用法: node tools/backup.js <create|list|show|restore> [快照編號] [--entity=a,b] [--yes]');
+    }
+}
+
+main().catch(error => {
+    console.error('❌ 備份工具失敗:', error.message);
+    if (error.stack) console.error(error.stack);
+    process.exit(1);
+});
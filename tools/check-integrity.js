@@ -0,0 +1,66 @@
+// check-integrity.js - 資料完整性檢查 (與 GET /api/admin/integrity 相同的檢查項目)
+//
+// 用法：
+//   node tools/check-integrity.js                     # 只產生報告
+//   node tools/check-integrity.js --repair <checkId>  # 執行單一類別的安全修復
+//   node tools/check-integrity.js --repair all        # 執行所有可修復類別
+//
+// 本工具只讀取 SQL；Sheet 公司總表中沒有 companyId 的列請由管理員 API (/api/admin/integrity) 檢查。
+
+require('dotenv').config();
+
+const IntegrityService = require('../services/integrity-service');
+const MigrationSqlWriter = require('../data/migration-sql-writer');
+const IntegritySqlWriter = require('../data/integrity-sql-writer');
+const AuditSqlWriter = require('../data/audit-sql-writer');
+
+function printReport(report) {
+    console.log(`\n📋 共 ${report.totalViolations} 筆違規 (${report.generatedAt})`);
+
+    report.checks.forEach(check => {
+        const mark = check.count === 0 ? '✓' : (check.repairableCount > 0 ? '!' : '?');
+        const repair = check.repairableCount > 0 ? ` — 可修復 ${check.repairableCount} 筆 (${check.repairLabel})` : '';
+        console.log(`  ${mark} [${check.id}] ${check.label}: ${check.count}${repair}`);
+        check.examples.slice(0, 5).forEach(example => {
+            console.log(`      - ${example.id || '(無 ID)'} ${example.title || ''}`.trimEnd());
+        });
+    });
+}
+
+async function main() {
+    const repairIndex = process.argv.indexOf('--repair');
+    const target = repairIndex !== -1 ? process.argv[repairIndex + 1] : null;
+    console.log('🩺 資料完整性檢查');
+    console.log(`   模式: ${target ? `REPAIR (${target})` : 'REPORT'}`);
+
+    const service = new IntegrityService({
+        migrationSqlWriter: new MigrationSqlWriter(),
+        integritySqlWriter: new IntegritySqlWriter(new AuditSqlWriter())
+    });
+
+    const report = await service.scan();
+    printReport(report);
+
+    if (!target) {
+        console.log('\nℹ️ 未寫入任何資料。需要修復時請加上 --repair <checkId|all>。');
+        return;
+    }
+
+    const checkIds = target === 'all'
+        ? report.checks.filter(check => check.repairableCount > 0).map(check => check.id)
+        : [target];
+
+    for (const checkId of checkIds) {
+        const result = await service.repair(checkId, 'integrity-tool');
+        if (!result) throw new Error(`找不到檢查項目 ${checkId}`);
+        console.log(`\n✅ [${checkId}] 已修復 ${result.repaired} / 發現 ${result.found} / 略過 ${result.skipped}`);
+        result.failed.forEach(f => console.log(`  ✖ ${f.id}: ${f.error}`));
+        if (result.failed.length > 0) process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error('❌ 檢查失敗:', error.message);
+    if (error.stack) console.error(error.stack);
+    process.exit(1);
+});
@@ -0,0 +1,63 @@
+// link-opportunity-companies.js - 將機會的終端客戶名稱 (customer_company) 回填為公司 ID (company_id)
+//
+// 用法：
+//   node tools/link-opportunity-companies.js           # Dry-run (只列出將連結 / 同名待處理 / 找不到的機會)
+//   node tools/link-opportunity-companies.js --apply   # 實際寫入 company_id (可重複執行)
+//
+// 事前準備 (Supabase)：
+//   alter table opportunities add column if not exists company_id text references companies (company_id);
+//   create index if not exists opportunities_company_id_idx on opportunities (company_id) where deleted_at is null;
+//
+// 同名 (ambiguous) 與找不到 (unresolved) 的機會不會寫入，請於機會編輯頁重新選擇終端客戶後再執行一次。
+
+require('dotenv').config();
+
+const CompanyLinkMigrationService = require('../services/company-link-migration-service');
+const MigrationSqlWriter = require('../data/migration-sql-writer');
+const OpportunitySqlWriter = require('../data/opportunity-sql-writer');
+const AuditSqlWriter = require('../data/audit-sql-writer');
+
+function printPlan(plan) {
+    console.log(`\n📋 將連結 ${plan.links.length} / 同名待處理 ${plan.ambiguous.length} / 找不到 ${plan.unresolved.length} / 已連結 ${plan.alreadyLinked} / 無終端客戶 ${plan.noCustomer}`);
+
+    plan.links.forEach(item => {
+        const note = item.match === 'loose' ? ' (寬鬆比對)' : '';
+        console.log(`  + [LINK]       ${item.opportunityId} 「${item.customerCompany}」 → ${item.companyId} 「${item.companyName}」${note}`);
+    });
+    plan.ambiguous.forEach(item => {
+        const names = item.candidates.map(c => `${c.companyId} 「${c.companyName}」`).join(', ');
+        console.log(`  ! [AMBIGUOUS]  ${item.opportunityId} 「${item.customerCompany}」 候選: ${names}`);
+    });
+    plan.unresolved.forEach(item => {
+        console.log(`  ? [UNRESOLVED] ${item.opportunityId} 「${item.customerCompany}」`);
+    });
+}
+
+async function main() {
+    const apply = process.argv.includes('--apply');
+    console.log('🔗 機會 → 公司 ID 關聯遷移');
+    console.log(`   模式: ${apply ? 'APPLY' : 'DRY-RUN'}`);
+
+    const service = new CompanyLinkMigrationService({
+        migrationSqlWriter: new MigrationSqlWriter(),
+        opportunitySqlWriter: new OpportunitySqlWriter(new AuditSqlWriter())
+    });
+
+    const plan = await service.plan();
+    printPlan(plan);
+
+    if (apply) {
+        const result = await service.apply(plan);
+        console.log(`\n✅ 已連結 ${result.linked} 筆`);
+        result.failed.forEach(f => console.log(`  ✖ ${f.opportunityId}: ${f.error}`));
+        if (result.failed.length > 0) process.exitCode = 1;
+    } else {
+        console.log('\nℹ️ 目前為 Dry-run，未寫入任何資料。確認無誤後請加上 --apply 執行。');
+    }
+}
+
+main().catch(error => {
+    console.error('❌ 遷移失敗:', error.message);
+    if (error.stack) console.error(error.stack);
+    process.exit(1);
+});
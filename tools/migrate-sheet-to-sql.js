@@ -0,0 +1,127 @@
+// migrate-sheet-to-sql.js - 將 Google Sheet 資料遷移至 Supabase (SQL)
+//
+// 用法：
+//   node tools/migrate-sheet-to-sql.js                          # 全部實體，Dry-run (只列出差異)
+//   node tools/migrate-sheet-to-sql.js --entity=OPPORTUNITY     # 指定實體 (可用逗號分隔多個)
+//   node tools/migrate-sheet-to-sql.js --entity=WEEKLY --apply  # 實際寫入 (upsert，可重複執行)
+//   node tools/migrate-sheet-to-sql.js --apply --force          # 連同「SQL 較新」的衝突一併以 Sheet 覆寫
+//
+// 建議流程：先 Dry-run 確認差異 → --apply → 再 Dry-run 一次確認全為 unchanged → 切換 config.DATA_SOURCES
+
+require('dotenv').config();
+
+const config = require('../config');
+const GoogleClientService = require('../services/google-client-service');
+const MemoryClientService = require('../services/memory-client-service');
+const MigrationService = require('../services/migration-service');
+const MigrationSqlWriter = require('../data/migration-sql-writer');
+
+const ContactReader = require('../data/contact-reader');
+const CompanyReader = require('../data/company-reader');
+const OpportunityReader = require('../data/opportunity-reader');
+const InteractionReader = require('../data/interaction-reader');
+const EventLogReader = require('../data/event-log-reader');
+const WeeklyBusinessReader = require('../data/weekly-business-reader');
+const AnnouncementReader = require('../data/announcement-reader');
+const ProductReader = require('../data/product-reader');
+const SystemReader = require('../data/system-reader');
+
+// ==================== 參數解析 ====================
+
+function parseArgs(argv) {
+    const args = { entities: null, apply: false, force: false };
+    argv.forEach(arg => {
+        if (arg === '--apply') args.apply = true;
+        else if (arg === '--force') args.force = true;
+        else if (arg.startsWith('--entity=')) {
+            args.entities = arg.slice('--entity='.length).split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+        }
+    });
+    return args;
+}
+
+// ==================== 輸出格式 ====================
+
+function formatValue(value) {
+    if (value === undefined || value === null || value === '') return '∅';
+    const str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return str.length > 60 ? `${str.slice(0, 57)}...` : str;
+}
+
+function printPlan(plan) {
+    console.log(`\n==================== ${plan.entity} (${plan.label}) ====================`);
+
+    plan.targets.forEach(target => {
+        console.log(`\n📋 ${target.table}: 新增 ${target.inserts.length} / 更新 ${target.updates.length} / 衝突 ${target.conflicts.length} / 不變 ${target.unchanged}`);
+
+        target.inserts.forEach(item => {
+            console.log(`  + [INSERT]   ${item.key}`);
+        });
+
+        target.updates.forEach(item => {
+            console.log(`  ~ [UPDATE]   ${item.key}`);
+            item.changes.forEach(c => {
+                console.log(`      ${c.field}: ${formatValue(c.from)} → ${formatValue(c.to)}`);
+            });
+        });
+
+        target.conflicts.forEach(item => {
+            console.log(`  ! [CONFLICT] ${item.key || '(無主鍵)'} - ${item.reason}`);
+            (item.changes || []).forEach(c => {
+                console.log(`      ${c.field}: SQL=${formatValue(c.from)} / Sheet=${formatValue(c.to)}`);
+            });
+        });
+    });
+}
+
+// ==================== 主要邏輯 ====================
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    console.log('🚚 Sheet → SQL 資料遷移');
+    console.log(`   模式: ${args.apply ? (args.force ? 'APPLY (FORCE)' : 'APPLY') : 'DRY-RUN'}`);
+
+    const googleClientService = config.BACKEND_MODE === 'MEMORY'
+        ? new MemoryClientService()
+        : new GoogleClientService();
+    const sheets = await googleClientService.getSheetsClient();
+
+    const migrationService = new MigrationService({
+        config,
+        migrationSqlWriter: new MigrationSqlWriter(),
+        contactReader: new ContactReader(sheets, config.IDS.CORE),
+        companyReader: new CompanyReader(sheets, config.IDS.CORE),
+        opportunityReader: new OpportunityReader(sheets, config.IDS.CORE),
+        interactionReader: new InteractionReader(sheets, config.IDS.CORE),
+        eventLogReader: new EventLogReader(sheets, config.IDS.CORE),
+        weeklyBusinessReader: new WeeklyBusinessReader(sheets, config.IDS.CORE),
+        announcementReader: new AnnouncementReader(sheets, config.IDS.CORE),
+        productReader: new ProductReader(sheets, config.IDS.PRODUCT),
+        systemReader: new SystemReader(sheets, config.IDS.SYSTEM)
+    });
+
+    const entities = args.entities || migrationService.getSupportedEntities();
+
+    for (const entity of entities) {
+        const plan = await migrationService.planEntity(entity);
+        printPlan(plan);
+
+        if (args.apply) {
+            const result = await migrationService.applyPlan(plan, { force: args.force });
+            result.results.forEach(r => {
+                console.log(`✅ ${r.table}: 已寫入 ${r.written} 筆，略過衝突 ${r.skipped} 筆`);
+            });
+        }
+    }
+
+    if (!args.apply) {
+        console.log('\nℹ️ 目前為 Dry-run，未寫入任何資料。確認無誤後請加上 --apply 執行。');
+    }
+}
+
+main().catch(error => {
+    console.error('❌ 遷移失敗:', error.message);
+    if (error.stack) console.error(error.stack);
+    process.exit(1);
+});
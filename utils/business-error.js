@@ -0,0 +1,36 @@
+/**
+ * utils/business-error.js
+ * 業務邏輯錯誤工具函式庫
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description 可直接顯示給使用者的錯誤 (參數不符、關聯資料阻擋刪除…)。
+ * - 以 code = BUSINESS_ERROR 標記，middleware/error.middleware.js 依 status (預設 400) 回應；
+ *   不再以訊息開頭 (「無法刪除：」等) 判斷，避免內部錯誤的訊息剛好相同而被當成 400。
+ * - 訊息仍維持「無法…：」開頭的慣例，前端直接顯示。
+ */
+
+const BUSINESS_ERROR = 'BUSINESS_ERROR';
+
+const businessError = {
+    BUSINESS_ERROR,
+
+    /**
+     * @param {string} message - 顯示給使用者的訊息
+     * @param {number} [status=400] - HTTP 狀態碼 (4xx)
+     * @returns {Error} code = BUSINESS_ERROR
+     */
+    createBusinessError: (message, status = 400) => {
+        const error = new Error(message);
+        error.code = BUSINESS_ERROR;
+        error.status = status;
+        return error;
+    },
+
+    /**
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    isBusinessError: (error) => !!error && error.code === BUSINESS_ERROR
+};
+
+module.exports = businessError;
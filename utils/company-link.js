@@ -0,0 +1,105 @@
+/**
+ * utils/company-link.js
+ * 公司名稱 -> companyId 解析工具函式庫
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description 公司一律以 companyId 定位；名稱只用於「尚未連結 ID 的舊資料」與舊版網址。
+ * - 執行期 (建立 / 更新機會、舊版網址) 只接受「完整名稱」且唯一的比對 (忽略前後空白與大小寫)。
+ * - 去除「股份有限公司 / 有限公司 / 括號」的寬鬆比對只供一次性遷移使用 (tools/link-opportunity-companies.js)，
+ *   且同樣必須唯一；兩家不同法人寬鬆後同名時列為 ambiguous，交由人工處理。
+ */
+
+const AMBIGUOUS_COMPANY = 'AMBIGUOUS_COMPANY';
+
+const companyLink = {
+    AMBIGUOUS_COMPANY,
+
+    /**
+     * 完整名稱比對鍵
+     * @param {string} name
+     * @returns {string}
+     */
+    nameKey: (name) => (name ? String(name).trim().toLowerCase() : ''),
+
+    /**
+     * 寬鬆比對鍵 (與舊版 _normalizeCompanyName 相同，僅供遷移)
+     * @param {string} name
+     * @returns {string}
+     */
+    looseKey: (name) => {
+        if (!name) return '';
+        return String(name).toLowerCase().trim()
+            .replace(/股份有限公司|有限公司|公司/g, '')
+            .replace(/\(.*\)/g, '')
+            .trim();
+    },
+
+    /**
+     * 依完整名稱找出所有符合的公司
+     * @param {Array<Object>} companies - 公司 DTO (companyId / companyName)
+     * @param {string} name
+     * @returns {Array<Object>}
+     */
+    findByName: (companies, name) => {
+        const key = companyLink.nameKey(name);
+        if (!key) return [];
+        return (companies || []).filter(c => companyLink.nameKey(c.companyName) === key);
+    },
+
+    /**
+     * 將名稱解析為 companyId
+     * @param {Array<Object>} companies
+     * @param {string} name
+     * @param {Object} [options]
+     * @param {boolean} [options.loose=false] - 完整名稱找不到時改用寬鬆比對 (僅供遷移)
+     * @returns {Object} { companyId, match: 'exact' | 'loose' | 'ambiguous' | 'unresolved', candidates }
+     */
+    resolve: (companies, name, { loose = false } = {}) => {
+        const exact = companyLink.findByName(companies, name);
+        if (exact.length === 1) return { companyId: exact[0].companyId, match: 'exact', candidates: exact };
+        if (exact.length > 1) return { companyId: null, match: 'ambiguous', candidates: exact };
+
+        if (loose) {
+            const key = companyLink.looseKey(name);
+            const similar = key ? (companies || []).filter(c => companyLink.looseKey(c.companyName) === key) : [];
+            if (similar.length === 1) return { companyId: similar[0].companyId, match: 'loose', candidates: similar };
+            if (similar.length > 1) return { companyId: null, match: 'ambiguous', candidates: similar };
+        }
+
+        return { companyId: null, match: 'unresolved', candidates: [] };
+    },
+
+    /**
+     * 機會是否屬於指定公司：已連結 ID 時只看 companyId；未連結的舊資料才以完整名稱比對
+     * @param {Object} opportunity - 機會 DTO (companyId / customerCompany)
+     * @param {Object} company - 公司 DTO
+     * @returns {boolean}
+     */
+    isLinked: (opportunity, company) => {
+        if (!opportunity || !company) return false;
+        if (opportunity.companyId) return opportunity.companyId === company.companyId;
+        const key = companyLink.nameKey(opportunity.customerCompany);
+        return !!key && key === companyLink.nameKey(company.companyName);
+    },
+
+    /**
+     * 同名公司不只一家時的錯誤 (舊版網址以名稱定位時)
+     * @param {string} name
+     * @param {Array<Object>} candidates
+     * @returns {Error}
+     */
+    createAmbiguousError: (name, candidates) => {
+        const error = new Error(`有 ${candidates.length} 家公司名稱為「${name}」，請改以 companyId 查詢`);
+        error.code = AMBIGUOUS_COMPANY;
+        error.candidates = candidates.map(c => ({ companyId: c.companyId, companyName: c.companyName }));
+        return error;
+    },
+
+    /**
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    isAmbiguous: (error) => !!error && error.code === AMBIGUOUS_COMPANY
+};
+
+module.exports = companyLink;
@@ -0,0 +1,221 @@
+/**
+ * utils/company-similarity.js
+ * 疑似重複公司的比對與計分工具函式庫
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description 每一對公司依五項訊號計分 (0 ~ 1)，總分只以「雙方都有資料」的訊號加權平均 (名稱必計)：
+ * - 名稱：寬鬆名稱 (去除股份有限公司 / 有限公司 / 括號，「臺」視為「台」) 相同 1；一方包含另一方 0.85；
+ *   簡稱 (較短名稱的每個字依序出現在較長名稱中且首字相同，例如「台積電」與「台灣積體電路製造」) 0.7；其餘為二元組 Dice 係數。
+ * - 電話：分機 (#) 之前的數字末 8 碼相同 (忽略區碼寫法)。
+ * - 地址：去除空白與標點後相同 1；一方包含另一方 0.8。
+ * - 縣市：相同 1；不同 0，會拉低總分。
+ * - 共同聯絡人：兩家公司下有 Email、手機或姓名相同的聯絡人，一位 0.8，兩位以上 1。
+ * 只比對至少共用一個分組鍵 (名稱首字、電話、地址、聯絡人) 的公司對，避免全表兩兩比對。
+ */
+
+const companyLink = require('./company-link');
+const { fold } = require('./search-text');
+
+const WEIGHTS = {
+    name: 0.4,
+    phone: 0.2,
+    address: 0.15,
+    county: 0.05,
+    contacts: 0.2
+};
+
+const PUNCTUATION = /[\s\-_,.;:'"`~!?()[\]{}<>\\/|，。、；：！？「」『』（）《》【】〈〉…—～·]+/g;
+
+function digits(value) {
+    return value ? String(value).split('#')[0].replace(/\D/g, '') : '';
+}
+
+function bigrams(text) {
+    if (text.length < 2) return [text];
+    const grams = [];
+    for (let i = 0; i < text.length - 1; i++) grams.push(text.slice(i, i + 2));
+    return grams;
+}
+
+function dice(a, b) {
+    const gramsA = bigrams(a);
+    const pool = bigrams(b);
+    let shared = 0;
+    gramsA.forEach(gram => {
+        const index = pool.indexOf(gram);
+        if (index >= 0) {
+            shared++;
+            pool.splice(index, 1);
+        }
+    });
+    return (2 * shared) / (gramsA.length + bigrams(b).length);
+}
+
+function isAbbreviation(short, long) {
+    if (short.length < 2 || short[0] !== long[0]) return false;
+    let position = 0;
+    for (const ch of short) {
+        position = long.indexOf(ch, position);
+        if (position < 0) return false;
+        position++;
+    }
+    return true;
+}
+
+const companySimilarity = {
+    WEIGHTS,
+
+    /**
+     * 名稱比對鍵 (寬鬆名稱 + 全半形 / 臺台 / 標點正規化)
+     * @param {string} name
+     * @returns {string}
+     */
+    nameKey: (name) => fold(companyLink.looseKey(name)).replace(/臺/g, '台').replace(PUNCTUATION, ''),
+
+    /**
+     * @param {string} phone
+     * @returns {string} 末 8 碼；不足 7 碼視為無資料
+     */
+    phoneKey: (phone) => {
+        const value = digits(phone);
+        return value.length >= 7 ? value.slice(-8) : '';
+    },
+
+    /**
+     * @param {string} address
+     * @returns {string}
+     */
+    addressKey: (address) => fold(address).replace(/臺/g, '台').replace(PUNCTUATION, ''),
+
+    /**
+     * 聯絡人比對鍵 (Email / 手機末 9 碼 / 姓名)
+     * @param {Object} contact - 聯絡人 DTO
+     * @returns {Array<string>}
+     */
+    contactKeys: (contact) => {
+        const keys = [];
+        const email = fold(contact.email).trim();
+        const mobile = digits(contact.mobile);
+        const name = fold(contact.name).replace(PUNCTUATION, '');
+        if (email) keys.push(`e:${email}`);
+        if (mobile.length >= 9) keys.push(`m:${mobile.slice(-9)}`);
+        if (name) keys.push(`n:${name}`);
+        return keys;
+    },
+
+    /**
+     * @param {string} a - nameKey()
+     * @param {string} b - nameKey()
+     * @returns {number} 0 ~ 1
+     */
+    nameScore: (a, b) => {
+        if (!a || !b) return 0;
+        if (a === b) return 1;
+        const [short, long] = a.length <= b.length ? [a, b] : [b, a];
+        if (long.includes(short)) return 0.85;
+        if (isAbbreviation(short, long)) return 0.7;
+        return dice(a, b);
+    },
+
+    /**
+     * 預先計算比對用的鍵
+     * @param {Object} company - 公司 DTO (companyId / companyName / phone / address / city)
+     * @param {Array<Object>} contacts - 該公司的聯絡人 DTO
+     * @returns {Object}
+     */
+    buildProfile: (company, contacts = []) => ({
+        company,
+        name: companySimilarity.nameKey(company.companyName),
+        phone: companySimilarity.phoneKey(company.phone),
+        address: companySimilarity.addressKey(company.address),
+        county: companySimilarity.addressKey(company.city || company.county),
+        contacts: contacts.map(companySimilarity.contactKeys)
+    }),
+
+    /**
+     * 兩家公司的相似度
+     * @param {Object} a - buildProfile()
+     * @param {Object} b - buildProfile()
+     * @returns {Object} { score, signals: { name, phone, address, county, sharedContacts }, reasons }
+     */
+    scorePair: (a, b) => {
+        const signals = { name: companySimilarity.nameScore(a.name, b.name) };
+        const reasons = [];
+        let total = WEIGHTS.name * signals.name;
+        let weight = WEIGHTS.name;
+
+        if (signals.name === 1) reasons.push('名稱相同 (忽略公司型態)');
+        else if (signals.name >= 0.5) reasons.push(`名稱相似 ${Math.round(signals.name * 100)}%`);
+
+        if (a.phone && b.phone) {
+            signals.phone = a.phone === b.phone ? 1 : 0;
+            total += WEIGHTS.phone * signals.phone;
+            weight += WEIGHTS.phone;
+            if (signals.phone) reasons.push('電話相同');
+        }
+
+        if (a.address && b.address) {
+            const [short, long] = a.address.length <= b.address.length ? [a.address, b.address] : [b.address, a.address];
+            signals.address = short === long ? 1 : (long.includes(short) ? 0.8 : 0);
+            total += WEIGHTS.address * signals.address;
+            weight += WEIGHTS.address;
+            if (signals.address) reasons.push(signals.address === 1 ? '地址相同' : '地址相近');
+        }
+
+        if (a.county && b.county) {
+            signals.county = a.county === b.county ? 1 : 0;
+            total += WEIGHTS.county * signals.county;
+            weight += WEIGHTS.county;
+            if (signals.county) reasons.push('縣市相同');
+        }
+
+        const keysB = new Set(b.contacts.flat());
+        const shared = a.contacts.filter(keys => keys.some(key => keysB.has(key))).length;
+        if (a.contacts.length > 0 && b.contacts.length > 0) {
+            signals.sharedContacts = shared;
+            total += WEIGHTS.contacts * (shared >= 2 ? 1 : shared * 0.8);
+            weight += WEIGHTS.contacts;
+            if (shared) reasons.push(`共同聯絡人 ${shared} 位`);
+        }
+
+        return { score: Math.round((total / weight) * 1000) / 1000, signals, reasons };
+    },
+
+    /**
+     * 共用任一分組鍵的公司對
+     * @param {Array<Object>} profiles - buildProfile()
+     * @returns {Array<Array<number>>} [[i, j], ...] (i < j)
+     */
+    candidatePairs: (profiles) => {
+        const blocks = new Map();
+        const add = (key, index) => {
+            if (!blocks.has(key)) blocks.set(key, new Set());
+            blocks.get(key).add(index);
+        };
+
+        profiles.forEach((profile, index) => {
+            if (profile.name) add(`n:${profile.name[0]}`, index);
+            if (profile.phone) add(`p:${profile.phone}`, index);
+            if (profile.address) add(`a:${profile.address}`, index);
+            profile.contacts.flat().forEach(key => add(`c:${key}`, index));
+        });
+
+        const seen = new Set();
+        const pairs = [];
+        blocks.forEach(members => {
+            const list = Array.from(members);
+            for (let x = 0; x < list.length; x++) {
+                for (let y = x + 1; y < list.length; y++) {
+                    const [i, j] = list[x] < list[y] ? [list[x], list[y]] : [list[y], list[x]];
+                    const key = `${i}:${j}`;
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+                    pairs.push([i, j]);
+                }
+            }
+        });
+        return pairs;
+    }
+};
+
+module.exports = companySimilarity;
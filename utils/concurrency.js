@@ -0,0 +1,91 @@
+/**
+ * utils/concurrency.js
+ * 樂觀鎖 (Optimistic Concurrency Control) 工具函式庫
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description 以資料列的 updated_time 作為版本號 (不需額外欄位)。
+ * - 前端以 If-Match 標頭或 body.expectedVersion 帶入讀取時的 updatedTime。
+ * - SQL Writer 以 update ... where updated_time = expectedVersion 條件式更新，0 筆即為衝突。
+ * - 未帶版本的請求維持舊行為 (直接覆寫)，相容尚未改版的前端與批次作業。
+ */
+
+const VERSION_CONFLICT = 'VERSION_CONFLICT';
+
+const concurrency = {
+    VERSION_CONFLICT,
+
+    /**
+     * 從請求取出預期版本 (If-Match 優先，其次 body.expectedVersion)
+     * @param {Object} req - Express Request
+     * @returns {string|null}
+     */
+    getExpectedVersion: (req) => {
+        const header = req.get ? req.get('If-Match') : null;
+        if (header && header.trim() !== '*') {
+            return header.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1') || null;
+        }
+        const bodyVersion = req.body ? req.body.expectedVersion : null;
+        return bodyVersion ? String(bodyVersion) : null;
+    },
+
+    /**
+     * 移除 body 中的版本欄位，避免被當成業務欄位寫入
+     * @param {Object} body
+     * @returns {Object}
+     */
+    stripVersionFields: (body) => {
+        const { expectedVersion, ...data } = body || {};
+        return data;
+    },
+
+    /**
+     * 產生新版本號：保證與預期版本不同 (同一毫秒內連續寫入時往後推 1ms)
+     * @param {string|null} expectedVersion
+     * @returns {string} ISO String
+     */
+    nextVersion: (expectedVersion) => {
+        const now = new Date();
+        if (expectedVersion && Date.parse(expectedVersion) === now.getTime()) {
+            now.setTime(now.getTime() + 1);
+        }
+        return now.toISOString();
+    },
+
+    /**
+     * @param {string} entityLabel - 例如「機會」
+     * @param {string} id
+     * @param {string} expectedVersion
+     * @returns {Error} code = VERSION_CONFLICT，current 由 Service 補上伺服器端最新資料
+     */
+    createConflictError: (entityLabel, id, expectedVersion) => {
+        const error = new Error(`版本衝突：${entityLabel} ${id} 已被其他人修改，請重新載入或合併後再儲存`);
+        error.code = VERSION_CONFLICT;
+        error.expectedVersion = expectedVersion;
+        error.current = null;
+        return error;
+    },
+
+    /**
+     * 寫入前的快速檢查 (Writer 的條件式更新才是最終保證)
+     * @param {string} entityLabel
+     * @param {string} id
+     * @param {string|null} expectedVersion - 未提供時不檢查
+     * @param {Object} current - 伺服器端最新資料 (需含 updatedTime)
+     */
+    assertVersion: (entityLabel, id, expectedVersion, current) => {
+        if (!expectedVersion || !current) return;
+        if (Date.parse(expectedVersion) === Date.parse(current.updatedTime)) return;
+
+        const error = concurrency.createConflictError(entityLabel, id, expectedVersion);
+        error.current = current;
+        throw error;
+    },
+
+    /**
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    isConflict: (error) => !!error && error.code === VERSION_CONFLICT
+};
+
+module.exports = concurrency;
@@ -0,0 +1,42 @@
+/**
+ * utils/custom-field-values.js
+ * 自訂欄位值 (custom_fields jsonb 欄) 的解析與合併
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * * 欄位定義見 services/custom-field-service.js；值以 { 欄位代碼: 值 } 存於各實體資料表的 custom_fields 欄。
+ * * - parse()：jsonb 讀回物件；舊資料或手動寫入的 JSON 字串也可解析，無法解析時視為空物件。
+ * * - merge()：更新只帶入有修改的欄位，與目前的值合併；值為 null 表示清除該欄位。
+ * *   角色看不到的欄位不會出現在表單送出的資料中，因此合併不會覆蓋這些欄位。
+ */
+
+/**
+ * @param {Object|string|null} value - custom_fields 欄位值
+ * @returns {Object}
+ */
+function parse(value) {
+    if (!value) return {};
+    if (typeof value === 'object') return Array.isArray(value) ? {} : { ...value };
+    try {
+        const parsed = JSON.parse(value);
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * @param {Object|string|null} current - 目前的 custom_fields
+ * @param {Object} [incoming] - 本次寫入的欄位 (null 表示清除)
+ * @returns {Object} 合併後的 custom_fields
+ */
+function merge(current, incoming) {
+    const result = parse(current);
+    Object.entries(parse(incoming)).forEach(([key, value]) => {
+        if (value === null || value === undefined) delete result[key];
+        else result[key] = value;
+    });
+    return result;
+}
+
+module.exports = { parse, merge };
@@ -0,0 +1,317 @@
+/**
+ * utils/list-query.js
+ * 列表查詢語法 (篩選 / 範圍 / 多欄排序 / Cursor 分頁) 工具函式庫
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description 由 middleware/list-query.middleware.js 解析一次，SQL Reader 以 apply() 下推到 Supabase 查詢。
+ * - 語法 (Query String)：
+ *   q=關鍵字                         各資源自訂的全文欄位 (ilike)
+ *   filter[欄位]=值                   等於
+ *   filter[欄位][op]=值               op = eq / neq / gt / gte / lt / lte / in (逗號分隔) / like (包含，不分大小寫)
+ *   sort=-updatedTime,opportunityName 多欄排序，'-' 前綴為遞減
+ *   limit=50&cursor=...              Keyset 分頁，cursor 取自上一頁回傳的 nextCursor
+ * - 欄位一律使用 DTO 名稱 (camelCase)，由 data/list-specs.js 對應到資料表欄位；未登錄的欄位視為錯誤。
+ * - 排序一律 NULLS LAST，並以主鍵作為最後的排序鍵，確保 cursor 位置唯一。
+ * - neq 視為 IS DISTINCT FROM (包含 NULL)，與舊版記憶體篩選的行為一致。
+ * - 無法下推到 SQL 的資源 (spec.table = null，例如跨 5 張表的事件紀錄) 以 filterItems() 在記憶體中套用相同語意。
+ */
+
+const INVALID_LIST_QUERY = 'INVALID_LIST_QUERY';
+const FILTER_OPS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'like'];
+const GRAMMAR_KEYS = ['filter', 'sort', 'limit', 'cursor'];
+
+function invalid(message) {
+    const error = new Error(`列表查詢參數錯誤：${message}`);
+    error.code = INVALID_LIST_QUERY;
+    return error;
+}
+
+/**
+ * PostgREST 邏輯運算式中的值一律加雙引號，避免逗號、括號、句點被誤判
+ */
+function quote(value) {
+    return `"${String(value).replace(/(["\\])/g, '\\$1')}"`;
+}
+
+function isBlank(value) {
+    return value === null || value === undefined || value === '';
+}
+
+// 兩邊都是數字時依數值比較，否則依字串比較 (ISO 日期字串可直接比較)
+function compareValues(a, b) {
+    const na = Number(a);
+    const nb = Number(b);
+    if (!isBlank(a) && !isBlank(b) && Number.isFinite(na) && Number.isFinite(nb)) return na - nb;
+    const sa = String(a);
+    const sb = String(b);
+    return sa < sb ? -1 : (sa > sb ? 1 : 0);
+}
+
+function matchesFilter(item, { field, op, value }) {
+    const actual = item[field];
+    switch (op) {
+        case 'eq': return !isBlank(actual) && String(actual) === value;
+        case 'neq': return isBlank(actual) || String(actual) !== value;
+        case 'in': return !isBlank(actual) && value.includes(String(actual));
+        case 'like': return !isBlank(actual) && String(actual).toLowerCase().includes(value.toLowerCase());
+        case 'gt': return !isBlank(actual) && compareValues(actual, value) > 0;
+        case 'gte': return !isBlank(actual) && compareValues(actual, value) >= 0;
+        case 'lt': return !isBlank(actual) && compareValues(actual, value) < 0;
+        case 'lte': return !isBlank(actual) && compareValues(actual, value) <= 0;
+        default: return false;
+    }
+}
+
+function toSortKey(sort) {
+    return sort.map(s => `${s.ascending ? '' : '-'}${s.field}`).join(',');
+}
+
+const listQuery = {
+    INVALID_LIST_QUERY,
+    FILTER_OPS,
+
+    /**
+     * 請求是否使用列表查詢語法 (未使用時 Controller 維持舊版回應格式)
+     * @param {Object} query - req.query
+     * @returns {boolean}
+     */
+    isRequested: (query) => GRAMMAR_KEYS.some(key => query && query[key] !== undefined),
+
+    /**
+     * 解析並驗證查詢參數
+     * @param {Object} query - req.query (Express extended parser，filter[a][gte] 會解析成巢狀物件)
+     * @param {Object} spec - data/list-specs.js 的資源定義
+     * @param {Object} [options]
+     * @param {number} [options.defaultLimit=50]
+     * @param {number} [options.maxLimit=200]
+     * @returns {Object} { q, filters, sort, limit, cursor }
+     * @throws {Error} code = INVALID_LIST_QUERY
+     */
+    parse: (query, spec, { defaultLimit = 50, maxLimit = 200 } = {}) => {
+        const columnOf = (field) => {
+            const column = spec.fields[field];
+            if (!column) throw invalid(`不支援的欄位 "${field}"，可用欄位：${Object.keys(spec.fields).join(', ')}`);
+            return column;
+        };
+
+        // --- filter ---
+        const filters = [];
+        const rawFilter = query.filter === undefined ? {} : query.filter;
+        if (typeof rawFilter !== 'object' || Array.isArray(rawFilter)) {
+            throw invalid('filter 必須寫成 filter[欄位]=值');
+        }
+        Object.entries(rawFilter).forEach(([field, condition]) => {
+            const column = columnOf(field);
+            const entries = (condition !== null && typeof condition === 'object' && !Array.isArray(condition))
+                ? Object.entries(condition)
+                : [['eq', condition]];
+
+            entries.forEach(([op, value]) => {
+                if (!FILTER_OPS.includes(op)) throw invalid(`不支援的運算子 "${op}"，可用：${FILTER_OPS.join(', ')}`);
+                if (Array.isArray(value) || (value !== null && typeof value === 'object')) {
+                    throw invalid(`filter[${field}][${op}] 只能指定一次`);
+                }
+                const text = String(value);
+                filters.push({
+                    field,
+                    column,
+                    op,
+                    value: op === 'in' ? text.split(',').map(v => v.trim()).filter(v => v !== '') : text
+                });
+            });
+        });
+
+        // --- sort ---
+        const rawSort = query.sort === undefined || query.sort === '' ? spec.defaultSort : query.sort;
+        if (typeof rawSort !== 'string') throw invalid('sort 只能指定一次 (多欄請以逗號分隔)');
+        const sort = rawSort.split(',').map(token => token.trim()).filter(Boolean).map(token => {
+            const ascending = !token.startsWith('-');
+            const field = token.replace(/^[-+]/, '');
+            return { field, column: columnOf(field), ascending };
+        });
+
+        // --- limit ---
+        let limit = defaultLimit;
+        if (query.limit !== undefined) {
+            limit = Number(query.limit);
+            if (!Number.isInteger(limit) || limit < 1) throw invalid('limit 必須是正整數');
+            limit = Math.min(limit, maxLimit);
+        }
+
+        // --- cursor ---
+        let cursor = null;
+        if (query.cursor !== undefined && query.cursor !== '') {
+            cursor = listQuery.decodeCursor(query.cursor);
+            if (cursor.s !== toSortKey(sort) || !Array.isArray(cursor.v) || cursor.v.length !== sort.length) {
+                throw invalid('cursor 與目前的排序條件不符，請從第一頁重新查詢');
+            }
+        }
+
+        const q = typeof query.q === 'string' ? query.q.trim() : '';
+        return { q, filters, sort, limit, cursor };
+    },
+
+    /**
+     * 是否已對指定欄位下篩選條件 (Service 判斷是否套用預設篩選)
+     */
+    hasFilter: (parsed, field) => parsed.filters.some(f => f.field === field),
+
+    /**
+     * 未指定該欄位條件時補上預設篩選 (例如機會列表預設排除已封存)
+     * @returns {Object} 新的解析結果 (不修改原物件)
+     */
+    withDefaultFilter: (parsed, spec, field, op, value) => {
+        if (listQuery.hasFilter(parsed, field)) return parsed;
+        return { ...parsed, filters: [...parsed.filters, { field, column: spec.fields[field], op, value }] };
+    },
+
+    /**
+     * 將解析結果下推到 Supabase 查詢 (呼叫端負責 from().select() 與軟刪除條件)
+     * 多取一筆用來判斷是否還有下一頁，見 toPage()
+     * @param {Object} builder - Supabase Query Builder
+     * @param {Object} parsed - parse() 的結果
+     * @param {Object} spec
+     * @returns {Object} builder
+     */
+    apply: (builder, parsed, spec) => {
+        let query = builder;
+
+        if (parsed.q && spec.search && spec.search.length > 0) {
+            const pattern = quote(`%${parsed.q}%`);
+            query = query.or(spec.search.map(column => `${column}.ilike.${pattern}`).join(','));
+        }
+
+        parsed.filters.forEach(({ column, op, value }) => {
+            switch (op) {
+                case 'neq':
+                    query = query.or(`${column}.is.null,${column}.neq.${quote(value)}`);
+                    break;
+                case 'in':
+                    query = query.in(column, value);
+                    break;
+                case 'like':
+                    query = query.ilike(column, `%${value}%`);
+                    break;
+                default:
+                    query = query[op](column, value);
+            }
+        });
+
+        if (parsed.cursor) {
+            query = query.or(listQuery._keysetExpression(parsed, spec));
+        }
+
+        parsed.sort.forEach(({ column, ascending }) => {
+            query = query.order(column, { ascending, nullsFirst: false });
+        });
+        query = query.order(spec.idColumn, { ascending: true });
+
+        return query.limit(parsed.limit + 1);
+    },
+
+    /**
+     * 記憶體版 apply()：篩選 / 排序已載入的 DTO (欄位以 DTO 名稱比對，q 比對 spec.searchFields)
+     * 不處理 limit / cursor，呼叫端取得全部符合的資料
+     * @param {Array<Object>} items
+     * @param {Object} parsed - parse() 的結果
+     * @param {Object} spec - 需宣告 searchFields 與 idField
+     * @returns {Array<Object>} 新陣列 (不修改原陣列)
+     */
+    filterItems: (items, parsed, spec) => {
+        const term = parsed.q ? parsed.q.toLowerCase() : '';
+        const matched = (items || []).filter(item => {
+            if (term && !(spec.searchFields || []).some(f => !isBlank(item[f]) && String(item[f]).toLowerCase().includes(term))) {
+                return false;
+            }
+            return parsed.filters.every(filter => matchesFilter(item, filter));
+        });
+
+        return matched.sort((a, b) => {
+            for (const { field, ascending } of parsed.sort) {
+                const av = a[field];
+                const bv = b[field];
+                if (isBlank(av) || isBlank(bv)) {
+                    if (isBlank(av) !== isBlank(bv)) return isBlank(av) ? 1 : -1; // NULLS LAST
+                    continue;
+                }
+                const diff = compareValues(av, bv);
+                if (diff !== 0) return ascending ? diff : -diff;
+            }
+            return compareValues(a[spec.idField], b[spec.idField]);
+        });
+    },
+
+    /**
+     * 切出本頁並產生 nextCursor
+     * @param {Array<Object>} rows - 資料表原始列 (apply() 的查詢結果)
+     * @returns {Object} { rows, nextCursor, hasMore }
+     */
+    toPage: (rows, parsed, spec) => {
+        const list = rows || [];
+        const hasMore = list.length > parsed.limit;
+        const pageRows = hasMore ? list.slice(0, parsed.limit) : list;
+        const last = pageRows[pageRows.length - 1];
+
+        const nextCursor = (hasMore && last)
+            ? listQuery.encodeCursor({
+                s: toSortKey(parsed.sort),
+                v: parsed.sort.map(({ column }) => (last[column] === undefined ? null : last[column])),
+                id: last[spec.idColumn]
+            })
+            : null;
+
+        return { rows: pageRows, nextCursor, hasMore };
+    },
+
+    /**
+     * 回應用的分頁資訊
+     */
+    toPagination: (parsed, page) => ({
+        limit: parsed.limit,
+        nextCursor: page.nextCursor,
+        hasMore: page.hasMore
+    }),
+
+    encodeCursor: (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url'),
+
+    decodeCursor: (cursor) => {
+        try {
+            const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+            if (!payload || typeof payload !== 'object' || payload.id === undefined) throw new Error();
+            return payload;
+        } catch (error) {
+            throw invalid('cursor 格式錯誤');
+        }
+    },
+
+    /**
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    isListQueryError: (error) => !!error && error.code === INVALID_LIST_QUERY,
+
+    /**
+     * Keyset 條件：(k1 在 v1 之後) OR (k1 = v1 AND k2 在 v2 之後) OR ... OR (全部相等 AND id > 上一筆 id)
+     * NULLS LAST 下，「在非 NULL 值之後」包含 NULL；值為 NULL 時已在尾端，該層沒有「之後」。
+     */
+    _keysetExpression: (parsed, spec) => {
+        const { v: values, id } = parsed.cursor;
+        const keys = parsed.sort.map((s, i) => ({ column: s.column, ascending: s.ascending, value: values[i] }));
+
+        const equals = ({ column, value }) => (value === null ? `${column}.is.null` : `${column}.eq.${quote(value)}`);
+        const after = ({ column, ascending, value }) => (value === null
+            ? []
+            : [`${column}.${ascending ? 'gt' : 'lt'}.${quote(value)}`, `${column}.is.null`]);
+
+        const terms = [];
+        keys.forEach((key, i) => {
+            const prefix = keys.slice(0, i).map(equals);
+            after(key).forEach(condition => terms.push([...prefix, condition]));
+        });
+        terms.push([...keys.map(equals), `${spec.idColumn}.gt.${quote(id)}`]);
+
+        return terms.map(conditions => (conditions.length === 1 ? conditions[0] : `and(${conditions.join(',')})`)).join(',');
+    }
+};
+
+module.exports = listQuery;
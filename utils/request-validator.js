@@ -0,0 +1,201 @@
+/**
+ * utils/request-validator.js
+ * 宣告式請求資料驗證 (前後端共用)
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * * 依 data/request-schemas.js 的欄位規則檢查寫入資料，回傳逐欄錯誤訊息 (繁體中文)。
+ * * - 伺服器端：middleware/validation.middleware.js 在進入 Controller 前驗證 req.body。
+ * * - 瀏覽器端：app.js 以 /scripts/shared/request-validator.js 提供本檔，
+ * *   public/scripts/core/form-validation.js 取得 GET /api/schemas 後以相同規則檢查表單。
+ * *   因此本檔不可 require 其他模組，只能使用兩端都有的語法。
+ * * 欄位規則：
+ * * - type：string (預設) / number / integer / boolean / date (YYYY-MM-DD) / datetime / email / url / array / object
+ * * - required：建立時必填；partial (更新) 模式只檢查有帶入的欄位，但帶入時不可為空白
+ * * - maxLength / min / max / enum / pattern (字串) / minItems / maxItems
+ * * - items：陣列元素的規則；fields：物件的子欄位；schema：引用另一份 schema (例如批次更新的 data)
+ * * 未宣告的欄位不檢查 (表單常附帶 modifier、expectedVersion 等欄位)，
+ * * 除非 schema 宣告 strict: true (例如外部來源的名片更新，只接受列出的欄位)；
+ * * 表單欄位多為字串，number / boolean 也接受對應的字串 (例如 '1,200'、'true')。
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RequestValidator = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    const URL_PATTERN = /^https?:\/\/\S+$/i;
+
+    function isBlank(value) {
+        return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+    }
+
+    function toNumber(value) {
+        if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+        if (typeof value !== 'string') return NaN;
+        const cleaned = value.replace(/,/g, '').trim();
+        return cleaned === '' ? NaN : Number(cleaned);
+    }
+
+    function isValidDate(value) {
+        const match = typeof value === 'string' && value.match(DATE_PATTERN);
+        if (!match) return false;
+        const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+        return date.getUTCMonth() === Number(match[2]) - 1 && date.getUTCDate() === Number(match[3]);
+    }
+
+    function joinPath(path, key) {
+        if (typeof key === 'number') return `${path}[${key}]`;
+        return path ? `${path}.${key}` : key;
+    }
+
+    /**
+     * 檢查單一值 (已確認非空白)
+     * @returns {string|null} 錯誤訊息
+     */
+    function checkValue(rule, value, label) {
+        const type = rule.type || 'string';
+
+        switch (type) {
+            case 'string':
+            case 'email':
+            case 'url':
+                if (typeof value !== 'string' && typeof value !== 'number') return `${label}必須是文字`;
+                if (rule.maxLength && String(value).length > rule.maxLength) return `${label}不可超過 ${rule.maxLength} 個字`;
+                if (type === 'email' && !EMAIL_PATTERN.test(String(value).trim())) return `${label}格式不正確`;
+                if (type === 'url' && !URL_PATTERN.test(String(value).trim())) return `${label}必須是 http(s) 開頭的網址`;
+                if (rule.pattern && !new RegExp(rule.pattern).test(String(value))) return rule.patternMessage ? `${label}${rule.patternMessage}` : `${label}格式不正確`;
+                break;
+
+            case 'number':
+            case 'integer': {
+                const number = toNumber(value);
+                if (Number.isNaN(number)) return `${label}必須是數字`;
+                if (type === 'integer' && !Number.isInteger(number)) return `${label}必須是整數`;
+                if (rule.min !== undefined && number < rule.min) return `${label}不可小於 ${rule.min}`;
+                if (rule.max !== undefined && number > rule.max) return `${label}不可大於 ${rule.max}`;
+                break;
+            }
+
+            case 'boolean':
+                if (typeof value !== 'boolean' && !/^(true|false)$/i.test(String(value))) return `${label}必須是 true 或 false`;
+                break;
+
+            case 'date':
+                if (!isValidDate(value)) return `${label}必須是有效日期 (YYYY-MM-DD)`;
+                break;
+
+            case 'datetime':
+                if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) return `${label}必須是有效的日期時間`;
+                break;
+
+            case 'array':
+                if (!Array.isArray(value)) return `${label}必須是清單`;
+                if (rule.minItems !== undefined && value.length < rule.minItems) return `${label}至少需要 ${rule.minItems} 筆`;
+                if (rule.maxItems !== undefined && value.length > rule.maxItems) return `${label}最多 ${rule.maxItems} 筆`;
+                break;
+
+            case 'object':
+                if (typeof value !== 'object' || Array.isArray(value)) return `${label}格式不正確`;
+                break;
+
+            default:
+                return `${label}的驗證規則不明 (${type})`;
+        }
+
+        if (rule.enum && !rule.enum.map(String).includes(String(value))) {
+            return `${label}必須是下列其中之一：${rule.enum.join('、')}`;
+        }
+        return null;
+    }
+
+    function validateFields(fields, data, options, path, errors) {
+        Object.keys(fields).forEach(key => {
+            const rule = fields[key];
+            const field = joinPath(path, key);
+            const label = rule.label || key;
+            const present = Object.prototype.hasOwnProperty.call(data, key);
+            const value = data[key];
+
+            if (isBlank(value)) {
+                // partial 模式：未帶入的欄位不檢查；帶入空白的必填欄位仍視為錯誤
+                if (rule.required && (!options.partial || present)) {
+                    errors.push({ field, label, message: `${label}為必填` });
+                }
+                return;
+            }
+
+            const message = checkValue(rule, value, label);
+            if (message) {
+                errors.push({ field, label, message });
+                return;
+            }
+            validateNested(rule, value, options, field, errors);
+        });
+    }
+
+    function validateNested(rule, value, options, path, errors) {
+        if (rule.type === 'array' && rule.items) {
+            value.forEach((item, index) => {
+                const field = joinPath(path, index);
+                const label = `${rule.label || path} 第 ${index + 1} 筆`;
+                if (isBlank(item)) {
+                    errors.push({ field, label, message: `${label}不可為空白` });
+                    return;
+                }
+                const message = checkValue(rule.items, item, label);
+                if (message) {
+                    errors.push({ field, label, message });
+                    return;
+                }
+                validateNested(rule.items, item, options, field, errors);
+            });
+            return;
+        }
+
+        if (rule.type === 'object') {
+            if (rule.fields) validateFields(rule.fields, value, { partial: false, schemas: options.schemas }, path, errors);
+            if (rule.schema) {
+                const schema = options.schemas && options.schemas[rule.schema];
+                if (!schema) throw new Error(`[RequestValidator] Unknown schema: ${rule.schema}`);
+                validateFields(schema.fields, value, { partial: !!rule.partial, schemas: options.schemas }, path, errors);
+            }
+        }
+    }
+
+    /**
+     * 驗證資料
+     * @param {Object} schema - { label, fields, strict? }
+     * @param {*} data - 請求內容
+     * @param {Object} [options]
+     * @param {boolean} [options.partial=false] - 更新模式：只檢查有帶入的欄位
+     * @param {Object} [options.schemas] - 全部 schema (解析 rule.schema 引用)
+     * @returns {Array<Object>} [{ field, label, message }]；空陣列表示通過
+     */
+    function validate(schema, data, options = {}) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return [{ field: '', label: schema.label, message: `${schema.label}資料格式不正確` }];
+        }
+        const errors = [];
+        if (schema.strict) {
+            Object.keys(data)
+                .filter(key => !Object.prototype.hasOwnProperty.call(schema.fields, key))
+                .forEach(key => errors.push({ field: key, label: key, message: `${schema.label}不接受欄位「${key}」` }));
+        }
+        validateFields(schema.fields, data, { partial: !!options.partial, schemas: options.schemas || null }, '', errors);
+        return errors;
+    }
+
+    /**
+     * 錯誤清單 -> 單行訊息
+     */
+    function summarize(errors) {
+        return errors.map(error => error.message).join('；');
+    }
+
+    return { validate, summarize };
+});
@@ -0,0 +1,189 @@
+/**
+ * utils/search-text.js
+ * 全域搜尋的斷詞、計分與摘要標示工具函式庫
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description 不依賴詞典的繁體中文斷詞：
+ * - 正規化：NFKC (全形英數轉半形) + 小寫，逐字轉換以保留原文位置，供摘要標示使用。
+ * - 查詢以空白與中英標點切成詞，詞內再依「中文 / 非中文」切段：
+ *   非中文段 (英文、數字、型號) 以子字串比對；中文段整段命中得滿分，否則以二元組 (bigram) 覆蓋率計分，
+ *   因此連打的「示範精機報價」仍可找到只寫「示範精機」的紀錄 (覆蓋 3/5 個二元組)，但排名低於整段命中。
+ * - 每個詞段都必須在某個欄位達到 MIN_UNIT_SCORE 才算命中 (AND 語意)。
+ */
+
+const CJK_CHAR = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/;
+const SEGMENT = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]+|[^\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]+/g;
+const SEPARATORS = /[\s,.;:!?'"`~()[\]{}<>\\/|，。、；：！？「」『』（）《》【】〈〉…—～·]+/;
+const MIN_UNIT_SCORE = 0.5;
+
+function foldChar(ch) {
+    const folded = ch.normalize('NFKC').toLowerCase();
+    return folded.length === 1 ? folded : ch.toLowerCase();
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+function bigrams(text) {
+    if (text.length < 2) return [text];
+    const grams = [];
+    for (let i = 0; i < text.length - 1; i++) grams.push(text.slice(i, i + 2));
+    return grams;
+}
+
+const searchText = {
+    MIN_UNIT_SCORE,
+
+    /**
+     * 正規化 (長度與原文相同，索引可直接對回原文)
+     * @param {*} text
+     * @returns {string}
+     */
+    fold: (text) => {
+        if (text === null || text === undefined) return '';
+        return String(text).split('').map(foldChar).join('');
+    },
+
+    /**
+     * 將查詢字串切成比對單位
+     * @param {string} query
+     * @returns {Object} { phrase, units: [{ text, cjk, grams }] }
+     */
+    tokenize: (query) => {
+        const phrase = searchText.fold(query).trim();
+        const units = [];
+        const seen = new Set();
+
+        phrase.split(SEPARATORS).filter(Boolean).forEach(term => {
+            (term.match(SEGMENT) || []).forEach(segment => {
+                const text = segment.trim();
+                if (!text || seen.has(text)) return;
+                seen.add(text);
+                const cjk = CJK_CHAR.test(text);
+                units.push({ text, cjk, grams: cjk ? bigrams(text) : [text] });
+            });
+        });
+
+        return { phrase: phrase.replace(/\s+/g, ' '), units };
+    },
+
+    /**
+     * 單一詞段對單一欄位的得分 (0 ~ 1)
+     * @param {Object} unit - tokenize() 的 unit
+     * @param {string} folded - fold() 後的欄位值
+     */
+    scoreUnit: (unit, folded) => {
+        if (!folded) return 0;
+        if (folded.includes(unit.text)) return 1;
+        if (!unit.cjk || unit.grams.length < 2) return 0;
+        const hits = unit.grams.filter(gram => folded.includes(gram)).length;
+        return hits / unit.grams.length;
+    },
+
+    /**
+     * 文件計分
+     * @param {Object} tokens - tokenize() 的結果
+     * @param {Array<Object>} fields - [{ key, label, weight, value }]，第一個欄位視為標題
+     * @returns {Object|null} { score, field } 未命中時回傳 null；field 為摘要使用的欄位
+     */
+    scoreDocument: (tokens, fields) => {
+        const folded = fields.map(f => searchText.fold(f.value));
+        const fieldTotals = fields.map(() => 0);
+        let unitTotal = 0;
+
+        for (const unit of tokens.units) {
+            let best = 0;
+            let matched = false;
+            fields.forEach((f, i) => {
+                const s = searchText.scoreUnit(unit, folded[i]);
+                if (s > 0) fieldTotals[i] += s * f.weight;
+                if (s >= MIN_UNIT_SCORE) matched = true;
+                best = Math.max(best, s * f.weight);
+            });
+            if (!matched) return null;
+            unitTotal += best;
+        }
+
+        let score = unitTotal / tokens.units.length;
+
+        // 完整片語命中與標題精準度加分
+        fields.forEach((f, i) => {
+            if (tokens.phrase && folded[i].includes(tokens.phrase)) score += f.weight * 0.5;
+        });
+        const title = folded[0].trim();
+        if (title === tokens.phrase) score += 3;
+        else if (title.startsWith(tokens.phrase)) score += 1;
+
+        // 摘要欄位：標題以外得分最高的欄位；只有標題命中時用標題
+        let snippetIndex = 0;
+        for (let i = 1; i < fields.length; i++) {
+            if (fieldTotals[i] > 0 && (snippetIndex === 0 || fieldTotals[i] > fieldTotals[snippetIndex])) snippetIndex = i;
+        }
+
+        return { score: Math.round(score * 100) / 100, field: fields[snippetIndex] };
+    },
+
+    /**
+     * 產生標示命中處的摘要 (已 HTML 跳脫，命中處以 <mark> 包住)
+     * @param {string} text - 原文
+     * @param {Object} tokens
+     * @param {Object} [options]
+     * @param {number} [options.before=20] - 第一個命中處前保留的字數
+     * @param {number} [options.length=80] - 摘要長度上限
+     * @returns {string}
+     */
+    highlight: (text, tokens, { before = 20, length = 80 } = {}) => {
+        const source = String(text || '');
+        const folded = searchText.fold(source);
+
+        // 收集命中區間 (整段優先，沒有整段才標示二元組)
+        const ranges = [];
+        const mark = (needle) => {
+            if (!needle) return false;
+            let found = false;
+            let from = folded.indexOf(needle);
+            while (from !== -1) {
+                ranges.push([from, from + needle.length]);
+                found = true;
+                from = folded.indexOf(needle, from + needle.length);
+            }
+            return found;
+        };
+        tokens.units.forEach(unit => {
+            if (!mark(unit.text) && unit.cjk) unit.grams.forEach(mark);
+        });
+
+        ranges.sort((a, b) => a[0] - b[0]);
+        const merged = [];
+        ranges.forEach(range => {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+            else merged.push([...range]);
+        });
+
+        const start = merged.length > 0 ? Math.max(0, merged[0][0] - before) : 0;
+        const end = Math.min(source.length, start + length);
+
+        let html = start > 0 ? '…' : '';
+        let cursor = start;
+        merged.forEach(([from, to]) => {
+            if (to <= start || from >= end) return;
+            const s = Math.max(from, start);
+            const e = Math.min(to, end);
+            html += escapeHtml(source.slice(cursor, s)) + `<mark>${escapeHtml(source.slice(s, e))}</mark>`;
+            cursor = e;
+        });
+        html += escapeHtml(source.slice(cursor, end));
+        if (end < source.length) html += '…';
+
+        return html.replace(/\s+/g, ' ');
+    }
+};
+
+module.exports = searchText;
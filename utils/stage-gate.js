@@ -0,0 +1,66 @@
+/**
+ * utils/stage-gate.js
+ * 階段關卡工具函式庫
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @description 推進機會階段前的必填判斷與阻擋錯誤 (規則與評估見 services/stage-gate-service.js)。
+ * - 錯誤碼 STAGE_GATE_BLOCKED 由 middleware/error.middleware.js 轉為 422，附上未符合的項目 (unmet)。
+ */
+
+const STAGE_GATE_BLOCKED = 'STAGE_GATE_BLOCKED';
+
+const stageGate = {
+    STAGE_GATE_BLOCKED,
+
+    /**
+     * 欄位是否視為未填：空字串、空的 JSON 物件 / 陣列 (產品明細)；數字欄位需大於 0
+     * @param {*} value
+     * @param {string} [type] - 'number' 時 0 與非數字視為未填
+     * @returns {boolean}
+     */
+    isBlank: (value, type) => {
+        if (value === undefined || value === null) return true;
+        if (type === 'number') {
+            const number = Number(value);
+            return value === '' || !Number.isFinite(number) || number <= 0;
+        }
+        if (Array.isArray(value)) return value.length === 0;
+        if (typeof value === 'object') return Object.keys(value).length === 0;
+
+        const text = String(value).trim();
+        if (text === '' || text === '[]' || text === '{}') return true;
+        if (text.startsWith('{') || text.startsWith('[')) {
+            try {
+                const parsed = JSON.parse(text);
+                if (parsed && typeof parsed === 'object') return Object.keys(parsed).length === 0;
+            } catch (e) {
+                // 非 JSON 的一般文字
+            }
+        }
+        return false;
+    },
+
+    /**
+     * @param {Object} opportunity - 推進中的機會 (opportunityId / opportunityName)
+     * @param {Object} stage - { value, label }
+     * @param {Array<Object>} unmet - 未符合的項目 { key, label, message }
+     * @returns {Error} code = STAGE_GATE_BLOCKED
+     */
+    createBlockedError: (opportunity, stage, unmet) => {
+        const name = opportunity.opportunityName || opportunity.opportunityId;
+        const error = new Error(`無法推進「${name}」至「${stage.label}」：${unmet.map(item => item.message).join('、')}`);
+        error.code = STAGE_GATE_BLOCKED;
+        error.opportunityId = opportunity.opportunityId;
+        error.stage = stage.value;
+        error.unmet = unmet;
+        return error;
+    },
+
+    /**
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    isBlocked: (error) => !!error && error.code === STAGE_GATE_BLOCKED
+};
+
+module.exports = stageGate;
@@ -0,0 +1,451 @@
+/**
+ * utils/tabular-file.js
+ * 匯入 / 匯出檔工具函式庫 (CSV / XLSX)
+ * @version 1.2.0
+ * @date 2026-10-19
+ * @description
+ * - CSV：支援 UTF-8 BOM、雙引號跳脫與欄位內換行，分隔符號自動判斷 (逗號 / Tab / 分號)。
+ * - XLSX：以 zlib 解開 Office Open XML 壓縮檔，只讀取第一個工作表；
+ *   共用字串、行內字串與日期格式的儲存格 (轉為 YYYY-MM-DD) 皆會還原成文字。
+ * - 防 ZIP 炸彈：只解壓需要的檔案，單一檔案與合計的解壓大小皆有上限 (MAX_ENTRY_BYTES / MAX_TOTAL_BYTES)，
+ *   超過即在解析前拒絕；parse() 的 maxRows 讓列數超過上限時立即停止 (error.code = TOO_MANY_ROWS)。
+ * - 第一個非空白列視為標題列；回傳的 rowNumber 為檔案中的列號 (含標題列，從 1 起算)，供預覽標示錯誤位置。
+ * - 匯出：csvLine() 逐列產生 CSV (可串流，公式開頭的文字加上 ' 避免 CSV Injection)；
+ *   buildXlsx() 於記憶體組出單一工作表的活頁簿 (儲存格一律為行內字串，不會被當成公式)。
+ */
+
+const zlib = require('zlib');
+
+const TOO_MANY_ROWS = 'TOO_MANY_ROWS';
+// 解壓後大小上限 (一般匯入檔的工作表遠小於此)
+const MAX_ENTRY_BYTES = 32 * 1024 * 1024;
+const MAX_TOTAL_BYTES = 64 * 1024 * 1024;
+
+// 試算表會當成公式開頭的字元 (CSV 匯出時跳脫)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Excel 內建的日期格式代碼
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+// 1900 日期系統的第 0 天 (含 Excel 的 1900/2/29 錯誤)
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+function decodeXml(text) {
+    return String(text || '')
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+function attr(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? decodeXml(match[1]) : null;
+}
+
+// <si> / <is> 內所有 <t> 的文字 (略過注音 <rPh>)
+function richText(xml) {
+    const body = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+    let text = '';
+    body.replace(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g, (_, t) => { text += decodeXml(t); });
+    return text;
+}
+
+function columnIndex(ref) {
+    const letters = (ref.match(/^[A-Z]+/) || [''])[0];
+    let index = 0;
+    for (const ch of letters) index = index * 26 + (ch.charCodeAt(0) - 64);
+    return index - 1;
+}
+
+function serialToDate(serial) {
+    const date = new Date(EXCEL_EPOCH + Math.round(serial * 86400000));
+    return date.toISOString().slice(0, 10);
+}
+
+function tooLarge() {
+    return new Error(`XLSX 解壓後超過 ${MAX_TOTAL_BYTES / 1024 / 1024} MB 上限 (單一檔案 ${MAX_ENTRY_BYTES / 1024 / 1024} MB)，請減少內容或改用 CSV`);
+}
+
+/**
+ * 讀取 ZIP 壓縮檔的目錄；檔案內容在 get() 時才解壓，並累計解壓大小
+ * @param {Buffer} buffer
+ * @returns {{ get: function(string): (Buffer|undefined), has: function(string): boolean }}
+ * @throws {Error} 格式錯誤，或解壓大小超過上限
+ */
+function readZip(buffer) {
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd === -1) throw new Error('檔案不是有效的 XLSX (ZIP) 格式');
+
+    const directory = new Map();
+    const count = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('XLSX 目錄結構損毀');
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        // 其他壓縮方式不會出現在 XLSX 內，略過
+        if (method === 0 || method === 8) directory.set(name, { method, compressedSize, size, localOffset });
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    const inflated = new Map();
+    let totalBytes = 0;
+
+    const get = (name) => {
+        if (inflated.has(name)) return inflated.get(name);
+        const entry = directory.get(name);
+        if (!entry) return undefined;
+
+        // 宣告的大小可能造假，inflate 時仍以 maxOutputLength 限制實際輸出
+        const limit = Math.min(MAX_ENTRY_BYTES, MAX_TOTAL_BYTES - totalBytes);
+        if (entry.size > limit) throw tooLarge();
+
+        const { localOffset } = entry;
+        if (localOffset + 30 > buffer.length) throw new Error('XLSX 目錄結構損毀');
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+        let content = data;
+        if (entry.method === 8) {
+            try {
+                content = zlib.inflateRawSync(data, { maxOutputLength: limit });
+            } catch (error) {
+                if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+                throw error;
+            }
+        } else if (data.length > limit) {
+            throw tooLarge();
+        }
+
+        totalBytes += content.length;
+        inflated.set(name, content);
+        return content;
+    };
+
+    return { get, has: (name) => directory.has(name) };
+}
+
+function tooManyRows(maxRows) {
+    const error = new Error(`檔案超過 ${maxRows} 列`);
+    error.code = TOO_MANY_ROWS;
+    return error;
+}
+
+/**
+ * 日期格式的 cellXfs 索引
+ */
+function dateStyleIndexes(stylesXml) {
+    if (!stylesXml) return new Set();
+
+    const customDateFormats = new Set();
+    stylesXml.replace(/<numFmt\b[^>]*>/g, (tag) => {
+        const code = (attr(tag, 'formatCode') || '').replace(/"[^"]*"|\[[^\]]*\]/g, '');
+        if (/[dmy]/i.test(code)) customDateFormats.add(Number(attr(tag, 'numFmtId')));
+        return tag;
+    });
+
+    const cellXfs = (stylesXml.match(/<cellXfs\b[\s\S]*?<\/cellXfs>/) || [''])[0];
+    const indexes = new Set();
+    (cellXfs.match(/<xf\b[^>]*>/g) || []).forEach((tag, index) => {
+        const id = Number(attr(tag, 'numFmtId'));
+        if (BUILTIN_DATE_FORMATS.has(id) || customDateFormats.has(id)) indexes.add(index);
+    });
+    return indexes;
+}
+
+function firstSheetPath(entries) {
+    const workbook = (entries.get('xl/workbook.xml') || '').toString('utf8');
+    const sheetTag = (workbook.match(/<sheet\b[^>]*>/) || [null])[0];
+    const relId = sheetTag && attr(sheetTag, 'r:id');
+    const rels = (entries.get('xl/_rels/workbook.xml.rels') || '').toString('utf8');
+
+    const relTag = relId && (rels.match(/<Relationship\b[^>]*>/g) || []).find(tag => attr(tag, 'Id') === relId);
+    const target = relTag && attr(relTag, 'Target');
+    if (target) return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    return 'xl/worksheets/sheet1.xml';
+}
+
+function parseXlsxRows(buffer, maxRows) {
+    const entries = readZip(buffer);
+    const sheetXml = entries.get(firstSheetPath(entries));
+    if (!sheetXml) throw new Error('XLSX 檔案中找不到工作表');
+
+    const sharedStrings = [];
+    const sst = entries.get('xl/sharedStrings.xml');
+    if (sst) sst.toString('utf8').replace(/<si>([\s\S]*?)<\/si>/g, (_, si) => { sharedStrings.push(richText(si)); return ''; });
+    const dateStyles = dateStyleIndexes(entries.has('xl/styles.xml') ? entries.get('xl/styles.xml').toString('utf8') : '');
+
+    const rows = [];
+    sheetXml.toString('utf8').replace(/<row\b([^>]*)>([\s\S]*?)<\/row>/g, (_, rowAttrs, body) => {
+        const values = [];
+        body.replace(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g, (cell, cellAttrs, content = '') => {
+            const tag = `<c${cellAttrs}>`;
+            const ref = attr(tag, 'r');
+            const type = attr(tag, 't');
+            const raw = (content.match(/<v>([\s\S]*?)<\/v>/) || [null, null])[1];
+
+            let value = '';
+            if (type === 's') value = sharedStrings[Number(raw)] || '';
+            else if (type === 'inlineStr') value = richText(content);
+            else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+            else if (raw !== null) {
+                value = decodeXml(raw);
+                if (type !== 'str' && type !== 'e' && dateStyles.has(Number(attr(tag, 's'))) && !isNaN(Number(value))) {
+                    value = serialToDate(Number(value));
+                }
+            }
+
+            values[ref ? columnIndex(ref) : values.length] = value;
+            return cell;
+        });
+        const rowNumber = Number(attr(`<row${rowAttrs}>`, 'r')) || rows.length + 1;
+        rows.push({ rowNumber, values: Array.from(values, v => (v === undefined ? '' : v)) });
+        if (rows.length > maxRows) throw tooManyRows(maxRows);
+        return '';
+    });
+    return rows;
+}
+
+// --- 寫出 ---
+
+let crcTable = null;
+function crc32(buffer) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) crc = crcTable[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function encodeXml(text) {
+    return String(text)
+        // XML 1.0 不允許的控制字元
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    return name;
+}
+
+/**
+ * 以 Deflate 壓縮寫出 ZIP
+ * @param {Array<[string, string]>} files - [路徑, 內容]
+ * @returns {Buffer}
+ */
+function writeZip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    files.forEach(([name, text]) => {
+        const nameBuf = Buffer.from(name, 'utf8');
+        const data = Buffer.from(text, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);            // version needed
+        local.writeUInt16LE(0x0800, 6);        // UTF-8 檔名
+        local.writeUInt16LE(8, 8);             // deflate
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuf.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuf.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBuf, compressed);
+        centrals.push(central, nameBuf);
+        offset += local.length + nameBuf.length + compressed.length;
+    });
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+}
+
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    const counts = [',', '\t', ';'].map(d => [d, firstLine.split(d).length - 1]);
+    counts.sort((a, b) => b[1] - a[1]);
+    return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+function parseCsvRows(text, maxRows) {
+    const source = text.replace(/^﻿/, '');
+    const delimiter = detectDelimiter(source);
+    const rows = [];
+    let values = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowNumber = 1;
+
+    const endRow = () => {
+        values.push(field);
+        rows.push({ rowNumber, values });
+        if (rows.length > maxRows) throw tooManyRows(maxRows);
+        values = [];
+        field = '';
+        rowNumber = line;
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (inQuotes) {
+            if (ch === '"' && source[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') inQuotes = false;
+            else {
+                if (ch === '\n') line++;
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            values.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && source[i + 1] === '\n') i++;
+            line++;
+            endRow();
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || values.length > 0) endRow();
+    return rows;
+}
+
+const tabularFile = {
+    TOO_MANY_ROWS,
+
+    /**
+     * 解析上傳的 CSV / XLSX
+     * @param {Buffer} buffer - 檔案內容
+     * @param {string} fileName - 以副檔名判斷格式
+     * @param {Object} [options]
+     * @param {number} [options.maxRows=Infinity] - 檔案列數上限 (含標題列與空白列)，超過即停止解析
+     * @returns {Object} { headers: Array<string>, rows: Array<{ rowNumber, values }> }
+     * @throws {Error} 格式不支援、內容無法解析、解壓過大，或列數超過上限 (error.code = TOO_MANY_ROWS)
+     */
+    parse: (buffer, fileName, { maxRows = Infinity } = {}) => {
+        const extension = String(fileName || '').toLowerCase().split('.').pop();
+        let rows;
+        if (extension === 'xlsx') rows = parseXlsxRows(buffer, maxRows);
+        else if (extension === 'csv' || extension === 'tsv' || extension === 'txt') rows = parseCsvRows(buffer.toString('utf8'), maxRows);
+        else throw new Error(`不支援的檔案格式：${fileName || '(未命名)'} (僅支援 .csv / .xlsx)`);
+
+        const nonEmpty = rows
+            .map(row => ({ rowNumber: row.rowNumber, values: row.values.map(v => String(v).trim()) }))
+            .filter(row => row.values.some(v => v !== ''));
+        if (nonEmpty.length === 0) return { headers: [], rows: [] };
+
+        const [header, ...data] = nonEmpty;
+        return { headers: header.values, rows: data };
+    },
+
+    /**
+     * 一列 CSV (含結尾 CRLF)；含逗號、引號或換行的值加上雙引號
+     * 以 = + - @ Tab CR 開頭的文字會被試算表當成公式執行 (CSV Injection)，前面加上 ' 改為純文字；
+     * 數值 (例如負數金額) 不受影響。
+     * @param {Array<*>} values - null / undefined 輸出為空白
+     * @returns {string}
+     */
+    csvLine: (values) => values.map(value => {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',') + '\r\n',
+
+    /**
+     * 組出只有一個工作表的 XLSX
+     * @param {Array<string>} headers - 第一列 (凍結)
+     * @param {Array<Array<*>>} rows
+     * @param {Object} [options]
+     * @param {string} [options.sheetName='Sheet1'] - 最多 31 字，不可含 []:*?/\
+     * @returns {Buffer}
+     */
+    buildXlsx: (headers, rows, { sheetName = 'Sheet1' } = {}) => {
+        const name = String(sheetName).replace(/[[\]:*?/\\]/g, '').slice(0, 31) || 'Sheet1';
+        const cell = (value, c, r) => {
+            if (value === null || value === undefined || value === '') return '';
+            return `<c r="${columnName(c)}${r}" t="inlineStr"><is><t xml:space="preserve">${encodeXml(value)}</t></is></c>`;
+        };
+        const row = (values, r) => `<row r="${r}">${values.map((v, c) => cell(v, c, r)).join('')}</row>`;
+
+        const sheetData = [row(headers, 1), ...rows.map((values, i) => row(values, i + 2))].join('');
+        const ns = 'http://schemas.openxmlformats.org';
+
+        return writeZip([
+            ['[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="${ns}/package/2006/content-types">`
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+                + '</Types>'],
+            ['_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="${ns}/package/2006/relationships">`
+                + `<Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>`
+                + '</Relationships>'],
+            ['xl/workbook.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><workbook xmlns="${ns}/spreadsheetml/2006/main" xmlns:r="${ns}/officeDocument/2006/relationships">`
+                + `<sheets><sheet name="${encodeXml(name)}" sheetId="1" r:id="rId1"/></sheets></workbook>`],
+            ['xl/_rels/workbook.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="${ns}/package/2006/relationships">`
+                + `<Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>`
+                + '</Relationships>'],
+            ['xl/worksheets/sheet1.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><worksheet xmlns="${ns}/spreadsheetml/2006/main">`
+                + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+                + `<sheetData>${sheetData}</sheetData></worksheet>`]
+        ]);
+    },
+
+    /**
+     * Excel 日期序號 -> YYYY-MM-DD (CSV 由 Excel 另存時日期可能仍是序號)
+     * @param {number} serial
+     * @returns {string}
+     */
+    serialToDate
+};
+
+module.exports = tabularFile;
@@ -0,0 +1,51 @@
+/**
+ * utils/value-compare.js
+ * Sheet 與 SQL 欄位值的比對
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description
+ * * 兩邊的同一個值常以不同格式出現 (null / 空字串、前後空白、ISO 時間的 Z / +00:00)，逐欄比對時須先正規化，
+ * * 避免假差異。遷移 (services/migration-service.js) 與影子模式 (services/shadow-service.js) 共用。
+ * * - normalize()：null / undefined 視為空字串，物件轉為 JSON，其餘轉為去除前後空白的字串。
+ * * - isSameValue()：正規化後相等，或兩邊皆為日期字串且 epoch 相同；
+ * *   options.numeric 另將數值格式差異 (1200000 vs 1,200,000) 視為相同。
+ */
+
+const DATE_LIKE = /^\d{4}[-/]\d{1,2}[-/]\d{1,2}/;
+
+/**
+ * @param {*} value
+ * @returns {string}
+ */
+function normalize(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value).trim();
+}
+
+/**
+ * @param {*} a
+ * @param {*} b
+ * @param {Object} [options]
+ * @param {boolean} [options.numeric=false] - 以數值比對 (忽略千分位逗號)
+ * @returns {boolean}
+ */
+function isSameValue(a, b, { numeric = false } = {}) {
+    const va = normalize(a);
+    const vb = normalize(b);
+    if (va === vb) return true;
+
+    // 日期格式差異 (2026-01-02 vs 2026/1/2、Z vs +00:00) 以 epoch 判定
+    if (DATE_LIKE.test(va) && DATE_LIKE.test(vb)) {
+        const ta = Date.parse(va);
+        const tb = Date.parse(vb);
+        return !isNaN(ta) && !isNaN(tb) && ta === tb;
+    }
+
+    if (!numeric || va === '' || vb === '') return false;
+    const na = Number(va.replace(/,/g, ''));
+    const nb = Number(vb.replace(/,/g, ''));
+    return !isNaN(na) && !isNaN(nb) && na === nb;
+}
+
+module.exports = { normalize, isSameValue };